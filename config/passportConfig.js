@@ -1,71 +1,100 @@
-// const passport = require("passport");
-// const GoogleStrategy = require("passport-google-oauth20").Strategy;
-// const User = require("../models/User");
-// require("dotenv").config();
+// config/passportConfig.js
+// Google sign-in (GET /api/auth/google). Stateless: no passport sessions, the
+// OAuth `state` is kept in a short-lived httpOnly cookie instead. The
+// strategy is only registered when GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET
+// are set.
+const crypto = require("crypto");
+const passport = require("passport");
+const GoogleStrategy = require("passport-google-oauth20").Strategy;
+const User = require("../models/User");
+const Logger = require("../utils/logger");
 
-// passport.use(
-//   new GoogleStrategy(
-//     {
-//       clientID: process.env.GOOGLE_CLIENT_ID,
-//       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-//       callbackURL: process.env.GOOGLE_CALLBACK_URL,
-//     },
-//     async (accessToken, refreshToken, profile, done) => {
-//       try {
-//         // 1) Try find by googleId
-//         let user = await User.findOne({ googleId: profile.id });
-//         if (user) return done(null, user);
+const STATE_COOKIE = "googleOAuthState";
 
-//         // 2) If not found, try find by email (link accounts)
-//         const email = profile.emails && profile.emails[0] && profile.emails[0].value;
-//         if (email) {
-//           user = await User.findOne({ email: email.toLowerCase() });
-//           if (user) {
-//             // Link google to existing local user
-//             user.googleId = profile.id;
-//             user.authProvider = "google";
-//             user.isVerified = true; // Google email already verified
-//             // update avatar if available
-//             if (profile.photos && profile.photos[0]) {
-//               user.avatar = user.avatar || {};
-//               user.avatar.url = profile.photos[0].value;
-//             }
-//             await user.save();
-//             return done(null, user);
-//           }
-//         }
+const stateCookieOptions = () => {
+  const isProd = process.env.NODE_ENV === "production";
+  return { httpOnly: true, secure: isProd, sameSite: "lax", path: "/" };
+};
 
-//         // 3) No user found -> create new user
-//         const newUser = new User({
-//           name: profile.displayName || (email ? email.split("@")[0] : "Google User"),
-//           email: email,
-//           authProvider: "google",
-//           googleId: profile.id,
-//           isVerified: true,
-//           avatar: {
-//             url: profile.photos && profile.photos[0] ? profile.photos[0].value : undefined,
-//           },
-//           // password is NOT required for google auth because authProvider !== 'local'
-//         });
+// passport-oauth2 state store backed by a cookie (login CSRF protection)
+const cookieStateStore = {
+  store(req, meta, callback) {
+    const state = crypto.randomBytes(24).toString("base64url");
+    req.res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(), maxAge: 10 * 60 * 1000 });
+    callback(null, state);
+  },
+  verify(req, state, callback) {
+    const expected = req.cookies?.[STATE_COOKIE];
+    req.res.clearCookie(STATE_COOKIE, stateCookieOptions());
+    if (!expected || !state || expected !== state) {
+      return callback(null, false, { message: "Invalid OAuth state" });
+    }
+    callback(null, true);
+  },
+};
 
-//         await newUser.save();
-//         return done(null, newUser);
-//       } catch (err) {
-//         return done(err, null);
-//       }
-//     }
-//   )
-// );
+const isGoogleEnabled = () => !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
 
-// passport.serializeUser((user, done) => {
-//   done(null, user.id); // MongoDB _id
-// });
+if (isGoogleEnabled()) {
+  passport.use(
+    new GoogleStrategy(
+      {
+        clientID: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackURL: process.env.GOOGLE_CALLBACK_URL || "/api/auth/google/callback",
+        store: cookieStateStore,
+      },
+      async (accessToken, refreshToken, profile, done) => {
+        try {
+          const email = profile.emails?.[0]?.value?.toLowerCase();
+          const emailVerified = profile._json?.email_verified !== false;
+          const photo = profile.photos?.[0]?.value;
 
-// passport.deserializeUser(async (id, done) => {
-//   try {
-//     const user = await User.findById(id);
-//     done(null, user);
-//   } catch (err) {
-//     done(err, null);
-//   }
-// });
+          // 1) Try find by googleId
+          let user = await User.findOne({ googleId: profile.id });
+          if (user) return done(null, user);
+
+          if (!email || !emailVerified) {
+            return done(null, false, { message: "google-email-unverified" });
+          }
+
+          // 2) If not found, link to the existing account with this email
+          user = await User.findOne({ email });
+          if (user) {
+            if (user.googleId) {
+              return done(null, false, { message: "google-account-conflict" });
+            }
+            user.googleId = profile.id;
+            user.isVerified = true; // Google email already verified
+            if (photo && !user.avatar?.url) {
+              user.avatar = { ...(user.avatar || {}), url: photo };
+            }
+            await user.save();
+            Logger.info("googleSignIn", "Google account linked to existing user", {
+              context: { userId: user._id },
+            });
+            return done(null, user);
+          }
+
+          // 3) No user found -> create a public user (same as registerUser)
+          const newUser = await User.create({
+            name: profile.displayName || email.split("@")[0],
+            email,
+            role: "user",
+            authProvider: "google",
+            googleId: profile.id,
+            tenant: null,
+            isVerified: true,
+            avatar: { url: photo },
+            // password is NOT required for google auth because authProvider !== 'local'
+          });
+          return done(null, newUser);
+        } catch (err) {
+          return done(err, null);
+        }
+      }
+    )
+  );
+}
+
+module.exports = { passport, isGoogleEnabled };
@@ -0,0 +1,166 @@
+// controllers/action/actionComments.controller.js
+const actionCommentService = require("../../services/action/actionCommentService");
+const actionTimelineService = require("../../services/action/actionTimelineService");
+const {
+    createCommentSchema,
+    updateCommentSchema,
+    timelineQuerySchema
+} = require("../../validators/actionCommentValidator");
+const Logger = require("../../utils/logger");
+
+function handleError(res, err, source, message, req) {
+    if (err.statusCode) {
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    Logger.error(source, message, {
+        error: err,
+        context: { params: req.params, tenant: req.user.tenant },
+        req
+    });
+    res.status(500).json({ success: false, message, error: err.message });
+}
+
+// Multipart forms send mentions as "id1,id2" or a JSON array string
+function normalizeMentions(value) {
+    if (typeof value !== "string") return value;
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[")) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return trimmed;
+        }
+    }
+    return trimmed ? trimmed.split(",").map(id => id.trim()).filter(Boolean) : [];
+}
+
+/**
+ * GET /api/actions/:id/comments, /api/action-plans/:id/comments,
+ * /api/action-steps/:stepId/comments
+ * @param {string} targetType - "action" | "actionPlan" | "actionStep"
+ * @param {string} param - Route param holding the target id
+ */
+exports.getComments = (targetType, param = "id") => async (req, res) => {
+    try {
+        const result = await actionCommentService.listComments({
+            targetType,
+            targetId: req.params[param],
+            tenantId: req.user.tenant
+        });
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        handleError(res, err, "getComments", "Error fetching comments", req);
+    }
+};
+
+/**
+ * POST /api/actions/:id/comments, /api/action-plans/:id/comments,
+ * /api/action-steps/:stepId/comments (multipart, files in "attachments")
+ */
+exports.addComment = (targetType, param = "id") => async (req, res) => {
+    try {
+        const { error, value } = createCommentSchema.validate({
+            ...req.body,
+            ...(req.body?.mentions !== undefined && { mentions: normalizeMentions(req.body.mentions) })
+        });
+        if (error) {
+            actionCommentService.removeTempFiles(req.files);
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const comment = await actionCommentService.addComment({
+            targetType,
+            targetId: req.params[param],
+            data: value,
+            files: req.files || [],
+            tenantId: req.user.tenant,
+            user: req.user
+        });
+
+        res.status(201).json({ success: true, message: "Comment added", data: comment });
+    } catch (err) {
+        handleError(res, err, "addComment", "Error adding comment", req);
+    }
+};
+
+/**
+ * PUT /api/actions/comments/:commentId
+ */
+exports.updateComment = async (req, res) => {
+    try {
+        const { error, value } = updateCommentSchema.validate({
+            ...req.body,
+            ...(req.body?.mentions !== undefined && { mentions: normalizeMentions(req.body.mentions) })
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const comment = await actionCommentService.editComment({
+            commentId: req.params.commentId,
+            data: value,
+            tenantId: req.user.tenant,
+            user: req.user
+        });
+
+        res.status(200).json({ success: true, message: "Comment updated", data: comment });
+    } catch (err) {
+        handleError(res, err, "updateComment", "Error updating comment", req);
+    }
+};
+
+/**
+ * DELETE /api/actions/comments/:commentId
+ */
+exports.deleteComment = async (req, res) => {
+    try {
+        await actionCommentService.deleteComment({
+            commentId: req.params.commentId,
+            tenantId: req.user.tenant,
+            user: req.user
+        });
+        res.status(200).json({ success: true, message: "Comment deleted" });
+    } catch (err) {
+        handleError(res, err, "deleteComment", "Error deleting comment", req);
+    }
+};
+
+/**
+ * GET /api/actions/comments/:commentId/history
+ */
+exports.getCommentHistory = async (req, res) => {
+    try {
+        const history = await actionCommentService.getCommentHistory({
+            commentId: req.params.commentId,
+            tenantId: req.user.tenant,
+            user: req.user
+        });
+        res.status(200).json({ success: true, data: history });
+    } catch (err) {
+        handleError(res, err, "getCommentHistory", "Error fetching comment history", req);
+    }
+};
+
+/**
+ * GET /api/actions/:id/timeline?types=status,comment&order=desc&limit=100
+ */
+exports.getActionTimeline = async (req, res) => {
+    try {
+        const { error, value } = timelineQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const timeline = await actionTimelineService.getActionTimeline({
+            actionId: req.params.id,
+            tenantId: req.user.tenant,
+            ...(value.types && { types: value.types }),
+            order: value.order,
+            limit: value.limit
+        });
+
+        res.status(200).json({ success: true, data: timeline });
+    } catch (err) {
+        handleError(res, err, "getActionTimeline", "Error fetching action timeline", req);
+    }
+};
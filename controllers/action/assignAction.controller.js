@@ -2,7 +2,7 @@
 const mongoose = require("mongoose");
 const Action = require("../../models/Action");
 const { sendNotification } = require("../../utils/sendNotification");
-const { validateUserBelongsToTenant, pushAssignmentHistory } = require("../../services/action/actionService");
+const { validateUserBelongsToTenant, pushAssignmentHistory, emitActionEvent } = require("../../services/action/actionService");
 const Logger = require("../../utils/logger");
 
 /**
@@ -68,6 +68,8 @@ exports.assignAction = async (req, res, next) => {
             });
         }
 
+        emitActionEvent("action:assigned", action, { from, by: req.user._id, auto: false });
+
         res.status(200).json({ success: true, message: "Action assigned successfully", data: action });
 
     } catch (err) {
@@ -0,0 +1,163 @@
+// controllers/action/assignmentRules.controller.js
+const assignmentRuleService = require("../../services/action/assignmentRuleService");
+const {
+    createAssignmentRuleSchema,
+    updateAssignmentRuleSchema,
+    reorderAssignmentRulesSchema,
+    dryRunAssignmentSchema
+} = require("../../validators/assignmentRuleValidator");
+const Logger = require("../../utils/logger");
+
+function handleError(res, err, source, message, req) {
+    if (err.statusCode) {
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    Logger.error(source, message, {
+        error: err,
+        context: { ruleId: req.params.ruleId, tenant: req.user.tenant },
+        req
+    });
+    res.status(500).json({ success: false, message, error: err.message });
+}
+
+/**
+ * List assignment rules in run order
+ * GET /api/actions/assignment-rules?isActive=true|false
+ */
+exports.getAssignmentRules = async (req, res) => {
+    try {
+        const { isActive } = req.query;
+        const rules = await assignmentRuleService.listAssignmentRules({
+            tenantId: req.user.tenant,
+            isActive: isActive === undefined ? undefined : isActive === "true"
+        });
+
+        res.status(200).json({ success: true, data: rules });
+    } catch (err) {
+        handleError(res, err, "getAssignmentRules", "Error fetching assignment rules", req);
+    }
+};
+
+/**
+ * GET /api/actions/assignment-rules/:ruleId
+ */
+exports.getAssignmentRuleById = async (req, res) => {
+    try {
+        const rule = await assignmentRuleService.getAssignmentRule({
+            ruleId: req.params.ruleId,
+            tenantId: req.user.tenant
+        });
+
+        res.status(200).json({ success: true, data: rule });
+    } catch (err) {
+        handleError(res, err, "getAssignmentRuleById", "Error fetching assignment rule", req);
+    }
+};
+
+/**
+ * POST /api/actions/assignment-rules
+ */
+exports.createAssignmentRule = async (req, res) => {
+    try {
+        const { error, value } = createAssignmentRuleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const rule = await assignmentRuleService.createAssignmentRule({
+            data: value,
+            tenantId: req.user.tenant,
+            userId: req.user._id
+        });
+
+        res.status(201).json({ success: true, message: "Assignment rule created successfully", data: rule });
+    } catch (err) {
+        handleError(res, err, "createAssignmentRule", "Error creating assignment rule", req);
+    }
+};
+
+/**
+ * PUT /api/actions/assignment-rules/:ruleId
+ */
+exports.updateAssignmentRule = async (req, res) => {
+    try {
+        const { error, value } = updateAssignmentRuleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const rule = await assignmentRuleService.updateAssignmentRule({
+            ruleId: req.params.ruleId,
+            data: value,
+            tenantId: req.user.tenant,
+            userId: req.user._id
+        });
+
+        res.status(200).json({ success: true, message: "Assignment rule updated successfully", data: rule });
+    } catch (err) {
+        handleError(res, err, "updateAssignmentRule", "Error updating assignment rule", req);
+    }
+};
+
+/**
+ * DELETE /api/actions/assignment-rules/:ruleId
+ */
+exports.deleteAssignmentRule = async (req, res) => {
+    try {
+        await assignmentRuleService.deleteAssignmentRule({
+            ruleId: req.params.ruleId,
+            tenantId: req.user.tenant,
+            userId: req.user._id
+        });
+
+        res.status(200).json({ success: true, message: "Assignment rule deleted successfully" });
+    } catch (err) {
+        handleError(res, err, "deleteAssignmentRule", "Error deleting assignment rule", req);
+    }
+};
+
+/**
+ * Set the run order (first id runs first)
+ * PUT /api/actions/assignment-rules/reorder  { ruleIds: [...] }
+ */
+exports.reorderAssignmentRules = async (req, res) => {
+    try {
+        const { error, value } = reorderAssignmentRulesSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const rules = await assignmentRuleService.reorderAssignmentRules({
+            ruleIds: value.ruleIds,
+            tenantId: req.user.tenant,
+            userId: req.user._id
+        });
+
+        res.status(200).json({ success: true, message: "Assignment rules reordered successfully", data: rules });
+    } catch (err) {
+        handleError(res, err, "reorderAssignmentRules", "Error reordering assignment rules", req);
+    }
+};
+
+/**
+ * Which rule would fire, without assigning anything
+ * POST /api/actions/assignment-rules/dry-run  { action } | { actionId } | { responseId }
+ */
+exports.dryRunAssignmentRules = async (req, res) => {
+    try {
+        const { error, value } = dryRunAssignmentSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const result = await assignmentRuleService.dryRunAssignmentRules({
+            input: value,
+            tenantId: req.user.tenant,
+            userId: req.user._id
+        });
+
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        handleError(res, err, "dryRunAssignmentRules", "Error running assignment rules", req);
+    }
+};
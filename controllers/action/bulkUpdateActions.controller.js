@@ -1,7 +1,7 @@
 // controllers/action/bulkUpdateActions.controller.js
 const Action = require("../../models/Action");
 const { bulkUpdateSchema } = require("../../validators/actionValidator");
-const { pushAssignmentHistory, validateUserBelongsToTenant } = require("../../services/action/actionService");
+const { pushAssignmentHistory, validateUserBelongsToTenant, emitActionEvent } = require("../../services/action/actionService");
 const { sendNotification } = require("../../utils/sendNotification");
 const Logger = require("../../utils/logger");
 
@@ -41,6 +41,11 @@ exports.bulkUpdateActions = async (req, res, next) => {
         if (typeof updates.assignedTo !== 'undefined') allowedUpdates.assignedTo = updates.assignedTo;
         if (typeof updates.team !== 'undefined') allowedUpdates.team = updates.team;
 
+        // Status history entry for an action whose status changes, else null
+        const statusEntry = (action) => (allowedUpdates.status && allowedUpdates.status !== action.status
+            ? { from: action.status, to: allowedUpdates.status, by: req.user._id, at: new Date(), note: "Bulk update" }
+            : null);
+
         // If assignment is changing, add audit history for each action
         if (typeof updates.assignedTo !== 'undefined') {
             const bulkOps = actions.map(action => {
@@ -54,6 +59,8 @@ exports.bulkUpdateActions = async (req, res, next) => {
                     note: `Bulk assignment by ${req.user.name || req.user.email}`
                 };
 
+                const statusChange = statusEntry(action);
+
                 return {
                     updateOne: {
                         filter: { _id: action._id },
@@ -62,7 +69,10 @@ exports.bulkUpdateActions = async (req, res, next) => {
                                 ...allowedUpdates,
                                 autoAssigned: false
                             },
-                            $push: { assignmentHistory: historyEntry }
+                            $push: {
+                                assignmentHistory: historyEntry,
+                                ...(statusChange && { statusHistory: statusChange })
+                            }
                         }
                     }
                 };
@@ -70,6 +80,12 @@ exports.bulkUpdateActions = async (req, res, next) => {
 
             await Action.bulkWrite(bulkOps);
 
+            actions.forEach(action => emitActionEvent("action:assigned", {
+                ...action.toObject(),
+                ...allowedUpdates,
+                assignedToTeam: updates.team || action.assignedToTeam
+            }, { from: action.assignedTo || null, by: req.user._id, auto: false }));
+
             // Send notifications to new assignee
             if (validatedAssignee) {
                 await sendNotification({
@@ -79,6 +95,20 @@ exports.bulkUpdateActions = async (req, res, next) => {
                     data: { actionIds, assignedBy: req.user._id }
                 });
             }
+        } else if (actions.some(statusEntry)) {
+            // Status change - record it per action
+            await Action.bulkWrite(actions.map(action => {
+                const statusChange = statusEntry(action);
+                return {
+                    updateOne: {
+                        filter: { _id: action._id },
+                        update: {
+                            $set: allowedUpdates,
+                            ...(statusChange && { $push: { statusHistory: statusChange } })
+                        }
+                    }
+                };
+            }));
         } else {
             // No assignment change - simple update
             await Action.updateMany(
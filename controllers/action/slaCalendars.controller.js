@@ -0,0 +1,135 @@
+// controllers/action/slaCalendars.controller.js
+const slaCalendarService = require("../../services/action/slaCalendarService");
+const {
+    createSlaCalendarSchema,
+    updateSlaCalendarSchema,
+    previewSlaCalendarSchema
+} = require("../../validators/slaCalendarValidator");
+const Logger = require("../../utils/logger");
+
+function handleError(res, err, source, message, req) {
+    if (err.statusCode) {
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    if (err.code === 11000) {
+        return res.status(409).json({ success: false, message: "Another SLA calendar is already the default" });
+    }
+    Logger.error(source, message, {
+        error: err,
+        context: { calendarId: req.params.id, tenant: req.user.tenant },
+        req
+    });
+    res.status(500).json({ success: false, message, error: err.message });
+}
+
+/**
+ * GET /api/sla-calendars
+ */
+exports.getSlaCalendars = async (req, res) => {
+    try {
+        const calendars = await slaCalendarService.listSlaCalendars({ tenantId: req.user.tenant });
+        res.status(200).json({ success: true, data: calendars });
+    } catch (err) {
+        handleError(res, err, "getSlaCalendars", "Error fetching SLA calendars", req);
+    }
+};
+
+/**
+ * GET /api/sla-calendars/:id
+ */
+exports.getSlaCalendarById = async (req, res) => {
+    try {
+        const calendar = await slaCalendarService.getSlaCalendar({
+            calendarId: req.params.id,
+            tenantId: req.user.tenant
+        });
+        res.status(200).json({ success: true, data: calendar });
+    } catch (err) {
+        handleError(res, err, "getSlaCalendarById", "Error fetching SLA calendar", req);
+    }
+};
+
+/**
+ * POST /api/sla-calendars
+ */
+exports.createSlaCalendar = async (req, res) => {
+    try {
+        const { error, value } = createSlaCalendarSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const calendar = await slaCalendarService.createSlaCalendar({
+            data: value,
+            tenantId: req.user.tenant,
+            userId: req.user._id
+        });
+
+        res.status(201).json({ success: true, message: "SLA calendar created successfully", data: calendar });
+    } catch (err) {
+        handleError(res, err, "createSlaCalendar", "Error creating SLA calendar", req);
+    }
+};
+
+/**
+ * PUT /api/sla-calendars/:id
+ */
+exports.updateSlaCalendar = async (req, res) => {
+    try {
+        const { error, value } = updateSlaCalendarSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const calendar = await slaCalendarService.updateSlaCalendar({
+            calendarId: req.params.id,
+            data: value,
+            tenantId: req.user.tenant,
+            userId: req.user._id
+        });
+
+        res.status(200).json({ success: true, message: "SLA calendar updated successfully", data: calendar });
+    } catch (err) {
+        handleError(res, err, "updateSlaCalendar", "Error updating SLA calendar", req);
+    }
+};
+
+/**
+ * DELETE /api/sla-calendars/:id
+ */
+exports.deleteSlaCalendar = async (req, res) => {
+    try {
+        await slaCalendarService.deleteSlaCalendar({
+            calendarId: req.params.id,
+            tenantId: req.user.tenant,
+            userId: req.user._id
+        });
+
+        res.status(200).json({ success: true, message: "SLA calendar deleted successfully" });
+    } catch (err) {
+        handleError(res, err, "deleteSlaCalendar", "Error deleting SLA calendar", req);
+    }
+};
+
+/**
+ * When a clock started at `start` runs out on this calendar
+ * POST /api/sla-calendars/:id/preview  { start?, hours } | { start?, days }
+ */
+exports.previewSlaCalendar = async (req, res) => {
+    try {
+        const { error, value } = previewSlaCalendarSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const result = await slaCalendarService.previewSlaCalendar({
+            calendarId: req.params.id,
+            tenantId: req.user.tenant,
+            ...value
+        });
+
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        handleError(res, err, "previewSlaCalendar", "Error previewing SLA calendar", req);
+    }
+};
@@ -1,7 +1,7 @@
 // controllers/actionController.js
 const Action = require("../models/Action");
 const FeedbackAnalysis = require("../models/FeedbackAnalysis");
-const AssignmentRule = require("../models/AssignmentRule");
+const { applyAssignmentRules } = require("../services/action/assignmentService");
 const User = require("../models/User");
 const Survey = require("../models/Survey");
 const aiClient = require("../utils/aiClient");
@@ -77,97 +77,6 @@ async function pushAssignmentHistory(action, { from, to, toTeam, byUserId, auto
   });
 }
 
-/**
- * Apply assignment rules (basic engine).
- * Supports condition operators '==' and 'contains'.
- * Assignment modes:
- *  - single_owner : rule.assignment.targetUser (userId)
- *  - round_robin  : rule.assignment.teamMembers (array of userIds) + rule._id used to track lastAssigned info
- *  - least_load   : placeholder (requires open-action counts)
- *
- * NOTE: AssignmentRule model expected shape (example):
- * {
- *   tenant: ObjectId,
- *   priority: Number, // sort order
- *   conditions: [{ field: "category", operator: "==", value: "Medical Service" }, ...],
- *   assignment: { mode: "single_owner"|"round_robin"|"least_load", targetUser: userId, targetTeam: 'Healthcare Team', teamMembers: [userId...] },
- *   priorityOverride: "high" | null,
- *   isActive: true
- * }
- */
-async function applyAssignmentRules(actionObj, tenantId) {
-  const rules = await AssignmentRule.find({ tenant: tenantId, isActive: true }).sort({ priority: -1 }).lean();
-
-  for (const rule of rules) {
-    let match = true;
-    for (const cond of (rule.conditions || [])) {
-      const value = actionObj[cond.field] || actionObj.metadata?.[cond.field];
-      if (cond.operator === '==' && String(value) !== String(cond.value)) {
-        match = false; break;
-      }
-      if (cond.operator === 'contains' && (!value || !String(value).includes(cond.value))) {
-        match = false; break;
-      }
-      // add operators as needed
-    }
-    if (!match) continue;
-
-    // We have a matching rule
-    const assignment = rule.assignment || {};
-    const result = { assignedTo: null, assignedToTeam: null, priority: null, autoAssigned: true, note: `Rule ${rule._id} applied` };
-
-    if (assignment.mode === "single_owner" && assignment.targetUser) {
-      result.assignedTo = assignment.targetUser;
-      result.assignedToTeam = assignment.targetTeam || null;
-    } else if (assignment.mode === "round_robin") {
-      // pick next from teamMembers array and atomically update rule's lastIndex (best-effort)
-      const members = assignment.teamMembers || [];
-      if (members.length > 0) {
-        // Compute next index using a findOneAndUpdate on the rule doc (atomic)
-        // We store lastAssignedIndex on rule doc (best-effort). If not present, treat as -1.
-        const nextRule = await AssignmentRule.findOneAndUpdate(
-          { _id: rule._id },
-          [{ $set: { lastAssignedIndex: { $add: [{ $ifNull: ["$lastAssignedIndex", -1] }, 1] } } }],
-          { new: true }
-        ).lean().catch(() => null);
-
-        let idx = 0;
-        if (nextRule && typeof nextRule.lastAssignedIndex === 'number') {
-          idx = nextRule.lastAssignedIndex % members.length;
-        }
-        result.assignedTo = members[idx];
-        result.assignedToTeam = assignment.targetTeam || null;
-      }
-    } else if (assignment.mode === "least_load") {
-      // Placeholder: assign to member with fewest open actions (requires extra query) - basic implementation
-      const members = assignment.teamMembers || [];
-      if (members.length > 0) {
-        // get counts
-        const counts = await Promise.all(members.map(async (m) => {
-          const count = await Action.countDocuments({ tenant: tenantId, assignedTo: m, status: { $ne: 'resolved' }, isDeleted: false });
-          return { member: m, count };
-        }));
-        counts.sort((a, b) => a.count - b.count);
-        result.assignedTo = counts[0].member;
-        result.assignedToTeam = assignment.targetTeam || null;
-      }
-    } else {
-      // If no assignment mode matches, try direct targetUser/team
-      result.assignedTo = assignment.targetUser || null;
-      result.assignedToTeam = assignment.targetTeam || null;
-    }
-
-    if (rule.priorityOverride) {
-      result.priority = rule.priorityOverride;
-    }
-
-    return result; // first matching rule applies
-  }
-
-  // No rule matched
-  return null;
-}
-
 // ----------------- Controller actions -----------------
 
 // Create new action
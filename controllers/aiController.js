@@ -6,6 +6,7 @@ const aiClient = require("../utils/aiClient"); // implement wrapper for chosen L
 const Joi = require("joi");
 const { default: mongoose } = require("mongoose");
 const Logger = require("../utils/logger");
+const { normalizeLanguage } = require("../utils/locale");
 
 // Simple validation schemas
 const draftSchema = Joi.object({
@@ -79,10 +80,14 @@ const optimizeSchema = Joi.object({
   surveyId: Joi.string().hex().length(24).required(),
 });
 
+// Any language code ("fr", "pt-BR"); store the result with PUT /api/surveys/:surveyId/translations/:language
+const languageCode = Joi.string().custom((value, helpers) =>
+  normalizeLanguage(value) || helpers.message(`"${value}" is not a valid language code`));
+
 const translateSchema = Joi.object({
   text: Joi.string().required(),
-  from: Joi.string().valid("en", "ar").default("en"),
-  to: Joi.string().valid("en", "ar").required(),
+  from: languageCode.default("en"),
+  to: languageCode.required(),
 });
 
 // @desc    Generate AI Draft Survey
@@ -0,0 +1,133 @@
+// controllers/analytics/funnel.controller.js
+const funnelService = require("../../services/analytics/funnelService");
+const exportService = require("../../services/analytics/exportService");
+const Logger = require("../../utils/auditLog");
+const asyncHandler = require("express-async-handler");
+
+/**
+ * Parse and validate funnel filters from the query string
+ * @returns {{ error?: String, options?: Object }}
+ */
+const parseFunnelQuery = (query) => {
+  const { device, wave, version, startDate, endDate } = query;
+
+  if (device && !funnelService.DEVICES.includes(device)) {
+    return { error: `device must be one of: ${funnelService.DEVICES.join(", ")}` };
+  }
+
+  const waveNumber = wave ? parseInt(wave) : undefined;
+  if (waveNumber !== undefined && (isNaN(waveNumber) || waveNumber < 1)) {
+    return { error: "wave must be a positive integer" };
+  }
+
+  const versionNumber = version ? parseInt(version) : undefined;
+  if (versionNumber !== undefined && (isNaN(versionNumber) || versionNumber < 1)) {
+    return { error: "version must be a positive integer" };
+  }
+
+  return { options: { device, wave: waveNumber, version: versionNumber, startDate, endDate } };
+};
+
+/**
+ * Question-level drop-off funnel for a survey
+ * 
+ * @route   GET /api/analytics/funnel/:surveyId
+ * @access  Private
+ */
+exports.getQuestionFunnel = asyncHandler(async (req, res) => {
+  const { surveyId } = req.params;
+  const tenantId = req.tenantId || req.user?.tenant;
+
+  const { error, options } = parseFunnelQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const funnel = await funnelService.getQuestionFunnel(tenantId, surveyId, options);
+
+  if (!funnel) {
+    return res.status(404).json({
+      success: false,
+      message: "Survey not found"
+    });
+  }
+
+  Logger.info("getQuestionFunnel", "Question funnel fetched", {
+    context: {
+      tenantId,
+      userId: req.user?._id,
+      surveyId,
+      starts: funnel.summary.starts
+    },
+    req
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Question funnel fetched successfully",
+    data: funnel
+  });
+});
+
+/**
+ * Export question funnel to CSV
+ * 
+ * @route   GET /api/analytics/funnel/:surveyId/export/csv
+ * @access  Private
+ */
+exports.exportFunnelCSV = asyncHandler(async (req, res) => {
+  const { surveyId } = req.params;
+  const tenantId = req.tenantId || req.user?.tenant;
+
+  const { error, options } = parseFunnelQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const result = await exportService.exportFunnelCSV(tenantId, surveyId, options);
+
+  Logger.info("exportFunnelCSV", "Question funnel exported to CSV", {
+    context: {
+      tenantId,
+      userId: req.user?._id,
+      surveyId,
+      recordCount: result.recordCount
+    },
+    req
+  });
+
+  res.setHeader("Content-Type", result.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${result.filename}"`);
+  res.send(result.content);
+});
+
+/**
+ * Export question funnel to PDF
+ * 
+ * @route   GET /api/analytics/funnel/:surveyId/export/pdf
+ * @access  Private
+ */
+exports.exportFunnelPDF = asyncHandler(async (req, res) => {
+  const { surveyId } = req.params;
+  const tenantId = req.tenantId || req.user?.tenant;
+
+  const { error, options } = parseFunnelQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const result = await exportService.exportFunnelPDF(tenantId, surveyId, options);
+
+  Logger.info("exportFunnelPDF", "Question funnel exported to PDF", {
+    context: {
+      tenantId,
+      userId: req.user?._id,
+      surveyId
+    },
+    req
+  });
+
+  res.setHeader("Content-Type", result.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${result.filename}"`);
+  res.send(result.content);
+});
@@ -3,6 +3,7 @@ const Survey = require("../../models/Survey");
 const Logger = require("../../utils/auditLog");
 const { analyticsValidator } = require("../../validators/analyticsValidator");
 const { getAnalyticsService } = require("../../services/analytics/analyticsService");
+const { normalizeLanguage } = require("../../utils/locale");
 
 exports.getAnalytics = async (req, res, next) => {
   try {
@@ -26,10 +27,31 @@ exports.getAnalytics = async (req, res, next) => {
     }
 
     // Service layer
-    const analytics = await getAnalyticsService(surveyId);
+    const wave = req.query.wave ? parseInt(req.query.wave) : undefined;
+    if (wave !== undefined && (isNaN(wave) || wave < 1)) {
+      return res.status(400).json({ message: "wave must be a positive integer" });
+    }
+
+    const version = req.query.version ? parseInt(req.query.version) : undefined;
+    if (version !== undefined && (isNaN(version) || version < 1)) {
+      return res.status(400).json({ message: "version must be a positive integer" });
+    }
+
+    let language;
+    if (req.query.language) {
+      language = normalizeLanguage(req.query.language);
+      if (!language) {
+        return res.status(400).json({ message: "language must be a language code such as en or fr-CA" });
+      }
+    }
+
+    const analytics = await getAnalyticsService(surveyId, { wave, language, version });
     Logger.info("getAnalytics", "Analytics generated", {
       context: {
-        surveyId
+        surveyId,
+        wave,
+        language,
+        version
       },
       req
     });
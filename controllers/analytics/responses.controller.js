@@ -31,8 +31,8 @@ exports.getSurveyResponses = asyncHandler(async (req, res) => {
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  // Build filter query
-  const query = { survey: new mongoose.Types.ObjectId(surveyId) };
+  // Build filter query (only this tenant's responses)
+  const query = { survey: new mongoose.Types.ObjectId(surveyId), tenant: tenantId };
 
   if (minRating || maxRating) {
     query.rating = {};
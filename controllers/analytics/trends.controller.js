@@ -80,12 +80,14 @@ exports.getVolumeTrend = asyncHandler(async (req, res) => {
  */
 exports.getSurveyVolumeTrend = asyncHandler(async (req, res) => {
   const { surveyId } = req.params;
-  const { days = 30, interval = "day" } = req.query;
+  const { days = 30, interval = "day", wave, version } = req.query;
   const tenantId = req.tenantId || req.user?.tenant;
 
   const trend = await trendService.getSurveyVolumeTrend(surveyId, {
     days: parseInt(days),
-    interval
+    interval,
+    wave: wave ? parseInt(wave) : undefined,
+    version: version ? parseInt(version) : undefined
   });
 
   Logger.info("getSurveyVolumeTrend", "Survey volume trend fetched", {
@@ -113,12 +115,14 @@ exports.getSurveyVolumeTrend = asyncHandler(async (req, res) => {
  */
 exports.getNPSTrend = asyncHandler(async (req, res) => {
   const { surveyId } = req.params;
-  const { days = 30, interval = "day" } = req.query;
+  const { days = 30, interval = "day", wave, version } = req.query;
   const tenantId = req.tenantId || req.user?.tenant;
 
   const trend = await npsService.getNPSTrend(surveyId, {
     days: parseInt(days),
-    interval
+    interval,
+    wave: wave ? parseInt(wave) : undefined,
+    version: version ? parseInt(version) : undefined
   });
 
   Logger.info("getNPSTrend", "NPS trend fetched", {
@@ -139,6 +143,78 @@ exports.getNPSTrend = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Compare waves of a recurring survey (responses, response rate, rating, NPS)
+ * 
+ * @route   GET /api/analytics/trends/waves/:surveyId
+ * @access  Private
+ */
+exports.getWaveComparison = asyncHandler(async (req, res) => {
+  const { surveyId } = req.params;
+  const tenantId = req.tenantId || req.user?.tenant;
+
+  const comparison = await trendService.getWaveComparison(tenantId, surveyId);
+
+  if (!comparison) {
+    return res.status(404).json({
+      success: false,
+      message: "Survey not found"
+    });
+  }
+
+  Logger.info("getWaveComparison", "Wave comparison fetched", {
+    context: {
+      tenantId,
+      userId: req.user?._id,
+      surveyId,
+      waves: comparison.waves.length
+    },
+    req
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Wave comparison fetched successfully",
+    data: comparison
+  });
+});
+
+/**
+ * Compare published versions of a survey (responses, rating, NPS, what changed)
+ * 
+ * @route   GET /api/analytics/trends/versions/:surveyId
+ * @access  Private
+ */
+exports.getVersionComparison = asyncHandler(async (req, res) => {
+  const { surveyId } = req.params;
+  const tenantId = req.tenantId || req.user?.tenant;
+
+  const comparison = await trendService.getVersionComparison(tenantId, surveyId);
+
+  if (!comparison) {
+    return res.status(404).json({
+      success: false,
+      message: "Survey not found"
+    });
+  }
+
+  Logger.info("getVersionComparison", "Version comparison fetched", {
+    context: {
+      tenantId,
+      userId: req.user?._id,
+      surveyId,
+      versions: comparison.versions.length
+    },
+    req
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Version comparison fetched successfully",
+    data: comparison
+  });
+});
+
 /**
  * Get complaint/issue trend
  * Client Requirement 4: Common complaints and praise categories
@@ -0,0 +1,132 @@
+// controllers/apiKey/apiKeyController.js
+// ============================================================================
+// API Key Controller - create, list, revoke and rotate tenant API keys
+// Gated by the "api_access" feature (see routes/apiKeyRoutes.js)
+// ============================================================================
+
+const apiKeyService = require("../../services/apiKey/apiKeyService");
+const { createApiKeySchema, rotateApiKeySchema } = require("../../validators/apiKeyValidator");
+const Logger = require("../../utils/logger");
+
+const sendError = (res, err, fallback) =>
+    res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.statusCode ? err.message : fallback
+    });
+
+/**
+ * List API keys (revoked keys with ?includeRevoked=true)
+ * GET /api/api-keys
+ */
+exports.getApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await apiKeyService.listApiKeys({
+            tenantId: req.tenantId,
+            includeRevoked: req.query.includeRevoked === "true"
+        });
+
+        res.status(200).json({ success: true, data: apiKeys });
+    } catch (err) {
+        Logger.error("getApiKeys", "Failed to list API keys", { error: err, req });
+        sendError(res, err, "Failed to list API keys");
+    }
+};
+
+/**
+ * Create an API key. The key is only returned in this response.
+ * POST /api/api-keys
+ */
+exports.createApiKey = async (req, res) => {
+    try {
+        const { error, value } = createApiKeySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const { apiKey, key } = await apiKeyService.createApiKey({
+            tenantId: req.tenantId,
+            userId: req.user._id,
+            data: value
+        });
+
+        Logger.info("createApiKey", "API key created", {
+            context: { apiKeyId: apiKey._id, prefix: apiKey.prefix, scopes: apiKey.scopes },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "API key created. Copy it now — it won't be shown again.",
+            data: { apiKey, key }
+        });
+    } catch (err) {
+        Logger.error("createApiKey", "Failed to create API key", { error: err, req });
+        sendError(res, err, "Failed to create API key");
+    }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/api-keys/:id
+ */
+exports.revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await apiKeyService.revokeApiKey({
+            tenantId: req.tenantId,
+            keyId: req.params.id,
+            userId: req.user._id
+        });
+
+        Logger.info("revokeApiKey", "API key revoked", {
+            context: { apiKeyId: apiKey._id, prefix: apiKey.prefix },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "API key revoked", data: apiKey });
+    } catch (err) {
+        Logger.error("revokeApiKey", "Failed to revoke API key", {
+            error: err,
+            context: { apiKeyId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to revoke API key");
+    }
+};
+
+/**
+ * Replace a key with a new one (same name, scopes and limits)
+ * POST /api/api-keys/:id/rotate
+ */
+exports.rotateApiKey = async (req, res) => {
+    try {
+        const { error, value } = rotateApiKeySchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const { apiKey, key, previous } = await apiKeyService.rotateApiKey({
+            tenantId: req.tenantId,
+            keyId: req.params.id,
+            userId: req.user._id,
+            gracePeriodHours: value.gracePeriodHours
+        });
+
+        Logger.info("rotateApiKey", "API key rotated", {
+            context: { previousKeyId: previous._id, apiKeyId: apiKey._id, gracePeriodHours: value.gracePeriodHours },
+            req
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "API key rotated. Copy the new key now — it won't be shown again.",
+            data: { apiKey, key, previous }
+        });
+    } catch (err) {
+        Logger.error("rotateApiKey", "Failed to rotate API key", {
+            error: err,
+            context: { apiKeyId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to rotate API key");
+    }
+};
@@ -0,0 +1,151 @@
+// controllers/auth/sessionController.js
+// ============================================================================
+// Session Controller - list and revoke signed-in devices (refresh-token
+// sessions). Users manage their own; company admins manage their tenant's.
+// Login, refresh and logout live in authController.
+// ============================================================================
+
+const mongoose = require("mongoose");
+const sessionService = require("../../services/auth/sessionService");
+const Logger = require("../../utils/logger");
+
+const sendError = (res, err, fallback) =>
+    res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.statusCode ? err.message : fallback
+    });
+
+const invalidId = (res, label) =>
+    res.status(400).json({ success: false, message: `Invalid ${label} ID format` });
+
+const getPaging = (query) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+});
+
+/**
+ * Active sessions of the current user (`current` marks this device)
+ * GET /api/auth/sessions
+ */
+exports.getMySessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+        res.status(200).json({ success: true, data: sessions });
+    } catch (err) {
+        Logger.error("getMySessions", "Failed to list sessions", { error: err, req });
+        sendError(res, err, "Failed to list sessions");
+    }
+};
+
+/**
+ * Sign out one of the current user's devices
+ * DELETE /api/auth/sessions/:id
+ */
+exports.revokeMySession = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return invalidId(res, "session");
+    try {
+        await sessionService.revokeOwnSession(req.user._id, req.params.id);
+        res.status(200).json({ success: true, message: "Session revoked" });
+    } catch (err) {
+        Logger.error("revokeMySession", "Failed to revoke session", {
+            error: err,
+            context: { sessionId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to revoke session");
+    }
+};
+
+/**
+ * Sign out every other device of the current user
+ * DELETE /api/auth/sessions
+ */
+exports.revokeMyOtherSessions = async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeAllForUser(req.user._id, {
+            exceptSessionId: req.sessionId,
+            revokedBy: req.user._id
+        });
+        res.status(200).json({ success: true, message: "Other sessions revoked", data: { revoked } });
+    } catch (err) {
+        Logger.error("revokeMyOtherSessions", "Failed to revoke sessions", { error: err, req });
+        sendError(res, err, "Failed to revoke sessions");
+    }
+};
+
+/**
+ * Active sessions across the tenant (?userId, ?page, ?limit)
+ * GET /api/auth/sessions/tenant
+ */
+exports.getTenantSessions = async (req, res) => {
+    try {
+        const result = await sessionService.listTenantSessions({
+            tenantId: req.tenantId,
+            userId: req.query.userId,
+            currentSessionId: req.sessionId,
+            ...getPaging(req.query)
+        });
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        Logger.error("getTenantSessions", "Failed to list tenant sessions", { error: err, req });
+        sendError(res, err, "Failed to list sessions");
+    }
+};
+
+/**
+ * Sign out one session of a tenant user
+ * DELETE /api/auth/sessions/tenant/:id
+ */
+exports.revokeTenantSession = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return invalidId(res, "session");
+    try {
+        const session = await sessionService.revokeTenantSession({
+            tenantId: req.tenantId,
+            sessionId: req.params.id,
+            adminId: req.user._id
+        });
+
+        Logger.info("revokeTenantSession", "Session revoked by company admin", {
+            context: { sessionId: session._id, userId: session.user },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "Session revoked" });
+    } catch (err) {
+        Logger.error("revokeTenantSession", "Failed to revoke session", {
+            error: err,
+            context: { sessionId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to revoke session");
+    }
+};
+
+/**
+ * Sign a tenant user out everywhere
+ * DELETE /api/auth/sessions/users/:userId
+ */
+exports.revokeUserSessions = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) return invalidId(res, "user");
+    try {
+        const revoked = await sessionService.revokeTenantUserSessions({
+            tenantId: req.tenantId,
+            userId: req.params.userId,
+            adminId: req.user._id
+        });
+
+        Logger.info("revokeUserSessions", "User signed out of all sessions by company admin", {
+            context: { userId: req.params.userId, revoked },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "User signed out of all sessions", data: { revoked } });
+    } catch (err) {
+        Logger.error("revokeUserSessions", "Failed to revoke user sessions", {
+            error: err,
+            context: { userId: req.params.userId },
+            req
+        });
+        sendError(res, err, "Failed to revoke sessions");
+    }
+};
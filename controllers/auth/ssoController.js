@@ -0,0 +1,160 @@
+// controllers/auth/ssoController.js
+// ============================================================================
+// SSO Controller - tenant single sign-on (OIDC / SAML): domain discovery,
+// login start, SP metadata and the company admin's IdP configuration.
+// The IdP callbacks (OIDC redirect, SAML ACS) live in authController since
+// they finish with the regular login (session + cookies).
+// ============================================================================
+
+const ssoService = require("../../services/auth/ssoService");
+const getBaseURL = require("../../utils/getBaseURL");
+const { ssoConfigSchema, ssoDiscoverSchema, ssoVerifyDomainSchema } = require("../../validators/ssoValidator");
+const Logger = require("../../utils/logger");
+
+const sendError = (res, err, fallback) =>
+    res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.statusCode ? err.message : fallback
+    });
+
+/**
+ * Domain-based login routing: does this email belong to an SSO tenant?
+ * POST /api/auth/sso/discover { email }
+ */
+exports.discover = async (req, res) => {
+    try {
+        const { error, value } = ssoDiscoverSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const match = await ssoService.findTenantForEmail(value.email);
+        res.status(200).json({ success: true, data: match ? { sso: true, ...match } : { sso: false } });
+    } catch (err) {
+        Logger.error("ssoDiscover", "SSO discovery failed", { error: err, req });
+        sendError(res, err, "SSO discovery failed");
+    }
+};
+
+/**
+ * Start a tenant SSO login (?redirect=/path&rememberMe=true) → redirect to the IdP
+ * GET /api/auth/sso/:tenantId/login
+ */
+exports.startLogin = async (req, res) => {
+    try {
+        const url = await ssoService.startLogin(req.params.tenantId, {
+            redirectPath: req.query.redirect,
+            rememberMe: req.query.rememberMe === "true"
+        });
+        res.redirect(url);
+    } catch (err) {
+        Logger.error("ssoStartLogin", "Failed to start SSO login", {
+            error: err,
+            context: { tenantId: req.params.tenantId },
+            req
+        });
+        const reason = err.statusCode ? err.code || "sso-failed" : "error";
+        res.redirect(`${getBaseURL().admin}/login?message=${reason}`);
+    }
+};
+
+/**
+ * SAML service provider metadata for the tenant's IdP admin
+ * GET /api/auth/sso/:tenantId/saml/metadata
+ */
+exports.getSamlMetadata = async (req, res) => {
+    try {
+        const xml = await ssoService.getServiceProviderMetadata(req.params.tenantId);
+        res.type("application/xml").status(200).send(xml);
+    } catch (err) {
+        Logger.error("getSamlMetadata", "Failed to generate SP metadata", {
+            error: err,
+            context: { tenantId: req.params.tenantId },
+            req
+        });
+        sendError(res, err, "Failed to generate SAML metadata");
+    }
+};
+
+/**
+ * Tenant SSO configuration (client secret masked) and the SP endpoints to
+ * register with the IdP
+ * GET /api/settings/sso
+ */
+exports.getConfig = async (req, res) => {
+    try {
+        const config = await ssoService.getPublicConfig(req.tenantId);
+        res.status(200).json({ success: true, data: config });
+    } catch (err) {
+        Logger.error("getSsoConfig", "Failed to load SSO config", { error: err, req });
+        sendError(res, err, "Failed to load SSO configuration");
+    }
+};
+
+/**
+ * Create or replace the tenant SSO configuration (runs OIDC discovery /
+ * parses SAML metadata before saving)
+ * PUT /api/settings/sso
+ */
+exports.updateConfig = async (req, res) => {
+    try {
+        const { error, value } = ssoConfigSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        await ssoService.saveConfig(req.tenantId, value, req.user._id);
+        const config = await ssoService.getPublicConfig(req.tenantId);
+
+        Logger.info("updateSsoConfig", "SSO configuration updated", {
+            context: { protocol: value.protocol, enabled: value.enabled, enforced: value.enforced },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "SSO configuration saved", data: config });
+    } catch (err) {
+        Logger.error("updateSsoConfig", "Failed to save SSO config", { error: err, req });
+        sendError(res, err, "Failed to save SSO configuration");
+    }
+};
+
+/**
+ * Verify an SSO domain through its DNS TXT record (see
+ * data.domainVerification in GET /api/settings/sso)
+ * POST /api/settings/sso/domains/verify { domain }
+ */
+exports.verifyDomain = async (req, res) => {
+    try {
+        const { error, value } = ssoVerifyDomainSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const config = await ssoService.verifyDomain(req.tenantId, value.domain, req.user._id);
+        res.status(200).json({ success: true, message: `${value.domain} verified`, data: config });
+    } catch (err) {
+        Logger.error("verifySsoDomain", "Failed to verify SSO domain", {
+            error: err,
+            context: { domain: req.body?.domain },
+            req
+        });
+        sendError(res, err, "Failed to verify domain");
+    }
+};
+
+/**
+ * Remove the tenant SSO configuration (users fall back to password login)
+ * DELETE /api/settings/sso
+ */
+exports.deleteConfig = async (req, res) => {
+    try {
+        await ssoService.deleteConfig(req.tenantId);
+
+        Logger.info("deleteSsoConfig", "SSO configuration removed", { req });
+
+        res.status(200).json({ success: true, message: "SSO configuration removed" });
+    } catch (err) {
+        Logger.error("deleteSsoConfig", "Failed to remove SSO config", { error: err, req });
+        sendError(res, err, "Failed to remove SSO configuration");
+    }
+};
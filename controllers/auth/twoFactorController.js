@@ -0,0 +1,191 @@
+// controllers/auth/twoFactorController.js
+// ============================================================================
+// Two-Factor Controller - the signed-in user's TOTP enrollment, recovery
+// codes and trusted devices. The login challenge itself lives in
+// authController (verifyTwoFactorChallenge).
+// ============================================================================
+
+const bcrypt = require("bcryptjs");
+const User = require("../../models/User");
+const twoFactorService = require("../../services/auth/twoFactorService");
+const {
+    enableTwoFactorSchema,
+    disableTwoFactorSchema,
+    regenerateRecoveryCodesSchema
+} = require("../../validators/twoFactorValidator");
+const Logger = require("../../utils/logger");
+
+const sendError = (res, err, fallback) =>
+    res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.statusCode ? err.message : fallback
+    });
+
+/**
+ * 2FA status for the current user
+ * GET /api/auth/2fa
+ */
+exports.getStatus = async (req, res) => {
+    try {
+        const status = await twoFactorService.getStatus(req.user._id);
+        res.status(200).json({ success: true, data: status });
+    } catch (err) {
+        Logger.error("getTwoFactorStatus", "Failed to get 2FA status", { error: err, req });
+        sendError(res, err, "Failed to get two-factor status");
+    }
+};
+
+/**
+ * Start enrollment: returns the secret and a QR code (data URL)
+ * POST /api/auth/2fa/setup
+ */
+exports.setup = async (req, res) => {
+    try {
+        const user = await twoFactorService.loadUserWithSecrets(req.user._id);
+        const setup = await twoFactorService.beginSetup(user);
+
+        res.status(200).json({
+            success: true,
+            message: "Scan the QR code with your authenticator app, then confirm with a code",
+            data: setup
+        });
+    } catch (err) {
+        Logger.error("setupTwoFactor", "Failed to start 2FA setup", { error: err, req });
+        sendError(res, err, "Failed to start two-factor setup");
+    }
+};
+
+/**
+ * Confirm enrollment with a code. Recovery codes are only returned here.
+ * POST /api/auth/2fa/enable
+ */
+exports.enable = async (req, res) => {
+    try {
+        const { error, value } = enableTwoFactorSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const user = await twoFactorService.loadUserWithSecrets(req.user._id);
+        const recoveryCodes = await twoFactorService.confirmSetup(user, value.code);
+
+        Logger.info("enableTwoFactor", "Two-factor authentication enabled", {
+            context: { userId: req.user._id },
+            req
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+            data: { recoveryCodes }
+        });
+    } catch (err) {
+        Logger.error("enableTwoFactor", "Failed to enable 2FA", { error: err, req });
+        sendError(res, err, "Failed to enable two-factor authentication");
+    }
+};
+
+/**
+ * Turn 2FA off (password + code). Blocked when the tenant requires it.
+ * POST /api/auth/2fa/disable
+ */
+exports.disable = async (req, res) => {
+    try {
+        const { error, value } = disableTwoFactorSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const user = await twoFactorService.loadUserWithSecrets(req.user._id);
+
+        if (user.authProvider === "local") {
+            const withPassword = await User.findById(user._id).select("+password");
+            if (!value.password || !(await bcrypt.compare(value.password, withPassword.password))) {
+                return res.status(401).json({ success: false, message: "Invalid password" });
+            }
+        }
+
+        await twoFactorService.disable(user, value);
+
+        Logger.info("disableTwoFactor", "Two-factor authentication disabled", {
+            context: { userId: req.user._id },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "Two-factor authentication disabled" });
+    } catch (err) {
+        Logger.error("disableTwoFactor", "Failed to disable 2FA", { error: err, req });
+        sendError(res, err, "Failed to disable two-factor authentication");
+    }
+};
+
+/**
+ * Replace recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { error, value } = regenerateRecoveryCodesSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const user = await twoFactorService.loadUserWithSecrets(req.user._id);
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user, value.code);
+
+        res.status(200).json({
+            success: true,
+            message: "New recovery codes generated. Previous codes no longer work.",
+            data: { recoveryCodes }
+        });
+    } catch (err) {
+        Logger.error("regenerateRecoveryCodes", "Failed to regenerate recovery codes", { error: err, req });
+        sendError(res, err, "Failed to regenerate recovery codes");
+    }
+};
+
+/**
+ * Devices that skip the 2FA challenge
+ * GET /api/auth/2fa/trusted-devices
+ */
+exports.getTrustedDevices = async (req, res) => {
+    try {
+        const devices = await twoFactorService.listTrustedDevices(req.user._id);
+        res.status(200).json({ success: true, data: devices });
+    } catch (err) {
+        Logger.error("getTrustedDevices", "Failed to list trusted devices", { error: err, req });
+        sendError(res, err, "Failed to list trusted devices");
+    }
+};
+
+/**
+ * Forget one trusted device
+ * DELETE /api/auth/2fa/trusted-devices/:id
+ */
+exports.revokeTrustedDevice = async (req, res) => {
+    try {
+        await twoFactorService.revokeTrustedDevice(req.user._id, req.params.id);
+        res.status(200).json({ success: true, message: "Trusted device removed" });
+    } catch (err) {
+        Logger.error("revokeTrustedDevice", "Failed to remove trusted device", {
+            error: err,
+            context: { deviceId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to remove trusted device");
+    }
+};
+
+/**
+ * Forget all trusted devices
+ * DELETE /api/auth/2fa/trusted-devices
+ */
+exports.revokeAllTrustedDevices = async (req, res) => {
+    try {
+        const removed = await twoFactorService.revokeAllTrustedDevices(req.user._id);
+        res.status(200).json({ success: true, message: "Trusted devices removed", data: { removed } });
+    } catch (err) {
+        Logger.error("revokeAllTrustedDevices", "Failed to remove trusted devices", { error: err, req });
+        sendError(res, err, "Failed to remove trusted devices");
+    }
+};
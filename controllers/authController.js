@@ -12,6 +12,10 @@ const Logger = require("../utils/logger");
 const { validatePasswordComplexity, PASSWORD_RULES } = require("../utils/passwordValidator");
 const EmailTemplate = require("../models/EmailTemplate");
 const getBaseURL = require("../utils/getBaseURL");
+const twoFactorService = require("../services/auth/twoFactorService");
+const sessionService = require("../services/auth/sessionService");
+const ssoService = require("../services/auth/ssoService");
+const { passport, isGoogleEnabled } = require("../config/passportConfig");
 
 // Helper: Generate OTP Code
 const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
@@ -73,6 +77,17 @@ const resetPasswordSchema = Joi.object({
     newPassword: Joi.string().min(8).required(),
 });
 
+// challengeToken: from the /login response, or the twoFactorChallenge cookie (Google sign-in)
+const twoFactorChallengeSchema = Joi.object({
+    challengeToken: Joi.string(),
+    code: Joi.string().pattern(/^\d{6}$/).messages({
+        "string.pattern.base": "Code must be 6 digits",
+    }),
+    recoveryCode: Joi.string().max(20),
+    trustDevice: Joi.boolean().optional(),
+    rememberMe: Joi.boolean().optional(),
+}).xor("code", "recoveryCode");
+
 const updateProfileSchema = Joi.object({
     name: Joi.string().min(2).max(50).optional(),
     phone: Joi.string().pattern(/^\+?\d{10,15}$/).allow("").optional(), // Allow phone with validation
@@ -135,7 +150,7 @@ exports.registerUser = async (req, res, next) => {
 
         // ----------------- Template Email -----------------
         try {
-            const template = await EmailTemplate.findOne({ type: "user_Verification", isActive: true });
+            const template = await EmailTemplate.findOne({ type: "user_Verification", tenant: null, isActive: true });
 
             if (template) {
                 const templateData = {};
@@ -240,10 +255,14 @@ exports.verifyEmailLink = async (req, res, next) => {
 
         const baseURL = ['admin', 'companyAdmin'].includes(user.role) ? process.env.FRONTEND_URL : process.env.RATEPRO_URL;
 
-        const accessToken = generateToken({ _id: user._id.toString(), role: user.role, tenant: user.tenant?.toString?.() || user.tenant, customRoles: (user.customRoles || []).map(r => r._id?.toString?.() || r.toString()) }, "access");
-        const refreshToken = generateToken({ _id: user._id.toString(), role: user.role }, "refresh");
+        const { session, refreshToken, maxAge } = await sessionService.createSession(user, {
+            rememberMe: true,
+            userAgent: req.headers["user-agent"],
+            ip: req.ip
+        });
+        const accessToken = generateToken({ _id: user._id.toString(), role: user.role, tenant: user.tenant?.toString?.() || user.tenant, customRoles: (user.customRoles || []).map(r => r._id?.toString?.() || r.toString()), sid: session._id.toString() }, "access");
 
-        res.cookie("refreshToken", refreshToken, { httpOnly: true, secure: process.env.NODE_ENV === "production", sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax", maxAge: 7 * 24 * 60 * 60 * 1000 });
+        res.cookie("refreshToken", refreshToken, { httpOnly: true, secure: process.env.NODE_ENV === "production", sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax", maxAge });
         res.cookie("accessToken", accessToken, { httpOnly: true, secure: process.env.NODE_ENV === "production", sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax", maxAge: 1 * 60 * 60 * 1000 });
 
         // Logger.info('verifyEmailLink', 'Email verified via link', {
@@ -393,7 +412,7 @@ exports.resendOtp = async (req, res, next) => {
 
         // ----------------- Template Email -----------------
         try {
-            const template = await EmailTemplate.findOne({ type: "otp_Notification", isActive: true });
+            const template = await EmailTemplate.findOne({ type: "otp_Notification", tenant: null, isActive: true });
 
             if (template) {
                 const templateData = {};
@@ -414,6 +433,7 @@ exports.resendOtp = async (req, res, next) => {
                     to: email,
                     subject: templateData.notificationSubject,
                     templateType: template.type,
+                    tenantId: user.tenant,
                     templateData
                 });
             } else {
@@ -582,6 +602,103 @@ exports.resendOtp = async (req, res, next) => {
 //     }
 // };
 
+// Relations returned with the user on login
+const LOGIN_POPULATE = [
+    { path: "tenant", select: "name domain isActive createdAt" },
+    {
+        path: "customRoles",
+        select: "name permissions createdAt",
+        populate: {
+            path: "permissions",
+            model: "Permission",
+            select: "name description group createdAt"
+        }
+    }
+];
+
+/**
+ * Start a session, issue access / refresh cookies and update lastLogin.
+ * Shared by password login and the 2FA challenge step.
+ * @returns {Promise<Object>} { accessToken, user } response body
+ */
+const completeLogin = async (req, res, user, { rememberMe } = {}) => {
+    // Server-side session (refresh-token family)
+    const { session, refreshToken, maxAge: refreshMaxAge } = await sessionService.createSession(user, {
+        rememberMe,
+        userAgent: req.headers["user-agent"],
+        ip: req.ip
+    });
+
+    // Generate tokens
+    const accessToken = generateToken({
+        _id: user._id.toString(),
+        role: user.role,
+        tenant: user.tenant?._id?.toString?.(),
+        customRoles: (user.customRoles || []).map(r => r._id.toString()),
+        sid: session._id.toString()
+    }, "access");
+
+    // Set cookies
+    // res.cookie("refreshToken", refreshToken, {
+    //     httpOnly: true,
+    //     secure: process.env.NODE_ENV === "production",
+    //     sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+    //     maxAge: 7 * 24 * 60 * 60 * 1000
+    // });
+    // res.cookie("accessToken", accessToken, {
+    //     httpOnly: true,
+    //     secure: process.env.NODE_ENV === "production",
+    //     sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+    //     maxAge: 30 * 60 * 60 * 1000
+    // });
+
+    const isProd = process.env.NODE_ENV === "production";
+
+    const cookieConfig = {
+        httpOnly: true,
+        secure: isProd,       // Railway uses HTTPS → must be true in prod
+        sameSite: isProd ? "none" : "lax", // NONE IS MANDATORY FOR CROSS SITE
+        path: "/"
+    };
+
+    res.cookie("accessToken", accessToken, {
+        ...cookieConfig,
+        maxAge: 15 * 60 * 1000,
+    });
+
+    res.cookie("refreshToken", refreshToken, {
+        ...cookieConfig,
+        maxAge: refreshMaxAge,
+    });
+
+    // Update last login
+    user.lastLogin = Date.now();
+    await user.save();
+
+    const safeUser = {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        customRoles: user.customRoles,
+        authProvider: user.authProvider,
+        bio: user.bio,
+        phone: user.phone,
+        isActive: user.isActive,
+        isVerified: user.isVerified,
+        surveyStats: user.surveyStats,
+        tenant: user.tenant,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+        companyProfileUpdated: user.companyProfileUpdated,
+        lastLogin: user.lastLogin,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+    };
+
+    return { accessToken, user: safeUser };
+};
+
+
 exports.loginUser = async (req, res, next) => {
     // Redact password from logs
     const safeBodyForLog = { ...req.body };
@@ -603,18 +720,7 @@ exports.loginUser = async (req, res, next) => {
 
         const user = await User.findOne({ email })
             .select("+password")
-            .populate([
-                { path: "tenant", select: "name domain isActive createdAt" },
-                {
-                    path: "customRoles",
-                    select: "name permissions createdAt",
-                    populate: {
-                        path: "permissions",
-                        model: "Permission",
-                        select: "name description group createdAt"
-                    }
-                }
-            ]);
+            .populate(LOGIN_POPULATE);
 
         if (!user) {
             Logger.error('loginUser', 'User not found', {
@@ -638,6 +744,26 @@ exports.loginUser = async (req, res, next) => {
             });
         }
 
+        // ─── Google / SSO accounts have no password ───
+        if (!user.password) {
+            return res.status(400).json({
+                message: user.authProvider === "sso"
+                    ? "This account signs in with your organization's SSO."
+                    : "This account signs in with Google.",
+                code: user.authProvider === "sso" ? "SSO_REQUIRED" : "GOOGLE_SIGN_IN_REQUIRED"
+            });
+        }
+
+        // ─── Tenant enforces SSO for members ───
+        const ssoRestriction = await ssoService.getLoginRestriction(user);
+        if (ssoRestriction) {
+            return res.status(403).json({
+                message: "Your organization requires single sign-on.",
+                code: "SSO_REQUIRED",
+                loginUrl: ssoRestriction.loginUrl
+            });
+        }
+
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
             // ─── Increment failed attempts & lock after 5 failures ───
@@ -677,6 +803,7 @@ exports.loginUser = async (req, res, next) => {
             try {
                 const template = await EmailTemplate.findOne({
                     type: "verify_Email_On_Login",
+                    tenant: null,
                     isActive: true
                 });
 
@@ -699,6 +826,7 @@ exports.loginUser = async (req, res, next) => {
                         to: email,
                         subject: templateData.notificationSubject,
                         templateType: template.type,
+                        tenantId: user.tenant,
                         templateData
                     });
                 } else {
@@ -743,75 +871,19 @@ exports.loginUser = async (req, res, next) => {
             });
         }
 
-        // Generate tokens
-        const accessToken = generateToken({
-            _id: user._id.toString(),
-            role: user.role,
-            tenant: user.tenant?._id?.toString?.(),
-            customRoles: (user.customRoles || []).map(r => r._id.toString())
-        }, "access");
-
-        const refreshToken = generateToken({ _id: user._id.toString(), role: user.role }, "refresh");
-
-        // Set cookies
-        // res.cookie("refreshToken", refreshToken, {
-        //     httpOnly: true,
-        //     secure: process.env.NODE_ENV === "production",
-        //     sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-        //     maxAge: 7 * 24 * 60 * 60 * 1000
-        // });
-        // res.cookie("accessToken", accessToken, {
-        //     httpOnly: true,
-        //     secure: process.env.NODE_ENV === "production",
-        //     sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-        //     maxAge: 30 * 60 * 60 * 1000
-        // });
-
-        const isProd = process.env.NODE_ENV === "production";
-
-        const cookieConfig = {
-            httpOnly: true,
-            secure: isProd,       // Railway uses HTTPS → must be true in prod
-            sameSite: isProd ? "none" : "lax", // NONE IS MANDATORY FOR CROSS SITE
-            path: "/"
-        };
-
-        const refreshMaxAge = rememberMe
-            ? 7 * 24 * 60 * 60 * 1000    // 7 days (Remember Me)
-            : 30 * 60 * 1000;             // 30 minutes (default)
-
-        res.cookie("accessToken", accessToken, {
-            ...cookieConfig,
-            maxAge: 15 * 60 * 1000,
-        });
-
-        res.cookie("refreshToken", refreshToken, {
-            ...cookieConfig,
-            maxAge: refreshMaxAge,
-        });
-
-        // Update last login
-        user.lastLogin = Date.now();
-        await user.save();
+        // ─── Two-factor authentication ───
+        const twoFactor = await twoFactorService.getLoginRequirement(user, req.cookies?.trustedDevice);
+        if (twoFactor) {
+            await user.save();
+            const challenge = await twoFactorService.createChallenge(user);
+            return res.status(200).json({
+                twoFactorRequired: true,
+                setupRequired: twoFactor.setupRequired,
+                ...challenge
+            });
+        }
 
-        const safeUser = {
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            customRoles: user.customRoles,
-            authProvider: user.authProvider,
-            bio: user.bio,
-            phone: user.phone,
-            isActive: user.isActive,
-            isVerified: user.isVerified,
-            surveyStats: user.surveyStats,
-            tenant: user.tenant,
-            createdAt: user.createdAt,
-            updatedAt: user.updatedAt,
-            companyProfileUpdated: user.companyProfileUpdated,
-            lastLogin: user.lastLogin,
-        };
+        const body = await completeLogin(req, res, user, { rememberMe });
 
         // Logger.info('loginUser', 'User logged in successfully', {
         //     context: {
@@ -819,7 +891,7 @@ exports.loginUser = async (req, res, next) => {
         //     },
         //     req
         // });
-        res.status(200).json({ accessToken, user: safeUser });
+        res.status(200).json(body);
     } catch (err) {
         console.error('Login error:', err);
         Logger.error('loginUser', 'Server error', {
@@ -831,6 +903,199 @@ exports.loginUser = async (req, res, next) => {
 };
 
 
+// Redirect logins (Google) hand the 2FA challenge over in this httpOnly cookie,
+// scoped to the challenge endpoints, so the token stays out of URLs
+const CHALLENGE_COOKIE = "twoFactorChallenge";
+const challengeCookieOptions = () => {
+    const isProd = process.env.NODE_ENV === "production";
+    return { httpOnly: true, secure: isProd, sameSite: isProd ? "none" : "lax", path: "/api/auth/2fa" };
+};
+
+// 2FA login step: start enrollment when the tenant requires 2FA but the user has none
+exports.setupTwoFactorChallenge = async (req, res, next) => {
+    try {
+        const otp = await twoFactorService.resolveChallenge(req.body?.challengeToken || req.cookies?.[CHALLENGE_COOKIE]);
+        const user = await User.findOne({ email: otp.email }).select(twoFactorService.SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const setup = await twoFactorService.beginSetup(user);
+        res.status(200).json(setup);
+    } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        Logger.error('setupTwoFactorChallenge', 'Server error', { error: err, req });
+        next(err);
+    }
+};
+
+// 2FA login step: verify the TOTP / recovery code and issue tokens
+exports.verifyTwoFactorChallenge = async (req, res, next) => {
+    try {
+        const { error, value } = twoFactorChallengeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const otp = await twoFactorService.resolveChallenge(value.challengeToken || req.cookies?.[CHALLENGE_COOKIE]);
+        const user = await User.findOne({ email: otp.email })
+            .select(twoFactorService.SECRET_FIELDS)
+            .populate(LOGIN_POPULATE);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        let recoveryCodes;
+        try {
+            if (user.twoFactor?.enabled) {
+                await twoFactorService.verifySecondFactor(user, value);
+            } else {
+                // Enrollment required by the tenant policy (see setupTwoFactorChallenge)
+                recoveryCodes = await twoFactorService.confirmSetup(user, value.code);
+            }
+        } catch (factorErr) {
+            if (!factorErr.statusCode) throw factorErr;
+            await twoFactorService.recordFailedChallenge(otp);
+            Logger.error('verifyTwoFactorChallenge', 'Invalid two-factor code', {
+                context: { email: otp.email, attempts: otp.attempts },
+                req
+            });
+            return res.status(401).json({ message: factorErr.message });
+        }
+        await twoFactorService.completeChallenge(otp);
+        res.clearCookie(CHALLENGE_COOKIE, challengeCookieOptions());
+
+        // "Trust this device" - skip the challenge on this browser for 30 days
+        if (value.trustDevice) {
+            const { token, expiresAt } = await twoFactorService.trustDevice(user._id, {
+                userAgent: req.headers["user-agent"],
+                ip: req.ip
+            });
+            const isProd = process.env.NODE_ENV === "production";
+            res.cookie("trustedDevice", token, {
+                httpOnly: true,
+                secure: isProd,
+                sameSite: isProd ? "none" : "lax",
+                path: "/",
+                expires: expiresAt,
+            });
+        }
+
+        const body = await completeLogin(req, res, user, { rememberMe: value.rememberMe });
+        res.status(200).json(recoveryCodes ? { ...body, recoveryCodes } : body);
+    } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        Logger.error('verifyTwoFactorChallenge', 'Server error', { error: err, req });
+        next(err);
+    }
+};
+
+// Frontend for a user's role (tenant users → admin app, public users → public site)
+const getAppBaseUrl = (user) =>
+    ["admin", "companyAdmin", "member"].includes(user?.role) ? getBaseURL().admin : getBaseURL().public;
+
+/**
+ * Finish a browser-redirect login (Google / SSO): create the session, set
+ * cookies and send the user to the frontend.
+ */
+const completeRedirectLogin = async (req, res, userId, { rememberMe, redirectPath } = {}) => {
+    const user = await User.findById(userId).populate(LOGIN_POPULATE);
+    await completeLogin(req, res, user, { rememberMe });
+    return res.redirect(`${getAppBaseUrl(user)}${redirectPath || "/app"}`);
+};
+
+// Google sign-in: redirect to Google
+exports.googleAuth = (req, res, next) => {
+    if (!isGoogleEnabled()) {
+        return res.status(404).json({ message: "Google sign-in is not configured" });
+    }
+    passport.authenticate("google", {
+        scope: ["profile", "email"],
+        session: false,
+        prompt: "select_account"
+    })(req, res, next);
+};
+
+// Google sign-in: OAuth callback
+exports.googleCallback = (req, res, next) => {
+    if (!isGoogleEnabled()) {
+        return res.status(404).json({ message: "Google sign-in is not configured" });
+    }
+    const loginUrl = `${getBaseURL().public}/login`;
+
+    passport.authenticate("google", { session: false }, async (err, user, info) => {
+        try {
+            if (err || !user) {
+                Logger.error('googleCallback', 'Google sign-in failed', {
+                    error: err,
+                    context: { reason: info?.message },
+                    req
+                });
+                const reason = /^google-/.test(info?.message || "") ? info.message : "google-failed";
+                return res.redirect(`${loginUrl}?message=${reason}`);
+            }
+
+            if (!user.isActive || user.deleted) {
+                return res.redirect(`${loginUrl}?message=account-deactivated`);
+            }
+
+            if (await ssoService.getLoginRestriction(user)) {
+                return res.redirect(`${getAppBaseUrl(user)}/login?message=sso-required`);
+            }
+
+            // Same 2FA gate as password login; the frontend resumes at /2fa/challenge
+            // without a challengeToken (it is in the twoFactorChallenge cookie)
+            const twoFactor = await twoFactorService.getLoginRequirement(user, req.cookies?.trustedDevice);
+            if (twoFactor) {
+                const challenge = await twoFactorService.createChallenge(user);
+                res.cookie(CHALLENGE_COOKIE, challenge.challengeToken, {
+                    ...challengeCookieOptions(),
+                    maxAge: challenge.expiresIn * 1000
+                });
+                const params = new URLSearchParams({
+                    twoFactorRequired: "true",
+                    setupRequired: String(twoFactor.setupRequired)
+                });
+                return res.redirect(`${getAppBaseUrl(user)}/login?${params}`);
+            }
+
+            return await completeRedirectLogin(req, res, user._id);
+        } catch (callbackErr) {
+            Logger.error('googleCallback', 'Server error', { error: callbackErr, req });
+            return res.redirect(`${loginUrl}?message=error`);
+        }
+    })(req, res, next);
+};
+
+// Tenant SSO login result (OIDC callback / SAML ACS). The IdP handles MFA,
+// so SSO logins skip the 2FA challenge.
+const handleSsoResult = async (req, res, complete) => {
+    try {
+        const { user, redirectPath, rememberMe } = await complete();
+        return await completeRedirectLogin(req, res, user._id, { rememberMe, redirectPath });
+    } catch (err) {
+        Logger.error('ssoLogin', 'SSO login failed', {
+            error: err,
+            context: { tenantId: req.params.tenantId, code: err.code },
+            req
+        });
+        const reason = err.statusCode ? err.code || "sso-failed" : "error";
+        return res.redirect(`${getBaseURL().admin}/login?message=${reason}`);
+    }
+};
+
+// SSO: OIDC authorization code callback
+exports.ssoOidcCallback = (req, res) =>
+    handleSsoResult(req, res, () => ssoService.completeOidcLogin(req.params.tenantId, req.query));
+
+// SSO: SAML assertion consumer service (HTTP-POST binding)
+exports.ssoSamlAcs = (req, res) =>
+    handleSsoResult(req, res, () => ssoService.completeSamlLogin(req.params.tenantId, req.body || {}));
+
 // Forgot Password
 exports.forgotPassword = async (req, res, next) => {
     try {
@@ -874,6 +1139,7 @@ exports.forgotPassword = async (req, res, next) => {
         try {
             const template = await EmailTemplate.findOne({
                 type: "forgot_Password_OTP",
+                tenant: null,
                 isActive: true
             });
 
@@ -896,6 +1162,7 @@ exports.forgotPassword = async (req, res, next) => {
                     to: email,
                     subject: templateData.notificationSubject,
                     templateType: template.type,
+                    tenantId: user.tenant,
                     templateData
                 });
             } else {
@@ -1048,9 +1315,14 @@ exports.resetPassword = async (req, res, next) => {
             const oldHash = user.password;
             updateFields.previousPasswords = [oldHash, ...(user.previousPasswords || [])].slice(0, PASSWORD_RULES.HISTORY_COUNT);
         }
-        await User.findOneAndUpdate({ email }, updateFields);
+        const updatedUser = await User.findOneAndUpdate({ email }, updateFields);
         await OTP.deleteMany({ email, purpose: "reset" });
 
+        // Sign out every device that may have been using the old password
+        if (updatedUser) {
+            await sessionService.revokeAllForUser(updatedUser._id, { reason: "password_reset" });
+        }
+
         // Logger.info('resetPassword', 'Password reset successful', {
         //     context: {
         //         email
@@ -1221,6 +1493,12 @@ exports.logoutUser = async (req, res) => {
             sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax",
         };
 
+        // Revoke the server-side session so the refresh token stops working
+        const sessionId = sessionService.getSessionIdFromToken(req.cookies?.refreshToken) || req.sessionId;
+        if (sessionId) {
+            await sessionService.revokeSession(sessionId, "logout", req.user?._id);
+        }
+
         res.clearCookie("accessToken", cookieOptions);
         res.clearCookie("refreshToken", cookieOptions);
 
@@ -1247,7 +1525,7 @@ exports.logoutUser = async (req, res) => {
     }
 };
 
-// Refresh Access Token
+// Refresh Access Token (rotates the refresh token)
 exports.refreshAccessToken = async (req, res) => {
     try {
         const refreshToken = req.cookies.refreshToken;
@@ -1255,31 +1533,38 @@ exports.refreshAccessToken = async (req, res) => {
         if (!refreshToken)
             return res.status(401).json({ message: "No refresh token provided" });
 
-        // Verify refresh token
-        const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-        const user = await User.findById(decoded._id || decoded.id)
-            .populate('customRoles');
-
-        if (!user)
-            return res.status(401).json({ message: "User not found" });
+        // Verify, check against the session and rotate (reuse revokes the session)
+        const rotated = await sessionService.rotateRefreshToken(refreshToken, {
+            userAgent: req.headers["user-agent"],
+            ip: req.ip
+        });
+        const { user, session } = rotated;
 
         // Generate new access token using the same helper as loginUser
         const accessToken = generateToken({
             _id: user._id.toString(),
             role: user.role,
             tenant: user.tenant?.toString?.(),
-            customRoles: (user.customRoles || []).map(r => r._id ? r._id.toString() : r.toString())
+            customRoles: (user.customRoles || []).map(r => r._id ? r._id.toString() : r.toString()),
+            sid: session._id.toString()
         }, "access");
 
-        // ✅ Set new accessToken cookie (same config as loginUser)
+        // ✅ Set new accessToken / refreshToken cookies (same config as loginUser)
         const isProd = process.env.NODE_ENV === "production";
-        res.cookie("accessToken", accessToken, {
+        const cookieConfig = {
             httpOnly: true,
             secure: isProd,
             sameSite: isProd ? "none" : "lax",
             path: "/",
+        };
+        res.cookie("accessToken", accessToken, {
+            ...cookieConfig,
             maxAge: 15 * 60 * 1000,
         });
+        res.cookie("refreshToken", rotated.refreshToken, {
+            ...cookieConfig,
+            maxAge: rotated.maxAge,
+        });
 
         const responseData = {
             accessToken,
@@ -1293,6 +1578,17 @@ exports.refreshAccessToken = async (req, res) => {
 
         return res.status(200).json(responseData);
     } catch (err) {
+        if (err.statusCode) {
+            const isProd = process.env.NODE_ENV === "production";
+            res.clearCookie("refreshToken", {
+                httpOnly: true,
+                secure: isProd,
+                sameSite: isProd ? "none" : "lax",
+                path: "/",
+            });
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+
         console.error("refreshAccessToken error:", err);
 
         // ❌ Log error
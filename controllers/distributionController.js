@@ -1,10 +1,11 @@
 // controllers/distributionController.js
 const Survey = require('../models/Survey');
-const WhatsAppSetting = require('../models/WhatsAppSetting');
-const sendWhatsApp = require('../utils/sendWhatsApp');
 const Joi = require('joi');
 const Tenant = require('../models/Tenant');
 const Logger = require("../utils/logger");
+const { sendSurveyWhatsAppInvites } = require('../services/distribution/whatsappService');
+const { sendSurveySMSInvites } = require('../services/distribution/smsService');
+const deliveryStatusService = require('../services/distribution/deliveryStatusService');
 
 const sendSchema = Joi.object({
   surveyId: Joi.string().hex().length(24).required(),
@@ -13,58 +14,49 @@ const sendSchema = Joi.object({
   viaTenantDefault: Joi.boolean().optional().default(true), // use tenant settings if recipients not provided
 });
 
-// Send survey via WhatsApp
-exports.sendSurveyWhatsApp = async (req, res, next) => {
-  try {
-    const { error, value } = sendSchema.validate(req.body);
-    if (error) return res.status(400).json({ message: error.details[0].message });
-
-    const { surveyId, recipients: providedRecipients, messageTemplate, viaTenantDefault } = value;
+/**
+ * Validate the send payload and resolve survey + phone numbers.
+ * Sends the error response itself and returns null when the request can't proceed.
+ */
+const prepareSend = async (req, res) => {
+  const { error, value } = sendSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({ message: error.details[0].message });
+    return null;
+  }
 
-    const survey = await Survey.findById(surveyId);
-    if (!survey || survey.deleted) return res.status(404).json({ message: 'Survey not found' });
+  const { surveyId, recipients: providedRecipients, messageTemplate, viaTenantDefault } = value;
 
-    const link = `${process.env.FRONTEND_URL}/take-survey/${survey._id}`;
-    const defaultMsg = messageTemplate || `Please take this quick survey: ${link}`;
+  const survey = await Survey.findOne({ _id: surveyId, tenant: req.tenantId });
+  if (!survey || survey.deleted) {
+    res.status(404).json({ message: 'Survey not found' });
+    return null;
+  }
 
-    let toList = providedRecipients || [];
-    if ((!toList || toList.length === 0) && viaTenantDefault) {
-      const tenant = await Tenant.findById(req.tenantId).select("contacts");
-      if (tenant?.contacts?.length > 0) {
-        toList = tenant.contacts.map(c => c.phone);
-      }
+  let toList = providedRecipients || [];
+  if ((!toList || toList.length === 0) && viaTenantDefault) {
+    const tenant = await Tenant.findById(req.tenantId).select("contacts");
+    if (tenant?.contacts?.length > 0) {
+      toList = tenant.contacts.map(c => c.phone).filter(Boolean);
     }
+  }
 
-    if (!toList || toList.length === 0) {
-      return res.status(400).json({ message: 'No recipients provided. Provide recipients or enable tenant contacts.' });
-    }
+  if (!toList || toList.length === 0) {
+    res.status(400).json({ message: 'No recipients provided. Provide recipients or enable tenant contacts.' });
+    return null;
+  }
 
-    const waSetting = await WhatsAppSetting.findOne({ tenant: req.tenantId, isActive: true });
-    const config = waSetting ? {
-      provider: waSetting.provider,
-      twilio: waSetting.twilio,
-      meta: waSetting.meta,
-    } : null;
-
-    const results = [];
-    for (const to of toList) {
-      try {
-        const body = defaultMsg;
-        const sendRes = await sendWhatsApp({ to, body, config });
-        results.push({ to, success: true, resp: sendRes });
-      } catch (err) {
-        results.push({ to, success: false, error: err.message });
-      }
-    }
+  return { survey, phones: toList, messageTemplate };
+};
+
+// Send survey via WhatsApp (one tracked invite per recipient)
+exports.sendSurveyWhatsApp = async (req, res, next) => {
+  try {
+    const prepared = await prepareSend(req, res);
+    if (!prepared) return;
+
+    const results = await sendSurveyWhatsAppInvites({ ...prepared, tenantId: req.tenantId });
 
-    // Logger.info("sendSurveyWhatsApp", "Survey WhatsApp messages attempted", {
-    //   context: {
-    //     tenantId: req.tenantId,
-    //     surveyId,
-    //     recipients: toList.length
-    //   },
-    //   req
-    // });
     res.status(200).json({ message: 'Send attempted', results });
   } catch (err) {
     console.error('sendSurveyWhatsApp error:', err);
@@ -79,27 +71,84 @@ exports.sendSurveyWhatsApp = async (req, res, next) => {
   }
 };
 
+// Send survey via SMS (one tracked invite per recipient)
+exports.sendSurveySMS = async (req, res, next) => {
+  try {
+    const prepared = await prepareSend(req, res);
+    if (!prepared) return;
+
+    const results = await sendSurveySMSInvites({ ...prepared, tenantId: req.tenantId });
+
+    res.status(200).json({ message: 'Send attempted', results });
+  } catch (err) {
+    Logger.error("sendSurveySMS", "Failed to send survey SMS", {
+      error: err,
+      context: {
+        tenantId: req.tenantId
+      },
+      req
+    });
+    next(err);
+  }
+};
+
 /**
- * Webhook to receive delivery / incoming messages (provider-dependent)
- * For Twilio, Twilio will POST status updates to configured webhook.
- * For Meta, the Graph API webhook structure differs.
- *
- * Minimal implementation: verify and log, then respond 200.
+ * Twilio status callback (SMS or WhatsApp) → invite delivery status
+ */
+const handleTwilioStatus = async (req, res, channel) => {
+  const update = deliveryStatusService.parseTwilioStatus(req.body);
+  if (!update) return res.status(400).send('Invalid payload');
+
+  const valid = await deliveryStatusService.verifyTwilioSignature({
+    signature: req.get('X-Twilio-Signature'),
+    params: req.body,
+    urls: [
+      await deliveryStatusService.getStatusCallbackUrl(channel),
+      `${req.protocol}://${req.get('host')}${req.originalUrl}`
+    ],
+    messageId: update.messageId,
+  });
+  if (!valid) {
+    Logger.warn("deliveryWebhook", "Rejected Twilio callback with invalid signature", {
+      context: { channel, messageId: update.messageId },
+      req
+    });
+    return res.status(403).send('Invalid signature');
+  }
+
+  await deliveryStatusService.applyStatusUpdate(update);
+  res.status(200).send('OK');
+};
+
+/**
+ * Meta WhatsApp Cloud API webhook → invite delivery status
+ */
+const handleMetaStatus = async (req, res) => {
+  const valid = await deliveryStatusService.verifyMetaSignature(req.rawBody, req.get('X-Hub-Signature-256'));
+  if (!valid) {
+    Logger.warn("deliveryWebhook", "Rejected Meta webhook with invalid signature", { req });
+    return res.status(403).send('Invalid signature');
+  }
+
+  for (const update of deliveryStatusService.parseMetaStatuses(req.body)) {
+    await deliveryStatusService.applyStatusUpdate(update);
+  }
+  res.status(200).send('OK');
+};
+
+/**
+ * Webhook to receive WhatsApp delivery status updates.
+ * Twilio POSTs form-encoded status callbacks (X-Twilio-Signature);
+ * Meta POSTs `whatsapp_business_account` JSON (X-Hub-Signature-256).
  */
 
 // WhatsApp webhook handler
 exports.whatsappWebhook = async (req, res) => {
   try {
-    // Logger.info("whatsappWebhook", "Received WhatsApp webhook", {
-    //   context: {
-    //     body: req.body
-    //   },
-    //   req
-    // });
-
-    // TODO: provider-specific parsing and status update
-
-    res.status(200).send('OK');
+    if (req.body?.object === 'whatsapp_business_account') {
+      return await handleMetaStatus(req, res);
+    }
+    await handleTwilioStatus(req, res, 'whatsapp');
   } catch (err) {
     console.error('WhatsApp webhook error:', err);
     Logger.error("whatsappWebhook", "Error handling WhatsApp webhook", {
@@ -112,3 +161,34 @@ exports.whatsappWebhook = async (req, res) => {
     res.status(500).send('Error');
   }
 };
+
+// Meta webhook subscription handshake (GET)
+exports.verifyWhatsAppWebhook = async (req, res) => {
+  try {
+    const challenge = await deliveryStatusService.verifyMetaSubscription(req.query);
+    if (challenge == null) return res.status(403).send('Forbidden');
+    res.status(200).send(challenge);
+  } catch (err) {
+    Logger.error("verifyWhatsAppWebhook", "Error verifying WhatsApp webhook", {
+      error: err,
+      req
+    });
+    res.status(500).send('Error');
+  }
+};
+
+// SMS (Twilio) status callback handler
+exports.smsWebhook = async (req, res) => {
+  try {
+    await handleTwilioStatus(req, res, 'sms');
+  } catch (err) {
+    Logger.error("smsWebhook", "Error handling SMS webhook", {
+      error: err,
+      context: {
+        body: req.body
+      },
+      req
+    });
+    res.status(500).send('Error');
+  }
+};
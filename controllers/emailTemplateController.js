@@ -211,20 +211,11 @@
 // };
 // controllers/emailTemplateController.js
 const EmailTemplate = require("../models/EmailTemplate");
+const EmailTemplateVersion = require("../models/EmailTemplateVersion");
+const emailTemplateService = require("../services/email/emailTemplateService");
+const { extractTemplateVariables, SUPPORTED_LANGUAGES } = require("../utils/renderEmailTemplate");
 const Logger = require("../utils/logger");
 
-const extractVariables = (body) => {
-    if (!body) return [];
-    // Regex to detect ${variableName}
-    const regex = /\$\{(\w+)\}/g;
-    const vars = new Set();
-    let match;
-    while ((match = regex.exec(body)) !== null) {
-        vars.add(match[1]);
-    }
-    return Array.from(vars);
-};
-
 
 // CREATE template
 // exports.createTemplate = async (req, res) => {
@@ -266,21 +257,22 @@ const extractVariables = (body) => {
 // };
 exports.createTemplate = async (req, res) => {
     try {
-        const { name, subject, body, description, type } = req.body;
+        const { name, subject, body, description, type, translations } = req.body;
 
-        // Check duplicate template name
-        const existingTemplate = await EmailTemplate.findOne({ name });
+        // Check duplicate template name (system templates)
+        const existingTemplate = await EmailTemplate.findOne({ name, tenant: null });
         if (existingTemplate) {
             return res.status(400).json({ message: "Template name already exists" });
         }
 
-        // Auto-detect variables from body
-        const variables = extractVariables(body);
+        // Auto-detect variables from subject/body (all languages)
+        const variables = extractTemplateVariables(subject, body, translations?.ar?.subject, translations?.ar?.body);
 
         const template = new EmailTemplate({
             name,
             subject,
             body,
+            translations,
             variables,
             description: description || '',
             type: type || 'default',
@@ -317,7 +309,8 @@ exports.createTemplate = async (req, res) => {
 exports.getTemplates = async (req, res) => {
     try {
         const { isActive } = req.query;
-        let filter = {};
+        // Tenant overrides are listed through /overrides
+        let filter = { tenant: null };
 
         if (isActive !== undefined) {
             filter.isActive = isActive === 'true';
@@ -325,9 +318,9 @@ exports.getTemplates = async (req, res) => {
 
         const templates = await EmailTemplate.find(filter).sort({ createdAt: -1 });
 
-        const totalCount = await EmailTemplate.countDocuments();
-        const activeCount = await EmailTemplate.countDocuments({ isActive: true });
-        const inactiveCount = await EmailTemplate.countDocuments({ isActive: false });
+        const totalCount = await EmailTemplate.countDocuments({ tenant: null });
+        const activeCount = await EmailTemplate.countDocuments({ tenant: null, isActive: true });
+        const inactiveCount = await EmailTemplate.countDocuments({ tenant: null, isActive: false });
 
         // Logger.info("getTemplates", "Fetched all email templates", {
         //     context: {
@@ -363,7 +356,7 @@ exports.getTemplates = async (req, res) => {
 // READ ONE template
 exports.getTemplateById = async (req, res) => {
     try {
-        const template = await EmailTemplate.findById(req.params.id);
+        const template = await EmailTemplate.findOne({ _id: req.params.id, tenant: null });
         if (!template) {
             return res.status(404).json({
                 success: false,
@@ -371,6 +364,11 @@ exports.getTemplateById = async (req, res) => {
             });
         }
 
+        res.status(200).json({
+            success: true,
+            data: template
+        });
+
         // Logger.info("getTemplateById", "Fetched email template by ID", {
         //     context: {
         //         templateId: template._id
@@ -384,6 +382,7 @@ exports.getTemplateById = async (req, res) => {
             context: {},
             req
         });
+        res.status(500).json({ success: false, message: error.message });
     }
 };
 
@@ -435,29 +434,36 @@ exports.getTemplateById = async (req, res) => {
 // };
 exports.updateTemplate = async (req, res) => {
     try {
-        const { name, subject, body, description, isActive, type } = req.body;
+        const { name, subject, body, description, isActive, type, translations } = req.body;
 
-        const template = await EmailTemplate.findById(req.params.id);
+        const template = await EmailTemplate.findOne({ _id: req.params.id, tenant: null });
         if (!template) {
             return res.status(404).json({ success: false, message: "Template not found" });
         }
 
         // Check if name already exists (excluding current template)
         if (name && name !== template.name) {
-            const existingTemplate = await EmailTemplate.findOne({ name });
+            const existingTemplate = await EmailTemplate.findOne({ name, tenant: null });
             if (existingTemplate) {
                 return res.status(400).json({ message: "Template name already exists" });
             }
         }
 
-        // Auto-detect variables from body
+        // Auto-detect variables from subject/body (all languages)
         const updatedBody = body || template.body;
-        const variables = extractVariables(updatedBody);
+        const updatedTranslations = translations || template.translations;
+        const variables = extractTemplateVariables(
+            subject || template.subject,
+            updatedBody,
+            updatedTranslations?.ar?.subject,
+            updatedTranslations?.ar?.body
+        );
 
         const updateData = {
             name: name || template.name,
             subject: subject || template.subject,
             body: updatedBody,
+            translations: updatedTranslations,
             variables,
             description: description || template.description,
             isActive: isActive !== undefined ? isActive : template.isActive,
@@ -497,13 +503,19 @@ exports.updateTemplate = async (req, res) => {
 // DELETE template
 exports.deleteTemplate = async (req, res) => {
     try {
-        const template = await EmailTemplate.findById(req.params.id);
+        const template = await EmailTemplate.findOne({ _id: req.params.id, tenant: null });
         if (!template) {
             return res.status(404).json({ success: false, message: "Template not found" });
         }
 
+        // Tenant overrides of this template go with it
+        const overrides = await EmailTemplate.find({ baseTemplate: template._id }).select("_id");
+        await EmailTemplateVersion.deleteMany({ template: { $in: overrides.map(o => o._id) } });
+        await EmailTemplate.deleteMany({ baseTemplate: template._id });
         await EmailTemplate.findByIdAndDelete(req.params.id);
 
+        res.status(200).json({ success: true, message: "Template deleted successfully" });
+
         // Logger.info("deleteTemplate", "Email template deleted", {
         //     context: {
         //         templateId: req.params.id
@@ -524,7 +536,7 @@ exports.deleteTemplate = async (req, res) => {
 // TOGGLE template status
 exports.toggleTemplateStatus = async (req, res) => {
     try {
-        const template = await EmailTemplate.findById(req.params.id);
+        const template = await EmailTemplate.findOne({ _id: req.params.id, tenant: null });
         if (!template) {
             return res.status(404).json({ success: false, message: "Template not found" });
         }
@@ -553,4 +565,189 @@ exports.toggleTemplateStatus = async (req, res) => {
         });
         res.status(500).json({ success: false, message: error.message });
     }
-};
\ No newline at end of file
+};
+// ============================================
+// TENANT OVERRIDES
+// ============================================
+
+// Service errors carry { status, message, errors }
+const sendError = (res, error) =>
+    res.status(error.status || 500).json({ success: false, message: error.message, errors: error.errors });
+
+// LIST system templates with the tenant's overrides
+exports.getTenantTemplates = async (req, res) => {
+    try {
+        const templates = await emailTemplateService.listTemplatesForTenant(req.tenantId);
+        res.status(200).json({ success: true, data: templates });
+    } catch (error) {
+        Logger.error("getTenantTemplates", "Failed to fetch tenant email templates", {
+            error,
+            context: { tenantId: req.tenantId },
+            req
+        });
+        sendError(res, error);
+    }
+};
+
+// READ the tenant's override of a system template
+exports.getOverride = async (req, res) => {
+    try {
+        const { systemTemplate, override } = await emailTemplateService.getOverride({
+            templateId: req.params.id,
+            tenantId: req.tenantId
+        });
+        res.status(200).json({ success: true, data: { template: systemTemplate, override } });
+    } catch (error) {
+        if (!error.status) {
+            Logger.error("getOverride", "Failed to fetch email template override", {
+                error,
+                context: { tenantId: req.tenantId, templateId: req.params.id },
+                req
+            });
+        }
+        sendError(res, error);
+    }
+};
+
+// CREATE / UPDATE the tenant's override (new version on every save)
+exports.saveOverride = async (req, res) => {
+    try {
+        const { subject, body, translations, description, isActive, note } = req.body;
+
+        const override = await emailTemplateService.saveOverride({
+            templateId: req.params.id,
+            tenantId: req.tenantId,
+            userId: req.user._id,
+            data: { subject, body, translations, description, isActive, note }
+        });
+
+        Logger.info("saveOverride", "Email template override saved", {
+            context: { tenantId: req.tenantId, templateId: req.params.id, version: override.version },
+            req
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Template override saved (version ${override.version})`,
+            data: override
+        });
+    } catch (error) {
+        if (!error.status) {
+            Logger.error("saveOverride", "Failed to save email template override", {
+                error,
+                context: { tenantId: req.tenantId, templateId: req.params.id },
+                req
+            });
+        }
+        sendError(res, error);
+    }
+};
+
+// DELETE the tenant's override (back to the system template)
+exports.deleteOverride = async (req, res) => {
+    try {
+        await emailTemplateService.deleteOverride({ templateId: req.params.id, tenantId: req.tenantId });
+        res.status(200).json({ success: true, message: "Template override removed" });
+    } catch (error) {
+        if (!error.status) {
+            Logger.error("deleteOverride", "Failed to delete email template override", {
+                error,
+                context: { tenantId: req.tenantId, templateId: req.params.id },
+                req
+            });
+        }
+        sendError(res, error);
+    }
+};
+
+// LIST override versions
+exports.getOverrideVersions = async (req, res) => {
+    try {
+        const data = await emailTemplateService.listVersions({ templateId: req.params.id, tenantId: req.tenantId });
+        res.status(200).json({ success: true, data });
+    } catch (error) {
+        if (!error.status) {
+            Logger.error("getOverrideVersions", "Failed to fetch email template versions", {
+                error,
+                context: { tenantId: req.tenantId, templateId: req.params.id },
+                req
+            });
+        }
+        sendError(res, error);
+    }
+};
+
+// ROLLBACK the override to an earlier version
+exports.rollbackOverride = async (req, res) => {
+    try {
+        const version = Number(req.params.version);
+        if (!Number.isInteger(version) || version < 1) {
+            return res.status(400).json({ success: false, message: "Invalid version" });
+        }
+
+        const override = await emailTemplateService.rollbackOverride({
+            templateId: req.params.id,
+            tenantId: req.tenantId,
+            userId: req.user._id,
+            version
+        });
+
+        Logger.info("rollbackOverride", "Email template override rolled back", {
+            context: { tenantId: req.tenantId, templateId: req.params.id, restoredFrom: version, version: override.version },
+            req
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Restored version ${version} as version ${override.version}`,
+            data: override
+        });
+    } catch (error) {
+        if (!error.status) {
+            Logger.error("rollbackOverride", "Failed to roll back email template override", {
+                error,
+                context: { tenantId: req.tenantId, templateId: req.params.id },
+                req
+            });
+        }
+        sendError(res, error);
+    }
+};
+
+// PREVIEW a template (effective or draft) with sample data
+exports.previewTemplate = async (req, res) => {
+    try {
+        const { language = "en", sampleData = {}, subject, body, translations } = req.body || {};
+
+        if (!SUPPORTED_LANGUAGES.includes(language)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.join(", ")}`
+            });
+        }
+
+        const hasDraft = subject !== undefined || body !== undefined || translations !== undefined;
+        const draft = hasDraft
+            ? Object.fromEntries(Object.entries({ subject, body, translations }).filter(([, v]) => v !== undefined))
+            : null;
+
+        const data = await emailTemplateService.previewTemplate({
+            templateId: req.params.id,
+            tenantId: req.tenantId,
+            language,
+            sampleData,
+            draft
+        });
+
+        res.status(200).json({ success: true, data });
+    } catch (error) {
+        if (!error.status) {
+            Logger.error("previewTemplate", "Failed to preview email template", {
+                error,
+                context: { tenantId: req.tenantId, templateId: req.params.id },
+                req
+            });
+        }
+        sendError(res, error);
+    }
+};
@@ -5,6 +5,7 @@ const EmailTemplate = require("../../models/EmailTemplate");
 const sendEmail = require("../../utils/sendEmail");
 const sendSMS = require("../../utils/sendSMS");
 const { followUpSchema } = require("../../validators/feedbackValidator");
+const { pushStatusHistory } = require("../../services/action/actionService");
 const Logger = require("../../utils/logger");
 
 /**
@@ -51,6 +52,7 @@ exports.followUp = async (req, res) => {
                 try {
                     const template = await EmailTemplate.findOne({
                         type: "followUp_Notification",
+                        tenant: null,
                         isActive: true
                     });
 
@@ -72,6 +74,7 @@ exports.followUp = async (req, res) => {
                             to: toEmail,
                             subject: "Follow-up on Feedback",
                             templateType: template.type,
+                            tenantId: action.tenant,
                             templateData
                         });
                     } else {
@@ -95,7 +98,10 @@ exports.followUp = async (req, res) => {
             }
 
             // Update action status
-            action.status = action.status === "open" ? "in-progress" : action.status;
+            if (action.status === "open") {
+                pushStatusHistory(action, { from: "open", to: "in-progress", byUserId: req.user._id, note: "Follow-up sent" });
+                action.status = "in-progress";
+            }
             await action.save();
 
             results.push(sent);
@@ -387,6 +387,7 @@ exports.followUp = async (req, res) => {
         try {
           const template = await EmailTemplate.findOne({
             type: "followUp_Notification",
+            tenant: null,
             isActive: true
           });
 
@@ -408,6 +409,7 @@ exports.followUp = async (req, res) => {
               to: toEmail,
               subject: "Follow-up on Feedback",
               templateType: template.type,
+              tenantId: action.tenant,
               templateData
             });
           } else {
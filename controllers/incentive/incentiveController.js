@@ -0,0 +1,248 @@
+// controllers/incentive/incentiveController.js
+// ============================================================================
+// Incentive Controller - rules, points ledger and vouchers
+// Gated by the "incentives" feature (see routes/incentiveRoutes.js)
+// ============================================================================
+
+const incentiveService = require("../../services/incentive/incentiveService");
+const {
+    createRuleSchema,
+    updateRuleSchema,
+    revokeRewardSchema,
+    redeemVoucherSchema
+} = require("../../validators/incentiveValidator");
+const Logger = require("../../utils/logger");
+
+const sendError = (res, err, fallback) =>
+    res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.statusCode ? err.message : fallback
+    });
+
+const getPaging = (query) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+});
+
+/**
+ * List incentive rules
+ * GET /api/incentives/rules
+ */
+exports.getRules = async (req, res) => {
+    try {
+        const rules = await incentiveService.listRules(req.tenantId);
+        res.status(200).json({ success: true, data: rules });
+    } catch (err) {
+        Logger.error("getIncentiveRules", "Failed to list incentive rules", { error: err, req });
+        sendError(res, err, "Failed to list incentive rules");
+    }
+};
+
+/**
+ * Create an incentive rule
+ * POST /api/incentives/rules
+ */
+exports.createRule = async (req, res) => {
+    try {
+        const { error, value } = createRuleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const rule = await incentiveService.createRule({
+            tenantId: req.tenantId,
+            userId: req.user._id,
+            data: value
+        });
+
+        Logger.info("createIncentiveRule", "Incentive rule created", {
+            context: { ruleId: rule._id, code: rule.code },
+            req
+        });
+
+        res.status(201).json({ success: true, message: "Incentive rule created", data: rule });
+    } catch (err) {
+        Logger.error("createIncentiveRule", "Failed to create incentive rule", { error: err, req });
+        sendError(res, err, "Failed to create incentive rule");
+    }
+};
+
+/**
+ * Update an incentive rule
+ * PUT /api/incentives/rules/:id
+ */
+exports.updateRule = async (req, res) => {
+    try {
+        const { error, value } = updateRuleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const rule = await incentiveService.updateRule({
+            tenantId: req.tenantId,
+            ruleId: req.params.id,
+            data: value
+        });
+
+        res.status(200).json({ success: true, message: "Incentive rule updated", data: rule });
+    } catch (err) {
+        Logger.error("updateIncentiveRule", "Failed to update incentive rule", {
+            error: err,
+            context: { ruleId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to update incentive rule");
+    }
+};
+
+/**
+ * Delete an incentive rule (issued rewards are kept)
+ * DELETE /api/incentives/rules/:id
+ */
+exports.deleteRule = async (req, res) => {
+    try {
+        await incentiveService.deleteRule({ tenantId: req.tenantId, ruleId: req.params.id });
+
+        Logger.info("deleteIncentiveRule", "Incentive rule deleted", {
+            context: { ruleId: req.params.id },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "Incentive rule deleted" });
+    } catch (err) {
+        Logger.error("deleteIncentiveRule", "Failed to delete incentive rule", {
+            error: err,
+            context: { ruleId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to delete incentive rule");
+    }
+};
+
+/**
+ * List ledger entries
+ * GET /api/incentives/rewards?contactId=&status=&code=&page=&limit=
+ */
+exports.getRewards = async (req, res) => {
+    try {
+        const { contactId, status, code } = req.query;
+        const result = await incentiveService.listRewards({
+            tenantId: req.tenantId,
+            contactId,
+            status,
+            code,
+            ...getPaging(req.query)
+        });
+
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        Logger.error("getRewards", "Failed to list rewards", { error: err, req });
+        sendError(res, err, "Failed to list rewards");
+    }
+};
+
+/**
+ * Revoke a reward and void its unused voucher
+ * POST /api/incentives/rewards/:id/revoke
+ */
+exports.revokeReward = async (req, res) => {
+    try {
+        const { error, value } = revokeRewardSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const reward = await incentiveService.revokeReward({
+            tenantId: req.tenantId,
+            rewardId: req.params.id,
+            userId: req.user._id,
+            reason: value.reason
+        });
+
+        Logger.info("revokeReward", "Reward revoked", {
+            context: { rewardId: reward._id, contactId: reward.contact, reason: value.reason },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "Reward revoked", data: reward });
+    } catch (err) {
+        Logger.error("revokeReward", "Failed to revoke reward", {
+            error: err,
+            context: { rewardId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to revoke reward");
+    }
+};
+
+/**
+ * Points balance and vouchers for a contact
+ * GET /api/incentives/contacts/:contactId
+ */
+exports.getContactRewards = async (req, res) => {
+    try {
+        const result = await incentiveService.getContactRewards({
+            tenantId: req.tenantId,
+            contactId: req.params.contactId
+        });
+
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        Logger.error("getContactRewards", "Failed to get contact rewards", {
+            error: err,
+            context: { contactId: req.params.contactId },
+            req
+        });
+        sendError(res, err, "Failed to get contact rewards");
+    }
+};
+
+/**
+ * List vouchers
+ * GET /api/incentives/vouchers?contactId=&status=&page=&limit=
+ */
+exports.getVouchers = async (req, res) => {
+    try {
+        const { contactId, status } = req.query;
+        const result = await incentiveService.listVouchers({
+            tenantId: req.tenantId,
+            contactId,
+            status,
+            ...getPaging(req.query)
+        });
+
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        Logger.error("getVouchers", "Failed to list vouchers", { error: err, req });
+        sendError(res, err, "Failed to list vouchers");
+    }
+};
+
+/**
+ * Redeem a voucher code
+ * POST /api/incentives/vouchers/redeem
+ */
+exports.redeemVoucher = async (req, res) => {
+    try {
+        const { error, value } = redeemVoucherSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const voucher = await incentiveService.redeemVoucher({
+            tenantId: req.tenantId,
+            code: value.code,
+            userId: req.user._id
+        });
+
+        Logger.info("redeemVoucher", "Voucher redeemed", {
+            context: { voucherId: voucher._id, code: voucher.code },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "Voucher redeemed", data: voucher });
+    } catch (err) {
+        Logger.error("redeemVoucher", "Failed to redeem voucher", { error: err, req });
+        sendError(res, err, "Failed to redeem voucher");
+    }
+};
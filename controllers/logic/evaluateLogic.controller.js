@@ -0,0 +1,98 @@
+// controllers/logic/evaluateLogic.controller.js
+const Survey = require("../../models/Survey");
+const SurveyInvite = require("../../models/SurveyInvite");
+const logicService = require("../../services/survey/logicService");
+const { canonicalizeAnswerMap } = require("../../services/survey/translationService");
+const Logger = require("../../utils/auditLog");
+
+/**
+ * Shape the engine result for the renderer. Keeps the display fields of the
+ * old /api/logic-engine response; REDIRECT/END_SURVEY are applied to `path`.
+ */
+const toLogicResponse = (result) => ({
+  path: result.path,
+  nextQuestionId: result.nextQuestionId,
+  show: result.shown,
+  hide: result.hidden,
+  disableNext: result.disableNext,
+  prefill: result.prefill,
+  endSurvey: result.ended,
+  complete: result.complete,
+  missingRequired: result.missingRequired
+});
+
+const readAnswers = (body) => body?.answers || {};
+
+// Respondents may answer with translated option labels; rules compare against the default ones
+const readRespondentAnswers = (survey, body) => canonicalizeAnswerMap(survey, readAnswers(body));
+
+/**
+ * Evaluate survey logic for the answers so far (builder preview)
+ * Route: POST /api/logic-engine/surveys/:id/evaluate
+ */
+exports.evaluateLogic = async (req, res, next) => {
+  try {
+    const query = { _id: req.params.id, deleted: false };
+    if (req.tenantId) query.tenant = req.tenantId;
+
+    const survey = await Survey.findOne(query).select("questions sections").lean();
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    const result = await logicService.evaluate(survey, readAnswers(req.body));
+    res.status(200).json(toLogicResponse(result));
+  } catch (err) {
+    Logger.error("evaluateLogic", "Error evaluating survey logic", {
+      error: err,
+      context: { surveyId: req.params.id },
+      req
+    });
+    next(err);
+  }
+};
+
+/**
+ * Evaluate logic for a respondent of a public survey
+ * Route: POST /api/surveys/public/:id/evaluate-logic
+ */
+exports.evaluatePublicLogic = async (req, res, next) => {
+  try {
+    const survey = await Survey.findOne({
+      _id: req.params.id,
+      "settings.isPublic": true,
+      status: "active",
+      deleted: false
+    }).select("questions sections").lean();
+
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found or not public" });
+    }
+
+    const result = await logicService.evaluate(survey, readRespondentAnswers(survey, req.body));
+    res.status(200).json(toLogicResponse(result));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Evaluate logic for an invited respondent
+ * Route: POST /api/surveys/responses/invited/:token/evaluate-logic
+ */
+exports.evaluateInvitedLogic = async (req, res, next) => {
+  try {
+    const invite = await SurveyInvite.findOne({ token: req.params.token })
+      .populate({ path: "survey", select: "questions sections deleted" })
+      .lean();
+
+    if (!invite || !invite.survey || invite.survey.deleted) {
+      return res.status(404).json({ message: "Invalid or expired link" });
+    }
+
+    const result = await logicService.evaluate(invite.survey, readRespondentAnswers(invite.survey, req.body));
+    res.status(200).json(toLogicResponse(result));
+  } catch (err) {
+    next(err);
+  }
+};
@@ -55,6 +55,14 @@ exports.createNotification = async (req, res, next) => {
       source: "api",
     });
 
+    if (!notification) {
+      return res.status(200).json({
+        success: true,
+        message: "In-app notification skipped: the recipient turned off this kind of notification",
+        data: null,
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: "Notification created successfully",
@@ -0,0 +1,97 @@
+// controllers/responses/partialResponse.controller.js
+const { saveProgressSchema, sendResumeLinkSchema } = require("../../validators/surveyResponseValidator");
+const partialResponseService = require("../../services/responses/partialResponseService");
+const { getRequestMetadata } = require("../../services/responses/submitResponseService");
+
+// Service-level rejections ({ status, message, errors }) → JSON, everything else → errorHandler
+const handleServiceError = (err, res, next) => {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message, errors: err.errors });
+  }
+  next(err);
+};
+
+/**
+ * Autosave progress for an invited respondent
+ * Route: PUT /api/surveys/responses/invited/:token/progress
+ */
+exports.saveInvitedProgress = async (req, res, next) => {
+  try {
+    const { error, value } = saveProgressSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const progress = await partialResponseService.saveInvitedProgress({
+      token: req.params.token,
+      payload: { ...value, language: value.language || req.query.lang },
+      ip: req.ip,
+      metadata: getRequestMetadata(req.headers["user-agent"] || "", req.ip),
+      acceptLanguage: req.headers["accept-language"]
+    });
+
+    res.status(200).json({ message: "Progress saved", progress });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * Autosave progress for an anonymous respondent
+ * Route: PUT /api/surveys/responses/anonymous/:surveyId/progress
+ */
+exports.saveAnonymousProgress = async (req, res, next) => {
+  try {
+    const { error, value } = saveProgressSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const progress = await partialResponseService.saveAnonymousProgress({
+      surveyId: req.params.surveyId,
+      payload: { ...value, language: value.language || req.query.lang },
+      ip: req.ip,
+      metadata: getRequestMetadata(req.headers["user-agent"] || "", req.ip),
+      acceptLanguage: req.headers["accept-language"]
+    });
+
+    res.status(200).json({ message: "Progress saved", progress });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * Resume a saved response (magic link)
+ * Route: GET /api/surveys/responses/resume/:resumeToken
+ */
+exports.resumeResponse = async (req, res, next) => {
+  try {
+    const result = await partialResponseService.resumeByToken(req.params.resumeToken, {
+      lang: req.query.lang,
+      acceptLanguage: req.headers["accept-language"]
+    });
+    res.set("Content-Language", result.survey.language);
+    res.status(200).json(result);
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * Email the resume link to the respondent
+ * Route: POST /api/surveys/responses/resume/:resumeToken/send-link
+ */
+exports.sendResumeLink = async (req, res, next) => {
+  try {
+    const { error, value } = sendResumeLinkSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await partialResponseService.sendResumeLink(req.params.resumeToken, value.email);
+    res.status(200).json({ message: "Resume link sent" });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
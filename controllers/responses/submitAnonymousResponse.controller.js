@@ -11,16 +11,30 @@ exports.submitAnonymousResponse = async (req, res, next) => {
 
     const response = await handleAnonymousResponse({
       surveyId: req.params.surveyId,
-      payload: value,
+      payload: { ...value, language: value.language || req.query.lang },
       ip: req.ip,
       userAgent: req.headers['user-agent'] || '',  // NEW: Pass user agent
+      acceptLanguage: req.headers["accept-language"],
     });
 
+    // A full quota turned the respondent away: show the screen-out message
+    if (response.status === "screened_out") {
+      return res.status(200).json({
+        message: response.screenOut.message,
+        screenedOut: true,
+        responseId: response._id,
+      });
+    }
+
     res.status(201).json({
       message: "Response submitted successfully",
       responseId: response._id,
     });
   } catch (err) {
+    // Service-level rejections ({ status, message, errors, code })
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message, errors: err.errors, code: err.code });
+    }
     next(err);
   }
 };
\ No newline at end of file
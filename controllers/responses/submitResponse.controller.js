@@ -30,9 +30,10 @@ exports.submitSurveyResponse = async (req, res, next) => {
     console.log(`\n🚀 [Submit] Calling service...`);
     await submitSurveyResponseService({
       token,
-      payload: value,
+      payload: { ...value, language: value.language || req.query.lang },
       ip: req.ip,
-      user: req.user
+      user: req.user,
+      acceptLanguage: req.headers["accept-language"]
     });
 
     console.log(`\n✅ [SubmitResponse Controller] SUCCESS`);
@@ -56,6 +57,12 @@ exports.submitSurveyResponse = async (req, res, next) => {
       return res.status(409).json({ message: "Survey already submitted" });
     }
 
+    // Field-level answer validation errors
+    if (err.status) {
+      console.error(`   → Returning ${err.status}`);
+      return res.status(err.status).json({ message: err.message, errors: err.errors });
+    }
+
     console.error(`   → Passing to error handler`);
     console.error(`${'='.repeat(60)}\n`);
     next(err);
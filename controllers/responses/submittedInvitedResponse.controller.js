@@ -23,10 +23,21 @@ exports.submitInvitedResponse = async (req, res, next) => {
     console.log(`\n🚀 [Submit] Calling service...`);
     const response = await submitSurveyResponseService({
       token: req.params.token,
-      payload: value,
-      ip: req.ip
+      payload: { ...value, language: value.language || req.query.lang },
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || '',
+      acceptLanguage: req.headers["accept-language"]
     });
 
+    // A full quota turned the respondent away: show the screen-out message
+    if (response.status === "screened_out") {
+      return res.status(200).json({
+        message: response.screenOut.message,
+        screenedOut: true,
+        responseId: response._id,
+      });
+    }
+
     console.log(`\n✅ [SubmitInvitedResponse Controller] SUCCESS`);
     console.log(`   Response ID: ${response._id}`);
     console.log(`${'='.repeat(60)}\n`);
@@ -39,6 +50,10 @@ exports.submitInvitedResponse = async (req, res, next) => {
     console.error(`\n❌ [SubmitInvitedResponse Controller] ERROR`);
     console.error(`   Message: ${err.message}`);
     console.error(`${'='.repeat(60)}\n`);
+    // Service-level rejections ({ status, message, errors, code })
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message, errors: err.errors, code: err.code });
+    }
     next(err);
   }
 };
\ No newline at end of file
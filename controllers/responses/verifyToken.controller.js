@@ -3,9 +3,13 @@ const SurveyInvite = require("../../models/SurveyInvite");
 const Survey = require("../../models/Survey");
 const Logger = require("../../utils/auditLog");
 const mongoose = require("mongoose");
+const { getRendererLogic } = require("../../services/survey/logicService");
+const { getInviteProgress } = require("../../services/responses/partialResponseService");
+const { negotiateLanguage, localizeSurvey } = require("../../services/survey/translationService");
 
 /**
- * Verify invite token and return survey for respondent to take.
+ * Verify invite token and return survey for respondent to take, in the
+ * respondent's language (?lang=, else Accept-Language, else the survey default).
  * Route: GET /api/responses/verify/:token
  */
 exports.verifyInviteToken = async (req, res, next) => {
@@ -36,7 +40,7 @@ exports.verifyInviteToken = async (req, res, next) => {
       $or: [{ token }, { inviteToken: token }]
     }).populate({
       path: "survey",
-      select: "title description questions settings themeColor thankYouPage status schedule deleted tenant"
+      select: "title description questions sections settings themeColor thankYouPage status schedule deleted tenant language fallbackLanguages translations"
     }).lean();
 
     if (!invite) {
@@ -141,19 +145,35 @@ exports.verifyInviteToken = async (req, res, next) => {
 
     // Build safe survey object to return (avoid leaking tenant internal fields)
     console.log(`\n📤 [Step 4] Building response...`);
+    const language = negotiateLanguage(survey, {
+      lang: req.query.lang,
+      acceptLanguage: req.headers["accept-language"]
+    });
+    const localized = localizeSurvey(survey, language);
     const safeSurvey = {
       _id: survey._id,
-      title: survey.title,
-      description: survey.description,
-      questions: survey.questions || [],
+      title: localized.title,
+      description: localized.description,
+      questions: localized.questions,
+      sections: localized.sections || [],
       settings: survey.settings || {},
       themeColor: survey.themeColor || null,
-      thankYouPage: survey.thankYouPage || null,
+      thankYouPage: localized.thankYouPage || null,
       estimatedTime: survey.estimatedTime || null,
-      isPasswordProtected: survey.settings?.isPasswordProtected || false
+      isPasswordProtected: survey.settings?.isPasswordProtected || false,
+      language: localized.language,
+      defaultLanguage: localized.defaultLanguage,
+      availableLanguages: localized.availableLanguages
     };
+    console.log(`   Language: ${language}`);
     console.log(`   Questions count: ${safeSurvey.questions.length}`);
 
+    // Branch/display logic for the renderer (same engine as submit validation)
+    const logic = await getRendererLogic(survey);
+
+    // Autosaved answers: the invite link doubles as the resume link
+    const progress = await getInviteProgress(invite._id);
+
     Logger.info("verifyInviteToken", "Invite verified and survey returned", {
       context: { inviteId: invite._id, surveyId: survey._id, ip: requesterIp },
       req
@@ -162,10 +182,13 @@ exports.verifyInviteToken = async (req, res, next) => {
     console.log(`\n✅ [VerifyToken] SUCCESS`);
     console.log(`${'#'.repeat(60)}\n`);
 
+    res.set("Content-Language", language);
     return res.status(200).json({
       success: true,
       inviteId: invite._id,
-      survey: safeSurvey
+      survey: safeSurvey,
+      logic,
+      progress
     });
 
   } catch (err) {
@@ -7,10 +7,15 @@
  *   General Settings:      Platform scope — admin only
  *   Theme Settings:        Tenant scope — companyAdmin only
  *   Notification Prefs:    Shared — all authenticated users (per-user)
+ *   Security Settings:     Tenant scope — companyAdmin only
  */
 
 const configService = require("../services/configService");
+const twoFactorService = require("../services/auth/twoFactorService");
 const User = require("../models/User");
+const { twoFactorPolicySchema } = require("../validators/twoFactorValidator");
+const { notificationPreferencesSchema } = require("../validators/notificationPreferencesValidator");
+const { getEffectivePreferences } = require("../services/notifications/notificationPreferenceService");
 
 // ============================================
 // GENERAL SETTINGS (Platform-Level)
@@ -230,34 +235,43 @@ const updateThemeSettings = async (req, res) => {
 // NOTIFICATION PREFERENCES (Per-User)
 // ============================================
 
-const NOTIFICATION_DEFAULTS = {
-    inApp: true,
-    email: true,
-    actionAssigned: true,
-    actionEscalated: true,
-    actionOverdue: true,
-    actionCompleted: true,
-    surveyResponses: true,
-    systemAlerts: true,
+/**
+ * Flatten a partial preferences update into dot paths:
+ * { digest: { hour: 9 } } → $set "notificationPreferences.digest.hour";
+ * null channel overrides are $unset (back to the type's default)
+ */
+const toPreferenceUpdate = (updates, prefix = "notificationPreferences") => {
+    const $set = {};
+    const $unset = {};
+    for (const [key, value] of Object.entries(updates)) {
+        const path = `${prefix}.${key}`;
+        if (value !== null && typeof value === "object") {
+            const nested = toPreferenceUpdate(value, path);
+            Object.assign($set, nested.$set);
+            Object.assign($unset, nested.$unset);
+        } else if (value === null && prefix.includes(".channels")) {
+            $unset[path] = "";
+        } else {
+            $set[path] = value;
+        }
+    }
+    return { $set, $unset };
 };
 
 /**
  * GET /api/settings/notifications
  * Get current user's notification preferences
+ * (merged with defaults, plus the effective channels of every type)
  */
 const getNotificationPreferences = async (req, res) => {
     try {
         // SECURITY: Always uses req.user._id from auth middleware.
         //           Never accepts userId from body/params to prevent privilege escalation.
         const user = await User.findById(req.user._id).select("notificationPreferences").lean();
-        const prefs = user?.notificationPreferences || {};
-
-        // Merge with defaults (user prefs override defaults)
-        const settings = { ...NOTIFICATION_DEFAULTS, ...prefs };
 
         res.json({
             success: true,
-            data: settings,
+            data: getEffectivePreferences(user?.notificationPreferences),
         });
     } catch (error) {
         console.error("Error fetching notification preferences:", error);
@@ -270,44 +284,33 @@ const getNotificationPreferences = async (req, res) => {
 
 /**
  * PUT /api/settings/notifications
- * Update current user's notification preferences
+ * Update current user's notification preferences (partial): channels,
+ * per-type toggles and channel overrides, digest, quiet hours, timezone
  */
 const updateNotificationPreferences = async (req, res) => {
     try {
-        const allowedKeys = Object.keys(NOTIFICATION_DEFAULTS);
-        const updates = {};
-
-        for (const key of allowedKeys) {
-            if (req.body[key] !== undefined) {
-                if (typeof req.body[key] !== "boolean") {
-                    return res.status(400).json({
-                        success: false,
-                        message: `'${key}' must be a boolean value`,
-                    });
-                }
-                updates[key] = req.body[key];
-            }
-        }
-
-        if (Object.keys(updates).length === 0) {
+        const { error, value } = notificationPreferencesSchema.validate(req.body);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                message: "No valid notification preferences provided",
+                message: error.details[0].message,
             });
         }
 
         // SECURITY: Uses req.user._id — admin cannot modify another user's preferences
-        const setFields = {};
-        for (const [key, value] of Object.entries(updates)) {
-            setFields[`notificationPreferences.${key}`] = value;
-        }
+        const { $set, $unset } = toPreferenceUpdate(value);
+        const update = {};
+        if (Object.keys($set).length) update.$set = $set;
+        if (Object.keys($unset).length) update.$unset = $unset;
 
-        await User.findByIdAndUpdate(req.user._id, { $set: setFields });
+        const user = await User.findByIdAndUpdate(req.user._id, update, { new: true, runValidators: true })
+            .select("notificationPreferences")
+            .lean();
 
         res.json({
             success: true,
             message: "Notification preferences updated successfully",
-            data: updates,
+            data: getEffectivePreferences(user?.notificationPreferences),
         });
     } catch (error) {
         console.error("Error updating notification preferences:", error);
@@ -318,6 +321,81 @@ const updateNotificationPreferences = async (req, res) => {
     }
 };
 
+// ============================================
+// SECURITY SETTINGS (Tenant-Level)
+// ============================================
+
+/**
+ * GET /api/settings/security
+ * Get tenant security policy (roles that must use 2FA)
+ */
+const getSecuritySettings = async (req, res) => {
+    try {
+        // SECURITY: Tenant ID from auth middleware only — never from body/params
+        const tenantId = req.user.tenant?._id || req.user.tenant;
+        if (!tenantId) {
+            return res.status(400).json({
+                success: false,
+                message: "Tenant context required for security settings",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                twoFactorRequiredRoles: await twoFactorService.getRequiredRoles(tenantId),
+                enforceableRoles: twoFactorService.ENFORCEABLE_ROLES,
+                trustedDeviceDays: twoFactorService.TRUSTED_DEVICE_DAYS,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching security settings:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve security settings",
+        });
+    }
+};
+
+/**
+ * PUT /api/settings/security
+ * Require 2FA for roles in this tenant: { requiredRoles: ["companyAdmin", "member"] }
+ * Users in those roles without 2FA enroll during their next login.
+ */
+const updateSecuritySettings = async (req, res) => {
+    try {
+        const tenantId = req.user.tenant?._id || req.user.tenant;
+        if (!tenantId) {
+            return res.status(400).json({
+                success: false,
+                message: "Tenant context required for security settings",
+            });
+        }
+
+        const { error, value } = twoFactorPolicySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message,
+            });
+        }
+
+        const roles = await twoFactorService.setRequiredRoles(tenantId, value.requiredRoles, req.user._id);
+
+        res.json({
+            success: true,
+            message: "Security settings updated successfully",
+            data: { twoFactorRequiredRoles: roles },
+        });
+    } catch (error) {
+        console.error("Error updating security settings:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update security settings",
+        });
+    }
+};
+
 module.exports = {
     // General Settings
     getGeneralSettings,
@@ -329,4 +407,7 @@ module.exports = {
     // Notification Preferences
     getNotificationPreferences,
     updateNotificationPreferences,
+
+    getSecuritySettings,
+    updateSecuritySettings,
 };
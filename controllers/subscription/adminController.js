@@ -5,7 +5,7 @@ const FeatureDefinition = require('../../models/FeatureDefinition');
 const PlanTemplate = require('../../models/PlanTemplate');
 const TenantSubscription = require('../../models/TenantSubscription');
 const featureFlagManager = require('../../services/subscription/featureFlagManager');
-const subscriptionManager = require('../../services/subscription/subscriptionManager');
+const PaymentGatewayFactory = require('../../services/payment/PaymentGatewayFactory');
 
 // ============ FEATURE DEFINITIONS ============
 
@@ -166,7 +166,8 @@ exports.createPlanTemplate = async (req, res) => {
         // ─── Auto-create Stripe product + prices for paid plans ───
         if (isPaid) {
             try {
-                const gateway = subscriptionManager.gateway;
+                // Only Stripe keeps a product/price catalog; Tap prices come from plan.pricing
+                const gateway = PaymentGatewayFactory.getGateway('stripe');
 
                 // Create (or reuse) Stripe product with planCode metadata for deduplication
                 const productResult = await gateway.createProduct({
@@ -331,7 +332,8 @@ exports.updatePlanTemplate = async (req, res) => {
         // ─── Handle Stripe pricing changes ───
         if (isPaid && pricingChanged) {
             try {
-                const gateway = subscriptionManager.gateway;
+                // Only Stripe keeps a product/price catalog; Tap prices come from plan.pricing
+                const gateway = PaymentGatewayFactory.getGateway('stripe');
                 let productId = currentPlan.stripe?.productId;
 
                 // If plan was free before → create Stripe product
@@ -1,6 +1,6 @@
 // controllers/subscription/onboardingController.js
 // Lightweight onboard endpoint — Enterprise Pattern
-// Creates Stripe Checkout ONLY. Tenant creation happens in webhook after payment.
+// Creates gateway checkout ONLY (Stripe or Tap). Tenant creation happens in webhook after payment.
 
 const PlanTemplate = require('../../models/PlanTemplate');
 const TenantSubscription = require('../../models/TenantSubscription');
@@ -8,6 +8,7 @@ const Tenant = require('../../models/Tenant');
 const User = require('../../models/User');
 const mongoose = require('mongoose');
 const subscriptionManager = require('../../services/subscription/subscriptionManager');
+const PaymentGatewayFactory = require('../../services/payment/PaymentGatewayFactory');
 const featureFlagManager = require('../../services/subscription/featureFlagManager');
 const getBaseURL = require('../../utils/getBaseURL');
 
@@ -76,11 +77,12 @@ exports.onboardAndCheckout = async (req, res) => {
             }
         }
 
-        // ─── Guard: Pending checkout (full idempotency with Stripe session check) ───
+        // ─── Guard: Pending checkout (full idempotency with gateway session check) ───
         if (user.pendingCheckoutSessionId) {
             try {
-                const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-                const existingSession = await stripe.checkout.sessions.retrieve(user.pendingCheckoutSessionId);
+                const existingSession = await PaymentGatewayFactory
+                    .getGatewayForSession(user.pendingCheckoutSessionId)
+                    .getCheckoutSession(user.pendingCheckoutSessionId);
 
                 if (existingSession.status === 'open') {
                     // Session still active → return existing URL (prevents multi-tab duplication)
@@ -88,7 +90,7 @@ exports.onboardAndCheckout = async (req, res) => {
                         success: true,
                         action: 'checkout',
                         message: 'Checkout session already in progress',
-                        sessionId: existingSession.id,
+                        sessionId: existingSession.sessionId,
                         url: existingSession.url
                     });
                 }
@@ -96,9 +98,9 @@ exports.onboardAndCheckout = async (req, res) => {
                 // Session expired or completed → clear cache, proceed to create new session
                 user.pendingCheckoutSessionId = null;
                 await user.save();
-            } catch (stripeErr) {
+            } catch (gatewayErr) {
                 // Session retrieval failed → clear cache, proceed
-                console.warn('⚠️ Failed to retrieve pending session, clearing:', stripeErr.message);
+                console.warn('⚠️ Failed to retrieve pending session, clearing:', gatewayErr.message);
                 user.pendingCheckoutSessionId = null;
                 await user.save();
             }
@@ -112,7 +114,7 @@ exports.onboardAndCheckout = async (req, res) => {
             return await _handleFreePlan(req, res, user, plan);
         }
 
-        // ─── PAID PLAN: Create Stripe Checkout Session only ───
+        // ─── PAID PLAN: Create gateway Checkout Session only ───
         return await _handlePaidPlan(req, res, user, plan, billingCycle);
 
     } catch (error) {
@@ -186,22 +188,20 @@ async function _handleFreePlan(req, res, user, plan) {
 
 
 /**
- * Handle paid plan: create Stripe Checkout Session (no DB records until webhook)
+ * Handle paid plan: create gateway Checkout Session (no DB records until webhook)
  */
 async function _handlePaidPlan(req, res, user, plan, billingCycle) {
-    const priceId = billingCycle === 'yearly'
-        ? plan.stripe?.yearlyPriceId
-        : plan.stripe?.monthlyPriceId;
+    const gateway = subscriptionManager.gateway;
+    const priceId = gateway.resolvePlanPrice(plan, billingCycle);
 
     if (!priceId) {
         return res.status(400).json({
             success: false,
-            message: `Stripe price not configured for plan "${plan.code}" (${billingCycle})`
+            message: `${gateway.getName()} price not configured for plan "${plan.code}" (${billingCycle})`
         });
     }
 
-    // Create Stripe Customer using user's email (no tenant yet)
-    const gateway = subscriptionManager.gateway;
+    // Create gateway customer using user's email (no tenant yet)
     const customerResult = await gateway.createCustomer({
         email: user.email,
         name: user.name,
@@ -222,7 +222,7 @@ async function _handlePaidPlan(req, res, user, plan, billingCycle) {
                 userId: user._id.toString(),
                 planCode: plan.code,
                 billingCycle: billingCycle,
-                stripeCustomerId: customerResult.customerId
+                customerId: customerResult.customerId
             }
         }
     );
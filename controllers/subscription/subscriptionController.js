@@ -8,17 +8,16 @@ const PlanTemplate = require('../../models/PlanTemplate');
 const TenantSubscription = require('../../models/TenantSubscription');
 const User = require('../../models/User');
 const getBaseURL = require('../../utils/getBaseURL');
-const Stripe = require('stripe');
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const PaymentGatewayFactory = require('../../services/payment/PaymentGatewayFactory');
 
 /**
- * @desc Check subscription provisioning status via Stripe session ID
- * @route GET /api/subscriptions/status?session_id=XYZ
+ * @desc Check subscription provisioning status via checkout session ID
+ * @route GET /api/subscriptions/status?session_id=XYZ (Tap redirects with ?tap_id=chg_...)
  * @access Public (no auth — used by public checkout-success page)
  */
 exports.getSubscriptionStatus = async (req, res) => {
     try {
-        const { session_id } = req.query;
+        const session_id = req.query.session_id || req.query.tap_id;
 
         if (!session_id) {
             return res.status(400).json({
@@ -27,12 +26,13 @@ exports.getSubscriptionStatus = async (req, res) => {
             });
         }
 
-        // Retrieve session from Stripe to get userId from metadata
+        // Retrieve session from the gateway to get userId from metadata
+        const gateway = PaymentGatewayFactory.getGatewayForSession(session_id);
         let session;
         try {
-            session = await stripe.checkout.sessions.retrieve(session_id);
-        } catch (stripeErr) {
-            console.error('[status] Stripe session retrieve failed:', stripeErr.message);
+            session = await gateway.getCheckoutSession(session_id);
+        } catch (gatewayErr) {
+            console.error(`[status] ${gateway.getName()} session retrieve failed:`, gatewayErr.message);
             return res.status(404).json({
                 success: false,
                 message: 'Invalid or expired session'
@@ -47,7 +47,7 @@ exports.getSubscriptionStatus = async (req, res) => {
             });
         }
 
-        console.log(`[status] Checking provisioning: userId=${userId}, payment_status=${session.payment_status}`);
+        console.log(`[status] Checking provisioning: userId=${userId}, payment_status=${session.paymentStatus}`);
 
         const user = await User.findById(userId).select('tenant role pendingCheckoutSessionId');
         if (!user) {
@@ -73,17 +73,12 @@ exports.getSubscriptionStatus = async (req, res) => {
         }
 
         // Payment confirmed but webhook hasn't provisioned yet — trigger fallback provisioning
-        if (session.payment_status === 'paid') {
+        if (session.paymentStatus === 'paid') {
             console.log(`[status] ⚡ Payment confirmed but not provisioned. Triggering fallback provisioning for userId=${userId}`);
             try {
-                const eventData = {
-                    id: session.id,
-                    customer: session.customer,
-                    subscription: session.subscription,
-                    metadata: session.metadata
-                };
+                const eventData = await gateway.completeCheckout(session.sessionId);
 
-                await subscriptionManager._handleCheckoutCompleted(eventData, null);
+                await subscriptionManager._handleCheckoutCompleted(eventData, null, gateway.getName());
 
                 // Re-check after provisioning
                 const freshUser = await User.findById(userId).select('tenant role');
@@ -107,7 +102,7 @@ exports.getSubscriptionStatus = async (req, res) => {
         return res.status(200).json({
             success: true,
             provisioned: false,
-            paymentStatus: session.payment_status,
+            paymentStatus: session.paymentStatus,
             message: 'Provisioning in progress...'
         });
 
@@ -454,13 +449,13 @@ exports.upgradePlan = async (req, res) => {
             });
         }
 
-        // 4. Check if this is a free→paid upgrade (no Stripe subscription yet)
+        // 4. Check if this is a free→paid upgrade (no gateway subscription yet)
         const targetPlan = allPlans[targetIndex];
         const isPaidPlan = (targetPlan.pricing?.monthly > 0 || targetPlan.pricing?.yearly > 0);
         const hasStripeSubscription = !!subscription.payment.subscriptionId;
 
         if (isPaidPlan && !hasStripeSubscription) {
-            // Route to Stripe Checkout — user needs to provide payment method
+            // Route to gateway checkout — user needs to provide payment method
             console.log(`[upgrade] Free→Paid upgrade: routing to checkout for plan "${planCode}"`);
             const cycle = billingCycle || subscription.billing.cycle || 'monthly';
             const result = await subscriptionManager.createCheckoutSession(tenantId, planCode, {
@@ -480,8 +475,8 @@ exports.upgradePlan = async (req, res) => {
             });
         }
 
-        // 5. In-place upgrade (already has Stripe subscription) — uses proration
-        console.log(`[upgrade] In-place Stripe upgrade: ${subscription.planCode} → ${planCode}`);
+        // 5. In-place upgrade (already has gateway subscription) — uses proration
+        console.log(`[upgrade] In-place gateway upgrade: ${subscription.planCode} → ${planCode}`);
         const result = await subscriptionManager.upgradePlan(tenantId, planCode);
 
         res.status(200).json({
@@ -537,7 +532,7 @@ exports.previewUpgrade = async (req, res) => {
         // Get current plan name
         const currentPlan = await PlanTemplate.findById(subscription.planTemplate);
 
-        // If no Stripe subscription, return simple price comparison (free→paid)
+        // If no gateway subscription, return simple price comparison (free→paid)
         if (!subscription.payment.subscriptionId || !subscription.payment.customerId) {
             const cycle = subscription.billing.cycle || 'monthly';
             const newPrice = cycle === 'yearly' ? targetPlan.pricing.yearly : targetPlan.pricing.monthly;
@@ -558,11 +553,10 @@ exports.previewUpgrade = async (req, res) => {
             });
         }
 
-        // Use Stripe's retrieveUpcoming to get exact proration
+        // Ask the tenant's gateway for the exact proration
         const cycle = subscription.billing.cycle || 'monthly';
-        const newPriceId = cycle === 'yearly'
-            ? targetPlan.stripe?.yearlyPriceId
-            : targetPlan.stripe?.monthlyPriceId;
+        const gateway = subscriptionManager._gatewayFor(subscription);
+        const newPriceId = gateway.resolvePlanPrice(targetPlan, cycle);
 
         if (!newPriceId) {
             return res.status(400).json({
@@ -571,36 +565,8 @@ exports.previewUpgrade = async (req, res) => {
             });
         }
 
-        // Retrieve the current Stripe subscription to get the item ID
-        const stripeSub = await stripe.subscriptions.retrieve(subscription.payment.subscriptionId);
-        const currentItemId = stripeSub.items.data[0]?.id;
-
-        // Get upcoming invoice preview with the plan change (Stripe v20+ uses createPreview)
-        const upcomingInvoice = await stripe.invoices.createPreview({
-            customer: subscription.payment.customerId,
-            subscription: subscription.payment.subscriptionId,
-            subscription_details: {
-                items: [{
-                    id: currentItemId,
-                    price: newPriceId
-                }],
-                proration_behavior: 'create_prorations'
-            }
-        });
-
-        // Calculate credit and charge from invoice line items
-        let credit = 0;
-        let charge = 0;
-        for (const line of upcomingInvoice.lines.data) {
-            if (line.amount < 0) {
-                credit += Math.abs(line.amount);
-            } else {
-                charge += line.amount;
-            }
-        }
-
-        // Stripe amounts are in cents
-        const currency = upcomingInvoice.currency?.toUpperCase() || 'USD';
+        const preview = await gateway.previewSubscriptionChange(subscription.payment.subscriptionId, newPriceId);
+        const { currency } = preview;
 
         res.status(200).json({
             success: true,
@@ -608,13 +574,13 @@ exports.previewUpgrade = async (req, res) => {
                 currentPlan: currentPlan?.name || subscription.planCode,
                 newPlan: targetPlan.name,
                 billingCycle: cycle,
-                credit: credit / 100,
-                charge: charge / 100,
-                total: upcomingInvoice.amount_due / 100,
+                credit: preview.credit,
+                charge: preview.charge,
+                total: preview.total,
                 currency,
                 isNewSubscription: false,
-                periodEnd: new Date(stripeSub.current_period_end * 1000),
-                message: `You'll receive $${(credit / 100).toFixed(2)} credit for unused time on ${currentPlan?.name || subscription.planCode}. The prorated charge for ${targetPlan.name} is $${(upcomingInvoice.amount_due / 100).toFixed(2)}.`
+                periodEnd: preview.periodEnd,
+                message: `You'll receive ${currency} ${preview.credit.toFixed(2)} credit for unused time on ${currentPlan?.name || subscription.planCode}. The prorated charge for ${targetPlan.name} is ${currency} ${preview.total.toFixed(2)}.`
             }
         });
     } catch (error) {
@@ -785,11 +751,12 @@ exports.verifyCheckoutSession = async (req, res) => {
 
         console.log(`[verify-session] User ${userId} verifying session: ${sessionId}`);
 
-        // 1. Retrieve session from Stripe
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        // 1. Retrieve session from the gateway that issued it
+        const gateway = PaymentGatewayFactory.getGatewayForSession(sessionId);
+        const session = await gateway.getCheckoutSession(sessionId);
 
         // 2. Security: verify session belongs to this user
-        const sessionUserId = session.metadata?.userId || session.client_reference_id;
+        const sessionUserId = session.metadata?.userId || session.raw?.client_reference_id;
         if (sessionUserId !== userId) {
             console.warn(`[verify-session] ❌ userId mismatch: session=${sessionUserId}, req=${userId}`);
             return res.status(403).json({
@@ -812,12 +779,12 @@ exports.verifyCheckoutSession = async (req, res) => {
         }
 
         // 4. Check payment status
-        if (session.payment_status !== 'paid') {
-            console.log(`[verify-session] ⏳ Payment not yet completed: ${session.payment_status}`);
+        if (session.paymentStatus !== 'paid') {
+            console.log(`[verify-session] ⏳ Payment not yet completed: ${session.paymentStatus}`);
             return res.status(200).json({
                 success: true,
                 provisioned: false,
-                paymentStatus: session.payment_status,
+                paymentStatus: session.paymentStatus,
                 message: 'Payment not yet confirmed'
             });
         }
@@ -825,14 +792,9 @@ exports.verifyCheckoutSession = async (req, res) => {
         // 5. Payment is confirmed but webhook hasn't provisioned yet — trigger provisioning
         console.log(`[verify-session] 🔄 Payment confirmed, triggering provisioning for user ${userId}`);
 
-        const eventData = {
-            id: session.id,
-            customer: session.customer,
-            subscription: session.subscription,
-            metadata: session.metadata
-        };
+        const eventData = await gateway.completeCheckout(session.sessionId);
 
-        await subscriptionManager._handleCheckoutCompleted(eventData, null);
+        await subscriptionManager._handleCheckoutCompleted(eventData, null, gateway.getName());
 
         console.log(`[verify-session] ✅ Provisioning complete for user ${userId}`);
 
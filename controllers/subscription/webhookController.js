@@ -33,7 +33,8 @@ exports.handleStripeWebhook = async (req, res) => {
  */
 exports.handleTapWebhook = async (req, res) => {
     try {
-        const signature = req.headers['tap-signature'];
+        // Tap sends the HMAC in the `hashstring` header
+        const signature = req.headers['hashstring'] || req.headers['tap-signature'];
         const payload = req.body;
 
         const result = await subscriptionManager.handleWebhook('tap', payload, signature);
@@ -13,6 +13,7 @@
 
 const Logger = require("../../utils/auditLog");
 const { validateStatusTransition } = require("../../utils/surveyStateMachine");
+const { dispatchEvent } = require("../../services/webhook/webhookService");
 
 /**
  * Close a survey permanently (active → closed)
@@ -46,6 +47,14 @@ module.exports = async function closeSurvey(req, res, next) {
         survey.status = 'closed';
         await survey.save();
 
+        dispatchEvent(survey.tenant, "survey.closed", {
+            surveyId: survey._id,
+            title: survey.title,
+            closedAt: new Date(),
+            reason: "manual",
+            totalResponses: survey.totalResponses
+        });
+
         await Logger.info("survey_close", "Survey closed", {
             action: "survey:close",
             surveyId: survey._id,
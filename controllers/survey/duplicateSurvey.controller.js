@@ -0,0 +1,70 @@
+// controllers/survey/duplicateSurvey.controller.js
+const templateService = require("../../services/survey/templateService");
+const { cloneSurveySchema, saveAsTemplateSchema } = require("../../validators/surveyTemplateValidator");
+const Logger = require("../../utils/auditLog");
+
+// Service-level rejections ({ status, message }) → JSON, everything else → errorHandler
+const handleServiceError = (err, res, next) => {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  next(err);
+};
+
+/**
+ * Copy a survey (questions, sections, logic rules, thank-you page,
+ * translations, settings) into a new draft
+ * @route POST /api/surveys/:surveyId/clone
+ */
+exports.cloneSurvey = async (req, res, next) => {
+  try {
+    const { error, value } = cloneSurveySchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const survey = await templateService.cloneSurvey(req.params.surveyId, req.user.tenant, {
+      userId: req.user._id,
+      title: value.title,
+      department: value.department
+    });
+
+    Logger.info("survey_clone", "Survey cloned", {
+      context: { sourceSurveyId: req.params.surveyId, surveyId: survey._id, tenantId: req.user.tenant },
+      req
+    });
+
+    res.status(201).json({ message: "Survey cloned", survey });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * Save a survey as a template private to the tenant
+ * @route POST /api/surveys/:surveyId/save-as-template
+ */
+exports.saveAsTemplate = async (req, res, next) => {
+  try {
+    const { error, value } = saveAsTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const template = await templateService.saveSurveyAsTemplate(
+      req.params.surveyId,
+      req.user.tenant,
+      req.user._id,
+      value
+    );
+
+    Logger.info("survey_save_as_template", "Survey saved as tenant template", {
+      context: { surveyId: req.params.surveyId, templateId: template._id, tenantId: req.user.tenant },
+      req
+    });
+
+    res.status(201).json({ message: "Template saved", template });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
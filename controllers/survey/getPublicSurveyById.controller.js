@@ -1,9 +1,12 @@
 // controllers/survey/getPublicSurveyById.controller.js
 const Survey = require("../../models/Survey");
 const Logger = require("../../utils/logger");
+const { getRendererLogic } = require("../../services/survey/logicService");
+const { negotiateLanguage, localizeSurvey } = require("../../services/survey/translationService");
 
 /**
- * Get a single public survey by ID for taking surveys
+ * Get a single public survey by ID for taking surveys, in the respondent's
+ * language (?lang=fr, else Accept-Language, else the survey default)
  * No authentication required
  */
 exports.getPublicSurveyById = async (req, res, next) => {
@@ -13,13 +16,24 @@ exports.getPublicSurveyById = async (req, res, next) => {
             "settings.isPublic": true,
             status: "active",
             deleted: false,
-        }).select("title description questions themeColor estimatedTime thankYouPage");
+        })
+            .select("title description questions sections themeColor estimatedTime thankYouPage language fallbackLanguages translations")
+            .lean();
 
         if (!survey) {
             return res.status(404).json({ message: "Survey not found or not public" });
         }
 
-        res.status(200).json({ survey });
+        // Branch/display logic for the renderer (same engine as submit validation)
+        const logic = await getRendererLogic(survey);
+
+        const language = negotiateLanguage(survey, {
+            lang: req.query.lang,
+            acceptLanguage: req.headers["accept-language"],
+        });
+
+        res.set("Content-Language", language);
+        res.status(200).json({ survey: localizeSurvey(survey, language), logic });
     } catch (err) {
         Logger.error("getPublicSurveyById", "Error fetching public survey", {
             error: err,
@@ -1,6 +1,7 @@
 // controllers/survey/getPublicSurveys.controller.js
 const Survey = require("../../models/Survey");
 const Logger = require("../../utils/logger");
+const { getLanguageFilter, getAvailableLanguages } = require("../../services/survey/translationService");
 
 /**
  * Get all public surveys for the public-facing survey list
@@ -29,14 +30,15 @@ exports.getPublicSurveys = async (req, res, next) => {
         }
 
         if (language && language !== "all") {
-            query.language = { $in: [language, "en", "ar"] };
+            // Written in the language or translated into it
+            Object.assign(query, getLanguageFilter(language) || { _id: null }); // unknown code → no match
         }
 
         const total = await Survey.countDocuments(query);
         const surveys = await Survey.find(query)
             .populate("tenant", "name")
             .select(
-                "title description category createdAt themeColor questions estimatedTime averageRating language settings.totalResponses tenant"
+                "title description category createdAt themeColor questions estimatedTime averageRating language translations settings.totalResponses tenant"
             )
             .sort(sort)
             .skip(skip)
@@ -60,6 +62,7 @@ exports.getPublicSurveys = async (req, res, next) => {
                 survey.settings?.totalResponses ||
                 Math.floor(Math.random() * 500) + 50,
             language: survey.language || ["English"],
+            languages: getAvailableLanguages(survey),
             isPublic: true,
             isPasswordProtected: survey.settings?.isPasswordProtected || false,
             questionCount: survey.questions?.length || 0,
@@ -2,6 +2,7 @@
 const mongoose = require("mongoose");
 const Survey = require("../../models/Survey");
 const Logger = require("../../utils/logger");
+const versionService = require("../../services/survey/versionService");
 
 /**
  * Add a question to a survey
@@ -17,6 +18,10 @@ exports.createQuestion = async (req, res, next) => {
         }
 
         survey.questions.push({ ...questionData, id: new mongoose.Types.ObjectId() });
+        // Live surveys: respondents get the change as a new version
+        if (survey.status !== "draft") {
+            await versionService.recordVersion(survey, { userId: req.user?._id, method: "edit" });
+        }
         await survey.save();
 
         const addedQuestionId = survey.questions[survey.questions.length - 1].id;
@@ -47,6 +52,9 @@ exports.deleteQuestion = async (req, res, next) => {
         survey.questions = survey.questions.filter(
             (q) => String(q._id) !== String(questionId) && String(q.id) !== String(questionId)
         );
+        if (survey.status !== "draft") {
+            await versionService.recordVersion(survey, { userId: req.user?._id, method: "edit" });
+        }
         await survey.save();
 
         res.status(200).json({ message: "Question deleted" });
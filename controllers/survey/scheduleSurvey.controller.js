@@ -1,6 +1,7 @@
 // controllers/survey/scheduleSurvey.controller.js
 const Survey = require("../../models/Survey");
 const schedulingService = require("../../services/survey/SchedulingService");
+const versionService = require("../../services/survey/versionService");
 const { scheduleValidator } = require("../../validators/scheduleValidator");
 const Logger = require("../../utils/auditLog");
 
@@ -34,17 +35,96 @@ exports.scheduleSurvey = async (req, res, next) => {
     }
 
     // Perform scheduling
-    const updatedSurvey = await schedulingService.applySchedule(survey, req.body);
+    let updatedSurvey;
+    try {
+      updatedSurvey = schedulingService.applySchedule(survey, req.body);
+    } catch (scheduleErr) {
+      return res.status(400).json({ message: scheduleErr.message });
+    }
+
+    // Started right away: this is the survey's publish
+    if (updatedSurvey.status === "active") {
+      await versionService.recordVersion(updatedSurvey, { userId: req.user._id, method: "schedule" });
+    }
 
     await updatedSurvey.save();
 
     res.json({
       message: "Survey scheduled successfully",
       status: updatedSurvey.status,
-      schedule: updatedSurvey.schedule
+      schedule: schedulingService.formatSchedule(updatedSurvey.schedule)
     });
 
   } catch (err) {
     next(err);
   }
 };
+
+/**
+ * Current schedule in UTC and survey-local time, with upcoming run times
+ * @route GET /api/surveys/:surveyId/schedule
+ */
+exports.getSurveySchedule = async (req, res, next) => {
+  try {
+    const survey = await Survey.findOne({
+      _id: req.params.surveyId,
+      tenant: req.user.tenant,
+      deleted: false
+    }).select("status schedule currentWave");
+
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    res.json({
+      status: survey.status,
+      currentWave: survey.currentWave || 0,
+      schedule: schedulingService.formatSchedule(survey.schedule)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Dry run: resolve a schedule payload (local datetimes + timezone) and return
+ * the resulting UTC instants and next run times without saving anything
+ * @route POST /api/surveys/:surveyId/schedule/preview
+ */
+exports.previewSurveySchedule = async (req, res, next) => {
+  try {
+    const { error } = scheduleValidator.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const survey = await Survey.findOne({
+      _id: req.params.surveyId,
+      tenant: req.user.tenant,
+      deleted: false
+    }).select("schedule");
+
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    // Work on a detached copy so nothing is persisted
+    const draft = { schedule: survey.schedule?.toObject?.() || {}, currentWave: 0, waves: [] };
+    try {
+      schedulingService.applySchedule(draft, req.body);
+    } catch (scheduleErr) {
+      return res.status(400).json({ message: scheduleErr.message });
+    }
+
+    res.json({
+      status: draft.status,
+      schedule: schedulingService.formatSchedule(draft.schedule)
+    });
+  } catch (err) {
+    Logger.error("previewSurveySchedule", "Schedule preview failed", {
+      error: err,
+      req
+    });
+    next(err);
+  }
+};
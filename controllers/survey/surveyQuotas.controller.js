@@ -0,0 +1,98 @@
+// controllers/survey/surveyQuotas.controller.js
+const crypto = require("crypto");
+const Survey = require("../../models/Survey");
+const quotaService = require("../../services/survey/quotaService");
+const { quotaConfigValidator } = require("../../validators/quotaValidator");
+const Logger = require("../../utils/auditLog");
+
+// Service-level rejections ({ status, message }) → JSON, everything else → errorHandler
+const handleServiceError = (err, res, next) => {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  next(err);
+};
+
+const getQuestionIds = (survey) => new Set([
+  ...(survey.questions || []),
+  ...(survey.sections || []).flatMap(s => s.questions || [])
+].flatMap(q => [q.id, q._id && String(q._id)]).filter(Boolean));
+
+/**
+ * Quota configuration with live fill status (total cap and every cell)
+ * @route GET /api/surveys/:surveyId/quotas
+ */
+exports.getQuotas = async (req, res, next) => {
+  try {
+    const status = await quotaService.getQuotaStatus(req.params.surveyId, req.user.tenant);
+    const survey = await Survey.findById(status.surveyId).select("quotas").lean();
+
+    res.json({ quotas: survey.quotas || { enabled: false, cells: [] }, status });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * Set the total cap and quota cells, e.g.
+ * { enabled: true, maxResponses: 500, action: "screen_out", cells: [{ name: "Riyadh", limit: 200,
+ *   conditions: [{ source: "metadata", field: "location", operator: "includes", value: "Riyadh" }] }] }
+ * @route PUT /api/surveys/:surveyId/quotas
+ */
+exports.updateQuotas = async (req, res, next) => {
+  try {
+    const { error, value } = quotaConfigValidator.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const survey = await Survey.findOne({
+      _id: req.params.surveyId,
+      tenant: req.user.tenant,
+      deleted: false
+    });
+
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    // Answer-based conditions / groupings must point at questions of this survey
+    const questionIds = getQuestionIds(survey);
+    const unknownField = value.cells
+      .flatMap(cell => [...cell.conditions, ...(cell.groupBy ? [cell.groupBy] : [])])
+      .find(f => f.source === "answer" && !questionIds.has(f.field));
+    if (unknownField) {
+      return res.status(400).json({ message: `Unknown question "${unknownField.field}" in quota cell` });
+    }
+
+    survey.quotas = {
+      ...value,
+      message: value.message || undefined,
+      cells: value.cells.map(cell => ({
+        ...cell,
+        id: cell.id || `cell_${crypto.randomBytes(4).toString("hex")}`,
+        groupBy: cell.groupBy || undefined,
+        message: cell.message || undefined
+      }))
+    };
+    await survey.save();
+
+    Logger.info("updateSurveyQuotas", "Survey quotas updated", {
+      context: {
+        surveyId: survey._id,
+        enabled: value.enabled,
+        maxResponses: value.maxResponses || null,
+        cells: value.cells.length
+      },
+      req
+    });
+
+    res.json({
+      message: "Quotas updated",
+      quotas: survey.quotas,
+      status: await quotaService.getQuotaStatus(survey._id, req.user.tenant)
+    });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
@@ -0,0 +1,81 @@
+// controllers/survey/surveyReminders.controller.js
+const Survey = require("../../models/Survey");
+const { normalizePolicy, getReminderSummary } = require("../../services/distribution/reminderService");
+const { reminderPolicyValidator } = require("../../validators/reminderValidator");
+const Logger = require("../../utils/auditLog");
+
+const formatPolicy = (reminders = {}) => ({
+  enabled: Boolean(reminders.enabled),
+  afterDays: reminders.afterDays || [],
+  maxReminders: reminders.maxReminders ?? 2,
+  messageTemplate: reminders.messageTemplate || null
+});
+
+/**
+ * Reminder policy for a survey, with how many invites were reminded so far
+ * @route GET /api/surveys/:surveyId/reminders
+ */
+exports.getReminderPolicy = async (req, res, next) => {
+  try {
+    const survey = await Survey.findOne({
+      _id: req.params.surveyId,
+      tenant: req.user.tenant,
+      deleted: false
+    }).select("reminders");
+
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    res.json({
+      reminders: formatPolicy(survey.reminders),
+      stats: await getReminderSummary(survey._id)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Set the reminder policy, e.g. { enabled: true, afterDays: [3, 7], maxReminders: 2 }
+ * @route PUT /api/surveys/:surveyId/reminders
+ */
+exports.updateReminderPolicy = async (req, res, next) => {
+  try {
+    const { error, value } = reminderPolicyValidator.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const survey = await Survey.findOne({
+      _id: req.params.surveyId,
+      tenant: req.user.tenant,
+      deleted: false
+    });
+
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    const { afterDays, maxReminders } = normalizePolicy({ ...value, enabled: true });
+    survey.reminders = {
+      enabled: value.enabled,
+      afterDays,
+      maxReminders: value.maxReminders ?? maxReminders,
+      messageTemplate: value.messageTemplate || undefined
+    };
+    await survey.save();
+
+    Logger.info("updateReminderPolicy", "Survey reminder policy updated", {
+      context: { surveyId: survey._id, reminders: formatPolicy(survey.reminders) },
+      req
+    });
+
+    res.json({
+      message: "Reminder policy updated",
+      reminders: formatPolicy(survey.reminders)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,103 @@
+// controllers/survey/surveyVersions.controller.js
+const versionService = require("../../services/survey/versionService");
+const {
+  versionDiffQuerySchema,
+  versionParamSchema,
+  restoreVersionSchema
+} = require("../../validators/surveyVersionValidator");
+const Logger = require("../../utils/auditLog");
+
+// Service-level rejections ({ status, message }) → JSON, everything else → errorHandler
+const handleServiceError = (err, res, next) => {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  next(err);
+};
+
+/**
+ * Published versions with response counts
+ * @route GET /api/surveys/:surveyId/versions
+ */
+exports.listVersions = async (req, res, next) => {
+  try {
+    const history = await versionService.listVersions(req.params.surveyId, req.user.tenant);
+    res.json(history);
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * What changed between two versions, e.g. ?from=2&to=3 (or to=current)
+ * @route GET /api/surveys/:surveyId/versions/diff
+ */
+exports.diffVersions = async (req, res, next) => {
+  try {
+    const { error, value } = versionDiffQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const diff = await versionService.diffVersions(req.params.surveyId, req.user.tenant, value.from, value.to);
+    res.json({ diff });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * One version's full content
+ * @route GET /api/surveys/:surveyId/versions/:version
+ */
+exports.getVersion = async (req, res, next) => {
+  try {
+    const { error, value } = versionParamSchema.validate(req.params);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const version = await versionService.getVersion(req.params.surveyId, req.user.tenant, value.version);
+    res.json({ version });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * Bring back an earlier version's content (published as a new version
+ * unless the survey is a draft)
+ * @route POST /api/surveys/:surveyId/versions/:version/restore
+ */
+exports.restoreVersion = async (req, res, next) => {
+  try {
+    const params = versionParamSchema.validate(req.params);
+    const body = restoreVersionSchema.validate(req.body || {});
+    const error = params.error || body.error;
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { survey, version } = await versionService.restoreVersion(
+      req.params.surveyId,
+      req.user.tenant,
+      params.value.version,
+      { userId: req.user._id, note: body.value.note }
+    );
+
+    Logger.info("restoreSurveyVersion", "Survey version restored", {
+      context: { surveyId: survey._id, restoredFrom: params.value.version, newVersion: version },
+      req
+    });
+
+    res.json({
+      message: version
+        ? `Restored version ${params.value.version} as version ${version}`
+        : `Restored version ${params.value.version} into the draft`,
+      version,
+      survey
+    });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
@@ -0,0 +1,102 @@
+// controllers/survey/translations.controller.js
+const translationService = require("../../services/survey/translationService");
+const { surveyTranslationSchema } = require("../../validators/surveyValidator");
+const Logger = require("../../utils/auditLog");
+
+// Service-level rejections ({ status, message }) → JSON, everything else → errorHandler
+const handleServiceError = (err, res, next) => {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  next(err);
+};
+
+/**
+ * Languages the survey is translated into and how complete each one is
+ * @route GET /api/surveys/:surveyId/translations
+ */
+exports.listTranslations = async (req, res, next) => {
+  try {
+    const status = await translationService.getTranslationStatus(req.params.surveyId, req.user.tenant);
+    res.json(status);
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * One language, side by side with the default-language source text
+ * @route GET /api/surveys/:surveyId/translations/:language
+ */
+exports.getTranslation = async (req, res, next) => {
+  try {
+    const translation = await translationService.getLanguageTranslation(
+      req.params.surveyId,
+      req.user.tenant,
+      req.params.language
+    );
+    res.json({ translation });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * Add or update a language, e.g. { title, questions: [{ id, questionText, options }] }
+ * @route PUT /api/surveys/:surveyId/translations/:language
+ */
+exports.saveTranslation = async (req, res, next) => {
+  try {
+    const { error, value } = surveyTranslationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const translation = await translationService.saveLanguageTranslation(
+      req.params.surveyId,
+      req.user.tenant,
+      req.params.language,
+      value
+    );
+
+    Logger.info("saveSurveyTranslation", "Survey translation saved", {
+      context: {
+        surveyId: req.params.surveyId,
+        language: translation.language,
+        questions: value.questions?.length || 0
+      },
+      req
+    });
+
+    res.json({ message: "Translation saved", translation });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * Remove a language from the survey
+ * @route DELETE /api/surveys/:surveyId/translations/:language
+ */
+exports.deleteTranslation = async (req, res, next) => {
+  try {
+    const removed = await translationService.removeLanguageTranslation(
+      req.params.surveyId,
+      req.user.tenant,
+      req.params.language
+    );
+
+    if (!removed) {
+      return res.status(404).json({ message: "Translation not found" });
+    }
+
+    Logger.info("deleteSurveyTranslation", "Survey translation removed", {
+      context: { surveyId: req.params.surveyId, language: req.params.language },
+      req
+    });
+
+    res.json({ message: "Translation removed" });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
@@ -18,6 +18,7 @@ const Logger = require("../utils/logger");
 const Joi = require("joi");
 const generateSurveyToken = require("../utils/generateSurveyToken");
 const resolveSurveyRecipients = require("../utils/resolveSurveyRecipients");
+const { getLanguageFilter, getAvailableLanguages } = require("../services/survey/translationService");
 const SurveyInvite = require("../models/SurveyInvite");
 
 const createSchema = Joi.object({
@@ -512,7 +513,8 @@ exports.getPublicSurveys = async (req, res, next) => {
         }
 
         if (language && language !== "all") {
-            query.language = { $in: [language, "en", "ar"] };
+            // Written in the language or translated into it
+            Object.assign(query, getLanguageFilter(language) || { _id: null }); // unknown code → no match
         }
 
         await Logger.info("getPublicSurveys: Executing query", { query, sort, skip, limit });
@@ -521,7 +523,7 @@ exports.getPublicSurveys = async (req, res, next) => {
         const surveys = await Survey.find(query)
             .populate("tenant", "name")
             .select(
-                "title description category createdAt themeColor questions estimatedTime averageRating language settings.totalResponses tenant"
+                "title description category createdAt themeColor questions estimatedTime averageRating language translations settings.totalResponses tenant"
             )
             .sort(sort)
             .skip(skip)
@@ -551,6 +553,7 @@ exports.getPublicSurveys = async (req, res, next) => {
                 survey.settings?.totalResponses ||
                 Math.floor(Math.random() * 500) + 50,
             language: survey.language || ["English"],
+            languages: getAvailableLanguages(survey),
             isPublic: true,
             isPasswordProtected: survey.settings?.isPasswordProtected || false,
             questionCount: survey.questions?.length || 0,
@@ -1,9 +1,25 @@
 // /controllers/surveyTemplatesControllers
 const surveyTemplates = require("../models/surveyTemplates.js");
+const templateService = require("../services/survey/templateService");
+const {
+  createFromTemplateSchema,
+  marketplaceSubmitSchema,
+  marketplaceReviewSchema
+} = require("../validators/surveyTemplateValidator");
 const Logger = require("../utils/logger");
 
+const { getCategoryName } = templateService;
+
+// Service-level rejections ({ status, message }) → JSON
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
 // @desc    Get all survey templates (with filters)
-// @route   GET /api/survey-templates
+// @route   GET /api/survey-templates?scope=platform|tenant|all
 // @access  Private (All authenticated users)
 exports.getAllSurveyTemplates = async (req, res) => {
   try {
@@ -12,6 +28,8 @@ exports.getAllSurveyTemplates = async (req, res) => {
       language,
       search,
       status, // ✅ NEW: Status filter
+      scope = 'all', // platform | tenant | all
+      marketplace, // admin: pending | approved | rejected submissions
       sortBy = 'popular',
       page = 1,
       limit = 12
@@ -22,18 +40,30 @@ exports.getAllSurveyTemplates = async (req, res) => {
       req
     });
 
-    // Build filter object
-    let filter = { isActive: true };
-
-    // ✅ NEW: Role-based status filtering
-    if (req.user.role !== 'admin') {
-      filter.status = 'published';
-      Logger.info("getAllSurveyTemplates", "Non-admin user, filtering published templates", {
-        context: { userId: req.user?._id },
-        req
+    if (!['platform', 'tenant', 'all'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'scope must be platform, tenant or all'
       });
-    } else if (status && status !== 'all') {
-      filter.status = status;
+    }
+
+    // Build filter object: platform templates + the tenant's private ones
+    let filter = {
+      isActive: true,
+      $and: [
+        templateService.getVisibilityFilter(req.user, req.tenantId),
+        templateService.getScopeFilter(scope)
+      ]
+    };
+
+    // ✅ NEW: Role-based status filtering (non-admins only see published platform templates)
+    if (req.user.role === 'admin') {
+      if (status && status !== 'all') {
+        filter.status = status;
+      }
+      if (marketplace) {
+        filter['marketplace.status'] = marketplace;
+      }
     }
 
     if (category && category !== 'all') {
@@ -67,6 +97,9 @@ exports.getAllSurveyTemplates = async (req, res) => {
       case 'alphabetical':
         sort = { name: 1 };
         break;
+      case 'responseRate':
+        sort = { 'stats.avgResponseRate': -1, usageCount: -1 };
+        break;
       default:
         sort = { usageCount: -1 };
     }
@@ -117,19 +150,8 @@ exports.getSurveyTemplateById = async (req, res) => {
       context: { templateId: req.params.id, userId: req.user?._id },
       req
     });
-    const template = await surveyTemplates.findById(req.params.id)
-      .populate('createdBy', 'name email');
-
-    if (!template) {
-      Logger.warn("getSurveyTemplateById", "Survey template not found", {
-        context: { templateId: req.params.id },
-        req
-      });
-      return res.status(404).json({
-        success: false,
-        message: 'Survey template not found'
-      });
-    }
+    const template = await templateService.findVisibleTemplate(req.params.id, req.user, req.tenantId);
+    await template.populate('createdBy', 'name email');
 
     Logger.info("getSurveyTemplateById", "Survey template fetched successfully", {
       context: { templateId: req.params.id, userId: req.user?._id },
@@ -140,14 +162,18 @@ exports.getSurveyTemplateById = async (req, res) => {
       data: template
     });
   } catch (error) {
-    Logger.error("getSurveyTemplateById", "Error fetching survey template", {
-      error,
-      req
-    });
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching template'
-    });
+    if (error.status === 404) {
+      Logger.warn("getSurveyTemplateById", "Survey template not found", {
+        context: { templateId: req.params.id },
+        req
+      });
+    } else {
+      Logger.error("getSurveyTemplateById", "Error fetching survey template", {
+        error,
+        req
+      });
+    }
+    sendServiceError(res, error, 'Server error while fetching template');
   }
 };
 
@@ -175,6 +201,7 @@ exports.createSurveyTemplate = async (req, res) => {
 
     // Check if template with same name already exists
     const existingTemplate = await surveyTemplates.findOne({
+      scope: { $ne: 'tenant' },
       name: { $regex: new RegExp(`^${name}$`, 'i') }
     });
 
@@ -272,9 +299,25 @@ exports.updateSurveyTemplate = async (req, res) => {
       });
     }
 
+    // Admins manage platform templates, company admins their tenant's own
+    if (!templateService.canManageTemplate(template, req.user, req.tenantId)) {
+      Logger.warn("updateSurveyTemplate", "Template outside the user's scope", {
+        context: { templateId: req.params.id, scope: template.scope, userId: req.user?.id },
+        req
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot modify this template'
+      });
+    }
+
     // Check if name is being changed and conflicts with existing template
     if (name && name !== template.name) {
       const existingTemplate = await surveyTemplates.findOne({
+        ...(template.scope === 'tenant'
+          ? { scope: 'tenant', tenant: template.tenant }
+          : { scope: { $ne: 'tenant' } }),
+        isActive: true,
         name: { $regex: new RegExp(`^${name}$`, 'i') },
         _id: { $ne: req.params.id }
       });
@@ -301,7 +344,7 @@ exports.updateSurveyTemplate = async (req, res) => {
       ...(estimatedTime && { estimatedTime }),
       ...(language && { language }),
       ...(tags && { tags }),
-      ...(isPremium !== undefined && { isPremium }),
+      ...(isPremium !== undefined && req.user.role === 'admin' && { isPremium }),
       ...(isActive !== undefined && { isActive }),
       ...(status && { status }),
       updatedAt: Date.now()
@@ -368,6 +411,17 @@ exports.deleteSurveyTemplate = async (req, res) => {
       });
     }
 
+    if (!templateService.canManageTemplate(template, req.user, req.tenantId)) {
+      Logger.warn("deleteSurveyTemplate", "Template outside the user's scope", {
+        context: { templateId: req.params.id, scope: template.scope, userId: req.user?.id },
+        req
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot delete this template'
+      });
+    }
+
     // Soft delete by setting isActive to false
     template.isActive = false;
     await template.save();
@@ -405,23 +459,13 @@ exports.useSurveyTemplate = async (req, res) => {
       context: { templateId: req.params.id, userId: req.user?.id },
       req
     });
+    const visible = await templateService.findVisibleTemplate(req.params.id, req.user, req.tenantId);
     const template = await surveyTemplates.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { usageCount: 1 } },
+      visible._id,
+      { $inc: { usageCount: 1 }, $set: { 'stats.lastUsedAt': new Date() } },
       { new: true }
     );
 
-    if (!template) {
-      Logger.warn("useSurveyTemplate", "Survey template not found", {
-        context: { templateId: req.params.id },
-        req
-      });
-      return res.status(404).json({
-        success: false,
-        message: 'Survey template not found'
-      });
-    }
-
     Logger.info("useSurveyTemplate", "Usage count incremented", {
       context: { templateId: template._id, usageCount: template.usageCount },
       req
@@ -439,10 +483,7 @@ exports.useSurveyTemplate = async (req, res) => {
       req
     });
     console.error('Update usage count error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating usage count'
-    });
+    sendServiceError(res, error, 'Server error while updating usage count');
   }
 };
 
@@ -457,19 +498,8 @@ exports.previewSurveyTemplate = async (req, res) => {
       req
     });
 
-    const template = await surveyTemplates.findById(req.params.id)
-      .populate('createdBy', 'name email');
-
-    if (!template) {
-      Logger.warn("previewSurveyTemplate", "Survey template not found", {
-        context: { templateId: req.params.id },
-        req
-      });
-      return res.status(404).json({
-        success: false,
-        message: 'Survey template not found'
-      });
-    }
+    const template = await templateService.findVisibleTemplate(req.params.id, req.user, req.tenantId);
+    await template.populate('createdBy', 'name email');
 
     Logger.info("previewSurveyTemplate", "Survey template preview fetched", {
       context: { templateId: template._id },
@@ -492,10 +522,7 @@ exports.previewSurveyTemplate = async (req, res) => {
       req
     });
     console.error('Preview template error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while previewing template'
-    });
+    sendServiceError(res, error, 'Server error while previewing template');
   }
 };
 
@@ -624,6 +651,7 @@ exports.saveDraftTemplate = async (req, res) => {
     });
 
     const existingTemplate = await surveyTemplates.findOne({
+      scope: { $ne: 'tenant' },
       name: { $regex: new RegExp(`^${name}$`, 'i') }
     });
 
@@ -687,21 +715,152 @@ exports.saveDraftTemplate = async (req, res) => {
   }
 };
 
-// Helper function to get category name
-const getCategoryName = (categoryId) => {
-  const categories = {
-    'corporate': 'Corporate / HR',
-    'education': 'Education',
-    'healthcare': 'Healthcare',
-    'hospitality': 'Hospitality & Tourism',
-    'sports': 'Sports & Entertainment',
-    'banking': 'Banking & Financial',
-    'retail': 'Retail & E-Commerce',
-    'government': 'Government & Public',
-    'construction': 'Construction & Real Estate',
-    'automotive': 'Automotive & Transport',
-    'technology': 'Technology & Digital'
-  };
-
-  return categories[categoryId] || 'General';
-};
\ No newline at end of file
+// @desc    Create a draft survey from a template (counts as a use)
+// @route   POST /api/survey-templates/:id/create-survey
+// @access  Private (Company Admin & Member)
+exports.createSurveyFromTemplate = async (req, res) => {
+  try {
+    const { error, value } = createFromTemplateSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    Logger.info("createSurveyFromTemplate", "Creating survey from template", {
+      context: { templateId: req.params.id, userId: req.user?._id },
+      req
+    });
+
+    // Members work inside their own department
+    const department = value.department !== undefined
+      ? value.department
+      : (req.user.role === 'member' ? req.user.department || null : null);
+
+    const survey = await templateService.createSurveyFromTemplate(req.params.id, req.user, req.tenantId, {
+      title: value.title,
+      department
+    });
+
+    Logger.info("createSurveyFromTemplate", "Survey created from template", {
+      context: { templateId: req.params.id, surveyId: survey._id, userId: req.user?._id },
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Survey created from template',
+      data: survey
+    });
+  } catch (error) {
+    Logger.error("createSurveyFromTemplate", "Failed to create survey from template", {
+      error,
+      context: { templateId: req.params.id, userId: req.user?._id },
+      req
+    });
+    sendServiceError(res, error, 'Server error while creating survey from template');
+  }
+};
+
+// @desc    Usage count and response rate of the surveys created from a template
+// @route   GET /api/survey-templates/:id/stats
+// @access  Private (Super Admin & Company Admin)
+exports.getTemplateStats = async (req, res) => {
+  try {
+    const stats = await templateService.getTemplateStats(req.params.id, req.user, req.tenantId);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    Logger.error("getTemplateStats", "Failed to fetch template stats", {
+      error,
+      context: { templateId: req.params.id, userId: req.user?._id },
+      req
+    });
+    sendServiceError(res, error, 'Server error while fetching template stats');
+  }
+};
+
+// @desc    Submit a tenant template to the platform marketplace
+// @route   POST /api/survey-templates/:id/marketplace/submit
+// @access  Private (Company Admin)
+exports.submitTemplateToMarketplace = async (req, res) => {
+  try {
+    const { error, value } = marketplaceSubmitSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const template = await templateService.submitToMarketplace(req.params.id, req.user, req.tenantId, value);
+
+    Logger.info("submitTemplateToMarketplace", "Template submitted to marketplace", {
+      context: { templateId: template._id, tenantId: req.tenantId, userId: req.user?._id },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Template submitted for review',
+      data: template
+    });
+  } catch (error) {
+    Logger.error("submitTemplateToMarketplace", "Failed to submit template", {
+      error,
+      context: { templateId: req.params.id, userId: req.user?._id },
+      req
+    });
+    sendServiceError(res, error, 'Server error while submitting template');
+  }
+};
+
+// @desc    Approve (publish as a platform template) or reject a submission
+// @route   PATCH /api/survey-templates/:id/marketplace/review
+// @access  Private (Super Admin only)
+exports.reviewMarketplaceSubmission = async (req, res) => {
+  try {
+    const { error, value } = marketplaceReviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { template, platformTemplate } = await templateService.reviewSubmission(
+      req.params.id,
+      req.user._id,
+      value
+    );
+
+    Logger.info("reviewMarketplaceSubmission", `Marketplace submission ${template.marketplace.status}`, {
+      context: {
+        templateId: template._id,
+        tenantId: template.tenant,
+        platformTemplateId: platformTemplate?._id,
+        userId: req.user?._id
+      },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: value.action === 'approve'
+        ? 'Template published to the marketplace'
+        : 'Submission rejected',
+      data: { template, platformTemplate }
+    });
+  } catch (error) {
+    Logger.error("reviewMarketplaceSubmission", "Failed to review submission", {
+      error,
+      context: { templateId: req.params.id, userId: req.user?._id },
+      req
+    });
+    sendServiceError(res, error, 'Server error while reviewing submission');
+  }
+};
@@ -145,6 +145,7 @@ exports.createTicket = async (req, res, next) => {
             // 2) Fetch template
             const template = await EmailTemplate.findOne({
                 type: "support_To_Admin",
+                tenant: null,
                 isActive: true
             });
 
@@ -559,6 +560,7 @@ exports.updateTicket = async (req, res, next) => {
                 // 1) Load template
                 const template = await EmailTemplate.findOne({
                     type: "status_Update_To_User",
+                    tenant: null,
                     isActive: true
                 });
 
@@ -718,6 +720,7 @@ exports.updateTicketStatus = async (req, res) => {
                 if (userEmail) {
                     const template = await EmailTemplate.findOne({
                         type: "status_Update_To_User",
+                        tenant: null,
                         isActive: true,
                     });
 
@@ -897,6 +900,7 @@ exports.deleteTicket = async (req, res, next) => {
             if (userEmail) {
                 const template = await EmailTemplate.findOne({
                     type: "ticket_Deletion_Notification",
+                    tenant: null,
                     isActive: true,
                 });
 
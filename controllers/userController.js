@@ -476,7 +476,7 @@ exports.createUser = async (req, res) => {
     // ✅ 13. Send Email with Template
     try {
       // Fetch template
-      const template = await EmailTemplate.findOne({ type: "user_welcome", isActive: true });
+      const template = await EmailTemplate.findOne({ type: "user_welcome", tenant: null, isActive: true });
       if (!template) throw new Error("Email template not found");
 
       // Auto-map variables safely
@@ -498,6 +498,7 @@ exports.createUser = async (req, res) => {
       sendEmail({
         to: email,
         templateType: template.type,
+        tenantId,
         templateData
       });
 
@@ -1344,7 +1345,7 @@ exports.sendNotification = async (req, res, next) => {
 
     // ✉️ Step 5: Try sending email using predefined template
     try {
-      const template = await EmailTemplate.findOne({ type: "custom_notification", isActive: true });
+      const template = await EmailTemplate.findOne({ type: "custom_notification", tenant: null, isActive: true });
       if (!template) throw new Error("Email template not found");
 
       // Auto-map variables safely
@@ -1365,6 +1366,7 @@ exports.sendNotification = async (req, res, next) => {
         to: user.email,
         subject,
         templateType: template.type,
+        tenantId: user.tenant,
         templateData
       });
 
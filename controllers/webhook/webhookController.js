@@ -0,0 +1,229 @@
+// controllers/webhook/webhookController.js
+// ============================================================================
+// Webhook Controller - outbound webhook subscriptions, delivery log and replay
+// Gated by the "webhooks" feature (see routes/webhookRoutes.js)
+// ============================================================================
+
+const webhookService = require("../../services/webhook/webhookService");
+const { createWebhookSchema, updateWebhookSchema } = require("../../validators/webhookValidator");
+const Logger = require("../../utils/logger");
+
+const sendError = (res, err, fallback) =>
+    res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.statusCode ? err.message : fallback
+    });
+
+const getPaging = (query) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+});
+
+/**
+ * List subscribable events
+ * GET /api/webhooks/events
+ */
+exports.getEvents = (req, res) => {
+    res.status(200).json({ success: true, data: webhookService.WEBHOOK_EVENTS });
+};
+
+/**
+ * List webhooks
+ * GET /api/webhooks
+ */
+exports.getWebhooks = async (req, res) => {
+    try {
+        const webhooks = await webhookService.listWebhooks(req.tenantId);
+        res.status(200).json({ success: true, data: webhooks });
+    } catch (err) {
+        Logger.error("getWebhooks", "Failed to list webhooks", { error: err, req });
+        sendError(res, err, "Failed to list webhooks");
+    }
+};
+
+/**
+ * Create a webhook. The signing secret is only returned in this response.
+ * POST /api/webhooks
+ */
+exports.createWebhook = async (req, res) => {
+    try {
+        const { error, value } = createWebhookSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const { webhook, secret } = await webhookService.createWebhook({
+            tenantId: req.tenantId,
+            userId: req.user._id,
+            data: value
+        });
+
+        Logger.info("createWebhook", "Webhook created", {
+            context: { webhookId: webhook._id, url: webhook.url, events: webhook.events },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Webhook created. Copy the signing secret now — it won't be shown again.",
+            data: { webhook, secret }
+        });
+    } catch (err) {
+        Logger.error("createWebhook", "Failed to create webhook", { error: err, req });
+        sendError(res, err, "Failed to create webhook");
+    }
+};
+
+/**
+ * Update a webhook (name, url, events, isActive)
+ * PUT /api/webhooks/:id
+ */
+exports.updateWebhook = async (req, res) => {
+    try {
+        const { error, value } = updateWebhookSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const webhook = await webhookService.updateWebhook({
+            tenantId: req.tenantId,
+            webhookId: req.params.id,
+            data: value
+        });
+
+        res.status(200).json({ success: true, message: "Webhook updated", data: webhook });
+    } catch (err) {
+        Logger.error("updateWebhook", "Failed to update webhook", {
+            error: err,
+            context: { webhookId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to update webhook");
+    }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * DELETE /api/webhooks/:id
+ */
+exports.deleteWebhook = async (req, res) => {
+    try {
+        await webhookService.deleteWebhook({ tenantId: req.tenantId, webhookId: req.params.id });
+
+        Logger.info("deleteWebhook", "Webhook deleted", {
+            context: { webhookId: req.params.id },
+            req
+        });
+
+        res.status(200).json({ success: true, message: "Webhook deleted" });
+    } catch (err) {
+        Logger.error("deleteWebhook", "Failed to delete webhook", {
+            error: err,
+            context: { webhookId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to delete webhook");
+    }
+};
+
+/**
+ * Replace the signing secret
+ * POST /api/webhooks/:id/rotate-secret
+ */
+exports.rotateSecret = async (req, res) => {
+    try {
+        const { webhook, secret } = await webhookService.rotateSecret({
+            tenantId: req.tenantId,
+            webhookId: req.params.id
+        });
+
+        Logger.info("rotateWebhookSecret", "Webhook secret rotated", {
+            context: { webhookId: webhook._id },
+            req
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Signing secret rotated. Copy it now — it won't be shown again.",
+            data: { webhook, secret }
+        });
+    } catch (err) {
+        Logger.error("rotateWebhookSecret", "Failed to rotate webhook secret", {
+            error: err,
+            context: { webhookId: req.params.id },
+            req
+        });
+        sendError(res, err, "Failed to rotate webhook secret");
+    }
+};
+
+/**
+ * Delivery log (?webhook=&status=&event=&page=&limit=)
+ * GET /api/webhooks/deliveries
+ */
+exports.getDeliveries = async (req, res) => {
+    try {
+        const result = await webhookService.listDeliveries({
+            tenantId: req.tenantId,
+            webhookId: req.query.webhook,
+            status: req.query.status,
+            event: req.query.event,
+            ...getPaging(req.query)
+        });
+
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        Logger.error("getWebhookDeliveries", "Failed to list webhook deliveries", { error: err, req });
+        sendError(res, err, "Failed to list webhook deliveries");
+    }
+};
+
+/**
+ * Delivery with payload and per-attempt log
+ * GET /api/webhooks/deliveries/:deliveryId
+ */
+exports.getDelivery = async (req, res) => {
+    try {
+        const delivery = await webhookService.getDelivery({
+            tenantId: req.tenantId,
+            deliveryId: req.params.deliveryId
+        });
+
+        res.status(200).json({ success: true, data: delivery });
+    } catch (err) {
+        Logger.error("getWebhookDelivery", "Failed to get webhook delivery", {
+            error: err,
+            context: { deliveryId: req.params.deliveryId },
+            req
+        });
+        sendError(res, err, "Failed to get webhook delivery");
+    }
+};
+
+/**
+ * Send a delivery again (e.g. after it was dead-lettered)
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ */
+exports.replayDelivery = async (req, res) => {
+    try {
+        const delivery = await webhookService.replayDelivery({
+            tenantId: req.tenantId,
+            deliveryId: req.params.deliveryId,
+            userId: req.user._id
+        });
+
+        Logger.info("replayWebhookDelivery", "Webhook delivery replayed", {
+            context: { deliveryId: req.params.deliveryId, replayId: delivery._id },
+            req
+        });
+
+        res.status(202).json({ success: true, message: "Delivery queued for replay", data: delivery });
+    } catch (err) {
+        Logger.error("replayWebhookDelivery", "Failed to replay webhook delivery", {
+            error: err,
+            context: { deliveryId: req.params.deliveryId },
+            req
+        });
+        sendError(res, err, "Failed to replay webhook delivery");
+    }
+};
@@ -1,24 +1,48 @@
 // crons/autoCloseSurveys.cron.js
 const Survey = require("../models/Survey");
 const Logger = require("../utils/auditLog");
+const { dispatchEvent } = require("../services/webhook/webhookService");
 
+// schedule.endDate is stored as the UTC instant of the admin's local close time
+// (resolved in the survey timezone by SchedulingService), so a plain comparison
+// against "now" closes each survey at its own wall-clock time. Runs every
+// 5 minutes alongside auto-publish for that reason.
 exports.autoCloseSurveys = async () => {
   const now = new Date();
 
-  const result = await Survey.updateMany(
-    {
-      status: "active",
-      "schedule.endDate": { $lte: now },
-      deleted: false
-    },
-    {
-      $set: { status: "closed" }
-    }
-  );
+  const due = await Survey.find({
+    status: "active",
+    "schedule.endDate": { $lte: now },
+    deleted: false
+  }).select("_id").lean();
 
-  if (result.modifiedCount > 0) {
-    Logger.info("autoCloseSurveys", `Auto-closed ${result.modifiedCount} surveys`, {
-      context: { closedCount: result.modifiedCount }
+  if (!due.length) return;
+
+  // Close one by one, conditionally: only surveys this run moved from
+  // active to closed fire survey.closed (not ones another run or a manual
+  // close got to first)
+  let closedCount = 0;
+  for (const { _id } of due) {
+    const survey = await Survey.findOneAndUpdate(
+      { _id, status: "active" },
+      { $set: { status: "closed" } },
+      { new: true }
+    ).select("_id tenant title totalResponses").lean();
+    if (!survey) continue;
+
+    closedCount++;
+    dispatchEvent(survey.tenant, "survey.closed", {
+      surveyId: survey._id,
+      title: survey.title,
+      closedAt: now,
+      reason: "end_date",
+      totalResponses: survey.totalResponses
+    });
+  }
+
+  if (closedCount > 0) {
+    Logger.info("autoCloseSurveys", `Auto-closed ${closedCount} surveys`, {
+      context: { closedCount }
     });
   }
-};
\ No newline at end of file
+};
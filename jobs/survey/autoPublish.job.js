@@ -3,9 +3,14 @@ const Survey = require("../../models/Survey");
 const resolveSurveyRecipients = require("../../utils/resolveSurveyRecipients");
 const generateSurveyToken = require("../../utils/generateSurveyToken");
 const SurveyInvite = require("../../models/SurveyInvite");
-const { sendSurveyWhatsApp } = require("../../controllers/distributionController");
+const { sendSurveyWhatsAppInvites } = require("../../services/distribution/whatsappService");
 const Logger = require("../../utils/auditLog");
+const recurrenceService = require("../../services/survey/recurrenceService");
+const versionService = require("../../services/survey/versionService");
+const { dispatchEvent } = require("../../services/webhook/webhookService");
 
+// schedule.startDate is the UTC instant of the local start time in the survey
+// timezone (see utils/timezone), so comparing against "now" is tz-correct.
 exports.autoPublishScheduledSurveys = async () => {
   try {
     const now = new Date();
@@ -29,11 +34,15 @@ exports.autoPublishScheduledSurveys = async () => {
         // Resolve recipients
         const recipients = await resolveSurveyRecipients(survey);
 
+        // Recurring surveys: this publish opens wave 1 (or the next wave when rescheduled)
+        const wave = recurrenceService.isRecurring(survey) ? (survey.currentWave || 0) + 1 : null;
+
         let created = 0;
         for (const r of recipients) {
           const exists = await SurveyInvite.findOne({
             survey: survey._id,
             tenant: survey.tenant,
+            wave,
             $or: [
               { "contact.email": r.email },
               { "contact.phone": r.phone }
@@ -45,7 +54,8 @@ exports.autoPublishScheduledSurveys = async () => {
             survey: survey._id,
             tenant: survey.tenant,
             contact: r,
-            token: generateSurveyToken()
+            token: generateSurveyToken(),
+            wave
           });
 
           created++;
@@ -53,38 +63,73 @@ exports.autoPublishScheduledSurveys = async () => {
 
         survey.publishLog.push({
           publishedBy: null,
-          method: "cron-auto",
+          method: "cron",
           recipientsCount: created
         });
 
+        recurrenceService.openScheduledWave(survey, {
+          openedAt: now,
+          method: "cron",
+          invitesSent: created
+        });
+
+        await versionService.recordVersion(survey, { method: "cron" });
+
         await survey.save();
 
-        if (recipients.length) {
-          sendSurveyWhatsApp({
-            body: { surveyId: survey._id.toString(), recipients },
+        const phones = recipients.map(r => r.phone).filter(Boolean);
+        if (phones.length) {
+          sendSurveyWhatsAppInvites({
+            survey,
             tenantId: survey.tenant,
-            user: { _id: "cron-system" }
+            phones
           }).catch(console.error);
         }
 
+        dispatchEvent(survey.tenant, "survey.published", {
+          surveyId: survey._id,
+          title: survey.title,
+          publishedAt: now,
+          method: "cron",
+          recipientsCount: created
+        });
+
         Logger.info("autoPublishCron", "Survey auto-published via CRON", {
-          context: { surveyId: survey._id, recipients: created },
-          req
+          context: { surveyId: survey._id, recipients: created, wave }
         });
 
       } catch (err) {
 
         Logger.error("autoPublishCron", "Auto publish failed for one survey", {
           error: err,
-          req
+          context: { surveyId: s._id }
         });
       }
     }
 
   } catch (err) {
     Logger.error("autoPublishCron", "CRON crashed", {
-      error: err,
-      req
+      error: err
+    });
+  }
+};
+
+/**
+ * Open the next wave of every active recurring survey that is due
+ * (schedule.repeat.nextRunAt reached and survey not past its endDate).
+ */
+exports.runRecurringWaves = async () => {
+  try {
+    const result = await recurrenceService.runDueWaves(new Date());
+
+    if (result.opened || result.errors) {
+      Logger.info("recurringWavesCron", "Recurring survey waves processed", {
+        context: result
+      });
+    }
+  } catch (err) {
+    Logger.error("recurringWavesCron", "CRON crashed", {
+      error: err
     });
   }
 };
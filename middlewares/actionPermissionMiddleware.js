@@ -1,6 +1,9 @@
 // middlewares/actionPermissionMiddleware.js
+const mongoose = require("mongoose");
 const Survey = require("../models/Survey");
 const Action = require("../models/Action");
+const ActionPlan = require("../models/ActionPlan");
+const ActionStep = require("../models/ActionStep");
 const Permission = require("../models/Permission");
 const PermissionAssignment = require("../models/PermissionAssignment");
 
@@ -20,14 +23,42 @@ const hasPermission = async (userId, permissionName, tenantId) => {
     return !!assignment;
 };
 
+const NOT_FOUND = {
+    actionPlan: "Action plan not found",
+    actionStep: "Action step not found"
+};
+
+/**
+ * Id of the action the route is about. Plan (:id) and step (:stepId) routes
+ * resolve through their parent action; null when the plan / step doesn't exist.
+ */
+const resolveActionId = async (req, target) => {
+    if (target === "actionPlan") {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+        const plan = await ActionPlan.findById(req.params.id).select("action").lean();
+        return plan?.action || null;
+    }
+    if (target === "actionStep") {
+        if (!mongoose.Types.ObjectId.isValid(req.params.stepId)) return null;
+        const step = await ActionStep.findById(req.params.stepId).select("actionPlan").lean();
+        const plan = step && await ActionPlan.findById(step.actionPlan).select("action").lean();
+        return plan?.action || null;
+    }
+    return req.params.id || req.params.actionId;
+};
+
 /**
  * Check if user has permission to access/modify actions from a specific survey
  * Enhanced with:
  * - System Admin blocking
  * - Permission-based checks (surveyAction:view, surveyAction:assign)
  * - actionManager field validation
+ * @param {string} permissionType - "view" | "assign"
+ * @param {Object} [options]
+ * @param {string} [options.target] - "action" (default), "actionPlan" or "actionStep":
+ *                                     what the route id refers to
  */
-const checkSurveyActionPermission = (permissionType = "view") => {
+const checkSurveyActionPermission = (permissionType = "view", { target = "action" } = {}) => {
     return async (req, res, next) => {
         try {
             const user = req.user;
@@ -62,9 +93,10 @@ const checkSurveyActionPermission = (permissionType = "view") => {
             }
 
             // Get action to find associated survey
-            const actionId = req.params.id || req.params.actionId;
+            const actionId = await resolveActionId(req, target);
             if (!actionId) {
-                return next(); // No action ID, proceed
+                if (target === "action") return next(); // No action ID, proceed
+                return res.status(404).json({ success: false, message: NOT_FOUND[target] });
             }
 
             const action = await Action.findById(actionId)
@@ -51,6 +51,9 @@
 // middlewares/authMiddleware.js
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const apiKeyService = require("../services/apiKey/apiKeyService");
+const sessionService = require("../services/auth/sessionService");
+const { apiKeyLimiter } = require("./rateLimiter");
 
 // ✅ Optional: Public paths ko centralize bhi kar sakte ho
 const PUBLIC_PATHS = [
@@ -59,6 +62,86 @@ const PUBLIC_PATHS = [
   "/api/auth/register",
 ];
 
+// Raw API key presented with the request (X-API-Key header or "Bearer rpk_..."), if any
+const getRequestApiKey = (req) => {
+  const bearer = req.headers.authorization?.startsWith('Bearer') ? req.headers.authorization.split(' ')[1] : null;
+  return req.headers['x-api-key'] || (apiKeyService.isApiKey(bearer) ? bearer : null);
+};
+
+/**
+ * Opt a route in to tenant API keys. API keys are refused everywhere else.
+ * Declare the route before the router's user chain, followed by the same
+ * chain: protect authenticates the key, setTenantId binds the key's tenant
+ * and allowPermission checks the key's scopes (its permissions).
+ * Requests without a key skip to the next matching route (next("route")),
+ * i.e. the regular user route.
+ *
+ * Usage: router.post("/", acceptApiKey, protect, setTenantId, allowPermission("audience:contacts"), controller)
+ */
+exports.acceptApiKey = (req, res, next) => {
+  if (!getRequestApiKey(req)) return next('route');
+  req.acceptsApiKey = true;
+  next();
+};
+
+/**
+ * Authenticate a tenant API key (routes opted in with acceptApiKey): sets
+ * req.apiKey and req.tenantId (there is no req.user), then applies the key's
+ * rate limit.
+ */
+const protectWithApiKey = async (rawKey, req, res, next) => {
+  let apiKey;
+  try {
+    apiKey = await apiKeyService.authenticateApiKey(rawKey, { ip: req.ip });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+
+  req.apiKey = apiKey;
+  req.tenantId = apiKey.tenant.toString();
+
+  return apiKeyLimiter(req, res, next);
+};
+
+/**
+ * Verify a JWT access token the way protect does: signature / expiry,
+ * session not revoked, user still exists. Shared with the Socket.IO
+ * handshake (utils/socket.js).
+ * @param {string} token - Access token
+ * @returns {Promise<{ user, sessionId, expiresAt }>}
+ * @throws {{ statusCode: 401, message }} revoked session or unknown user
+ *         (jwt errors are thrown as-is)
+ */
+const authenticateAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // 🔒 Session revoked (logout / remote logout / refresh-token reuse)
+  if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+    throw { statusCode: 401, message: 'Session has been revoked' };
+  }
+
+  const user = await User.findById(decoded._id)
+    .select('-password')
+    .populate({
+      path: 'tenant',
+      populate: { path: 'departments', model: 'Department' },
+    })
+    .populate('customRoles');
+
+  if (!user) {
+    throw { statusCode: 401, message: 'User not found' };
+  }
+
+  return {
+    user,
+    sessionId: decoded.sid || null,
+    expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null,
+  };
+};
+
+exports.authenticateAccessToken = authenticateAccessToken;
+
 exports.protect = async (req, res, next) => {
   try {
 
@@ -67,6 +150,18 @@ exports.protect = async (req, res, next) => {
       return next();
     }
 
+    // 🔑 Tenant API key: only on routes that opt in with acceptApiKey
+    const rawKey = getRequestApiKey(req);
+    if (rawKey) {
+      if (!req.acceptsApiKey) {
+        return res.status(401).json({
+          message: 'API keys are not accepted on this route',
+          code: 'API_KEY_NOT_ALLOWED'
+        });
+      }
+      return await protectWithApiKey(rawKey, req, res, next);
+    }
+
     let token;
 
     // 🟡 STEP 2: Authorization header
@@ -81,24 +176,18 @@ exports.protect = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided' });
     }
 
-    // 🔐 STEP 4: Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // 🧑 STEP 5: Find user
-    const user = await User.findById(decoded._id)
-      .select('-password')
-      .populate({
-        path: 'tenant',
-        populate: { path: 'departments', model: 'Department' },
-      })
-      .populate('customRoles');
-
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+    // 🔐 STEP 4: Verify token, session and user
+    let user, sessionId;
+    try {
+      ({ user, sessionId } = await authenticateAccessToken(token));
+    } catch (authErr) {
+      if (!authErr.statusCode) throw authErr;
+      return res.status(authErr.statusCode).json({ message: authErr.message });
     }
 
     req.user = user;
     req.tenantId = user.tenant ? user.tenant._id.toString() : null;
+    req.sessionId = sessionId;
 
     next();
   } catch (err) {
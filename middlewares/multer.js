@@ -56,7 +56,31 @@ const excelUpload = multer({
   limits: { fileSize: 50 * 1024 * 1024 },
 });
 
+// Comment attachments (action comments): images, PDF, Office docs, text/CSV
+const ATTACHMENT_EXTENSIONS = [
+  ".jpeg", ".jpg", ".png", ".webp", ".gif",
+  ".pdf", ".doc", ".docx", ".xls", ".xlsx", ".ppt", ".pptx",
+  ".txt", ".csv",
+];
+
+const attachmentUpload = multer({
+  storage: multer.diskStorage({
+    destination(req, file, cb) {
+      cb(null, UPLOAD_DIR);
+    },
+    filename(req, file, cb) {
+      cb(null, `attachment-${Date.now()}-${Math.round(Math.random() * 1e6)}${path.extname(file.originalname).toLowerCase()}`);
+    },
+  }),
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) cb(null, true);
+    else cb(new Error("Only images, PDF, Office documents, TXT or CSV files allowed"));
+  },
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+});
+
 module.exports = {
   upload,       // images ke liye
   excelUpload,  // excel ke liye
+  attachmentUpload, // comment attachments ke liye
 };
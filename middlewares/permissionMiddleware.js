@@ -7,6 +7,14 @@ const Permission = require('../models/Permission');
 exports.allowPermission = (permission) => async (req, res, next) => {
   try {
 
+    // 🔑 API keys only get the scopes granted to the key
+    if (req.apiKey) {
+      if (!req.apiKey.scopes.includes(permission)) {
+        return res.status(403).json({ message: `Permission denied: API key lacks scope "${permission}"` });
+      }
+      return next();
+    }
+
     // ✅ Allow admin and companyAdmin to bypass permission check
     if (req.user.role === 'admin' || req.user.role === 'companyAdmin') {
       return next();
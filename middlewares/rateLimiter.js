@@ -53,6 +53,29 @@ exports.anonymousSurveyLimiter = rateLimit({
   },
 });
 
+// Save-and-resume autosaves (own counters so autosaving never uses up the submit limits)
+exports.surveyProgressLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 autosaves per minute per IP
+  message: {
+    status: 429,
+    message: "Too many saves. Please wait before saving again.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// New anonymous partial responses (a save without resumeToken starts one)
+exports.anonymousProgressLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000, // 24 hours
+  max: 50, // 50 new anonymous partials per day per IP
+  skip: (req) => Boolean(req.body?.resumeToken),
+  message: {
+    status: 429,
+    message: "Daily limit reached. Please try again tomorrow.",
+  },
+});
+
 // ⬅️ ADD: Config email test limiter (prevent SendGrid credit burn / spam)
 exports.configEmailTestLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
@@ -65,3 +88,17 @@ exports.configEmailTestLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+
+// Per API key limit (ApiKey.rateLimit.requestsPerMinute), applied by protect
+exports.apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey?.rateLimit?.requestsPerMinute || 60,
+  keyGenerator: (req) => `apikey:${req.apiKey._id}`,
+  skip: (req) => !req.apiKey,
+  message: {
+    status: 429,
+    message: "API key rate limit exceeded. Please slow down.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -118,6 +118,12 @@ exports.setTenantId = async (req, res, next) => {
       return next();
     }
 
+    // 🔑 API keys are bound to the tenant that created them (set by protect)
+    if (req.apiKey) {
+      req.tenantId = req.apiKey.tenant.toString();
+      return next();
+    }
+
     // Ensure req.user is set by protect middleware
     if (!req.user || !req.user._id) {
       console.error("setTenantId: No user found in request");
@@ -88,6 +88,17 @@ const AssignmentHistorySchema = new mongoose.Schema({
   by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   at: { type: Date, default: Date.now },
   auto: { type: Boolean, default: false },
+  // Set by escalation (escalationService / autoActionService); older entries
+  // only carry an "Auto-escalated: ..." note
+  escalated: { type: Boolean, default: false },
+  note: { type: String, default: null }
+}, { _id: false });
+
+const StatusHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = system
+  at: { type: Date, default: Date.now },
   note: { type: String, default: null }
 }, { _id: false });
 
@@ -127,6 +138,9 @@ const ActionSchema = new mongoose.Schema({
   escalatedToUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   assignmentHistory: { type: [AssignmentHistorySchema], default: [] },
 
+  // Status changes (activity timeline)
+  statusHistory: { type: [StatusHistorySchema], default: [] },
+
   // Metadata
   estimatedHours: { type: Number },
   actualHours: { type: Number },
@@ -0,0 +1,110 @@
+// models/ActionComment.js
+// ============================================================================
+// Action Comment Model - Threaded discussion on actions, action plans and
+// action steps. Every comment also stores its root Action so the action
+// activity timeline can fetch them in one query.
+// Edits keep the previous bodies; deletes are soft (audit trail).
+// ============================================================================
+
+const mongoose = require("mongoose");
+
+const AttachmentSchema = new mongoose.Schema({
+    fileName: { type: String },
+    fileUrl: { type: String },
+    fileType: { type: String },
+    fileSize: { type: Number },
+    cloudinaryId: { type: String },
+    uploadedAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+const EditSchema = new mongoose.Schema({
+    body: { type: String },              // Body before this edit
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    editedAt: { type: Date, default: Date.now },
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const ActionCommentSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+
+    // What the comment is on
+    targetType: {
+        type: String,
+        enum: ['action', 'actionPlan', 'actionStep'],
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'targetModel'
+    },
+    targetModel: {
+        type: String,
+        enum: ['Action', 'ActionPlan', 'ActionStep'],
+        required: true
+    },
+    // Root action (same as target for targetType "action")
+    action: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Action',
+        required: true
+    },
+
+    // Threading: parent = comment replied to, thread = top-level comment
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ActionComment',
+        default: null
+    },
+    thread: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ActionComment',
+        default: null
+    },
+
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: 5000,
+        default: ''
+    },
+    // Users @mentioned in the current body (notified once each)
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    attachments: { type: [AttachmentSchema], default: [] },
+
+    // Edit audit trail
+    edits: { type: [EditSchema], default: [] },
+    editedAt: { type: Date, default: null },
+
+    // Soft delete
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+
+}, {
+    timestamps: true
+});
+
+// ============================================================================
+// Indexes
+// ============================================================================
+
+// Comments on a target, oldest first
+ActionCommentSchema.index({ tenant: 1, targetType: 1, target: 1, createdAt: 1 });
+
+// Activity timeline of an action (its own, plan and step comments)
+ActionCommentSchema.index({ tenant: 1, action: 1, createdAt: 1 });
+
+// Replies of a thread
+ActionCommentSchema.index({ thread: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ActionComment', ActionCommentSchema);
@@ -0,0 +1,89 @@
+// models/ApiKey.js
+const mongoose = require("mongoose");
+
+/**
+ * ApiKey Schema
+ *
+ * Tenant-scoped key for programmatic access (plan feature "api_access").
+ * Only a SHA-256 hash of the key is stored; the plaintext is shown once on
+ * create / rotate. `scopes` are Permission names checked by allowPermission.
+ */
+const ApiKeySchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // First characters of the key, shown in listings to tell keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
+
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+
+    scopes: [{
+        type: String,
+        trim: true
+    }],
+
+    rateLimit: {
+        requestsPerMinute: { type: Number, default: 60, min: 1, max: 6000 }
+    },
+
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+
+    // Set on the old key when it is rotated
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ApiKey",
+        default: null
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, { timestamps: true });
+
+ApiKeySchema.virtual("status").get(function () {
+    if (this.revokedAt) return "revoked";
+    if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+    return "active";
+});
+
+ApiKeySchema.set("toJSON", { virtuals: true });
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
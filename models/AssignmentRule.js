@@ -3,7 +3,10 @@ const mongoose = require('mongoose');
 
 const assignmentRuleSchema = new mongoose.Schema({
   tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
-  name: String,
+  name: { type: String, trim: true },
+  description: String,
+  // Rules run highest priority first; the first matching rule assigns
+  priority: { type: Number, default: 0 },
   conditions: [{
     field: {
       type: String,
@@ -16,14 +19,20 @@ const assignmentRuleSchema = new mongoose.Schema({
   logic: { type: String, enum: ['AND', 'OR'], default: 'AND' },
 
   assignment: {
-    mode: { type: String, enum: ['user', 'team_roundrobin', 'team_leastload'], default: 'user' },
+    // single_owner → targetUser, round_robin / least_load → teamMembers
+    mode: { type: String, enum: ['single_owner', 'round_robin', 'least_load'], default: 'single_owner' },
     targetUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     targetTeam: String,
+    teamMembers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   },
+  // round_robin cursor, advanced atomically by assignmentService
+  lastAssignedIndex: { type: Number, default: -1 },
 
   priorityOverride: { type: String, enum: ['high', 'medium', 'low'] },
-  isActive: { type: Boolean, default: true }
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 }, { timestamps: true });
 
-assignmentRuleSchema.index({ tenant: 1 });
-module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
\ No newline at end of file
+assignmentRuleSchema.index({ tenant: 1, isActive: 1, priority: -1 });
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
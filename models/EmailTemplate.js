@@ -1,18 +1,33 @@
 // models/EmailTemplate.js
 const mongoose = require("mongoose");
 
+// Localised subject/body; the top-level subject/body are the English (default) copy
+const translationSchema = new mongoose.Schema({
+    subject: { type: String, trim: true },
+    body: { type: String }
+}, { _id: false });
+
 const emailTemplateSchema = new mongoose.Schema({
+    // null = system template; set = tenant override of `baseTemplate`
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        default: null
+    },
+    baseTemplate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "EmailTemplate",
+        default: null
+    },
     name: {
         type: String,
         required: true,
-        trim: true,
-        unique: true
+        trim: true
     },
     type: {
         type: String,
         required: true,
-        trim: true,
-        unique: true
+        trim: true
     },
     subject: {
         type: String,
@@ -23,10 +38,18 @@ const emailTemplateSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    translations: {
+        ar: translationSchema
+    },
     variables: {
         type: [String],
         default: []
     },
+    // Current version number (overrides keep history in EmailTemplateVersion)
+    version: {
+        type: Number,
+        default: 1
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -34,9 +57,17 @@ const emailTemplateSchema = new mongoose.Schema({
     description: {
         type: String,
         trim: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
     }
 }, {
     timestamps: true
 });
 
-module.exports = mongoose.model("EmailTemplate", emailTemplateSchema);
\ No newline at end of file
+// name/type are unique per tenant (system templates share tenant: null)
+emailTemplateSchema.index({ tenant: 1, name: 1 }, { unique: true });
+emailTemplateSchema.index({ tenant: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model("EmailTemplate", emailTemplateSchema);
@@ -0,0 +1,60 @@
+// models/EmailTemplateVersion.js
+const mongoose = require("mongoose");
+
+/**
+ * Snapshot of a tenant email template override, one per saved version.
+ * Rolling back copies a snapshot into the override as a new version.
+ */
+const emailTemplateVersionSchema = new mongoose.Schema({
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "EmailTemplate",
+        required: true
+    },
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    translations: {
+        ar: {
+            subject: String,
+            body: String
+        }
+    },
+    variables: {
+        type: [String],
+        default: []
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    // Version this one was restored from (rollbacks)
+    restoredFrom: {
+        type: Number,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+emailTemplateVersionSchema.index({ template: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("EmailTemplateVersion", emailTemplateVersionSchema);
@@ -38,7 +38,8 @@ const EscalationRuleSchema = new mongoose.Schema({
             ],
             required: true
         },
-        // Hours threshold (e.g., escalate if 24 hours past due)
+        // Hours threshold (e.g., escalate if 24 hours past due); business hours
+        // on the action's SLA calendar when the tenant has one (slaCalendarService)
         thresholdHours: {
             type: Number,
             default: 24,
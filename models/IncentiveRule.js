@@ -0,0 +1,95 @@
+// models/IncentiveRule.js
+const mongoose = require("mongoose");
+
+/**
+ * IncentiveRule Schema
+ *
+ * Tenant-defined reward rules evaluated after every submitted response
+ * (see services/incentive/incentiveService). Each matching rule awards
+ * points, a voucher code, or both to the responding contact.
+ */
+const IncentiveRuleSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        required: true
+    },
+
+    // Reward code shown in the ledger (e.g. "survey_completion_points")
+    code: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    description: {
+        type: String,
+        default: null
+    },
+
+    trigger: {
+        type: String,
+        enum: [
+            "survey_completion",  // Every submitted response
+            "nps_promoter",       // NPS score >= conditions.minNps
+            "high_rating",        // Rating >= conditions.minRating
+            "detailed_feedback",  // Long review or rich AI insight
+            "first_response",     // Contact's first response for this tenant
+            "response_streak"     // Every conditions.streakLength-th response
+        ],
+        required: true
+    },
+
+    conditions: {
+        minNps: { type: Number, default: 9, min: 0, max: 10 },
+        minRating: { type: Number, default: 4, min: 1, max: 5 },
+        minReviewLength: { type: Number, default: 100, min: 1 },
+        streakLength: { type: Number, default: 5, min: 2 },
+        // Limit to specific surveys (empty = all surveys)
+        surveys: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Survey"
+        }]
+    },
+
+    reward: {
+        points: { type: Number, default: 0, min: 0 },
+        voucher: {
+            enabled: { type: Boolean, default: false },
+            prefix: { type: String, trim: true, uppercase: true, default: "RP" },
+            value: { type: Number, min: 0 },
+            valueType: { type: String, enum: ["fixed", "percent"], default: "fixed" },
+            currency: { type: String, uppercase: true, default: null },
+            validDays: { type: Number, default: 30, min: 1 }
+        }
+    },
+
+    // Stop awarding after this many rewards per contact (null = unlimited)
+    maxPerContact: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, { timestamps: true });
+
+IncentiveRuleSchema.index({ tenant: 1, code: 1 }, { unique: true });
+IncentiveRuleSchema.index({ tenant: 1, isActive: 1 });
+
+module.exports = mongoose.model("IncentiveRule", IncentiveRuleSchema);
@@ -1,15 +1,6 @@
 // models/LogicRule.js
 const mongoose = require('mongoose');
-
-const conditionSchema = new mongoose.Schema({
-  questionId: { type: String, required: true },
-  operator: {
-    type: String,
-    enum: ['==', '!=', '>', '<', '>=', '<=', 'contains', 'notContains', 'exists', 'in'],
-    required: true
-  },
-  value: { type: mongoose.Schema.Types.Mixed, required: true }
-});
+const { validateExpression } = require('../utils/logicEngine');
 
 const actionSchema = new mongoose.Schema({
   type: {
@@ -24,9 +15,18 @@ const actionSchema = new mongoose.Schema({
 const logicRuleSchema = new mongoose.Schema({
   survey: { type: mongoose.Schema.Types.ObjectId, ref: 'Survey', required: true },
   name: { type: String, default: 'Untitled Rule' },
+  // Expression tree evaluated by utils/logicEngine.js. Items are leaves
+  // { questionId, operator, value } or nested { logic, items } groups;
+  // value may pipe an earlier answer with { $ref: 'questionId' }.
   conditions: {
     logic: { type: String, enum: ['AND', 'OR'], default: 'AND' },
-    items: [conditionSchema]
+    items: {
+      type: [mongoose.Schema.Types.Mixed],
+      validate: {
+        validator: (items) => validateExpression({ logic: 'AND', items }).length === 0,
+        message: (props) => validateExpression({ logic: 'AND', items: props.value })[0]
+      }
+    }
   },
   actions: [actionSchema],
   priority: { type: Number, default: 0 }, // higher = evaluated first
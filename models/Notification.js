@@ -64,6 +64,13 @@ const notificationSchema = new mongoose.Schema(
       default: "info",
     },
 
+    // Preference key the recipient's settings are checked against
+    // (notificationPreferenceService.EVENT_TYPES)
+    event: {
+      type: String,
+      default: null,
+    },
+
     // Priority level for sorting and display
     priority: {
       type: String,
@@ -0,0 +1,74 @@
+// models/NotificationDelivery.js
+const mongoose = require("mongoose");
+
+/**
+ * NotificationDelivery Schema
+ *
+ * An email or SMS owed to a user that could not go out right away:
+ * - mode "digest":   low priority email, batched into the user's
+ *                    daily / weekly digest
+ * - mode "deferred": email / SMS held during the user's quiet hours,
+ *                    sent once `sendAfter` passes
+ * Created and flushed by services/notifications/notificationDeliveryService.js.
+ */
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+    },
+
+    // In-app copy, when one was created (read ones are left out of digests)
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+      default: null,
+    },
+
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+      required: true,
+    },
+
+    mode: {
+      type: String,
+      enum: ["digest", "deferred"],
+      required: true,
+    },
+
+    event: { type: String, default: null },
+    title: { type: String, required: true },
+    message: { type: String, default: "" },
+    priority: { type: String, default: "medium" },
+    actionUrl: { type: String, default: null },
+
+    status: {
+      type: String,
+      enum: ["pending", "sent", "skipped", "failed"],
+      default: "pending",
+    },
+
+    // Deferred: earliest send time (end of quiet hours)
+    sendAfter: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+// Deferred sweep
+notificationDeliverySchema.index({ status: 1, mode: 1, sendAfter: 1 });
+// A user's pending digest
+notificationDeliverySchema.index({ user: 1, status: 1, mode: 1, createdAt: 1 });
+// Housekeeping of sent / skipped entries
+notificationDeliverySchema.index({ updatedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 30, partialFilterExpression: { status: { $in: ["sent", "skipped"] } } });
+
+module.exports = mongoose.model("NotificationDelivery", notificationDeliverySchema);
@@ -18,9 +18,14 @@ const otpSchema = new mongoose.Schema(
     },
     purpose: {
       type: String,
-      enum: ["verify", "reset"],
+      enum: ["verify", "reset", "2fa"], // 2fa = pending login challenge (code holds the token hash)
       required: true,
     },
+    // Wrong codes entered against this OTP (2fa challenges)
+    attempts: {
+      type: Number,
+      default: 0,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,81 @@
+// models/RewardLedger.js
+const mongoose = require("mongoose");
+
+/**
+ * RewardLedger Schema
+ *
+ * Points ledger per contact, one entry per reward earned. A contact's
+ * balance is the sum of `points` over active entries; revoking an entry
+ * keeps it for the audit trail but drops it from the balance.
+ */
+const RewardLedgerSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        required: true
+    },
+
+    contact: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Contact",
+        required: true
+    },
+
+    rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "IncentiveRule",
+        default: null
+    },
+
+    // Copied from the rule so history survives rule edits / deletion
+    code: {
+        type: String,
+        required: true
+    },
+
+    points: {
+        type: Number,
+        default: 0
+    },
+
+    voucher: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Voucher",
+        default: null
+    },
+
+    survey: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Survey",
+        default: null
+    },
+
+    response: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SurveyResponse",
+        default: null
+    },
+
+    status: {
+        type: String,
+        enum: ["active", "revoked"],
+        default: "active"
+    },
+
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    revokeReason: String
+}, { timestamps: true });
+
+// One reward per rule per response — post-response jobs may be retried
+RewardLedgerSchema.index(
+    { rule: 1, response: 1 },
+    { unique: true, partialFilterExpression: { response: { $type: "objectId" } } }
+);
+RewardLedgerSchema.index({ tenant: 1, contact: 1, status: 1 });
+RewardLedgerSchema.index({ tenant: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RewardLedger", RewardLedgerSchema);
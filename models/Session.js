@@ -0,0 +1,69 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+/**
+ * Session Schema
+ *
+ * One signed-in browser / device. Each session is a refresh-token family:
+ * the refresh JWT carries the session id (`sid`) and only the SHA-256 hash
+ * of the latest token is stored. Every refresh rotates the token; presenting
+ * an older token of the family means it was copied, so the whole session is
+ * revoked. Sessions are removed by the TTL index once they expire.
+ */
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        default: null,
+        index: true
+    },
+
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+
+    rememberMe: { type: Boolean, default: false },
+    rotationCount: { type: Number, default: 0 },
+
+    userAgent: String,
+    ip: String,
+    device: {
+        type: { type: String, enum: ["desktop", "mobile", "tablet"], default: "desktop" },
+        browser: String,
+        os: String,
+        location: String
+    },
+
+    lastUsedAt: Date,
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+        type: String,
+        enum: ["logout", "user_revoked", "admin_revoked", "reuse_detected", "password_reset"],
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    }
+}, { timestamps: true });
+
+SessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", SessionSchema);
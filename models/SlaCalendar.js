@@ -0,0 +1,63 @@
+// models/SlaCalendar.js
+const mongoose = require("mongoose");
+
+/**
+ * SlaCalendar Schema
+ *
+ * Working time SLA clocks run on: due dates, escalation thresholds and SLA
+ * metrics count business hours against the calendar of the action's
+ * department, else the tenant default. Tenants without a calendar keep
+ * wall-clock time. Time math lives in utils/businessTime.js.
+ */
+const holidaySchema = new mongoose.Schema({
+  // Local date "YYYY-MM-DD"; for recurring holidays only month-day is used
+  date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  name: { type: String, trim: true, default: null },
+  recurring: { type: Boolean, default: false },
+}, { _id: false });
+
+const slaCalendarSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Tenant",
+    required: true,
+  },
+
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: null },
+
+  // IANA timezone the working hours are in
+  timezone: { type: String, default: "Asia/Karachi" },
+
+  // 0 = Sunday … 6 = Saturday
+  workingDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [1, 2, 3, 4, 5],
+  },
+
+  // Same hours every working day; end may be "24:00", must be after start
+  workingHours: {
+    start: { type: String, default: "09:00" },
+    end: { type: String, default: "17:00" },
+  },
+
+  holidays: { type: [holidaySchema], default: [] },
+
+  // Departments whose actions use this calendar
+  departments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Department" }],
+
+  // Used for actions without a department calendar (one per tenant)
+  isDefault: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true });
+
+slaCalendarSchema.index({ tenant: 1, isActive: 1 });
+slaCalendarSchema.index(
+  { tenant: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+module.exports = mongoose.model("SlaCalendar", slaCalendarSchema);
@@ -0,0 +1,51 @@
+// models/SsoLoginState.js
+const mongoose = require("mongoose");
+
+/**
+ * SsoLoginState Schema
+ *
+ * An SSO login in flight, between the redirect to the tenant's identity
+ * provider and its callback. Keyed by the hash of the random `state`
+ * (OIDC) / `RelayState` (SAML) sent to the IdP. Holds the OIDC nonce and
+ * PKCE verifier, or the SAML AuthnRequest ID the response must answer.
+ * Single use; unfinished logins are removed by the TTL index.
+ */
+const SsoLoginStateSchema = new mongoose.Schema({
+    stateHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        required: true
+    },
+
+    protocol: {
+        type: String,
+        enum: ["oidc", "saml"],
+        required: true
+    },
+
+    // OIDC
+    nonce: String,
+    codeVerifier: { type: String, select: false },
+
+    // SAML
+    requestId: String,
+
+    // Frontend path to land on after login
+    redirectPath: { type: String, default: null },
+    rememberMe: { type: Boolean, default: false },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+SsoLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("SsoLoginState", SsoLoginStateSchema);
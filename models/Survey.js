@@ -1,5 +1,28 @@
 // models/Survey.js
 const mongoose = require("mongoose");
+const { SUPPORTED_OPERATORS } = require("../utils/logicEngine");
+const { DEFAULT_LANGUAGE, LANGUAGE_PATTERN, normalizeLanguage } = require("../utils/locale");
+
+// Accepts "en", "EN", "pt_br", "English" or ["English", ...] (older clients)
+const toLanguage = (value) => {
+  const raw = Array.isArray(value) ? value[0] : value;
+  return normalizeLanguage(raw) || raw;
+};
+
+// Translations are keyed by language tag ("ar", "fr", "pt-BR"); the survey's
+// own fields hold the default `language`. See services/survey/translationService.js
+const questionTranslationSchema = new mongoose.Schema({
+  questionText: String,
+  options: [String], // same order as the question's options
+}, { _id: false });
+
+const surveyTranslationSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  thankYouMessage: String,
+  updatedAt: Date,
+}, { _id: false });
+
 const questionSchema = new mongoose.Schema({
   id: { type: String },
   questionText: { type: String, required: true },
@@ -15,27 +38,57 @@ const questionSchema = new mongoose.Schema({
   options: [String], // for mcq/choice/imageChoice/ranking etc.
   required: { type: Boolean, default: false },
 
-  translations: {
-    en: { questionText: String, options: [String] },
-    ar: { questionText: String, options: [String] },
-  },
+  translations: { type: Map, of: questionTranslationSchema, default: undefined },
 
-  language: { type: String, enum: ["en", "ar"], default: "en" },
+  language: { type: String, match: LANGUAGE_PATTERN, set: toLanguage, default: DEFAULT_LANGUAGE },
 
-  // 🔥 Smart Logic Branching (Simplified)
+  // 🔥 Smart Logic Branching (evaluated by utils/logicEngine.js)
   logicRules: [
     {
+      // Simple rule on this question's answer (questionId optional: defaults to this question)
       condition: {
-        operator: { type: String, enum: ["equals", "notEquals", "greaterThan", "lessThan", "includes"] },
-        value: { type: mongoose.Schema.Types.Mixed }, // string/number/array
+        questionId: { type: String },
+        operator: { type: String, enum: SUPPORTED_OPERATORS },
+        value: { type: mongoose.Schema.Types.Mixed }, // string/number/array or { $ref: "q1" }
       },
+      // Compound rule across earlier answers: { logic: "AND"|"OR", items: [leaf | group] }
+      conditions: { type: mongoose.Schema.Types.Mixed, default: undefined },
       nextQuestionId: { type: String }, // string reference to another question.id
+      nextSectionId: { type: String }, // jump to the first question of a section
+      endSurvey: { type: Boolean, default: false },
     },
   ],
   // Else-branch: if no logic rule matches, jump to this question (null = continue sequentially)
   defaultNextQuestionId: { type: String, default: null },
 });
 
+// Quota cells (see services/survey/quotaService.js): a response falls in a
+// cell when all conditions match its answers / metadata
+const quotaFieldSchema = new mongoose.Schema({
+  source: { type: String, enum: ["answer", "metadata"], required: true },
+  // question id, or metadata key: device | browser | os | location | language
+  field: { type: String, required: true },
+}, { _id: false });
+
+const quotaCellSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  limit: { type: Number, required: true, min: 1 },
+  conditions: [{
+    source: { type: String, enum: ["answer", "metadata"], required: true },
+    field: { type: String, required: true },
+    operator: { type: String, enum: SUPPORTED_OPERATORS, required: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    _id: false,
+  }],
+  // The limit applies to each distinct value of this field ("100 per department")
+  groupBy: { type: quotaFieldSchema, default: undefined },
+  // Overrides of the survey-level action / message
+  action: { type: String, enum: ["reject", "screen_out", null], default: null },
+  message: { type: String },
+  isActive: { type: Boolean, default: true },
+}, { _id: false });
+
 const surveySchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
@@ -46,16 +99,18 @@ const surveySchema = new mongoose.Schema(
       url: String,
     },
     themeColor: { type: String, default: "#0047AB" },
-    translations: {
-      en: { title: String, description: String },
-      ar: { title: String, description: String },
-    },
+    translations: { type: Map, of: surveyTranslationSchema, default: undefined },
+    // Default language: the survey's own title/questions are written in it
     language: {
       type: String,
-      enum: ["en", "ar"],
-      default: "en",
+      match: LANGUAGE_PATTERN,
+      set: toLanguage,
+      default: DEFAULT_LANGUAGE,
       required: true
     },
+    // Tried in order when a requested language lacks a translated field,
+    // before falling back to the default language
+    fallbackLanguages: [{ type: String, match: LANGUAGE_PATTERN, set: toLanguage }],
     questions: [questionSchema],
     tenant: { type: mongoose.Schema.Types.ObjectId, ref: "Tenant", required: true },
     // Department ownership - null means company-level (managed by CompanyAdmin only)
@@ -132,11 +187,43 @@ const surveySchema = new mongoose.Schema(
       autoPublish: { type: Boolean, default: true },
       repeat: {
         enabled: { type: Boolean, default: false },
-        frequency: { type: String, enum: ["daily", "weekly", "monthly", "none"], default: "none" }
+        frequency: { type: String, enum: ["daily", "weekly", "monthly", "none"], default: "none" },
+        // Managed by recurrenceService — when the scheduler should open the next wave
+        nextRunAt: { type: Date, default: null },
+        lastRunAt: { type: Date, default: null }
       },
       publishedAt: { type: Date } // jab actually publish hua
     },
 
+    // Follow-up reminders for invites that haven't been answered
+    reminders: {
+      enabled: { type: Boolean, default: false },
+      afterDays: [{ type: Number, min: 1 }], // days after the invite was sent, e.g. [3, 7]
+      maxReminders: { type: Number, default: 2, min: 0 },
+      messageTemplate: { type: String } // SMS / WhatsApp body; supports {{surveyLink}} / {{surveyTitle}} / {{recipientName}}
+    },
+
+    // Response quotas for sampled studies: a total cap and quota cells.
+    // Respondents landing in a full cell are rejected or screened out.
+    quotas: {
+      enabled: { type: Boolean, default: false },
+      maxResponses: { type: Number, min: 1, default: null }, // null = no total cap
+      action: { type: String, enum: ["reject", "screen_out"], default: "reject" },
+      message: { type: String }, // shown to rejected / screened-out respondents
+      closeWhenFull: { type: Boolean, default: false }, // close once maxResponses is reached
+      cells: [quotaCellSchema]
+    },
+
+    // Recurring runs: each period opened by the scheduler is a numbered "wave".
+    // 0 = survey is not recurring / no wave opened yet.
+    currentWave: { type: Number, default: 0 },
+    waves: [{
+      number: { type: Number, required: true },
+      openedAt: { type: Date, default: Date.now },
+      method: { type: String, enum: ["manual", "auto", "cron"] },
+      invitesSent: { type: Number, default: 0 }
+    }],
+
     publishLog: [{
       publishedAt: { type: Date, default: Date.now },
       publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -160,9 +247,19 @@ const surveySchema = new mongoose.Schema(
       redirectUrl: { type: String },
     },
 
+    // Lineage: the template this survey was created from (template usage /
+    // response-rate stats) and the survey it was cloned from
+    template: { type: mongoose.Schema.Types.ObjectId, ref: "surveyTemplates", default: null },
+    clonedFrom: { type: mongoose.Schema.Types.ObjectId, ref: "Survey", default: null },
+
     version: { type: Number, default: 1 },
     publishedSnapshot: {
       questions: [questionSchema],
+      sections: [{
+        id: String,
+        title: String,
+        questions: [questionSchema]
+      }],
       lockedAt: Date
     },
 
@@ -204,7 +301,10 @@ surveySchema.index({ tenant: 1 });
 surveySchema.index({ status: 1 });
 surveySchema.index({ status: 1, tenant: 1 }); // Compound index for filtered listing
 surveySchema.index({ "schedule.startDate": 1 });
+surveySchema.index({ status: 1, "schedule.repeat.enabled": 1, "schedule.repeat.nextRunAt": 1 });
+surveySchema.index({ status: 1, "reminders.enabled": 1 });
 surveySchema.index({ "targetAudience.contacts.phone": 1 });
 surveySchema.index({ "targetAudience.contacts.email": 1 });
+surveySchema.index({ template: 1 }, { partialFilterExpression: { template: { $type: "objectId" } } });
 
 module.exports = mongoose.model("Survey", surveySchema);
\ No newline at end of file
@@ -48,6 +48,56 @@ const surveyInviteSchema = new mongoose.Schema({
     type: Date,
     default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
   },
+  // Wave of a recurring survey this invite was sent for (null for one-off surveys)
+  wave: {
+    type: Number,
+    default: null
+  },
+
+  // Provider delivery tracking for SMS / WhatsApp invites (see services/distribution/deliveryStatusService)
+  delivery: {
+    channel: { type: String, enum: ["email", "sms", "whatsapp"] },
+    provider: { type: String, enum: ["twilio", "meta"] },
+    messageId: { type: String, index: true, sparse: true }, // Twilio MessageSid / Meta wamid
+    status: {
+      type: String,
+      enum: ["queued", "sent", "delivered", "read", "failed"]
+    },
+    bounced: { type: Boolean, default: false }, // failed because the recipient is unreachable / invalid
+    errorCode: String,
+    errorMessage: String,
+    updatedAt: Date,
+    history: [{
+      _id: false,
+      status: {
+        type: String,
+        enum: ["queued", "sent", "delivered", "read", "failed"]
+      },
+      providerStatus: String, // raw provider status (e.g. Twilio "undelivered")
+      errorCode: String,
+      errorMessage: String,
+      at: { type: Date, default: Date.now }
+    }]
+  },
+
+  // Follow-ups sent by the reminder job (see services/distribution/reminderService)
+  reminderCount: { type: Number, default: 0 },
+  lastReminderAt: { type: Date },
+  reminders: [{
+    _id: false,
+    number: Number, // 1-based, matches survey.reminders.afterDays[number - 1]
+    channel: { type: String, enum: ["email", "sms", "whatsapp"] },
+    sentAt: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: ["queued", "sent", "delivered", "read", "failed"]
+    },
+    messageId: { type: String, index: true, sparse: true }, // provider id for delivery webhooks
+    error: String
+  }],
+  // Reminders sent before the recipient responded (0 = responded to the original invite)
+  respondedAfterReminder: { type: Number, default: null },
+
   maxAttempts: { type: Number, default: 1 },
   attemptCount: { type: Number, default: 0 },
 
@@ -57,4 +107,8 @@ const surveyInviteSchema = new mongoose.Schema({
 
 }, { timestamps: true });
 
+surveyInviteSchema.index({ survey: 1, status: 1, reminderCount: 1 });
+// Due reminders, oldest invites first
+surveyInviteSchema.index({ survey: 1, reminderCount: 1, createdAt: 1 });
+
 module.exports = mongoose.model("SurveyInvite", surveyInviteSchema);
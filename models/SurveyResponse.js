@@ -5,6 +5,7 @@ const mongoose = require("mongoose");
 const answerSchema = new mongoose.Schema({
   questionId: { type: String, required: true },  // Changed from ObjectId to String
   answer: mongoose.Schema.Types.Mixed, // string, number, etc.
+  timeSpentMs: { type: Number }, // time on question, reported by the renderer
   media: [
     {
       type: { type: String, enum: ["image", "audio", "video", "file"] },
@@ -82,9 +83,11 @@ const surveyResponseSchema = new mongoose.Schema(
     ip: { type: String }, // for public + anonymous tracking
 
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // optional
+    // partial = in-progress autosave, expired = partial abandoned past resumeExpiresAt,
+    // screened_out = turned away by a full quota (kept for reporting, not counted)
     status: {
       type: String,
-      enum: ["partial", "submitted"],
+      enum: ["partial", "submitted", "expired", "screened_out"],
       default: "submitted"
     },
     resumeToken: {
@@ -94,6 +97,28 @@ const surveyResponseSchema = new mongoose.Schema(
     },
     lastSavedAt: { type: Date },
     currentQuestionIndex: { type: Number, default: 0 },
+    resumeExpiresAt: { type: Date, default: null },
+    // Invite this partial belongs to (invited respondents resume via their invite link)
+    invite: { type: mongoose.Schema.Types.ObjectId, ref: "SurveyInvite", default: null },
+
+    // Recurring surveys: wave (period) this response belongs to, null for one-off surveys
+    wave: { type: Number, default: null },
+
+    // Language the respondent took the survey in (negotiated by translationService)
+    language: { type: String, default: null },
+
+    // Survey version answered (SurveyVersion.version), null for responses from before versioning
+    surveyVersion: { type: Number, default: null },
+
+    // Quota cells this response counts toward ("cellId" or "cellId:value" for grouped cells)
+    quotaCells: { type: [String], default: undefined },
+    // Why a screened_out response was turned away
+    screenOut: {
+      reason: { type: String, enum: ["total", "cell"] },
+      cell: { type: String },
+      message: { type: String },
+      at: { type: Date },
+    },
 
     // Analysis metadata (populated by postResponseProcessor)
     // Client Requirement 2: Response-Level Content Analysis
@@ -121,5 +146,32 @@ surveyResponseSchema.index({ "analysis.sentiment": 1 });
 surveyResponseSchema.index({ "analysis.npsCategory": 1 });
 // Add index for contact lookups
 surveyResponseSchema.index({ contact: 1 });
+surveyResponseSchema.index({ survey: 1, wave: 1 });
+surveyResponseSchema.index({ survey: 1, language: 1 });
+surveyResponseSchema.index({ survey: 1, surveyVersion: 1 });
+surveyResponseSchema.index({ status: 1, resumeExpiresAt: 1 });
+surveyResponseSchema.index({ invite: 1, status: 1 });
+surveyResponseSchema.index({ survey: 1, status: 1, quotaCells: 1 });
+
+// 🔒 In-progress autosaves and screened-out respondents are not responses:
+// keep partial/expired/screened_out documents out of reads (analytics, exports,
+// counts) unless the query filters on `status` itself or opts in with
+// setOptions({ includePartial: true }).
+const HIDDEN_STATUSES = ["partial", "expired", "screened_out"];
+
+function excludePartials() {
+  if (this.getOptions().includePartial) return;
+  if (Object.prototype.hasOwnProperty.call(this.getFilter(), "status")) return;
+  this.where({ status: { $nin: HIDDEN_STATUSES } });
+}
+
+surveyResponseSchema.pre(["find", "findOne", "countDocuments", "distinct"], excludePartials);
+
+surveyResponseSchema.pre("aggregate", function () {
+  if (this.options?.includePartial) return;
+  const [first] = this.pipeline();
+  if (first?.$match && Object.prototype.hasOwnProperty.call(first.$match, "status")) return;
+  this.pipeline().unshift({ $match: { status: { $nin: HIDDEN_STATUSES } } });
+});
 
 module.exports = mongoose.model("SurveyResponse", surveyResponseSchema);
\ No newline at end of file
@@ -0,0 +1,53 @@
+// models/SurveyVersion.js
+const mongoose = require("mongoose");
+
+/**
+ * Immutable copy of a survey's content, one per published version.
+ * Responses record the version they answered (SurveyResponse.surveyVersion);
+ * restoring copies a version back into the survey as a new version.
+ * See services/survey/versionService.js
+ */
+const surveyVersionSchema = new mongoose.Schema(
+  {
+    survey: { type: mongoose.Schema.Types.ObjectId, ref: "Survey", required: true },
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: "Tenant", required: true },
+    version: { type: Number, required: true },
+
+    // Content as published (plain copies of the survey fields)
+    title: { type: String, required: true },
+    description: String,
+    language: String,
+    fallbackLanguages: [String],
+    translations: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    questions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    sections: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    thankYouPage: { type: mongoose.Schema.Types.Mixed, default: undefined },
+
+    // publish | schedule | cron | edit | restore
+    method: {
+      type: String,
+      enum: ["publish", "schedule", "cron", "edit", "restore"],
+      default: "publish",
+    },
+    restoredFrom: { type: Number, default: null },
+    note: { type: String, trim: true },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: { createdAt: "publishedAt", updatedAt: false } }
+);
+
+surveyVersionSchema.index({ survey: 1, version: -1 }, { unique: true });
+
+// Versions are never edited once written
+surveyVersionSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Survey versions are immutable"));
+  next();
+});
+
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"].forEach(op => {
+  surveyVersionSchema.pre(op, function (next) {
+    next(new Error("Survey versions are immutable"));
+  });
+});
+
+module.exports = mongoose.model("SurveyVersion", surveyVersionSchema);
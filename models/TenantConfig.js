@@ -3,7 +3,7 @@
  * 
  * Tenant-scoped configuration storage.
  * Stores per-tenant settings: theme, notification preferences, 
- * general tenant-level configurations.
+ * security policy, SSO identity provider, general tenant-level configurations.
  * 
  * Access: CompanyAdmin (own tenant only)
  * Compound unique index: { tenant, key } — each tenant has its own config namespace.
@@ -34,7 +34,7 @@ const tenantConfigSchema = new Schema(
         },
         category: {
             type: String,
-            enum: ["theme", "notifications", "general"],
+            enum: ["theme", "notifications", "general", "security", "sso"],
             required: true,
         },
         updatedBy: {
@@ -51,4 +51,7 @@ tenantConfigSchema.index({ tenant: 1, key: 1 }, { unique: true });
 // Fast category lookups per tenant
 tenantConfigSchema.index({ tenant: 1, category: 1 });
 
+// SSO domain routing (SSO_CONFIG value.domains)
+tenantConfigSchema.index({ key: 1, "value.domains": 1 });
+
 module.exports = mongoose.model("TenantConfig", tenantConfigSchema);
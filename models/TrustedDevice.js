@@ -0,0 +1,38 @@
+// models/TrustedDevice.js
+const mongoose = require("mongoose");
+
+/**
+ * TrustedDevice Schema
+ *
+ * A browser that passed a 2FA challenge with "trust this device" ticked.
+ * The device holds the raw token in the `trustedDevice` cookie; only its
+ * SHA-256 hash is stored. Expired devices are removed by the TTL index.
+ */
+const TrustedDeviceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+
+    userAgent: String,
+    ip: String,
+    lastUsedAt: Date,
+
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+TrustedDeviceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("TrustedDevice", TrustedDeviceSchema);
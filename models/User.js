@@ -1,6 +1,13 @@
 // models/User.js
 const mongoose = require('mongoose');
 
+// Per-type channel override (notificationPreferences.channels.<type>)
+const eventChannelsSchema = new mongoose.Schema({
+  inApp: { type: Boolean },
+  email: { type: Boolean },
+  sms: { type: Boolean },
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -15,7 +22,7 @@ const userSchema = new mongoose.Schema({
   },
   authProvider: {
     type: String,
-    enum: ["local", "google"],
+    enum: ["local", "google", "sso"],
     default: "local",
   },
   googleId: {
@@ -23,6 +30,12 @@ const userSchema = new mongoose.Schema({
     unique: true,
     sparse: true,
   },
+  // Tenant SSO identity (services/auth/ssoService.js); subject = OIDC `sub` / SAML NameID
+  sso: {
+    protocol: { type: String, enum: ["oidc", "saml", null], default: null },
+    subject: { type: String, default: null },
+    lastLoginAt: { type: Date, default: null },
+  },
   password: {
     type: String,
     required: function () {
@@ -120,6 +133,22 @@ const userSchema = new mongoose.Schema({
   // Brute-force protection: account-level lockout
   failedLoginAttempts: { type: Number, default: 0 },
   lockUntil: { type: Date, default: null },
+  // TOTP two-factor authentication (services/auth/twoFactorService.js)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    // Encrypted { iv, authTag, ciphertext } (utils/encryption)
+    secret: { type: mongoose.Schema.Types.Mixed, select: false },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: { type: mongoose.Schema.Types.Mixed, select: false },
+    // SHA-256 hashes of single-use recovery codes
+    recoveryCodes: {
+      type: [{ hash: String, usedAt: { type: Date, default: null }, _id: false }],
+      select: false,
+    },
+    // Last accepted TOTP time step (blocks code replay)
+    lastUsedStep: { type: Number, default: null, select: false },
+    enabledAt: { type: Date, default: null },
+  },
   lastLogin: {
     type: Date,
     default: null,
@@ -128,21 +157,52 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  // Notification preferences
+  // Notification preferences (enforced by services/notifications/notificationPreferenceService.js)
   notificationPreferences: {
     // Delivery channels
     inApp: { type: Boolean, default: true },
     email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: false },
     // Per-type toggles
     actionAssigned: { type: Boolean, default: true },
     actionEscalated: { type: Boolean, default: true },
     actionOverdue: { type: Boolean, default: true },
     actionCompleted: { type: Boolean, default: true },
+    actionMentions: { type: Boolean, default: true },
     surveyResponses: { type: Boolean, default: true },
-    systemAlerts: { type: Boolean, default: true }
+    systemAlerts: { type: Boolean, default: true },
+    // Per-type channel overrides, e.g. { surveyResponses: { email: false } };
+    // unset channels follow the per-type defaults
+    channels: {
+      actionAssigned: eventChannelsSchema,
+      actionEscalated: eventChannelsSchema,
+      actionOverdue: eventChannelsSchema,
+      actionCompleted: eventChannelsSchema,
+      actionMentions: eventChannelsSchema,
+      surveyResponses: eventChannelsSchema,
+      systemAlerts: eventChannelsSchema,
+    },
+    // Low priority emails are batched into one digest
+    digest: {
+      frequency: { type: String, enum: ["none", "daily", "weekly"], default: "daily" },
+      hour: { type: Number, min: 0, max: 23, default: 8 },        // local hour
+      weekday: { type: Number, min: 0, max: 6, default: 1 },      // weekly: 0 = Sunday
+      lastSentAt: { type: Date, default: null },
+    },
+    // Email / SMS are held until quiet hours end (in-app is still created)
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00" },                  // "HH:mm" local
+      end: { type: String, default: "07:00" },
+      allowUrgent: { type: Boolean, default: true },              // urgent bypasses
+    },
+    timezone: { type: String, default: null },                    // IANA, null → utils/timezone default
   },
 }, { timestamps: true });
 
+// SSO logins resolve users by their IdP subject within the tenant
+userSchema.index({ tenant: 1, "sso.subject": 1 }, { partialFilterExpression: { "sso.subject": { $type: "string" } } });
+
 // Hooks for validation (e.g., before save)
 userSchema.pre('save', function (next) {
   if (this.role === 'member' && !this.tenant) {
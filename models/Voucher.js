@@ -0,0 +1,62 @@
+// models/Voucher.js
+const mongoose = require("mongoose");
+
+/**
+ * Voucher Schema
+ *
+ * Redeemable code issued by an incentive rule. Expired vouchers are marked
+ * by the daily incentive cron and can no longer be redeemed.
+ */
+const VoucherSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        required: true
+    },
+
+    contact: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Contact",
+        required: true
+    },
+
+    rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "IncentiveRule",
+        default: null
+    },
+
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+
+    value: { type: Number, default: 0 },
+    valueType: { type: String, enum: ["fixed", "percent"], default: "fixed" },
+    currency: { type: String, default: null },
+
+    status: {
+        type: String,
+        enum: ["issued", "redeemed", "expired", "revoked"],
+        default: "issued"
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    redeemedAt: Date,
+    redeemedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    revokedAt: Date
+}, { timestamps: true });
+
+VoucherSchema.index({ tenant: 1, contact: 1, status: 1 });
+VoucherSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("Voucher", VoucherSchema);
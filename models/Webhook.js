@@ -0,0 +1,78 @@
+// models/Webhook.js
+const mongoose = require("mongoose");
+
+// Events tenants can subscribe to (see services/webhook/webhookService.js)
+const WEBHOOK_EVENTS = [
+    "response.submitted",
+    "action.created",
+    "action.escalated",
+    "survey.published",
+    "survey.closed",
+    "contact.updated"
+];
+
+/**
+ * Webhook Schema
+ *
+ * Outbound webhook subscription (plan feature "webhooks"). Deliveries are
+ * signed with HMAC-SHA256 using `secret`, which is stored encrypted
+ * (utils/encryption) because it must be recoverable for signing.
+ */
+const WebhookSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    events: [{
+        type: String,
+        enum: WEBHOOK_EVENTS
+    }],
+
+    // Encrypted { iv, authTag, ciphertext }
+    secret: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+        select: false
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Delivery health (updated by the delivery worker)
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+        type: String,
+        enum: ["succeeded", "failed", "dead"]
+    },
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, { timestamps: true });
+
+WebhookSchema.index({ tenant: 1, isActive: 1, events: 1 });
+
+module.exports = mongoose.model("Webhook", WebhookSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
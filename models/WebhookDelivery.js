@@ -0,0 +1,78 @@
+// models/WebhookDelivery.js
+const mongoose = require("mongoose");
+
+const attemptSchema = new mongoose.Schema({
+    number: { type: Number, required: true },
+    at: { type: Date, default: Date.now },
+    statusCode: Number,
+    durationMs: Number,
+    error: String,
+    responseBody: String // truncated
+}, { _id: false });
+
+/**
+ * WebhookDelivery Schema
+ *
+ * One event sent to one webhook. Every HTTP attempt is logged in `attempts`.
+ * Deliveries that exhaust their retries are marked "dead" and copied to the
+ * webhook dead-letter queue; a replay creates a new delivery (`replayOf`).
+ */
+const WebhookDeliverySchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tenant",
+        required: true
+    },
+
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Webhook",
+        required: true
+    },
+
+    event: {
+        type: String,
+        required: true
+    },
+
+    // Stable id sent to the receiver, shared by replays for idempotency
+    eventId: {
+        type: String,
+        required: true
+    },
+
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ["pending", "succeeded", "failed", "dead"],
+        default: "pending"
+    },
+
+    attempts: [attemptSchema],
+    attemptCount: {
+        type: Number,
+        default: 0
+    },
+    lastAttemptAt: Date,
+    deliveredAt: Date,
+    deadAt: Date,
+
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "WebhookDelivery",
+        default: null
+    },
+    replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, { timestamps: true });
+
+WebhookDeliverySchema.index({ tenant: 1, webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ tenant: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
@@ -1,5 +1,11 @@
 // // RateproBackend/models/surveyTemplates.js
 const mongoose = require('mongoose');
+const { SUPPORTED_OPERATORS } = require('../utils/logicEngine');
+
+const questionTranslationSchema = new mongoose.Schema({
+  questionText: String,
+  options: [String],
+}, { _id: false });
 
 const questionSchema = new mongoose.Schema({
   id: { type: String },
@@ -16,23 +22,26 @@ const questionSchema = new mongoose.Schema({
   options: [String], // for mcq/choice/imageChoice/ranking etc.
   required: { type: Boolean, default: false },
 
-  translations: {
-    en: { questionText: String, options: [String] },
-    ar: { questionText: String, options: [String] },
-  },
+  // Keyed by language tag, same shape as Survey question translations
+  translations: { type: Map, of: questionTranslationSchema, default: undefined },
 
-  language: { type: String, enum: ["en", "ar"], default: "en" },
+  language: { type: String, default: "en" },
 
-  // 🔥 Smart Logic Branching (Simplified)
+  // 🔥 Smart Logic Branching (same shape as Survey questions, see utils/logicEngine.js)
   logicRules: [
     {
       condition: {
-        operator: { type: String, enum: ["equals", "notEquals", "greaterThan", "lessThan", "includes"] },
+        questionId: { type: String },
+        operator: { type: String, enum: SUPPORTED_OPERATORS },
         value: { type: mongoose.Schema.Types.Mixed }, // string/number/array
       },
+      conditions: { type: mongoose.Schema.Types.Mixed, default: undefined },
       nextQuestionId: { type: String }, // string reference to another question.id
+      nextSectionId: { type: String },
+      endSurvey: { type: Boolean, default: false },
     },
   ],
+  defaultNextQuestionId: { type: String, default: null },
 });
 
 const surveyTemplateSchema = new mongoose.Schema({
@@ -59,6 +68,35 @@ const surveyTemplateSchema = new mongoose.Schema({
     required: true
   },
   questions: [questionSchema],
+  sections: [{
+    id: String,
+    title: String,
+    questions: [questionSchema]
+  }],
+  // Survey-level LogicRule documents (conditions/actions/priority), recreated
+  // for every survey made from the template
+  logicRules: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  thankYouPage: {
+    message: String,
+    qrCode: {
+      enabled: { type: Boolean, default: false },
+      url: String
+    },
+    redirectUrl: String
+  },
+  // Default language of the content and its translations (see Survey)
+  defaultLanguage: {
+    type: String,
+    default: 'en'
+  },
+  fallbackLanguages: [String],
+  translations: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   estimatedTime: {
     type: String,
     required: true
@@ -89,6 +127,54 @@ const surveyTemplateSchema = new mongoose.Schema({
     type: Number,
     default: 4.5
   },
+  // platform: curated by the platform team, visible to every tenant
+  // tenant: private to the tenant that saved it from one of its surveys
+  scope: {
+    type: String,
+    enum: ['platform', 'tenant'],
+    default: 'platform'
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  sourceSurvey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    default: null
+  },
+  // Tenant templates offered to the platform marketplace. An approved
+  // submission is published as a separate platform template (publishedFrom).
+  marketplace: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected'],
+      default: 'none'
+    },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    note: String,
+    platformTemplate: { type: mongoose.Schema.Types.ObjectId, ref: 'surveyTemplates' }
+  },
+  publishedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'surveyTemplates',
+    default: null
+  },
+  // Outcomes of the surveys created from this template, refreshed by
+  // templateService.refreshTemplateStats (daily cron + stats endpoint)
+  stats: {
+    surveysCreated: { type: Number, default: 0 },
+    totalResponses: { type: Number, default: 0 },
+    invitesSent: { type: Number, default: 0 },
+    invitesResponded: { type: Number, default: 0 },
+    avgResponseRate: { type: Number, default: null }, // % averaged over surveys that sent invites
+    lastUsedAt: Date,
+    updatedAt: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -110,4 +196,7 @@ surveyTemplateSchema.pre('save', function(next) {
   next();
 });
 
+surveyTemplateSchema.index({ scope: 1, tenant: 1, isActive: 1 });
+surveyTemplateSchema.index({ 'marketplace.status': 1 });
+
 module.exports = mongoose.model('surveyTemplates', surveyTemplateSchema);
\ No newline at end of file
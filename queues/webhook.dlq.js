@@ -0,0 +1,14 @@
+const { Queue } = require("bullmq");
+const { createQueue } = require("./index");
+
+const WEBHOOK_DLQ = "webhook-delivery-dlq";
+
+const webhookDLQ = createQueue(
+  Queue,
+  WEBHOOK_DLQ,
+  {
+    defaultJobOptions: { removeOnComplete: false }
+  }
+);
+
+module.exports = { webhookDLQ, WEBHOOK_DLQ };
@@ -0,0 +1,29 @@
+const { Queue } = require("bullmq");
+const { createQueue } = require("./index");
+const { deliverWebhook } = require("../services/webhook/webhookDeliveryService");
+
+const WEBHOOK_QUEUE = "webhook-delivery";
+
+// 6 attempts with exponential backoff: ~30s, 1m, 2m, 4m, 8m between tries
+const webhookQueue = createQueue(
+  Queue,
+  WEBHOOK_QUEUE,
+  {
+    defaultJobOptions: {
+      attempts: 6,
+      backoff: {
+        type: "exponential",
+        delay: 30000
+      },
+      removeOnComplete: 100,
+      removeOnFail: 50
+    }
+  },
+  // Queues disabled: a single inline attempt, dead on failure
+  (data) => deliverWebhook(data, { finalAttempt: true })
+);
+
+module.exports = {
+  webhookQueue,
+  WEBHOOK_QUEUE
+};
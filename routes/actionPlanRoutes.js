@@ -10,9 +10,12 @@ const { protect } = require("../middlewares/authMiddleware");
 const { setTenantId } = require("../middlewares/tenantMiddleware");
 const { allowRoles } = require("../middlewares/roleMiddleware");
 const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
+const { checkSurveyActionPermission } = require("../middlewares/actionPermissionMiddleware");
 
 // Controller
 const actionPlanController = require("../controllers/actionPlan/actionPlanController");
+const actionComments = require("../controllers/action/actionComments.controller");
+const { attachmentUpload } = require("../middlewares/multer");
 
 // ============================================================================
 // 🔒 Middleware - TENANT LAYER
@@ -53,4 +56,12 @@ router.get("/:id/steps", actionPlanController.getSteps);
 // Add custom step to action plan
 router.post("/:id/steps", allowRoles("companyAdmin", "member"), actionPlanController.addStep);
 
+// ============================================================================
+// Comments (threaded, edit / delete under /api/actions/comments/:commentId)
+// ============================================================================
+// Same survey action permission as the parent action's comments
+const canViewPlanAction = checkSurveyActionPermission("view", { target: "actionPlan" });
+router.get("/:id/comments", allowRoles("companyAdmin", "member"), canViewPlanAction, actionComments.getComments("actionPlan"));
+router.post("/:id/comments", allowRoles("companyAdmin", "member"), canViewPlanAction, attachmentUpload.array("attachments", 5), actionComments.addComment("actionPlan"));
+
 module.exports = router;
@@ -28,6 +28,9 @@ const { getActionsByStatus } = require("../controllers/action/getActionsByStatus
 const { getActionsAnalytics } = require("../controllers/action/getActionsAnalytics.controller");
 const { bulkUpdateActions } = require("../controllers/action/bulkUpdateActions.controller");
 const { generateActionsFromFeedback } = require("../controllers/action/generateActionsFromFeedback.controller");
+const assignmentRules = require("../controllers/action/assignmentRules.controller");
+const actionComments = require("../controllers/action/actionComments.controller");
+const { attachmentUpload } = require("../middlewares/multer");
 
 // ============================================================================
 // 🔒 Middleware to protect all routes - TENANT LAYER
@@ -38,6 +41,32 @@ router.use(protect);
 router.use(setTenantId);
 router.use(enforceTenantScope);  // Blocks System Admin from tenant resources
 
+// ============================================================================
+// Assignment Rules (auto-assignment of new actions)
+// Registered before /:id so "assignment-rules" isn't taken for an action id
+// ============================================================================
+router.route("/assignment-rules")
+  .get(allowRoles("companyAdmin"), assignmentRules.getAssignmentRules)
+  .post(allowRoles("companyAdmin"), assignmentRules.createAssignmentRule);
+
+router.put("/assignment-rules/reorder", allowRoles("companyAdmin"), assignmentRules.reorderAssignmentRules);
+router.post("/assignment-rules/dry-run", allowRoles("companyAdmin"), assignmentRules.dryRunAssignmentRules);
+
+router.route("/assignment-rules/:ruleId")
+  .get(allowRoles("companyAdmin"), assignmentRules.getAssignmentRuleById)
+  .put(allowRoles("companyAdmin"), assignmentRules.updateAssignmentRule)
+  .delete(allowRoles("companyAdmin"), assignmentRules.deleteAssignmentRule);
+
+// ============================================================================
+// Comment edit / delete / audit trail (comments on actions, plans and steps)
+// Registered before /:id so "comments" isn't taken for an action id
+// ============================================================================
+router.route("/comments/:commentId")
+  .put(allowRoles("companyAdmin", "member"), actionComments.updateComment)
+  .delete(allowRoles("companyAdmin", "member"), actionComments.deleteComment);
+
+router.get("/comments/:commentId/history", allowRoles("companyAdmin", "member"), actionComments.getCommentHistory);
+
 // Action CRUD routes
 router.route("/")
   .get(checkSurveyActionPermission("view"), getActions)
@@ -71,4 +100,16 @@ router.post("/:id/plan", allowRoles("companyAdmin", "member"), actionPlanControl
 // Get action plan by action ID
 router.get("/:id/plan", checkSurveyActionPermission("view"), actionPlanController.getActionPlan);
 
+// ============================================================================
+// Comments & Activity Timeline
+// ============================================================================
+
+// Threaded comments on the action (multipart, up to 5 files in "attachments")
+router.route("/:id/comments")
+  .get(allowRoles("companyAdmin", "member"), checkSurveyActionPermission("view"), actionComments.getComments("action"))
+  .post(allowRoles("companyAdmin", "member"), checkSurveyActionPermission("view"), attachmentUpload.array("attachments", 5), actionComments.addComment("action"));
+
+// Status changes, assignments, escalations, plan milestones and comments in order
+router.get("/:id/timeline", allowRoles("companyAdmin", "member"), checkSurveyActionPermission("view"), actionComments.getActionTimeline);
+
 module.exports = router;
\ No newline at end of file
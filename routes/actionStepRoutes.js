@@ -9,9 +9,12 @@ const { protect } = require("../middlewares/authMiddleware");
 const { setTenantId } = require("../middlewares/tenantMiddleware");
 const { allowRoles } = require("../middlewares/roleMiddleware");
 const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
+const { checkSurveyActionPermission } = require("../middlewares/actionPermissionMiddleware");
 
 // Controller
 const actionPlanController = require("../controllers/actionPlan/actionPlanController");
+const actionComments = require("../controllers/action/actionComments.controller");
+const { attachmentUpload } = require("../middlewares/multer");
 
 // ============================================================================
 // 🔒 Middleware - TENANT LAYER
@@ -33,4 +36,10 @@ router.put("/:stepId", allowRoles("companyAdmin", "member"), actionPlanControlle
 // Delete step
 router.delete("/:stepId", allowRoles("companyAdmin"), actionPlanController.deleteStep);
 
+// Step comments (threaded, edit / delete under /api/actions/comments/:commentId),
+// with the same survey action permission as the parent action's comments
+const canViewStepAction = checkSurveyActionPermission("view", { target: "actionStep" });
+router.get("/:stepId/comments", allowRoles("companyAdmin", "member"), canViewStepAction, actionComments.getComments("actionStep", "stepId"));
+router.post("/:stepId/comments", allowRoles("companyAdmin", "member"), canViewStepAction, attachmentUpload.array("attachments", 5), actionComments.addComment("actionStep", "stepId"));
+
 module.exports = router;
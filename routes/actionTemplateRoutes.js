@@ -8,6 +8,8 @@ const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
 const ActionTemplate = require("../models/ActionTemplate");
 const Action = require("../models/Action");
 const { applyAssignmentRules } = require("../services/action/assignmentService");
+const { getActionCalendar } = require("../services/action/slaCalendarService");
+const { addBusinessDays } = require("../utils/businessTime");
 const Logger = require("../utils/logger");
 
 router.use(protect);
@@ -136,11 +138,11 @@ router.post("/:id/create", async (req, res) => {
         // Merge template defaults with request overrides
         const { title, description, priority, assignedTo, dueDate, metadata } = req.body;
 
-        // Calculate due date from offset if not provided
+        // Calculate due date from offset if not provided (working days on the SLA calendar)
         let actionDueDate = dueDate;
         if (!actionDueDate && template.defaults.dueDateOffsetDays) {
-            const offset = template.defaults.dueDateOffsetDays * 24 * 60 * 60 * 1000;
-            actionDueDate = new Date(Date.now() + offset);
+            const calendar = await getActionCalendar(req.user.tenant, { metadata });
+            actionDueDate = addBusinessDays(new Date(), template.defaults.dueDateOffsetDays, calendar);
         }
 
         // Determine assignment
@@ -22,13 +22,21 @@ const sentimentController = require("../controllers/analytics/sentiment.controll
 const summaryController = require("../controllers/analytics/summary.controller");
 const trendsController = require("../controllers/analytics/trends.controller");
 const responsesController = require("../controllers/analytics/responses.controller");
+const funnelController = require("../controllers/analytics/funnel.controller");
 const { getAnalytics } = require("../controllers/analytics/getAnalytics.controller");
 
-const { protect } = require("../middlewares/authMiddleware");
+const { protect, acceptApiKey } = require("../middlewares/authMiddleware");
 const { setTenantId } = require("../middlewares/tenantMiddleware");
+const { allowPermission } = require("../middlewares/permissionMiddleware");
 const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
 
 
+// ============================================================================
+// 🔑 API key access (scope survey:responses:view)
+// ============================================================================
+// Requests without an API key continue to the user routes below
+router.get("/responses/:surveyId", acceptApiKey, protect, setTenantId, allowPermission("survey:responses:view"), responsesController.getSurveyResponses);
+
 // ============================================================================
 // 🔒 Apply authentication and scope enforcement to all routes
 // ============================================================================
@@ -200,7 +208,7 @@ router.get("/trends/volume", trendsController.getVolumeTrend);
  * @route   GET /api/analytics/trends/volume/:surveyId
  * @desc    Get survey-specific volume trend
  * @access  Private
- * @params  ?days=30, ?interval=day|week|month
+ * @params  ?days=30, ?interval=day|week|month, ?wave=<optional>
  */
 router.get("/trends/volume/:surveyId", trendsController.getSurveyVolumeTrend);
 
@@ -208,10 +216,24 @@ router.get("/trends/volume/:surveyId", trendsController.getSurveyVolumeTrend);
  * @route   GET /api/analytics/trends/nps/:surveyId
  * @desc    Get NPS trend over time
  * @access  Private
- * @params  ?days=30, ?interval=day|week|month
+ * @params  ?days=30, ?interval=day|week|month, ?wave=<optional>
  */
 router.get("/trends/nps/:surveyId", trendsController.getNPSTrend);
 
+/**
+ * @route   GET /api/analytics/trends/waves/:surveyId
+ * @desc    Compare waves of a recurring survey (volume, response rate, rating, NPS)
+ * @access  Private
+ */
+router.get("/trends/waves/:surveyId", trendsController.getWaveComparison);
+
+/**
+ * @route   GET /api/analytics/trends/versions/:surveyId
+ * @desc    Compare published versions of a survey (volume, rating, NPS, question changes)
+ * @access  Private
+ */
+router.get("/trends/versions/:surveyId", trendsController.getVersionComparison);
+
 /**
  * @route   GET /api/analytics/trends/complaints
  * @desc    Get complaint/issue trend
@@ -257,7 +279,7 @@ router.get("/responses/detail/:responseId", responsesController.getResponseDetai
 /**
  * @route   GET /api/analytics/responses/:surveyId
  * @desc    Get response analytics for a survey with filtering
- * @access  Private
+ * @access  Private | API key (survey:responses:view)
  * @params  ?page, ?limit, ?sortBy, ?sentiment, ?minRating, ?maxRating, ?isAnonymous
  */
 router.get("/responses/:surveyId", responsesController.getSurveyResponses);
@@ -285,12 +307,39 @@ router.get("/responses/:surveyId/export/csv", responsesController.exportResponse
  */
 router.get("/responses/:surveyId/export/pdf", responsesController.exportAnalyticsPDF);
 
+// ===== QUESTION FUNNEL / DROP-OFF =====
+
+/**
+ * @route   GET /api/analytics/funnel/:surveyId
+ * @desc    Per-question views, answers, skip rate, median time and abandonment (incl. partial responses)
+ * @access  Private
+ * @params  ?device=desktop|mobile|tablet|unknown, ?wave, ?startDate, ?endDate
+ */
+router.get("/funnel/:surveyId", funnelController.getQuestionFunnel);
+
+/**
+ * @route   GET /api/analytics/funnel/:surveyId/export/csv
+ * @desc    Export question funnel to CSV (overall + per device)
+ * @access  Private
+ * @params  ?device, ?wave, ?startDate, ?endDate
+ */
+router.get("/funnel/:surveyId/export/csv", funnelController.exportFunnelCSV);
+
+/**
+ * @route   GET /api/analytics/funnel/:surveyId/export/pdf
+ * @desc    Export question funnel to PDF
+ * @access  Private
+ * @params  ?device, ?wave, ?startDate, ?endDate
+ */
+router.get("/funnel/:surveyId/export/pdf", funnelController.exportFunnelPDF);
+
 // ===== SURVEY-SPECIFIC ANALYTICS =====
 
 /**
  * @route   GET /api/analytics/:surveyId
  * @desc    Get analytics for a specific survey (NPS, heatmap, trendline)
  * @access  Private
+ * @params  ?wave=<optional> (recurring surveys)
  */
 router.get("/:surveyId", getAnalytics);
 
@@ -0,0 +1,33 @@
+// routes/apiKeyRoutes.js
+// ============================================================================
+// API Key Routes - TENANT LAYER (Company Admin only)
+// Requires the "api_access" plan feature. Keys work only on routes that opt
+// in with acceptApiKey; there they authenticate through protect (X-API-Key
+// header), setTenantId binds the key's tenant and allowPermission limits
+// them to their scopes.
+// ============================================================================
+
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middlewares/authMiddleware");
+const { setTenantId } = require("../middlewares/tenantMiddleware");
+const { allowRoles } = require("../middlewares/roleMiddleware");
+const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
+const { requireFlag } = require("../middlewares/featureFlagMiddleware");
+
+const apiKeyController = require("../controllers/apiKey/apiKeyController");
+
+// ============================================================================
+// 🔒 Middleware - TENANT LAYER
+// ============================================================================
+router.use(protect);
+router.use(setTenantId);
+router.use(enforceTenantScope);
+router.use(requireFlag("api_access"));
+
+router.get("/", allowRoles("companyAdmin"), apiKeyController.getApiKeys);
+router.post("/", allowRoles("companyAdmin"), apiKeyController.createApiKey);
+router.delete("/:id", allowRoles("companyAdmin"), apiKeyController.revokeApiKey);
+router.post("/:id/rotate", allowRoles("companyAdmin"), apiKeyController.rotateApiKey);
+
+module.exports = router;
@@ -50,6 +50,7 @@ const { upload } = require('../middlewares/multer');
 const { protect } = require("../middlewares/authMiddleware");
 const { authLimiter, loginLimiter } = require("../middlewares/rateLimiter");
 const { allowRoles } = require("../middlewares/roleMiddleware");
+const { validateObjectId } = require("../middlewares/validateObjectId");
 const {
   registerUser,
   resendOtp,
@@ -63,7 +64,18 @@ const {
   getMe,
   loginUser,
   refreshAccessToken,
+  setupTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  googleAuth,
+  googleCallback,
+  ssoOidcCallback,
+  ssoSamlAcs,
 } = require("../controllers/authController");
+const twoFactorController = require("../controllers/auth/twoFactorController");
+const sessionController = require("../controllers/auth/sessionController");
+const ssoController = require("../controllers/auth/ssoController");
+
+const ALL_ROLES = ["admin", "companyAdmin", "member", "user"];
 
 // Public routes with rate limiting
 router.post("/register", authLimiter, registerUser);
@@ -75,9 +87,42 @@ router.post("/forgot-password", authLimiter, forgotPassword);
 router.post("/reset-password", authLimiter, resetPassword);
 router.post("/verify-reset-code", authLimiter, verifyResetCode);
 
+// Two-factor login step (challengeToken from /login)
+router.post("/2fa/challenge", authLimiter, verifyTwoFactorChallenge);
+router.post("/2fa/challenge/setup", authLimiter, setupTwoFactorChallenge);
+
+// Google sign-in (redirects back to the frontend)
+router.get("/google", authLimiter, googleAuth);
+router.get("/google/callback", authLimiter, googleCallback);
+
+// Tenant SSO (OIDC / SAML) - IdP admins register the callback / ACS URLs
+router.post("/sso/discover", authLimiter, ssoController.discover);
+router.get("/sso/:tenantId/login", authLimiter, validateObjectId("tenantId"), ssoController.startLogin);
+router.get("/sso/:tenantId/oidc/callback", authLimiter, validateObjectId("tenantId"), ssoOidcCallback);
+router.post("/sso/:tenantId/saml/acs", authLimiter, validateObjectId("tenantId"), ssoSamlAcs);
+router.get("/sso/:tenantId/saml/metadata", validateObjectId("tenantId"), ssoController.getSamlMetadata);
+
 // Protected routes
 router.put("/update-profile", protect, allowRoles("admin", "companyAdmin", "member", "user"), upload.single("avatar"), updateProfile);
 router.post("/logout", protect, logoutUser);
 router.get("/me", protect, allowRoles("admin", "companyAdmin", "member", "user"), getMe);
 router.post("/refresh", refreshAccessToken);
+
+// Two-factor authentication (current user)
+router.get("/2fa", protect, allowRoles(...ALL_ROLES), twoFactorController.getStatus);
+router.post("/2fa/setup", protect, allowRoles(...ALL_ROLES), twoFactorController.setup);
+router.post("/2fa/enable", protect, allowRoles(...ALL_ROLES), twoFactorController.enable);
+router.post("/2fa/disable", protect, allowRoles(...ALL_ROLES), twoFactorController.disable);
+router.post("/2fa/recovery-codes", protect, allowRoles(...ALL_ROLES), twoFactorController.regenerateRecoveryCodes);
+router.get("/2fa/trusted-devices", protect, allowRoles(...ALL_ROLES), twoFactorController.getTrustedDevices);
+router.delete("/2fa/trusted-devices", protect, allowRoles(...ALL_ROLES), twoFactorController.revokeAllTrustedDevices);
+router.delete("/2fa/trusted-devices/:id", protect, allowRoles(...ALL_ROLES), twoFactorController.revokeTrustedDevice);
+
+// Sessions (signed-in devices) - company admins manage their tenant's
+router.get("/sessions/tenant", protect, allowRoles("companyAdmin"), sessionController.getTenantSessions);
+router.delete("/sessions/tenant/:id", protect, allowRoles("companyAdmin"), validateObjectId("id"), sessionController.revokeTenantSession);
+router.delete("/sessions/users/:userId", protect, allowRoles("companyAdmin"), validateObjectId("userId"), sessionController.revokeUserSessions);
+router.get("/sessions", protect, allowRoles(...ALL_ROLES), sessionController.getMySessions);
+router.delete("/sessions", protect, allowRoles(...ALL_ROLES), sessionController.revokeMyOtherSessions);
+router.delete("/sessions/:id", protect, allowRoles(...ALL_ROLES), validateObjectId("id"), sessionController.revokeMySession);
 module.exports = router;
\ No newline at end of file
@@ -8,9 +8,10 @@
 const express = require("express");
 const router = express.Router();
 
-const { protect } = require("../middlewares/authMiddleware");
+const { protect, acceptApiKey } = require("../middlewares/authMiddleware");
 const { setTenantId } = require("../middlewares/tenantMiddleware");
 const { allowRoles } = require("../middlewares/roleMiddleware");
+const { allowPermission } = require("../middlewares/permissionMiddleware");
 const { excelUpload } = require("../middlewares/multer");
 
 // Controllers
@@ -22,6 +23,14 @@ const deleteContactController = require("../controllers/contact/deleteContact.co
 const bulkUploadController = require("../controllers/contact/contactBulkUpload.controller");
 const exportController = require("../controllers/contact/exportContacts.controller");
 
+// ─────────────────────────────────────────────────────────────
+// API KEY ACCESS (scope audience:contacts)
+// Requests without an API key continue to the user routes below
+// ─────────────────────────────────────────────────────────────
+
+router.post("/", acceptApiKey, protect, setTenantId, allowPermission("audience:contacts"), createContactController.createContact);
+router.put("/:id", acceptApiKey, protect, setTenantId, allowPermission("audience:contacts"), updateContactController.updateContact);
+
 // 🔒 All routes require authentication and tenant context
 router.use(protect, setTenantId);
 
@@ -96,7 +105,7 @@ router.get(
 /**
  * @route   POST /api/contacts
  * @desc    Create a new contact
- * @access  CompanyAdmin | Admin
+ * @access  CompanyAdmin | Admin | API key (audience:contacts)
  */
 router.post(
   "/",
@@ -118,7 +127,7 @@ router.get(
 /**
  * @route   PUT /api/contacts/:id
  * @desc    Update a contact
- * @access  CompanyAdmin | Admin
+ * @access  CompanyAdmin | Admin | API key (audience:contacts)
  */
 router.put(
   "/:id",
@@ -3,12 +3,22 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middlewares/authMiddleware');
 const { setTenantId } = require('../middlewares/tenantMiddleware');
-const { sendSurveyWhatsApp, whatsappWebhook } = require('../controllers/distributionController');
+const {
+  sendSurveyWhatsApp,
+  sendSurveySMS,
+  whatsappWebhook,
+  verifyWhatsAppWebhook,
+  smsWebhook,
+} = require('../controllers/distributionController');
 const { allowRoles } = require('../middlewares/roleMiddleware');
 
 router.post('/whatsapp/send', protect, setTenantId, allowRoles('companyAdmin', 'member'), sendSurveyWhatsApp);
+router.post('/sms/send', protect, setTenantId, allowRoles('companyAdmin', 'member'), sendSurveySMS);
 
-// Public webhook endpoint (no protect) - must secure with provider verification tokens in production
+// Public delivery-status webhooks (no protect) - verified by provider signatures
+// (X-Twilio-Signature / X-Hub-Signature-256); GET is Meta's subscription handshake
+router.get('/whatsapp/webhook', verifyWhatsAppWebhook);
 router.post('/whatsapp/webhook', whatsappWebhook);
+router.post('/sms/webhook', smsWebhook);
 
 module.exports = router;
@@ -7,8 +7,16 @@ const {
   updateTemplate,
   deleteTemplate,
   toggleTemplateStatus,
+  getTenantTemplates,
+  getOverride,
+  saveOverride,
+  deleteOverride,
+  getOverrideVersions,
+  rollbackOverride,
+  previewTemplate,
 } = require("../controllers/emailTemplateController");
 const { protect } = require("../middlewares/authMiddleware");
+const { setTenantId } = require("../middlewares/tenantMiddleware");
 const { allowRoles } = require("../middlewares/roleMiddleware");
 
 const router = express.Router();
@@ -16,14 +24,25 @@ const router = express.Router();
 // ALL routes require authentication
 router.use(protect);
 
+// 📧 TENANT OVERRIDES (companyAdmin brands system templates for their tenant)
+router.get("/overrides", setTenantId, allowRoles("companyAdmin"), getTenantTemplates);
+router.get("/:id/override", setTenantId, allowRoles("companyAdmin"), getOverride);
+router.put("/:id/override", setTenantId, allowRoles("companyAdmin"), saveOverride);
+router.delete("/:id/override", setTenantId, allowRoles("companyAdmin"), deleteOverride);
+router.get("/:id/override/versions", setTenantId, allowRoles("companyAdmin"), getOverrideVersions);
+router.post("/:id/override/versions/:version/rollback", setTenantId, allowRoles("companyAdmin"), rollbackOverride);
+
+// 📧 PREVIEW with sample data (tenant's effective template, or a draft)
+router.post("/:id/preview", setTenantId, allowRoles("admin", "companyAdmin"), previewTemplate);
+
 // 📧 VIEW TEMPLATES (All authenticated users)
 router.get("/", allowRoles("admin", "companyAdmin", "member", "user"), getTemplates);
 router.get("/:id", allowRoles("admin", "companyAdmin", "member", "user"), getTemplateById);
 
-// 📧 MANAGE TEMPLATES (Only admin and companyAdmin)
-router.post("/", allowRoles("admin", "companyAdmin"), createTemplate);
-router.put("/:id", allowRoles("admin", "companyAdmin"), updateTemplate);
-router.delete("/:id", allowRoles("admin", "companyAdmin"), deleteTemplate);
-router.patch("/:id/toggle-status", allowRoles("admin", "companyAdmin"), toggleTemplateStatus);
+// 📧 MANAGE SYSTEM TEMPLATES (admin only — shared by every tenant; companies use overrides)
+router.post("/", allowRoles("admin"), createTemplate);
+router.put("/:id", allowRoles("admin"), updateTemplate);
+router.delete("/:id", allowRoles("admin"), deleteTemplate);
+router.patch("/:id/toggle-status", allowRoles("admin"), toggleTemplateStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+// routes/incentiveRoutes.js
+// ============================================================================
+// Incentive Routes - TENANT LAYER (Company Admin + Member)
+// Reward rules, per-contact points ledger and vouchers.
+// Requires the "incentives" plan feature.
+// ============================================================================
+
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middlewares/authMiddleware");
+const { setTenantId } = require("../middlewares/tenantMiddleware");
+const { allowRoles } = require("../middlewares/roleMiddleware");
+const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
+const { requireFlag } = require("../middlewares/featureFlagMiddleware");
+
+const incentiveController = require("../controllers/incentive/incentiveController");
+
+// ============================================================================
+// 🔒 Middleware - TENANT LAYER
+// ============================================================================
+router.use(protect);
+router.use(setTenantId);
+router.use(enforceTenantScope);
+router.use(requireFlag("incentives"));
+
+// ============================================================================
+// Rules
+// ============================================================================
+router.get("/rules", allowRoles("companyAdmin", "member"), incentiveController.getRules);
+router.post("/rules", allowRoles("companyAdmin"), incentiveController.createRule);
+router.put("/rules/:id", allowRoles("companyAdmin"), incentiveController.updateRule);
+router.delete("/rules/:id", allowRoles("companyAdmin"), incentiveController.deleteRule);
+
+// ============================================================================
+// Ledger
+// ============================================================================
+router.get("/rewards", allowRoles("companyAdmin", "member"), incentiveController.getRewards);
+router.post("/rewards/:id/revoke", allowRoles("companyAdmin"), incentiveController.revokeReward);
+router.get("/contacts/:contactId", allowRoles("companyAdmin", "member"), incentiveController.getContactRewards);
+
+// ============================================================================
+// Vouchers
+// ============================================================================
+router.get("/vouchers", allowRoles("companyAdmin", "member"), incentiveController.getVouchers);
+router.post("/vouchers/redeem", allowRoles("companyAdmin", "member"), incentiveController.redeemVoucher);
+
+module.exports = router;
@@ -3,7 +3,7 @@ const express = require("express");
 const router = express.Router();
 const { protect } = require("../middlewares/authMiddleware");
 const { setTenantId } = require("../middlewares/tenantMiddleware");
-const { evaluateLogic } = require("../controllers/logicEngineController");
+const { evaluateLogic } = require("../controllers/logic/evaluateLogic.controller");
 
 // Ye route har survey answer change pe frontend call karega
 router.post(
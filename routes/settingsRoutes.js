@@ -7,6 +7,8 @@
  *   /general/*          → Platform scope, admin only
  *   /theme/*            → Tenant scope, companyAdmin only
  *   /notifications/*    → Shared, all authenticated users
+ *   /security           → Tenant scope, companyAdmin only (2FA policy)
+ *   /sso                → Tenant scope, companyAdmin only (OIDC / SAML identity provider)
  */
 
 const express = require("express");
@@ -14,6 +16,8 @@ const router = express.Router();
 const { protect } = require("../middlewares/authMiddleware");
 const { allowRoles } = require("../middlewares/roleMiddleware");
 const { enforcePlatformScope } = require("../middlewares/scopeMiddleware");
+const { requireFlag } = require("../middlewares/featureFlagMiddleware");
+const ssoController = require("../controllers/auth/ssoController");
 
 const {
     getGeneralSettings,
@@ -23,6 +27,8 @@ const {
     updateThemeSettings,
     getNotificationPreferences,
     updateNotificationPreferences,
+    getSecuritySettings,
+    updateSecuritySettings,
 } = require("../controllers/settingsController");
 
 // All routes require authentication
@@ -85,4 +91,52 @@ router.put(
     updateNotificationPreferences
 );
 
+// ============================================
+// SECURITY SETTINGS — Tenant scope, companyAdmin only
+// ============================================
+
+router.get(
+    "/security",
+    allowRoles("companyAdmin"),
+    getSecuritySettings
+);
+
+router.put(
+    "/security",
+    allowRoles("companyAdmin"),
+    updateSecuritySettings
+);
+
+// ============================================
+// SINGLE SIGN-ON — Tenant scope, companyAdmin only
+// ============================================
+
+router.get(
+    "/sso",
+    allowRoles("companyAdmin"),
+    requireFlag("sso"),
+    ssoController.getConfig
+);
+
+router.put(
+    "/sso",
+    allowRoles("companyAdmin"),
+    requireFlag("sso"),
+    ssoController.updateConfig
+);
+
+router.post(
+    "/sso/domains/verify",
+    allowRoles("companyAdmin"),
+    requireFlag("sso"),
+    ssoController.verifyDomain
+);
+
+router.delete(
+    "/sso",
+    allowRoles("companyAdmin"),
+    requireFlag("sso"),
+    ssoController.deleteConfig
+);
+
 module.exports = router;
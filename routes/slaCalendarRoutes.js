@@ -0,0 +1,34 @@
+// routes/slaCalendarRoutes.js
+// ============================================================================
+// SLA Calendar Routes - TENANT LAYER (Company Admin)
+//
+// Working days, hours, timezone and holidays that action due dates,
+// escalation thresholds and SLA metrics count business time against.
+// ============================================================================
+
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middlewares/authMiddleware");
+const { setTenantId } = require("../middlewares/tenantMiddleware");
+const { allowRoles } = require("../middlewares/roleMiddleware");
+const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
+const slaCalendars = require("../controllers/action/slaCalendars.controller");
+
+// Protect all routes - TENANT LAYER
+router.use(protect);
+router.use(setTenantId);
+router.use(enforceTenantScope);
+router.use(allowRoles("companyAdmin"));
+
+router.route("/")
+  .get(slaCalendars.getSlaCalendars)
+  .post(slaCalendars.createSlaCalendar);
+
+router.route("/:id")
+  .get(slaCalendars.getSlaCalendarById)
+  .put(slaCalendars.updateSlaCalendar)
+  .delete(slaCalendars.deleteSlaCalendar);
+
+router.post("/:id/preview", slaCalendars.previewSlaCalendar);
+
+module.exports = router;
@@ -14,7 +14,12 @@ const { allowRoles } = require("../middlewares/roleMiddleware");
 const { allowPermission } = require("../middlewares/permissionMiddleware");
 const { tenantCheck, setTenantId } = require("../middlewares/tenantMiddleware");
 const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
-const { surveyResponseLimiter, anonymousSurveyLimiter } = require("../middlewares/rateLimiter");
+const {
+  surveyResponseLimiter,
+  anonymousSurveyLimiter,
+  surveyProgressLimiter,
+  anonymousProgressLimiter
+} = require("../middlewares/rateLimiter");
 
 // ============================================================================
 // MODULAR CONTROLLERS (Preferred - Clean Architecture)
@@ -32,7 +37,29 @@ const deactivateSurvey = require("../controllers/survey/deactivateSurvey.control
 const closeSurvey = require("../controllers/survey/closeSurvey.controller");
 const archiveSurvey = require("../controllers/survey/archiveSurvey.controller");
 const { toggleSurveyStatus } = require("../controllers/survey/toggleStatus.controller");
-const { scheduleSurvey } = require("../controllers/survey/scheduleSurvey.controller");
+const {
+  scheduleSurvey,
+  getSurveySchedule,
+  previewSurveySchedule
+} = require("../controllers/survey/scheduleSurvey.controller");
+const {
+  getReminderPolicy,
+  updateReminderPolicy
+} = require("../controllers/survey/surveyReminders.controller");
+const { getQuotas, updateQuotas } = require("../controllers/survey/surveyQuotas.controller");
+const {
+  listTranslations,
+  getTranslation,
+  saveTranslation,
+  deleteTranslation
+} = require("../controllers/survey/translations.controller");
+const {
+  listVersions,
+  diffVersions,
+  getVersion,
+  restoreVersion
+} = require("../controllers/survey/surveyVersions.controller");
+const { cloneSurvey, saveAsTemplate } = require("../controllers/survey/duplicateSurvey.controller");
 const setAudience = require("../controllers/survey/setAudience.controller");
 const getTenantMembers = require("../controllers/survey/getTenantMembers.controller");
 
@@ -59,6 +86,13 @@ const { createQuestion, deleteQuestion } = require("../controllers/survey/questi
 const { verifyInviteToken } = require("../controllers/responses/verifyToken.controller");
 const { submitInvitedResponse } = require("../controllers/responses/submittedInvitedResponse.controller");
 const { submitAnonymousResponse } = require("../controllers/responses/submitAnonymousResponse.controller");
+const { evaluatePublicLogic, evaluateInvitedLogic } = require("../controllers/logic/evaluateLogic.controller");
+const {
+  saveInvitedProgress,
+  saveAnonymousProgress,
+  resumeResponse,
+  sendResumeLink
+} = require("../controllers/responses/partialResponse.controller");
 
 // Analytics Controllers
 const { getAnalytics } = require("../controllers/analytics/getAnalytics.controller");
@@ -85,6 +119,7 @@ const { followUp } = require("../controllers/feedback/followUp.controller");
 // Public survey listing (for embedded/shared surveys)
 router.get("/public/all", getPublicSurveys);
 router.get("/public/:id", getPublicSurveyById);
+router.post("/public/:id/evaluate-logic", evaluatePublicLogic);
 
 // ============================================================================
 // 📨 RESPONSE ROUTES (Token-based, No Auth Required)
@@ -93,10 +128,17 @@ router.get("/public/:id", getPublicSurveyById);
 // Invited survey flow: verify token → get survey → submit response
 router.get("/responses/invited/:token", verifyInviteToken);
 router.post("/responses/invited/:token", surveyResponseLimiter, submitInvitedResponse);
+router.post("/responses/invited/:token/evaluate-logic", evaluateInvitedLogic);
 
 // Anonymous survey flow: direct submit with surveyId
 router.post("/responses/anonymous/:surveyId", surveyResponseLimiter, anonymousSurveyLimiter, submitAnonymousResponse);
 
+// Save-and-resume: autosave partial progress, resume by resumeToken (magic link)
+router.put("/responses/invited/:token/progress", surveyProgressLimiter, saveInvitedProgress);
+router.put("/responses/anonymous/:surveyId/progress", surveyProgressLimiter, anonymousProgressLimiter, saveAnonymousProgress);
+router.get("/responses/resume/:resumeToken", resumeResponse);
+router.post("/responses/resume/:resumeToken/send-link", surveyResponseLimiter, sendResumeLink);
+
 
 // ============================================================================
 // 🔒 PROTECTED ROUTES (Authentication Required - TENANT LAYER)
@@ -236,6 +278,15 @@ router.put(
   archiveSurvey
 );
 
+// Schedule dates may be sent as local datetimes ("2026-03-29T09:00") in `timezone`
+router.get(
+  "/:surveyId/schedule",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:detail:view"),
+  getSurveySchedule
+);
+
 router.post(
   "/:surveyId/schedule",
   tenantCheck,
@@ -244,6 +295,131 @@ router.post(
   scheduleSurvey
 );
 
+router.post(
+  "/:surveyId/schedule/preview",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:settings:update"),
+  previewSurveySchedule
+);
+
+// Invite reminders — e.g. remind after 3 and 7 days, stopping on response or expiry
+router.get(
+  "/:surveyId/reminders",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:detail:view"),
+  getReminderPolicy
+);
+
+router.put(
+  "/:surveyId/reminders",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:settings:update"),
+  updateReminderPolicy
+);
+
+// Response quotas — total cap + quota cells with live fill status
+router.get(
+  "/:surveyId/quotas",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:detail:view"),
+  getQuotas
+);
+
+router.put(
+  "/:surveyId/quotas",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:settings:update"),
+  updateQuotas
+);
+
+// Translations — any number of languages besides the survey's default `language`
+router.get(
+  "/:surveyId/translations",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:detail:view"),
+  listTranslations
+);
+
+router.get(
+  "/:surveyId/translations/:language",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:detail:view"),
+  getTranslation
+);
+
+router.put(
+  "/:surveyId/translations/:language",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:settings:update"),
+  saveTranslation
+);
+
+router.delete(
+  "/:surveyId/translations/:language",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:settings:update"),
+  deleteTranslation
+);
+
+// Version history — one immutable version per publish; responses record the version they answered
+router.get(
+  "/:surveyId/versions",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:detail:view"),
+  listVersions
+);
+
+router.get(
+  "/:surveyId/versions/diff",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:detail:view"),
+  diffVersions
+);
+
+router.get(
+  "/:surveyId/versions/:version",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:detail:view"),
+  getVersion
+);
+
+router.post(
+  "/:surveyId/versions/:version/restore",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:publish"),
+  restoreVersion
+);
+
+// Duplicate as a new draft, or keep as a tenant-private template
+router.post(
+  "/:surveyId/clone",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("survey:create"),
+  cloneSurvey
+);
+
+router.post(
+  "/:surveyId/save-as-template",
+  tenantCheck,
+  allowRoles("companyAdmin", "member"),
+  allowPermission("template:create"),
+  saveAsTemplate
+);
+
 // Audience
 router.post(
   "/:surveyId/audience",
@@ -17,6 +17,10 @@ const {
   previewSurveyTemplate,
   updateTemplateStatus,
   saveDraftTemplate,
+  createSurveyFromTemplate,
+  getTemplateStats,
+  submitTemplateToMarketplace,
+  reviewMarketplaceSubmission,
 } = require("../controllers/surveyTemplatesController");
 
 // 🟢 PUBLIC ROUTES (if any in the future)
@@ -30,14 +34,21 @@ router.use(setTenantId);
 
 // 🧠 ADMIN & COMPANY ADMIN ROUTES
 router.post("/create", allowRoles("admin"), allowPermission("template:create"), upload.single("thumbnail"), createSurveyTemplate);
-router.put("/:id", allowRoles("admin"), allowPermission("template:update"), upload.single("thumbnail"), updateSurveyTemplate);
-router.delete("/:id", allowRoles("admin"), allowPermission("template:delete"), deleteSurveyTemplate);
+// Company admins may only edit / delete their tenant's private templates (checked in the controller)
+router.put("/:id", allowRoles("admin", "companyAdmin"), allowPermission("template:update"), upload.single("thumbnail"), updateSurveyTemplate);
+router.delete("/:id", allowRoles("admin", "companyAdmin"), allowPermission("template:delete"), deleteSurveyTemplate);
 router.patch("/:id/status", allowRoles("admin"), allowPermission("template:update"), updateTemplateStatus);
 router.get("/", allowRoles("admin", "companyAdmin", "member"), allowPermission("template:read"), getAllSurveyTemplates);
 router.get("/:id", allowRoles("admin", "companyAdmin", "member"), allowPermission("template:detail:view"), getSurveyTemplateById);
 // 🔁 Template Usage & Preview
 router.patch("/:id/use", allowRoles("admin", "companyAdmin", "member"), allowPermission("template:use"), useSurveyTemplate);
 router.get("/:id/preview", allowRoles("admin", "companyAdmin", "member"), allowPermission("template:preview"), previewSurveyTemplate);
+router.post("/:id/create-survey", allowRoles("companyAdmin", "member"), allowPermission("template:use"), createSurveyFromTemplate);
+router.get("/:id/stats", allowRoles("admin", "companyAdmin"), allowPermission("template:detail:view"), getTemplateStats);
+
+// 🏪 Marketplace: tenant templates submitted for publishing as platform templates
+router.post("/:id/marketplace/submit", allowRoles("companyAdmin"), allowPermission("template:update"), submitTemplateToMarketplace);
+router.patch("/:id/marketplace/review", allowRoles("admin"), allowPermission("template:update"), reviewMarketplaceSubmission);
 
 router.post("/save-from-survey", allowRoles("admin"), saveDraftTemplate);
 
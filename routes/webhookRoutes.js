@@ -0,0 +1,44 @@
+// routes/webhookRoutes.js
+// ============================================================================
+// Webhook Routes - TENANT LAYER (Company Admin only)
+// Outbound webhook subscriptions, per-attempt delivery log and replay.
+// Requires the "webhooks" plan feature.
+// ============================================================================
+
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middlewares/authMiddleware");
+const { setTenantId } = require("../middlewares/tenantMiddleware");
+const { allowRoles } = require("../middlewares/roleMiddleware");
+const { enforceTenantScope } = require("../middlewares/scopeMiddleware");
+const { requireFlag } = require("../middlewares/featureFlagMiddleware");
+
+const webhookController = require("../controllers/webhook/webhookController");
+
+// ============================================================================
+// 🔒 Middleware - TENANT LAYER
+// ============================================================================
+router.use(protect);
+router.use(setTenantId);
+router.use(enforceTenantScope);
+router.use(requireFlag("webhooks"));
+
+router.get("/events", allowRoles("companyAdmin"), webhookController.getEvents);
+
+// ============================================================================
+// Delivery log
+// ============================================================================
+router.get("/deliveries", allowRoles("companyAdmin"), webhookController.getDeliveries);
+router.get("/deliveries/:deliveryId", allowRoles("companyAdmin"), webhookController.getDelivery);
+router.post("/deliveries/:deliveryId/replay", allowRoles("companyAdmin"), webhookController.replayDelivery);
+
+// ============================================================================
+// Subscriptions
+// ============================================================================
+router.get("/", allowRoles("companyAdmin"), webhookController.getWebhooks);
+router.post("/", allowRoles("companyAdmin"), webhookController.createWebhook);
+router.put("/:id", allowRoles("companyAdmin"), webhookController.updateWebhook);
+router.delete("/:id", allowRoles("companyAdmin"), webhookController.deleteWebhook);
+router.post("/:id/rotate-secret", allowRoles("companyAdmin"), webhookController.rotateSecret);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Assignment Rule Mode Migration Script
+ *
+ * AssignmentRule.assignment.mode used to be stored as user / team_roundrobin /
+ * team_leastload while assignmentService only understood single_owner /
+ * round_robin / least_load. The service now maps the old names on read; this
+ * script rewrites the stored values so the documents validate again.
+ *
+ * USAGE: node scripts/migrateAssignmentRuleModes.js [--dry-run]
+ *
+ * This is a ONE-TIME migration. Run with --dry-run first to preview changes.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const AssignmentRule = require('../models/AssignmentRule');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const LEGACY_MODES = {
+    user: 'single_owner',
+    team_roundrobin: 'round_robin',
+    team_leastload: 'least_load'
+};
+
+async function migrate() {
+    try {
+        console.log(`\n🔄 Assignment Rule Mode Migration ${DRY_RUN ? '(DRY RUN)' : ''}`);
+        console.log('='.repeat(60));
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+
+        for (const [legacy, mode] of Object.entries(LEGACY_MODES)) {
+            const filter = { 'assignment.mode': legacy };
+            const count = await AssignmentRule.countDocuments(filter);
+            console.log(`📊 ${legacy} → ${mode}: ${count} rule(s)`);
+
+            if (!DRY_RUN && count) {
+                await AssignmentRule.collection.updateMany(filter, { $set: { 'assignment.mode': mode } });
+                console.log(`  ✅ Updated ${count} rule(s)`);
+            }
+        }
+
+        console.log('\n' + '='.repeat(60));
+
+        if (DRY_RUN) {
+            console.log('💡 This was a dry run. Run without --dry-run to apply changes.');
+        }
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    } finally {
+        await mongoose.disconnect();
+        console.log('🔌 Disconnected from MongoDB');
+    }
+}
+
+migrate();
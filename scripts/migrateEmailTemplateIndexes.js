@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Email Template Index Migration Script
+ *
+ * EmailTemplate `name` and `type` used to be globally unique. Tenant overrides
+ * share the system template's name/type, so uniqueness is now per tenant
+ * ({ tenant, name } / { tenant, type }). Mongoose doesn't drop the old unique
+ * indexes on its own — this script does, then builds the new ones.
+ *
+ * USAGE: node scripts/migrateEmailTemplateIndexes.js [--dry-run]
+ *
+ * This is a ONE-TIME migration. Run with --dry-run first to preview changes.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const EmailTemplate = require('../models/EmailTemplate');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const LEGACY_INDEXES = ['name_1', 'type_1'];
+
+async function migrate() {
+    try {
+        console.log(`\n🔄 Email Template Index Migration ${DRY_RUN ? '(DRY RUN)' : ''}`);
+        console.log('='.repeat(60));
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const existing = (await EmailTemplate.collection.indexes()).map(i => i.name);
+        const toDrop = LEGACY_INDEXES.filter(name => existing.includes(name));
+        console.log(`📊 Legacy unique indexes found: ${toDrop.length ? toDrop.join(', ') : 'none'}`);
+
+        // Existing templates are system templates
+        const missingTenant = await EmailTemplate.countDocuments({ tenant: { $exists: false } });
+        console.log(`📊 Templates without a tenant field: ${missingTenant}`);
+
+        if (!DRY_RUN) {
+            for (const name of toDrop) {
+                await EmailTemplate.collection.dropIndex(name);
+                console.log(`  🗑️ Dropped ${name}`);
+            }
+            if (missingTenant) {
+                await EmailTemplate.updateMany({ tenant: { $exists: false } }, { $set: { tenant: null, version: 1 } });
+                console.log(`  ✅ Marked ${missingTenant} template(s) as system templates`);
+            }
+            await EmailTemplate.syncIndexes();
+            console.log('  ✅ Per-tenant indexes built');
+        }
+
+        console.log('\n' + '='.repeat(60));
+
+        if (DRY_RUN) {
+            console.log('💡 This was a dry run. Run without --dry-run to apply changes.');
+        }
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    } finally {
+        await mongoose.disconnect();
+        console.log('🔌 Disconnected from MongoDB');
+    }
+}
+
+migrate();
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Mock identity provider for tenant SSO (local development / manual testing)
+ *
+ * One process serves both protocols and signs in a single test user without
+ * a login form:
+ *   - OIDC: discovery, authorize (code + PKCE), token (client_secret_basic), JWKS
+ *   - SAML: IdP metadata and an HTTP-Redirect SSO endpoint that auto-posts a
+ *           signed assertion to the SP's ACS URL
+ *
+ * USAGE:
+ *   node scripts/mockIdpServer.js
+ *   # then PUT /api/settings/sso as the company admin, e.g.
+ *   #   { "enabled": true, "protocol": "oidc", "domains": ["acme.test"],
+ *   #     "oidc": { "issuer": "http://localhost:4020/oidc",
+ *   #               "clientId": "ratepro", "clientSecret": "mock-secret" } }
+ *   #   { "enabled": true, "protocol": "saml", "domains": ["acme.test"],
+ *   #     "saml": { "metadataUrl": "http://localhost:4020/saml/metadata" } }
+ *
+ * Test user:  MOCK_IDP_EMAIL / MOCK_IDP_NAME (OIDC also accepts ?login_hint=email)
+ * SAML signing uses a throwaway self-signed certificate generated with `openssl`
+ * at startup.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { SignedXml } = require('xml-crypto');
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 4020;
+const BASE_URL = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'ratepro';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+const TEST_USER = {
+    email: process.env.MOCK_IDP_EMAIL || 'jane@acme.test',
+    name: process.env.MOCK_IDP_NAME || 'Jane Doe'
+};
+
+const OIDC_ISSUER = `${BASE_URL}/oidc`;
+const SAML_ENTITY_ID = `${BASE_URL}/saml/metadata`;
+
+const codes = new Map(); // code → { redirectUri, nonce, codeChallenge, user, expiresAt }
+
+// ─── Keys ───
+// RSA key for ID tokens and a self-signed certificate for SAML assertions
+const generateSigningMaterial = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-idp-'));
+    const keyFile = path.join(dir, 'key.pem');
+    const certFile = path.join(dir, 'cert.pem');
+    try {
+        execFileSync('openssl', [
+            'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256', '-days', '365',
+            '-subj', '/CN=mock-idp', '-keyout', keyFile, '-out', certFile
+        ], { stdio: 'ignore' });
+        return { privateKey: fs.readFileSync(keyFile, 'utf8'), certificate: fs.readFileSync(certFile, 'utf8') };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+const { privateKey, certificate } = generateSigningMaterial();
+const KEY_ID = crypto.createHash('sha256').update(certificate).digest('hex').slice(0, 16);
+const jwk = { ...crypto.createPublicKey(privateKey).export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+const certBody = certificate.replace(/-----[^-]+-----|\s+/g, '');
+
+// Stable subject per email, like a real IdP's immutable user ID
+const subjectFor = (email) => crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// ─── OIDC ───
+app.get('/oidc/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: OIDC_ISSUER,
+        authorization_endpoint: `${OIDC_ISSUER}/authorize`,
+        token_endpoint: `${OIDC_ISSUER}/token`,
+        jwks_uri: `${OIDC_ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic']
+    });
+});
+
+app.get('/oidc/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+app.get('/oidc/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+    if (clientId !== CLIENT_ID || !redirectUri) {
+        return res.status(400).send('Unknown client_id or missing redirect_uri');
+    }
+    if (req.query.code_challenge_method !== 'S256' || !codeChallenge) {
+        return res.status(400).send('PKCE (S256) is required');
+    }
+
+    const email = req.query.login_hint || TEST_USER.email;
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        redirectUri,
+        nonce,
+        codeChallenge,
+        user: { email, name: TEST_USER.name },
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+    console.log(`🔑 OIDC login for ${email} → ${url.origin}${url.pathname}`);
+    res.redirect(url.toString());
+});
+
+app.post('/oidc/token', (req, res) => {
+    const [id, secret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+        .toString().split(':').map(decodeURIComponent);
+    if (id !== CLIENT_ID || secret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({
+        nonce: grant.nonce,
+        email: grant.user.email,
+        email_verified: true,
+        name: grant.user.name
+    }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: OIDC_ISSUER,
+        audience: CLIENT_ID,
+        subject: subjectFor(grant.user.email),
+        expiresIn: '5m'
+    });
+
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+// ─── SAML ───
+app.get('/saml/metadata', (req, res) => {
+    res.type('application/xml').send(`<?xml version="1.0"?>
+<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${SAML_ENTITY_ID}">
+  <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol" WantAuthnRequestsSigned="false">
+    <md:KeyDescriptor use="signing">
+      <ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#">
+        <ds:X509Data><ds:X509Certificate>${certBody}</ds:X509Certificate></ds:X509Data>
+      </ds:KeyInfo>
+    </md:KeyDescriptor>
+    <md:NameIDFormat>urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress</md:NameIDFormat>
+    <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="${BASE_URL}/saml/sso"/>
+  </md:IDPSSODescriptor>
+</md:EntityDescriptor>`);
+});
+
+const buildSignedResponse = ({ requestId, acsUrl, audience, user }) => {
+    const now = new Date();
+    const notOnOrAfter = new Date(now.getTime() + 5 * 60 * 1000).toISOString();
+    const assertionId = `_${crypto.randomBytes(16).toString('hex')}`;
+
+    const xml = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_${crypto.randomBytes(16).toString('hex')}" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${escapeXml(acsUrl)}" InResponseTo="${escapeXml(requestId)}">` +
+        `<saml:Issuer>${SAML_ENTITY_ID}</saml:Issuer>` +
+        `<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>` +
+        `<saml:Assertion ID="${assertionId}" Version="2.0" IssueInstant="${now.toISOString()}">` +
+        `<saml:Issuer>${SAML_ENTITY_ID}</saml:Issuer>` +
+        `<saml:Subject>` +
+        `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escapeXml(user.email)}</saml:NameID>` +
+        `<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">` +
+        `<saml:SubjectConfirmationData InResponseTo="${escapeXml(requestId)}" NotOnOrAfter="${notOnOrAfter}" Recipient="${escapeXml(acsUrl)}"/>` +
+        `</saml:SubjectConfirmation>` +
+        `</saml:Subject>` +
+        `<saml:Conditions NotBefore="${now.toISOString()}" NotOnOrAfter="${notOnOrAfter}">` +
+        `<saml:AudienceRestriction><saml:Audience>${escapeXml(audience)}</saml:Audience></saml:AudienceRestriction>` +
+        `</saml:Conditions>` +
+        `<saml:AuthnStatement AuthnInstant="${now.toISOString()}" SessionIndex="${assertionId}">` +
+        `<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>` +
+        `</saml:AuthnStatement>` +
+        `<saml:AttributeStatement>` +
+        `<saml:Attribute Name="email"><saml:AttributeValue>${escapeXml(user.email)}</saml:AttributeValue></saml:Attribute>` +
+        `<saml:Attribute Name="displayName"><saml:AttributeValue>${escapeXml(user.name)}</saml:AttributeValue></saml:Attribute>` +
+        `</saml:AttributeStatement>` +
+        `</saml:Assertion>` +
+        `</samlp:Response>`;
+
+    const signature = new SignedXml({ privateKey, publicCert: certificate });
+    signature.signatureAlgorithm = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+    signature.canonicalizationAlgorithm = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+    signature.addReference({
+        xpath: "//*[local-name(.)='Assertion']",
+        digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+        transforms: [
+            'http://www.w3.org/2000/09/xmldsig#enveloped-signature',
+            'http://www.w3.org/2001/10/xml-exc-c14n#'
+        ]
+    });
+    signature.computeSignature(xml, {
+        location: { reference: "//*[local-name(.)='Assertion']/*[local-name(.)='Issuer']", action: 'after' }
+    });
+    return signature.getSignedXml();
+};
+
+app.get('/saml/sso', (req, res) => {
+    let request;
+    try {
+        request = zlib.inflateRawSync(Buffer.from(String(req.query.SAMLRequest || ''), 'base64')).toString('utf8');
+    } catch (err) {
+        return res.status(400).send('Invalid SAMLRequest');
+    }
+
+    const attr = (name) => request.match(new RegExp(`\\s${name}="([^"]+)"`))?.[1];
+    const requestId = attr('ID');
+    const acsUrl = attr('AssertionConsumerServiceURL');
+    const audience = request.match(/<(?:saml:)?Issuer[^>]*>([^<]+)</)?.[1];
+    if (!requestId || !acsUrl || !audience) {
+        return res.status(400).send('SAMLRequest is missing ID, AssertionConsumerServiceURL or Issuer');
+    }
+
+    const samlResponse = Buffer.from(buildSignedResponse({ requestId, acsUrl, audience, user: TEST_USER })).toString('base64');
+    const relayState = req.query.RelayState || '';
+    console.log(`🔑 SAML login for ${TEST_USER.email} → ${acsUrl}`);
+
+    res.type('html').send(`<!DOCTYPE html>
+<html><body onload="document.forms[0].submit()">
+  <form method="POST" action="${escapeXml(acsUrl)}">
+    <input type="hidden" name="SAMLResponse" value="${samlResponse}"/>
+    <input type="hidden" name="RelayState" value="${escapeXml(relayState)}"/>
+    <noscript><button type="submit">Continue</button></noscript>
+  </form>
+</body></html>`);
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock IdP listening on ${BASE_URL}`);
+    console.log(`   OIDC issuer:       ${OIDC_ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+    console.log(`   SAML metadata URL: ${SAML_ENTITY_ID}`);
+});
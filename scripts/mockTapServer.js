@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * Mock Tap Payments API (local development / manual testing)
+ *
+ * Implements the Tap endpoints TapGateway uses, with in-memory storage,
+ * a fake hosted payment page and signed webhooks.
+ *
+ * USAGE:
+ *   TAP_SECRET_KEY=sk_test_mock node scripts/mockTapServer.js
+ *   # in the API's .env
+ *   TAP_API_BASE_URL=http://localhost:4010/v2
+ *   TAP_SECRET_KEY=sk_test_mock
+ *   TAP_WEBHOOK_URL=http://localhost:5000/api/subscriptions/webhooks/tap
+ *
+ * Hosted pages:  GET  /pay/:id?result=success|failure   (the `transaction.url`)
+ * Renewals:      POST /mock/subscriptions/:id/renew?result=success|failure
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = Number(process.env.MOCK_TAP_PORT) || 4010;
+const SECRET_KEY = process.env.TAP_SECRET_KEY || 'sk_test_mock';
+const BASE_URL = `http://localhost:${PORT}`;
+
+const store = {
+    customers: new Map(),
+    charges: new Map(),
+    authorize: new Map(),
+    cards: new Map(),       // customerId → [card]
+    tokens: new Map(),
+    subscriptions: new Map(),
+    refunds: new Map()
+};
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+const decimals = (currency) => (['KWD', 'BHD', 'OMR', 'JOD'].includes(String(currency).toUpperCase()) ? 3 : 2);
+const notFound = (res, id) => res.status(404).json({ errors: [{ code: '1140', description: `${id} not found` }] });
+
+// Same hashstring Tap sends with webhooks
+const hashString = (object) => {
+    const toBeHashed = [
+        `x_id${object.id}`,
+        `x_amount${Number(object.amount).toFixed(decimals(object.currency))}`,
+        `x_currency${object.currency}`,
+        `x_gateway_reference${object.reference?.gateway || ''}`,
+        `x_payment_reference${object.reference?.payment || ''}`,
+        `x_status${object.status}`,
+        `x_created${object.transaction?.created || ''}`
+    ].join('');
+    return crypto.createHmac('sha256', SECRET_KEY).update(toBeHashed).digest('hex');
+};
+
+const postWebhook = async (object) => {
+    const url = object.post?.url || process.env.TAP_WEBHOOK_URL;
+    if (!url) return;
+    try {
+        await axios.post(url, object, { headers: { hashstring: hashString(object) }, timeout: 10000 });
+        console.log(`📨 Webhook ${object.id} (${object.status}) → ${url}`);
+    } catch (err) {
+        console.error(`❌ Webhook ${object.id} failed:`, err.response?.status || err.message);
+    }
+};
+
+const saveCard = (customerId) => {
+    const card = {
+        id: newId('card'),
+        object: 'card',
+        brand: 'VISA',
+        last_four: '4242',
+        exp_month: 12,
+        exp_year: new Date().getFullYear() + 3,
+        customer: customerId
+    };
+    store.cards.set(customerId, [...(store.cards.get(customerId) || []), card]);
+    return card;
+};
+
+// Charges and authorizations share one shape
+const createTransaction = (type, body, status = 'INITIATED') => {
+    const id = newId(type === 'authorize' ? 'auth' : 'chg');
+    const object = {
+        id,
+        object: type,
+        status,
+        amount: body.amount,
+        currency: body.currency,
+        description: body.description,
+        customer: { id: body.customer?.id },
+        source: body.source,
+        save_card: !!body.save_card,
+        metadata: body.metadata || {},
+        reference: { gateway: newId('gw'), payment: newId('pay') },
+        transaction: { created: String(Date.now()), url: `${BASE_URL}/pay/${id}` },
+        redirect: body.redirect,
+        post: body.post
+    };
+    store[type === 'authorize' ? 'authorize' : 'charges'].set(id, object);
+    return object;
+};
+
+const app = express();
+app.use(express.json());
+
+// Hosted payment page (no auth, like Tap's checkout page)
+app.get('/pay/:id', async (req, res) => {
+    const object = store.charges.get(req.params.id) || store.authorize.get(req.params.id);
+    if (!object) return notFound(res, req.params.id);
+
+    const success = req.query.result !== 'failure';
+    object.status = success ? (object.object === 'authorize' ? 'AUTHORIZED' : 'CAPTURED') : 'DECLINED';
+    if (success && object.save_card) {
+        object.card = saveCard(object.customer.id);
+    }
+
+    await postWebhook(object);
+
+    if (!object.redirect?.url) return res.json(object);
+    const separator = object.redirect.url.includes('?') ? '&' : '?';
+    res.redirect(`${object.redirect.url}${separator}tap_id=${object.id}`);
+});
+
+// Simulate a renewal charge for a subscription
+app.post('/mock/subscriptions/:id/renew', async (req, res) => {
+    const subscription = store.subscriptions.get(req.params.id);
+    if (!subscription) return notFound(res, req.params.id);
+
+    const charge = createTransaction('charge', {
+        ...subscription.charge,
+        metadata: { ...subscription.charge.metadata, subscriptionId: subscription.id }
+    }, req.query.result === 'failure' ? 'DECLINED' : 'CAPTURED');
+
+    await postWebhook(charge);
+    res.json(charge);
+});
+
+// Everything under /v2 needs the secret key
+app.use('/v2', (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${SECRET_KEY}`) {
+        return res.status(401).json({ errors: [{ code: '2107', description: 'Invalid API key' }] });
+    }
+    next();
+});
+
+// ─── Customers ───
+app.post('/v2/customers', (req, res) => {
+    const customer = { id: newId('cus'), object: 'customer', ...req.body };
+    store.customers.set(customer.id, customer);
+    res.json(customer);
+});
+app.get('/v2/customers/:id', (req, res) => {
+    const customer = store.customers.get(req.params.id);
+    return customer ? res.json(customer) : notFound(res, req.params.id);
+});
+app.put('/v2/customers/:id', (req, res) => {
+    const customer = store.customers.get(req.params.id);
+    if (!customer) return notFound(res, req.params.id);
+    Object.assign(customer, JSON.parse(JSON.stringify(req.body)));
+    res.json(customer);
+});
+
+// ─── Charges / authorizations ───
+['charges', 'authorize'].forEach((collection) => {
+    const type = collection === 'charges' ? 'charge' : 'authorize';
+
+    app.post(`/v2/${collection}`, async (req, res) => {
+        const sourceId = req.body.source?.id || '';
+        // Token (saved card) payments complete immediately; src_* open the hosted page
+        if (sourceId.startsWith('tok_')) {
+            const token = store.tokens.get(sourceId);
+            if (!token) return notFound(res, sourceId);
+            const object = createTransaction(type, req.body, type === 'charge' ? 'CAPTURED' : 'AUTHORIZED');
+            object.card = token.card;
+            await postWebhook(object);
+            return res.json(object);
+        }
+        res.json(createTransaction(type, req.body));
+    });
+    app.get(`/v2/${collection}/:id`, (req, res) => {
+        const object = store[collection].get(req.params.id);
+        return object ? res.json(object) : notFound(res, req.params.id);
+    });
+    app.put(`/v2/${collection}/:id`, (req, res) => {
+        const object = store[collection].get(req.params.id);
+        if (!object) return notFound(res, req.params.id);
+        if (req.body.metadata) object.metadata = req.body.metadata;
+        if (req.body.description) object.description = req.body.description;
+        res.json(object);
+    });
+});
+
+// ─── Saved cards / tokens ───
+app.get('/v2/card/:customerId', (req, res) => {
+    res.json({ object: 'list', data: store.cards.get(req.params.customerId) || [] });
+});
+app.post('/v2/tokens', (req, res) => {
+    const { card_id: cardId, customer_id: customerId } = req.body.saved_card || {};
+    const card = (store.cards.get(customerId) || []).find(c => c.id === cardId);
+    if (!card) return notFound(res, cardId);
+    const token = { id: newId('tok'), object: 'token', card };
+    store.tokens.set(token.id, token);
+    res.json(token);
+});
+
+// ─── Refunds ───
+app.post('/v2/refunds', (req, res) => {
+    const charge = store.charges.get(req.body.charge_id);
+    if (!charge) return notFound(res, req.body.charge_id);
+    const refund = { id: newId('re'), object: 'refund', status: 'REFUNDED', ...req.body };
+    store.refunds.set(refund.id, refund);
+    res.json(refund);
+});
+
+// ─── Subscriptions ───
+app.post('/v2/subscription/v1', (req, res) => {
+    const subscription = {
+        id: newId('sub'),
+        object: 'subscription',
+        status: 'active',
+        created: new Date().toISOString(),
+        ...req.body
+    };
+    store.subscriptions.set(subscription.id, subscription);
+    res.json(subscription);
+});
+app.get('/v2/subscription/v1/:id', (req, res) => {
+    const subscription = store.subscriptions.get(req.params.id);
+    return subscription ? res.json(subscription) : notFound(res, req.params.id);
+});
+app.put('/v2/subscription/v1/:id', (req, res) => {
+    const subscription = store.subscriptions.get(req.params.id);
+    if (!subscription) return notFound(res, req.params.id);
+    if (req.body.term) subscription.term = req.body.term;
+    if (req.body.charge) subscription.charge = req.body.charge;
+    subscription.updated = new Date().toISOString();
+    res.json(subscription);
+});
+app.delete('/v2/subscription/v1/:id', (req, res) => {
+    const subscription = store.subscriptions.get(req.params.id);
+    if (!subscription) return notFound(res, req.params.id);
+    subscription.status = 'cancelled';
+    subscription.updated = new Date().toISOString();
+    res.json(subscription);
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock Tap API listening on ${BASE_URL}/v2 (secret: ${SECRET_KEY})`);
+});
@@ -234,6 +234,15 @@ const features = [
         defaultValue: true,
         displayOrder: 52
     },
+    {
+        code: 'sso',
+        name: 'Single Sign-On',
+        description: 'SAML / OIDC single sign-on with just-in-time provisioning',
+        category: 'integration',
+        type: 'boolean',
+        defaultValue: false,
+        displayOrder: 53
+    },
 
     // Support Features
     {
@@ -144,6 +144,7 @@ const plans = [
             { featureCode: 'api_access', enabled: true },
             { featureCode: 'webhooks', enabled: true },
             { featureCode: 'multi_language', enabled: true },
+            { featureCode: 'sso', enabled: true },
             { featureCode: 'priority_support', enabled: true },
             { featureCode: 'sla_management', enabled: true },
             { featureCode: 'branding_level', enabled: true, limitValue: 3 }
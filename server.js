@@ -6,8 +6,10 @@ const cookieParser = require("cookie-parser");
 const cors = require("cors");
 const path = require("path");
 const { globalLimiter } = require("./middlewares/rateLimiter");
+const { passport } = require("./config/passportConfig");
 const cron = require('node-cron');
 const { notFound, errorHandler } = require("./middlewares/errorHandler");
+const { initializeSocket } = require("./utils/socket");
 const retagInactiveContacts = require("./jobs/retagInactiveContacts.job.js");
 const { syncSystemSegments } = require("./crons/systemSegments.cron.js");
 const { autoCloseSurveys } = require("./crons/autoCloseSurveys.cron.js");
@@ -19,7 +21,9 @@ const { scheduleMonthlyUsageReset } = require("./crons/resetMonthlyUsage");
 // require("./workers/responseProcessor.worker");
 require("./workers/responseProcessor.worker");   // Event-based processing
 require("./workers/postResponse.worker");        // ← ADD THIS: BullMQ queue processing
+require("./workers/webhook.worker");             // Outbound webhook deliveries
 require("./utils/events/contactSyncListeners");
+require("./utils/events/webhookListeners");
 
 // MongoDB connection and seeding
 const startServer = async () => {
@@ -64,10 +68,17 @@ app.use(
 );
 
 
-app.use(express.json({ limit: "10mb" }));
+app.use(express.json({
+  limit: "10mb",
+  // Keep the raw bytes for webhooks signed over the body (e.g. Meta X-Hub-Signature-256)
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes("/webhook")) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(cookieParser());
 app.use(globalLimiter);
+app.use(passport.initialize()); // Google sign-in only, no passport sessions
 
 // Static folder for uploads (avatars, PDFs, etc.)
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -102,6 +113,10 @@ app.use("/api/action-plans", require("./routes/actionPlanRoutes"));
 app.use("/api/action-steps", require("./routes/actionStepRoutes"));
 
 app.use("/api/escalation", require("./routes/escalationRoutes"));
+app.use("/api/sla-calendars", require("./routes/slaCalendarRoutes"));
+app.use("/api/incentives", require("./routes/incentiveRoutes"));
+app.use("/api/api-keys", require("./routes/apiKeyRoutes"));
+app.use("/api/webhooks", require("./routes/webhookRoutes"));
 app.use("/api/analytics", require("./routes/analyticsRoutes"));
 
 app.use("/api/sms", require("./routes/smsRoutes"));
@@ -142,8 +157,38 @@ app.use('/api/platform', require('./routes/platform.routes'));
 // 🔥 NEW: Profile update request routes (CompanyAdmin approval workflow)
 app.use('/api/profile-updates', require('./routes/profileUpdateRoutes'));
 
-cron.schedule('*/5 * * * *', () => {
-  require('./controllers/surveyController').autoPublishScheduledSurveys();
+// Scheduled publishing, recurring survey waves and auto-close - every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  const { autoPublishScheduledSurveys, runRecurringWaves } = require('./jobs/survey/autoPublish.job');
+  await autoPublishScheduledSurveys();
+  await runRecurringWaves();
+  await autoCloseSurveys().catch((err) => {
+    console.error('[CRON] Auto-close surveys failed:', err.message);
+  });
+});
+
+// Expire autosaved partial responses past their resume window - hourly
+cron.schedule('0 * * * *', async () => {
+  const { expireStalePartials } = require('./services/responses/partialResponseService');
+  await expireStalePartials().catch((err) => {
+    console.error('[CRON] Expire partial responses failed:', err.message);
+  });
+});
+
+// Survey invite reminders per each survey's reminder policy - hourly
+cron.schedule('15 * * * *', async () => {
+  const { processDueReminders } = require('./services/distribution/reminderService');
+  await processDueReminders().catch((err) => {
+    console.error('[CRON] Survey invite reminders failed:', err.message);
+  });
+});
+
+// Sync renewals/period-end cancellations from gateways without lifecycle webhooks (Tap) - hourly
+cron.schedule('30 * * * *', async () => {
+  const subscriptionManager = require('./services/subscription/subscriptionManager');
+  await subscriptionManager.reconcileGatewaySubscriptions().catch((err) => {
+    console.error('[CRON] Gateway subscription reconcile failed:', err.message);
+  });
 });
 
 // Escalation check - every 15 minutes
@@ -151,10 +196,29 @@ cron.schedule('*/15 * * * *', () => {
   require('./crons/escalation.cron').runEscalationCheck();
 });
 
+// Notification email / SMS held during quiet hours - every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  const { processDeferredDeliveries } = require('./services/notifications/notificationDeliveryService');
+  await processDeferredDeliveries().catch((err) => {
+    console.error('[CRON] Deferred notifications failed:', err.message);
+  });
+});
+
+// Daily / weekly notification digests at each user's local digest hour - hourly
+cron.schedule('5 * * * *', async () => {
+  const { sendDueDigests } = require('./services/notifications/notificationDeliveryService');
+  await sendDueDigests().catch((err) => {
+    console.error('[CRON] Notification digests failed:', err.message);
+  });
+});
+
 cron.schedule('0 2 * * *', async () => {
   await retagInactiveContacts();
   await syncSystemSegments();
-  await autoCloseSurveys();
+  const { expireVouchers } = require('./services/incentive/incentiveService');
+  await expireVouchers().catch((err) => {
+    console.error('[CRON] Voucher expiry failed:', err.message);
+  });
   recomputeAudienceIntelligence().catch((err) => {
     console.error('Audience intelligence refresh failed', err);
   });
@@ -171,12 +235,23 @@ cron.schedule('0 3 * * *', async () => {
   }
 });
 
+// Template usage / response-rate stats - daily at 4 AM
+cron.schedule('0 4 * * *', async () => {
+  const { refreshTemplateStats } = require('./services/survey/templateService');
+  await refreshTemplateStats().catch((err) => {
+    console.error('[CRON] Template stats refresh failed:', err.message);
+  });
+});
+
 // Error Handling Middleware
 app.use(notFound);
 app.use(errorHandler);
 
 // Server Boot
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () =>
+const server = app.listen(PORT, () =>
   console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`)
-);
\ No newline at end of file
+);
+
+// Real-time channel (notifications, new responses, action events)
+initializeSocket(server, { origins: allowedOrigins });
\ No newline at end of file
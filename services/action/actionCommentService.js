@@ -0,0 +1,426 @@
+// services/action/actionCommentService.js
+// ============================================================================
+// Action Comment Service - threaded comments on actions, action plans and
+// action steps
+//
+// - Threads: a reply points at the comment it answers (parent) and at the
+//   top-level comment of its thread (thread); lists are returned per thread
+// - @mentions: "@[Name](userId)" tokens in the body plus explicit mention
+//   ids, limited to users of the tenant; newly mentioned users get an
+//   "actionMentions" notification (their preferences apply)
+// - Attachments: multer temp files uploaded to Cloudinary (utils/cloudinary)
+// - Audit: edits keep the previous body in `edits`, deletes are soft
+// ============================================================================
+
+const fs = require("fs");
+const mongoose = require("mongoose");
+const ActionComment = require("../../models/ActionComment");
+const Action = require("../../models/Action");
+const ActionPlan = require("../../models/ActionPlan");
+const ActionStep = require("../../models/ActionStep");
+const User = require("../../models/User");
+const cloudinary = require("../../utils/cloudinary");
+const notificationService = require("../notifications/notificationService");
+const { emitToTenant } = require("../../utils/socket");
+const Logger = require("../../utils/logger");
+
+const TARGET_MODELS = {
+    action: "Action",
+    actionPlan: "ActionPlan",
+    actionStep: "ActionStep"
+};
+
+const TARGET_LABELS = {
+    action: "Action",
+    actionPlan: "Action plan",
+    actionStep: "Action step"
+};
+
+const ATTACHMENT_FOLDER = "action-attachments";
+const MENTION_PATTERN = /@\[[^\]\n]{1,100}\]\(([a-f\d]{24})\)/gi;
+const AUTHOR_FIELDS = "name email avatar";
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Resolve a comment target within the tenant and the action it belongs to
+ * @returns {Promise<{ target: Object, action: Object }>}
+ */
+async function resolveTarget(targetType, targetId, tenantId) {
+    const notFound = { statusCode: 404, message: `${TARGET_LABELS[targetType]} not found` };
+    if (!mongoose.Types.ObjectId.isValid(targetId)) throw notFound;
+
+    const findAction = (actionId) => Action.findOne({ _id: actionId, tenant: tenantId, isDeleted: false })
+        .select("title tenant assignedTo createdBy");
+
+    if (targetType === "action") {
+        const action = await findAction(targetId);
+        if (!action) throw notFound;
+        return { target: action, action };
+    }
+
+    let plan;
+    let target;
+    if (targetType === "actionPlan") {
+        plan = await ActionPlan.findOne({ _id: targetId, tenant: tenantId, isDeleted: false }).select("action");
+        target = plan;
+    } else {
+        target = await ActionStep.findOne({ _id: targetId, tenant: tenantId }).select("actionPlan title stepNumber");
+        if (target) {
+            plan = await ActionPlan.findOne({ _id: target.actionPlan, tenant: tenantId, isDeleted: false }).select("action");
+        }
+    }
+    if (!target || !plan) throw notFound;
+
+    const action = await findAction(plan.action);
+    if (!action) throw notFound;
+    return { target, action };
+}
+
+async function findCommentOrThrow(commentId, tenantId, { includeDeleted = false } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+        throw { statusCode: 404, message: "Comment not found" };
+    }
+    const comment = await ActionComment.findOne({
+        _id: commentId,
+        tenant: tenantId,
+        ...(!includeDeleted && { isDeleted: false })
+    });
+    if (!comment) {
+        throw { statusCode: 404, message: "Comment not found" };
+    }
+    return comment;
+}
+
+/**
+ * User ids mentioned in a body ("@[Name](userId)" tokens)
+ */
+function parseMentions(body) {
+    return [...String(body || "").matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+}
+
+/**
+ * Mentioned ids (body tokens + explicit ids) narrowed to active tenant users
+ * @returns {Promise<ObjectId[]>}
+ */
+async function resolveMentions(body, explicitIds = [], tenantId) {
+    const ids = [...new Set([...parseMentions(body), ...explicitIds.map(String)])];
+    if (!ids.length) return [];
+
+    const users = await User.find({ _id: { $in: ids }, tenant: tenantId, deleted: { $ne: true } })
+        .select("_id")
+        .lean();
+    return users.map(u => u._id);
+}
+
+// Mention tokens read as "@Name" in notifications
+const toPlainText = (body) => String(body || "").replace(MENTION_PATTERN, (token) => `@${token.slice(2, token.indexOf("]"))}`);
+
+function removeTempFiles(files = []) {
+    files.forEach(file => {
+        if (file?.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    });
+}
+
+/**
+ * Upload multer temp files to Cloudinary (temp files are removed by the
+ * caller). On failure the files uploaded so far are destroyed again.
+ */
+async function uploadAttachments(files = []) {
+    const attachments = [];
+    try {
+        for (const file of files) {
+            const result = await cloudinary.uploader.upload(file.path, {
+                folder: ATTACHMENT_FOLDER,
+                resource_type: "auto"
+            });
+            attachments.push({
+                fileName: file.originalname,
+                fileUrl: result.secure_url,
+                fileType: file.mimetype,
+                fileSize: file.size,
+                cloudinaryId: result.public_id,
+                uploadedAt: new Date()
+            });
+        }
+        return attachments;
+    } catch (uploadError) {
+        await Promise.allSettled(attachments.map(a => cloudinary.uploader.destroy(a.cloudinaryId)));
+        Logger.error("uploadAttachments", "Comment attachment upload failed", {
+            error: uploadError,
+            context: { files: files.map(f => f.originalname) }
+        });
+        throw { statusCode: 500, message: "Failed to upload attachments" };
+    }
+}
+
+/**
+ * Notify newly mentioned users (never the author). Non-blocking.
+ */
+async function notifyMentions({ comment, action, userIds, author, tenantId }) {
+    const recipients = userIds.filter(id => String(id) !== String(author._id));
+    if (!recipients.length) return;
+
+    const excerpt = toPlainText(comment.body).slice(0, 200);
+    const where = comment.targetType === "action" ? "" : ` (${TARGET_LABELS[comment.targetType].toLowerCase()})`;
+
+    try {
+        await notificationService.createBatchNotifications(recipients.map(userId => ({
+            user: userId,
+            scope: "tenant",
+            tenant: tenantId,
+            title: "You were mentioned",
+            message: `${author.name || author.email} mentioned you on "${action.title}"${where}: ${excerpt}`.slice(0, 1000),
+            type: "action",
+            priority: "medium",
+            reference: { type: "Action", id: action._id },
+            actionUrl: `/app/actions/${action._id}`,
+            metadata: { commentId: comment._id, targetType: comment.targetType, target: comment.target },
+            source: "user",
+            event: "actionMentions"
+        })));
+    } catch (notifErr) {
+        Logger.error("notifyMentions", "Failed to send mention notifications", {
+            error: notifErr,
+            context: { commentId: comment._id, actionId: action._id, recipients }
+        });
+    }
+}
+
+function emitCommentEvent(change, comment, userId) {
+    emitToTenant(comment.tenant, "action:comment", {
+        change,
+        actionId: comment.action,
+        commentId: comment._id,
+        targetType: comment.targetType,
+        target: comment.target,
+        parent: comment.parent,
+        thread: comment.thread,
+        by: userId,
+        at: new Date()
+    });
+}
+
+/**
+ * API shape of a comment: deleted comments keep their place in the thread
+ * without content, the edit trail is summarized (see getCommentHistory)
+ */
+function toCommentView(comment) {
+    const { edits = [], deletedBy, tenant, __v, ...view } = comment;
+    if (comment.isDeleted) {
+        return { ...view, body: null, mentions: [], attachments: [], editCount: edits.length };
+    }
+    return { ...view, editCount: edits.length };
+}
+
+const populateComment = (query) => query
+    .populate("author", AUTHOR_FIELDS)
+    .populate("mentions", "name email");
+
+// ============================================================================
+// Comments
+// ============================================================================
+
+/**
+ * Comments on a target grouped by thread: top-level comments oldest first,
+ * each with its replies (any depth, oldest first, `parent` tells which
+ * comment they answer). Deleted comments are only kept when replied to.
+ */
+async function listComments({ targetType, targetId, tenantId }) {
+    const { target } = await resolveTarget(targetType, targetId, tenantId);
+
+    const comments = await populateComment(ActionComment.find({ tenant: tenantId, targetType, target: target._id }))
+        .sort({ createdAt: 1 })
+        .lean();
+
+    const repliedTo = new Set(comments.filter(c => c.parent).map(c => String(c.parent)));
+    const visible = comments.filter(c => !c.isDeleted || repliedTo.has(String(c._id)));
+
+    const threads = [];
+    const byThread = new Map();
+    for (const comment of visible) {
+        if (!comment.thread) {
+            const thread = { ...toCommentView(comment), replies: [] };
+            threads.push(thread);
+            byThread.set(String(comment._id), thread);
+        }
+    }
+    for (const comment of visible) {
+        if (comment.thread) byThread.get(String(comment.thread))?.replies.push(toCommentView(comment));
+    }
+
+    return {
+        targetType,
+        target: target._id,
+        total: comments.filter(c => !c.isDeleted).length,
+        comments: threads
+    };
+}
+
+/**
+ * Add a comment or reply (validated with createCommentSchema; files are
+ * multer temp files and are always removed)
+ */
+async function addComment({ targetType, targetId, data, files = [], tenantId, user }) {
+    try {
+        const { target, action } = await resolveTarget(targetType, targetId, tenantId);
+
+        const body = (data.body || "").trim();
+        if (!body && !files.length) {
+            throw { statusCode: 400, message: "A comment needs text or an attachment" };
+        }
+
+        let parent = null;
+        if (data.parentId) {
+            parent = await findCommentOrThrow(data.parentId, tenantId);
+            if (parent.targetType !== targetType || String(parent.target) !== String(target._id)) {
+                throw { statusCode: 400, message: "Replies must be on the same item as the comment they answer" };
+            }
+        }
+
+        const mentions = await resolveMentions(body, data.mentions, tenantId);
+        const attachments = await uploadAttachments(files);
+
+        const comment = await ActionComment.create({
+            tenant: tenantId,
+            targetType,
+            target: target._id,
+            targetModel: TARGET_MODELS[targetType],
+            action: action._id,
+            parent: parent?._id || null,
+            thread: parent ? (parent.thread || parent._id) : null,
+            author: user._id,
+            body,
+            mentions,
+            attachments
+        });
+
+        Logger.info("addComment", "Comment added", {
+            context: { commentId: comment._id, targetType, targetId: target._id, actionId: action._id, tenantId, authorId: user._id, mentions: mentions.length, attachments: attachments.length }
+        });
+
+        await notifyMentions({ comment, action, userIds: mentions, author: user, tenantId });
+        emitCommentEvent("created", comment, user._id);
+
+        const created = await populateComment(ActionComment.findById(comment._id)).lean();
+        return toCommentView(created);
+    } finally {
+        removeTempFiles(files);
+    }
+}
+
+/**
+ * Edit a comment's body (author only). The previous body and mentions are
+ * kept in `edits`; only newly mentioned users are notified.
+ */
+async function editComment({ commentId, data, tenantId, user }) {
+    const comment = await findCommentOrThrow(commentId, tenantId);
+    if (String(comment.author) !== String(user._id)) {
+        throw { statusCode: 403, message: "Only the author can edit this comment" };
+    }
+
+    const body = data.body.trim();
+    if (!body && !comment.attachments.length) {
+        throw { statusCode: 400, message: "A comment needs text or an attachment" };
+    }
+
+    const mentions = await resolveMentions(body, data.mentions, tenantId);
+    const previousMentions = new Set(comment.mentions.map(String));
+    const mentionsChanged = mentions.length !== previousMentions.size || mentions.some(id => !previousMentions.has(String(id)));
+
+    if (body !== comment.body || mentionsChanged) {
+        comment.edits.push({
+            body: comment.body,
+            mentions: comment.mentions,
+            editedAt: new Date(),
+            editedBy: user._id
+        });
+        comment.body = body;
+        comment.mentions = mentions;
+        comment.editedAt = new Date();
+        await comment.save();
+
+        Logger.info("editComment", "Comment edited", {
+            context: { commentId: comment._id, actionId: comment.action, tenantId, editedBy: user._id, edits: comment.edits.length }
+        });
+
+        const newMentions = mentions.filter(id => !previousMentions.has(String(id)));
+        if (newMentions.length) {
+            const action = await Action.findById(comment.action).select("title");
+            if (action) await notifyMentions({ comment, action, userIds: newMentions, author: user, tenantId });
+        }
+        emitCommentEvent("updated", comment, user._id);
+    }
+
+    const updated = await populateComment(ActionComment.findById(comment._id)).lean();
+    return toCommentView(updated);
+}
+
+/**
+ * Soft-delete a comment (author or company admin). Content and attachments
+ * are kept for the audit trail but no longer returned; replies stay.
+ */
+async function deleteComment({ commentId, tenantId, user }) {
+    const comment = await findCommentOrThrow(commentId, tenantId);
+    const isAuthor = String(comment.author) === String(user._id);
+    if (!isAuthor && user.role !== "companyAdmin") {
+        throw { statusCode: 403, message: "Only the author or a company admin can delete this comment" };
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = user._id;
+    await comment.save();
+
+    Logger.info("deleteComment", "Comment deleted", {
+        context: { commentId: comment._id, actionId: comment.action, tenantId, deletedBy: user._id, byAuthor: isAuthor }
+    });
+
+    emitCommentEvent("deleted", comment, user._id);
+}
+
+/**
+ * Audit trail of a comment (author or company admin): current body, every
+ * previous body and the deletion, deleted comments included
+ */
+async function getCommentHistory({ commentId, tenantId, user }) {
+    const comment = await findCommentOrThrow(commentId, tenantId, { includeDeleted: true });
+    if (String(comment.author) !== String(user._id) && user.role !== "companyAdmin") {
+        throw { statusCode: 403, message: "Only the author or a company admin can view the comment history" };
+    }
+
+    await comment.populate([
+        { path: "author", select: AUTHOR_FIELDS },
+        { path: "edits.editedBy", select: "name email" },
+        { path: "deletedBy", select: "name email" }
+    ]);
+
+    return {
+        _id: comment._id,
+        action: comment.action,
+        targetType: comment.targetType,
+        target: comment.target,
+        author: comment.author,
+        body: comment.body,
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt,
+        edits: comment.edits,
+        isDeleted: comment.isDeleted,
+        deletedAt: comment.deletedAt,
+        deletedBy: comment.deletedBy
+    };
+}
+
+module.exports = {
+    TARGET_LABELS,
+    resolveTarget,
+    parseMentions,
+    removeTempFiles,
+    listComments,
+    addComment,
+    editComment,
+    deleteComment,
+    getCommentHistory
+};
@@ -22,6 +22,21 @@ async function validateUserInTenant(userId, tenantId) {
     return user;
 }
 
+/**
+ * Move the parent action to a status, recording the change in its
+ * statusHistory
+ */
+async function setParentActionStatus(actionId, status, userId, note, extra = {}) {
+    const action = await Action.findById(actionId).select("status");
+    if (!action) return;
+
+    const update = { $set: { status, ...extra } };
+    if (action.status !== status) {
+        update.$push = { statusHistory: { from: action.status, to: status, by: userId || null, at: new Date(), note } };
+    }
+    await Action.findByIdAndUpdate(actionId, update);
+}
+
 /**
  * Create a new action plan (draft status - requires confirmation)
  */
@@ -222,7 +237,7 @@ async function startExecution({ actionPlanId, tenantId, userId }) {
     await actionPlan.save();
 
     // Update the parent action status
-    await Action.findByIdAndUpdate(actionPlan.action, { status: 'in-progress' });
+    await setParentActionStatus(actionPlan.action, 'in-progress', userId, "Action plan execution started");
 
     Logger.info("startExecution", "Action plan execution started", {
         context: { actionPlanId, tenantId, startedBy: userId }
@@ -319,8 +334,7 @@ async function completeActionPlan({ actionPlanId, data, tenantId, userId }) {
     await actionPlan.save();
 
     // Update parent action
-    await Action.findByIdAndUpdate(actionPlan.action, {
-        status: 'resolved',
+    await setParentActionStatus(actionPlan.action, 'resolved', userId, "Action plan completed", {
         completedAt: new Date(),
         completedBy: userId
     });
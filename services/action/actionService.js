@@ -6,7 +6,7 @@
 // createAction(). This enforces:
 //   ✅ Joi validation
 //   ✅ Tenant isolation
-//   ✅ Auto-dueDate calculation
+//   ✅ Auto-dueDate calculation (business days on the tenant SLA calendar)
 //   ✅ Assignee validation
 //   ✅ Assignment rules
 //   ✅ Phase 1 field population
@@ -19,7 +19,11 @@ const Action = require("../../models/Action");
 const FeedbackAnalysis = require("../../models/FeedbackAnalysis");
 const User = require("../../models/User");
 const { sendNotification } = require("../../utils/sendNotification");
+const { emitToTenant } = require("../../utils/socket");
 const assignmentService = require("./assignmentService");
+const slaCalendarService = require("./slaCalendarService");
+const { addBusinessDays } = require("../../utils/businessTime");
+const webhookService = require("../webhook/webhookService");
 const { createActionSchema } = require("../../validators/actionValidator");
 const Logger = require("../../utils/logger");
 
@@ -54,6 +58,44 @@ function pushAssignmentHistory(action, { from, to, toTeam, byUserId, auto = fals
     });
 }
 
+/**
+ * Push status history entry to action (no-op when the status is unchanged)
+ */
+function pushStatusHistory(action, { from, to, byUserId = null, note = null }) {
+    if (!to || from === to) return;
+    action.statusHistory = action.statusHistory || [];
+    action.statusHistory.push({
+        from: from || null,
+        to,
+        by: byUserId || null,
+        at: new Date(),
+        note
+    });
+}
+
+const toId = (value) => (value?._id || value || null);
+
+/**
+ * Real-time push of an action change to the tenant room (utils/socket.js)
+ * for live action lists; recipients also get the in-app notification.
+ * @param {string} event - "action:assigned" | "action:escalated"
+ * @param {Object} action - Action document (refs may be populated)
+ * @param {Object} [extra] - Event-specific fields (by, auto, escalatedTo, ...)
+ */
+function emitActionEvent(event, action, extra = {}) {
+    emitToTenant(toId(action.tenant), event, {
+        actionId: action._id,
+        title: action.title,
+        priority: action.priority,
+        status: action.status,
+        assignedTo: toId(action.assignedTo),
+        assignedToTeam: action.assignedToTeam || null,
+        dueDate: action.dueDate || null,
+        ...extra,
+        at: new Date()
+    });
+}
+
 // ============================================================================
 // Service-level Joi validation
 // ============================================================================
@@ -239,11 +281,12 @@ async function createAction({ data, tenantId, userId, options = {} }) {
     }
 
     // ── 5. Auto due-date calculation ────────────────────────────────
+    // Working days on the action's SLA calendar (calendar days without one)
     const now = new Date();
     const prioritiesMap = { high: 1, medium: 7, low: 14, "long-term": 30 };
     const autoDueDate = dueDate
         ? new Date(dueDate)
-        : new Date(now.getTime() + (prioritiesMap[priority] || 7) * 24 * 60 * 60 * 1000);
+        : addBusinessDays(now, prioritiesMap[priority] || 7, await slaCalendarService.getActionCalendar(tenantId, { metadata }));
 
     // ── 6. Build action payload (strict whitelist — no spread) ──────
     const actionPayload = {
@@ -336,6 +379,25 @@ async function createAction({ data, tenantId, userId, options = {} }) {
         }
     }
 
+    if (action.assignedTo || action.assignedToTeam) {
+        emitActionEvent("action:assigned", action, { by: userId || null, auto: !!action.autoAssigned });
+    }
+
+    // ── 13. Outbound webhooks (fire and forget) ─────────────────────
+    webhookService.dispatchEvent(tenantId, "action.created", {
+        actionId: action._id,
+        title: action.title,
+        description: action.description,
+        priority: action.priority,
+        status: action.status,
+        category: action.category,
+        source: action.source,
+        feedbackId: action.feedback?._id || null,
+        assignedTo: action.assignedTo ? { _id: action.assignedTo._id, name: action.assignedTo.name } : null,
+        dueDate: action.dueDate,
+        createdAt: action.createdAt
+    });
+
     return action;
 }
 
@@ -367,6 +429,8 @@ async function updateAction({ actionId, data, tenantId, userId, userRole }) {
         action.completedBy = userId;
     }
 
+    pushStatusHistory(action, { from: oldStatus, to: action.status, byUserId: userId });
+
     await action.save();
 
     await action.populate([
@@ -396,6 +460,8 @@ async function updateAction({ actionId, data, tenantId, userId, userRole }) {
 module.exports = {
     validateUserBelongsToTenant,
     pushAssignmentHistory,
+    pushStatusHistory,
+    emitActionEvent,
     validateCreatePayload,
     createAction,
     updateAction
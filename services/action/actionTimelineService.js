@@ -0,0 +1,187 @@
+// services/action/actionTimelineService.js
+// ============================================================================
+// Action Timeline Service - one chronological activity feed per action
+//
+// Merges, by time: creation, status changes (Action.statusHistory),
+// assignments and escalations (Action.assignmentHistory), comments on the
+// action / its plan / its steps with their edits and deletions
+// (ActionComment) and plan / step milestones (ActionPlan, ActionStep).
+// ============================================================================
+
+const mongoose = require("mongoose");
+const Action = require("../../models/Action");
+const ActionPlan = require("../../models/ActionPlan");
+const ActionStep = require("../../models/ActionStep");
+const ActionComment = require("../../models/ActionComment");
+const User = require("../../models/User");
+
+const TIMELINE_CATEGORIES = ["created", "status", "assignment", "escalation", "comment", "plan"];
+const DEFAULT_LIMIT = 200;
+const EXCERPT_LENGTH = 280;
+
+// Escalation entries written before AssignmentHistory.escalated existed
+const isEscalation = (entry) => entry.escalated || /^Auto-escalated/i.test(entry.note || "");
+
+const event = (category, type, at, actor, entity, data = {}) => ({ category, type, at, actor: actor || null, entity, data });
+
+function actionEvents(action) {
+    const entity = { type: "action", id: action._id };
+    const events = [
+        event("created", "action_created", action.createdAt, action.createdBy, entity, {
+            source: action.source,
+            priority: action.priority
+        })
+    ];
+
+    for (const entry of action.statusHistory || []) {
+        events.push(event("status", "status_changed", entry.at, entry.by, entity, {
+            from: entry.from,
+            to: entry.to,
+            note: entry.note
+        }));
+    }
+
+    // Actions resolved before statusHistory existed
+    const hasResolvedEntry = (action.statusHistory || []).some(entry => entry.to === "resolved");
+    if (action.completedAt && !hasResolvedEntry) {
+        events.push(event("status", "status_changed", action.completedAt, action.completedBy, entity, {
+            from: null,
+            to: "resolved",
+            inferred: true
+        }));
+    }
+
+    for (const entry of action.assignmentHistory || []) {
+        const escalated = isEscalation(entry);
+        events.push(event(escalated ? "escalation" : "assignment", escalated ? "escalated" : "assigned", entry.at, entry.by, entity, {
+            from: entry.from,
+            to: entry.to,
+            toTeam: entry.toTeam,
+            auto: entry.auto,
+            note: entry.note
+        }));
+    }
+
+    return events;
+}
+
+function planEvents(plan, steps) {
+    if (!plan) return [];
+    const entity = { type: "actionPlan", id: plan._id };
+    const events = [event("plan", "plan_created", plan.createdAt, plan.primaryOwner, entity, { status: plan.status })];
+
+    if (plan.confirmedAt) events.push(event("plan", "plan_approved", plan.confirmedAt, plan.confirmedBy, entity));
+    if (plan.rejectedAt) {
+        events.push(event("plan", plan.status === "cancelled" ? "plan_cancelled" : "plan_rejected", plan.rejectedAt, plan.rejectedBy, entity, {
+            reason: plan.rejectionReason
+        }));
+    }
+    if (plan.actualStartDate) events.push(event("plan", "plan_started", plan.actualStartDate, null, entity));
+    if (plan.completedAt) {
+        events.push(event("plan", "plan_completed", plan.completedAt, plan.completedBy, entity, { notes: plan.completionNotes }));
+    }
+    if (plan.deletedAt) events.push(event("plan", "plan_deleted", plan.deletedAt, plan.deletedBy, entity));
+
+    for (const step of steps) {
+        const stepEntity = { type: "actionStep", id: step._id, stepNumber: step.stepNumber, title: step.title };
+        if (step.startedAt) events.push(event("plan", "step_started", step.startedAt, null, stepEntity));
+        if (step.completedAt) events.push(event("plan", "step_completed", step.completedAt, step.completedBy, stepEntity));
+        if (step.skippedAt) events.push(event("plan", "step_skipped", step.skippedAt, step.skippedBy, stepEntity, { reason: step.skipReason }));
+    }
+
+    return events;
+}
+
+function commentEvents(comments) {
+    const events = [];
+    for (const comment of comments) {
+        const entity = { type: comment.targetType, id: comment.target };
+        const ref = { commentId: comment._id, parent: comment.parent, thread: comment.thread };
+
+        events.push(event("comment", comment.parent ? "comment_replied" : "comment_added", comment.createdAt, comment.author, entity, {
+            ...ref,
+            // Current text; deleted comments show none
+            excerpt: comment.isDeleted ? null : (comment.body || "").slice(0, EXCERPT_LENGTH),
+            mentions: comment.isDeleted ? [] : comment.mentions,
+            attachmentCount: comment.isDeleted ? 0 : (comment.attachments || []).length,
+            edited: (comment.edits || []).length > 0,
+            isDeleted: comment.isDeleted
+        }));
+        for (const edit of comment.edits || []) {
+            events.push(event("comment", "comment_edited", edit.editedAt, edit.editedBy, entity, ref));
+        }
+        if (comment.isDeleted) {
+            events.push(event("comment", "comment_deleted", comment.deletedAt, comment.deletedBy, entity, ref));
+        }
+    }
+    return events;
+}
+
+/**
+ * Activity timeline of an action
+ * @param {Object} params - { actionId, tenantId, types (categories), order ("asc" | "desc"), limit }
+ * @returns {Promise<{ actionId, total, truncated, events: Object[] }>}
+ */
+async function getActionTimeline({ actionId, tenantId, types = TIMELINE_CATEGORIES, order = "asc", limit = DEFAULT_LIMIT }) {
+    if (!mongoose.Types.ObjectId.isValid(actionId)) {
+        throw { statusCode: 404, message: "Action not found" };
+    }
+
+    const action = await Action.findOne({ _id: actionId, tenant: tenantId, isDeleted: false })
+        .select("title source priority createdAt createdBy completedAt completedBy statusHistory assignmentHistory")
+        .lean();
+    if (!action) {
+        throw { statusCode: 404, message: "Action not found" };
+    }
+
+    const wanted = new Set(types);
+    const events = [];
+
+    if (wanted.has("created") || wanted.has("status") || wanted.has("assignment") || wanted.has("escalation")) {
+        events.push(...actionEvents(action));
+    }
+
+    if (wanted.has("plan")) {
+        const plan = await ActionPlan.findOne({ action: action._id, tenant: tenantId }).lean();
+        const steps = plan
+            ? await ActionStep.find({ actionPlan: plan._id, tenant: tenantId }).select("stepNumber title startedAt completedAt completedBy skippedAt skippedBy skipReason").lean()
+            : [];
+        events.push(...planEvents(plan, steps));
+    }
+
+    if (wanted.has("comment")) {
+        const comments = await ActionComment.find({ tenant: tenantId, action: action._id })
+            .select("targetType target parent thread author body mentions attachments edits isDeleted deletedAt deletedBy createdAt")
+            .lean();
+        events.push(...commentEvents(comments));
+    }
+
+    const direction = order === "desc" ? -1 : 1;
+    const selected = events
+        .filter(e => wanted.has(e.category) && e.at)
+        .sort((a, b) => direction * (new Date(a.at) - new Date(b.at)));
+    const page = selected.slice(0, limit);
+
+    // Actor names in one query
+    const actorIds = [...new Set(page.map(e => e.actor).filter(Boolean).map(String))];
+    const actors = actorIds.length
+        ? await User.find({ _id: { $in: actorIds } }).select("name email avatar").lean()
+        : [];
+    const actorsById = new Map(actors.map(u => [String(u._id), u]));
+    page.forEach(e => {
+        e.actor = e.actor ? (actorsById.get(String(e.actor)) || { _id: e.actor }) : null;
+    });
+
+    return {
+        actionId: action._id,
+        title: action.title,
+        total: selected.length,
+        truncated: selected.length > page.length,
+        events: page
+    };
+}
+
+module.exports = {
+    TIMELINE_CATEGORIES,
+    getActionTimeline
+};
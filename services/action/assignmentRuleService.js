@@ -0,0 +1,208 @@
+// services/action/assignmentRuleService.js
+// ============================================================================
+// Assignment Rule Service - CRUD, ordering and dry runs for the rules
+// assignmentService.applyAssignmentRules() uses to auto-assign new actions
+// ============================================================================
+
+const mongoose = require("mongoose");
+const AssignmentRule = require("../../models/AssignmentRule");
+const Action = require("../../models/Action");
+const SurveyResponse = require("../../models/SurveyResponse");
+const User = require("../../models/User");
+const { RULE_ORDER, normalizeMode, simulateAssignment } = require("./assignmentService");
+const Logger = require("../../utils/logger");
+
+const POPULATE = [
+    { path: "assignment.targetUser", select: "name email avatar" },
+    { path: "assignment.teamMembers", select: "name email avatar" }
+];
+
+/**
+ * Throw 400 unless every user in the assignment belongs to the tenant
+ */
+async function validateAssignees(assignment, tenantId) {
+    const ids = [...new Set([assignment.targetUser, ...(assignment.teamMembers || [])].filter(Boolean).map(String))];
+    if (!ids.length) return;
+
+    const found = await User.countDocuments({ _id: { $in: ids }, tenant: tenantId });
+    if (found !== ids.length) {
+        throw { statusCode: 400, message: "Rule assignees must be users in this tenant" };
+    }
+}
+
+async function findRuleOrThrow(ruleId, tenantId) {
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+        throw { statusCode: 404, message: "Assignment rule not found" };
+    }
+    const rule = await AssignmentRule.findOne({ _id: ruleId, tenant: tenantId });
+    if (!rule) {
+        throw { statusCode: 404, message: "Assignment rule not found" };
+    }
+    return rule;
+}
+
+/**
+ * List rules in the order they run
+ */
+async function listAssignmentRules({ tenantId, isActive }) {
+    const filter = { tenant: tenantId };
+    if (typeof isActive === "boolean") filter.isActive = isActive;
+
+    const rules = await AssignmentRule.find(filter).sort(RULE_ORDER).populate(POPULATE).lean();
+    // Older documents may still carry legacy mode names
+    return rules.map(rule => ({
+        ...rule,
+        assignment: { ...rule.assignment, mode: normalizeMode(rule.assignment?.mode) }
+    }));
+}
+
+async function getAssignmentRule({ ruleId, tenantId }) {
+    const rule = await findRuleOrThrow(ruleId, tenantId);
+    await rule.populate(POPULATE);
+    return rule;
+}
+
+/**
+ * Create a rule (validated with createAssignmentRuleSchema)
+ */
+async function createAssignmentRule({ data, tenantId, userId }) {
+    await validateAssignees(data.assignment, tenantId);
+
+    const rule = await AssignmentRule.create({
+        ...data,
+        tenant: tenantId,
+        createdBy: userId,
+        updatedBy: userId
+    });
+
+    Logger.info("createAssignmentRule", "Assignment rule created", {
+        context: { ruleId: rule._id, name: rule.name, tenantId, createdBy: userId }
+    });
+
+    await rule.populate(POPULATE);
+    return rule;
+}
+
+/**
+ * Update a rule (validated with updateAssignmentRuleSchema). `conditions`
+ * and `assignment` are replaced as a whole; a new assignment restarts the
+ * round-robin rotation.
+ */
+async function updateAssignmentRule({ ruleId, data, tenantId, userId }) {
+    const rule = await findRuleOrThrow(ruleId, tenantId);
+
+    if (data.assignment) {
+        await validateAssignees(data.assignment, tenantId);
+        rule.lastAssignedIndex = -1;
+    }
+
+    Object.assign(rule, data, { updatedBy: userId });
+    if (!data.assignment && rule.assignment?.mode) {
+        rule.assignment.mode = normalizeMode(rule.assignment.mode);
+    }
+    await rule.save();
+
+    Logger.info("updateAssignmentRule", "Assignment rule updated", {
+        context: { ruleId: rule._id, tenantId, fields: Object.keys(data), updatedBy: userId }
+    });
+
+    await rule.populate(POPULATE);
+    return rule;
+}
+
+async function deleteAssignmentRule({ ruleId, tenantId, userId }) {
+    const rule = await findRuleOrThrow(ruleId, tenantId);
+    await rule.deleteOne();
+
+    Logger.info("deleteAssignmentRule", "Assignment rule deleted", {
+        context: { ruleId, name: rule.name, tenantId, deletedBy: userId }
+    });
+}
+
+/**
+ * Set the run order: ruleIds lists every rule of the tenant, first runs
+ * first (priorities n … 1)
+ */
+async function reorderAssignmentRules({ ruleIds, tenantId, userId }) {
+    const total = await AssignmentRule.countDocuments({ tenant: tenantId });
+    const owned = await AssignmentRule.countDocuments({ _id: { $in: ruleIds }, tenant: tenantId });
+
+    if (owned !== ruleIds.length) {
+        throw { statusCode: 404, message: "One or more assignment rules not found" };
+    }
+    if (ruleIds.length !== total) {
+        throw { statusCode: 400, message: `ruleIds must list all ${total} assignment rules` };
+    }
+
+    await AssignmentRule.bulkWrite(ruleIds.map((id, index) => ({
+        updateOne: {
+            filter: { _id: id, tenant: tenantId },
+            update: { $set: { priority: ruleIds.length - index, updatedBy: userId } }
+        }
+    })));
+
+    Logger.info("reorderAssignmentRules", "Assignment rules reordered", {
+        context: { tenantId, count: ruleIds.length, updatedBy: userId }
+    });
+
+    return listAssignmentRules({ tenantId });
+}
+
+/**
+ * Rule-engine view of a survey response, shaped like the action
+ * autoActionService would create from it
+ */
+function responseToSample(response) {
+    const analysis = response.analysis || {};
+    return {
+        description: response.review || analysis.summary || "",
+        survey: response.survey,
+        rating: response.rating,
+        score: response.score,
+        location: response.metadata?.location || undefined,
+        keyword: [response.review, ...(analysis.keywords || [])].filter(Boolean).join(" ") || undefined,
+        metadata: {
+            surveyId: response.survey,
+            responseId: response._id,
+            sentiment: analysis.sentiment,
+            urgency: analysis.urgency
+        }
+    };
+}
+
+/**
+ * Dry run against a sample action, an existing action or a survey response
+ * (validated with dryRunAssignmentSchema). Nothing is assigned or written.
+ */
+async function dryRunAssignmentRules({ input, tenantId, userId }) {
+    let sample = input.action;
+
+    if (input.actionId) {
+        sample = await Action.findOne({ _id: input.actionId, tenant: tenantId, isDeleted: false }).lean();
+        if (!sample) {
+            throw { statusCode: 404, message: "Action not found" };
+        }
+    } else if (input.responseId) {
+        const response = await SurveyResponse.findOne({ _id: input.responseId, tenant: tenantId }).lean();
+        if (!response) {
+            throw { statusCode: 404, message: "Response not found" };
+        }
+        sample = responseToSample(response);
+    }
+
+    const simulation = await simulateAssignment(sample, tenantId, { creatorId: userId });
+    return {
+        source: input.actionId ? "action" : input.responseId ? "response" : "sample",
+        ...simulation
+    };
+}
+
+module.exports = {
+    listAssignmentRules,
+    getAssignmentRule,
+    createAssignmentRule,
+    updateAssignmentRule,
+    deleteAssignmentRule,
+    reorderAssignmentRules,
+    dryRunAssignmentRules
+};
@@ -2,95 +2,196 @@
 const Action = require("../../models/Action");
 const AssignmentRule = require("../../models/AssignmentRule");
 const Tenant = require("../../models/Tenant");
+const User = require("../../models/User");
+
+// Mode names stored by older rule documents
+const LEGACY_MODES = {
+    user: "single_owner",
+    team_roundrobin: "round_robin",
+    team_leastload: "least_load"
+};
+
+// Rules run highest priority first, oldest first on ties
+const RULE_ORDER = { priority: -1, createdAt: 1 };
+
+function normalizeMode(mode) {
+    return LEGACY_MODES[mode] || mode || "single_owner";
+}
 
 /**
- * Apply assignment rules to determine auto-assignment
- * Supports: single_owner, round_robin, least_load
- * Falls back to tenant default if no rule matches
+ * Value a condition is checked against: the action field, then its metadata.
+ * survey falls back to metadata.surveyId, keyword to the action text.
  */
-async function applyAssignmentRules(actionObj, tenantId, creatorId = null) {
-    const rules = await AssignmentRule.find({ tenant: tenantId, isActive: true }).sort({ priority: -1 }).lean();
+function getConditionValue(actionObj, field) {
+    let value = actionObj[field];
+    if (value === undefined && actionObj.metadata) {
+        value = actionObj.metadata[field];
+    }
+    if (value === undefined && field === "survey") {
+        value = actionObj.metadata?.surveyId;
+    }
+    if (value === undefined && field === "keyword") {
+        value = [actionObj.title, actionObj.description].filter(Boolean).join(" ") || undefined;
+    }
+    return value;
+}
 
-    for (const rule of rules) {
-        let match = true;
-        for (const cond of (rule.conditions || [])) {
-            // Get value from action or metadata (for sentiment, urgency, etc.)
-            let value = actionObj[cond.field];
-            if (value === undefined && actionObj.metadata) {
-                value = actionObj.metadata[cond.field];
-            }
-
-            // Evaluate condition
-            if (cond.operator === '==' && String(value) !== String(cond.value)) {
-                match = false; break;
-            }
-            if (cond.operator === '!=' && String(value) === String(cond.value)) {
-                match = false; break;
-            }
-            if (cond.operator === 'contains' && (!value || !String(value).toLowerCase().includes(String(cond.value).toLowerCase()))) {
-                match = false; break;
-            }
-            if (cond.operator === 'in' && Array.isArray(cond.value) && !cond.value.includes(value)) {
-                match = false; break;
-            }
-            if (cond.operator === '>=' && Number(value) < Number(cond.value)) {
-                match = false; break;
-            }
-            if (cond.operator === '<=' && Number(value) > Number(cond.value)) {
-                match = false; break;
-            }
-        }
-        if (!match) continue;
-
-        const assignment = rule.assignment || {};
-        const result = { assignedTo: null, assignedToTeam: null, priority: null, autoAssigned: true, note: `Rule "${rule.name}" applied` };
-
-        if (assignment.mode === "single_owner" && assignment.targetUser) {
-            result.assignedTo = assignment.targetUser;
-            result.assignedToTeam = assignment.targetTeam || null;
-        } else if (assignment.mode === "round_robin") {
-            const members = assignment.teamMembers || [];
-            if (members.length > 0) {
-                const nextRule = await AssignmentRule.findOneAndUpdate(
-                    { _id: rule._id },
-                    [{ $set: { lastAssignedIndex: { $add: [{ $ifNull: ["$lastAssignedIndex", -1] }, 1] } } }],
-                    { new: true }
-                ).lean().catch(() => null);
-
-                let idx = 0;
-                if (nextRule && typeof nextRule.lastAssignedIndex === 'number') {
-                    idx = nextRule.lastAssignedIndex % members.length;
-                }
-                result.assignedTo = members[idx];
-                result.assignedToTeam = assignment.targetTeam || null;
-            }
-        } else if (assignment.mode === "least_load") {
-            const members = assignment.teamMembers || [];
-            if (members.length > 0) {
-                const counts = await Promise.all(members.map(async (m) => {
-                    const count = await Action.countDocuments({ tenant: tenantId, assignedTo: m, status: { $ne: 'resolved' }, isDeleted: false });
-                    return { member: m, count };
-                }));
-                counts.sort((a, b) => a.count - b.count);
-                result.assignedTo = counts[0].member;
-                result.assignedToTeam = assignment.targetTeam || null;
-            }
+function evaluateCondition(cond, value) {
+    switch (cond.operator) {
+        case "==":
+            return String(value) === String(cond.value);
+        case "!=":
+            return String(value) !== String(cond.value);
+        case "contains":
+            return Boolean(value) && String(value).toLowerCase().includes(String(cond.value).toLowerCase());
+        case "in":
+            return Array.isArray(cond.value) && cond.value.map(String).includes(String(value));
+        case ">=":
+            return value !== undefined && value !== null && Number(value) >= Number(cond.value);
+        case "<=":
+            return value !== undefined && value !== null && Number(value) <= Number(cond.value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Check one rule against an action (logic AND / OR; no conditions = always)
+ * @returns {{ matched: Boolean, conditions: Array<{ field, operator, value, actual, passed }> }}
+ */
+function evaluateRule(rule, actionObj) {
+    const conditions = (rule.conditions || []).map(cond => {
+        const actual = getConditionValue(actionObj, cond.field);
+        return {
+            field: cond.field,
+            operator: cond.operator,
+            value: cond.value,
+            actual: actual === undefined ? null : actual,
+            passed: evaluateCondition(cond, actual)
+        };
+    });
+
+    if (conditions.length === 0) return { matched: true, conditions };
+
+    const matched = rule.logic === "OR"
+        ? conditions.some(c => c.passed)
+        : conditions.every(c => c.passed);
+    return { matched, conditions };
+}
+
+/**
+ * Assignee for a matched rule
+ * Supports: single_owner, round_robin, least_load
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] - Preview only: the round-robin cursor is not advanced
+ */
+async function resolveRuleAssignment(rule, tenantId, { dryRun = false } = {}) {
+    const assignment = rule.assignment || {};
+    const mode = normalizeMode(assignment.mode);
+    const members = assignment.teamMembers || [];
+    const result = { assignedTo: null, assignedToTeam: null, priority: null, autoAssigned: true, note: `Rule "${rule.name}" applied` };
+
+    if (mode === "single_owner" && assignment.targetUser) {
+        result.assignedTo = assignment.targetUser;
+        result.assignedToTeam = assignment.targetTeam || null;
+    } else if (mode === "round_robin" && members.length > 0) {
+        let lastIndex = typeof rule.lastAssignedIndex === "number" ? rule.lastAssignedIndex : -1;
+        if (dryRun) {
+            lastIndex += 1;
         } else {
-            result.assignedTo = assignment.targetUser || null;
-            result.assignedToTeam = assignment.targetTeam || null;
+            const nextRule = await AssignmentRule.findOneAndUpdate(
+                { _id: rule._id },
+                [{ $set: { lastAssignedIndex: { $add: [{ $ifNull: ["$lastAssignedIndex", -1] }, 1] } } }],
+                { new: true }
+            ).lean().catch(() => null);
+            lastIndex = typeof nextRule?.lastAssignedIndex === "number" ? nextRule.lastAssignedIndex : 0;
         }
+        result.assignedTo = members[Math.max(lastIndex, 0) % members.length];
+        result.assignedToTeam = assignment.targetTeam || null;
+    } else if (mode === "least_load" && members.length > 0) {
+        const counts = await Promise.all(members.map(async (m) => {
+            const count = await Action.countDocuments({ tenant: tenantId, assignedTo: m, status: { $ne: 'resolved' }, isDeleted: false });
+            return { member: m, count };
+        }));
+        counts.sort((a, b) => a.count - b.count);
+        result.assignedTo = counts[0].member;
+        result.assignedToTeam = assignment.targetTeam || null;
+    } else {
+        result.assignedTo = assignment.targetUser || null;
+        result.assignedToTeam = assignment.targetTeam || null;
+    }
 
-        if (rule.priorityOverride) {
-            result.priority = rule.priorityOverride;
-        }
+    if (rule.priorityOverride) {
+        result.priority = rule.priorityOverride;
+    }
+
+    return result;
+}
+
+/**
+ * Apply assignment rules to determine auto-assignment
+ * Rules are checked in priority order; the first match assigns.
+ * Falls back to tenant default if no rule matches
+ */
+async function applyAssignmentRules(actionObj, tenantId, creatorId = null) {
+    const rules = await AssignmentRule.find({ tenant: tenantId, isActive: true }).sort(RULE_ORDER).lean();
 
-        return result;
+    for (const rule of rules) {
+        if (!evaluateRule(rule, actionObj).matched) continue;
+        return resolveRuleAssignment(rule, tenantId);
     }
 
     // No rule matched - apply fallback logic
     return applyFallbackAssignment(tenantId, creatorId);
 }
 
+/**
+ * Dry run: which rule would fire for a sample action, and who would get it.
+ * Nothing is written (the round-robin cursor stays where it is).
+ * @param {Object} actionObj - Sample action (category, priority, title, description, metadata, ...)
+ * @param {string} tenantId
+ * @param {Object} [options]
+ * @param {string} [options.creatorId] - For the autoAssignToCreator fallback
+ * @returns {Promise<{ matchedRule, result, usedFallback, rules }>}
+ */
+async function simulateAssignment(actionObj, tenantId, { creatorId = null } = {}) {
+    const rules = await AssignmentRule.find({ tenant: tenantId }).sort(RULE_ORDER).lean();
+
+    let matchedRule = null;
+    const trace = rules.map(rule => {
+        const { matched, conditions } = evaluateRule(rule, actionObj);
+        const fired = !matchedRule && rule.isActive && matched;
+        if (fired) matchedRule = rule;
+        return {
+            ruleId: rule._id,
+            name: rule.name,
+            priority: rule.priority || 0,
+            isActive: rule.isActive,
+            logic: rule.logic || "AND",
+            matched,
+            fired,
+            conditions
+        };
+    });
+
+    const result = matchedRule
+        ? await resolveRuleAssignment(matchedRule, tenantId, { dryRun: true })
+        : await applyFallbackAssignment(tenantId, creatorId);
+
+    if (result?.assignedTo) {
+        result.assignedTo = await User.findById(result.assignedTo).select("name email").lean() || result.assignedTo;
+    }
+
+    return {
+        matchedRule: matchedRule
+            ? { _id: matchedRule._id, name: matchedRule.name, priority: matchedRule.priority || 0, mode: normalizeMode(matchedRule.assignment?.mode) }
+            : null,
+        result,
+        usedFallback: !matchedRule,
+        rules: trace
+    };
+}
+
 /**
  * Fallback assignment when no rules match
  * Uses tenant settings: defaultAssignee, autoAssignToCreator
@@ -130,7 +231,10 @@ async function applyFallbackAssignment(tenantId, creatorId) {
 }
 
 module.exports = {
+    RULE_ORDER,
+    normalizeMode,
+    evaluateRule,
     applyAssignmentRules,
+    simulateAssignment,
     applyFallbackAssignment
 };
-
@@ -4,9 +4,25 @@ const EscalationRule = require("../../models/EscalationRule");
 const User = require("../../models/User");
 const Tenant = require("../../models/Tenant");
 const { sendNotification } = require("../../utils/sendNotification");
-const { pushAssignmentHistory } = require("./actionService");
+const { pushAssignmentHistory, emitActionEvent } = require("./actionService");
+const { getActionCalendarResolver } = require("./slaCalendarService");
+const { businessMsBetween } = require("../../utils/businessTime");
+const webhookService = require("../webhook/webhookService");
 const Logger = require("../../utils/logger");
 
+// Actions escalated per rule per run
+const ESCALATION_BATCH = 50;
+// Wall-clock candidates checked against the SLA calendars per rule
+const CANDIDATE_LIMIT = 500;
+
+// Timestamp each trigger's threshold is counted from
+const TRIGGER_CLOCK_FIELD = {
+    sla_breach: "dueDate",
+    no_progress: "updatedAt",
+    high_priority_stale: "createdAt",
+    no_assignment: "createdAt"
+};
+
 /**
  * Check all tenants for actions that need escalation
  */
@@ -69,9 +85,12 @@ async function checkAndEscalateActions(tenantId) {
 
 /**
  * Find actions that match escalation rule criteria
+ * thresholdHours count business time on each action's SLA calendar
+ * (wall-clock for tenants without calendars). Business time never exceeds
+ * wall-clock time, so the wall-clock threshold selects the candidates and
+ * the calendar check narrows them down.
  */
-async function findActionsMatchingRule(rule, tenantId) {
-    const now = new Date();
+async function findActionsMatchingRule(rule, tenantId, now = new Date()) {
     const thresholdMs = (rule.trigger.thresholdHours || 24) * 60 * 60 * 1000;
     const thresholdDate = new Date(now.getTime() - thresholdMs);
 
@@ -122,7 +141,17 @@ async function findActionsMatchingRule(rule, tenantId) {
         query["metadata.surveyId"] = { $in: rule.conditions.surveyIds };
     }
 
-    return Action.find(query).limit(50).lean();
+    const clockField = TRIGGER_CLOCK_FIELD[rule.trigger.type] || "createdAt";
+    const candidates = await Action.find(query)
+        .sort({ [clockField]: 1 })
+        .limit(CANDIDATE_LIMIT)
+        .lean();
+    if (candidates.length === 0) return [];
+
+    const calendarFor = await getActionCalendarResolver(tenantId, candidates);
+    return candidates
+        .filter(action => businessMsBetween(action[clockField], now, calendarFor(action)) >= thresholdMs)
+        .slice(0, ESCALATION_BATCH);
 }
 
 /**
@@ -173,6 +202,7 @@ async function escalateAction(action, rule) {
             by: null, // System
             at: new Date(),
             auto: true,
+            escalated: true,
             note: rule.action.addNote || `Auto-escalated: ${rule.name}`
         };
 
@@ -209,6 +239,24 @@ async function escalateAction(action, rule) {
             });
         }
 
+        emitActionEvent("action:escalated", { ...action, ...updateData }, {
+            escalatedTo: { _id: escalateToUser._id, name: escalateToUser.name },
+            previousPriority: action.priority,
+            rule: { _id: rule._id, name: rule.name, trigger: rule.trigger.type }
+        });
+
+        webhookService.dispatchEvent(action.tenant, "action.escalated", {
+            actionId: action._id,
+            title: action.title,
+            priority: updateData.priority || action.priority,
+            previousPriority: action.priority,
+            status: action.status,
+            originalAssignee: action.assignedTo || null,
+            escalatedTo: { _id: escalateToUser._id, name: escalateToUser.name },
+            rule: { _id: rule._id, name: rule.name, trigger: rule.trigger.type },
+            escalatedAt: historyEntry.at
+        });
+
         Logger.info("escalateAction", "Action escalated successfully", {
             context: {
                 actionId: action._id,
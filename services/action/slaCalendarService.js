@@ -0,0 +1,248 @@
+// services/action/slaCalendarService.js
+// ============================================================================
+// SLA Calendar Service - tenant / department working calendars
+//
+// An action runs on the calendar of its department (Action.department, by
+// Department id or name, else the department of the survey it came from),
+// else the tenant default calendar, else wall-clock time (null calendar).
+// Used for due dates (actionService, autoActionService, action templates),
+// escalation thresholds (escalationService) and SLA metrics
+// (dashboardService). Time math: utils/businessTime.js.
+// ============================================================================
+
+const mongoose = require("mongoose");
+const SlaCalendar = require("../../models/SlaCalendar");
+const Department = require("../../models/Department");
+const Survey = require("../../models/Survey");
+const { normalizeCalendar, addBusinessHours, addBusinessDays, businessMsBetween } = require("../../utils/businessTime");
+const Logger = require("../../utils/logger");
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Active calendars of a tenant, ready for lookups
+ * @returns {Promise<{ hasCalendars: Boolean, defaultCalendar: Object|null, forDepartment: Function }>}
+ */
+async function loadTenantCalendars(tenantId) {
+    const calendars = await SlaCalendar.find({ tenant: tenantId, isActive: true })
+        .populate("departments", "name")
+        .lean();
+
+    let defaultCalendar = null;
+    const byDepartment = new Map();
+
+    for (const calendar of calendars) {
+        const normalized = normalizeCalendar(calendar);
+        if (calendar.isDefault) defaultCalendar = normalized;
+        for (const department of calendar.departments || []) {
+            if (!department) continue;
+            byDepartment.set(String(department._id), normalized);
+            if (department.name) byDepartment.set(department.name.trim().toLowerCase(), normalized);
+        }
+    }
+
+    return {
+        hasCalendars: calendars.length > 0,
+        hasDepartmentCalendars: byDepartment.size > 0,
+        defaultCalendar,
+        // Department id or name → its calendar, or null
+        forDepartment(department) {
+            if (!department) return null;
+            const key = String(department);
+            return byDepartment.get(key) || byDepartment.get(key.trim().toLowerCase()) || null;
+        }
+    };
+}
+
+/**
+ * Calendar lookup for a set of actions (one query for their surveys'
+ * departments)
+ * @param {ObjectId} tenantId
+ * @param {Object[]} actions - { department, metadata: { surveyId } }
+ * @returns {Promise<Function>} action → normalized calendar | null
+ */
+async function getActionCalendarResolver(tenantId, actions = []) {
+    const calendars = await loadTenantCalendars(tenantId);
+    if (!calendars.hasCalendars) return () => null;
+
+    let surveyDepartments = new Map();
+    if (calendars.hasDepartmentCalendars) {
+        const surveyIds = [...new Set(actions
+            .filter(a => !calendars.forDepartment(a.department) && a.metadata?.surveyId)
+            .map(a => String(a.metadata.surveyId)))];
+        if (surveyIds.length) {
+            const surveys = await Survey.find({ _id: { $in: surveyIds }, department: { $ne: null } })
+                .select("department")
+                .lean();
+            surveyDepartments = new Map(surveys.map(s => [String(s._id), s.department]));
+        }
+    }
+
+    return (action) => calendars.forDepartment(action.department)
+        || calendars.forDepartment(surveyDepartments.get(String(action.metadata?.surveyId)))
+        || calendars.defaultCalendar;
+}
+
+/**
+ * Calendar for one action (or an action payload about to be created)
+ * @returns {Promise<Object|null>}
+ */
+async function getActionCalendar(tenantId, action = {}) {
+    const resolve = await getActionCalendarResolver(tenantId, [action]);
+    return resolve(action);
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+async function findCalendarOrThrow(calendarId, tenantId) {
+    if (!mongoose.Types.ObjectId.isValid(calendarId)) {
+        throw { statusCode: 404, message: "SLA calendar not found" };
+    }
+    const calendar = await SlaCalendar.findOne({ _id: calendarId, tenant: tenantId });
+    if (!calendar) {
+        throw { statusCode: 404, message: "SLA calendar not found" };
+    }
+    return calendar;
+}
+
+/**
+ * Departments must belong to the tenant and not already have another
+ * active calendar
+ */
+async function validateDepartments(departments, tenantId, calendarId = null) {
+    if (!departments?.length) return;
+
+    const found = await Department.countDocuments({ _id: { $in: departments }, tenant: tenantId });
+    if (found !== departments.length) {
+        throw { statusCode: 400, message: "Departments must belong to this tenant" };
+    }
+
+    const taken = await SlaCalendar.findOne({
+        tenant: tenantId,
+        isActive: true,
+        departments: { $in: departments },
+        ...(calendarId && { _id: { $ne: calendarId } })
+    }).select("name").lean();
+    if (taken) {
+        throw { statusCode: 409, message: `A department already uses the SLA calendar "${taken.name}"` };
+    }
+}
+
+// Only one default per tenant: clear the flag elsewhere first
+async function clearDefault(tenantId, exceptId = null) {
+    await SlaCalendar.updateMany(
+        { tenant: tenantId, isDefault: true, ...(exceptId && { _id: { $ne: exceptId } }) },
+        { $set: { isDefault: false } }
+    );
+}
+
+async function listSlaCalendars({ tenantId }) {
+    return SlaCalendar.find({ tenant: tenantId })
+        .populate("departments", "name")
+        .sort({ isDefault: -1, name: 1 })
+        .lean();
+}
+
+async function getSlaCalendar({ calendarId, tenantId }) {
+    const calendar = await findCalendarOrThrow(calendarId, tenantId);
+    await calendar.populate("departments", "name");
+    return calendar;
+}
+
+/**
+ * Create a calendar (validated with createSlaCalendarSchema)
+ */
+async function createSlaCalendar({ data, tenantId, userId }) {
+    if (data.isActive !== false) {
+        await validateDepartments(data.departments, tenantId);
+    }
+    if (data.isDefault) await clearDefault(tenantId);
+
+    const calendar = await SlaCalendar.create({
+        ...data,
+        tenant: tenantId,
+        createdBy: userId,
+        updatedBy: userId
+    });
+
+    Logger.info("createSlaCalendar", "SLA calendar created", {
+        context: { calendarId: calendar._id, name: calendar.name, tenantId, isDefault: calendar.isDefault, createdBy: userId }
+    });
+
+    await calendar.populate("departments", "name");
+    return calendar;
+}
+
+/**
+ * Update a calendar (validated with updateSlaCalendarSchema). Arrays
+ * (workingDays, holidays, departments) are replaced as a whole. Existing
+ * due dates are not recalculated.
+ */
+async function updateSlaCalendar({ calendarId, data, tenantId, userId }) {
+    const calendar = await findCalendarOrThrow(calendarId, tenantId);
+
+    // Re-check departments when they change or the calendar is switched back on
+    const willBeActive = data.isActive ?? calendar.isActive;
+    if (willBeActive && (data.departments || data.isActive === true)) {
+        await validateDepartments(data.departments || calendar.departments, tenantId, calendar._id);
+    }
+    if (data.isDefault && !calendar.isDefault) await clearDefault(tenantId, calendar._id);
+
+    Object.assign(calendar, data, { updatedBy: userId });
+    await calendar.save();
+
+    Logger.info("updateSlaCalendar", "SLA calendar updated", {
+        context: { calendarId: calendar._id, tenantId, fields: Object.keys(data), updatedBy: userId }
+    });
+
+    await calendar.populate("departments", "name");
+    return calendar;
+}
+
+async function deleteSlaCalendar({ calendarId, tenantId, userId }) {
+    const calendar = await findCalendarOrThrow(calendarId, tenantId);
+    await calendar.deleteOne();
+
+    Logger.info("deleteSlaCalendar", "SLA calendar deleted", {
+        context: { calendarId, name: calendar.name, tenantId, deletedBy: userId }
+    });
+}
+
+/**
+ * When a clock started at `start` would run out on this calendar
+ * @param {Object} params - { calendarId, tenantId, start, hours | days }
+ */
+async function previewSlaCalendar({ calendarId, tenantId, start, hours, days }) {
+    const calendar = await findCalendarOrThrow(calendarId, tenantId);
+    const normalized = normalizeCalendar(calendar.toObject());
+
+    const from = start ? new Date(start) : new Date();
+    const dueAt = days !== undefined
+        ? addBusinessDays(from, days, normalized)
+        : addBusinessHours(from, hours, normalized);
+
+    return {
+        calendar: { _id: calendar._id, name: calendar.name, timezone: normalized.timezone, hoursPerDay: normalized.hoursPerDay },
+        start: from,
+        ...(days !== undefined ? { days } : { hours }),
+        dueAt,
+        wallClockHours: Math.round(((dueAt - from) / (60 * 60 * 1000)) * 10) / 10,
+        businessHours: Math.round((businessMsBetween(from, dueAt, normalized) / (60 * 60 * 1000)) * 10) / 10
+    };
+}
+
+module.exports = {
+    loadTenantCalendars,
+    getActionCalendarResolver,
+    getActionCalendar,
+    listSlaCalendars,
+    getSlaCalendar,
+    createSlaCalendar,
+    updateSlaCalendar,
+    deleteSlaCalendar,
+    previewSlaCalendar
+};
@@ -1,6 +1,8 @@
 // services/actions/autoActionService.js
 const Action = require("../../models/Action");
 const Logger = require("../../utils/auditLog");
+const { getActionCalendar } = require("../action/slaCalendarService");
+const { addBusinessHours, addBusinessDays } = require("../../utils/businessTime");
 
 /**
  * Action Rules Configuration
@@ -343,7 +345,7 @@ exports.createActionFromInsight = async ({
   // ── Post-creation: Apply SLA fields (outside Joi schema) ──────
   // These are Action model fields not part of the standard createAction flow
   try {
-    const dueDate = calculateDueDate(primaryRule.priority);
+    const dueDate = calculateDueDate(primaryRule.priority, await getActionCalendar(tenantId, action));
     await Action.findByIdAndUpdate(action._id, {
       $set: {
         sla: {
@@ -416,23 +418,24 @@ function buildActionDescription(insight, response, survey) {
 }
 
 /**
- * Calculate due date based on priority
+ * Calculate due date based on priority, in business time on the action's
+ * SLA calendar (wall-clock when the tenant has none)
  */
-function calculateDueDate(priority) {
+function calculateDueDate(priority, calendar = null) {
   const now = new Date();
 
   switch (priority) {
     case "high":
       // Due within 4 hours
-      return new Date(now.getTime() + 4 * 60 * 60 * 1000);
+      return addBusinessHours(now, 4, calendar);
     case "medium":
-      // Due within 24 hours
-      return new Date(now.getTime() + 24 * 60 * 60 * 1000);
+      // Due within 1 working day
+      return addBusinessDays(now, 1, calendar);
     case "low":
-      // Due within 72 hours
-      return new Date(now.getTime() + 72 * 60 * 60 * 1000);
+      // Due within 3 working days
+      return addBusinessDays(now, 3, calendar);
     default:
-      return new Date(now.getTime() + 48 * 60 * 60 * 1000);
+      return addBusinessDays(now, 2, calendar);
   }
 }
 
@@ -542,6 +545,7 @@ exports.escalateAction = async (actionId, reason) => {
     by: null,
     at: new Date(),
     auto: true,
+    escalated: true,
     note: `Auto-escalated: ${reason}`
   });
 
@@ -550,7 +554,7 @@ exports.escalateAction = async (actionId, reason) => {
   else if (action.priority === "medium") action.priority = "high";
 
   // Update due date for urgency
-  action.dueDate = calculateDueDate(action.priority);
+  action.dueDate = calculateDueDate(action.priority, await getActionCalendar(action.tenant, action));
 
   action.tags.push("escalated");
 
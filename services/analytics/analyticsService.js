@@ -3,8 +3,29 @@ const Feedback = require("../../models/SurveyResponse");
 const Survey = require("../../models/Survey");
 const { calculateNPS, generateSentimentHeatmap, generateTrendline } = require("../../utils/analyticsUtils");
 
-exports.getAnalyticsService = async (surveyId) => {
-  const responses = await Feedback.find({ survey: surveyId });
+// Responses and NPS per value of `field` (null = recorded before the field was tracked)
+const groupBy = (responses, field) => {
+  const groups = new Map();
+  responses.forEach(r => {
+    const key = r[field] ?? null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  });
+
+  return [...groups.entries()].map(([key, group]) => ({
+    [field]: key,
+    responses: group.length,
+    nps: calculateNPS(group).score
+  }));
+};
+
+exports.getAnalyticsService = async (surveyId, { wave, language, version } = {}) => {
+  const query = { survey: surveyId };
+  if (wave) query.wave = wave; // recurring surveys: restrict to one wave
+  if (language) query.language = language; // multi-language surveys: one language only
+  if (version) query.surveyVersion = version; // one published version of the survey
+
+  const responses = await Feedback.find(query);
 
   const nps = calculateNPS(responses);
   const heatmap = generateSentimentHeatmap(responses);
@@ -14,7 +35,12 @@ exports.getAnalyticsService = async (surveyId) => {
     nps,
     sentimentHeatmap: heatmap,
     trendline: trend,
-    totalResponses: responses.length
+    totalResponses: responses.length,
+    byLanguage: groupBy(responses, "language").sort((a, b) => b.responses - a.responses),
+    byVersion: groupBy(responses, "surveyVersion").sort((a, b) => (a.surveyVersion ?? 0) - (b.surveyVersion ?? 0)),
+    wave: wave || null,
+    language: language || null,
+    version: version || null
   };
 };
 
@@ -4,7 +4,13 @@ const SurveyResponse = require("../../models/SurveyResponse");
 const Action = require("../../models/Action");
 const mongoose = require("mongoose");
 const Logger = require("../../utils/logger");
+const { loadTenantCalendars, getActionCalendarResolver } = require("../action/slaCalendarService");
+const { businessMsBetween } = require("../../utils/businessTime");
 const trendService = require("./trendService");
+const { getDeliveryStats } = require("../distribution/deliveryStatusService");
+
+// Resolved actions sampled for the business-hours average resolution time
+const RESOLUTION_SAMPLE_SIZE = 1000;
 
 /**
  * Calculate Customer Satisfaction Index (CSI) with breakdown by location and service
@@ -286,9 +292,31 @@ exports.calculateAlertCounts = async (tenantId) => {
     }
 };
 
+/**
+ * Average resolution time of resolved actions in business time on their
+ * SLA calendars. Business time is computed per action, so large periods use
+ * a random sample of RESOLUTION_SAMPLE_SIZE resolved actions.
+ * @returns {Promise<Number>} milliseconds
+ */
+const averageBusinessResolutionMs = async (tenantId, startDate) => {
+    const resolved = await Action.aggregate([
+        { $match: { tenant: new mongoose.Types.ObjectId(tenantId), createdAt: { $gte: startDate }, status: "resolved" } },
+        { $sample: { size: RESOLUTION_SAMPLE_SIZE } },
+        { $project: { createdAt: 1, completedAt: 1, updatedAt: 1, department: 1, "metadata.surveyId": 1 } }
+    ]);
+    if (resolved.length === 0) return 0;
+
+    const calendarFor = await getActionCalendarResolver(tenantId, resolved);
+    const total = resolved.reduce((sum, action) =>
+        sum + businessMsBetween(action.createdAt, action.completedAt || action.updatedAt, calendarFor(action)), 0);
+    return total / resolved.length;
+};
+
 /**
  * Calculate SLA Metrics using aggregation pipeline
- * Replaces in-memory filtering for scalability
+ * Replaces in-memory filtering for scalability. Due dates are already set in
+ * business time; with SLA calendars the average resolution time is counted
+ * in business hours too.
  */
 exports.calculateSLAMetrics = async (tenantId, startDate) => {
     try {
@@ -343,12 +371,23 @@ exports.calculateSLAMetrics = async (tenantId, startDate) => {
 
         let averageResponseTime = "N/A";
         let onTimeResolution = 0;
+        let businessHours = false;
 
         if (resolvedData && resolvedData.totalResolved > 0) {
             onTimeResolution = Math.round((resolvedData.onTimeCount / resolvedData.totalResolved) * 100);
 
-            const avgHours = (resolvedData.avgResolutionMs || 0) / (1000 * 60 * 60);
-            if (avgHours < 1) {
+            let avgResolutionMs = resolvedData.avgResolutionMs || 0;
+            if ((await loadTenantCalendars(tenantId)).hasCalendars) {
+                avgResolutionMs = await averageBusinessResolutionMs(tenantId, startDate);
+                businessHours = true;
+            }
+
+            const avgHours = avgResolutionMs / (1000 * 60 * 60);
+            if (businessHours) {
+                averageResponseTime = avgHours < 1
+                    ? `${Math.round(avgHours * 60)} business mins`
+                    : `${avgHours.toFixed(1)} business hours`;
+            } else if (avgHours < 1) {
                 averageResponseTime = `${Math.round(avgHours * 60)} mins`;
             } else if (avgHours < 24) {
                 averageResponseTime = `${avgHours.toFixed(1)} hours`;
@@ -360,14 +399,15 @@ exports.calculateSLAMetrics = async (tenantId, startDate) => {
         return {
             averageResponseTime,
             onTimeResolution,
-            overdueActions: overdueCount
+            overdueActions: overdueCount,
+            businessHours
         };
     } catch (error) {
         Logger.error("calculateSLAMetrics", "Error calculating SLA metrics", {
             error,
             context: { tenantId }
         });
-        return { averageResponseTime: "N/A", onTimeResolution: 0, overdueActions: 0 };
+        return { averageResponseTime: "N/A", onTimeResolution: 0, overdueActions: 0, businessHours: false };
     }
 };
 
@@ -617,8 +657,11 @@ exports.generateSmartAlerts = async (actions, responses, tenantId) => {
  * Get survey stats by ID
  */
 exports.getSurveyStatsService = async (surveyId) => {
-    const totalResponses = await SurveyResponse.countDocuments({ survey: surveyId });
-    return { surveyId, totalResponses };
+    const [totalResponses, distribution] = await Promise.all([
+        SurveyResponse.countDocuments({ survey: surveyId }),
+        getDeliveryStats(surveyId)
+    ]);
+    return { surveyId, totalResponses, distribution };
 };
 
 /**
@@ -7,6 +7,7 @@ const mongoose = require("mongoose");
 const npsService = require("./npsService");
 const sentimentService = require("./sentimentService");
 const trendService = require("./trendService");
+const funnelService = require("./funnelService");
 
 /**
  * Export survey responses to CSV
@@ -178,6 +179,83 @@ exports.exportAnalyticsPDF = async (surveyId, options = {}) => {
   });
 };
 
+/**
+ * Export question-level drop-off funnel to CSV (one row per question,
+ * plus one row per question and device)
+ */
+exports.exportFunnelCSV = async (tenantId, surveyId, options = {}) => {
+  const funnel = await funnelService.getQuestionFunnel(tenantId, surveyId, options);
+  if (!funnel) throw new Error("Survey not found");
+
+  const toRow = (device, q) => ({
+    device,
+    position: q.position,
+    questionId: q.questionId,
+    questionText: q.questionText,
+    views: q.views,
+    answers: q.answers,
+    skipRatePercent: q.skipRate,
+    abandonments: q.abandonments,
+    abandonmentRatePercent: q.abandonmentRate,
+    medianTimeSeconds: q.medianTimeMs !== null ? Number((q.medianTimeMs / 1000).toFixed(1)) : ""
+  });
+
+  const overallById = Object.fromEntries(funnel.questions.map(q => [q.questionId, q]));
+  const rows = [
+    ...funnel.questions.map(q => toRow("all", q)),
+    ...funnel.byDevice.flatMap(d =>
+      d.questions.map(q => toRow(d.device, { ...overallById[q.questionId], ...q }))
+    )
+  ];
+
+  const parser = new Parser({ fields: Object.keys(toRow("all", { medianTimeMs: null })) });
+  const csv = parser.parse(rows);
+
+  return {
+    filename: `${funnel.title.replace(/\s+/g, "_")}_funnel_${new Date().toISOString().split("T")[0]}.csv`,
+    content: csv,
+    contentType: "text/csv",
+    recordCount: rows.length
+  };
+};
+
+/**
+ * Export question-level drop-off funnel to PDF
+ */
+exports.exportFunnelPDF = async (tenantId, surveyId, options = {}) => {
+  const funnel = await funnelService.getQuestionFunnel(tenantId, surveyId, options);
+  if (!funnel) throw new Error("Survey not found");
+
+  const survey = await Survey.findById(surveyId).select("title status createdAt tenant").lean();
+  const AnalyticsReportTemplate = require('../export/AnalyticsReportTemplate');
+
+  const template = new AnalyticsReportTemplate({
+    title: 'Question Drop-off Report',
+    subtitle: survey.title,
+    survey,
+    analytics: { funnel },
+  });
+
+  await template.initBranding(survey.tenant);
+  await template.build();
+
+  const doc = template.getDocument();
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+
+  template.end();
+
+  return new Promise((resolve) => {
+    doc.on("end", () => {
+      resolve({
+        filename: `${survey.title.replace(/\s+/g, "_")}_funnel_${new Date().toISOString().split("T")[0]}.pdf`,
+        content: Buffer.concat(chunks),
+        contentType: "application/pdf"
+      });
+    });
+  });
+};
+
 /**
  * Export tenant-wide analytics summary to CSV
  */
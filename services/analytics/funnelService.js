@@ -0,0 +1,214 @@
+// services/analytics/funnelService.js
+const SurveyResponse = require("../../models/SurveyResponse");
+const Survey = require("../../models/Survey");
+const SurveyVersion = require("../../models/SurveyVersion");
+const mongoose = require("mongoose");
+const { getLogicModel } = require("../survey/logicService");
+const { evaluateSurvey, toAnswerMap } = require("../../utils/logicEngine");
+
+const DEVICES = ["desktop", "mobile", "tablet", "unknown"];
+
+const isAnswered = (answer) =>
+  answer !== undefined &&
+  answer !== null &&
+  answer !== "" &&
+  !(Array.isArray(answer) && answer.length === 0);
+
+// Responses saved before save-and-resume have no status and are complete
+const isComplete = (response) => response.status === "submitted" || !response.status;
+
+const percent = (part, whole) => (whole ? Number(((part / whole) * 100).toFixed(1)) : 0);
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+/**
+ * Work out which questions a respondent saw and where they stopped.
+ * The path comes from the logic engine, so skipped branches don't count
+ * as views. A respondent who left is counted as having viewed (and
+ * abandoned) the question after their last answer, or the question at
+ * currentQuestionIndex when the client reported it.
+ *
+ * @returns {{ viewed: Array<String>, abandonedAt: String|null }}
+ */
+const traceResponse = (model, response) => {
+  const answers = toAnswerMap(response.answers || [], model);
+  const { path } = evaluateSurvey(model, answers);
+
+  if (isComplete(response)) {
+    return { viewed: path, abandonedAt: null };
+  }
+
+  let lastAnswered = -1;
+  path.forEach((id, idx) => { if (isAnswered(answers[id])) lastAnswered = idx; });
+
+  let stopIndex = Math.min(lastAnswered + 1, path.length - 1);
+  const reported = model.order[response.currentQuestionIndex];
+  if (reported && path.indexOf(reported) > lastAnswered) {
+    stopIndex = path.indexOf(reported);
+  }
+
+  return {
+    viewed: path.slice(0, stopIndex + 1),
+    abandonedAt: path[stopIndex] || null,
+  };
+};
+
+const emptyCounters = () => ({ views: 0, answers: 0, abandonments: 0, times: [] });
+
+/**
+ * Turn raw counters into the per-question funnel rows
+ */
+const buildRows = (model, questionMeta, counters) =>
+  model.order.map((questionId, idx) => {
+    const c = counters[questionId] || emptyCounters();
+    const skips = Math.max(c.views - c.answers - c.abandonments, 0);
+
+    return {
+      questionId,
+      position: idx + 1,
+      questionText: questionMeta[questionId]?.questionText || "",
+      type: questionMeta[questionId]?.type || null,
+      views: c.views,
+      answers: c.answers,
+      skips,
+      skipRate: percent(skips, c.views),
+      abandonments: c.abandonments,
+      abandonmentRate: percent(c.abandonments, c.views),
+      medianTimeMs: median(c.times),
+    };
+  });
+
+/**
+ * Question-level funnel: views, answers, skip rate, median time on question
+ * and abandonment per question, overall and by device.
+ * Uses submitted responses plus partial/expired autosaves.
+ *
+ * @param {String} tenantId
+ * @param {String} surveyId
+ * @param {Object} options
+ * @param {String} options.device - desktop | mobile | tablet (filter)
+ * @param {Number} options.wave - Recurring survey wave (filter)
+ * @param {Number} options.version - Survey version (filter; the funnel uses that version's questions)
+ * @param {String} options.startDate
+ * @param {String} options.endDate
+ * @returns {Promise<Object|null>} null when the survey isn't found for the tenant
+ */
+exports.getQuestionFunnel = async (tenantId, surveyId, options = {}) => {
+  const { device, wave, version, startDate, endDate } = options;
+
+  let survey = await Survey.findOne({ _id: surveyId, tenant: tenantId, deleted: false })
+    .select("title questions sections publishedSnapshot")
+    .lean();
+
+  if (!survey) return null;
+
+  if (version) {
+    const record = await SurveyVersion.findOne({ survey: survey._id, version })
+      .select("questions sections")
+      .lean();
+    if (!record) return null;
+    survey = { ...survey, questions: record.questions, sections: record.sections, publishedSnapshot: null };
+  }
+
+  const snapshot = survey.publishedSnapshot?.questions?.length ? survey.publishedSnapshot : null;
+  const questions = snapshot ? snapshot.questions : survey.questions || [];
+  const sections = snapshot?.sections?.length ? snapshot.sections : survey.sections || [];
+  const model = await getLogicModel(survey, { questions, sections });
+
+  const questionMeta = {};
+  [...questions, ...sections.flatMap(s => s.questions || [])].forEach(q => {
+    const key = q.id ? String(q.id) : String(q._id);
+    questionMeta[key] = q;
+  });
+
+  // Screened-out respondents (full quota) finished the survey but never counted
+  const query = { survey: new mongoose.Types.ObjectId(surveyId), status: { $ne: "screened_out" } };
+  if (device) query["metadata.device"] = device === "unknown" ? null : device;
+  if (wave !== undefined && wave !== null) query.wave = wave;
+  if (version) query.surveyVersion = version;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const responses = await SurveyResponse.find(query)
+    .setOptions({ includePartial: true })
+    .select("status answers currentQuestionIndex metadata.device")
+    .lean();
+
+  const overall = {};
+  const byDevice = {};
+  const deviceTotals = {};
+
+  responses.forEach(response => {
+    const deviceKey = DEVICES.includes(response.metadata?.device) ? response.metadata.device : "unknown";
+    const { viewed, abandonedAt } = traceResponse(model, response);
+    const answers = toAnswerMap(response.answers || [], model);
+    const times = {};
+    (response.answers || []).forEach(a => {
+      const key = model.aliases[String(a.questionId)] || String(a.questionId);
+      if (Number.isFinite(a.timeSpentMs)) times[key] = a.timeSpentMs;
+    });
+
+    byDevice[deviceKey] = byDevice[deviceKey] || {};
+    deviceTotals[deviceKey] = deviceTotals[deviceKey] || { starts: 0, completes: 0 };
+    deviceTotals[deviceKey].starts++;
+    if (isComplete(response)) deviceTotals[deviceKey].completes++;
+
+    [overall, byDevice[deviceKey]].forEach(counters => {
+      viewed.forEach(questionId => {
+        const c = counters[questionId] = counters[questionId] || emptyCounters();
+        c.views++;
+        if (isAnswered(answers[questionId])) {
+          c.answers++;
+          if (times[questionId] !== undefined) c.times.push(times[questionId]);
+        } else if (questionId === abandonedAt) {
+          c.abandonments++;
+        }
+      });
+    });
+  });
+
+  const starts = responses.length;
+  const completes = responses.filter(isComplete).length;
+  const rows = buildRows(model, questionMeta, overall);
+  const biggestDropOff = rows.reduce(
+    (worst, row) => (row.abandonments > (worst?.abandonments || 0) ? row : worst),
+    null
+  );
+
+  return {
+    surveyId,
+    title: survey.title,
+    filters: { device: device || null, wave: wave ?? null, version: version ?? null, startDate: startDate || null, endDate: endDate || null },
+    summary: {
+      starts,
+      completes,
+      inProgress: responses.filter(r => r.status === "partial").length,
+      abandoned: responses.filter(r => r.status === "expired").length,
+      completionRate: percent(completes, starts),
+      biggestDropOff: biggestDropOff
+        ? { questionId: biggestDropOff.questionId, abandonments: biggestDropOff.abandonments }
+        : null,
+    },
+    questions: rows,
+    byDevice: Object.keys(deviceTotals).map(key => ({
+      device: key,
+      starts: deviceTotals[key].starts,
+      completes: deviceTotals[key].completes,
+      completionRate: percent(deviceTotals[key].completes, deviceTotals[key].starts),
+      questions: buildRows(model, questionMeta, byDevice[key]).map(
+        ({ questionId, views, answers, skipRate, abandonments, abandonmentRate, medianTimeMs }) =>
+          ({ questionId, views, answers, skipRate, abandonments, abandonmentRate, medianTimeMs })
+      ),
+    })),
+  };
+};
+
+exports.DEVICES = DEVICES;
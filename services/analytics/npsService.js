@@ -132,15 +132,19 @@ exports.getTenantNPS = async (tenantId, options = {}) => {
  * Get NPS trend over time
  */
 exports.getNPSTrend = async (surveyId, options = {}) => {
-  const { days = 30, interval = "day" } = options;
+  const { days = 30, interval = "day", wave, version } = options;
   
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
 
-  const responses = await SurveyResponse.find({
+  const query = {
     survey: new mongoose.Types.ObjectId(surveyId),
     createdAt: { $gte: startDate }
-  })
+  };
+  if (wave) query.wave = wave;
+  if (version) query.surveyVersion = version;
+
+  const responses = await SurveyResponse.find(query)
     .select("score npsScore createdAt")
     .sort({ createdAt: 1 })
     .lean();
@@ -179,6 +183,8 @@ exports.getNPSTrend = async (surveyId, options = {}) => {
 
   return {
     surveyId,
+    wave: wave || null,
+    version: version || null,
     period: { days, interval, startDate, endDate: new Date() },
     trend,
     overallNPS: this.calculateNPS(responses)
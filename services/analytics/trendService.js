@@ -2,7 +2,11 @@
 const SurveyResponse = require("../../models/SurveyResponse");
 const Survey = require("../../models/Survey");
 const Action = require("../../models/Action");
+const SurveyInvite = require("../../models/SurveyInvite");
 const mongoose = require("mongoose");
+const { calculateNPS } = require("./npsService");
+const SurveyVersion = require("../../models/SurveyVersion");
+const { diffContent, getResponseVersion } = require("../survey/versionService");
 
 /**
  * Get satisfaction trend over time
@@ -107,15 +111,19 @@ exports.getVolumeTrend = async (tenantId, options = {}) => {
  * Get survey-specific volume trend
  */
 exports.getSurveyVolumeTrend = async (surveyId, options = {}) => {
-  const { days = 30, interval = "day" } = options;
+  const { days = 30, interval = "day", wave, version } = options;
 
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
 
-  const responses = await SurveyResponse.find({
+  const query = {
     survey: new mongoose.Types.ObjectId(surveyId),
     createdAt: { $gte: startDate }
-  })
+  };
+  if (wave) query.wave = wave;
+  if (version) query.surveyVersion = version;
+
+  const responses = await SurveyResponse.find(query)
     .select("createdAt rating score")
     .sort({ createdAt: 1 })
     .lean();
@@ -124,6 +132,8 @@ exports.getSurveyVolumeTrend = async (surveyId, options = {}) => {
 
   return {
     surveyId,
+    wave: wave || null,
+    version: version || null,
     period: { days, interval, startDate, endDate: new Date() },
     trend: trendData.map(({ date, items }) => ({
       date,
@@ -134,6 +144,157 @@ exports.getSurveyVolumeTrend = async (surveyId, options = {}) => {
   };
 };
 
+/**
+ * Compare the waves of a recurring survey side by side
+ * Each wave is one period opened by the scheduler (schedule.repeat)
+ */
+exports.getWaveComparison = async (tenantId, surveyId) => {
+  const survey = await Survey.findOne({ _id: surveyId, tenant: tenantId, deleted: false })
+    .select("title currentWave waves schedule.repeat")
+    .lean();
+
+  if (!survey) return null;
+
+  const surveyObjectId = new mongoose.Types.ObjectId(surveyId);
+
+  const [responses, inviteCounts] = await Promise.all([
+    SurveyResponse.find({ survey: surveyObjectId, wave: { $ne: null } })
+      .select("wave rating score")
+      .lean(),
+    SurveyInvite.aggregate([
+      { $match: { survey: surveyObjectId, wave: { $ne: null } } },
+      {
+        $group: {
+          _id: "$wave",
+          invited: { $sum: 1 },
+          responded: { $sum: { $cond: [{ $eq: ["$status", "responded"] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const responsesByWave = {};
+  responses.forEach(r => {
+    if (!responsesByWave[r.wave]) responsesByWave[r.wave] = [];
+    responsesByWave[r.wave].push(r);
+  });
+
+  const invitesByWave = {};
+  inviteCounts.forEach(i => { invitesByWave[i._id] = i; });
+
+  const waves = (survey.waves || [])
+    .slice()
+    .sort((a, b) => a.number - b.number)
+    .map((w, idx, all) => {
+      const items = responsesByWave[w.number] || [];
+      const invites = invitesByWave[w.number] || { invited: 0, responded: 0 };
+      const nps = calculateNPS(items);
+
+      return {
+        wave: w.number,
+        openedAt: w.openedAt,
+        closedAt: all[idx + 1]?.openedAt || null,
+        invitesSent: invites.invited,
+        responseCount: items.length,
+        responseRate: invites.invited
+          ? Number(((invites.responded / invites.invited) * 100).toFixed(1))
+          : 0,
+        avgRating: calculateAverage(items, "rating"),
+        npsScore: nps.score
+      };
+    });
+
+  // Change vs previous wave, so dashboards can show deltas directly
+  const withChanges = waves.map((w, idx) => {
+    const previous = waves[idx - 1];
+    if (!previous) return { ...w, changes: null };
+    return {
+      ...w,
+      changes: {
+        responseCount: calculateChange(w.responseCount, previous.responseCount),
+        responseRate: Number((w.responseRate - previous.responseRate).toFixed(1)),
+        avgRating: calculateChange(w.avgRating, previous.avgRating),
+        npsScore: Number((w.npsScore - previous.npsScore).toFixed(2))
+      }
+    };
+  });
+
+  return {
+    surveyId,
+    title: survey.title,
+    frequency: survey.schedule?.repeat?.frequency || "none",
+    currentWave: survey.currentWave || 0,
+    nextRunAt: survey.schedule?.repeat?.nextRunAt || null,
+    waves: withChanges
+  };
+};
+
+/**
+ * Compare the published versions of a survey side by side, with what each
+ * version changed in the questions (see versionService)
+ */
+exports.getVersionComparison = async (tenantId, surveyId) => {
+  const survey = await Survey.findOne({ _id: surveyId, tenant: tenantId, deleted: false })
+    .select("title version publishedSnapshot.lockedAt")
+    .lean();
+
+  if (!survey) return null;
+
+  const surveyObjectId = new mongoose.Types.ObjectId(surveyId);
+
+  const [versionRecords, responses] = await Promise.all([
+    SurveyVersion.find({ survey: surveyObjectId }).sort({ version: 1 }).lean(),
+    SurveyResponse.find({ survey: surveyObjectId, surveyVersion: { $ne: null } })
+      .select("surveyVersion rating score")
+      .lean()
+  ]);
+
+  const responsesByVersion = {};
+  responses.forEach(r => {
+    if (!responsesByVersion[r.surveyVersion]) responsesByVersion[r.surveyVersion] = [];
+    responsesByVersion[r.surveyVersion].push(r);
+  });
+
+  const versions = versionRecords.map((v, idx) => {
+    const items = responsesByVersion[v.version] || [];
+    const nps = calculateNPS(items);
+
+    return {
+      version: v.version,
+      method: v.method,
+      restoredFrom: v.restoredFrom,
+      publishedAt: v.publishedAt,
+      retiredAt: versionRecords[idx + 1]?.publishedAt || null,
+      responseCount: items.length,
+      avgRating: calculateAverage(items, "rating"),
+      npsScore: nps.score,
+      // What this version changed in the survey
+      contentChanges: idx ? diffContent(versionRecords[idx - 1], v).summary : null
+    };
+  });
+
+  // Change vs previous version, so dashboards can show deltas directly
+  const withChanges = versions.map((v, idx) => {
+    const previous = versions[idx - 1];
+    if (!previous) return { ...v, changes: null };
+    return {
+      ...v,
+      changes: {
+        responseCount: calculateChange(v.responseCount, previous.responseCount),
+        avgRating: calculateChange(v.avgRating, previous.avgRating),
+        npsScore: Number((v.npsScore - previous.npsScore).toFixed(2))
+      }
+    };
+  });
+
+  return {
+    surveyId,
+    title: survey.title,
+    currentVersion: getResponseVersion(survey),
+    versions: withChanges
+  };
+};
+
 /**
  * Get complaint/praise trend
  * Client Requirement 4: Common complaints and praise categories
@@ -0,0 +1,166 @@
+// services/apiKey/apiKeyService.js
+// ============================================================================
+// API Key Service - tenant API keys for programmatic access
+// Keys look like "rpk_<random>"; only their SHA-256 hash is stored.
+// ============================================================================
+
+const crypto = require("crypto");
+const ApiKey = require("../../models/ApiKey");
+const Permission = require("../../models/Permission");
+const featureFlagManager = require("../subscription/featureFlagManager");
+const Logger = require("../../utils/logger");
+
+const FEATURE_CODE = "api_access";
+const KEY_PREFIX = "rpk_";
+const DISPLAY_PREFIX_LENGTH = 12;
+const HOUR_MS = 60 * 60 * 1000;
+
+const hashKey = (rawKey) => crypto.createHash("sha256").update(rawKey).digest("hex");
+
+function generateKey() {
+    const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    return {
+        rawKey,
+        prefix: rawKey.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashKey(rawKey)
+    };
+}
+
+const isApiKey = (token) => typeof token === "string" && token.startsWith(KEY_PREFIX);
+
+/**
+ * Scopes must be existing Permission names
+ */
+async function validateScopes(scopes) {
+    const unique = [...new Set(scopes)];
+    const found = await Permission.find({ name: { $in: unique } }).select("name");
+    const known = new Set(found.map(p => p.name));
+    const unknown = unique.filter(s => !known.has(s));
+
+    if (unknown.length) {
+        throw { statusCode: 400, message: `Unknown scopes: ${unknown.join(", ")}` };
+    }
+    return unique;
+}
+
+/**
+ * Create a key. The plaintext key is only returned here.
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+async function createApiKey({ tenantId, userId, data }) {
+    const scopes = await validateScopes(data.scopes);
+    const { rawKey, prefix, keyHash } = generateKey();
+
+    const apiKey = await ApiKey.create({
+        tenant: tenantId,
+        name: data.name,
+        prefix,
+        keyHash,
+        scopes,
+        rateLimit: data.rateLimit,
+        expiresAt: data.expiresAt || null,
+        createdBy: userId
+    });
+
+    return { apiKey, key: rawKey };
+}
+
+async function listApiKeys({ tenantId, includeRevoked = false }) {
+    const filter = { tenant: tenantId };
+    if (!includeRevoked) filter.revokedAt = null;
+
+    return ApiKey.find(filter)
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 });
+}
+
+async function revokeApiKey({ tenantId, keyId, userId }) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, tenant: tenantId });
+    if (!apiKey) {
+        throw { statusCode: 404, message: "API key not found" };
+    }
+    if (apiKey.revokedAt) {
+        throw { statusCode: 400, message: "API key is already revoked" };
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = userId;
+    await apiKey.save();
+    return apiKey;
+}
+
+/**
+ * Issue a replacement key with the same name, scopes and limits.
+ * The old key keeps working for `gracePeriodHours` (0 = revoked now).
+ * @returns {Promise<Object>} { apiKey, key, previous }
+ */
+async function rotateApiKey({ tenantId, keyId, userId, gracePeriodHours = 0 }) {
+    const previous = await ApiKey.findOne({ _id: keyId, tenant: tenantId });
+    if (!previous) {
+        throw { statusCode: 404, message: "API key not found" };
+    }
+    if (previous.status !== "active") {
+        throw { statusCode: 400, message: `Cannot rotate a ${previous.status} key` };
+    }
+
+    const { rawKey, prefix, keyHash } = generateKey();
+    const apiKey = await ApiKey.create({
+        tenant: tenantId,
+        name: previous.name,
+        prefix,
+        keyHash,
+        scopes: previous.scopes,
+        rateLimit: previous.rateLimit,
+        expiresAt: previous.expiresAt,
+        createdBy: userId
+    });
+
+    previous.replacedBy = apiKey._id;
+    if (gracePeriodHours > 0) {
+        const graceEnd = new Date(Date.now() + gracePeriodHours * HOUR_MS);
+        if (!previous.expiresAt || previous.expiresAt > graceEnd) previous.expiresAt = graceEnd;
+    } else {
+        previous.revokedAt = new Date();
+        previous.revokedBy = userId;
+    }
+    await previous.save();
+
+    return { apiKey, key: rawKey, previous };
+}
+
+/**
+ * Resolve a presented key to an active ApiKey, or throw { statusCode, message }.
+ * Records last-used time / IP without delaying the request.
+ */
+async function authenticateApiKey(rawKey, { ip } = {}) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(rawKey) });
+    if (!apiKey || apiKey.status !== "active") {
+        throw { statusCode: 401, message: "Invalid or expired API key" };
+    }
+
+    if (!(await featureFlagManager.hasFeature(apiKey.tenant, FEATURE_CODE))) {
+        throw { statusCode: 403, message: 'Feature "api_access" is not available on your current plan' };
+    }
+
+    ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+    ).catch(err => {
+        Logger.warn("authenticateApiKey", "Failed to record API key usage", {
+            error: err,
+            context: { apiKeyId: apiKey._id }
+        });
+    });
+
+    return apiKey;
+}
+
+module.exports = {
+    FEATURE_CODE,
+    isApiKey,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    rotateApiKey,
+    authenticateApiKey
+};
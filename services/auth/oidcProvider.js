@@ -0,0 +1,200 @@
+// services/auth/oidcProvider.js
+// ============================================================================
+// OpenID Connect relying party - discovery, authorization URL (code flow +
+// PKCE), code exchange and ID token verification against the IdP's JWKS.
+// Used by ssoService for tenants whose SSO protocol is "oidc".
+// ============================================================================
+
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const { assertOutboundUrl, outboundRequestConfig } = require("../../utils/outboundUrl");
+const Logger = require("../../utils/logger");
+
+const HTTP_TIMEOUT_MS = 10000;
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+const ALLOWED_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+const jwksCache = new Map(); // jwksUri → { keys, expiresAt }
+
+const base64Url = (buffer) => buffer.toString("base64url");
+
+/**
+ * Random state / nonce / PKCE values for one login
+ */
+function createAuthParams() {
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    return {
+        state: base64Url(crypto.randomBytes(32)),
+        nonce: base64Url(crypto.randomBytes(16)),
+        codeVerifier,
+        codeChallenge: base64Url(crypto.createHash("sha256").update(codeVerifier).digest())
+    };
+}
+
+/**
+ * Fetch `/.well-known/openid-configuration` for an issuer. The issuer and the
+ * endpoints it advertises must be public URLs (utils/outboundUrl); upstream
+ * errors are logged, not returned to the caller.
+ * @returns {Promise<Object>} { issuer, authorizationEndpoint, tokenEndpoint, jwksUri, userinfoEndpoint }
+ * @throws {{ statusCode: 400 }} unreachable or incomplete discovery document
+ */
+async function discover(issuer) {
+    const url = `${issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`;
+
+    let doc;
+    try {
+        ({ data: doc } = await axios.get(url, outboundRequestConfig(url, { timeout: HTTP_TIMEOUT_MS })));
+    } catch (err) {
+        Logger.warn("oidcDiscover", "OIDC discovery failed", { error: err, context: { url } });
+        throw { statusCode: 400, message: "OIDC discovery failed for the issuer URL" };
+    }
+
+    if (!doc?.issuer || !doc.authorization_endpoint || !doc.token_endpoint || !doc.jwks_uri) {
+        throw { statusCode: 400, message: "OIDC discovery document is missing required endpoints" };
+    }
+    if (doc.issuer.replace(/\/+$/, "") !== issuer.replace(/\/+$/, "")) {
+        throw { statusCode: 400, message: `OIDC issuer mismatch: discovery reports ${doc.issuer}` };
+    }
+    try {
+        assertOutboundUrl(doc.token_endpoint);
+        assertOutboundUrl(doc.jwks_uri);
+    } catch (err) {
+        throw { statusCode: 400, message: "OIDC discovery document points to a non-public endpoint" };
+    }
+
+    return {
+        issuer: doc.issuer,
+        authorizationEndpoint: doc.authorization_endpoint,
+        tokenEndpoint: doc.token_endpoint,
+        jwksUri: doc.jwks_uri,
+        userinfoEndpoint: doc.userinfo_endpoint || null
+    };
+}
+
+function buildAuthorizationUrl(oidc, { redirectUri, state, nonce, codeChallenge }) {
+    const url = new URL(oidc.discovery.authorizationEndpoint);
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: oidc.clientId,
+        redirect_uri: redirectUri,
+        scope: oidc.scopes || "openid email profile",
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256"
+    }).toString();
+    return url.toString();
+}
+
+/**
+ * Exchange the authorization code (client_secret_basic).
+ * @returns {Promise<Object>} Token response ({ id_token, access_token, ... })
+ */
+async function exchangeCode(oidc, clientSecret, { code, redirectUri, codeVerifier }) {
+    const credentials = Buffer.from(
+        `${encodeURIComponent(oidc.clientId)}:${encodeURIComponent(clientSecret)}`
+    ).toString("base64");
+
+    try {
+        const { data } = await axios.post(
+            oidc.discovery.tokenEndpoint,
+            new URLSearchParams({
+                grant_type: "authorization_code",
+                code,
+                redirect_uri: redirectUri,
+                code_verifier: codeVerifier
+            }).toString(),
+            outboundRequestConfig(oidc.discovery.tokenEndpoint, {
+                timeout: HTTP_TIMEOUT_MS,
+                headers: {
+                    "Content-Type": "application/x-www-form-urlencoded",
+                    Authorization: `Basic ${credentials}`
+                }
+            })
+        );
+        if (!data?.id_token) {
+            throw new Error("Token response has no id_token");
+        }
+        return data;
+    } catch (err) {
+        Logger.warn("oidcExchangeCode", "OIDC code exchange failed", {
+            error: err,
+            context: { reason: err.response?.data?.error_description || err.response?.data?.error }
+        });
+        throw { statusCode: 401, message: "OIDC code exchange failed" };
+    }
+}
+
+async function getSigningKey(jwksUri, kid) {
+    const load = async () => {
+        const { data } = await axios.get(jwksUri, outboundRequestConfig(jwksUri, { timeout: HTTP_TIMEOUT_MS }));
+        const entry = { keys: data?.keys || [], expiresAt: Date.now() + JWKS_CACHE_TTL_MS };
+        jwksCache.set(jwksUri, entry);
+        return entry.keys;
+    };
+
+    const cached = jwksCache.get(jwksUri);
+    let keys = cached && cached.expiresAt > Date.now() ? cached.keys : await load();
+    let jwk = keys.find(k => k.kid === kid && (!k.use || k.use === "sig"));
+
+    // Unknown kid: the IdP may have rotated keys since we cached them
+    if (!jwk && cached) {
+        keys = await load();
+        jwk = keys.find(k => k.kid === kid && (!k.use || k.use === "sig"));
+    }
+    if (!jwk) return null;
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce.
+ * @returns {Promise<Object>} ID token claims
+ * @throws {{ statusCode: 401 }}
+ */
+async function verifyIdToken(oidc, idToken, { nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.alg || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+        throw { statusCode: 401, message: "Unsupported ID token signature algorithm" };
+    }
+
+    let key;
+    try {
+        key = await getSigningKey(oidc.discovery.jwksUri, decoded.header.kid);
+    } catch (err) {
+        Logger.warn("oidcVerifyIdToken", "Could not load IdP signing keys", { error: err, context: { jwksUri: oidc.discovery.jwksUri } });
+        throw { statusCode: 401, message: "Could not load IdP signing keys" };
+    }
+    if (!key) {
+        throw { statusCode: 401, message: "ID token signing key not found" };
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ALLOWED_ALGORITHMS,
+            issuer: oidc.discovery.issuer,
+            audience: oidc.clientId,
+            clockTolerance: 60
+        });
+    } catch (err) {
+        throw { statusCode: 401, message: `Invalid ID token: ${err.message}` };
+    }
+
+    if (claims.nonce !== nonce) {
+        throw { statusCode: 401, message: "ID token nonce mismatch" };
+    }
+    if (!claims.sub) {
+        throw { statusCode: 401, message: "ID token has no subject" };
+    }
+    return claims;
+}
+
+module.exports = {
+    createAuthParams,
+    discover,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+};
@@ -0,0 +1,185 @@
+// services/auth/samlProvider.js
+// ============================================================================
+// SAML 2.0 service provider - IdP metadata parsing, AuthnRequest URLs and
+// signed-response validation (@node-saml/node-saml). Used by ssoService for
+// tenants whose SSO protocol is "saml".
+//
+// Each login stores its AuthnRequest ID in SsoLoginState; the response must
+// answer that request (InResponseTo), so IdP-initiated logins are rejected.
+// ============================================================================
+
+const crypto = require("crypto");
+const axios = require("axios");
+const { DOMParser } = require("@xmldom/xmldom");
+const { SAML, generateServiceProviderMetadata } = require("@node-saml/node-saml");
+const { outboundRequestConfig } = require("../../utils/outboundUrl");
+const Logger = require("../../utils/logger");
+
+const MD_NS = "urn:oasis:names:tc:SAML:2.0:metadata";
+const DS_NS = "http://www.w3.org/2000/09/xmldsig#";
+const REDIRECT_BINDING = "urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect";
+const HTTP_TIMEOUT_MS = 10000;
+
+// Common attribute names for email / display name across IdPs
+const EMAIL_ATTRIBUTES = [
+    "email",
+    "mail",
+    "urn:oid:0.9.2342.19200300.100.1.3",
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress"
+];
+const NAME_ATTRIBUTES = [
+    "displayName",
+    "name",
+    "urn:oid:2.16.840.1.113730.3.1.241",
+    "http://schemas.microsoft.com/identity/claims/displayname",
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name"
+];
+
+/**
+ * Extract entity ID, SSO URL (HTTP-Redirect) and signing certificates from
+ * IdP metadata XML.
+ * @returns {Object} { entityId, entryPoint, certificates }
+ * @throws {{ statusCode: 400 }}
+ */
+function parseMetadata(xml) {
+    const errors = [];
+    const doc = new DOMParser({ onError: (level, msg) => level !== "warning" && errors.push(msg) })
+        .parseFromString(String(xml || ""), "text/xml");
+
+    const descriptor = doc?.getElementsByTagNameNS(MD_NS, "EntityDescriptor")[0];
+    const idp = descriptor?.getElementsByTagNameNS(MD_NS, "IDPSSODescriptor")[0];
+    if (errors.length || !descriptor || !idp) {
+        throw { statusCode: 400, message: "Invalid SAML metadata: no IDPSSODescriptor found" };
+    }
+
+    const ssoServices = Array.from(idp.getElementsByTagNameNS(MD_NS, "SingleSignOnService"));
+    const redirect = ssoServices.find(s => s.getAttribute("Binding") === REDIRECT_BINDING);
+    if (!redirect) {
+        throw { statusCode: 400, message: "SAML metadata has no HTTP-Redirect SingleSignOnService" };
+    }
+
+    const certificates = Array.from(idp.getElementsByTagNameNS(MD_NS, "KeyDescriptor"))
+        .filter(kd => !kd.getAttribute("use") || kd.getAttribute("use") === "signing")
+        .flatMap(kd => Array.from(kd.getElementsByTagNameNS(DS_NS, "X509Certificate")))
+        .map(node => node.textContent.replace(/\s+/g, ""))
+        .filter(Boolean);
+
+    if (!certificates.length) {
+        throw { statusCode: 400, message: "SAML metadata has no signing certificate" };
+    }
+
+    return {
+        entityId: descriptor.getAttribute("entityID"),
+        entryPoint: redirect.getAttribute("Location"),
+        certificates: [...new Set(certificates)]
+    };
+}
+
+/**
+ * Fetch IdP metadata from a tenant-supplied URL (public addresses only).
+ * The upstream error is logged, not returned to the caller.
+ * @throws {{ statusCode: 400 }}
+ */
+async function fetchMetadata(url) {
+    try {
+        const { data } = await axios.get(url, outboundRequestConfig(url, { timeout: HTTP_TIMEOUT_MS, responseType: "text" }));
+        return data;
+    } catch (err) {
+        Logger.warn("samlFetchMetadata", "Could not fetch SAML metadata", { error: err, context: { url } });
+        throw { statusCode: 400, message: "Could not fetch SAML metadata from the metadata URL" };
+    }
+}
+
+/**
+ * node-saml instance for one tenant. `requestId` pins the AuthnRequest ID
+ * when starting a login, or the ID the response must answer when validating.
+ */
+function createClient(saml, { callbackUrl, spEntityId, requestId }) {
+    return new SAML({
+        callbackUrl,
+        issuer: spEntityId,
+        audience: spEntityId,
+        entryPoint: saml.entryPoint,
+        idpIssuer: saml.entityId || undefined,
+        idpCert: saml.certificates,
+        identifierFormat: saml.nameIdFormat || null,
+        wantAssertionsSigned: true,
+        wantAuthnResponseSigned: false,
+        disableRequestedAuthnContext: true,
+        acceptedClockSkewMs: 60 * 1000,
+        validateInResponseTo: "always",
+        generateUniqueId: () => requestId,
+        cacheProvider: {
+            saveAsync: async (key, value) => ({ value, createdAt: Date.now() }),
+            getAsync: async (key) => (requestId && key === requestId ? new Date().toISOString() : null),
+            removeAsync: async (key) => key
+        }
+    });
+}
+
+const newRequestId = () => `_${crypto.randomBytes(20).toString("hex")}`;
+
+async function getAuthorizeUrl(saml, { callbackUrl, spEntityId, requestId, relayState }) {
+    const client = createClient(saml, { callbackUrl, spEntityId, requestId });
+    return client.getAuthorizeUrlAsync(relayState, undefined, {});
+}
+
+/**
+ * Validate a posted SAMLResponse and map it to an identity.
+ * @returns {Promise<Object>} { subject, email, name }
+ * @throws {{ statusCode: 401 }}
+ */
+async function validateResponse(saml, { callbackUrl, spEntityId, requestId, samlResponse }) {
+    const client = createClient(saml, { callbackUrl, spEntityId, requestId });
+
+    let profile;
+    try {
+        ({ profile } = await client.validatePostResponseAsync({ SAMLResponse: samlResponse }));
+    } catch (err) {
+        throw { statusCode: 401, message: `Invalid SAML response: ${err.message}` };
+    }
+    if (!profile?.nameID) {
+        throw { statusCode: 401, message: "SAML assertion has no NameID" };
+    }
+
+    const pick = (names) => {
+        for (const name of names) {
+            const value = Array.isArray(profile[name]) ? profile[name][0] : profile[name];
+            if (value) return String(value);
+        }
+        return null;
+    };
+    const mapping = saml.attributeMapping || {};
+
+    let email = pick([mapping.email, ...EMAIL_ATTRIBUTES].filter(Boolean));
+    if (!email && profile.nameIDFormat?.endsWith(":emailAddress")) email = profile.nameID;
+
+    const fullName = [pick(["givenName", "firstName"]), pick(["sn", "surname", "lastName"])].filter(Boolean).join(" ");
+
+    return {
+        subject: profile.nameID,
+        email,
+        name: pick([mapping.name, ...NAME_ATTRIBUTES].filter(Boolean)) || fullName || null
+    };
+}
+
+/**
+ * SP metadata for the tenant's IdP admin (available before SAML is configured)
+ */
+function getServiceProviderMetadata(saml, { callbackUrl, spEntityId }) {
+    return generateServiceProviderMetadata({
+        issuer: spEntityId,
+        callbackUrl,
+        identifierFormat: saml?.nameIdFormat || null,
+        wantAssertionsSigned: true
+    });
+}
+
+module.exports = {
+    parseMetadata,
+    fetchMetadata,
+    newRequestId,
+    getAuthorizeUrl,
+    validateResponse,
+    getServiceProviderMetadata
+};
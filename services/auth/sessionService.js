@@ -0,0 +1,306 @@
+// services/auth/sessionService.js
+// ============================================================================
+// Session Service - server-side refresh tokens.
+//
+// Each login creates a Session (one refresh-token family). The refresh JWT
+// carries the session id (`sid`); only the hash of the latest token is kept.
+//   POST /api/auth/refresh → token matches → rotate (new token, new hash)
+//                          → token is an older one of the family → reuse:
+//                            the session is revoked and the user must log in
+// Access tokens carry the same `sid`, so protect() rejects them as soon as
+// the session is revoked (logout, remote logout, reuse detection), and the
+// session's Socket.IO connections are dropped.
+// ============================================================================
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const geoip = require("geoip-lite");
+const Session = require("../../models/Session");
+const User = require("../../models/User");
+const generateToken = require("../../utils/generateToken");
+const { disconnectSessions } = require("../../utils/socket");
+const Logger = require("../../utils/logger");
+
+const REMEMBER_ME_TTL_MS = 7 * 24 * 60 * 60 * 1000;   // 7 days
+const DEFAULT_TTL_MS = 30 * 60 * 1000;                 // 30 minutes
+
+const hashToken = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const getTtl = (rememberMe) => (rememberMe ? REMEMBER_ME_TTL_MS : DEFAULT_TTL_MS);
+const activeFilter = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const sessionExpired = () => ({ statusCode: 401, message: "Session expired. Please log in again." });
+
+/**
+ * Device / browser / OS / location summary shown in the session list
+ */
+function describeDevice(userAgent, ip) {
+    const ua = (userAgent || "").toLowerCase();
+
+    let type = "desktop";
+    if (/mobile|android|iphone|ipod/i.test(ua)) type = "mobile";
+    else if (/ipad|tablet/i.test(ua)) type = "tablet";
+
+    let browser = "unknown";
+    if (ua.includes("edg")) browser = "Edge";
+    else if (ua.includes("chrome")) browser = "Chrome";
+    else if (ua.includes("firefox")) browser = "Firefox";
+    else if (ua.includes("safari")) browser = "Safari";
+
+    let os = "unknown";
+    if (ua.includes("windows")) os = "Windows";
+    else if (ua.includes("mac os") || ua.includes("macos")) os = "macOS";
+    else if (ua.includes("android")) os = "Android";
+    else if (ua.includes("iphone") || ua.includes("ipad") || ua.includes("ios")) os = "iOS";
+    else if (ua.includes("linux")) os = "Linux";
+
+    let location = null;
+    if (ip) {
+        const geo = geoip.lookup(ip.replace(/^::ffff:/, ""));
+        if (geo) location = geo.city ? `${geo.city}, ${geo.country}` : geo.country;
+    }
+
+    return { type, browser, os, location };
+}
+
+/**
+ * Sign a refresh token for the session. The random jti keeps two rotations
+ * within the same second from producing the same token.
+ */
+function signRefreshToken(session, user, ttlMs) {
+    return generateToken({
+        _id: user._id.toString(),
+        role: user.role,
+        sid: session._id.toString(),
+        jti: crypto.randomUUID()
+    }, "refresh", Math.floor(ttlMs / 1000));
+}
+
+/**
+ * Start a session for a freshly authenticated user.
+ * @returns {Promise<Object>} { session, refreshToken, maxAge }
+ */
+async function createSession(user, { rememberMe = false, userAgent, ip } = {}) {
+    const ttl = getTtl(rememberMe);
+    const session = new Session({
+        user: user._id,
+        tenant: user.tenant?._id || user.tenant || null,
+        rememberMe: !!rememberMe,
+        userAgent,
+        ip,
+        device: describeDevice(userAgent, ip),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + ttl)
+    });
+
+    const refreshToken = signRefreshToken(session, user, ttl);
+    session.tokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return { session, refreshToken, maxAge: ttl };
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation with reuse detection).
+ * @returns {Promise<Object>} { session, user, refreshToken, maxAge }
+ * @throws {{ statusCode: 401 }} invalid, expired, revoked or reused token
+ */
+async function rotateRefreshToken(rawToken, { userAgent, ip } = {}) {
+    let decoded;
+    try {
+        decoded = jwt.verify(rawToken, process.env.REFRESH_TOKEN_SECRET);
+    } catch {
+        throw { statusCode: 401, message: "Invalid refresh token" };
+    }
+
+    // Tokens issued before server-side sessions have no sid
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+        throw sessionExpired();
+    }
+
+    const current = await Session.findById(decoded.sid).select("+tokenHash");
+    if (!current || current.revokedAt || current.expiresAt <= new Date()) {
+        throw sessionExpired();
+    }
+
+    const user = await User.findById(current.user).populate("customRoles");
+    if (!user) {
+        await revokeSession(current._id, "user_revoked");
+        throw { statusCode: 401, message: "User not found" };
+    }
+
+    const ttl = getTtl(current.rememberMe);
+    const refreshToken = signRefreshToken(current, user, ttl);
+
+    // Only the holder of the latest token may rotate; the hash check is part
+    // of the update so two concurrent refreshes can't both succeed.
+    const session = await Session.findOneAndUpdate(
+        { _id: current._id, tokenHash: hashToken(rawToken), ...activeFilter() },
+        {
+            $set: {
+                tokenHash: hashToken(refreshToken),
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + ttl),
+                userAgent: userAgent || current.userAgent,
+                ip: ip || current.ip
+            },
+            $inc: { rotationCount: 1 }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        await revokeSession(current._id, "reuse_detected");
+        Logger.warn("rotateRefreshToken", "Refresh token reuse detected, session revoked", {
+            context: { sessionId: current._id, userId: current.user, ip, userAgent }
+        });
+        throw { statusCode: 401, message: "Refresh token has already been used. Please log in again." };
+    }
+
+    return { session, user, refreshToken, maxAge: ttl };
+}
+
+/**
+ * Session id of a refresh token, even if the token has expired
+ */
+function getSessionIdFromToken(rawToken) {
+    try {
+        const decoded = jwt.verify(rawToken, process.env.REFRESH_TOKEN_SECRET, { ignoreExpiration: true });
+        return decoded.sid || null;
+    } catch {
+        return null;
+    }
+}
+
+async function revokeSession(sessionId, reason, revokedBy = null) {
+    const result = await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+    );
+    if (result.modifiedCount > 0) disconnectSessions([sessionId]);
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Whether an access token's session is still usable (checked in protect)
+ */
+async function isSessionActive(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    return !!(await Session.exists({ _id: sessionId, ...activeFilter() }));
+}
+
+function toSessionView(session, currentSessionId) {
+    const view = session.toObject ? session.toObject() : session;
+    return {
+        _id: view._id,
+        user: view.user,
+        device: view.device,
+        ip: view.ip,
+        userAgent: view.userAgent,
+        rememberMe: view.rememberMe,
+        createdAt: view.createdAt,
+        lastUsedAt: view.lastUsedAt,
+        expiresAt: view.expiresAt,
+        current: !!currentSessionId && view._id.toString() === currentSessionId.toString()
+    };
+}
+
+// ============================================================================
+// Current user
+// ============================================================================
+
+async function listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({ user: userId, ...activeFilter() })
+        .sort({ lastUsedAt: -1 })
+        .lean();
+    return sessions.map(s => toSessionView(s, currentSessionId));
+}
+
+async function revokeOwnSession(userId, sessionId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId, ...activeFilter() });
+    if (!session) {
+        throw { statusCode: 404, message: "Session not found" };
+    }
+    await revokeSession(session._id, "user_revoked", userId);
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {Object} options - { exceptSessionId, reason, revokedBy }
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeAllForUser(userId, { exceptSessionId = null, reason = "user_revoked", revokedBy = null } = {}) {
+    const filter = { user: userId, ...activeFilter() };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessionIds = await Session.find(filter).distinct("_id");
+    if (!sessionIds.length) return 0;
+
+    const result = await Session.updateMany({ _id: { $in: sessionIds }, revokedAt: null }, {
+        $set: { revokedAt: new Date(), revokedReason: reason, revokedBy }
+    });
+    disconnectSessions(sessionIds);
+    return result.modifiedCount;
+}
+
+// ============================================================================
+// Company admin (tenant scope)
+// ============================================================================
+
+async function listTenantSessions({ tenantId, userId, page = 1, limit = 20, currentSessionId }) {
+    const filter = { tenant: tenantId, ...activeFilter() };
+    if (userId) {
+        if (!mongoose.isValidObjectId(userId)) {
+            throw { statusCode: 400, message: "Invalid user id" };
+        }
+        filter.user = userId;
+    }
+
+    const [sessions, total] = await Promise.all([
+        Session.find(filter)
+            .populate("user", "name email role")
+            .sort({ lastUsedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Session.countDocuments(filter)
+    ]);
+
+    return {
+        sessions: sessions.map(s => toSessionView(s, currentSessionId)),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+}
+
+async function revokeTenantSession({ tenantId, sessionId, adminId }) {
+    const session = await Session.findOne({ _id: sessionId, tenant: tenantId, ...activeFilter() });
+    if (!session) {
+        throw { statusCode: 404, message: "Session not found" };
+    }
+    await revokeSession(session._id, "admin_revoked", adminId);
+    return session;
+}
+
+async function revokeTenantUserSessions({ tenantId, userId, adminId }) {
+    const user = await User.findOne({ _id: userId, tenant: tenantId }).select("_id");
+    if (!user) {
+        throw { statusCode: 404, message: "User not found" };
+    }
+    return revokeAllForUser(user._id, { reason: "admin_revoked", revokedBy: adminId });
+}
+
+module.exports = {
+    REMEMBER_ME_TTL_MS,
+    DEFAULT_TTL_MS,
+    createSession,
+    rotateRefreshToken,
+    getSessionIdFromToken,
+    revokeSession,
+    isSessionActive,
+    listSessions,
+    revokeOwnSession,
+    revokeAllForUser,
+    listTenantSessions,
+    revokeTenantSession,
+    revokeTenantUserSessions
+};
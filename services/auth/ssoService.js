@@ -0,0 +1,570 @@
+// services/auth/ssoService.js
+// ============================================================================
+// SSO Service - per-tenant identity providers (OIDC / SAML), domain-based
+// login routing and just-in-time user provisioning.
+//
+// Config lives in TenantConfig `SSO_CONFIG` (category "sso"); the OIDC client
+// secret is encrypted with utils/encryption. Domains only route logins and
+// provision users once verified (DNS TXT record, see verifyDomain). Login flow:
+//   POST /api/auth/sso/discover { email } → tenant owning the email domain
+//   GET  /api/auth/sso/:tenantId/login    → SsoLoginState + redirect to IdP
+//   IdP → /oidc/callback (code) or /saml/acs (SAMLResponse)
+//       → resolveUser (existing SSO link → same-tenant email → JIT)
+//       → authController.completeLogin → redirect to the frontend
+// ============================================================================
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const User = require("../../models/User");
+const Tenant = require("../../models/Tenant");
+const CustomRole = require("../../models/CustomRole");
+const TenantConfig = require("../../models/TenantConfig");
+const SsoLoginState = require("../../models/SsoLoginState");
+const configService = require("../configService");
+const featureFlagManager = require("../subscription/featureFlagManager");
+const usageLimitsService = require("../subscription/usageLimitsService");
+const oidcProvider = require("./oidcProvider");
+const samlProvider = require("./samlProvider");
+const { encrypt, decrypt } = require("../../utils/encryption");
+const Logger = require("../../utils/logger");
+
+const SSO_CONFIG_KEY = "SSO_CONFIG";
+const FEATURE_CODE = "sso";
+const STATE_TTL_MINUTES = 10;
+const VERIFICATION_PREFIX = "ratepro-verification=";
+
+// Shared mailbox providers can't be claimed by a single tenant
+const PUBLIC_EMAIL_DOMAINS = [
+    "gmail.com", "googlemail.com", "outlook.com", "hotmail.com", "live.com", "yahoo.com",
+    "icloud.com", "me.com", "aol.com", "proton.me", "protonmail.com", "gmx.com", "yandex.com", "mail.com"
+];
+
+const hashState = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+const getEmailDomain = (email) => String(email || "").trim().toLowerCase().split("@")[1] || null;
+
+/**
+ * Public API base used in redirect / ACS URLs registered with the IdP
+ */
+const getApiBaseUrl = () =>
+    (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, "");
+
+/**
+ * URLs the tenant's IdP admin needs (redirect URI, ACS, SP entity ID)
+ */
+function getEndpoints(tenantId) {
+    const base = `${getApiBaseUrl()}/api/auth/sso/${tenantId}`;
+    return {
+        loginUrl: `${base}/login`,
+        oidcRedirectUri: `${base}/oidc/callback`,
+        samlAcsUrl: `${base}/saml/acs`,
+        samlMetadataUrl: `${base}/saml/metadata`,
+        spEntityId: `${base}/saml/metadata`
+    };
+}
+
+const ssoError = (statusCode, code, message) => ({ statusCode, code, message });
+
+const isDomainVerified = (config, domain) => (config?.verifiedDomains || []).some(v => v.domain === domain);
+const newVerificationToken = () => crypto.randomBytes(16).toString("hex");
+
+// ============================================================================
+// Configuration (companyAdmin)
+// ============================================================================
+
+async function getConfig(tenantId) {
+    return configService.getTenantConfig(tenantId, SSO_CONFIG_KEY, null);
+}
+
+/**
+ * Config for enabled tenants whose plan includes SSO, else null
+ */
+async function getActiveConfig(tenantId) {
+    const config = await getConfig(tenantId);
+    if (!config?.enabled) return null;
+    if (!(await featureFlagManager.hasFeature(tenantId, FEATURE_CODE))) return null;
+    return config;
+}
+
+/**
+ * Config as shown to the company admin (no client secret) plus SP endpoints
+ * and the TXT record that verifies each domain
+ */
+async function getPublicConfig(tenantId) {
+    let config = await getConfig(tenantId);
+    const endpoints = getEndpoints(tenantId);
+    if (!config) return { configured: false, endpoints };
+
+    // Configs saved before domain verification have no token yet
+    if (!config.verification?.token) {
+        config = { ...config, verification: { token: newVerificationToken() } };
+        await configService.setTenantConfig(tenantId, SSO_CONFIG_KEY, config, { category: "sso" });
+    }
+
+    const { oidc, verification, ...rest } = config;
+    return {
+        configured: true,
+        ...rest,
+        oidc: oidc ? { ...oidc, clientSecret: undefined, hasClientSecret: !!oidc.clientSecret } : undefined,
+        domainVerification: {
+            type: "TXT",
+            value: `${VERIFICATION_PREFIX}${verification.token}`,
+            domains: config.domains.map(domain => ({ domain, verified: isDomainVerified(config, domain) }))
+        },
+        endpoints
+    };
+}
+
+async function validateDomains(tenantId, domains) {
+    const normalized = [...new Set(domains.map(d => d.trim().toLowerCase()))];
+
+    const publicDomain = normalized.find(d => PUBLIC_EMAIL_DOMAINS.includes(d));
+    if (publicDomain) {
+        throw { statusCode: 400, message: `${publicDomain} is a public email domain and can't be used for SSO` };
+    }
+
+    // Only verified domains are owned; unverified claims never block the real owner
+    const taken = await TenantConfig.findOne({
+        key: SSO_CONFIG_KEY,
+        tenant: { $ne: tenantId },
+        "value.verifiedDomains.domain": { $in: normalized }
+    }).lean();
+    if (taken) {
+        const clash = normalized.find(d => isDomainVerified(taken.value, d));
+        throw { statusCode: 409, message: `Domain ${clash} is already used by another organization` };
+    }
+
+    return normalized;
+}
+
+async function validateJit(tenantId, jit = {}) {
+    const result = {
+        enabled: !!jit.enabled,
+        defaultCustomRole: jit.defaultCustomRole || null,
+        defaultDepartment: jit.defaultDepartment || null
+    };
+
+    if (result.defaultCustomRole) {
+        const role = await CustomRole.findOne({
+            _id: result.defaultCustomRole, tenant: tenantId, isActive: true, deleted: false
+        }).select("_id");
+        if (!role) throw { statusCode: 400, message: "Default role not found in this organization" };
+    }
+
+    if (result.defaultDepartment) {
+        const tenant = await Tenant.findById(tenantId).select("departments");
+        if (!tenant?.departments?.some(d => d.toString() === result.defaultDepartment.toString())) {
+            throw { statusCode: 400, message: "Default department not found in this organization" };
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Create / replace the tenant's SSO config. OIDC issuers are discovered and
+ * SAML metadata parsed here so a broken IdP is caught at save time.
+ * @param {Object} input - validated by validators/ssoValidator.js
+ */
+async function saveConfig(tenantId, input, userId) {
+    const existing = await getConfig(tenantId);
+    const domains = await validateDomains(tenantId, input.domains);
+
+    const config = {
+        enabled: input.enabled,
+        protocol: input.protocol,
+        enforced: !!input.enforced,
+        domains,
+        // Verification survives saves for the domains that are kept
+        verification: { token: existing?.verification?.token || newVerificationToken() },
+        verifiedDomains: (existing?.verifiedDomains || []).filter(v => domains.includes(v.domain)),
+        jit: await validateJit(tenantId, input.jit)
+    };
+
+    if (input.protocol === "oidc") {
+        const previous = existing?.oidc;
+        if (!input.oidc.clientSecret && !previous?.clientSecret) {
+            throw { statusCode: 400, message: "OIDC client secret is required" };
+        }
+
+        config.oidc = {
+            issuer: input.oidc.issuer,
+            clientId: input.oidc.clientId,
+            clientSecret: input.oidc.clientSecret ? encrypt(input.oidc.clientSecret) : previous.clientSecret,
+            scopes: input.oidc.scopes || "openid email profile",
+            discovery: await oidcProvider.discover(input.oidc.issuer),
+            discoveredAt: new Date()
+        };
+    } else {
+        const previous = existing?.saml;
+        let parsed;
+        if (input.saml.metadataXml || input.saml.metadataUrl) {
+            const xml = input.saml.metadataXml || await samlProvider.fetchMetadata(input.saml.metadataUrl);
+            parsed = samlProvider.parseMetadata(xml);
+        } else if (previous?.entryPoint) {
+            parsed = { entityId: previous.entityId, entryPoint: previous.entryPoint, certificates: previous.certificates };
+        } else {
+            throw { statusCode: 400, message: "SAML metadata (XML or URL) is required" };
+        }
+
+        config.saml = {
+            metadataUrl: input.saml.metadataUrl || null,
+            ...parsed,
+            nameIdFormat: input.saml.nameIdFormat || null,
+            attributeMapping: input.saml.attributeMapping || {},
+            metadataLoadedAt: new Date()
+        };
+    }
+
+    await configService.setTenantConfig(tenantId, SSO_CONFIG_KEY, config, { category: "sso" }, userId);
+    return getPublicConfig(tenantId);
+}
+
+/**
+ * Prove ownership of an SSO domain: its DNS TXT records must include
+ * "ratepro-verification=<token>" (token from getPublicConfig). Only verified
+ * domains are used for discovery and JIT provisioning.
+ * @returns {Promise<Object>} public config
+ */
+async function verifyDomain(tenantId, domain, userId) {
+    const config = await getConfig(tenantId);
+    if (!config) {
+        throw { statusCode: 404, message: "SSO is not configured" };
+    }
+    if (!config.domains.includes(domain)) {
+        throw { statusCode: 400, message: `${domain} is not one of the SSO domains` };
+    }
+    if (isDomainVerified(config, domain)) return getPublicConfig(tenantId);
+
+    const expected = `${VERIFICATION_PREFIX}${config.verification?.token}`;
+    let records = [];
+    try {
+        records = await dns.resolveTxt(domain);
+    } catch (err) {
+        if (!["ENODATA", "ENOTFOUND"].includes(err.code)) {
+            throw { statusCode: 502, message: `Could not look up DNS records for ${domain}` };
+        }
+    }
+    if (!config.verification?.token || !records.some(chunks => chunks.join("") === expected)) {
+        throw { statusCode: 400, message: `TXT record "${expected}" was not found on ${domain}` };
+    }
+
+    const taken = await TenantConfig.findOne({
+        key: SSO_CONFIG_KEY,
+        tenant: { $ne: tenantId },
+        "value.verifiedDomains.domain": domain
+    }).select("_id").lean();
+    if (taken) {
+        throw { statusCode: 409, message: `Domain ${domain} is already used by another organization` };
+    }
+
+    const verifiedDomains = [...(config.verifiedDomains || []), { domain, verifiedAt: new Date(), verifiedBy: userId }];
+    await configService.setTenantConfig(tenantId, SSO_CONFIG_KEY, { ...config, verifiedDomains }, { category: "sso" }, userId);
+
+    Logger.info("ssoVerifyDomain", "SSO domain verified", { context: { tenantId, domain, userId } });
+
+    return getPublicConfig(tenantId);
+}
+
+async function deleteConfig(tenantId) {
+    const deleted = await configService.deleteTenantConfig(tenantId, SSO_CONFIG_KEY);
+    if (!deleted) {
+        throw { statusCode: 404, message: "SSO is not configured" };
+    }
+}
+
+// ============================================================================
+// Routing
+// ============================================================================
+
+/**
+ * Domain-based routing: the tenant (if any) whose SSO owns (has verified) this email domain
+ * @returns {Promise<Object|null>} { tenantId, tenantName, protocol, enforced, loginUrl }
+ */
+async function findTenantForEmail(email) {
+    const domain = getEmailDomain(email);
+    if (!domain) return null;
+
+    const entry = await TenantConfig.findOne({
+        key: SSO_CONFIG_KEY,
+        "value.verifiedDomains.domain": domain,
+        "value.enabled": true
+    }).lean();
+    if (!entry) return null;
+
+    const config = await getActiveConfig(entry.tenant);
+    if (!config) return null;
+
+    const tenant = await Tenant.findById(entry.tenant).select("name").lean();
+    return {
+        tenantId: entry.tenant,
+        tenantName: tenant?.name || null,
+        protocol: config.protocol,
+        enforced: config.enforced,
+        loginUrl: getEndpoints(entry.tenant).loginUrl
+    };
+}
+
+/**
+ * Whether password / Google login is blocked because the tenant enforces SSO.
+ * Company admins keep password access as a break-glass path.
+ * @returns {Promise<Object|null>} null = allowed, else { loginUrl }
+ */
+async function getLoginRestriction(user) {
+    const tenantId = user.tenant?._id || user.tenant;
+    if (!tenantId || user.role !== "member") return null;
+
+    const config = await getActiveConfig(tenantId);
+    if (!config?.enforced) return null;
+
+    return { loginUrl: getEndpoints(tenantId).loginUrl };
+}
+
+// ============================================================================
+// Login flow
+// ============================================================================
+
+// Only same-site relative paths, so the callback can't become an open redirect
+const safeRedirectPath = (path) =>
+    typeof path === "string" && /^\/(?!\/)[^\s\\]*$/.test(path) ? path : null;
+
+/**
+ * Build the IdP redirect for a tenant login
+ * @returns {Promise<string>} URL to redirect the browser to
+ */
+async function startLogin(tenantId, { redirectPath, rememberMe } = {}) {
+    const config = await getActiveConfig(tenantId);
+    if (!config) {
+        throw ssoError(404, "sso-disabled", "SSO is not enabled for this organization");
+    }
+
+    const endpoints = getEndpoints(tenantId);
+    const loginState = {
+        tenant: tenantId,
+        protocol: config.protocol,
+        redirectPath: safeRedirectPath(redirectPath),
+        rememberMe: !!rememberMe,
+        expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000)
+    };
+
+    if (config.protocol === "oidc") {
+        const params = oidcProvider.createAuthParams();
+        await SsoLoginState.create({
+            ...loginState,
+            stateHash: hashState(params.state),
+            nonce: params.nonce,
+            codeVerifier: params.codeVerifier
+        });
+        return oidcProvider.buildAuthorizationUrl(config.oidc, {
+            redirectUri: endpoints.oidcRedirectUri,
+            state: params.state,
+            nonce: params.nonce,
+            codeChallenge: params.codeChallenge
+        });
+    }
+
+    const relayState = crypto.randomBytes(32).toString("base64url");
+    const requestId = samlProvider.newRequestId();
+    await SsoLoginState.create({ ...loginState, stateHash: hashState(relayState), requestId });
+    return samlProvider.getAuthorizeUrl(config.saml, {
+        callbackUrl: endpoints.samlAcsUrl,
+        spEntityId: endpoints.spEntityId,
+        requestId,
+        relayState
+    });
+}
+
+/**
+ * Single-use lookup of the login started by startLogin
+ */
+async function consumeState(tenantId, state, protocol) {
+    const loginState = state && await SsoLoginState.findOneAndDelete({
+        stateHash: hashState(state),
+        tenant: tenantId,
+        protocol,
+        expiresAt: { $gt: new Date() }
+    }).select("+codeVerifier");
+
+    if (!loginState) {
+        throw ssoError(401, "sso-expired", "SSO login expired. Please try again.");
+    }
+    return loginState;
+}
+
+/**
+ * OIDC redirect callback
+ * @returns {Promise<Object>} { user, redirectPath, rememberMe }
+ */
+async function completeOidcLogin(tenantId, { code, state, error, error_description: errorDescription }) {
+    if (error) {
+        throw ssoError(401, "sso-failed", `Identity provider error: ${errorDescription || error}`);
+    }
+
+    const loginState = await consumeState(tenantId, state, "oidc");
+    const config = await getActiveConfig(tenantId);
+    if (config?.protocol !== "oidc") {
+        throw ssoError(404, "sso-disabled", "SSO is not enabled for this organization");
+    }
+
+    const tokens = await oidcProvider.exchangeCode(config.oidc, decrypt(config.oidc.clientSecret), {
+        code,
+        redirectUri: getEndpoints(tenantId).oidcRedirectUri,
+        codeVerifier: loginState.codeVerifier
+    });
+    const claims = await oidcProvider.verifyIdToken(config.oidc, tokens.id_token, { nonce: loginState.nonce });
+
+    const user = await resolveUser(tenantId, config, {
+        protocol: "oidc",
+        subject: claims.sub,
+        email: claims.email,
+        emailVerified: claims.email_verified !== false,
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(" ") || null
+    });
+
+    return { user, redirectPath: loginState.redirectPath, rememberMe: loginState.rememberMe };
+}
+
+/**
+ * SAML assertion consumer service
+ * @returns {Promise<Object>} { user, redirectPath, rememberMe }
+ */
+async function completeSamlLogin(tenantId, { SAMLResponse: samlResponse, RelayState: relayState }) {
+    const loginState = await consumeState(tenantId, relayState, "saml");
+    const config = await getActiveConfig(tenantId);
+    if (config?.protocol !== "saml") {
+        throw ssoError(404, "sso-disabled", "SSO is not enabled for this organization");
+    }
+
+    const endpoints = getEndpoints(tenantId);
+    const identity = await samlProvider.validateResponse(config.saml, {
+        callbackUrl: endpoints.samlAcsUrl,
+        spEntityId: endpoints.spEntityId,
+        requestId: loginState.requestId,
+        samlResponse
+    });
+
+    const user = await resolveUser(tenantId, config, { protocol: "saml", emailVerified: true, ...identity });
+    return { user, redirectPath: loginState.redirectPath, rememberMe: loginState.rememberMe };
+}
+
+// ============================================================================
+// Provisioning
+// ============================================================================
+
+async function provisionUser(tenantId, config, identity) {
+    if (!config.jit?.enabled) {
+        throw ssoError(403, "sso-not-provisioned", "Your account has not been set up in this organization");
+    }
+    if (!isDomainVerified(config, getEmailDomain(identity.email))) {
+        throw ssoError(403, "sso-not-provisioned", "Your email domain is not allowed for this organization");
+    }
+
+    const usage = await usageLimitsService.checkLimit(tenantId, "max_users");
+    if (!usage.allowed) {
+        throw ssoError(403, "sso-user-limit", "This organization has reached its user limit");
+    }
+
+    let department = config.jit.defaultDepartment;
+    if (!department) {
+        const tenant = await Tenant.findById(tenantId).select("departments");
+        department = tenant?.departments?.[0] || null;
+    }
+    if (!department) {
+        throw ssoError(403, "sso-not-provisioned", "No default department is configured for new SSO users");
+    }
+
+    const role = config.jit.defaultCustomRole && await CustomRole.findOne({
+        _id: config.jit.defaultCustomRole, tenant: tenantId, isActive: true, deleted: false
+    });
+
+    const user = await User.create({
+        name: identity.name || identity.email.split("@")[0],
+        email: identity.email.toLowerCase(),
+        role: "member",
+        tenant: tenantId,
+        department,
+        authProvider: "sso",
+        sso: { protocol: identity.protocol, subject: identity.subject, lastLoginAt: null },
+        customRoles: role ? [role._id] : [],
+        isVerified: true
+    });
+
+    if (role) {
+        role.users.push(user._id);
+        role.userCount = role.users.length;
+        await role.save();
+    }
+
+    Logger.info("ssoProvisionUser", "User provisioned just-in-time via SSO", {
+        context: { tenantId, userId: user._id, protocol: identity.protocol, customRole: role?._id || null }
+    });
+
+    return user;
+}
+
+/**
+ * Map an IdP identity to a user of the tenant: existing SSO link, else an
+ * existing user of the same tenant with that email (linked now), else JIT.
+ * Emails belonging to another tenant are never linked.
+ */
+async function resolveUser(tenantId, config, identity) {
+    let user = await User.findOne({
+        tenant: tenantId,
+        "sso.protocol": identity.protocol,
+        "sso.subject": identity.subject
+    });
+
+    if (!user) {
+        if (!identity.email || !identity.emailVerified) {
+            throw ssoError(403, "sso-failed", "The identity provider did not return a verified email address");
+        }
+
+        const existing = await User.findOne({ email: identity.email.toLowerCase() });
+        if (existing) {
+            const sameTenant = existing.tenant && existing.tenant.toString() === tenantId.toString();
+            if (!sameTenant || !["companyAdmin", "member"].includes(existing.role)) {
+                throw ssoError(409, "sso-account-conflict", "This email is already registered outside this organization");
+            }
+            user = existing;
+        } else {
+            user = await provisionUser(tenantId, config, identity);
+        }
+    }
+
+    if (!user.isActive || user.deleted) {
+        throw ssoError(403, "sso-account-disabled", "Your account has been deactivated");
+    }
+
+    user.sso = { protocol: identity.protocol, subject: identity.subject, lastLoginAt: new Date() };
+    user.isVerified = true;
+    await user.save();
+
+    return user;
+}
+
+/**
+ * SP metadata XML for the tenant's IdP admin
+ */
+async function getServiceProviderMetadata(tenantId) {
+    const endpoints = getEndpoints(tenantId);
+    const config = await getConfig(tenantId);
+    return samlProvider.getServiceProviderMetadata(config?.saml, {
+        callbackUrl: endpoints.samlAcsUrl,
+        spEntityId: endpoints.spEntityId
+    });
+}
+
+module.exports = {
+    SSO_CONFIG_KEY,
+    FEATURE_CODE,
+    getEndpoints,
+    getPublicConfig,
+    saveConfig,
+    verifyDomain,
+    deleteConfig,
+    findTenantForEmail,
+    getLoginRestriction,
+    startLogin,
+    completeOidcLogin,
+    completeSamlLogin,
+    getServiceProviderMetadata
+};
@@ -0,0 +1,337 @@
+// services/auth/twoFactorService.js
+// ============================================================================
+// Two-Factor Authentication Service - TOTP enrollment, recovery codes,
+// login challenges, trusted devices and the tenant enforcement policy.
+//
+// Login flow (see authController.loginUser):
+//   password OK → 2FA enabled (and device not trusted) or required by the
+//   tenant policy → { twoFactorRequired, challengeToken } instead of tokens
+//   → POST /api/auth/2fa/challenge with a TOTP / recovery code → tokens.
+// ============================================================================
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const User = require("../../models/User");
+const OTP = require("../../models/OTP");
+const TrustedDevice = require("../../models/TrustedDevice");
+const configService = require("../configService");
+const totp = require("../../utils/totp");
+const { encrypt, decrypt } = require("../../utils/encryption");
+
+const POLICY_KEY = "SECURITY_2FA_REQUIRED_ROLES";
+const ENFORCEABLE_ROLES = ["companyAdmin", "member"];
+const CHALLENGE_TTL_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const TRUSTED_DEVICE_DAYS = 30;
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const hashToken = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const normalizeRecoveryCode = (code) => String(code || "").trim().toLowerCase().replace(/\s/g, "");
+
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString("hex");
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return {
+        codes,
+        hashed: codes.map(code => ({ hash: hashToken(code), usedAt: null }))
+    };
+}
+
+async function loadUserWithSecrets(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+        throw { statusCode: 404, message: "User not found" };
+    }
+    return user;
+}
+
+// ============================================================================
+// Tenant policy
+// ============================================================================
+
+async function getRequiredRoles(tenantId) {
+    if (!tenantId) return [];
+    const roles = await configService.getTenantConfig(tenantId, POLICY_KEY, []);
+    return Array.isArray(roles) ? roles : [];
+}
+
+async function setRequiredRoles(tenantId, roles, userId) {
+    const unique = [...new Set(roles)];
+    await configService.setTenantConfig(tenantId, POLICY_KEY, unique, { category: "security" }, userId);
+    return unique;
+}
+
+async function isRequiredForUser(user) {
+    const tenantId = user.tenant?._id || user.tenant;
+    const roles = await getRequiredRoles(tenantId);
+    return roles.includes(user.role);
+}
+
+// ============================================================================
+// Enrollment
+// ============================================================================
+
+/**
+ * Start enrollment: store a pending secret and return it as a QR code.
+ * @param {Object} user - User document loaded with SECRET_FIELDS
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+ */
+async function beginSetup(user) {
+    if (user.twoFactor?.enabled) {
+        throw { statusCode: 400, message: "Two-factor authentication is already enabled" };
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    const otpauthUrl = totp.buildOtpAuthUrl({ secret, label: user.email });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app.
+ * @returns {Promise<string[]>} Recovery codes (plaintext, shown once)
+ */
+async function confirmSetup(user, code) {
+    if (user.twoFactor?.enabled) {
+        throw { statusCode: 400, message: "Two-factor authentication is already enabled" };
+    }
+    if (!user.twoFactor?.pendingSecret) {
+        throw { statusCode: 400, message: "Start two-factor setup first" };
+    }
+
+    const step = totp.verify(decrypt(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+        throw { statusCode: 400, message: "Invalid authentication code" };
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashed;
+    user.markModified("twoFactor");
+    await user.save();
+
+    return codes;
+}
+
+/**
+ * Check a TOTP code or a single-use recovery code.
+ * @returns {Promise<string>} "totp" | "recovery_code"
+ * @throws {{ statusCode: 401 }} when neither matches
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+    if (code && user.twoFactor?.secret) {
+        const step = totp.verify(decrypt(user.twoFactor.secret), code, {
+            afterStep: user.twoFactor.lastUsedStep ?? null
+        });
+        if (step !== null) {
+            user.twoFactor.lastUsedStep = step;
+            await user.save();
+            return "totp";
+        }
+    }
+
+    if (recoveryCode) {
+        const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+        const entry = (user.twoFactor?.recoveryCodes || []).find(c => c.hash === hash && !c.usedAt);
+        if (entry) {
+            entry.usedAt = new Date();
+            user.markModified("twoFactor.recoveryCodes");
+            await user.save();
+            return "recovery_code";
+        }
+    }
+
+    throw { statusCode: 401, message: "Invalid authentication code" };
+}
+
+async function disable(user, factor) {
+    if (!user.twoFactor?.enabled) {
+        throw { statusCode: 400, message: "Two-factor authentication is not enabled" };
+    }
+    if (await isRequiredForUser(user)) {
+        throw { statusCode: 403, message: "Your organization requires two-factor authentication for your role" };
+    }
+
+    await verifySecondFactor(user, factor);
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+    await TrustedDevice.deleteMany({ user: user._id });
+}
+
+/**
+ * Replace all recovery codes (requires a current TOTP code)
+ * @returns {Promise<string[]>}
+ */
+async function regenerateRecoveryCodes(user, code) {
+    if (!user.twoFactor?.enabled) {
+        throw { statusCode: 400, message: "Two-factor authentication is not enabled" };
+    }
+    await verifySecondFactor(user, { code });
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    user.markModified("twoFactor.recoveryCodes");
+    await user.save();
+    return codes;
+}
+
+async function getStatus(userId) {
+    const user = await loadUserWithSecrets(userId);
+    const [required, trustedDevices] = await Promise.all([
+        isRequiredForUser(user),
+        TrustedDevice.countDocuments({ user: user._id, expiresAt: { $gt: new Date() } })
+    ]);
+
+    return {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required,
+        recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(c => !c.usedAt).length,
+        trustedDevices
+    };
+}
+
+// ============================================================================
+// Login challenge (stored as an OTP with purpose "2fa")
+// ============================================================================
+
+/**
+ * Whether a password login must pass a 2FA challenge.
+ * @returns {Promise<Object|null>} null = no challenge, else { setupRequired }
+ */
+async function getLoginRequirement(user, trustedDeviceToken) {
+    if (user.twoFactor?.enabled) {
+        if (trustedDeviceToken && await isTrustedDevice(user._id, trustedDeviceToken)) return null;
+        return { setupRequired: false };
+    }
+    if (await isRequiredForUser(user)) {
+        return { setupRequired: true };
+    }
+    return null;
+}
+
+async function createChallenge(user) {
+    const challengeToken = crypto.randomBytes(32).toString("hex");
+
+    await OTP.deleteMany({ email: user.email, purpose: "2fa" });
+    await OTP.create({
+        email: user.email,
+        code: hashToken(challengeToken),
+        purpose: "2fa",
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000)
+    });
+
+    return { challengeToken, expiresIn: CHALLENGE_TTL_MINUTES * 60 };
+}
+
+/**
+ * Look up a pending challenge
+ * @returns {Promise<Object>} The OTP document (email identifies the user)
+ */
+async function resolveChallenge(challengeToken) {
+    const otp = challengeToken && await OTP.findOne({
+        code: hashToken(String(challengeToken)),
+        purpose: "2fa",
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (!otp || otp.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        throw { statusCode: 401, message: "Two-factor challenge expired. Please log in again." };
+    }
+    return otp;
+}
+
+async function recordFailedChallenge(otp) {
+    otp.attempts += 1;
+    if (otp.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        await otp.deleteOne();
+        return;
+    }
+    await otp.save();
+}
+
+async function completeChallenge(otp) {
+    await otp.deleteOne();
+}
+
+// ============================================================================
+// Trusted devices
+// ============================================================================
+
+async function trustDevice(userId, { userAgent, ip } = {}) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000);
+
+    await TrustedDevice.create({
+        user: userId,
+        tokenHash: hashToken(token),
+        userAgent,
+        ip,
+        lastUsedAt: new Date(),
+        expiresAt
+    });
+
+    return { token, expiresAt };
+}
+
+async function isTrustedDevice(userId, token) {
+    const device = await TrustedDevice.findOneAndUpdate(
+        { user: userId, tokenHash: hashToken(String(token)), expiresAt: { $gt: new Date() } },
+        { $set: { lastUsedAt: new Date() } }
+    );
+    return !!device;
+}
+
+async function listTrustedDevices(userId) {
+    return TrustedDevice.find({ user: userId, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 });
+}
+
+async function revokeTrustedDevice(userId, deviceId) {
+    const device = await TrustedDevice.findOneAndDelete({ _id: deviceId, user: userId });
+    if (!device) {
+        throw { statusCode: 404, message: "Trusted device not found" };
+    }
+}
+
+async function revokeAllTrustedDevices(userId) {
+    const { deletedCount } = await TrustedDevice.deleteMany({ user: userId });
+    return deletedCount;
+}
+
+module.exports = {
+    ENFORCEABLE_ROLES,
+    TRUSTED_DEVICE_DAYS,
+    SECRET_FIELDS,
+    loadUserWithSecrets,
+    getRequiredRoles,
+    setRequiredRoles,
+    isRequiredForUser,
+    beginSetup,
+    confirmSetup,
+    verifySecondFactor,
+    disable,
+    regenerateRecoveryCodes,
+    getStatus,
+    getLoginRequirement,
+    createChallenge,
+    resolveChallenge,
+    recordFailedChallenge,
+    completeChallenge,
+    trustDevice,
+    listTrustedDevices,
+    revokeTrustedDevice,
+    revokeAllTrustedDevices
+};
@@ -313,6 +313,15 @@ const setTenantConfig = async (tenantId, key, value, meta = {}, userId = null) =
     return config;
 };
 
+/**
+ * Delete a tenant config. Invalidates cache.
+ */
+const deleteTenantConfig = async (tenantId, key) => {
+    const result = await TenantConfig.deleteOne({ tenant: tenantId, key });
+    cacheInvalidate(`tenant:${tenantId}:${key}`);
+    return result.deletedCount > 0;
+};
+
 /**
  * Get all tenant configs for a category.
  */
@@ -358,6 +367,7 @@ module.exports = {
     // Tenant-level
     getTenantConfig,
     setTenantConfig,
+    deleteTenantConfig,
     getTenantConfigsByCategory,
     setTenantConfigBulk,
 };
@@ -5,6 +5,7 @@ const Contact = require("../../models/ContactManagement");
 const ContactCategory = require("../../models/ContactCategory");
 const { enrichContact } = require("../audience/enrichmentService");
 const { deriveAutoTags } = require("../audience/taggingService");
+const { dispatchEvent } = require("../webhook/webhookService");
 
 /**
  * Utility: normalize tags input
@@ -222,6 +223,19 @@ class ContactService {
     contact.autoTags = tagResult.autoTags;
 
     await contact.save();
+
+    dispatchEvent(tenantId, "contact.updated", {
+      contactId: contact._id,
+      name: contact.name,
+      email: contact.email,
+      phone: contact.phone,
+      company: contact.company,
+      status: contact.status,
+      tags: contact.tags,
+      contactCategories: contact.contactCategories,
+      updatedAt: contact.updatedAt,
+    });
+
     return contact;
   }
 
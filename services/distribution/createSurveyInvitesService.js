@@ -1,6 +1,7 @@
 // services/distribution/createSurveyInvitesService.js
 const crypto = require("crypto");
 const SurveyInvite = require("../../models/SurveyInvite");
+const getBaseURL = require("../../utils/getBaseURL");
 const { onSurveyInvite, onBulkSurveyInvites } = require("../contact/contactSurveySync.service");
 
 /**
@@ -56,6 +57,7 @@ async function createBulkSurveyInvites({
   tenantId,
   contacts, // [{ name, email, phone }]
   expiresAt,
+  wave = null, // recurring surveys: wave number the invites belong to
 }) {
   const invites = [];
   const emails = [];
@@ -73,6 +75,7 @@ async function createBulkSurveyInvites({
       },
       token,
       status: "sent",
+      wave,
       expiresAt: expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
     });
 
@@ -95,8 +98,52 @@ async function createBulkSurveyInvites({
   return createdInvites;
 }
 
+/**
+ * Personal survey link for an invite (token-based, tracked per recipient)
+ */
+function getInviteLink(invite) {
+  return `${getBaseURL().public}/survey/respond?token=${invite.token}`;
+}
+
+/**
+ * Latest invite for a phone number on a survey, or a new one if none exists.
+ * Returns null when the recipient already responded to their latest invite.
+ */
+async function findOrCreatePhoneInvite({ surveyId, tenantId, phone }) {
+  const invite = await SurveyInvite.findOne({
+    survey: surveyId,
+    tenant: tenantId,
+    "contact.phone": phone,
+  }).sort({ createdAt: -1 });
+
+  if (!invite) {
+    return createSurveyInvite({ surveyId, tenantId, contact: { phone } });
+  }
+  return invite.status === "responded" ? null : invite;
+}
+
+/**
+ * Build an SMS / WhatsApp invite message.
+ * Supports {{surveyLink}}, {{surveyTitle}} and {{recipientName}} placeholders;
+ * the link is appended when the template doesn't place it.
+ */
+function renderInviteMessage({ invite, survey, messageTemplate }) {
+  const link = getInviteLink(invite);
+  if (!messageTemplate) return `Please take this quick survey: ${link}`;
+
+  const message = messageTemplate
+    .replace(/{{\s*surveyLink\s*}}/g, link)
+    .replace(/{{\s*surveyTitle\s*}}/g, survey.title || "")
+    .replace(/{{\s*recipientName\s*}}/g, invite.contact?.name || "");
+
+  return message.includes(link) ? message : `${message} ${link}`;
+}
+
 module.exports = {
   createSurveyInvite,
   createBulkSurveyInvites,
   generateToken,
+  getInviteLink,
+  findOrCreatePhoneInvite,
+  renderInviteMessage,
 };
\ No newline at end of file
@@ -0,0 +1,339 @@
+// services/distribution/deliveryStatusService.js
+//
+// Delivery-status tracking for SMS / WhatsApp invites.
+// Providers report status changes through webhooks:
+//   - Twilio (SMS + WhatsApp): form-encoded status callbacks signed with X-Twilio-Signature
+//   - Meta WhatsApp Cloud API: JSON webhooks signed with X-Hub-Signature-256
+// Every update is appended to SurveyInvite.delivery.history; delivery.status only
+// moves forward, so a late "sent" callback never overwrites "read".
+// Reminder messages (reminderService) are tracked on their SurveyInvite.reminders entry.
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const twilio = require("twilio");
+const SurveyInvite = require("../../models/SurveyInvite");
+const WhatsAppSetting = require("../../models/WhatsAppSetting");
+const configService = require("../configService");
+
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+// Twilio MessageStatus → invite delivery status
+const TWILIO_STATUS_MAP = {
+  accepted: "queued",
+  scheduled: "queued",
+  queued: "queued",
+  sending: "queued",
+  sent: "sent",
+  delivered: "delivered",
+  read: "read",
+  undelivered: "failed",
+  failed: "failed",
+  canceled: "failed",
+};
+
+// Meta message status → invite delivery status
+const META_STATUS_MAP = {
+  accepted: "queued",
+  held_for_quality_assessment: "queued",
+  sent: "sent",
+  delivered: "delivered",
+  read: "read",
+  failed: "failed",
+};
+
+// Error codes meaning the recipient can't be reached — counted as bounces
+const BOUNCE_ERROR_CODES = new Set([
+  "21211",  // Twilio: invalid 'To' phone number
+  "21614",  // Twilio: 'To' number is not a valid mobile number
+  "30003",  // Twilio: unreachable destination handset
+  "30005",  // Twilio: unknown destination handset
+  "30006",  // Twilio: landline or unreachable carrier
+  "63003",  // Twilio WhatsApp: invalid destination number
+  "63024",  // Twilio WhatsApp: invalid message recipient
+  "131026", // Meta: message undeliverable (recipient not on WhatsApp)
+]);
+
+const isBounce = ({ providerStatus, errorCode }) =>
+  providerStatus === "undelivered" || (errorCode != null && BOUNCE_ERROR_CODES.has(String(errorCode)));
+
+/**
+ * Public URL Twilio should POST status callbacks to for a channel.
+ * Returns null when DELIVERY_WEBHOOK_BASE_URL isn't configured
+ * (Twilio then falls back to the callback set on the number / messaging service).
+ */
+async function getStatusCallbackUrl(channel) {
+  const base = await configService.getConfig("DELIVERY_WEBHOOK_BASE_URL", {
+    sensitive: false,
+    defaultValue: undefined,
+  });
+  if (!base) return null;
+  return `${base.replace(/\/+$/, "")}/api/distribution/${channel}/webhook`;
+}
+
+/**
+ * Apply one status update to an invite document and save it.
+ * @param {Object} invite - SurveyInvite document
+ * @param {Object} update
+ * @param {string} update.status - queued | sent | delivered | read | failed
+ * @param {string} [update.channel] - sms | whatsapp
+ * @param {string} [update.provider] - twilio | meta
+ * @param {string} [update.messageId] - Provider message id
+ * @param {string} [update.providerStatus] - Raw provider status
+ * @param {string} [update.errorCode]
+ * @param {string} [update.errorMessage]
+ * @param {Date} [update.at]
+ */
+async function recordDeliveryStatus(invite, update) {
+  const delivery = invite.toObject().delivery || {};
+  const errorCode = update.errorCode != null ? String(update.errorCode) : undefined;
+  const history = delivery.history || [];
+
+  // Providers retry callbacks — ignore exact repeats
+  const duplicate = history.some(h =>
+    h.status === update.status &&
+    h.providerStatus === update.providerStatus &&
+    (h.errorCode || undefined) === errorCode
+  );
+
+  if (!duplicate) {
+    history.push({
+      status: update.status,
+      providerStatus: update.providerStatus,
+      errorCode,
+      errorMessage: update.errorMessage,
+      at: update.at || new Date(),
+    });
+  }
+
+  if (update.channel) delivery.channel = update.channel;
+  if (update.provider) delivery.provider = update.provider;
+  if (update.messageId) delivery.messageId = update.messageId;
+
+  const currentRank = delivery.status ? STATUS_RANK[delivery.status] : -1;
+  if (STATUS_RANK[update.status] >= currentRank) {
+    delivery.status = update.status;
+    delivery.updatedAt = update.at || new Date();
+  }
+
+  if (update.status === "failed") {
+    delivery.errorCode = errorCode;
+    delivery.errorMessage = update.errorMessage;
+    delivery.bounced = isBounce({ providerStatus: update.providerStatus, errorCode });
+  }
+
+  delivery.history = history;
+  invite.set("delivery", delivery);
+  await invite.save();
+  return invite;
+}
+
+/**
+ * Move a reminder entry forward to the reported status
+ */
+async function recordReminderStatus(invite, update) {
+  const reminder = invite.reminders.find(r => r.messageId === update.messageId);
+  const currentRank = reminder.status ? STATUS_RANK[reminder.status] : -1;
+  if (STATUS_RANK[update.status] < currentRank) return invite;
+
+  reminder.status = update.status;
+  if (update.status === "failed") {
+    reminder.error = [update.errorCode, update.errorMessage].filter(Boolean).join(": ") || update.providerStatus;
+  }
+  await invite.save();
+  return invite;
+}
+
+/**
+ * Apply a webhook update to the invite that owns the provider message id,
+ * either as its original delivery or as one of its reminders.
+ * Returns null for messages that aren't survey invites.
+ */
+async function applyStatusUpdate(update) {
+  if (!update?.messageId || !update.status) return null;
+
+  const invite = await SurveyInvite.findOne({ "delivery.messageId": update.messageId });
+  if (invite) return recordDeliveryStatus(invite, update);
+
+  const reminded = await SurveyInvite.findOne({ "reminders.messageId": update.messageId });
+  if (reminded) return recordReminderStatus(reminded, update);
+
+  return null;
+}
+
+// ============================================
+// TWILIO
+// ============================================
+
+/**
+ * Parse a Twilio status callback (SMS or WhatsApp)
+ */
+function parseTwilioStatus(body = {}) {
+  const messageId = body.MessageSid || body.SmsSid;
+  const providerStatus = body.MessageStatus || body.SmsStatus;
+  const status = TWILIO_STATUS_MAP[providerStatus];
+  if (!messageId || !status) return null;
+
+  return {
+    provider: "twilio",
+    channel: String(body.From || body.To || "").startsWith("whatsapp:") ? "whatsapp" : "sms",
+    messageId,
+    status,
+    providerStatus,
+    errorCode: body.ErrorCode || undefined,
+    errorMessage: body.ErrorMessage || undefined,
+  };
+}
+
+/**
+ * Verify X-Twilio-Signature.
+ * The signing auth token is the tenant's own Twilio account (WhatsAppSetting)
+ * when the message belongs to a tenant invite, otherwise the platform accounts.
+ * @param {Object} options
+ * @param {string} options.signature - X-Twilio-Signature header
+ * @param {Object} options.params - Parsed form body
+ * @param {string[]} options.urls - Candidate callback URLs (configured + as received)
+ * @param {string} [options.messageId]
+ */
+async function verifyTwilioSignature({ signature, params, urls, messageId }) {
+  if (!signature) return false;
+
+  const tokens = [];
+  if (messageId) {
+    const invite = await SurveyInvite.findOne({
+      $or: [{ "delivery.messageId": messageId }, { "reminders.messageId": messageId }],
+    }).select("tenant");
+    if (invite) {
+      const setting = await WhatsAppSetting.findOne({ tenant: invite.tenant, provider: "twilio" });
+      if (setting?.twilio?.authToken) tokens.push(setting.twilio.authToken);
+    }
+  }
+
+  for (const key of ["TWILIO_AUTH_TOKEN", "SMS_PROVIDER_AUTH_TOKEN"]) {
+    try {
+      tokens.push(await configService.getConfig(key, { sensitive: true }));
+    } catch {
+      // Not configured for this deployment
+    }
+  }
+
+  return tokens.some(token =>
+    urls.filter(Boolean).some(url => twilio.validateRequest(token, signature, url, params))
+  );
+}
+
+// ============================================
+// META (WhatsApp Cloud API)
+// ============================================
+
+/**
+ * Parse status entries from a Meta webhook payload.
+ * Incoming-message notifications are ignored.
+ */
+function parseMetaStatuses(body = {}) {
+  const updates = [];
+
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      for (const s of change.value?.statuses || []) {
+        const status = META_STATUS_MAP[s.status];
+        if (!s.id || !status) continue;
+
+        const error = s.errors?.[0];
+        updates.push({
+          provider: "meta",
+          channel: "whatsapp",
+          messageId: s.id,
+          status,
+          providerStatus: s.status,
+          errorCode: error?.code,
+          errorMessage: error ? (error.error_data?.details || error.message || error.title) : undefined,
+          at: s.timestamp ? new Date(Number(s.timestamp) * 1000) : new Date(),
+        });
+      }
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Verify X-Hub-Signature-256 (HMAC-SHA256 of the raw body with the app secret)
+ */
+async function verifyMetaSignature(rawBody, signatureHeader) {
+  if (!rawBody || !signatureHeader || !signatureHeader.startsWith("sha256=")) return false;
+
+  const appSecret = await configService.getConfig("META_WHATSAPP_APP_SECRET", { sensitive: true });
+  const expected = crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex");
+  const received = signatureHeader.slice("sha256=".length);
+
+  return expected.length === received.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+/**
+ * Meta webhook subscription handshake (GET ?hub.mode=subscribe&hub.verify_token=..&hub.challenge=..)
+ * Returns the challenge to echo back, or null when the token doesn't match.
+ */
+async function verifyMetaSubscription(query = {}) {
+  if (query["hub.mode"] !== "subscribe") return null;
+
+  const verifyToken = await configService.getConfig("META_WHATSAPP_VERIFY_TOKEN", { sensitive: true });
+  return query["hub.verify_token"] === verifyToken ? query["hub.challenge"] : null;
+}
+
+// ============================================
+// STATS
+// ============================================
+
+/**
+ * Invite delivery counts for a survey, overall and per channel.
+ * "delivered" includes invites that were later read; "respondedAfterReminder"
+ * counts responses that came in after at least one reminder.
+ */
+async function getDeliveryStats(surveyId) {
+  const rows = await SurveyInvite.aggregate([
+    { $match: { survey: new mongoose.Types.ObjectId(surveyId) } },
+    {
+      $group: {
+        _id: { $ifNull: ["$delivery.channel", "email"] },
+        invited: { $sum: 1 },
+        queued: { $sum: { $cond: [{ $eq: ["$delivery.status", "queued"] }, 1, 0] } },
+        sent: { $sum: { $cond: [{ $eq: ["$delivery.status", "sent"] }, 1, 0] } },
+        delivered: { $sum: { $cond: [{ $in: ["$delivery.status", ["delivered", "read"]] }, 1, 0] } },
+        read: { $sum: { $cond: [{ $eq: ["$delivery.status", "read"] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ["$delivery.status", "failed"] }, 1, 0] } },
+        bounced: { $sum: { $cond: [{ $eq: ["$delivery.bounced", true] }, 1, 0] } },
+        responded: { $sum: { $cond: [{ $eq: ["$status", "responded"] }, 1, 0] } },
+        reminded: { $sum: { $cond: [{ $gt: ["$reminderCount", 0] }, 1, 0] } },
+        remindersSent: { $sum: { $ifNull: ["$reminderCount", 0] } },
+        respondedAfterReminder: { $sum: { $cond: [{ $gt: ["$respondedAfterReminder", 0] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const empty = {
+    invited: 0, queued: 0, sent: 0, delivered: 0, read: 0, failed: 0, bounced: 0, responded: 0,
+    reminded: 0, remindersSent: 0, respondedAfterReminder: 0,
+  };
+  const totals = { ...empty };
+  const byChannel = {};
+
+  rows.forEach(({ _id, ...counts }) => {
+    byChannel[_id] = counts;
+    Object.keys(empty).forEach(k => { totals[k] += counts[k]; });
+  });
+
+  return { ...totals, byChannel };
+}
+
+module.exports = {
+  getStatusCallbackUrl,
+  recordDeliveryStatus,
+  applyStatusUpdate,
+  parseTwilioStatus,
+  verifyTwilioSignature,
+  parseMetaStatuses,
+  verifyMetaSignature,
+  verifyMetaSubscription,
+  getDeliveryStats,
+};
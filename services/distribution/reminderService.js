@@ -0,0 +1,287 @@
+// services/distribution/reminderService.js
+//
+// Follow-up reminders for unanswered survey invites.
+// Each survey carries its own policy (survey.reminders), e.g. afterDays [3, 7] with
+// maxReminders 2: remind 3 and 7 days after the invite was sent, stopping once the
+// recipient responds or the invite expires. Reminders go out over the invite's
+// original channel, count against the tenant's email / SMS usage limits, and are
+// recorded on SurveyInvite.reminders so analytics can credit them.
+
+const Survey = require("../../models/Survey");
+const SurveyInvite = require("../../models/SurveyInvite");
+const Tenant = require("../../models/Tenant");
+const sendEmail = require("../../utils/sendEmail");
+const usageLimitsService = require("../subscription/usageLimitsService");
+const { getInviteLink, renderInviteMessage } = require("./createSurveyInvitesService");
+const { deliverSMS } = require("./smsService");
+const { deliverWhatsApp, getTenantWhatsAppConfig } = require("./whatsappService");
+const Logger = require("../../utils/auditLog");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500; // invites per survey per run
+
+// WhatsApp messages are billed against the SMS allowance
+const CHANNEL_LIMITS = {
+  email: "email_monthly_limit",
+  sms: "sms_monthly_limit",
+  whatsapp: "sms_monthly_limit",
+};
+
+const DEFAULT_MESSAGE = "Reminder: we'd still love your feedback on {{surveyTitle}}. {{surveyLink}}";
+
+/**
+ * Normalise a reminder policy: sorted unique offsets, capped by maxReminders
+ */
+function normalizePolicy(policy = {}) {
+  const afterDays = [...new Set((policy.afterDays || []).map(Number))]
+    .filter(d => d > 0)
+    .sort((a, b) => a - b);
+  const maxReminders = Math.min(policy.maxReminders ?? afterDays.length, afterDays.length);
+
+  return {
+    enabled: Boolean(policy.enabled) && maxReminders > 0,
+    afterDays,
+    maxReminders,
+    messageTemplate: policy.messageTemplate,
+  };
+}
+
+/**
+ * When the invite's next reminder is due, or null when no more are allowed
+ */
+function getNextReminderAt(invite, policy, now = new Date()) {
+  const { enabled, afterDays, maxReminders } = normalizePolicy(policy);
+  const sent = invite.reminderCount || 0;
+
+  if (!enabled || sent >= maxReminders) return null;
+  if (invite.status === "responded") return null;
+  if (invite.expiresAt && invite.expiresAt <= now) return null;
+  if (invite.delivery?.bounced) return null;
+
+  const dueAt = new Date(new Date(invite.createdAt).getTime() + afterDays[sent] * DAY_MS);
+  return invite.expiresAt && dueAt >= invite.expiresAt ? null : dueAt;
+}
+
+/**
+ * Query clauses matching invites whose next reminder is due: reminder n + 1
+ * is due afterDays[n] days after the invite was created
+ */
+function getDueFilters(policy, now = new Date()) {
+  return policy.afterDays.slice(0, policy.maxReminders).map((days, sent) => ({
+    // invites created before reminders existed have no reminderCount
+    reminderCount: sent === 0 ? { $in: [0, null] } : sent,
+    createdAt: { $lte: new Date(now.getTime() - days * DAY_MS) },
+  }));
+}
+
+/**
+ * Channel the invite was originally sent over
+ */
+function getInviteChannel(invite) {
+  return invite.delivery?.channel || "email";
+}
+
+async function sendEmailReminder({ invite, survey, tenant, number }) {
+  const to = invite.contact?.email || invite.user?.email;
+  if (!to) throw new Error("Invite has no email address");
+
+  const surveyLink = getInviteLink(invite);
+  const recipientName = invite.contact?.name || invite.user?.name || "Participant";
+
+  // sendEmail is fire-and-forget: provider failures are logged, not reported here
+  await sendEmail({
+    to,
+    subject: `Reminder: "${survey.title}"`,
+    html: `<p>Hi ${recipientName},</p><p>This is a friendly reminder to complete "${survey.title}".</p><p><a href="${surveyLink}">Take the survey</a></p>`,
+    templateType: "survey_reminder",
+    templateData: {
+      recipientName,
+      surveyTitle: survey.title,
+      surveyDescription: survey.description || "",
+      surveyLink,
+      reminderNumber: number,
+      companyName: tenant?.name || "RatePro",
+      companyLogo: tenant?.logoUrl || "",
+      currentYear: new Date().getFullYear(),
+    },
+    tenantId: survey.tenant,
+    language: survey.language,
+  });
+
+  return { status: "sent" };
+}
+
+/**
+ * Send a single reminder. The invite is claimed first (reminderCount must still
+ * match) so overlapping runs never send the same reminder twice.
+ * @returns {Object} { success, skipped, channel, status, messageId, error }
+ */
+async function sendReminder({ invite, survey, tenant, whatsappConfig, now = new Date() }) {
+  const channel = getInviteChannel(invite);
+  const number = (invite.reminderCount || 0) + 1;
+
+  const claim = await SurveyInvite.updateOne(
+    {
+      _id: invite._id,
+      // invites created before reminders existed have no reminderCount
+      reminderCount: invite.reminderCount ? invite.reminderCount : { $in: [0, null] },
+      status: { $ne: "responded" },
+    },
+    {
+      $inc: { reminderCount: 1 },
+      $set: { lastReminderAt: now },
+      $push: { reminders: { number, channel, sentAt: now, status: "queued" } },
+    }
+  );
+  if (!claim.modifiedCount) return { success: false, skipped: true, channel };
+
+  const policy = normalizePolicy(survey.reminders);
+  let result;
+
+  try {
+    if (channel === "email") {
+      result = await sendEmailReminder({ invite, survey, tenant, number });
+    } else {
+      const body = renderInviteMessage({
+        invite,
+        survey,
+        messageTemplate: policy.messageTemplate || DEFAULT_MESSAGE,
+      });
+      result = channel === "sms"
+        ? await deliverSMS({ to: invite.contact.phone, body })
+        : await deliverWhatsApp({ to: invite.contact.phone, body, config: whatsappConfig });
+    }
+  } catch (err) {
+    await SurveyInvite.updateOne(
+      { _id: invite._id, "reminders.number": number },
+      { $set: { "reminders.$.status": "failed", "reminders.$.error": err.message } }
+    );
+    return { success: false, channel, status: "failed", error: err.message };
+  }
+
+  await SurveyInvite.updateOne(
+    { _id: invite._id, "reminders.number": number },
+    { $set: { "reminders.$.status": result.status, "reminders.$.messageId": result.messageId } }
+  );
+
+  return { success: true, channel, status: result.status, messageId: result.messageId };
+}
+
+/**
+ * Send all reminders that are due, across every survey with an enabled policy.
+ * Stops sending for a tenant/channel once its monthly limit is reached.
+ * @returns {Object} { surveys, sent, failed, skipped, limited }
+ */
+async function processDueReminders(now = new Date()) {
+  const summary = { surveys: 0, sent: 0, failed: 0, skipped: 0, limited: 0 };
+
+  const surveys = await Survey.find({
+    status: "active",
+    deleted: false,
+    "reminders.enabled": true,
+  }).select("title description tenant language reminders");
+
+  // "<tenantId>:<limitCode>" pairs that hit their limit during this run
+  const exhausted = new Set();
+
+  for (const survey of surveys) {
+    const policy = normalizePolicy(survey.reminders);
+    if (!policy.enabled) continue;
+    summary.surveys++;
+
+    // Only invites whose next reminder is due, oldest first, so invites waiting
+    // for a later reminder never fill the batch ahead of due ones
+    const invites = await SurveyInvite.find({
+      survey: survey._id,
+      status: { $ne: "responded" },
+      expiresAt: { $gt: now },
+      "delivery.bounced": { $ne: true },
+      $or: getDueFilters(policy, now),
+    })
+      .sort({ createdAt: 1 })
+      .populate("user", "name email")
+      .limit(BATCH_SIZE);
+
+    const due = invites.filter(invite => {
+      const dueAt = getNextReminderAt(invite, policy, now);
+      return dueAt && dueAt <= now;
+    });
+    if (!due.length) continue;
+
+    const tenant = await Tenant.findById(survey.tenant).select("name logoUrl");
+    const whatsappConfig = due.some(i => getInviteChannel(i) === "whatsapp")
+      ? await getTenantWhatsAppConfig(survey.tenant)
+      : null;
+
+    for (const invite of due) {
+      const limitCode = CHANNEL_LIMITS[getInviteChannel(invite)];
+      const limitKey = `${survey.tenant}:${limitCode}`;
+
+      if (exhausted.has(limitKey)) {
+        summary.limited++;
+        continue;
+      }
+
+      const check = await usageLimitsService.canPerformAction(survey.tenant, limitCode);
+      if (!check.allowed) {
+        exhausted.add(limitKey);
+        summary.limited++;
+        Logger.warn("processDueReminders", "Reminder sending paused: usage limit reached", {
+          context: { tenantId: survey.tenant, surveyId: survey._id, limitCode, reason: check.message }
+        });
+        continue;
+      }
+
+      const result = await sendReminder({ invite, survey, tenant, whatsappConfig, now });
+      if (result.skipped) {
+        summary.skipped++;
+      } else if (result.success) {
+        summary.sent++;
+        await usageLimitsService.incrementUsage(survey.tenant, limitCode);
+      } else {
+        summary.failed++;
+      }
+    }
+  }
+
+  if (summary.sent || summary.failed || summary.limited) {
+    Logger.info("processDueReminders", `Sent ${summary.sent} survey reminders`, {
+      context: summary
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Reminder policy and progress for one survey
+ */
+async function getReminderSummary(surveyId) {
+  const [stats] = await SurveyInvite.aggregate([
+    { $match: { survey: surveyId } },
+    {
+      $group: {
+        _id: null,
+        pending: {
+          $sum: {
+            $cond: [{ $and: [{ $ne: ["$status", "responded"] }, { $gt: ["$expiresAt", new Date()] }] }, 1, 0]
+          }
+        },
+        reminded: { $sum: { $cond: [{ $gt: ["$reminderCount", 0] }, 1, 0] } },
+        remindersSent: { $sum: { $ifNull: ["$reminderCount", 0] } },
+        respondedAfterReminder: { $sum: { $cond: [{ $gt: ["$respondedAfterReminder", 0] }, 1, 0] } },
+      },
+    },
+    { $project: { _id: 0 } },
+  ]);
+
+  return stats || { pending: 0, reminded: 0, remindersSent: 0, respondedAfterReminder: 0 };
+}
+
+module.exports = {
+  normalizePolicy,
+  getNextReminderAt,
+  sendReminder,
+  processDueReminders,
+  getReminderSummary,
+};
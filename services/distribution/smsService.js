@@ -0,0 +1,81 @@
+// services/distribution/smsService.js
+//
+// SMS survey invites (Twilio). Mirrors whatsappService: one tracked invite per
+// recipient, with the MessageSid stored for delivery status callbacks.
+
+const { sendSMS } = require("../../utils/sendSMS");
+const { findOrCreatePhoneInvite, renderInviteMessage } = require("./createSurveyInvitesService");
+const { getStatusCallbackUrl, recordDeliveryStatus } = require("./deliveryStatusService");
+
+/**
+ * Send one SMS with a delivery status callback
+ * @returns {Object} { provider, messageId, status, providerStatus }
+ */
+async function deliverSMS({ to, body }) {
+  const statusCallback = await getStatusCallbackUrl("sms");
+  const { sid, status: providerStatus } = await sendSMS({ to, body, statusCallback });
+
+  return {
+    provider: "twilio",
+    messageId: sid,
+    status: providerStatus === "sent" ? "sent" : "queued",
+    providerStatus,
+  };
+}
+
+/**
+ * Send one invite over SMS and record the initial delivery status
+ * @returns {Object} { success, messageId, status, error }
+ */
+async function sendInviteSMS({ invite, body }) {
+  try {
+    const { provider, messageId, status, providerStatus } = await deliverSMS({ to: invite.contact.phone, body });
+
+    await recordDeliveryStatus(invite, { channel: "sms", provider, messageId, status, providerStatus });
+
+    return { success: true, messageId, status };
+  } catch (err) {
+    await recordDeliveryStatus(invite, {
+      channel: "sms",
+      provider: "twilio",
+      status: "failed",
+      providerStatus: "failed",
+      errorCode: err.code,
+      errorMessage: err.message,
+    });
+
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Send a survey to phone numbers over SMS, one tracked invite per number
+ * @param {Object} options
+ * @param {Object} options.survey - Survey document
+ * @param {string} options.tenantId
+ * @param {string[]} options.phones - E.164 phone numbers
+ * @param {string} [options.messageTemplate] - Supports {{surveyLink}} / {{surveyTitle}} / {{recipientName}}
+ */
+async function sendSurveySMSInvites({ survey, tenantId, phones, messageTemplate }) {
+  const results = [];
+
+  for (const to of phones) {
+    const invite = await findOrCreatePhoneInvite({ surveyId: survey._id, tenantId, phone: to });
+    if (!invite) {
+      results.push({ to, success: false, skipped: true, error: "Already responded" });
+      continue;
+    }
+
+    const body = renderInviteMessage({ invite, survey, messageTemplate });
+    const result = await sendInviteSMS({ invite, body });
+    results.push({ to, inviteId: invite._id, ...result });
+  }
+
+  return results;
+}
+
+module.exports = {
+  deliverSMS,
+  sendInviteSMS,
+  sendSurveySMSInvites,
+};
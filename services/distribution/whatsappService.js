@@ -0,0 +1,113 @@
+// services/distribution/whatsappService.js
+//
+// WhatsApp survey invites. Each recipient gets a personal invite link and the
+// provider message id is stored on the invite, so delivery webhooks can update it.
+
+const WhatsAppSetting = require("../../models/WhatsAppSetting");
+const sendWhatsApp = require("../../utils/sendWhatsApp");
+const { findOrCreatePhoneInvite, renderInviteMessage } = require("./createSurveyInvitesService");
+const { getStatusCallbackUrl, recordDeliveryStatus } = require("./deliveryStatusService");
+
+/**
+ * Active tenant-level WhatsApp config, or null to use the platform account
+ */
+async function getTenantWhatsAppConfig(tenantId) {
+  const setting = await WhatsAppSetting.findOne({ tenant: tenantId, isActive: true });
+  return setting ? {
+    provider: setting.provider,
+    twilio: setting.twilio,
+    meta: setting.meta,
+  } : null;
+}
+
+/**
+ * Send one WhatsApp message and normalise the provider response
+ * @returns {Object} { provider, messageId, status, providerStatus }
+ * @throws {Error} with `code` set to the provider error code
+ */
+async function deliverWhatsApp({ to, body, config = null }) {
+  const provider = (config && config.provider) || process.env.WHATSAPP_PROVIDER || "twilio";
+
+  try {
+    const statusCallback = provider === "twilio" ? await getStatusCallbackUrl("whatsapp") : null;
+    const resp = await sendWhatsApp({ to, body, config, statusCallback });
+
+    // Twilio returns the created messages, Meta the Graph API response
+    const message = provider === "twilio" ? resp?.[0] : resp?.messages?.[0];
+    return {
+      provider,
+      messageId: provider === "twilio" ? message?.sid : message?.id,
+      status: provider === "twilio" && message?.status === "sent" ? "sent" : "queued",
+      providerStatus: message?.status || message?.message_status,
+    };
+  } catch (err) {
+    const providerError = err.response?.data?.error; // Meta Graph API error
+    const error = new Error(providerError?.message || err.message);
+    error.code = providerError?.code ?? err.code;
+    error.provider = provider;
+    throw error;
+  }
+}
+
+/**
+ * Send one invite over WhatsApp and record the initial delivery status
+ * @returns {Object} { success, messageId, status, error }
+ */
+async function sendInviteWhatsApp({ invite, body, config = null }) {
+  try {
+    const { provider, messageId, status, providerStatus } = await deliverWhatsApp({
+      to: invite.contact.phone,
+      body,
+      config,
+    });
+
+    await recordDeliveryStatus(invite, { channel: "whatsapp", provider, messageId, status, providerStatus });
+
+    return { success: true, messageId, status };
+  } catch (err) {
+    await recordDeliveryStatus(invite, {
+      channel: "whatsapp",
+      provider: err.provider,
+      status: "failed",
+      providerStatus: "failed",
+      errorCode: err.code,
+      errorMessage: err.message,
+    });
+
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Send a survey to phone numbers over WhatsApp, one tracked invite per number
+ * @param {Object} options
+ * @param {Object} options.survey - Survey document
+ * @param {string} options.tenantId
+ * @param {string[]} options.phones - E.164 phone numbers
+ * @param {string} [options.messageTemplate] - Supports {{surveyLink}} / {{surveyTitle}} / {{recipientName}}
+ */
+async function sendSurveyWhatsAppInvites({ survey, tenantId, phones, messageTemplate }) {
+  const config = await getTenantWhatsAppConfig(tenantId);
+  const results = [];
+
+  for (const to of phones) {
+    const invite = await findOrCreatePhoneInvite({ surveyId: survey._id, tenantId, phone: to });
+    if (!invite) {
+      results.push({ to, success: false, skipped: true, error: "Already responded" });
+      continue;
+    }
+
+    const body = renderInviteMessage({ invite, survey, messageTemplate });
+    const result = await sendInviteWhatsApp({ invite, body, config });
+    results.push({ to, inviteId: invite._id, ...result });
+  }
+
+  return results;
+}
+
+module.exports = {
+  getTenantWhatsAppConfig,
+  deliverWhatsApp,
+  sendInviteWhatsApp,
+  sendSurveyWhatsAppInvites,
+};
@@ -0,0 +1,221 @@
+// services/email/emailTemplateService.js
+//
+// Tenant overrides of system email templates.
+// An override is an EmailTemplate with `tenant` + `baseTemplate` set and the same
+// `type` as the system template, so sendEmail picks it up for that tenant.
+// Every save is snapshotted in EmailTemplateVersion; rollback restores a
+// snapshot as a new version.
+
+const EmailTemplate = require("../../models/EmailTemplate");
+const EmailTemplateVersion = require("../../models/EmailTemplateVersion");
+const {
+  SUPPORTED_LANGUAGES,
+  extractTemplateVariables,
+  fillTemplate,
+  selectContent,
+} = require("../../utils/renderEmailTemplate");
+
+// Sample values for variables used across the system templates
+const SAMPLE_DATA = {
+  userName: "Sara Ahmed",
+  recipientName: "Sara Ahmed",
+  companyName: "Acme Corp",
+  companyLogo: "",
+  currentYear: String(new Date().getFullYear()),
+  notificationSubject: "Sample notification",
+  notificationTitle: "Sample notification",
+  notificationMessage: "This is a sample notification message.",
+  surveyTitle: "Customer Satisfaction Survey",
+  surveyDescription: "Tell us about your recent experience.",
+  surveyLink: "https://example.com/survey/respond?token=sample",
+  reminderNumber: "1",
+  verificationLink: "https://example.com/verify-email?code=123456",
+  otpCode: "123456",
+  otpExpiryMinutes: "10",
+  actionUrl: "https://example.com/actions",
+};
+
+const getSystemTemplate = async (templateId) => {
+  const template = await EmailTemplate.findOne({ _id: templateId, tenant: null });
+  if (!template) throw { status: 404, message: "Template not found" };
+  return template;
+};
+
+/**
+ * Reject variables the system template doesn't provide — senders only fill
+ * the base template's `variables`, anything else would render empty.
+ */
+const validateVariables = (systemTemplate, { subject, body, translations }) => {
+  const used = extractTemplateVariables(
+    subject,
+    body,
+    ...SUPPORTED_LANGUAGES.flatMap(lang => [translations?.[lang]?.subject, translations?.[lang]?.body])
+  );
+  const allowed = new Set(systemTemplate.variables || []);
+  const unknown = used.filter(v => !allowed.has(v));
+
+  if (unknown.length) {
+    throw {
+      status: 400,
+      message: `Unknown template variables: ${unknown.join(", ")}`,
+      errors: unknown.map(variable => ({ variable, allowed: systemTemplate.variables })),
+    };
+  }
+  return used;
+};
+
+const snapshot = (override, { userId, note, restoredFrom = null }) =>
+  EmailTemplateVersion.create({
+    template: override._id,
+    tenant: override.tenant,
+    version: override.version,
+    subject: override.subject,
+    body: override.body,
+    translations: override.translations,
+    variables: override.variables,
+    note,
+    restoredFrom,
+    createdBy: userId,
+  });
+
+/**
+ * System templates with the tenant's override (if any) attached
+ */
+exports.listTemplatesForTenant = async (tenantId) => {
+  const [systemTemplates, overrides] = await Promise.all([
+    EmailTemplate.find({ tenant: null }).sort({ createdAt: -1 }).lean(),
+    EmailTemplate.find({ tenant: tenantId }).lean(),
+  ]);
+
+  const overrideByBase = new Map(overrides.map(o => [String(o.baseTemplate), o]));
+  return systemTemplates.map(t => ({ ...t, override: overrideByBase.get(String(t._id)) || null }));
+};
+
+exports.getOverride = async ({ templateId, tenantId }) => {
+  const systemTemplate = await getSystemTemplate(templateId);
+  const override = await EmailTemplate.findOne({ tenant: tenantId, baseTemplate: systemTemplate._id });
+  return { systemTemplate, override };
+};
+
+/**
+ * Create or update the tenant's override; each save becomes a new version
+ * @param {Object} data - { subject, body, translations: { ar: { subject, body } }, description, isActive, note }
+ */
+exports.saveOverride = async ({ templateId, tenantId, userId, data }) => {
+  const { systemTemplate, override: existing } = await exports.getOverride({ templateId, tenantId });
+
+  const content = {
+    subject: data.subject ?? existing?.subject ?? systemTemplate.subject,
+    body: data.body ?? existing?.body ?? systemTemplate.body,
+    translations: data.translations ?? existing?.translations ?? systemTemplate.translations,
+  };
+  const variables = validateVariables(systemTemplate, content);
+
+  const override = existing || new EmailTemplate({
+    tenant: tenantId,
+    baseTemplate: systemTemplate._id,
+    name: systemTemplate.name,
+    type: systemTemplate.type,
+    version: 0,
+  });
+
+  override.set({
+    ...content,
+    variables,
+    description: data.description ?? override.description ?? systemTemplate.description,
+    isActive: data.isActive ?? override.isActive ?? true,
+    version: override.version + 1,
+    updatedBy: userId,
+  });
+  await override.save();
+  await snapshot(override, { userId, note: data.note });
+
+  return override;
+};
+
+/**
+ * Drop the override; the tenant goes back to the system template
+ */
+exports.deleteOverride = async ({ templateId, tenantId }) => {
+  const { override } = await exports.getOverride({ templateId, tenantId });
+  if (!override) throw { status: 404, message: "No override for this template" };
+
+  await EmailTemplateVersion.deleteMany({ template: override._id });
+  await override.deleteOne();
+};
+
+exports.listVersions = async ({ templateId, tenantId }) => {
+  const { override } = await exports.getOverride({ templateId, tenantId });
+  if (!override) return { currentVersion: null, versions: [] };
+
+  const versions = await EmailTemplateVersion.find({ template: override._id })
+    .sort({ version: -1 })
+    .populate("createdBy", "name email")
+    .lean();
+
+  return { currentVersion: override.version, versions };
+};
+
+/**
+ * Restore an earlier version's content as a new version
+ */
+exports.rollbackOverride = async ({ templateId, tenantId, userId, version }) => {
+  const { systemTemplate, override } = await exports.getOverride({ templateId, tenantId });
+  if (!override) throw { status: 404, message: "No override for this template" };
+
+  const target = await EmailTemplateVersion.findOne({ template: override._id, version });
+  if (!target) throw { status: 404, message: `Version ${version} not found` };
+
+  // The system template's variables may have changed since the snapshot
+  validateVariables(systemTemplate, target);
+
+  override.set({
+    subject: target.subject,
+    body: target.body,
+    translations: target.translations,
+    variables: target.variables,
+    version: override.version + 1,
+    updatedBy: userId,
+  });
+  await override.save();
+  await snapshot(override, { userId, note: `Rolled back to version ${version}`, restoredFrom: version });
+
+  return override;
+};
+
+/**
+ * Render a template with sample data.
+ * Previews the tenant's effective template, or unsaved draft content when
+ * subject/body/translations are passed (validated like a save).
+ * @param {Object} options
+ * @param {string} [options.language] - en | ar
+ * @param {Object} [options.sampleData] - Overrides for the generated sample values
+ * @param {Object} [options.draft] - { subject, body, translations }
+ */
+exports.previewTemplate = async ({ templateId, tenantId, language = "en", sampleData = {}, draft = null }) => {
+  const { systemTemplate, override } = await exports.getOverride({ templateId, tenantId });
+
+  let templates = [override, systemTemplate].filter(t => t && t.isActive !== false);
+  if (draft) {
+    validateVariables(systemTemplate, draft);
+    templates = [{ ...(override || systemTemplate).toObject(), ...draft }, systemTemplate];
+  }
+  if (!templates.length) templates = [systemTemplate];
+
+  const templateData = {};
+  (systemTemplate.variables || []).forEach(v => {
+    templateData[v] = SAMPLE_DATA[v] ?? `[${v}]`;
+  });
+  Object.assign(templateData, sampleData);
+
+  const content = selectContent(templates, language);
+
+  return {
+    source: draft ? "draft" : (templates[0] === override ? "override" : "system"),
+    language: content.language,
+    version: draft ? null : templates[0].version,
+    subject: fillTemplate(content.subject, templateData),
+    html: fillTemplate(content.body, templateData),
+    sampleData: templateData,
+  };
+};
@@ -37,6 +37,8 @@ const sendSurveyInvites = async ({ survey, invites, tenant }) => { // ✅ Added
             subject: `You're invited to participate in "${survey.title}"`,
             templateType: "survey_invite",
             templateData,
+            tenantId: survey.tenant,
+            language: survey.language,
         });
 
         console.log(`✅ [sendSurveyInvites] Email sent: ${invite.contact.email}`);
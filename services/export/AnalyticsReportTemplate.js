@@ -54,6 +54,11 @@ class AnalyticsReportTemplate extends BasePDFTemplate {
             this.addTrendSection();
         }
 
+        // Question drop-off funnel
+        if (this.analytics.funnel) {
+            this.addFunnelSection();
+        }
+
         return this;
     }
 
@@ -214,6 +219,46 @@ class AnalyticsReportTemplate extends BasePDFTemplate {
         return this;
     }
 
+    /**
+     * Question Drop-off Funnel Section
+     */
+    addFunnelSection() {
+        const funnel = this.analytics.funnel;
+        const summary = funnel.summary || {};
+
+        this.addSectionTitle('Question Drop-off Funnel');
+
+        this.addDataRow('Started', summary.starts || 0);
+        this.addDataRow('Completed', `${summary.completes || 0} (${summary.completionRate || 0}%)`);
+        this.addDataRow('In Progress', summary.inProgress || 0);
+        this.addDataRow('Abandoned', summary.abandoned || 0);
+
+        this.addSpace(0.5);
+
+        this.addTable(
+            ['#', 'Question', 'Views', 'Answers', 'Skip %', 'Drop-off %', 'Median Time'],
+            (funnel.questions || []).map(q => [
+                q.position,
+                (q.questionText || q.questionId).substring(0, 40),
+                q.views,
+                q.answers,
+                `${q.skipRate}%`,
+                `${q.abandonmentRate}%`,
+                q.medianTimeMs !== null ? `${Math.round(q.medianTimeMs / 1000)}s` : 'N/A',
+            ])
+        );
+
+        if (funnel.byDevice?.length) {
+            this.addSectionTitle('Completion by Device', { fontSize: 12 });
+            this.addTable(
+                ['Device', 'Started', 'Completed', 'Completion %'],
+                funnel.byDevice.map(d => [d.device, d.starts, d.completes, `${d.completionRate}%`])
+            );
+        }
+
+        return this;
+    }
+
     /**
      * Get NPS color based on score
      */
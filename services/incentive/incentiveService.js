@@ -0,0 +1,380 @@
+// services/incentive/incentiveService.js
+// ============================================================================
+// Incentive Service - Rules-based reward engine (feature: "incentives")
+// Rules are evaluated after each submitted response; matches are written to
+// the per-contact points ledger and may issue a voucher code.
+// ============================================================================
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const IncentiveRule = require("../../models/IncentiveRule");
+const RewardLedger = require("../../models/RewardLedger");
+const Voucher = require("../../models/Voucher");
+const Contact = require("../../models/ContactManagement");
+const SurveyResponse = require("../../models/SurveyResponse");
+const featureFlagManager = require("../subscription/featureFlagManager");
+const Logger = require("../../utils/logger");
+
+const FEATURE_CODE = "incentives";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trigger matchers. `history.responseCount` includes the current response.
+ */
+const TRIGGERS = {
+    survey_completion: () => true,
+    nps_promoter: ({ rule, metrics }) =>
+        metrics.npsScore !== null && metrics.npsScore >= rule.conditions.minNps,
+    high_rating: ({ rule, metrics }) =>
+        metrics.rating !== null && metrics.rating >= rule.conditions.minRating,
+    detailed_feedback: ({ rule, response, insight }) =>
+        (response.review?.length || 0) >= rule.conditions.minReviewLength ||
+        insight?.keywords?.length >= 5 ||
+        insight?.themes?.length >= 3,
+    first_response: ({ history }) => history.responseCount === 1,
+    response_streak: ({ rule, history }) =>
+        history.responseCount > 0 && history.responseCount % rule.conditions.streakLength === 0
+};
+
+function appliesToSurvey(rule, surveyId) {
+    const surveys = rule.conditions?.surveys || [];
+    return !surveys.length || surveys.some(id => id.toString() === surveyId.toString());
+}
+
+/**
+ * Voucher code like "RP-9F3A1C7E"
+ */
+function generateVoucherCode(prefix = "RP") {
+    return `${prefix}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+}
+
+async function issueVoucher({ rule, tenantId, contactId }) {
+    const { voucher } = rule.reward;
+
+    // Retry on the (unlikely) code collision
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            return await Voucher.create({
+                tenant: tenantId,
+                contact: contactId,
+                rule: rule._id,
+                code: generateVoucherCode(voucher.prefix),
+                value: voucher.value,
+                valueType: voucher.valueType,
+                currency: voucher.currency,
+                expiresAt: new Date(Date.now() + voucher.validDays * DAY_MS)
+            });
+        } catch (err) {
+            if (err.code !== 11000 || attempt === 2) throw err;
+        }
+    }
+}
+
+// ============================================================================
+// Reward engine
+// ============================================================================
+
+/**
+ * Evaluate the tenant's active rules for a response
+ * @returns {Promise<Array>} matching rules
+ */
+async function evaluateRules({ response, survey, tenantId, insight = {}, metrics }) {
+    const rules = await IncentiveRule.find({ tenant: tenantId, isActive: true });
+    const candidates = rules.filter(rule => appliesToSurvey(rule, survey._id));
+    if (!candidates.length) return [];
+
+    const history = { responseCount: 0 };
+    if (candidates.some(r => ["first_response", "response_streak"].includes(r.trigger))) {
+        history.responseCount = await SurveyResponse.countDocuments({
+            tenant: tenantId,
+            contact: response.contact,
+            status: "submitted"
+        });
+    }
+
+    return candidates.filter(rule => TRIGGERS[rule.trigger]?.({ rule, response, insight, metrics, history }));
+}
+
+/**
+ * Award rewards for a submitted response.
+ * Skipped when the tenant lacks the incentives feature or the response
+ * isn't linked to a contact (anonymous / internal user responses).
+ * @returns {Promise<Object>} { eligible, rewards: [code], skipped? }
+ */
+async function processResponseRewards({ response, survey, tenantId, insight, metrics }) {
+    if (!(await featureFlagManager.hasFeature(tenantId, FEATURE_CODE))) {
+        return { eligible: false, rewards: [], skipped: "feature_disabled" };
+    }
+    if (!response.contact || response.isAnonymous) {
+        return { eligible: false, rewards: [], skipped: "no_contact" };
+    }
+
+    const rules = await evaluateRules({ response, survey, tenantId, insight, metrics });
+    const rewards = [];
+
+    for (const rule of rules) {
+        if (rule.maxPerContact) {
+            const awarded = await RewardLedger.countDocuments({
+                tenant: tenantId,
+                contact: response.contact,
+                rule: rule._id,
+                status: "active"
+            });
+            if (awarded >= rule.maxPerContact) continue;
+        }
+
+        let entry;
+        try {
+            entry = await RewardLedger.create({
+                tenant: tenantId,
+                contact: response.contact,
+                rule: rule._id,
+                code: rule.code,
+                points: rule.reward.points || 0,
+                survey: survey._id,
+                response: response._id
+            });
+        } catch (err) {
+            // Already awarded for this response (job retry)
+            if (err.code === 11000) continue;
+            throw err;
+        }
+
+        if (rule.reward.voucher?.enabled) {
+            const voucher = await issueVoucher({ rule, tenantId, contactId: response.contact });
+            entry.voucher = voucher._id;
+            await entry.save();
+        }
+
+        rewards.push(rule.code);
+    }
+
+    if (rewards.length > 0) {
+        Logger.info("incentive", "Rewards awarded", {
+            context: {
+                responseId: response._id,
+                contactId: response.contact,
+                tenantId,
+                rewards
+            }
+        });
+    }
+
+    return { eligible: rewards.length > 0, rewards };
+}
+
+// ============================================================================
+// Rules
+// ============================================================================
+
+async function listRules(tenantId) {
+    return IncentiveRule.find({ tenant: tenantId }).sort({ createdAt: -1 });
+}
+
+async function createRule({ tenantId, userId, data }) {
+    const exists = await IncentiveRule.exists({ tenant: tenantId, code: data.code.toLowerCase() });
+    if (exists) {
+        throw { statusCode: 400, message: `A rule with code "${data.code}" already exists` };
+    }
+
+    return IncentiveRule.create({ ...data, tenant: tenantId, createdBy: userId });
+}
+
+async function updateRule({ tenantId, ruleId, data }) {
+    const rule = await IncentiveRule.findOne({ _id: ruleId, tenant: tenantId });
+    if (!rule) {
+        throw { statusCode: 404, message: "Incentive rule not found" };
+    }
+
+    if (data.code && data.code.toLowerCase() !== rule.code) {
+        const exists = await IncentiveRule.exists({ tenant: tenantId, code: data.code.toLowerCase() });
+        if (exists) {
+            throw { statusCode: 400, message: `A rule with code "${data.code}" already exists` };
+        }
+    }
+
+    rule.set(data);
+    await rule.save();
+    return rule;
+}
+
+/**
+ * Delete a rule. Rewards it already issued stay in the ledger.
+ */
+async function deleteRule({ tenantId, ruleId }) {
+    const rule = await IncentiveRule.findOneAndDelete({ _id: ruleId, tenant: tenantId });
+    if (!rule) {
+        throw { statusCode: 404, message: "Incentive rule not found" };
+    }
+    return rule;
+}
+
+// ============================================================================
+// Ledger
+// ============================================================================
+
+async function listRewards({ tenantId, contactId, status, code, page = 1, limit = 20 }) {
+    const filter = { tenant: tenantId };
+    if (contactId) filter.contact = contactId;
+    if (status) filter.status = status;
+    if (code) filter.code = code;
+
+    const [rewards, total] = await Promise.all([
+        RewardLedger.find(filter)
+            .populate("contact", "name email phone")
+            .populate("voucher", "code status expiresAt value valueType currency")
+            .populate("survey", "title")
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        RewardLedger.countDocuments(filter)
+    ]);
+
+    return {
+        rewards,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+}
+
+/**
+ * Revoke a reward: its points leave the balance and an unused voucher is voided
+ */
+async function revokeReward({ tenantId, rewardId, userId, reason }) {
+    const entry = await RewardLedger.findOne({ _id: rewardId, tenant: tenantId });
+    if (!entry) {
+        throw { statusCode: 404, message: "Reward not found" };
+    }
+    if (entry.status === "revoked") {
+        throw { statusCode: 400, message: "Reward is already revoked" };
+    }
+
+    entry.status = "revoked";
+    entry.revokedAt = new Date();
+    entry.revokedBy = userId;
+    entry.revokeReason = reason;
+    await entry.save();
+
+    if (entry.voucher) {
+        await Voucher.updateOne(
+            { _id: entry.voucher, status: "issued" },
+            { $set: { status: "revoked", revokedAt: new Date() } }
+        );
+    }
+
+    return entry;
+}
+
+/**
+ * Points balance and vouchers for one contact
+ */
+async function getContactRewards({ tenantId, contactId }) {
+    const contact = await Contact.findOne({ _id: contactId, tenantId }).select("name email phone");
+    if (!contact) {
+        throw { statusCode: 404, message: "Contact not found" };
+    }
+
+    const [totals] = await RewardLedger.aggregate([
+        {
+            $match: {
+                tenant: new mongoose.Types.ObjectId(tenantId),
+                contact: contact._id,
+                status: "active"
+            }
+        },
+        { $group: { _id: null, balance: { $sum: "$points" }, rewards: { $sum: 1 } } }
+    ]);
+
+    const vouchers = await Voucher.find({ tenant: tenantId, contact: contact._id }).sort({ createdAt: -1 });
+
+    return {
+        contact,
+        balance: totals?.balance || 0,
+        rewardCount: totals?.rewards || 0,
+        vouchers
+    };
+}
+
+// ============================================================================
+// Vouchers
+// ============================================================================
+
+async function listVouchers({ tenantId, contactId, status, page = 1, limit = 20 }) {
+    const filter = { tenant: tenantId };
+    if (contactId) filter.contact = contactId;
+    if (status) filter.status = status;
+
+    const [vouchers, total] = await Promise.all([
+        Voucher.find(filter)
+            .populate("contact", "name email phone")
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Voucher.countDocuments(filter)
+    ]);
+
+    return {
+        vouchers,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+}
+
+/**
+ * Mark a voucher code as used. The status change is a single conditional
+ * update, so concurrent requests can redeem a code only once.
+ */
+async function redeemVoucher({ tenantId, code, userId }) {
+    const now = new Date();
+    const normalizedCode = code.trim().toUpperCase();
+
+    const voucher = await Voucher.findOneAndUpdate(
+        { tenant: tenantId, code: normalizedCode, status: "issued", expiresAt: { $gt: now } },
+        { $set: { status: "redeemed", redeemedAt: now, redeemedBy: userId } },
+        { new: true }
+    );
+    if (voucher) return voucher;
+
+    // Not redeemable: report why
+    const existing = await Voucher.findOne({ tenant: tenantId, code: normalizedCode });
+    if (!existing) {
+        throw { statusCode: 404, message: "Voucher not found" };
+    }
+    if (existing.status === "issued" && existing.expiresAt <= now) {
+        await Voucher.updateOne({ _id: existing._id, status: "issued" }, { $set: { status: "expired" } });
+        existing.status = "expired";
+    }
+    throw { statusCode: 400, message: `Voucher is ${existing.status}` };
+}
+
+/**
+ * Mark issued vouchers past their expiry date as expired (daily cron)
+ */
+async function expireVouchers() {
+    const result = await Voucher.updateMany(
+        { status: "issued", expiresAt: { $lte: new Date() } },
+        { $set: { status: "expired" } }
+    );
+
+    if (result.modifiedCount > 0) {
+        Logger.info("expireVouchers", `Expired ${result.modifiedCount} vouchers`, {
+            context: { expiredCount: result.modifiedCount }
+        });
+    }
+
+    return result.modifiedCount;
+}
+
+module.exports = {
+    FEATURE_CODE,
+    evaluateRules,
+    processResponseRewards,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    listRewards,
+    revokeReward,
+    getContactRewards,
+    listVouchers,
+    redeemVoucher,
+    expireVouchers
+};
@@ -0,0 +1,314 @@
+// services/notifications/notificationDeliveryService.js
+// ============================================================================
+// Email / SMS delivery of notifications
+//
+// notificationService and utils/sendNotification plan each notification with
+// notificationPreferenceService.planDelivery() and hand the outbound part
+// here:
+//   "now"      → sent right away
+//   "digest"   → NotificationDelivery (mode digest), sent by sendDueDigests()
+//   "deferred" → NotificationDelivery (mode deferred) until quiet hours end,
+//                sent by processDeferredDeliveries()
+// Delivery failures are logged, never thrown to the caller.
+// ============================================================================
+
+const Notification = require("../../models/Notification");
+const NotificationDelivery = require("../../models/NotificationDelivery");
+const User = require("../../models/User");
+const sendEmail = require("../../utils/sendEmail");
+const { sendSMS } = require("../../utils/sendSMS");
+const getBaseURL = require("../../utils/getBaseURL");
+const Logger = require("../../utils/logger");
+const { planDelivery, isDigestDue, mergePreferences } = require("./notificationPreferenceService");
+
+// User fields needed to plan and send
+const RECIPIENT_FIELDS = "tenant name email phone notificationPreferences";
+
+const EVENT_LABELS = {
+  actionAssigned: "Assigned actions",
+  actionEscalated: "Escalations",
+  actionOverdue: "Overdue actions",
+  actionCompleted: "Completed actions",
+  actionMentions: "Mentions",
+  surveyResponses: "Survey responses",
+  systemAlerts: "Alerts",
+};
+
+const SMS_MAX_LENGTH = 320;
+const BATCH_SIZE = 500;
+
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const toAbsoluteUrl = (actionUrl) => {
+  if (!actionUrl) return getBaseURL().admin;
+  return /^https?:\/\//.test(actionUrl) ? actionUrl : `${getBaseURL().admin}${actionUrl}`;
+};
+
+/**
+ * Recipients keyed by id, with the fields planning needs
+ * @param {Array<string|ObjectId>} userIds
+ * @returns {Promise<Map<string, Object>>}
+ */
+const loadRecipients = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+  const users = await User.find({ _id: { $in: ids } }).select(RECIPIENT_FIELDS).lean();
+  return new Map(users.map(user => [String(user._id), user]));
+};
+
+// ============================================================================
+// Sending
+// ============================================================================
+
+/**
+ * Email one notification
+ * @param {Object} user - Recipient (RECIPIENT_FIELDS)
+ * @param {Object} item - { title, message, priority, actionUrl, tenantId }
+ */
+const sendNotificationEmail = async (user, item) => {
+  const actionUrl = toAbsoluteUrl(item.actionUrl);
+  await sendEmail({
+    to: user.email,
+    subject: item.title,
+    templateType: "action_notification",
+    tenantId: item.tenantId || user.tenant || null,
+    templateData: {
+      userName: user.name,
+      notificationTitle: item.title,
+      notificationMessage: item.message,
+      actionUrl,
+      actionTitle: "View details",
+      priority: item.priority || "medium",
+      companyName: "RatePro",
+      currentYear: new Date().getFullYear(),
+    },
+    html: `
+      <p>Hi ${escapeHtml(user.name || "there")},</p>
+      <p><strong>${escapeHtml(item.title)}</strong></p>
+      <p>${escapeHtml(item.message)}</p>
+      <p><a href="${escapeHtml(actionUrl)}">View details</a></p>
+    `,
+  });
+};
+
+/**
+ * SMS one notification
+ */
+const sendNotificationSms = async (user, item) => {
+  const body = `${item.title}: ${item.message || ""}`.trim();
+  await sendSMS({
+    to: user.phone,
+    body: body.length > SMS_MAX_LENGTH ? `${body.slice(0, SMS_MAX_LENGTH - 1)}…` : body,
+  });
+};
+
+const send = (channel, user, item) => (channel === "email"
+  ? sendNotificationEmail(user, item)
+  : sendNotificationSms(user, item));
+
+/**
+ * Carry out the email / SMS part of a delivery plan
+ * @param {Object} user - Recipient (RECIPIENT_FIELDS)
+ * @param {Object} item - { notificationId, tenantId, event, title, message, priority, actionUrl }
+ * @param {Object} plan - planDelivery() result
+ */
+const dispatch = async (user, item, plan) => {
+  for (const channel of ["email", "sms"]) {
+    const mode = plan[channel];
+    if (!mode) continue;
+
+    try {
+      if (mode === "now") {
+        await send(channel, user, item);
+      } else {
+        await NotificationDelivery.create({
+          user: user._id,
+          tenant: item.tenantId || user.tenant || null,
+          notification: item.notificationId || null,
+          channel,
+          mode,
+          event: plan.event,
+          title: item.title,
+          message: item.message,
+          priority: item.priority,
+          actionUrl: item.actionUrl || null,
+          sendAfter: mode === "deferred" ? plan.sendAfter : null,
+        });
+      }
+    } catch (error) {
+      Logger.error("notificationDelivery", `Failed to ${mode === "now" ? "send" : "queue"} ${channel} notification`, {
+        error,
+        context: { userId: user._id, notificationId: item.notificationId, event: plan.event },
+      });
+    }
+  }
+};
+
+// ============================================================================
+// Quiet hours: deferred email / SMS
+// ============================================================================
+
+/**
+ * Send email / SMS held during quiet hours whose time has come (cron)
+ * @param {Date} [now]
+ * @returns {Promise<{ sent, skipped, failed }>}
+ */
+const processDeferredDeliveries = async (now = new Date()) => {
+  const due = await NotificationDelivery.find({ status: "pending", mode: "deferred", sendAfter: { $lte: now } })
+    .sort({ sendAfter: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  if (!due.length) return result;
+
+  const users = await loadRecipients(due.map(d => d.user));
+
+  for (const delivery of due) {
+    const user = users.get(String(delivery.user));
+    const update = { status: "sent", sentAt: new Date() };
+
+    // Re-check: the channel may have been switched off while it waited
+    // (planned as urgent so it is neither batched nor held again)
+    const plan = user ? planDelivery(user, { event: delivery.event, priority: "urgent" }, now) : null;
+    if (!plan?.[delivery.channel]) {
+      update.status = "skipped";
+      update.sentAt = null;
+    } else {
+      try {
+        await send(delivery.channel, user, delivery);
+      } catch (error) {
+        update.status = "failed";
+        update.sentAt = null;
+        update.error = error.message;
+      }
+    }
+
+    await NotificationDelivery.updateOne({ _id: delivery._id }, { $set: update });
+    result[update.status]++;
+  }
+
+  if (result.sent || result.failed) {
+    Logger.info("notificationDelivery", "Deferred notifications processed", { context: result });
+  }
+  return result;
+};
+
+// ============================================================================
+// Digests
+// ============================================================================
+
+const buildDigestHtml = (user, items) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const label = EVENT_LABELS[item.event] || "Notifications";
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(item);
+  });
+
+  const sections = [...groups].map(([label, groupItems]) => `
+      <h3>${escapeHtml(label)} (${groupItems.length})</h3>
+      <ul>
+        ${groupItems.map(item => `<li><a href="${escapeHtml(toAbsoluteUrl(item.actionUrl))}">${escapeHtml(item.title)}</a>${item.message ? ` — ${escapeHtml(item.message)}` : ""}</li>`).join("")}
+      </ul>`).join("");
+
+  return `
+      <p>Hi ${escapeHtml(user.name || "there")},</p>
+      <p>Here is what happened since your last summary:</p>
+      ${sections}
+      <p><a href="${escapeHtml(`${getBaseURL().admin}/notifications`)}">Open notifications</a></p>
+    `;
+};
+
+/**
+ * Send one user's digest now. Items whose in-app copy was already read are
+ * dropped.
+ * @returns {Promise<{ sent: Boolean, count: Number }>}
+ */
+const sendDigest = async (user) => {
+  const pending = await NotificationDelivery.find({ user: user._id, status: "pending", mode: "digest" })
+    .sort({ createdAt: 1 })
+    .lean();
+  if (!pending.length) return { sent: false, count: 0 };
+
+  const notificationIds = pending.map(p => p.notification).filter(Boolean);
+  const readIds = notificationIds.length
+    ? new Set((await Notification.find({ _id: { $in: notificationIds }, status: { $ne: "unread" } }).select("_id").lean())
+      .map(n => String(n._id)))
+    : new Set();
+
+  const skipped = pending.filter(p => p.notification && readIds.has(String(p.notification)));
+  const items = pending.filter(p => !skipped.includes(p));
+
+  if (skipped.length) {
+    await NotificationDelivery.updateMany({ _id: { $in: skipped.map(p => p._id) } }, { $set: { status: "skipped" } });
+  }
+
+  const frequency = mergePreferences(user.notificationPreferences).digest.frequency;
+  await User.updateOne({ _id: user._id }, { $set: { "notificationPreferences.digest.lastSentAt": new Date() } });
+  if (!items.length) return { sent: false, count: 0 };
+
+  const ids = items.map(p => p._id);
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: `Your ${frequency === "weekly" ? "weekly" : "daily"} RatePro summary: ${items.length} update${items.length === 1 ? "" : "s"}`,
+      tenantId: user.tenant || null,
+      html: buildDigestHtml(user, items),
+    });
+    await NotificationDelivery.updateMany({ _id: { $in: ids } }, { $set: { status: "sent", sentAt: new Date() } });
+    return { sent: true, count: items.length };
+  } catch (error) {
+    await NotificationDelivery.updateMany({ _id: { $in: ids } }, { $set: { status: "failed", error: error.message } });
+    throw error;
+  }
+};
+
+/**
+ * Send the digests due this hour (cron, hourly)
+ * @param {Date} [now]
+ * @returns {Promise<{ users, sent, failed }>}
+ */
+const sendDueDigests = async (now = new Date()) => {
+  const userIds = await NotificationDelivery.distinct("user", { status: "pending", mode: "digest" });
+  const users = await loadRecipients(userIds);
+
+  const result = { users: 0, sent: 0, failed: 0 };
+  for (const user of users.values()) {
+    if (!isDigestDue(user, now)) continue;
+    result.users++;
+    try {
+      const { sent } = await sendDigest(user);
+      if (sent) result.sent++;
+    } catch (error) {
+      result.failed++;
+      Logger.error("notificationDigest", "Failed to send digest", { error, context: { userId: user._id } });
+    }
+  }
+
+  // Queued for users that no longer exist
+  const orphaned = userIds.filter(id => !users.has(String(id)));
+  if (orphaned.length) {
+    await NotificationDelivery.updateMany({ user: { $in: orphaned }, status: "pending" }, { $set: { status: "skipped" } });
+  }
+
+  if (result.users) {
+    Logger.info("notificationDigest", "Digests processed", { context: result });
+  }
+  return result;
+};
+
+module.exports = {
+  RECIPIENT_FIELDS,
+  loadRecipients,
+  sendNotificationEmail,
+  sendNotificationSms,
+  dispatch,
+  processDeferredDeliveries,
+  sendDigest,
+  sendDueDigests,
+};
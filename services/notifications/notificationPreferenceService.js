@@ -0,0 +1,257 @@
+// services/notifications/notificationPreferenceService.js
+// ============================================================================
+// Notification Preferences
+//
+// User.notificationPreferences decides, per notification, which channels
+// are used and when:
+// - Per-type switch (actionAssigned, ..., systemAlerts): off → nothing at all
+// - Channel masters (inApp / email / sms) and per-type channel overrides
+//   (channels.<type>.<channel>); unset overrides use DEFAULT_EVENT_CHANNELS
+// - Digest (daily / weekly): low priority emails (e.g. each new survey
+//   response) are batched
+// - Quiet hours (user's timezone): email / SMS are held until they end,
+//   urgent notifications go out anyway unless allowUrgent is off.
+//   In-app notifications are always created right away.
+// ============================================================================
+
+const { DEFAULT_TIMEZONE, isValidTimezone, getZonedParts, zonedPartsToUtc } = require("../../utils/timezone");
+
+const EVENT_TYPES = [
+  "actionAssigned",
+  "actionEscalated",
+  "actionOverdue",
+  "actionCompleted",
+  "actionMentions",
+  "surveyResponses",
+  "systemAlerts",
+];
+
+const CHANNELS = ["inApp", "email", "sms"];
+
+// Channels a type uses until the user overrides them
+const DEFAULT_EVENT_CHANNELS = {
+  actionAssigned: { inApp: true, email: true, sms: false },
+  actionEscalated: { inApp: true, email: true, sms: true },
+  actionOverdue: { inApp: true, email: true, sms: false },
+  actionCompleted: { inApp: true, email: false, sms: false },
+  actionMentions: { inApp: true, email: true, sms: false },
+  surveyResponses: { inApp: true, email: true, sms: false },
+  systemAlerts: { inApp: true, email: true, sms: false },
+};
+
+// Priorities that wait for the digest instead of an email each. Medium is the
+// default priority (assignments, mentions, ...), so it is always sent right away.
+const DIGEST_PRIORITIES = ["low"];
+
+const DEFAULT_PREFERENCES = {
+  inApp: true,
+  email: true,
+  sms: false,
+  actionAssigned: true,
+  actionEscalated: true,
+  actionOverdue: true,
+  actionCompleted: true,
+  actionMentions: true,
+  surveyResponses: true,
+  systemAlerts: true,
+  channels: {},
+  digest: { frequency: "daily", hour: 8, weekday: 1, lastSentAt: null },
+  quietHours: { enabled: false, start: "22:00", end: "07:00", allowUrgent: true },
+  timezone: null,
+};
+
+// Legacy sendNotification types → preference key
+const TYPE_TO_EVENT = {
+  action_assigned: "actionAssigned",
+  bulk_action_assigned: "actionAssigned",
+  action_status_updated: "actionAssigned",
+  action_escalated: "actionEscalated",
+  action_overdue: "actionOverdue",
+  action_completed: "actionCompleted",
+  action_mention: "actionMentions",
+  survey_response: "surveyResponses",
+  feedback_received: "surveyResponses",
+  system: "systemAlerts",
+};
+
+/**
+ * Preference key for a notification: explicit event, legacy type, then the
+ * Notification.type (survey → surveyResponses, action → actionAssigned)
+ * @param {Object} params - { event, type }
+ * @returns {String}
+ */
+const resolveEvent = ({ event, type } = {}) => {
+  if (EVENT_TYPES.includes(event)) return event;
+  if (TYPE_TO_EVENT[type]) return TYPE_TO_EVENT[type];
+  if (type === "survey") return "surveyResponses";
+  if (type === "action") return "actionAssigned";
+  return "systemAlerts";
+};
+
+const toPlain = (value) => (value && typeof value.toObject === "function" ? value.toObject() : value);
+
+/**
+ * Stored preferences merged over the defaults
+ * @param {Object} stored - user.notificationPreferences
+ * @returns {Object}
+ */
+const mergePreferences = (stored) => {
+  const prefs = toPlain(stored) || {};
+  const channels = toPlain(prefs.channels) || {};
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...prefs,
+    channels: Object.fromEntries(EVENT_TYPES
+      .filter(event => channels[event])
+      .map(event => [event, toPlain(channels[event])])),
+    digest: { ...DEFAULT_PREFERENCES.digest, ...toPlain(prefs.digest) },
+    quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...toPlain(prefs.quietHours) },
+  };
+};
+
+const getTimezone = (prefs) => (isValidTimezone(prefs.timezone) ? prefs.timezone : DEFAULT_TIMEZONE);
+
+const isChannelEnabled = (prefs, event, channel) => {
+  if (prefs[event] === false || prefs[channel] === false) return false;
+  // SMS is opt-in: the channel master has to be switched on
+  if (channel === "sms" && prefs.sms !== true) return false;
+  const override = prefs.channels?.[event]?.[channel];
+  return typeof override === "boolean" ? override : DEFAULT_EVENT_CHANNELS[event][channel];
+};
+
+/**
+ * Preferences as shown in settings: merged with defaults plus the
+ * effective channels of every type
+ * @param {Object} stored - user.notificationPreferences
+ */
+const getEffectivePreferences = (stored) => {
+  const prefs = mergePreferences(stored);
+  return {
+    ...prefs,
+    timezone: prefs.timezone || DEFAULT_TIMEZONE,
+    effectiveChannels: Object.fromEntries(EVENT_TYPES.map(event => [
+      event,
+      Object.fromEntries(CHANNELS.map(channel => [channel, isChannelEnabled(prefs, event, channel)])),
+    ])),
+  };
+};
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = String(hhmm).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * End of the quiet period `now` falls in, or null when outside quiet hours.
+ * Handles windows that cross midnight ("22:00" → "07:00").
+ * @param {Object} prefs - merged preferences
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+const getQuietHoursEnd = (prefs, now = new Date()) => {
+  const quiet = prefs.quietHours;
+  if (!quiet?.enabled) return null;
+
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  if (start === end) return null;
+
+  const timezone = getTimezone(prefs);
+  const local = getZonedParts(now, timezone);
+  const current = local.hour * 60 + local.minute;
+
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!inside) return null;
+
+  // Ends today, or tomorrow when the window crosses midnight and we're before it
+  const endsTomorrow = start > end && current >= start;
+  const day = endsTomorrow
+    ? getZonedParts(new Date(zonedPartsToUtc({ ...local, hour: 12, minute: 0, second: 0 }, timezone).getTime() + 24 * 60 * 60 * 1000), timezone)
+    : local;
+
+  return zonedPartsToUtc({
+    year: day.year,
+    month: day.month,
+    day: day.day,
+    hour: Math.floor(end / 60),
+    minute: end % 60,
+    second: 0,
+  }, timezone);
+};
+
+/**
+ * Decide how a notification reaches a user
+ * @param {Object} user - { notificationPreferences, email, phone }
+ * @param {Object} params - { event, type, priority }
+ * @param {Date} [now]
+ * @returns {{ event, inApp: Boolean, email: "now"|"digest"|"deferred"|null, sms: "now"|"deferred"|null, sendAfter: Date|null }}
+ */
+const planDelivery = (user, { event, type, priority = "medium" } = {}, now = new Date()) => {
+  const prefs = mergePreferences(user?.notificationPreferences);
+  const key = resolveEvent({ event, type });
+
+  const plan = { event: key, inApp: false, email: null, sms: null, sendAfter: null };
+  if (prefs[key] === false) return plan;
+
+  plan.inApp = isChannelEnabled(prefs, key, "inApp");
+
+  const wantsEmail = Boolean(user?.email) && isChannelEnabled(prefs, key, "email");
+  const wantsSms = Boolean(user?.phone) && isChannelEnabled(prefs, key, "sms");
+  if (!wantsEmail && !wantsSms) return plan;
+
+  const bypassQuiet = priority === "urgent" && prefs.quietHours.allowUrgent !== false;
+  const quietEnd = bypassQuiet ? null : getQuietHoursEnd(prefs, now);
+  if (quietEnd) plan.sendAfter = quietEnd;
+
+  if (wantsEmail) {
+    if (prefs.digest.frequency !== "none" && DIGEST_PRIORITIES.includes(priority)) {
+      plan.email = "digest";
+    } else {
+      plan.email = quietEnd ? "deferred" : "now";
+    }
+  }
+  if (wantsSms) {
+    plan.sms = quietEnd ? "deferred" : "now";
+  }
+
+  return plan;
+};
+
+/**
+ * Whether a user's digest is due at `now` (their local digest hour; daily
+ * once per day, weekly on their weekday)
+ * @param {Object} user - { notificationPreferences }
+ * @param {Date} [now]
+ */
+const isDigestDue = (user, now = new Date()) => {
+  const prefs = mergePreferences(user?.notificationPreferences);
+  const { frequency, hour, weekday, lastSentAt } = prefs.digest;
+
+  // Digest switched off with items still queued: flush them
+  if (frequency === "none") return true;
+
+  const local = getZonedParts(now, getTimezone(prefs));
+  if (local.hour !== hour) return false;
+
+  const sinceLast = lastSentAt ? now.getTime() - new Date(lastSentAt).getTime() : Infinity;
+  if (frequency === "daily") return sinceLast > 20 * 60 * 60 * 1000;
+
+  const localWeekday = new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay();
+  return localWeekday === weekday && sinceLast > 6 * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  CHANNELS,
+  DEFAULT_EVENT_CHANNELS,
+  DIGEST_PRIORITIES,
+  DEFAULT_PREFERENCES,
+  resolveEvent,
+  mergePreferences,
+  getEffectivePreferences,
+  getQuietHoursEnd,
+  planDelivery,
+  isDigestDue,
+};
@@ -1,8 +1,113 @@
 // services/notifications/notificationService.js
+const mongoose = require("mongoose");
 const Notification = require("../../models/Notification");
 const Tenant = require("../../models/Tenant");
 const User = require("../../models/User");
 const Logger = require("../../utils/auditLog");
+const { getIO, emitToUser } = require("../../utils/socket");
+const { planDelivery, resolveEvent } = require("./notificationPreferenceService");
+const deliveryService = require("./notificationDeliveryService");
+
+// ============================================================================
+// REAL-TIME DELIVERY (utils/socket.js)
+// ============================================================================
+
+// Same scope rule as getUnreadCount: platform notifications for the system
+// admin, tenant notifications for everyone else
+const getScopeFilter = (notification) => (notification.scope === "platform"
+  ? { scope: "platform" }
+  : { scope: "tenant", tenant: notification.tenant });
+
+/**
+ * Push a user's current unread count ("notifications:unread")
+ * @param {string} userId - User ID
+ * @param {Object} scopeFilter - { scope, tenant }
+ */
+const pushUnreadCount = async (userId, scopeFilter) => {
+  if (!getIO()) return;
+  try {
+    const count = await Notification.getUnreadCount(userId, scopeFilter);
+    emitToUser(String(userId), "notifications:unread", { count });
+  } catch (error) {
+    console.error(`❌ [NotificationService] Unread count push failed:`, error.message);
+  }
+};
+
+/**
+ * Push newly created notifications to their recipients ("notification"),
+ * followed by each recipient's unread count. Never throws.
+ * @param {Array<Object>} notifications - Created Notification documents
+ */
+exports.pushNotifications = (notifications) => {
+  if (!getIO()) return;
+  notifications.forEach((notification) => {
+    const userId = String(notification.user);
+    emitToUser(userId, "notification", {
+      id: notification._id,
+      title: notification.title,
+      message: notification.message,
+      type: notification.type,
+      priority: notification.priority,
+      reference: notification.reference,
+      actionUrl: notification.actionUrl,
+      metadata: notification.metadata,
+      createdAt: notification.createdAt,
+    });
+    pushUnreadCount(userId, getScopeFilter(notification));
+  });
+};
+
+// ============================================================================
+// RECIPIENT PREFERENCES (notificationPreferenceService)
+// ============================================================================
+
+/**
+ * Apply each recipient's preferences to notifications about to be inserted:
+ * keeps the ones that go in-app (with a pre-assigned _id) and returns the
+ * email / SMS work to hand to the delivery service after the insert.
+ * @param {Array<Object>} notifications - Notification fields (+ optional `event`)
+ * @returns {Promise<{ inApp: Array, outbound: Array }>}
+ */
+const applyPreferences = async (notifications) => {
+  const recipients = await deliveryService.loadRecipients(notifications.map((n) => n.user));
+  const inApp = [];
+  const outbound = [];
+
+  notifications.forEach((n) => {
+    const user = recipients.get(String(n.user));
+    const doc = { ...n, _id: n._id || new mongoose.Types.ObjectId() };
+
+    // Unknown recipient: nothing to plan against, keep the in-app copy
+    if (!user) {
+      inApp.push({ ...doc, event: resolveEvent(n) });
+      return;
+    }
+
+    const plan = planDelivery(user, { event: n.event, type: n.type, priority: n.priority });
+    doc.event = plan.event;
+    if (plan.inApp) inApp.push(doc);
+    if (plan.email || plan.sms) outbound.push({ user, doc: plan.inApp ? doc : { ...doc, _id: null }, plan });
+  });
+
+  return { inApp, outbound };
+};
+
+/**
+ * Hand the email / SMS part of applyPreferences() to the delivery service
+ * (non-blocking)
+ */
+const deliverOutbound = (outbound) => {
+  outbound.forEach(({ user, doc, plan }) => {
+    deliveryService.dispatch(user, {
+      notificationId: doc._id,
+      tenantId: doc.tenant || null,
+      title: doc.title,
+      message: doc.message,
+      priority: doc.priority,
+      actionUrl: doc.actionUrl,
+    }, plan);
+  });
+};
 
 // ============================================================================
 // NOTIFICATION CREATION
@@ -11,8 +116,12 @@ const Logger = require("../../utils/auditLog");
 /**
  * Create a single notification
  * Scope is server-determined: tenantId present → "tenant", absent → "platform"
+ * The recipient's preferences decide whether it is stored in-app and whether
+ * it is also emailed / texted (now, in the digest or after quiet hours);
+ * `event` is the preference key (defaults from `type`).
  * @param {Object} params - Notification parameters
- * @returns {Promise<Object>} Created notification
+ * @returns {Promise<Object|null>} Created notification, null when the
+ *          recipient turned in-app off for this kind of notification
  */
 exports.createNotification = async ({
   userId,
@@ -26,6 +135,7 @@ exports.createNotification = async ({
   metadata = {},
   expiresAt = null,
   source = "system",
+  event = null,
 }) => {
   try {
     // 🔐 Server-determined scope — never trust client input
@@ -36,7 +146,7 @@ exports.createNotification = async ({
     console.log(`   Title: ${title}`);
     console.log(`   Type: ${type}, Priority: ${priority}`);
 
-    const notification = await Notification.create({
+    const { inApp, outbound } = await applyPreferences([{
       user: userId,
       scope,
       tenant: tenantId,
@@ -49,9 +159,19 @@ exports.createNotification = async ({
       metadata,
       expiresAt,
       source,
-    });
+      event,
+    }]);
+
+    const notification = inApp.length ? await Notification.create(inApp[0]) : null;
+    deliverOutbound(outbound);
+
+    if (!notification) {
+      console.log(`   ℹ️ In-app notification skipped (recipient preferences)`);
+      return null;
+    }
 
     console.log(`   ✅ Notification created: ${notification._id}`);
+    exports.pushNotifications([notification]);
 
     Logger.info("notification", "Notification created", {
       context: {
@@ -85,9 +205,12 @@ exports.createBatchNotifications = async (notifications) => {
     console.log(`\n📬 [NotificationService] Creating batch notifications...`);
     console.log(`   Count: ${notifications.length}`);
 
-    const result = await Notification.createBatch(notifications);
+    const { inApp, outbound } = await applyPreferences(notifications);
+    const result = inApp.length ? await Notification.createBatch(inApp) : [];
+    deliverOutbound(outbound);
 
     console.log(`   ✅ Batch created: ${result.length} notifications`);
+    exports.pushNotifications(result);
 
     Logger.info("notification", "Batch notifications created", {
       context: { count: result.length },
@@ -121,6 +244,7 @@ exports.notifyTenantAdmins = async ({
   reference = null,
   actionUrl = null,
   metadata = {},
+  event = "systemAlerts",
 }) => {
   try {
     // Find all admin users for this tenant
@@ -147,10 +271,14 @@ exports.notifyTenantAdmins = async ({
       actionUrl,
       metadata,
       source: "system",
+      event,
     }));
 
-    const result = await Notification.createBatch(notifications);
+    const { inApp, outbound } = await applyPreferences(notifications);
+    const result = inApp.length ? await Notification.createBatch(inApp) : [];
+    deliverOutbound(outbound);
     console.log(`   ✅ Notified ${result.length} admins`);
+    exports.pushNotifications(result);
 
     return result;
   } catch (error) {
@@ -308,6 +436,7 @@ exports.markAsRead = async (notificationId, userId) => {
 
     if (notification) {
       console.log(`✅ [NotificationService] Marked as read: ${notificationId}`);
+      pushUnreadCount(userId, getScopeFilter(notification));
     }
 
     return notification;
@@ -333,6 +462,7 @@ exports.markAllAsRead = async (userId, userRole, tenantId) => {
     const result = await Notification.markAllAsRead(userId, scopeFilter);
 
     console.log(`✅ [NotificationService] Marked all as read for user ${userId}: ${result.modifiedCount} updated`);
+    pushUnreadCount(userId, scopeFilter);
 
     return {
       success: true,
@@ -358,6 +488,8 @@ exports.archiveNotification = async (notificationId, userId) => {
       { new: true }
     );
 
+    if (notification) pushUnreadCount(userId, getScopeFilter(notification));
+
     return notification;
   } catch (error) {
     console.error(`❌ [NotificationService] archiveNotification failed:`, error.message);
@@ -388,6 +520,7 @@ exports.deleteNotification = async (notificationId, userId) => {
       Logger.info("notification", "Notification deleted", {
         context: { notificationId, userId },
       });
+      pushUnreadCount(userId, getScopeFilter(notification));
     }
 
     return notification;
@@ -421,6 +554,7 @@ exports.deleteAllNotifications = async (userId, userRole, tenantId) => {
     );
 
     console.log(`🗑️ [NotificationService] Deleted all for user ${userId}: ${result.modifiedCount}`);
+    pushUnreadCount(userId, getScopeFilter(filter));
 
     return {
       success: true,
@@ -519,9 +653,13 @@ exports.notifyUrgentAction = async (action) => {
         dueDate: action.dueDate,
       },
       source: "action_engine",
+      event: "actionAssigned",
     }));
 
-    await Notification.insertMany(notifications);
+    const { inApp, outbound } = await applyPreferences(notifications);
+    const created = inApp.length ? await Notification.insertMany(inApp) : [];
+    deliverOutbound(outbound);
+    exports.pushNotifications(created);
 
     console.log(`   ✅ Notification sent to ${uniqueRecipients.length} user(s)`);
 
@@ -542,7 +680,8 @@ exports.notifyUrgentAction = async (action) => {
 // ============================================================================
 
 /**
- * Notify about a new survey response
+ * Notify the survey creator about a new response (postResponseProcessor).
+ * Low priority: with a digest set, the emails are batched into it.
  * @param {Object} params - Survey and response details
  */
 exports.notifySurveyResponse = async ({ survey, response, tenantId }) => {
@@ -555,10 +694,11 @@ exports.notifySurveyResponse = async ({ survey, response, tenantId }) => {
         title: "New Survey Response",
         message: `Your survey "${survey.title}" received a new response`,
         type: "survey",
-        priority: "medium",
+        priority: "low",
         reference: { type: "SurveyResponse", id: response._id },
         actionUrl: `/surveys/${survey._id}/responses`,
         source: "system",
+        event: "surveyResponses",
       });
     }
   } catch (error) {
@@ -87,6 +87,46 @@ class PaymentGateway {
         throw new Error('Method createCheckoutSession() must be implemented');
     }
 
+    /**
+     * Get a checkout session (used to poll/verify provisioning)
+     * @param {string} sessionId - Gateway checkout session ID
+     * @returns {Promise<Object>} - { sessionId, status ('open'|'complete'|'expired'), paymentStatus ('paid'|'unpaid'), customerId, subscriptionId, metadata, url, raw }
+     */
+    async getCheckoutSession(sessionId) {
+        throw new Error('Method getCheckoutSession() must be implemented');
+    }
+
+    /**
+     * Finish a paid checkout and return the data subscriptionManager provisions from
+     * @param {string} sessionId - Gateway checkout session ID
+     * @returns {Promise<Object>} - { id, customer, subscription, metadata }
+     */
+    async completeCheckout(sessionId) {
+        throw new Error('Method completeCheckout() must be implemented');
+    }
+
+    /**
+     * Preview the amount due now for moving a subscription to another price
+     * @param {string} subscriptionId - Gateway subscription ID
+     * @param {string} priceId - Target gateway price ID
+     * @returns {Promise<Object>} - { credit, charge, total, currency, periodEnd } (major units)
+     */
+    async previewSubscriptionChange(subscriptionId, priceId) {
+        throw new Error('Method previewSubscriptionChange() must be implemented');
+    }
+
+    /**
+     * Resolve the gateway price ID for a plan and billing cycle
+     * Default: the IDs stored on the plan under the gateway name (plan.stripe, plan.tap)
+     * @param {Object} plan - PlanTemplate document
+     * @param {string} billingCycle - 'monthly' | 'yearly'
+     * @returns {string|null} Gateway price ID
+     */
+    resolvePlanPrice(plan, billingCycle = 'monthly') {
+        const ids = plan?.[this.getName()] || {};
+        return (billingCycle === 'yearly' ? ids.yearlyPriceId : ids.monthlyPriceId) || null;
+    }
+
     /**
      * Create a billing portal session
      * @param {string} customerId - Gateway customer ID
@@ -2,7 +2,7 @@
 // Factory pattern for creating payment gateway instances
 
 const StripeGateway = require('./StripeGateway');
-// const TapGateway = require('./TapGateway'); // Future implementation
+const TapGateway = require('./TapGateway');
 
 class PaymentGatewayFactory {
     static gateways = {};
@@ -25,9 +25,9 @@ class PaymentGatewayFactory {
             case 'stripe':
                 this.gateways[name] = new StripeGateway();
                 break;
-            // case 'tap':
-            //   this.gateways[name] = new TapGateway();
-            //   break;
+            case 'tap':
+                this.gateways[name] = new TapGateway();
+                break;
             default:
                 throw new Error(`Unsupported payment gateway: ${gatewayName}`);
         }
@@ -44,12 +44,28 @@ class PaymentGatewayFactory {
         return this.getGateway(defaultGateway);
     }
 
+    /**
+     * Get the gateway that issued a checkout session ID
+     * (Stripe: cs_..., Tap: chg_... / auth_...)
+     * @param {string} sessionId - Checkout session ID
+     * @returns {PaymentGateway} Gateway instance
+     */
+    static getGatewayForSession(sessionId) {
+        if (/^(chg|auth)_/.test(String(sessionId))) {
+            return this.getGateway('tap');
+        }
+        if (/^cs_/.test(String(sessionId))) {
+            return this.getGateway('stripe');
+        }
+        return this.getDefaultGateway();
+    }
+
     /**
      * Get all supported gateway names
      * @returns {Array<string>} List of supported gateways
      */
     static getSupportedGateways() {
-        return ['stripe']; // Add 'tap' when implemented
+        return ['stripe', 'tap'];
     }
 
     /**
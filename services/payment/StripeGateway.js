@@ -211,6 +211,80 @@ class StripeGateway extends PaymentGateway {
         }
     }
 
+    async getCheckoutSession(sessionId) {
+        try {
+            const session = await this.stripe.checkout.sessions.retrieve(sessionId);
+
+            return {
+                sessionId: session.id,
+                status: session.status,
+                paymentStatus: session.payment_status,
+                customerId: session.customer,
+                subscriptionId: session.subscription,
+                metadata: session.metadata || {},
+                url: session.url,
+                raw: session
+            };
+        } catch (error) {
+            console.error('❌ Stripe getCheckoutSession error:', error.message);
+            throw new Error(`Stripe checkout session retrieval failed: ${error.message}`);
+        }
+    }
+
+    async completeCheckout(sessionId) {
+        // Stripe creates the subscription itself when the checkout is paid
+        const session = await this.getCheckoutSession(sessionId);
+
+        return {
+            id: session.sessionId,
+            customer: session.customerId,
+            subscription: session.subscriptionId,
+            payment_status: session.paymentStatus,
+            metadata: session.metadata
+        };
+    }
+
+    async previewSubscriptionChange(subscriptionId, priceId) {
+        try {
+            const subscription = await this.stripe.subscriptions.retrieve(subscriptionId);
+
+            // Upcoming invoice preview with the plan change (Stripe v20+ uses createPreview)
+            const upcomingInvoice = await this.stripe.invoices.createPreview({
+                customer: subscription.customer,
+                subscription: subscriptionId,
+                subscription_details: {
+                    items: [{
+                        id: subscription.items.data[0]?.id,
+                        price: priceId
+                    }],
+                    proration_behavior: 'create_prorations'
+                }
+            });
+
+            let credit = 0;
+            let charge = 0;
+            for (const line of upcomingInvoice.lines.data) {
+                if (line.amount < 0) {
+                    credit += Math.abs(line.amount);
+                } else {
+                    charge += line.amount;
+                }
+            }
+
+            // Stripe amounts are in cents
+            return {
+                credit: credit / 100,
+                charge: charge / 100,
+                total: upcomingInvoice.amount_due / 100,
+                currency: upcomingInvoice.currency?.toUpperCase() || 'USD',
+                periodEnd: new Date(subscription.current_period_end * 1000)
+            };
+        } catch (error) {
+            console.error('❌ Stripe previewSubscriptionChange error:', error.message);
+            throw new Error(`Stripe subscription preview failed: ${error.message}`);
+        }
+    }
+
     async createBillingPortalSession(customerId, returnUrl) {
         try {
             const session = await this.stripe.billingPortal.sessions.create({
@@ -0,0 +1,784 @@
+// services/payment/TapGateway.js
+// Tap Payments implementation of PaymentGateway interface
+//
+// Tap differs from Stripe in a few ways this class hides from subscriptionManager:
+// - No product/price catalog: a "price" is an encoded id
+//   (`tap:<productId>:<interval>:<currency>:<minorAmount>`) derived from the plan
+// - Checkout is a hosted charge (or card authorization when there is a trial)
+//   that saves the card; the recurring Tap subscription is created when the
+//   checkout completes (webhook or verify-session fallback)
+// - No proration: upgrades charge the prorated difference on the saved card
+// - No billing portal: a hosted card authorization (auto-voided) lets the
+//   customer replace their card
+// - Webhooks post the charge/authorize object with a `hashstring` header
+//   (HMAC-SHA256 of selected fields with the secret key)
+//
+// TAP_API_BASE_URL points the gateway at a local mock server
+// (see scripts/mockTapServer.js).
+
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentGateway = require('./PaymentGateway');
+
+// Currencies Tap settles with three decimal places
+const THREE_DECIMAL_CURRENCIES = ['KWD', 'BHD', 'OMR', 'JOD'];
+
+// Charge/authorize statuses that end a hosted checkout without payment
+const FAILED_STATUSES = ['FAILED', 'DECLINED', 'CANCELLED', 'ABANDONED', 'TIMEDOUT', 'RESTRICTED', 'VOID', 'UNKNOWN'];
+
+const TAP_INTERVALS = { month: 'MONTHLY', year: 'YEARLY' };
+
+// Amount (major units) authorized and voided to save a card without charging it
+const CARD_VERIFICATION_AMOUNT = 1;
+
+class TapGateway extends PaymentGateway {
+    constructor() {
+        super();
+        this.secretKey = process.env.TAP_SECRET_KEY;
+        // Tap signs webhooks with the secret API key unless a separate secret is configured
+        this.webhookSecret = process.env.TAP_WEBHOOK_SECRET || process.env.TAP_SECRET_KEY;
+        this.webhookUrl = process.env.TAP_WEBHOOK_URL || null;
+        this.client = axios.create({
+            baseURL: process.env.TAP_API_BASE_URL || 'https://api.tap.company/v2',
+            timeout: 15000,
+            headers: {
+                Authorization: `Bearer ${this.secretKey}`,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    getName() {
+        return 'tap';
+    }
+
+    // ============ HELPERS ============
+
+    async _request(method, url, data) {
+        try {
+            const response = await this.client.request({ method, url, data });
+            return response.data;
+        } catch (error) {
+            const tapErrors = error.response?.data?.errors;
+            const message = Array.isArray(tapErrors) && tapErrors.length
+                ? tapErrors.map(e => e.description || e.code).join('; ')
+                : error.response?.data?.message || error.message;
+            throw new Error(message);
+        }
+    }
+
+    _decimals(currency) {
+        return THREE_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? 3 : 2;
+    }
+
+    _toMajor(minorAmount, currency) {
+        return Number((minorAmount / Math.pow(10, this._decimals(currency))).toFixed(this._decimals(currency)));
+    }
+
+    _toMinor(amount, currency) {
+        return Math.round(Number(amount) * Math.pow(10, this._decimals(currency)));
+    }
+
+    /**
+     * Encode a price as an id (Tap has no price objects)
+     */
+    _encodePriceId({ productId, interval, currency, unitAmount }) {
+        return ['tap', productId, interval, String(currency).toUpperCase(), unitAmount].join(':');
+    }
+
+    /**
+     * @returns {{ productId, interval, currency, unitAmount, amount }} amount in major units
+     */
+    _decodePriceId(priceId) {
+        const parts = String(priceId || '').split(':');
+        if (parts.length < 5 || parts[0] !== 'tap') {
+            throw new Error(`Invalid Tap price id: ${priceId}`);
+        }
+        const unitAmount = Number(parts.pop());
+        const currency = parts.pop();
+        const interval = parts.pop();
+        const productId = parts.slice(1).join(':');
+
+        if (!TAP_INTERVALS[interval] || !Number.isFinite(unitAmount)) {
+            throw new Error(`Invalid Tap price id: ${priceId}`);
+        }
+
+        return { productId, interval, currency, unitAmount, amount: this._toMajor(unitAmount, currency) };
+    }
+
+    _addInterval(date, interval, count = 1) {
+        const next = new Date(date);
+        if (interval === 'year') next.setUTCFullYear(next.getUTCFullYear() + count);
+        else next.setUTCMonth(next.getUTCMonth() + count);
+        return next;
+    }
+
+    _splitName(name = '') {
+        const [firstName, ...rest] = String(name).trim().split(/\s+/);
+        return { first_name: firstName || 'Customer', last_name: rest.join(' ') || undefined };
+    }
+
+    // Tap metadata values must be strings
+    _stringifyMetadata(metadata = {}) {
+        return Object.fromEntries(
+            Object.entries(metadata)
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([key, value]) => [key, String(value)])
+        );
+    }
+
+    /**
+     * Current billing period of a Tap subscription. Tap only stores the start
+     * date and interval, so the period is derived from them (after any trial).
+     */
+    _currentPeriod(tapSub, now = new Date()) {
+        const interval = tapSub.term?.interval === 'YEARLY' ? 'year' : 'month';
+        const trialDays = Number(tapSub.trial?.days) || 0;
+        const from = new Date(tapSub.term?.from || tapSub.created || now);
+        const trialEnd = trialDays ? new Date(from.getTime() + trialDays * 24 * 60 * 60 * 1000) : null;
+
+        if (trialEnd && now < trialEnd) {
+            return { start: from, end: trialEnd, trialEnd, interval };
+        }
+
+        let start = trialEnd || from;
+        if (now < start) {
+            // Renewals start later (first period paid at checkout)
+            return { start: this._addInterval(start, interval, -1), end: start, trialEnd, interval };
+        }
+
+        let end = this._addInterval(start, interval);
+        while (end <= now) {
+            start = end;
+            end = this._addInterval(start, interval);
+        }
+        return { start, end, trialEnd, interval };
+    }
+
+    /**
+     * Map a Tap subscription onto the gateway-neutral (Stripe vocabulary) shape
+     */
+    _normalizeSubscription(tapSub) {
+        const period = this._currentPeriod(tapSub);
+        const tapStatus = String(tapSub.status || '').toLowerCase();
+
+        const charge = tapSub.charge || {};
+        // Set when renewal was switched off; the subscription ends at that period end
+        const cancelAt = charge.metadata?.cancelAt ? new Date(charge.metadata.cancelAt) : null;
+
+        let status;
+        if (['cancelled', 'canceled', 'inactive', 'expired'].includes(tapStatus)) status = 'canceled';
+        else if (cancelAt && new Date() >= cancelAt) status = 'canceled';
+        else if (['suspended', 'past_due', 'unpaid'].includes(tapStatus)) status = 'past_due';
+        else if (period.trialEnd && new Date() < period.trialEnd) status = 'trialing';
+        else status = 'active';
+
+        return {
+            subscriptionId: tapSub.id,
+            status,
+            customerId: charge.customer?.id || null,
+            priceId: charge.metadata?.priceId || null,
+            currentPeriodStart: cancelAt && status === 'canceled' ? this._addInterval(cancelAt, period.interval, -1) : period.start,
+            currentPeriodEnd: cancelAt && status === 'canceled' ? cancelAt : period.end,
+            trialEnd: period.trialEnd,
+            cancelAtPeriodEnd: tapSub.term?.auto_renew === false && status !== 'canceled',
+            canceledAt: status === 'canceled' ? new Date(tapSub.updated || Date.now()) : null,
+            raw: tapSub
+        };
+    }
+
+    _objectPath(id) {
+        return String(id).startsWith('auth_') ? 'authorize' : 'charges';
+    }
+
+    async _retrieveCheckoutObject(sessionId) {
+        return this._request('get', `/${this._objectPath(sessionId)}/${sessionId}`);
+    }
+
+    /**
+     * Charge a saved card (used for prorated upgrade amounts)
+     */
+    async _chargeSavedCard(customerId, cardId, amount, currency, description, metadata = {}) {
+        const token = await this._request('post', '/tokens', {
+            saved_card: { card_id: cardId, customer_id: customerId }
+        });
+
+        return this._request('post', '/charges', {
+            amount,
+            currency,
+            customer_initiated: false,
+            description,
+            customer: { id: customerId },
+            source: { id: token.id },
+            metadata: this._stringifyMetadata(metadata),
+            post: this.webhookUrl ? { url: this.webhookUrl } : undefined
+        });
+    }
+
+    /**
+     * Amount due now when moving a subscription to a new price: the unused part
+     * of the current period at the new price minus the same part at the old price.
+     */
+    _prorate(tapSub, newPrice) {
+        const period = this._currentPeriod(tapSub);
+        const currentAmount = Number(tapSub.charge?.amount) || 0;
+        const sameInterval = period.interval === newPrice.interval;
+        const periodMs = period.end - period.start;
+        const remaining = periodMs > 0 ? Math.max(period.end - Date.now(), 0) / periodMs : 0;
+        const decimals = this._decimals(newPrice.currency);
+
+        const credit = sameInterval && !period.trialEnd ? Number((currentAmount * remaining).toFixed(decimals)) : 0;
+        const charge = sameInterval && !period.trialEnd ? Number((newPrice.amount * remaining).toFixed(decimals)) : 0;
+
+        return {
+            credit,
+            charge,
+            total: Math.max(Number((charge - credit).toFixed(decimals)), 0),
+            currency: newPrice.currency,
+            periodEnd: period.end
+        };
+    }
+
+    // ============ CUSTOMERS ============
+
+    async createCustomer(customerData) {
+        try {
+            const customer = await this._request('post', '/customers', {
+                ...this._splitName(customerData.name),
+                email: customerData.email,
+                phone: customerData.phone ? { number: customerData.phone } : undefined,
+                metadata: this._stringifyMetadata({
+                    tenantId: customerData.tenantId,
+                    ...customerData.metadata
+                })
+            });
+
+            return {
+                customerId: customer.id,
+                raw: customer
+            };
+        } catch (error) {
+            console.error('❌ Tap createCustomer error:', error.message);
+            throw new Error(`Tap customer creation failed: ${error.message}`);
+        }
+    }
+
+    async updateCustomer(customerId, updateData) {
+        try {
+            const customer = await this._request('put', `/customers/${customerId}`, {
+                ...(updateData.name ? this._splitName(updateData.name) : {}),
+                email: updateData.email,
+                phone: updateData.phone ? { number: updateData.phone } : undefined,
+                metadata: updateData.metadata ? this._stringifyMetadata(updateData.metadata) : undefined
+            });
+
+            return {
+                customerId: customer.id,
+                raw: customer
+            };
+        } catch (error) {
+            console.error('❌ Tap updateCustomer error:', error.message);
+            throw new Error(`Tap customer update failed: ${error.message}`);
+        }
+    }
+
+    // ============ SUBSCRIPTIONS ============
+
+    async createSubscription(customerId, priceId, options = {}) {
+        try {
+            const price = this._decodePriceId(priceId);
+
+            // Tap charges a saved card on each renewal
+            let cardId = options.paymentMethodId;
+            if (!cardId) {
+                const cards = await this.getPaymentMethods(customerId);
+                cardId = cards[0]?.id;
+            }
+            if (!cardId) {
+                throw new Error('Customer has no saved card; complete a checkout first');
+            }
+
+            const trialDays = Number(options.trialDays) || 0;
+            // When the first period was already paid at checkout, renewals start one interval later
+            const from = options.startDate ? new Date(options.startDate) : new Date();
+
+            const tapSub = await this._request('post', '/subscription/v1/', {
+                term: {
+                    interval: TAP_INTERVALS[price.interval],
+                    from: from.toISOString(),
+                    due: 0,
+                    auto_renew: true,
+                    timezone: 'UTC'
+                },
+                trial: { days: trialDays, amount: 0 },
+                charge: {
+                    amount: price.amount,
+                    currency: price.currency,
+                    description: `Subscription ${price.productId} (${price.interval}ly)`,
+                    metadata: this._stringifyMetadata({ ...options.metadata, priceId }),
+                    receipt: { email: true, sms: false },
+                    customer: { id: customerId },
+                    source: { id: cardId },
+                    post: this.webhookUrl ? { url: this.webhookUrl } : undefined
+                }
+            });
+
+            const subscription = this._normalizeSubscription(tapSub);
+
+            return {
+                subscriptionId: subscription.subscriptionId,
+                status: subscription.status,
+                currentPeriodStart: subscription.currentPeriodStart,
+                currentPeriodEnd: subscription.currentPeriodEnd,
+                trialEnd: subscription.trialEnd,
+                raw: tapSub
+            };
+        } catch (error) {
+            console.error('❌ Tap createSubscription error:', error.message);
+            throw new Error(`Tap subscription creation failed: ${error.message}`);
+        }
+    }
+
+    async updateSubscription(subscriptionId, updateData) {
+        try {
+            const current = await this._request('get', `/subscription/v1/${subscriptionId}`);
+            const term = { ...current.term };
+            const charge = { ...current.charge };
+
+            if (updateData.priceId) {
+                const price = this._decodePriceId(updateData.priceId);
+
+                // Upgrades: charge the prorated difference now (Tap has no proration)
+                if (updateData.prorationBehavior === 'create_prorations') {
+                    const proration = this._prorate(current, price);
+                    if (proration.total > 0) {
+                        await this._chargeSavedCard(
+                            charge.customer?.id,
+                            charge.source?.id,
+                            proration.total,
+                            price.currency,
+                            `Prorated upgrade to ${price.productId}`,
+                            { purpose: 'proration', subscriptionId, priceId: updateData.priceId }
+                        );
+                    }
+                }
+
+                // The new amount applies from the next renewal
+                charge.amount = price.amount;
+                charge.currency = price.currency;
+                charge.metadata = { ...charge.metadata, priceId: updateData.priceId };
+                term.interval = TAP_INTERVALS[price.interval];
+            }
+
+            if (typeof updateData.cancelAtPeriodEnd !== 'undefined') {
+                term.auto_renew = !updateData.cancelAtPeriodEnd;
+                const { cancelAt, ...metadata } = charge.metadata || {};
+                charge.metadata = updateData.cancelAtPeriodEnd
+                    ? { ...metadata, cancelAt: this._currentPeriod(current).end.toISOString() }
+                    : metadata;
+            }
+
+            if (updateData.paymentMethodId) {
+                charge.source = { id: updateData.paymentMethodId };
+            }
+
+            if (updateData.metadata) {
+                charge.metadata = { ...charge.metadata, ...this._stringifyMetadata(updateData.metadata) };
+            }
+
+            const tapSub = await this._request('put', `/subscription/v1/${subscriptionId}`, { term, charge });
+            const subscription = this._normalizeSubscription(tapSub);
+
+            return {
+                subscriptionId: subscription.subscriptionId,
+                status: subscription.status,
+                currentPeriodEnd: subscription.currentPeriodEnd,
+                cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+                raw: tapSub
+            };
+        } catch (error) {
+            console.error('❌ Tap updateSubscription error:', error.message);
+            throw new Error(`Tap subscription update failed: ${error.message}`);
+        }
+    }
+
+    async cancelSubscription(subscriptionId, immediate = false) {
+        try {
+            if (!immediate) {
+                // Stop renewing; access continues until the end of the paid period
+                return await this.updateSubscription(subscriptionId, { cancelAtPeriodEnd: true });
+            }
+
+            const tapSub = await this._request('delete', `/subscription/v1/${subscriptionId}`);
+            const subscription = this._normalizeSubscription({ ...tapSub, status: tapSub.status || 'cancelled' });
+
+            return {
+                subscriptionId: subscription.subscriptionId || subscriptionId,
+                status: subscription.status,
+                canceledAt: subscription.canceledAt,
+                cancelAtPeriodEnd: false,
+                raw: tapSub
+            };
+        } catch (error) {
+            console.error('❌ Tap cancelSubscription error:', error.message);
+            throw new Error(`Tap subscription cancellation failed: ${error.message}`);
+        }
+    }
+
+    async getSubscription(subscriptionId) {
+        try {
+            const tapSub = await this._request('get', `/subscription/v1/${subscriptionId}`);
+            const { trialEnd, canceledAt, ...subscription } = this._normalizeSubscription(tapSub);
+            return subscription;
+        } catch (error) {
+            console.error('❌ Tap getSubscription error:', error.message);
+            throw new Error(`Tap subscription retrieval failed: ${error.message}`);
+        }
+    }
+
+    async previewSubscriptionChange(subscriptionId, priceId) {
+        try {
+            const current = await this._request('get', `/subscription/v1/${subscriptionId}`);
+            return this._prorate(current, this._decodePriceId(priceId));
+        } catch (error) {
+            console.error('❌ Tap previewSubscriptionChange error:', error.message);
+            throw new Error(`Tap subscription preview failed: ${error.message}`);
+        }
+    }
+
+    // ============ CHECKOUT ============
+
+    async createCheckoutSession(customerId, priceId, options = {}) {
+        try {
+            const price = this._decodePriceId(priceId);
+            const trialDays = Number(options.trialDays) || 0;
+
+            // Tap appends ?tap_id=<charge id> to the redirect URL; it has no session id placeholder
+            const baseSuccessUrl = options.successUrl || `${process.env.FRONTEND_URL}/subscription/success`;
+            const redirectUrl = baseSuccessUrl
+                .replace(/[?&]session_id=\{CHECKOUT_SESSION_ID\}/, '')
+                .replace('{CHECKOUT_SESSION_ID}', '');
+
+            const body = {
+                currency: price.currency,
+                customer: { id: customerId },
+                source: { id: 'src_all' },
+                save_card: true,
+                description: `Subscription ${price.productId} (${price.interval}ly)`,
+                metadata: this._stringifyMetadata({
+                    ...options.metadata,
+                    purpose: 'checkout',
+                    priceId,
+                    trialDays
+                }),
+                redirect: { url: redirectUrl },
+                post: this.webhookUrl ? { url: this.webhookUrl } : undefined
+            };
+
+            let session;
+            if (trialDays > 0) {
+                // Trial: verify and save the card with an authorization that is voided automatically
+                session = await this._request('post', '/authorize', {
+                    ...body,
+                    amount: CARD_VERIFICATION_AMOUNT,
+                    auto: { type: 'VOID', time: 1 }
+                });
+            } else {
+                session = await this._request('post', '/charges', { ...body, amount: price.amount });
+            }
+
+            return {
+                sessionId: session.id,
+                url: session.transaction?.url,
+                raw: session
+            };
+        } catch (error) {
+            console.error('❌ Tap createCheckoutSession error:', error.message);
+            throw new Error(`Tap checkout session creation failed: ${error.message}`);
+        }
+    }
+
+    async getCheckoutSession(sessionId) {
+        try {
+            const object = await this._retrieveCheckoutObject(sessionId);
+            const status = String(object.status || '').toUpperCase();
+            const paid = status === 'CAPTURED' || status === 'AUTHORIZED';
+
+            return {
+                sessionId: object.id,
+                status: paid ? 'complete' : FAILED_STATUSES.includes(status) ? 'expired' : 'open',
+                paymentStatus: paid ? 'paid' : 'unpaid',
+                customerId: object.customer?.id || null,
+                subscriptionId: object.metadata?.subscriptionId || null,
+                metadata: object.metadata || {},
+                url: object.transaction?.url || null,
+                raw: object
+            };
+        } catch (error) {
+            console.error('❌ Tap getCheckoutSession error:', error.message);
+            throw new Error(`Tap checkout session retrieval failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create the recurring subscription for a paid checkout. Idempotent: the
+     * subscription id is written back to the charge metadata, so webhook
+     * retries and the verify-session fallback reuse it.
+     */
+    async completeCheckout(sessionId) {
+        try {
+            const object = await this._retrieveCheckoutObject(sessionId);
+            const status = String(object.status || '').toUpperCase();
+            const metadata = object.metadata || {};
+            const customerId = object.customer?.id;
+
+            if (status !== 'CAPTURED' && status !== 'AUTHORIZED') {
+                throw new Error(`Checkout ${sessionId} is not paid (status: ${status})`);
+            }
+
+            let subscriptionId = metadata.subscriptionId || null;
+
+            if (!subscriptionId && metadata.priceId) {
+                const price = this._decodePriceId(metadata.priceId);
+                const trialDays = Number(metadata.trialDays) || 0;
+                const { purpose, trialDays: _trial, priceId, ...subscriptionMetadata } = metadata;
+
+                const subResult = await this.createSubscription(customerId, metadata.priceId, {
+                    paymentMethodId: object.card?.id,
+                    trialDays,
+                    // Without a trial the first period was paid by this checkout charge
+                    startDate: trialDays ? new Date() : this._addInterval(new Date(), price.interval),
+                    metadata: subscriptionMetadata
+                });
+                subscriptionId = subResult.subscriptionId;
+
+                await this._request('put', `/${this._objectPath(sessionId)}/${sessionId}`, {
+                    metadata: { ...metadata, subscriptionId }
+                });
+            }
+
+            return {
+                id: object.id,
+                customer: customerId,
+                subscription: subscriptionId,
+                payment_status: 'paid',
+                metadata: { ...metadata, subscriptionId }
+            };
+        } catch (error) {
+            console.error('❌ Tap completeCheckout error:', error.message);
+            throw new Error(`Tap checkout completion failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tap has no hosted billing portal. The closest equivalent is a hosted card
+     * authorization that saves the new card; the webhook then moves the
+     * subscription to it and the authorization is voided automatically.
+     */
+    async createBillingPortalSession(customerId, returnUrl) {
+        try {
+            const currency = process.env.TAP_CURRENCY || 'KWD';
+            const authorization = await this._request('post', '/authorize', {
+                amount: CARD_VERIFICATION_AMOUNT,
+                currency,
+                customer: { id: customerId },
+                source: { id: 'src_card' },
+                save_card: true,
+                auto: { type: 'VOID', time: 1 },
+                description: 'Update payment method',
+                metadata: { purpose: 'card_update' },
+                redirect: { url: returnUrl || `${process.env.FRONTEND_URL}/settings/billing` },
+                post: this.webhookUrl ? { url: this.webhookUrl } : undefined
+            });
+
+            return {
+                url: authorization.transaction?.url,
+                raw: authorization
+            };
+        } catch (error) {
+            console.error('❌ Tap createBillingPortalSession error:', error.message);
+            throw new Error(`Tap billing portal session creation failed: ${error.message}`);
+        }
+    }
+
+    async getPaymentMethods(customerId) {
+        try {
+            const cards = await this._request('get', `/card/${customerId}`);
+
+            return (cards.data || []).map(card => ({
+                id: card.id,
+                type: 'card',
+                brand: card.brand || card.scheme,
+                last4: card.last_four,
+                expMonth: card.exp_month,
+                expYear: card.exp_year,
+                raw: card
+            }));
+        } catch (error) {
+            console.error('❌ Tap getPaymentMethods error:', error.message);
+            throw new Error(`Tap payment methods retrieval failed: ${error.message}`);
+        }
+    }
+
+    // ============ WEBHOOKS ============
+
+    /**
+     * Tap webhook signature: HMAC-SHA256 (hex) of
+     * x_id{id}x_amount{amount}x_currency{currency}x_gateway_reference{ref}
+     * x_payment_reference{ref}x_status{status}x_created{created}
+     */
+    _computeHashString(object) {
+        const amount = Number(object.amount).toFixed(this._decimals(object.currency));
+        const toBeHashed = [
+            `x_id${object.id}`,
+            `x_amount${amount}`,
+            `x_currency${object.currency}`,
+            `x_gateway_reference${object.reference?.gateway || ''}`,
+            `x_payment_reference${object.reference?.payment || ''}`,
+            `x_status${object.status}`,
+            `x_created${object.transaction?.created || ''}`
+        ].join('');
+
+        return crypto.createHmac('sha256', this.webhookSecret).update(toBeHashed).digest('hex');
+    }
+
+    async handleWebhook(payload, signature) {
+        try {
+            const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : payload;
+            const object = typeof body === 'string' ? JSON.parse(body) : body;
+
+            // Fail closed: unsigned events are never processed
+            if (!this.webhookSecret) {
+                throw new Error('Tap webhook secret is not configured');
+            }
+
+            const expected = this._computeHashString(object);
+            const received = String(signature || '');
+            const valid = received.length === expected.length &&
+                crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
+            if (!valid) {
+                throw new Error('Invalid hashstring');
+            }
+
+            return await this._processWebhookEvent(object);
+        } catch (error) {
+            console.error('❌ Tap handleWebhook error:', error.message);
+            throw new Error(`Webhook verification failed: ${error.message}`);
+        }
+    }
+
+    async _processWebhookEvent(object) {
+        const status = String(object.status || '').toUpperCase();
+        const metadata = object.metadata || {};
+        const succeeded = status === 'CAPTURED' || status === 'AUTHORIZED';
+        const failed = FAILED_STATUSES.includes(status);
+        const customerId = object.customer?.id || null;
+
+        let type = `${object.object || 'charge'}.${status.toLowerCase()}`;
+        let data = { id: object.id, customer: customerId, metadata };
+
+        if (metadata.purpose === 'checkout') {
+            if (succeeded) {
+                type = 'checkout.completed';
+                data = await this.completeCheckout(object.id);
+            } else if (failed) {
+                type = 'checkout.expired';
+            }
+        } else if (metadata.purpose === 'card_update') {
+            if (succeeded && object.card?.id) {
+                type = 'payment_method.updated';
+                data = { ...data, paymentMethodId: object.card.id };
+            }
+        } else if (object.object !== 'authorize') {
+            // Renewal and proration charges
+            if (succeeded) type = 'payment.succeeded';
+            else if (failed) type = 'payment.failed';
+            data = { ...data, subscription: metadata.subscriptionId || null };
+        }
+
+        return {
+            event: object,
+            type,
+            data,
+            raw: object
+        };
+    }
+
+    // ============ CATALOG & REFUNDS ============
+
+    async refund(chargeId, amount = null) {
+        try {
+            const charge = await this._request('get', `/charges/${chargeId}`);
+
+            const refund = await this._request('post', '/refunds', {
+                charge_id: chargeId,
+                amount: amount || charge.amount,
+                currency: charge.currency,
+                reason: 'requested_by_customer',
+                post: this.webhookUrl ? { url: this.webhookUrl } : undefined
+            });
+
+            return {
+                refundId: refund.id,
+                status: refund.status,
+                amount: refund.amount,
+                raw: refund
+            };
+        } catch (error) {
+            console.error('❌ Tap refund error:', error.message);
+            throw new Error(`Tap refund failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tap has no product catalog; the plan code is the product id
+     */
+    async createProduct(productData) {
+        const { name, metadata = {} } = productData;
+        const productId = metadata.planCode || String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+        return {
+            productId,
+            reused: false,
+            raw: null
+        };
+    }
+
+    /**
+     * Tap has no price objects; returns an encoded price id
+     */
+    async createPrice(priceData) {
+        const { productId, unitAmount, currency = 'usd', interval } = priceData;
+
+        if (!['month', 'year'].includes(interval)) {
+            throw new Error(`Invalid interval: ${interval}. Must be 'month' or 'year'.`);
+        }
+
+        return {
+            priceId: this._encodePriceId({ productId, interval, currency, unitAmount }),
+            raw: null
+        };
+    }
+
+    /**
+     * Configured plan.tap price ids win; otherwise the price comes from plan.pricing
+     */
+    resolvePlanPrice(plan, billingCycle = 'monthly') {
+        const configured = super.resolvePlanPrice(plan, billingCycle);
+        if (configured) return configured;
+
+        const amount = billingCycle === 'yearly' ? plan.pricing?.yearly : plan.pricing?.monthly;
+        if (!amount) return null;
+
+        const currency = plan.pricing?.currency || 'USD';
+        return this._encodePriceId({
+            productId: plan.code,
+            interval: billingCycle === 'yearly' ? 'year' : 'month',
+            currency,
+            unitAmount: this._toMinor(amount, currency)
+        });
+    }
+}
+
+module.exports = TapGateway;
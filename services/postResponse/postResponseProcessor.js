@@ -14,8 +14,10 @@ const autoActionService = require("../actions/autoActionService");
 const notificationService = require("../notifications/notificationService");
 const sentimentService = require("../analytics/sentimentService");
 const npsService = require("../analytics/npsService");
+const incentiveService = require("../incentive/incentiveService");
 const SurveyResponse = require("../../models/SurveyResponse");
 const Logger = require("../../utils/auditLog");
+const { emitToTenant } = require("../../utils/socket");
 
 exports.processPostSurveyResponse = async ({
   response,
@@ -41,6 +43,21 @@ exports.processPostSurveyResponse = async ({
       isAnonymous: response.isAnonymous
     });
 
+    // Live dashboards / response lists (Socket.IO tenant room)
+    emitToTenant(tenantId, "response:new", {
+      responseId: response._id,
+      surveyId: survey._id,
+      surveyTitle: survey.title,
+      isAnonymous: !!response.isAnonymous,
+      language: response.language || null,
+      surveyVersion: response.surveyVersion ?? null,
+      submittedAt: response.submittedAt || response.createdAt || new Date()
+    });
+
+    // New-response notification to the survey creator (their preferences
+    // decide in-app / email / digest; failures are logged, not thrown)
+    notificationService.notifySurveyResponse({ survey, response, tenantId });
+
     // ============================================================
     // STEP 1: UPDATE SURVEY ANALYTICS (Non-blocking)
     // Client Requirement 4: Survey-Level Insight Aggregation
@@ -180,7 +197,9 @@ exports.processPostSurveyResponse = async ({
       });
 
       if (incentiveResult.eligible) {
-        console.log(`   🎉 Eligible for: ${incentiveResult.rewards.join(', ')}`);
+        console.log(`   🎉 Rewarded: ${incentiveResult.rewards.join(', ')}`);
+      } else if (incentiveResult.skipped) {
+        console.log(`   ℹ️ Incentives skipped (${incentiveResult.skipped})`);
       } else {
         console.log(`   ℹ️ No incentives applicable`);
       }
@@ -499,52 +518,11 @@ async function enrichResponseWithMetadata(responseId, insight, metrics) {
 /**
  * Check incentive eligibility based on response
  * Client Requirement 7: Rules-Based Reward Engine
+ * Tenant rules (IncentiveRule) are evaluated and matching rewards written to
+ * the contact's points ledger — see services/incentive/incentiveService.
  */
 async function checkIncentiveEligibility({ response, survey, tenantId, insight, metrics }) {
-  const rewards = [];
-
-  // Rule: Completed survey
-  rewards.push("survey_completion_points");
-
-  // Rule: NPS Promoter (score 9-10)
-  if (metrics.npsScore !== null && metrics.npsScore >= 9) {
-    rewards.push("promoter_bonus");
-  }
-
-  // Rule: High rating (4-5)
-  if (metrics.rating !== null && metrics.rating >= 4) {
-    rewards.push("high_rating_reward");
-  }
-
-  // Rule: Valuable detailed comment (length > 100 chars)
-  const reviewLength = response.review?.length || 0;
-  const hasDetailedFeedback = reviewLength > 100 ||
-    (insight.keywords?.length >= 5) ||
-    (insight.themes?.length >= 3);
-
-  if (hasDetailedFeedback) {
-    rewards.push("detailed_feedback_bonus");
-  }
-
-  // TODO: Check first-time respondent (requires Contact lookup)
-  // TODO: Check 5-survey streak (requires response history)
-
-  // For now, just log - actual reward creation would be a separate service
-  if (rewards.length > 0) {
-    Logger.info("incentive", "Incentive eligibility checked", {
-      context: {
-        responseId: response._id,
-        tenantId,
-        rewards,
-        eligible: true
-      }
-    });
-  }
-
-  return {
-    eligible: rewards.length > 0,
-    rewards
-  };
+  return incentiveService.processResponseRewards({ response, survey, tenantId, insight, metrics });
 }
 
 /**
@@ -2,8 +2,15 @@
 const Survey = require("../../models/Survey");
 const SurveyResponse = require("../../models/SurveyResponse");
 const { postResponseQueue } = require("../../queues/postResponse.queue");
+const responseEvents = require("../../utils/events/responseEvents");
 const { onSurveyResponse } = require("../contact/contactSurveySync.service");
 const Logger = require("../../utils/auditLog");
+const { resolveResponseWave } = require("../survey/recurrenceService");
+const { validateSubmittedAnswers } = require("./answerValidationService");
+const { resolveResponseLanguage } = require("../survey/translationService");
+const { getResponseVersion } = require("../survey/versionService");
+const { findPartialForSubmit, saveSubmission } = require("./partialResponseService");
+const { applyQuotas, afterSubmission } = require("../survey/quotaService");
 const geoip = require("geoip-lite");
 
 /**
@@ -60,7 +67,7 @@ function parseUserAgent(userAgent) {
     return getRequestMetadata(userAgent, null);
 }
 
-exports.handleAnonymousResponse = async ({ surveyId, payload, ip, userAgent }) => {  // ADD userAgent
+exports.handleAnonymousResponse = async ({ surveyId, payload, ip, userAgent, acceptLanguage }) => {  // ADD userAgent
     console.log(`\n${'*'.repeat(60)}`);
     console.log(`📨 [AnonymousResponse] NEW SUBMISSION`);
     console.log(`   Survey ID: ${surveyId}`);
@@ -106,6 +113,14 @@ exports.handleAnonymousResponse = async ({ surveyId, payload, ip, userAgent }) =
         console.log(`   A${i + 1}: questionId="${a.questionId}", answer="${String(a.answer).substring(0, 30)}..."`);
     });
 
+    // 🔍 Validate answers against the survey definition + logic path
+    const answerCheck = await validateSubmittedAnswers(survey, payload.answers || []);
+    if (!answerCheck.valid) {
+        console.error(`   ❌ ${answerCheck.errors.length} invalid answer(s)`);
+        throw { status: 400, message: "Some answers are invalid", errors: answerCheck.errors };
+    }
+    payload.answers = answerCheck.answers;
+
     console.log(`\n💾 [Step 2] Creating response record...`);
     const responseData = {
         survey: survey._id,
@@ -119,6 +134,9 @@ exports.handleAnonymousResponse = async ({ surveyId, payload, ip, userAgent }) =
         metadata,  // NEW: Now populated!
         completionTime: payload.completionTime || null,
         startedAt: payload.startedAt || null,
+        language: resolveResponseLanguage(survey, { language: payload.language, acceptLanguage }),
+        surveyVersion: getResponseVersion(survey),
+        wave: resolveResponseWave(survey),
         createdBy: null,
         user: null,
     };
@@ -126,10 +144,20 @@ exports.handleAnonymousResponse = async ({ surveyId, payload, ip, userAgent }) =
     console.log(`\n📋 [Debug] Response Data to Save:`);
     console.log(`   Metadata: ${JSON.stringify(responseData.metadata)}`);
 
-    const response = await SurveyResponse.create(responseData);
+    // 🎯 Quotas: rejects (409) or screens out when the cap / a matching cell is full
+    const screenedOut = await applyQuotas(survey, responseData);
+
+    // Completes the autosaved partial when the client sends its resumeToken
+    const partial = await findPartialForSubmit({ survey, resumeToken: payload.resumeToken });
+    const response = await saveSubmission(responseData, partial);
     console.log(`   ✅ Response created: ${response._id}`);
     console.log(`   Saved metadata: ${JSON.stringify(response.metadata)}`);
 
+    if (screenedOut) {
+        console.log(`   🚫 Screened out by quota (${response.screenOut.reason})`);
+        return response;
+    }
+
     // ✅ NEW: Sync to Contact.surveyStats if email is provided
     // This enables behavior-based segmentation even for anonymous responses
     if (payload.email) {
@@ -160,6 +188,12 @@ exports.handleAnonymousResponse = async ({ surveyId, payload, ip, userAgent }) =
     });
     console.log(`   ✅ Post-processing queued`);
 
+    responseEvents.emit("response.submitted", { response, survey, tenantId: survey.tenant });
+
+    await afterSubmission(survey).catch((err) => {
+        console.warn(`   ⚠️ Quota close check failed (non-blocking): ${err.message}`);
+    });
+
     Logger.info("surveyResponse", "Anonymous response submitted", {
         context: {
             surveyId: survey._id,
@@ -222,12 +256,21 @@ exports.submitAnonymousSurvey = async (surveyId, answers, req, reviewData = {})
         ip: req.ip,
         metadata,  // NEW: Add metadata
         completionTime: reviewData.completionTime || null,  // NEW: Expect from frontend
-        startedAt: reviewData.startedAt || null  // NEW: Expect from frontend
+        startedAt: reviewData.startedAt || null,  // NEW: Expect from frontend
+        surveyVersion: getResponseVersion(survey),
+        wave: resolveResponseWave(survey)
     };
 
+    const screenedOut = await applyQuotas(survey, responseData);
+
     const response = await SurveyResponse.create(responseData);
     console.log(`   ✅ Response created: ${response._id}`);
 
+    if (screenedOut) {
+        console.log(`   🚫 Screened out by quota (${response.screenOut.reason})`);
+        return response;
+    }
+
     // ✅ NEW: Sync to Contact.surveyStats if email is provided
     // This enables behavior-based segmentation even for anonymous responses
     if (req.body.email) {
@@ -258,6 +301,12 @@ exports.submitAnonymousSurvey = async (surveyId, answers, req, reviewData = {})
     });
     console.log(`   ✅ Post-processing queued`);
 
+    responseEvents.emit("response.submitted", { response, survey, tenantId: survey.tenant });
+
+    await afterSubmission(survey).catch((err) => {
+        console.warn(`   ⚠️ Quota close check failed (non-blocking): ${err.message}`);
+    });
+
     Logger.info("surveyResponse", "Anonymous response submitted", {
         context: {
             surveyId: survey._id,
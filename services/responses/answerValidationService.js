@@ -0,0 +1,232 @@
+// services/responses/answerValidationService.js
+// ============================================================================
+// Submitted Answer Validation
+//
+// Checks a response payload against the survey definition before it is saved:
+// 1. Every answered question exists (publishedSnapshot when locked)
+// 2. No question is answered twice
+// 3. Answer types/ranges match the question type (nps 0–10, rating 1–5, ...)
+// 4. Answered questions were reachable through the branch logic
+// 5. Required questions on the respondent's path were answered
+//
+// Returns field-level errors ({ questionId, code, message }) that the public
+// form can show next to each question. Option labels submitted in another
+// language are replaced with the default-language option.
+// ============================================================================
+
+const { validateAnswersAgainstLogic } = require("../survey/logicService");
+const { getOptionLookup, toCanonicalAnswer } = require("../survey/translationService");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const MAX_TEXT_LENGTH = 5000;
+
+const YES_NO_VALUES = ["yes", "no", "true", "false"];
+
+const isEmpty = (answer) =>
+  answer === undefined ||
+  answer === null ||
+  answer === "" ||
+  (Array.isArray(answer) && answer.length === 0);
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value.trim());
+  return NaN;
+};
+
+/**
+ * Option labels a respondent may submit (default + translated labels),
+ * mapped to the default-language option
+ */
+const allowedOptions = (question) => getOptionLookup(question);
+
+const isOption = (options, value) =>
+  options.size === 0 || options.has(String(value).trim().toLowerCase());
+
+// "YYYY-MM-DD", or a full ISO timestamp from date pickers
+const isValidDate = (value) => {
+  if (typeof value !== "string") return false;
+  const day = value.slice(0, 10);
+  if (!DATE_PATTERN.test(day) || (value.length > 10 && isNaN(new Date(value).getTime()))) return false;
+  const date = new Date(`${day}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(day);
+};
+
+/**
+ * Validate one answer against its question type
+ * @returns {{ error?: String, value?: * }} error message, or the normalised value
+ */
+const checkAnswerType = (question, answer) => {
+  switch (question.type) {
+    case "nps": {
+      const n = toNumber(answer);
+      if (!Number.isInteger(n) || n < 0 || n > 10) return { error: "NPS answer must be a whole number from 0 to 10" };
+      return { value: n };
+    }
+    case "rating": {
+      const n = toNumber(answer);
+      if (isNaN(n) || n < 1 || n > 5) return { error: "Rating must be between 1 and 5" };
+      return { value: n };
+    }
+    case "numeric": {
+      const n = toNumber(answer);
+      if (!Number.isFinite(n)) return { error: "Answer must be a number" };
+      return { value: n };
+    }
+    case "scale":
+    case "likert": {
+      // Numeric points or one of the configured labels
+      const n = toNumber(answer);
+      if (Number.isFinite(n)) return { value: n };
+      const options = allowedOptions(question);
+      if (typeof answer === "string" && isOption(options, answer)) return { value: toCanonicalAnswer(options, answer) };
+      return { error: "Answer must be a point on the scale" };
+    }
+    case "email":
+      if (typeof answer !== "string" || !EMAIL_PATTERN.test(answer.trim())) return { error: "Answer must be a valid email address" };
+      return { value: answer.trim() };
+    case "text":
+    case "textarea":
+      if (typeof answer !== "string" && typeof answer !== "number") return { error: "Answer must be text" };
+      if (String(answer).length > MAX_TEXT_LENGTH) return { error: `Answer must be at most ${MAX_TEXT_LENGTH} characters` };
+      return { value: String(answer) };
+    case "yesno": {
+      const options = allowedOptions(question);
+      if (typeof answer === "boolean") return { value: answer };
+      if (typeof answer !== "string") return { error: "Answer must be yes or no" };
+      const normalized = answer.trim().toLowerCase();
+      if (!YES_NO_VALUES.includes(normalized) && !(options.size && options.has(normalized))) {
+        return { error: "Answer must be yes or no" };
+      }
+      return { value: toCanonicalAnswer(options, answer) };
+    }
+    case "radio":
+    case "select":
+    case "multiple_choice":
+    case "imageChoice": {
+      if (Array.isArray(answer) || (typeof answer === "object" && answer !== null)) {
+        return { error: "Select a single option" };
+      }
+      const options = allowedOptions(question);
+      if (!isOption(options, answer)) return { error: "Answer is not one of the question's options" };
+      return { value: toCanonicalAnswer(options, answer) };
+    }
+    case "checkbox": {
+      if (!Array.isArray(answer)) return { error: "Answer must be a list of selected options" };
+      const options = allowedOptions(question);
+      if (answer.some(a => typeof a === "object" || !isOption(options, a))) {
+        return { error: "Answer contains options that are not part of the question" };
+      }
+      return { value: toCanonicalAnswer(options, answer) };
+    }
+    case "ranking": {
+      if (!Array.isArray(answer)) return { error: "Answer must be an ordered list of options" };
+      const options = allowedOptions(question);
+      if (answer.some(a => !isOption(options, a))) return { error: "Ranking contains unknown options" };
+      if (new Set(answer.map(a => String(a).toLowerCase())).size !== answer.length) {
+        return { error: "Each option can only be ranked once" };
+      }
+      return { value: toCanonicalAnswer(options, answer) };
+    }
+    case "matrix":
+      if (typeof answer !== "object" || answer === null || Array.isArray(answer)) {
+        return { error: "Answer must map each row to a column" };
+      }
+      return { value: answer };
+    case "date":
+      if (!isValidDate(answer)) return { error: "Answer must be a valid date (YYYY-MM-DD)" };
+      return { value: answer };
+    case "time":
+      if (typeof answer !== "string" || !TIME_PATTERN.test(answer)) return { error: "Time must be in HH:mm format" };
+      return { value: answer };
+    case "datetime":
+      if (typeof answer !== "string" || isNaN(new Date(answer).getTime())) return { error: "Answer must be a valid date and time" };
+      return { value: answer };
+    default:
+      return { value: answer };
+  }
+};
+
+/**
+ * Questions and sections submissions are validated against: the published
+ * snapshot when the survey is locked. Snapshots written before sections were
+ * captured fall back to the live sections.
+ */
+const getDefinition = (survey) => {
+  const snapshot = survey.publishedSnapshot;
+  if (!snapshot?.questions?.length) {
+    return { questions: survey.questions || [], sections: survey.sections || [] };
+  }
+  return {
+    questions: snapshot.questions,
+    sections: snapshot.sections?.length ? snapshot.sections : (survey.sections || []),
+  };
+};
+
+/**
+ * Validate submitted answers against the survey definition and logic path
+ *
+ * @param {Object} survey - Survey doc (questions, sections, publishedSnapshot)
+ * @param {Array} answers - [{ questionId, answer, media }]
+ * @param {Object} options
+ * @param {Boolean} options.requireComplete - Enforce required questions (false for partial saves)
+ * @returns {Promise<{ valid: Boolean, errors: Array, answers: Array }>}
+ *          answers: the payload with normalised values (e.g. "9" → 9 for NPS)
+ */
+exports.validateSubmittedAnswers = async (survey, answers = [], { requireComplete = true } = {}) => {
+  const { questions, sections } = getDefinition(survey);
+  const questionMap = new Map();
+  [...questions, ...sections.flatMap(s => s.questions || [])].forEach(q => {
+    if (q.id) questionMap.set(String(q.id), q);
+    if (q._id) questionMap.set(String(q._id), q);
+  });
+
+  const errors = [];
+  const seen = new Set();
+  const normalized = [];
+
+  answers.forEach(entry => {
+    const questionId = String(entry.questionId);
+    const question = questionMap.get(questionId);
+
+    if (!question) {
+      errors.push({ questionId, code: "UNKNOWN_QUESTION", message: "Question does not exist in this survey" });
+      return;
+    }
+
+    const key = question.id ? String(question.id) : String(question._id);
+    if (seen.has(key)) {
+      errors.push({ questionId, code: "DUPLICATE_ANSWER", message: "Question was answered more than once" });
+      return;
+    }
+    seen.add(key);
+
+    if (isEmpty(entry.answer)) {
+      normalized.push(entry);
+      return;
+    }
+
+    const { error, value } = checkAnswerType(question, entry.answer);
+    if (error) {
+      errors.push({ questionId, code: "INVALID_TYPE", message: error });
+      return;
+    }
+    normalized.push({ ...entry, answer: value });
+  });
+
+  // Branching: only reachable questions may be answered, and required ones on the path must be
+  const logic = await validateAnswersAgainstLogic(survey, normalized, { questions, sections });
+  errors.push(...logic.errors);
+
+  if (requireComplete) {
+    logic.result.missingRequired.forEach(questionId => {
+      errors.push({ questionId, code: "REQUIRED", message: "This question is required" });
+    });
+  }
+
+  return { valid: errors.length === 0, errors, answers: normalized };
+};
+
+exports.checkAnswerType = checkAnswerType;
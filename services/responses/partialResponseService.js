@@ -0,0 +1,318 @@
+// services/responses/partialResponseService.js
+// ============================================================================
+// Partial Response (save-and-resume) Service
+//
+// Respondents autosave progress as a SurveyResponse with status "partial".
+// - Invited respondents: one partial per invite; the invite link resumes it
+// - Anonymous respondents: keyed by a random resumeToken returned on first save
+// - Any partial can be resumed via GET /responses/resume/:resumeToken (the
+//   "magic link" emailed on request)
+// - On submit the partial is completed in place (status → submitted)
+// - Partials untouched past resumeExpiresAt are marked "expired" by cron
+//
+// Partial/expired documents are hidden from analytics reads by the
+// SurveyResponse query middleware (see models/SurveyResponse.js).
+// ============================================================================
+
+const crypto = require("crypto");
+const Survey = require("../../models/Survey");
+const SurveyInvite = require("../../models/SurveyInvite");
+const SurveyResponse = require("../../models/SurveyResponse");
+const configService = require("../configService");
+const sendEmail = require("../../utils/sendEmail");
+const getBaseURL = require("../../utils/getBaseURL");
+const Logger = require("../../utils/auditLog");
+const { validateSubmittedAnswers } = require("./answerValidationService");
+const { getRendererLogic } = require("../survey/logicService");
+const { resolveResponseWave } = require("../survey/recurrenceService");
+const { resolveResponseLanguage, negotiateLanguage, localizeSurvey } = require("../survey/translationService");
+const { getResponseVersion } = require("../survey/versionService");
+
+const DEFAULT_TTL_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const generateResumeToken = () => crypto.randomBytes(24).toString("hex");
+
+const getTtlMs = async () => {
+  const days = Number(await configService.getConfig("PARTIAL_RESPONSE_TTL_DAYS", {
+    sensitive: false,
+    defaultValue: DEFAULT_TTL_DAYS,
+  }));
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS) * DAY_MS;
+};
+
+const buildResumeUrl = (resumeToken) =>
+  `${getBaseURL().public}/survey/resume?token=${resumeToken}`;
+
+/**
+ * Merge autosaved answers: later saves replace earlier answers per question
+ */
+const mergeAnswers = (existing = [], incoming = []) => {
+  const merged = new Map(existing.map(a => [String(a.questionId), a]));
+  incoming.forEach(a => merged.set(String(a.questionId), a));
+  return [...merged.values()];
+};
+
+const toProgress = (partial) => ({
+  responseId: partial._id,
+  resumeToken: partial.resumeToken,
+  resumeUrl: buildResumeUrl(partial.resumeToken),
+  currentQuestionIndex: partial.currentQuestionIndex,
+  lastSavedAt: partial.lastSavedAt,
+  resumeExpiresAt: partial.resumeExpiresAt,
+  answers: partial.answers,
+});
+
+/**
+ * Create or update the partial response for a respondent
+ */
+const upsertPartial = async ({ survey, invite = null, existing, payload, metadata, ip, acceptLanguage }) => {
+  // Validate the merged set: an incoming answer can make a saved one unreachable
+  const saved = (existing?.answers || []).map(a => (typeof a.toObject === "function" ? a.toObject() : a));
+  const check = await validateSubmittedAnswers(survey, mergeAnswers(saved, payload.answers || []), { requireComplete: false });
+  if (!check.valid) {
+    throw { status: 400, message: "Some answers are invalid", errors: check.errors };
+  }
+
+  const now = new Date();
+  const partial = existing || new SurveyResponse({
+    survey: survey._id,
+    tenant: survey.tenant,
+    invite: invite?._id || null,
+    contact: invite?.contact?._id || null,
+    status: "partial",
+    resumeToken: generateResumeToken(),
+    isAnonymous: !invite,
+    ip,
+    metadata,
+    startedAt: payload.startedAt || now,
+    wave: resolveResponseWave(survey, invite),
+  });
+  // Version being answered; the submit stamps the version it was validated against
+  partial.surveyVersion = getResponseVersion(survey);
+
+  partial.answers = check.answers;
+  // Keep the first language unless the respondent explicitly switched
+  if (payload.language || !partial.language) {
+    partial.language = resolveResponseLanguage(survey, { language: payload.language, acceptLanguage });
+  }
+  if (payload.currentQuestionIndex !== undefined) {
+    partial.currentQuestionIndex = payload.currentQuestionIndex;
+  }
+  partial.lastSavedAt = now;
+  partial.resumeExpiresAt = new Date(now.getTime() + await getTtlMs());
+
+  await partial.save();
+  return partial;
+};
+
+/**
+ * Autosave progress for an invited respondent
+ * @param {Object} params
+ * @param {String} params.token - Invite token
+ * @param {Object} params.payload - { answers, currentQuestionIndex, startedAt, language }
+ * @param {String} [params.acceptLanguage] - Accept-Language header
+ * @returns {Promise<Object>} progress ({ resumeToken, resumeUrl, lastSavedAt, ... })
+ */
+exports.saveInvitedProgress = async ({ token, payload, ip, metadata, acceptLanguage }) => {
+  const invite = await SurveyInvite.findOne({ token })
+    .populate("survey")
+    .populate("contact", "_id email name");
+
+  if (!invite || !invite.survey || invite.survey.deleted) {
+    throw { status: 404, message: "Invalid or expired survey link" };
+  }
+  if (invite.status === "responded") {
+    throw { status: 409, message: "Survey already submitted" };
+  }
+  if (invite.survey.status !== "active") {
+    throw { status: 403, message: "Survey is not active" };
+  }
+
+  const existing = await SurveyResponse.findOne({ invite: invite._id, status: "partial" });
+  const partial = await upsertPartial({ survey: invite.survey, invite, existing, payload, metadata, ip, acceptLanguage });
+
+  return toProgress(partial);
+};
+
+/**
+ * Autosave progress for an anonymous respondent. The first save returns a
+ * resumeToken which the client sends back on later saves.
+ * @param {Object} params
+ * @param {String} params.surveyId
+ * @param {Object} params.payload - { resumeToken?, answers, currentQuestionIndex, startedAt, language }
+ * @param {String} [params.acceptLanguage] - Accept-Language header
+ * @returns {Promise<Object>} progress
+ */
+exports.saveAnonymousProgress = async ({ surveyId, payload, ip, metadata, acceptLanguage }) => {
+  const survey = await Survey.findOne({ _id: surveyId, status: "active", deleted: false });
+  if (!survey) {
+    throw { status: 404, message: "Survey not found or inactive" };
+  }
+
+  let existing = null;
+  if (payload.resumeToken) {
+    existing = await SurveyResponse.findOne({
+      resumeToken: payload.resumeToken,
+      survey: survey._id,
+      status: "partial",
+    });
+    if (!existing) {
+      throw { status: 410, message: "Saved progress has expired or was already submitted" };
+    }
+  }
+
+  const partial = await upsertPartial({ survey, existing, payload, metadata, ip, acceptLanguage });
+  return toProgress(partial);
+};
+
+/**
+ * Load a partial response to resume it (magic link / stored resumeToken).
+ * The survey is localized in ?lang= if given, else the language the
+ * respondent was answering in.
+ * @param {String} resumeToken
+ * @param {Object} [options] - { lang, acceptLanguage }
+ * @returns {Promise<{ survey, logic, progress, inviteToken }>}
+ */
+exports.resumeByToken = async (resumeToken, { lang, acceptLanguage } = {}) => {
+  const partial = await SurveyResponse.findOne({ resumeToken })
+    .setOptions({ includePartial: true });
+
+  if (!partial || partial.status === "submitted") {
+    throw { status: 404, message: "Saved progress not found" };
+  }
+  if (partial.status === "expired" || (partial.resumeExpiresAt && partial.resumeExpiresAt < new Date())) {
+    throw { status: 410, message: "Saved progress has expired" };
+  }
+
+  const survey = await Survey.findOne({ _id: partial.survey, deleted: false })
+    .select("title description questions sections settings themeColor estimatedTime thankYouPage status language fallbackLanguages translations")
+    .lean();
+
+  if (!survey || survey.status !== "active") {
+    throw { status: 410, message: "This survey is no longer accepting responses" };
+  }
+
+  const language = negotiateLanguage(survey, { lang: lang || partial.language, acceptLanguage });
+
+  const invite = partial.invite
+    ? await SurveyInvite.findById(partial.invite).select("token").lean()
+    : null;
+
+  return {
+    survey: localizeSurvey(survey, language),
+    logic: await getRendererLogic(survey),
+    progress: toProgress(partial),
+    // Invited partials are submitted through the invite endpoint
+    inviteToken: invite?.token || null,
+  };
+};
+
+/**
+ * Partial response for an invite, if any (used when the invite link is opened)
+ */
+exports.getInviteProgress = async (inviteId) => {
+  const partial = await SurveyResponse.findOne({ invite: inviteId, status: "partial" });
+  return partial ? toProgress(partial) : null;
+};
+
+/**
+ * Email the resume link to the respondent
+ * @param {String} resumeToken
+ * @param {String} [email] - Required for anonymous partials; invited ones use the contact email
+ */
+exports.sendResumeLink = async (resumeToken, email = null) => {
+  const partial = await SurveyResponse.findOne({ resumeToken, status: "partial" })
+    .populate("contact", "email name");
+
+  if (!partial) {
+    throw { status: 404, message: "Saved progress not found" };
+  }
+
+  const to = partial.contact?.email || email;
+  if (!to) {
+    throw { status: 400, message: "Email is required to send the resume link" };
+  }
+
+  const survey = await Survey.findById(partial.survey).select("title").lean();
+  const resumeUrl = buildResumeUrl(resumeToken);
+
+  await sendEmail({
+    to,
+    subject: `Continue your survey: "${survey?.title || "Survey"}"`,
+    html: `
+      <p>Hi ${partial.contact?.name || "there"},</p>
+      <p>Your answers have been saved. Pick up where you left off:</p>
+      <p><a href="${resumeUrl}">Continue the survey</a></p>
+      <p>This link expires on ${partial.resumeExpiresAt?.toDateString() || "soon"}.</p>
+    `,
+  });
+
+  Logger.info("sendResumeLink", "Resume link emailed", {
+    context: { responseId: partial._id, surveyId: partial.survey },
+  });
+
+  return { sent: true };
+};
+
+/**
+ * Find the partial that a submission completes
+ * @param {Object} params
+ * @param {Object} params.survey
+ * @param {Object} [params.invite]
+ * @param {String} [params.resumeToken]
+ * @returns {Promise<Object|null>} SurveyResponse document with status "partial"
+ */
+exports.findPartialForSubmit = async ({ survey, invite = null, resumeToken = null }) => {
+  if (invite) {
+    return SurveyResponse.findOne({ invite: invite._id, status: "partial" });
+  }
+  if (resumeToken) {
+    return SurveyResponse.findOne({ resumeToken, survey: survey._id, status: "partial" });
+  }
+  return null;
+};
+
+/**
+ * Save a submission, completing the respondent's partial if there is one
+ * @param {Object} responseData - Fields of the submitted SurveyResponse
+ * @param {Object|null} partial - From findPartialForSubmit
+ * @returns {Promise<Object>} SurveyResponse document
+ */
+exports.saveSubmission = async (responseData, partial = null) => {
+  if (!partial) {
+    return SurveyResponse.create(responseData);
+  }
+
+  Object.assign(partial, responseData, {
+    status: responseData.status || "submitted",
+    submittedAt: new Date(),
+    resumeToken: undefined,
+    resumeExpiresAt: null,
+    lastSavedAt: new Date(),
+    startedAt: partial.startedAt || responseData.startedAt,
+  });
+  await partial.save();
+  return partial;
+};
+
+/**
+ * Mark partials past their resume window as expired. They stay in the
+ * collection for drop-off analytics but can no longer be resumed.
+ * @param {Date} now
+ * @returns {Promise<{ expired: Number }>}
+ */
+exports.expireStalePartials = async (now = new Date()) => {
+  const result = await SurveyResponse.updateMany(
+    { status: "partial", resumeExpiresAt: { $lte: now } },
+    { $set: { status: "expired" } }
+  );
+
+  if (result.modifiedCount > 0) {
+    Logger.info("expireStalePartials", `Expired ${result.modifiedCount} partial responses`, {
+      context: { expiredCount: result.modifiedCount },
+    });
+  }
+
+  return { expired: result.modifiedCount };
+};
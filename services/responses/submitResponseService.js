@@ -1,9 +1,15 @@
 // /services/responses/submitResponseService.js
 const SurveyInvite = require("../../models/SurveyInvite");
-const SurveyResponse = require("../../models/SurveyResponse");
 const { postResponseQueue } = require("../../queues/postResponse.queue");
+const responseEvents = require("../../utils/events/responseEvents");
 const { onSurveyResponse } = require("../contact/contactSurveySync.service");
 const Logger = require("../../utils/auditLog");
+const { resolveResponseWave } = require("../survey/recurrenceService");
+const { validateSubmittedAnswers } = require("./answerValidationService");
+const { resolveResponseLanguage } = require("../survey/translationService");
+const { getResponseVersion } = require("../survey/versionService");
+const { findPartialForSubmit, saveSubmission } = require("./partialResponseService");
+const { applyQuotas, afterSubmission } = require("../survey/quotaService");
 const geoip = require("geoip-lite");
 
 /**
@@ -141,7 +147,8 @@ exports.submitSurveyResponseService = async ({
   payload,
   ip,
   user,
-  userAgent  // NEW: Accept userAgent from controller
+  userAgent,  // NEW: Accept userAgent from controller
+  acceptLanguage
 }) => {
   console.log(`\n${'*'.repeat(60)}`);
   console.log(`📨 [InvitedResponse] NEW SUBMISSION`);
@@ -179,6 +186,14 @@ exports.submitSurveyResponseService = async ({
   // After invite validation, update the initial log with contact info
   console.log(`   📇 Respondent: ${invite.contact?.email || 'Anonymous'}`);
 
+  // 🔍 Validate answers against the survey definition + logic path
+  const answerCheck = await validateSubmittedAnswers(invite.survey, payload.answers || []);
+  if (!answerCheck.valid) {
+    console.error(`   ❌ ${answerCheck.errors.length} invalid answer(s)`);
+    throw { status: 400, message: "Some answers are invalid", errors: answerCheck.errors };
+  }
+  payload.answers = answerCheck.answers;
+
   // 🔥 Extract NPS and rating from answers if not provided
   let { rating, score } = payload;
 
@@ -226,9 +241,10 @@ exports.submitSurveyResponseService = async ({
 
   // 2️⃣ Save response
   console.log(`\n💾 [Step 2] Creating response record...`);
-  const response = await SurveyResponse.create({
+  const responseData = {
     survey: invite.survey._id,
     tenant: invite.tenant,
+    invite: invite._id,
     contact: payload.isAnonymous ? null : contactId,
     user: user?._id || null,
     createdBy: user?._id,
@@ -240,8 +256,18 @@ exports.submitSurveyResponseService = async ({
     ip,
     metadata,  // Now properly defined
     completionTime: payload.completionTime || null,  // Changed from body to payload
-    startedAt: payload.startedAt || null  // Changed from body to payload
-  });
+    startedAt: payload.startedAt || null,  // Changed from body to payload
+    language: resolveResponseLanguage(invite.survey, { language: payload.language, acceptLanguage }),
+    surveyVersion: getResponseVersion(invite.survey),
+    wave: resolveResponseWave(invite.survey, invite)
+  };
+
+  // 🎯 Quotas: rejects (409) or screens out when the cap / a matching cell is full
+  const screenedOut = await applyQuotas(invite.survey, responseData);
+
+  // Completes the autosaved partial for this invite, if any
+  const partial = await findPartialForSubmit({ survey: invite.survey, invite });
+  const response = await saveSubmission(responseData, partial);
   console.log(`   ✅ Response created: ${response._id}`);
   if (rating !== undefined) console.log(`   Rating saved: ${rating}`);
   if (score !== undefined) console.log(`   NPS Score saved: ${score}`);
@@ -253,9 +279,16 @@ exports.submitSurveyResponseService = async ({
   console.log(`\n📝 [Step 3] Updating invite status...`);
   invite.status = "responded";
   invite.respondedAt = new Date();
+  invite.respondedAfterReminder = invite.reminderCount || 0;
   await invite.save();
   console.log(`   ✅ Invite marked as responded`);
 
+  // Screened-out respondents are done, but nothing downstream counts them
+  if (screenedOut) {
+    console.log(`   🚫 Screened out by quota (${response.screenOut.reason})`);
+    return response;
+  }
+
   // 4️⃣ 🔥 NEW: Sync to Contact.surveyStats
   if (invite.contact?.email) {
     console.log(`\n👤 [Step 4] Syncing to contact stats...`);
@@ -281,6 +314,12 @@ exports.submitSurveyResponseService = async ({
   });
   console.log(`   ✅ Post-processing queued`);
 
+  responseEvents.emit("response.submitted", { response, survey: invite.survey, tenantId: invite.tenant });
+
+  await afterSubmission(invite.survey).catch((err) => {
+    console.warn(`   ⚠️ Quota close check failed (non-blocking): ${err.message}`);
+  });
+
   Logger.info("surveyResponse", "Survey response submitted", {
     context: {
       surveyId: invite.survey._id,
@@ -297,4 +336,5 @@ exports.submitSurveyResponseService = async ({
   console.log(`${'*'.repeat(60)}\n`);
 
   return response;
-};
\ No newline at end of file
+};
+exports.getRequestMetadata = getRequestMetadata;
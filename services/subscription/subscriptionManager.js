@@ -24,6 +24,19 @@ class SubscriptionManager {
         this.gateway = PaymentGatewayFactory.getGateway(gatewayName);
     }
 
+    /**
+     * Gateway that holds a tenant's billing account (falls back to the default gateway)
+     * @param {Object} subscription - TenantSubscription document
+     * @returns {PaymentGateway}
+     */
+    _gatewayFor(subscription) {
+        const name = subscription?.payment?.gateway;
+        if (name && PaymentGatewayFactory.isSupported(name)) {
+            return PaymentGatewayFactory.getGateway(name);
+        }
+        return this.gateway;
+    }
+
     /**
      * Subscribe a tenant to a plan
      * @param {string} tenantId - Tenant ObjectId
@@ -41,31 +54,30 @@ class SubscriptionManager {
 
             // 2. Get or create subscription record
             let subscription = await TenantSubscription.findOrCreateForTenant(tenantId);
+            const gateway = this._gatewayFor(subscription);
 
             // 3. Get or create payment gateway customer
             if (!subscription.payment.customerId) {
                 const tenant = await Tenant.findById(tenantId).populate('admin', 'email name');
 
-                const customerResult = await this.gateway.createCustomer({
+                const customerResult = await gateway.createCustomer({
                     email: tenant.contactEmail || tenant.admin.email,
                     name: tenant.name,
                     tenantId: tenantId.toString()
                 });
 
-                subscription.payment.gateway = this.gateway.getName();
+                subscription.payment.gateway = gateway.getName();
                 subscription.payment.customerId = customerResult.customerId;
                 await subscription.save();
             }
 
             // 4. Get the correct price ID based on billing cycle
             const billingCycle = options.billingCycle || 'monthly';
-            const priceId = billingCycle === 'yearly'
-                ? plan.stripe?.yearlyPriceId
-                : plan.stripe?.monthlyPriceId;
+            const priceId = gateway.resolvePlanPrice(plan, billingCycle);
 
             if (!priceId) {
-                // If no Stripe price configured, just apply features without payment
-                console.log('⚠️ No Stripe price ID configured, applying plan without payment');
+                // If no gateway price configured, just apply features without payment
+                console.log(`⚠️ No ${gateway.getName()} price configured, applying plan without payment`);
                 await subscription.applyPlanFeatures(plan);
                 subscription.billing.status = 'active';
                 subscription.billing.cycle = billingCycle;
@@ -79,11 +91,12 @@ class SubscriptionManager {
             }
 
             // 5. Create payment gateway subscription
-            const subResult = await this.gateway.createSubscription(
+            const subResult = await gateway.createSubscription(
                 subscription.payment.customerId,
                 priceId,
                 {
                     trialDays: plan.trial?.enabled ? plan.trial.days : 0,
+                    paymentMethodId: options.paymentMethodId,
                     metadata: {
                         tenantId: tenantId.toString(),
                         planCode: planCode
@@ -151,12 +164,11 @@ class SubscriptionManager {
 
             // Update payment gateway subscription if exists
             if (subscription.payment.subscriptionId) {
-                const priceId = subscription.billing.cycle === 'yearly'
-                    ? newPlan.stripe?.yearlyPriceId
-                    : newPlan.stripe?.monthlyPriceId;
+                const gateway = this._gatewayFor(subscription);
+                const priceId = gateway.resolvePlanPrice(newPlan, subscription.billing.cycle);
 
                 if (priceId) {
-                    await this.gateway.updateSubscription(
+                    await gateway.updateSubscription(
                         subscription.payment.subscriptionId,
                         { priceId, prorationBehavior: 'create_prorations' }
                     );
@@ -211,13 +223,12 @@ class SubscriptionManager {
 
             // Update gateway subscription to change at period end
             if (subscription.payment.subscriptionId) {
-                const priceId = subscription.billing.cycle === 'yearly'
-                    ? newPlan.stripe?.yearlyPriceId
-                    : newPlan.stripe?.monthlyPriceId;
+                const gateway = this._gatewayFor(subscription);
+                const priceId = gateway.resolvePlanPrice(newPlan, subscription.billing.cycle);
 
                 if (priceId) {
-                    // Stripe will handle the change at period end
-                    await this.gateway.updateSubscription(
+                    // The gateway charges the new price from the next renewal
+                    await gateway.updateSubscription(
                         subscription.payment.subscriptionId,
                         { priceId, prorationBehavior: 'none' }
                     );
@@ -259,7 +270,7 @@ class SubscriptionManager {
 
             // Cancel in payment gateway
             if (subscription.payment.subscriptionId) {
-                await this.gateway.cancelSubscription(
+                await this._gatewayFor(subscription).cancelSubscription(
                     subscription.payment.subscriptionId,
                     immediate
                 );
@@ -312,32 +323,31 @@ class SubscriptionManager {
             }
 
             let subscription = await TenantSubscription.findOrCreateForTenant(tenantId);
+            const gateway = this._gatewayFor(subscription);
 
             // Ensure customer exists
             if (!subscription.payment.customerId) {
                 const tenant = await Tenant.findById(tenantId).populate('admin', 'email name');
 
-                const customerResult = await this.gateway.createCustomer({
+                const customerResult = await gateway.createCustomer({
                     email: tenant.contactEmail || tenant.admin.email,
                     name: tenant.name,
                     tenantId: tenantId.toString()
                 });
 
-                subscription.payment.gateway = this.gateway.getName();
+                subscription.payment.gateway = gateway.getName();
                 subscription.payment.customerId = customerResult.customerId;
                 await subscription.save();
             }
 
             const billingCycle = options.billingCycle || 'monthly';
-            const priceId = billingCycle === 'yearly'
-                ? plan.stripe?.yearlyPriceId
-                : plan.stripe?.monthlyPriceId;
+            const priceId = gateway.resolvePlanPrice(plan, billingCycle);
 
             if (!priceId) {
                 throw new Error('Price not configured for this plan');
             }
 
-            const session = await this.gateway.createCheckoutSession(
+            const session = await gateway.createCheckoutSession(
                 subscription.payment.customerId,
                 priceId,
                 {
@@ -375,7 +385,7 @@ class SubscriptionManager {
                 throw new Error('No billing account found');
             }
 
-            const session = await this.gateway.createBillingPortalSession(
+            const session = await this._gatewayFor(subscription).createBillingPortalSession(
                 subscription.payment.customerId,
                 returnUrl
             );
@@ -399,12 +409,13 @@ class SubscriptionManager {
      */
     async handleWebhook(gateway, payload, signature) {
         try {
-            this.setGateway(gateway);
-            const event = await this.gateway.handleWebhook(payload, signature);
+            // Resolve per call: webhooks must not switch the default gateway
+            const eventGateway = PaymentGatewayFactory.getGateway(gateway);
+            const event = await eventGateway.handleWebhook(payload, signature);
 
             switch (event.type) {
                 case 'checkout.completed':
-                    await this._handleCheckoutCompleted(event.data, event.raw);
+                    await this._handleCheckoutCompleted(event.data, event.raw, eventGateway.getName());
                     break;
                 case 'checkout.expired':
                     await this._handleCheckoutExpired(event.data);
@@ -425,6 +436,9 @@ class SubscriptionManager {
                 case 'subscription.trial_ending':
                     await this._handleTrialEnding(event.data);
                     break;
+                case 'payment_method.updated':
+                    await this._handlePaymentMethodUpdated(event.data, eventGateway);
+                    break;
             }
 
             return { success: true, handled: event.type };
@@ -441,9 +455,10 @@ class SubscriptionManager {
      * Creates Tenant + promotes User + creates TenantSubscription atomically
      * This is the ONLY place where tenant provisioning happens for paid plans
      */
-    async _handleCheckoutCompleted(data, rawEvent) {
+    async _handleCheckoutCompleted(data, rawEvent, gatewayName = 'stripe') {
         const metadata = data.metadata || {};
-        const { userId, planCode, billingCycle, stripeCustomerId } = metadata;
+        const { userId, planCode, billingCycle } = metadata;
+        const customerId = metadata.customerId || metadata.stripeCustomerId || data.customer;
 
         if (!userId || !planCode) {
             console.error('❌ checkout.completed missing metadata: userId or planCode');
@@ -515,8 +530,8 @@ class SubscriptionManager {
                     currentPeriodEnd: data.subscription ? undefined : undefined
                 },
                 payment: {
-                    gateway: 'stripe',
-                    customerId: stripeCustomerId || data.customer,
+                    gateway: gatewayName,
+                    customerId,
                     subscriptionId: data.subscription
                 },
                 onboardingStatus: 'awaiting_setup',
@@ -567,8 +582,9 @@ class SubscriptionManager {
             await this._logSubscriptionAction(tenant._id, 'SUBSCRIPTION_ACTIVATED_VIA_WEBHOOK', {
                 planCode,
                 billingCycle,
-                stripeSessionId: data.id,
-                customerId: stripeCustomerId || data.customer
+                gateway: gatewayName,
+                checkoutSessionId: data.id,
+                customerId
             });
 
         } catch (error) {
@@ -682,11 +698,76 @@ class SubscriptionManager {
         }
     }
 
+    /**
+     * Customer saved a new card (Tap card-update flow) — renew with it from now on
+     */
+    async _handlePaymentMethodUpdated(data, gateway) {
+        const subscription = await TenantSubscription.findByGatewayCustomer(gateway.getName(), data.customer);
+        if (!subscription) return;
+
+        subscription.payment.paymentMethodId = data.paymentMethodId;
+        await subscription.save();
+
+        if (subscription.payment.subscriptionId) {
+            await gateway.updateSubscription(subscription.payment.subscriptionId, {
+                paymentMethodId: data.paymentMethodId
+            });
+        }
+    }
+
     async _handleTrialEnding(data) {
         // TODO: Send notification about trial ending
         console.log('⚠️ Trial ending for subscription:', data.id);
     }
 
+    // ============ RECONCILIATION ============
+
+    /**
+     * Pull renewals and period-end cancellations from gateways that don't send
+     * subscription lifecycle webhooks (Tap). Runs on subscriptions whose
+     * current period has ended and feeds the gateway state through the same
+     * handlers as webhook events.
+     * @param {Date} now
+     * @returns {Promise<{ checked: number, cancelled: number, failed: number }>}
+     */
+    async reconcileGatewaySubscriptions(now = new Date()) {
+        const subscriptions = await TenantSubscription.find({
+            'payment.gateway': 'tap',
+            'payment.subscriptionId': { $type: 'string' },
+            'billing.status': { $in: ['active', 'trialing', 'past_due', 'cancel_pending'] },
+            'billing.currentPeriodEnd': { $lte: now }
+        }).select('payment billing');
+
+        const result = { checked: 0, cancelled: 0, failed: 0 };
+
+        for (const subscription of subscriptions) {
+            try {
+                const gatewaySub = await this._gatewayFor(subscription)
+                    .getSubscription(subscription.payment.subscriptionId);
+                const data = {
+                    id: gatewaySub.subscriptionId,
+                    status: gatewaySub.status,
+                    current_period_start: Math.floor(gatewaySub.currentPeriodStart.getTime() / 1000),
+                    current_period_end: Math.floor(gatewaySub.currentPeriodEnd.getTime() / 1000),
+                    cancel_at_period_end: gatewaySub.cancelAtPeriodEnd
+                };
+
+                if (gatewaySub.status === 'canceled') {
+                    await this._handleSubscriptionCancelled(data);
+                    result.cancelled++;
+                } else {
+                    await this._handleSubscriptionUpdate(data);
+                }
+                result.checked++;
+            } catch (error) {
+                result.failed++;
+                console.error(`❌ Reconcile failed for subscription ${subscription.payment.subscriptionId}:`, error.message);
+            }
+        }
+
+        return result;
+    }
+
     async _logSubscriptionAction(tenantId, action, data) {
         try {
             // Convert SUBSCRIPTION_UPGRADED → subscription:upgraded to match schema enum
@@ -1,38 +1,135 @@
 // services/survey/schedulingService.js
+const recurrenceService = require("./recurrenceService");
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseInTimezone,
+  formatInTimezone
+} = require("../../utils/timezone");
+
+const PREVIEW_RUNS = 5;
+
 module.exports = {
   applySchedule(survey, data) {
     const { startDate, endDate, timezone, autoPublish, repeat } = data;
 
-    const start = new Date(startDate);
-    const end = endDate ? new Date(endDate) : null;
+    const tz = timezone || survey.schedule?.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(tz)) {
+      throw new Error(`Invalid timezone: ${tz}`);
+    }
+
+    // Local datetimes ("2026-03-29T09:00") are wall-clock time in the survey timezone
+    const start = parseInTimezone(startDate, tz);
+    const end = parseInTimezone(endDate, tz);
     const now = new Date();
 
-    if (isNaN(start.getTime())) {
+    if (!start || isNaN(start.getTime())) {
       throw new Error("Invalid startDate");
     }
 
+    if (end && isNaN(end.getTime())) {
+      throw new Error("Invalid endDate");
+    }
+
     if (end && start >= end) {
       throw new Error("startDate must be before endDate");
     }
 
+    // Wave cursor (nextRunAt / lastRunAt) belongs to recurrenceService, not the client
+    const previousRepeat = survey.schedule?.repeat || {};
+
     // Save schedule block
     survey.schedule = {
       startDate: start,
       endDate: end,
-      timezone: timezone || "Asia/Karachi",
+      timezone: tz,
       autoPublish: !!autoPublish,
-      repeat: repeat || { enabled: false, frequency: "none" },
+      repeat: {
+        ...(repeat || { enabled: false, frequency: "none" }),
+        nextRunAt: previousRepeat.nextRunAt || null,
+        lastRunAt: previousRepeat.lastRunAt || null
+      },
       publishedAt: null
     };
 
+    // Already running recurring survey: keep opening waves on the new cadence
+    recurrenceService.rescheduleNextRun(survey, now);
+
     // Status logic
     if (autoPublish && start <= now) {
       survey.status = "active";
       survey.schedule.publishedAt = now;
+      recurrenceService.startFirstWave(survey, { openedAt: now, method: "auto" });
     } else {
       survey.status = "scheduled";
     }
 
     return survey;
+  },
+
+  /**
+   * Upcoming open times for a schedule: the start date for a survey that is
+   * not live yet, then every recurring wave until endDate.
+   * @param {Object} schedule - survey.schedule
+   * @param {Number} count - Max number of runs to return
+   * @returns {Array<Date>}
+   */
+  getUpcomingRuns(schedule, count = PREVIEW_RUNS) {
+    if (!schedule?.startDate) return [];
+
+    const tz = schedule.timezone || DEFAULT_TIMEZONE;
+    const now = new Date();
+    const end = schedule.endDate ? new Date(schedule.endDate) : null;
+    const recurring = recurrenceService.isRecurring({ schedule });
+    const anchor = recurrenceService.getScheduleAnchor(schedule);
+
+    const runs = [];
+    let cursor = schedule.repeat?.nextRunAt && schedule.publishedAt
+      ? new Date(schedule.repeat.nextRunAt)
+      : new Date(schedule.startDate);
+
+    // Skip slots already in the past (e.g. preview of a schedule that started long ago)
+    while (recurring && cursor < now) {
+      cursor = recurrenceService.computeNextRunAt(cursor, schedule.repeat.frequency, tz, anchor);
+    }
+
+    while (cursor && runs.length < count && (!end || cursor < end)) {
+      if (cursor >= now) runs.push(cursor);
+      if (!recurring) break;
+      cursor = recurrenceService.computeNextRunAt(cursor, schedule.repeat.frequency, tz, anchor);
+    }
+
+    return runs;
+  },
+
+  /**
+   * Schedule payload for API responses: UTC instants plus the same values as
+   * local datetimes in the survey timezone, and a preview of the next runs.
+   * @param {Object} schedule - survey.schedule
+   * @returns {Object}
+   */
+  formatSchedule(schedule) {
+    if (!schedule) return null;
+
+    const plain = typeof schedule.toObject === "function" ? schedule.toObject() : { ...schedule };
+    const tz = plain.timezone || DEFAULT_TIMEZONE;
+
+    return {
+      ...plain,
+      timezone: tz,
+      local: {
+        startDate: formatInTimezone(plain.startDate, tz),
+        endDate: formatInTimezone(plain.endDate, tz),
+        publishedAt: formatInTimezone(plain.publishedAt, tz),
+        nextRunAt: formatInTimezone(plain.repeat?.nextRunAt, tz)
+      },
+      upcomingRuns: module.exports.getUpcomingRuns(plain).map(at => ({
+        at,
+        local: formatInTimezone(at, tz)
+      })),
+      closesAt: plain.endDate
+        ? { at: plain.endDate, local: formatInTimezone(plain.endDate, tz) }
+        : null
+    };
   }
 };
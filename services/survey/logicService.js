@@ -0,0 +1,118 @@
+// services/survey/logicService.js
+// ============================================================================
+// Survey Logic Service
+//
+// Loads a survey's branch rules (per-question logicRules + active LogicRule
+// documents) into the shared utils/logicEngine.js model, so the renderer
+// payload, the evaluate endpoints and submit validation agree on the path.
+// ============================================================================
+
+const LogicRule = require("../../models/LogicRule");
+const {
+  buildLogicModel,
+  evaluateSurvey,
+  toAnswerMap,
+} = require("../../utils/logicEngine");
+
+const isEmptyAnswer = (answer) =>
+  answer === undefined ||
+  answer === null ||
+  answer === "" ||
+  (Array.isArray(answer) && answer.length === 0);
+
+/**
+ * Build the logic model for a survey
+ * @param {Object} survey - Survey doc or lean object (questions, sections)
+ * @param {Object} options
+ * @param {Array} options.questions - Override question list (e.g. publishedSnapshot.questions)
+ * @param {Array} options.sections - Override section list (e.g. publishedSnapshot.sections)
+ * @returns {Promise<Object>} Logic model (see buildLogicModel)
+ */
+exports.getLogicModel = async (survey, { questions, sections } = {}) => {
+  const logicRules = await LogicRule.find({ survey: survey._id, isActive: true })
+    .sort({ priority: -1 })
+    .lean();
+
+  return buildLogicModel(
+    {
+      questions: questions || survey.questions || [],
+      sections: sections || survey.sections || [],
+    },
+    logicRules
+  );
+};
+
+/**
+ * Logic block shipped with the public survey payload. The renderer evaluates
+ * it locally with the same semantics as utils/logicEngine.js.
+ * @param {Object} survey
+ * @returns {Promise<Object>} { sections, order, aliases, rules, questions: [{ id, rules, defaultNextQuestionId }], initial }
+ */
+exports.getRendererLogic = async (survey) => {
+  const model = await exports.getLogicModel(survey);
+  const initial = evaluateSurvey(model, {});
+
+  return {
+    order: model.order,
+    sections: model.sections,
+    aliases: model.aliases,
+    questions: model.questions.map(({ id, sectionId, rules, defaultNextQuestionId }) => ({
+      id,
+      sectionId,
+      rules,
+      defaultNextQuestionId,
+    })),
+    rules: model.rules,
+    initial: {
+      path: initial.path,
+      hidden: initial.hidden,
+      prefill: initial.prefill,
+      nextQuestionId: initial.nextQuestionId,
+    },
+  };
+};
+
+/**
+ * Evaluate the survey for the answers collected so far
+ * @param {Object} survey
+ * @param {Object|Array} answers - { questionId: answer } or [{ questionId, answer }]
+ * @returns {Promise<Object>} evaluateSurvey result
+ */
+exports.evaluate = async (survey, answers) => {
+  const model = await exports.getLogicModel(survey);
+  return evaluateSurvey(model, answers);
+};
+
+/**
+ * Check submitted answers against the logic path: answers to questions the
+ * respondent could not have reached are rejected.
+ *
+ * @param {Object} survey
+ * @param {Array} answers - [{ questionId, answer }]
+ * @param {Object} options
+ * @param {Array} options.questions - Override question list (e.g. publishedSnapshot.questions)
+ * @param {Array} options.sections - Override section list (e.g. publishedSnapshot.sections)
+ * @returns {Promise<{ valid: Boolean, errors: Array, result: Object }>}
+ */
+exports.validateAnswersAgainstLogic = async (survey, answers, { questions, sections } = {}) => {
+  const model = await exports.getLogicModel(survey, { questions, sections });
+  const result = evaluateSurvey(model, answers);
+
+  const onPath = new Set(result.path);
+  const answerMap = toAnswerMap(answers, model);
+  const errors = [];
+
+  Object.entries(answerMap).forEach(([questionId, answer]) => {
+    // Unknown ids are left to answer validation; only skipped questions matter here
+    if (!model.order.includes(questionId) || isEmptyAnswer(answer)) return;
+    if (!onPath.has(questionId)) {
+      errors.push({
+        questionId,
+        code: "UNREACHABLE",
+        message: "Question is not reachable with the given answers",
+      });
+    }
+  });
+
+  return { valid: errors.length === 0, errors, result };
+};
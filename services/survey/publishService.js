@@ -2,11 +2,14 @@
 const Survey = require("../../models/Survey");
 const Contact = require("../../models/ContactManagement");
 const Tenant = require("../../models/Tenant");
-const Notification = require("../../models/Notification");
+const notificationService = require("../notifications/notificationService");
 const { validateSurveyForPublish } = require("../../validators/publishValidator");
 const resolveAudience = require("../distribution/resolveAudienceService");
 const { createBulkSurveyInvites } = require("../distribution/createSurveyInvitesService");  // 🔥 FIX
 const sendSurveyInvites = require("../email/sendSurveyInviteService"); // ✅ Add email service
+const recurrenceService = require("./recurrenceService");
+const versionService = require("./versionService");
+const { dispatchEvent } = require("../webhook/webhookService");
 
 /**
  * Parse frontend targetAudience format to backend format
@@ -116,6 +119,8 @@ module.exports.publish = async ({ surveyId, surveyData, tenantId, userId }) => {
       description: surveyData.description,
       category: surveyData.category,
       language: surveyData.language,
+      fallbackLanguages: surveyData.fallbackLanguages,
+      translations: surveyData.translations,
       themeColor: surveyData.themeColor,
       questions: surveyData.questions,
       settings: surveyData.settings,
@@ -213,10 +218,14 @@ module.exports.publish = async ({ surveyId, surveyData, tenantId, userId }) => {
   // Create invites using createSurveyInvitesService
   console.log("📨 [publishService] Creating invites...");
 
+  // Recurring surveys: first publish opens wave 1
+  const firstWave = recurrenceService.isRecurring(survey) && !survey.currentWave ? 1 : null;
+
   const invites = await createBulkSurveyInvites({  // 🔥 FIX: renamed function
     surveyId: survey._id,
     tenantId: tenantObjectId,
-    contacts: finalRecipients
+    contacts: finalRecipients,
+    wave: firstWave
   });
 
   console.log("📨 [publishService] Invites created:", invites.length);
@@ -237,12 +246,8 @@ module.exports.publish = async ({ surveyId, surveyData, tenantId, userId }) => {
     console.log("📧 [publishService] Invitation emails sent");
   }
 
-  // ⬅️ Version lock - snapshot questions
-  survey.publishedSnapshot = {
-    questions: survey.questions,
-    lockedAt: new Date()
-  };
-  survey.version = (survey.version || 0) + 1;
+  // ⬅️ Version lock - immutable version record + questions snapshot
+  await versionService.recordVersion(survey, { userId, method: "publish" });
 
   // Update survey data
   survey.status = "active";
@@ -257,6 +262,12 @@ module.exports.publish = async ({ surveyId, surveyData, tenantId, userId }) => {
     timestamp: new Date()
   });
 
+  recurrenceService.startFirstWave(survey, {
+    openedAt: survey.schedule.publishedAt,
+    method: "manual",
+    invitesSent: invites.length
+  });
+
   await survey.save();
 
   // ── Create in-app notifications on publish ────────────────────────
@@ -266,7 +277,7 @@ module.exports.publish = async ({ surveyId, surveyData, tenantId, userId }) => {
       survey.responsibleUserId.toString() !== userId.toString()) {
       notificationRecipients.push(survey.responsibleUserId);
     }
-    await Notification.createBatch(notificationRecipients.map(uid => ({
+    await notificationService.createBatchNotifications(notificationRecipients.map(uid => ({
       user: uid,
       scope: "tenant",
       tenant: tenantObjectId,
@@ -276,13 +287,22 @@ module.exports.publish = async ({ surveyId, surveyData, tenantId, userId }) => {
       priority: "medium",
       reference: { type: "Survey", id: survey._id },
       actionUrl: `/app/surveys/${survey._id}`,
-      source: "system"
+      source: "system",
+      event: "systemAlerts"
     })));
   } catch (notifErr) {
     // Non-blocking: notification failure should not fail the publish
     console.error("[publishService] Notification creation failed:", notifErr.message);
   }
 
+  dispatchEvent(tenantObjectId, "survey.published", {
+    surveyId: survey._id,
+    title: survey.title,
+    publishedAt: survey.schedule.publishedAt,
+    method: "manual",
+    recipientsCount: invites.length
+  });
+
   console.log("✅ [publishService] Survey published successfully");
 
   return {
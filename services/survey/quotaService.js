@@ -0,0 +1,274 @@
+// services/survey/quotaService.js
+// ============================================================================
+// Response Quotas & Sampling
+//
+// Survey.quotas holds a total cap (maxResponses) and quota cells, e.g.
+//   { name: "Riyadh", limit: 200, conditions: [{ source: "metadata", field: "location", operator: "includes", value: "Riyadh" }] }
+//   { name: "Per department", limit: 100, groupBy: { source: "answer", field: "q_department" } }
+// Conditions use the logic engine operators against the respondent's answers
+// or SurveyResponse.metadata (device, browser, os, location) and language.
+//
+// Submitted responses are stamped with the cells they count toward
+// (SurveyResponse.quotaCells: "cellId" or "cellId:value"), so fill counts are
+// plain indexed counts. When the cap or a matching cell is full the
+// respondent is rejected (409, nothing saved) or screened out (saved as
+// status "screened_out", hidden from analytics) with the configured message.
+// Checks run just before saving, so simultaneous submits can overshoot a
+// cell by a response or two.
+// ============================================================================
+
+const mongoose = require("mongoose");
+const Survey = require("../../models/Survey");
+const SurveyResponse = require("../../models/SurveyResponse");
+const { evaluateCondition, toAnswerMap } = require("../../utils/logicEngine");
+const { dispatchEvent } = require("../webhook/webhookService");
+const Logger = require("../../utils/auditLog");
+
+const METADATA_FIELDS = ["device", "browser", "os", "location", "language"];
+
+const DEFAULT_MESSAGE = "Thank you for your interest. We have already received enough responses for this survey.";
+
+const isEmpty = (value) => value === undefined || value === null || value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Values quota conditions are evaluated against
+ * @param {Object} submission - { answers, metadata, language }
+ */
+const buildQuotaContext = ({ answers = [], metadata = {}, language = null }) => ({
+  answers: toAnswerMap(answers),
+  metadata: { ...metadata, language },
+});
+
+const getFieldValue = (context, { source, field }) => (source === "metadata"
+  ? context.metadata[field]
+  : context.answers[field]);
+
+// Grouped cells: one key per distinct value (each selected option for multi-choice)
+const toGroupValues = (value) => (Array.isArray(value) ? value : [value])
+  .filter(v => !isEmpty(v))
+  .map(v => String(v).trim().toLowerCase());
+
+/**
+ * Cell keys a submission falls into for one cell
+ * @returns {String[]} [] when it doesn't match
+ */
+const matchCell = (cell, context) => {
+  const matches = (cell.conditions || []).every(condition =>
+    evaluateCondition(getFieldValue(context, condition), condition.operator, condition.value)
+  );
+  if (!matches) return [];
+
+  if (!cell.groupBy?.field) return [cell.id];
+  return toGroupValues(getFieldValue(context, cell.groupBy)).map(value => `${cell.id}:${value}`);
+};
+
+const getActiveCells = (survey) => (survey.quotas?.cells || []).filter(cell => cell.isActive !== false);
+
+/**
+ * Every cell key a submission counts toward
+ */
+const getQuotaCells = (survey, context) =>
+  getActiveCells(survey).flatMap(cell => matchCell(cell, context));
+
+const countSubmitted = (surveyId, extra = {}) =>
+  SurveyResponse.countDocuments({ survey: surveyId, status: "submitted", ...extra });
+
+/**
+ * Check a submission against the survey's quotas before it is saved
+ * @param {Object} survey - Survey document
+ * @param {Object} submission - { answers, metadata, language }
+ * @returns {Promise<{ allowed: Boolean, quotaCells: String[], action?, message?, reason?, cell? }>}
+ */
+const checkQuotas = async (survey, submission) => {
+  const quotas = survey.quotas;
+  if (!quotas?.enabled) return { allowed: true, quotaCells: [] };
+
+  const blocked = (reason, cell = null) => ({
+    allowed: false,
+    quotaCells: [],
+    reason,
+    cell: cell?.id || null,
+    action: cell?.action || quotas.action || "reject",
+    message: cell?.message || quotas.message || DEFAULT_MESSAGE,
+  });
+
+  if (quotas.maxResponses && await countSubmitted(survey._id) >= quotas.maxResponses) {
+    return blocked("total");
+  }
+
+  const context = buildQuotaContext(submission);
+  const cellsById = new Map(getActiveCells(survey).map(cell => [cell.id, cell]));
+  const quotaCells = getQuotaCells(survey, context);
+
+  for (const key of quotaCells) {
+    const cell = cellsById.get(key.split(":")[0]);
+    if (await countSubmitted(survey._id, { quotaCells: key }) >= cell.limit) {
+      return blocked("cell", cell);
+    }
+  }
+
+  return { allowed: true, quotaCells };
+};
+
+/**
+ * Apply the quota decision to a response about to be saved: rejections
+ * throw 409, screen-outs mark the response data as screened_out.
+ * @param {Object} survey
+ * @param {Object} responseData - SurveyResponse fields (mutated)
+ * @returns {Promise<Boolean>} true when the respondent is screened out
+ */
+const applyQuotas = async (survey, responseData) => {
+  const result = await checkQuotas(survey, responseData);
+
+  if (result.allowed) {
+    if (result.quotaCells.length) responseData.quotaCells = result.quotaCells;
+    return false;
+  }
+
+  Logger.info("surveyQuota", `Quota full, respondent ${result.action === "screen_out" ? "screened out" : "rejected"}`, {
+    context: { surveyId: survey._id, reason: result.reason, cell: result.cell },
+  });
+
+  if (result.action !== "screen_out") {
+    throw { status: 409, code: "QUOTA_FULL", message: result.message };
+  }
+
+  responseData.status = "screened_out";
+  responseData.screenOut = {
+    reason: result.reason,
+    cell: result.cell,
+    message: result.message,
+    at: new Date(),
+  };
+  return true;
+};
+
+/**
+ * After a counted submission: close the survey once its total cap is
+ * reached (quotas.closeWhenFull)
+ */
+const afterSubmission = async (survey) => {
+  const quotas = survey.quotas;
+  if (!quotas?.enabled || !quotas.maxResponses || !quotas.closeWhenFull) return false;
+  if (await countSubmitted(survey._id) < quotas.maxResponses) return false;
+
+  const closed = await Survey.findOneAndUpdate(
+    { _id: survey._id, status: "active" },
+    { $set: { status: "closed" } },
+    { new: true }
+  );
+  if (!closed) return false;
+
+  dispatchEvent(closed.tenant, "survey.closed", {
+    surveyId: closed._id,
+    title: closed.title,
+    closedAt: new Date(),
+    reason: "quota",
+    totalResponses: closed.totalResponses,
+  });
+
+  Logger.info("surveyQuota", "Survey closed: response cap reached", {
+    context: { surveyId: closed._id, maxResponses: quotas.maxResponses },
+  });
+  return true;
+};
+
+const percent = (count, limit) => (limit ? Math.min(100, Math.round((count / limit) * 1000) / 10) : null);
+
+/**
+ * Live fill status of the total cap and every cell
+ */
+const getQuotaStatus = async (surveyId, tenantId) => {
+  if (!mongoose.Types.ObjectId.isValid(surveyId)) {
+    throw { status: 404, message: "Survey not found" };
+  }
+  const survey = await Survey.findOne({ _id: surveyId, tenant: tenantId, deleted: false })
+    .select("title status quotas")
+    .lean();
+  if (!survey) {
+    throw { status: 404, message: "Survey not found" };
+  }
+
+  const quotas = survey.quotas || {};
+  const [total, cellCounts, screenedOut] = await Promise.all([
+    countSubmitted(survey._id),
+    SurveyResponse.aggregate([
+      { $match: { survey: survey._id, status: "submitted", quotaCells: { $exists: true } } },
+      { $unwind: "$quotaCells" },
+      { $group: { _id: "$quotaCells", count: { $sum: 1 } } },
+    ]),
+    SurveyResponse.aggregate([
+      { $match: { survey: survey._id, status: "screened_out" } },
+      { $group: { _id: { reason: "$screenOut.reason", cell: "$screenOut.cell" }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countByKey = new Map(cellCounts.map(c => [c._id, c.count]));
+  const screenedByCell = new Map(screenedOut.map(s => [s._id.cell || "total", s.count]));
+
+  const cells = (quotas.cells || []).map(cell => {
+    const base = {
+      id: cell.id,
+      name: cell.name,
+      limit: cell.limit,
+      isActive: cell.isActive !== false,
+      action: cell.action || quotas.action || "reject",
+      screenedOut: screenedByCell.get(cell.id) || 0,
+    };
+
+    if (!cell.groupBy?.field) {
+      const count = countByKey.get(cell.id) || 0;
+      return { ...base, count, remaining: Math.max(0, cell.limit - count), percent: percent(count, cell.limit), full: count >= cell.limit };
+    }
+
+    const prefix = `${cell.id}:`;
+    const groups = [...countByKey]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, count]) => ({
+        value: key.slice(prefix.length),
+        count,
+        remaining: Math.max(0, cell.limit - count),
+        percent: percent(count, cell.limit),
+        full: count >= cell.limit,
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      ...base,
+      groupBy: cell.groupBy,
+      count: groups.reduce((sum, g) => sum + g.count, 0),
+      groups,
+      fullGroups: groups.filter(g => g.full).length,
+    };
+  });
+
+  return {
+    surveyId: survey._id,
+    title: survey.title,
+    status: survey.status,
+    enabled: Boolean(quotas.enabled),
+    total: {
+      count: total,
+      limit: quotas.maxResponses || null,
+      remaining: quotas.maxResponses ? Math.max(0, quotas.maxResponses - total) : null,
+      percent: percent(total, quotas.maxResponses),
+      full: Boolean(quotas.maxResponses) && total >= quotas.maxResponses,
+    },
+    cells,
+    screenedOut: screenedOut.reduce((sum, s) => sum + s.count, 0),
+    updatedAt: new Date(),
+  };
+};
+
+module.exports = {
+  METADATA_FIELDS,
+  DEFAULT_MESSAGE,
+  buildQuotaContext,
+  matchCell,
+  getQuotaCells,
+  checkQuotas,
+  applyQuotas,
+  afterSubmission,
+  getQuotaStatus,
+};
@@ -0,0 +1,330 @@
+// services/survey/recurrenceService.js
+const Survey = require("../../models/Survey");
+const SurveyInvite = require("../../models/SurveyInvite");
+const Tenant = require("../../models/Tenant");
+const resolveSurveyRecipients = require("../../utils/resolveSurveyRecipients");
+const { createBulkSurveyInvites, renderInviteMessage } = require("../distribution/createSurveyInvitesService");
+const { sendInviteSMS } = require("../distribution/smsService");
+const { sendInviteWhatsApp, getTenantWhatsAppConfig } = require("../distribution/whatsappService");
+const sendSurveyInvites = require("../email/sendSurveyInviteService");
+const Logger = require("../../utils/auditLog");
+const { DEFAULT_TIMEZONE, addPeriodInTimezone, getZonedParts } = require("../../utils/timezone");
+
+const RECURRING_FREQUENCIES = ["daily", "weekly", "monthly"];
+
+/**
+ * Whether the survey's schedule asks for recurring waves
+ * @param {Object} survey - Survey document (or lean object)
+ * @returns {Boolean}
+ */
+const isRecurring = (survey) => {
+  const repeat = survey?.schedule?.repeat;
+  return !!repeat?.enabled && RECURRING_FREQUENCIES.includes(repeat.frequency);
+};
+
+/**
+ * Wall-clock slot waves run at: the schedule start's time of day (and day of
+ * month, for monthly waves) in the survey timezone. A run moved by a DST gap
+ * or clamped to the 28th goes back to the start's slot afterwards.
+ * @param {Object} schedule - survey.schedule
+ * @returns {{ day, hour, minute, second }|null}
+ */
+const getScheduleAnchor = (schedule) => (schedule?.startDate
+  ? getZonedParts(new Date(schedule.startDate), schedule.timezone || DEFAULT_TIMEZONE)
+  : null);
+
+/**
+ * Compute the start of the period following `from`, keeping the same
+ * wall-clock time in the survey's timezone (DST-safe)
+ * @param {Date} from - Start of the current wave
+ * @param {String} frequency - daily | weekly | monthly
+ * @param {String} timezone - IANA timezone of the survey schedule
+ * @param {Object} [anchor] - Wall-clock slot to run at (getScheduleAnchor)
+ * @returns {Date|null}
+ */
+const computeNextRunAt = (from, frequency, timezone = DEFAULT_TIMEZONE, anchor = null) => {
+  if (!RECURRING_FREQUENCIES.includes(frequency)) return null;
+  return addPeriodInTimezone(from, frequency, timezone, anchor);
+};
+
+/**
+ * Record a new wave on the survey and move the schedule cursor forward.
+ * The next run is stepped from the scheduled slot (`anchor`), not from the
+ * moment the cron happened to fire, so waves stay on the admin's wall-clock
+ * time; missed periods (e.g. downtime) are skipped rather than replayed.
+ * Does not save the survey.
+ */
+const recordWave = (survey, { openedAt, method, invitesSent, anchor = openedAt }) => {
+  const number = (survey.currentWave || 0) + 1;
+  const { frequency } = survey.schedule.repeat;
+  const timezone = survey.schedule.timezone;
+  const slot = getScheduleAnchor(survey.schedule);
+
+  survey.currentWave = number;
+  survey.waves = survey.waves || [];
+  survey.waves.push({ number, openedAt, method, invitesSent });
+
+  let nextRunAt = computeNextRunAt(anchor, frequency, timezone, slot);
+  while (nextRunAt && nextRunAt <= openedAt) {
+    nextRunAt = computeNextRunAt(nextRunAt, frequency, timezone, slot);
+  }
+
+  survey.schedule.repeat.lastRunAt = openedAt;
+  survey.schedule.repeat.nextRunAt = nextRunAt;
+
+  return number;
+};
+
+/**
+ * Open wave 1 of a recurring survey at publish time.
+ * The publishing flow is responsible for sending the wave 1 invites.
+ * Does not save the survey; no-op for one-off surveys.
+ *
+ * @param {Object} survey - Survey document
+ * @param {Object} options
+ * @param {Date} options.openedAt - When the survey went live
+ * @param {String} options.method - manual | auto | cron
+ * @param {Number} options.invitesSent - Invites created for wave 1
+ * @returns {Number|null} Wave number opened
+ */
+exports.startFirstWave = (survey, { openedAt = new Date(), method = "manual", invitesSent = 0 } = {}) => {
+  if (!isRecurring(survey) || survey.currentWave > 0) return null;
+
+  // Step waves from the scheduled start so they keep its time of day
+  const startDate = survey.schedule?.startDate;
+  const anchor = startDate && startDate <= openedAt ? startDate : openedAt;
+
+  return recordWave(survey, { openedAt, method, invitesSent, anchor });
+};
+
+/**
+ * Wave opened when the scheduler publishes a survey at its start date:
+ * wave 1 for a new survey, the next wave for one rescheduled after it had
+ * already run (the cadence restarts from the new start). Does not save.
+ * @returns {Number|null} Wave number opened
+ */
+exports.openScheduledWave = (survey, { openedAt = new Date(), method = "cron", invitesSent = 0 } = {}) => {
+  if (!isRecurring(survey)) return null;
+  if (!(survey.currentWave > 0)) return exports.startFirstWave(survey, { openedAt, method, invitesSent });
+
+  const startDate = survey.schedule?.startDate;
+  const anchor = startDate && startDate <= openedAt ? startDate : openedAt;
+  return recordWave(survey, { openedAt, method, invitesSent, anchor });
+};
+
+/**
+ * Re-plan the next wave after the schedule of a survey that already opened
+ * waves was changed: the first slot on the new start date's cadence after
+ * now, the new start (the survey opens there itself) and the last wave.
+ * One-off surveys and surveys without waves are left to startFirstWave.
+ * Does not save the survey.
+ *
+ * @param {Object} survey - Survey document with the new schedule applied
+ * @param {Date} now
+ * @returns {Date|null} New nextRunAt
+ */
+exports.rescheduleNextRun = (survey, now = new Date()) => {
+  if (!isRecurring(survey) || !(survey.currentWave > 0)) return null;
+
+  const { schedule } = survey;
+  const { frequency, lastRunAt } = schedule.repeat;
+  const anchor = getScheduleAnchor(schedule);
+  const after = Math.max(now.getTime(), new Date(schedule.startDate).getTime(), lastRunAt ? new Date(lastRunAt).getTime() : 0);
+
+  let nextRunAt = new Date(schedule.startDate);
+  while (nextRunAt && nextRunAt.getTime() <= after) {
+    nextRunAt = computeNextRunAt(nextRunAt, frequency, schedule.timezone, anchor);
+  }
+
+  schedule.repeat.nextRunAt = nextRunAt;
+  return nextRunAt;
+};
+
+/**
+ * Resolve who should receive the next wave's invites.
+ * Falls back to the previous wave's invitees when the target audience
+ * can't be resolved (e.g. surveys published with ad-hoc contacts).
+ */
+const resolveWaveRecipients = async (survey) => {
+  let recipients = [];
+
+  if (survey.targetAudience?.audienceType) {
+    recipients = await resolveSurveyRecipients(survey);
+  }
+
+  if (!recipients.length) {
+    const previousInvites = await SurveyInvite.find({
+      survey: survey._id,
+      tenant: survey.tenant,
+      wave: survey.currentWave || null
+    }).select("contact").lean();
+
+    const unique = new Map();
+    previousInvites.forEach(({ contact }) => {
+      const key = contact?.email || contact?.phone;
+      if (key) unique.set(key, contact);
+    });
+    recipients = [...unique.values()];
+  }
+
+  return recipients;
+};
+
+/**
+ * Channel each phone number was last invited over (SMS / WhatsApp), so
+ * phone-only recipients of later waves are reached the same way
+ * @returns {Promise<Map<String, String>>} phone → "sms" | "whatsapp"
+ */
+const getPhoneChannels = async (survey) => {
+  const invites = await SurveyInvite.find({
+    survey: survey._id,
+    tenant: survey.tenant,
+    "delivery.channel": { $in: ["sms", "whatsapp"] }
+  }).sort({ createdAt: 1 }).select("contact.phone delivery.channel").lean();
+
+  return new Map(invites
+    .filter(invite => invite.contact?.phone)
+    .map(invite => [invite.contact.phone, invite.delivery.channel]));
+};
+
+/**
+ * Send a wave's invites: email when the recipient has an address, else
+ * SMS / WhatsApp (the channel the number was invited over before, SMS
+ * for numbers never invited)
+ */
+const deliverWaveInvites = async (survey, invites) => {
+  const emailInvites = invites.filter(invite => invite.contact?.email);
+  if (emailInvites.length) {
+    const tenant = await Tenant.findById(survey.tenant).select("name logoUrl");
+    await sendSurveyInvites({ survey, invites: emailInvites, tenant });
+  }
+
+  const phoneInvites = invites.filter(invite => !invite.contact?.email && invite.contact?.phone);
+  if (!phoneInvites.length) return;
+
+  const channels = await getPhoneChannels(survey);
+  let whatsappConfig;
+  for (const invite of phoneInvites) {
+    const body = renderInviteMessage({ invite, survey });
+    if (channels.get(invite.contact.phone) === "whatsapp") {
+      if (whatsappConfig === undefined) whatsappConfig = await getTenantWhatsAppConfig(survey.tenant);
+      await sendInviteWhatsApp({ invite, body, config: whatsappConfig });
+    } else {
+      await sendInviteSMS({ invite, body });
+    }
+  }
+};
+
+/**
+ * Open the next wave of a recurring survey: re-invite the resolved audience
+ * and advance `schedule.repeat.nextRunAt`.
+ *
+ * @param {Object} survey - Survey document (active, recurring)
+ * @param {Object} options
+ * @param {Date} options.now - Wave start time
+ * @param {String} options.method - auto | cron | manual
+ * @returns {Promise<{ wave: Number, invitesCreated: Number }>}
+ */
+exports.openNextWave = async (survey, { now = new Date(), method = "cron" } = {}) => {
+  if (!isRecurring(survey)) {
+    throw new Error("Survey is not configured for recurring runs");
+  }
+
+  const recipients = await resolveWaveRecipients(survey);
+  const wave = (survey.currentWave || 0) + 1;
+
+  let invites = [];
+  if (recipients.length) {
+    invites = await createBulkSurveyInvites({
+      surveyId: survey._id,
+      tenantId: survey.tenant,
+      contacts: recipients,
+      wave
+    });
+
+    await deliverWaveInvites(survey, invites);
+  }
+
+  recordWave(survey, {
+    openedAt: now,
+    method,
+    invitesSent: invites.length,
+    anchor: survey.schedule.repeat.nextRunAt || now
+  });
+
+  survey.publishLog.push({
+    publishedBy: null,
+    method,
+    recipientsCount: invites.length
+  });
+
+  await survey.save();
+
+  Logger.info("openNextWave", "Recurring survey wave opened", {
+    context: {
+      surveyId: survey._id,
+      wave,
+      invitesCreated: invites.length,
+      nextRunAt: survey.schedule.repeat.nextRunAt
+    }
+  });
+
+  return { wave, invitesCreated: invites.length };
+};
+
+/**
+ * Find active recurring surveys whose next wave is due and open it.
+ * Called from the scheduler cron.
+ *
+ * @param {Date} now
+ * @returns {Promise<{ opened: Number, errors: Number }>}
+ */
+exports.runDueWaves = async (now = new Date()) => {
+  const dueSurveys = await Survey.find({
+    status: "active",
+    deleted: false,
+    "schedule.repeat.enabled": true,
+    "schedule.repeat.nextRunAt": { $lte: now },
+    $or: [
+      { "schedule.endDate": null },
+      { "schedule.endDate": { $gt: now } }
+    ]
+  }).select("_id").lean();
+
+  let opened = 0;
+  let errors = 0;
+
+  for (const { _id } of dueSurveys) {
+    try {
+      const survey = await Survey.findById(_id);
+      await exports.openNextWave(survey, { now, method: "cron" });
+      opened++;
+    } catch (err) {
+      errors++;
+      Logger.error("runDueWaves", "Failed to open survey wave", {
+        error: err,
+        context: { surveyId: _id }
+      });
+    }
+  }
+
+  return { opened, errors };
+};
+
+/**
+ * Wave a new response should be stamped with.
+ * Invited responses keep the wave of their invite so late answers are
+ * credited to the period they were invited in.
+ *
+ * @param {Object} survey - Survey the response belongs to
+ * @param {Object} [invite] - SurveyInvite for invited responses
+ * @returns {Number|null}
+ */
+exports.resolveResponseWave = (survey, invite = null) => {
+  if (invite?.wave) return invite.wave;
+  return survey?.currentWave || null;
+};
+
+exports.isRecurring = isRecurring;
+exports.computeNextRunAt = computeNextRunAt;
+exports.getScheduleAnchor = getScheduleAnchor;
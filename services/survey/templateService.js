@@ -0,0 +1,481 @@
+// services/survey/templateService.js
+// ============================================================================
+// Survey Cloning & Templates
+//
+// - Clone: copy a survey (questions, sections, logic rules, thank-you page,
+//   translations, settings) into a new draft of the same tenant
+// - Save as template: turn a tenant survey into a tenant-private template
+// - Scopes: "platform" templates are visible to every tenant (published only),
+//   "tenant" templates only to the tenant that saved them
+// - Marketplace: a tenant template can be submitted; approving it publishes a
+//   platform copy (publishedFrom) and leaves the tenant's own template as is
+// - Stats: every survey created from a template keeps `template`, so usage and
+//   the average invite response rate are computed per template
+// ============================================================================
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Survey = require("../../models/Survey");
+const SurveyInvite = require("../../models/SurveyInvite");
+const LogicRule = require("../../models/LogicRule");
+const surveyTemplates = require("../../models/surveyTemplates");
+const { getAvailableLanguages } = require("./translationService");
+
+const CATEGORY_NAMES = {
+  corporate: "Corporate / HR",
+  education: "Education",
+  healthcare: "Healthcare",
+  hospitality: "Hospitality & Tourism",
+  sports: "Sports & Entertainment",
+  banking: "Banking & Financial",
+  retail: "Retail & E-Commerce",
+  government: "Government & Public",
+  construction: "Construction & Real Estate",
+  automotive: "Automotive & Transport",
+  technology: "Technology & Digital",
+};
+
+const getCategoryName = (categoryId) => CATEGORY_NAMES[categoryId] || "General";
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Plain copy without subdocument ids or mongoose internals
+const stripIds = (value) => {
+  if (Array.isArray(value)) return value.map(stripIds);
+  if (value && typeof value === "object" && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)) {
+    return Object.keys(value).reduce((acc, key) => {
+      if (key !== "_id" && key !== "__v" && value[key] !== undefined) acc[key] = stripIds(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const toPlain = (doc) => (typeof doc.toObject === "function"
+  ? doc.toObject({ flattenMaps: true, depopulate: true })
+  : doc);
+
+// Logic rules reference question ids, so every question needs one
+const withQuestionIds = (questions = []) => questions.map(q => ({ ...q, id: q.id || crypto.randomUUID() }));
+
+const withSectionQuestionIds = (sections = []) => sections.map(s => ({ ...s, questions: withQuestionIds(s.questions) }));
+
+// Survey-level LogicRule documents as reusable plain rules
+const exportLogicRules = async (surveyId) => {
+  const rules = await LogicRule.find({ survey: surveyId }).sort({ priority: -1 }).lean();
+  return rules.map(({ _id, __v, survey, createdAt, updatedAt, ...rule }) => stripIds(rule));
+};
+
+// Recreate rules for a saved survey and reference them from it
+const attachLogicRules = async (survey, rules = []) => {
+  if (!rules.length) return;
+  const created = await LogicRule.insertMany(rules.map(rule => ({ ...rule, survey: survey._id })));
+  survey.logicRules = created.map(rule => rule._id);
+  await survey.save();
+};
+
+// ============================================================================
+// Visibility
+// ============================================================================
+
+/**
+ * Templates a user may see: platform admins see platform templates and
+ * marketplace submissions, tenant users see published platform templates
+ * and their own tenant's templates. Legacy templates have no scope (platform).
+ */
+const getVisibilityFilter = (user, tenantId) => {
+  if (user.role === "admin") {
+    return {
+      $or: [
+        { scope: { $ne: "tenant" } },
+        { "marketplace.status": { $in: ["pending", "approved", "rejected"] } },
+      ],
+    };
+  }
+
+  return {
+    $or: [
+      { scope: { $ne: "tenant" }, status: "published" },
+      { scope: "tenant", tenant: tenantId },
+    ],
+  };
+};
+
+/**
+ * Build the scope part of a template listing query
+ * @param {String} scope - platform | tenant | all
+ */
+const getScopeFilter = (scope) => {
+  if (scope === "platform") return { scope: { $ne: "tenant" } };
+  if (scope === "tenant") return { scope: "tenant" };
+  return {};
+};
+
+const findVisibleTemplate = async (templateId, user, tenantId) => {
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw { status: 404, message: "Survey template not found" };
+  }
+  const template = await surveyTemplates.findOne({
+    $and: [{ _id: templateId, isActive: true }, getVisibilityFilter(user, tenantId)],
+  });
+  if (!template) {
+    throw { status: 404, message: "Survey template not found" };
+  }
+  return template;
+};
+
+/**
+ * Whether the user may edit / delete a template: platform admins manage
+ * platform templates, tenant users only their own tenant's templates
+ */
+const canManageTemplate = (template, user, tenantId) => {
+  if (user.role === "admin") return template.scope !== "tenant";
+  return template.scope === "tenant" && String(template.tenant) === String(tenantId);
+};
+
+const loadSurvey = async (surveyId, tenantId) => {
+  if (!mongoose.Types.ObjectId.isValid(surveyId)) {
+    throw { status: 404, message: "Survey not found" };
+  }
+  const survey = await Survey.findOne({ _id: surveyId, tenant: tenantId, deleted: false });
+  if (!survey) {
+    throw { status: 404, message: "Survey not found" };
+  }
+  return survey;
+};
+
+// ============================================================================
+// Clone
+// ============================================================================
+
+/**
+ * Copy a survey into a new draft (audience, schedule, responses and version
+ * history are not copied)
+ * @param {Object} options - { userId, title, department }
+ * @returns {Promise<Object>} the new survey
+ */
+const cloneSurvey = async (surveyId, tenantId, { userId, title, department } = {}) => {
+  const source = toPlain(await loadSurvey(surveyId, tenantId));
+
+  const survey = new Survey({
+    title: title || `${source.title} (Copy)`,
+    description: source.description,
+    category: source.category,
+    logo: source.logo,
+    themeColor: source.themeColor,
+    language: source.language,
+    fallbackLanguages: source.fallbackLanguages,
+    translations: source.translations,
+    questions: stripIds(source.questions || []),
+    sections: stripIds(source.sections || []),
+    thankYouPage: stripIds(source.thankYouPage),
+    settings: stripIds(source.settings),
+    reminders: stripIds(source.reminders),
+    quotas: stripIds(source.quotas),
+    actionPermissions: stripIds(source.actionPermissions),
+    department: department !== undefined ? department : source.department,
+    actionManager: source.actionManager,
+    tenant: tenantId,
+    createdBy: userId,
+    status: "draft",
+    clonedFrom: source._id,
+    deleted: false,
+  });
+
+  await survey.save();
+  await attachLogicRules(survey, await exportLogicRules(source._id));
+  return survey;
+};
+
+// ============================================================================
+// Templates
+// ============================================================================
+
+/**
+ * Save a tenant survey as a tenant-private template (published right away)
+ * @param {Object} data - { name, description, category, estimatedTime, tags }
+ */
+const saveSurveyAsTemplate = async (surveyId, tenantId, userId, data) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+  const source = toPlain(survey);
+
+  const existing = await surveyTemplates.findOne({
+    scope: "tenant",
+    tenant: tenantId,
+    isActive: true,
+    name: { $regex: new RegExp(`^${escapeRegex(data.name)}$`, "i") },
+  });
+  if (existing) {
+    throw { status: 400, message: "A template with this name already exists" };
+  }
+
+  const questions = withQuestionIds(stripIds(source.questions || []));
+  const sections = withSectionQuestionIds(stripIds(source.sections || []));
+  const questionCount = questions.length + sections.reduce((n, s) => n + s.questions.length, 0);
+
+  return surveyTemplates.create({
+    name: data.name,
+    description: data.description || source.description || data.name,
+    category: data.category,
+    categoryName: getCategoryName(data.category),
+    questions,
+    sections,
+    logicRules: await exportLogicRules(survey._id),
+    thankYouPage: stripIds(source.thankYouPage),
+    defaultLanguage: source.language,
+    fallbackLanguages: source.fallbackLanguages,
+    translations: source.translations,
+    language: getAvailableLanguages(survey),
+    estimatedTime: data.estimatedTime || `${Math.max(1, Math.ceil(questionCount * 0.5))} min`,
+    tags: data.tags || [],
+    status: "published",
+    scope: "tenant",
+    tenant: tenantId,
+    sourceSurvey: survey._id,
+    createdBy: userId,
+  });
+};
+
+/**
+ * Create a draft survey from a visible template and count the usage
+ * @param {Object} options - { title, department }
+ */
+const createSurveyFromTemplate = async (templateId, user, tenantId, { title, department = null } = {}) => {
+  const template = toPlain(await findVisibleTemplate(templateId, user, tenantId));
+
+  const survey = new Survey({
+    title: title || template.name,
+    description: template.description,
+    category: template.category,
+    language: template.defaultLanguage,
+    fallbackLanguages: template.fallbackLanguages,
+    translations: template.translations,
+    questions: withQuestionIds(stripIds(template.questions || [])),
+    sections: withSectionQuestionIds(stripIds(template.sections || [])),
+    ...(template.thankYouPage?.message && { thankYouPage: stripIds(template.thankYouPage) }),
+    department,
+    tenant: tenantId,
+    createdBy: user._id,
+    status: "draft",
+    template: template._id,
+    deleted: false,
+  });
+
+  await survey.save();
+  await attachLogicRules(survey, template.logicRules);
+
+  await surveyTemplates.updateOne(
+    { _id: template._id },
+    { $inc: { usageCount: 1, "stats.surveysCreated": 1 }, $set: { "stats.lastUsedAt": new Date() } }
+  );
+
+  return survey;
+};
+
+// ============================================================================
+// Marketplace
+// ============================================================================
+
+/**
+ * Offer a tenant template to the platform marketplace
+ */
+const submitToMarketplace = async (templateId, user, tenantId, { note } = {}) => {
+  const template = await findVisibleTemplate(templateId, user, tenantId);
+  if (!canManageTemplate(template, user, tenantId)) {
+    throw { status: 403, message: "Only your tenant's own templates can be submitted" };
+  }
+  if (template.marketplace?.status === "pending") {
+    throw { status: 400, message: "Template is already awaiting review" };
+  }
+  if (template.marketplace?.status === "approved") {
+    throw { status: 400, message: "Template is already published to the marketplace" };
+  }
+
+  template.marketplace = {
+    status: "pending",
+    submittedBy: user._id,
+    submittedAt: new Date(),
+    note,
+  };
+  await template.save();
+  return template;
+};
+
+/**
+ * Approve (publish a platform copy) or reject a marketplace submission
+ * @param {Object} decision - { action: "approve" | "reject", note, isPremium }
+ * @returns {Promise<{ template, platformTemplate }>}
+ */
+const reviewSubmission = async (templateId, reviewerId, { action, note, isPremium = false }) => {
+  const template = await surveyTemplates.findOne({ _id: templateId, scope: "tenant", isActive: true });
+  if (!template || template.marketplace?.status !== "pending") {
+    throw { status: 404, message: "No pending submission for this template" };
+  }
+
+  let platformTemplate = null;
+  if (action === "approve") {
+    const existing = await surveyTemplates.findOne({
+      scope: { $ne: "tenant" },
+      isActive: true,
+      name: { $regex: new RegExp(`^${escapeRegex(template.name)}$`, "i") },
+    });
+    if (existing) {
+      throw { status: 400, message: "A platform template with this name already exists" };
+    }
+
+    const { _id, __v, tenant, sourceSurvey, marketplace, stats, usageCount, createdAt, updatedAt, ...content } =
+      toPlain(template);
+
+    platformTemplate = await surveyTemplates.create({
+      ...stripIds(content),
+      scope: "platform",
+      status: "published",
+      isPremium,
+      publishedFrom: template._id,
+      createdBy: reviewerId,
+    });
+  }
+
+  template.marketplace = {
+    ...toPlain(template).marketplace,
+    status: action === "approve" ? "approved" : "rejected",
+    reviewedBy: reviewerId,
+    reviewedAt: new Date(),
+    note,
+    platformTemplate: platformTemplate?._id,
+  };
+  await template.save();
+
+  return { template, platformTemplate };
+};
+
+// ============================================================================
+// Stats
+// ============================================================================
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Usage / response outcomes of the surveys created from the given templates
+ * @param {ObjectId[]} templateIds
+ * @param {Object} [match] - extra survey filter, e.g. { tenant }
+ * @returns {Promise<Map<String, Object>>} keyed by template id
+ */
+const computeTemplateStats = async (templateIds, match = {}) => {
+  const surveys = await Survey.find({ template: { $in: templateIds }, deleted: false, ...match })
+    .select("template totalResponses")
+    .lean();
+
+  const invites = surveys.length
+    ? await SurveyInvite.aggregate([
+      { $match: { survey: { $in: surveys.map(s => s._id) } } },
+      {
+        $group: {
+          _id: "$survey",
+          sent: { $sum: 1 },
+          responded: { $sum: { $cond: [{ $eq: ["$status", "responded"] }, 1, 0] } },
+        },
+      },
+    ])
+    : [];
+  const invitesBySurvey = new Map(invites.map(i => [String(i._id), i]));
+
+  const statsByTemplate = new Map(templateIds.map(id => [String(id), {
+    surveysCreated: 0,
+    totalResponses: 0,
+    invitesSent: 0,
+    invitesResponded: 0,
+    rates: [],
+  }]));
+
+  surveys.forEach(survey => {
+    const stats = statsByTemplate.get(String(survey.template));
+    if (!stats) return;
+    const invite = invitesBySurvey.get(String(survey._id));
+
+    stats.surveysCreated += 1;
+    stats.totalResponses += survey.totalResponses || 0;
+    if (invite) {
+      stats.invitesSent += invite.sent;
+      stats.invitesResponded += invite.responded;
+      stats.rates.push((invite.responded / invite.sent) * 100);
+    }
+  });
+
+  statsByTemplate.forEach((stats, id) => {
+    const { rates, ...rest } = stats;
+    statsByTemplate.set(id, {
+      ...rest,
+      avgResponseRate: rates.length ? round(rates.reduce((sum, r) => sum + r, 0) / rates.length) : null,
+    });
+  });
+
+  return statsByTemplate;
+};
+
+/**
+ * Recompute and store stats for the given templates (all active ones by default)
+ * @returns {Promise<Number>} templates updated
+ */
+const refreshTemplateStats = async (templateIds) => {
+  const ids = templateIds || (await surveyTemplates.find({ isActive: true }).distinct("_id"));
+  if (!ids.length) return 0;
+
+  const statsByTemplate = await computeTemplateStats(ids);
+  const now = new Date();
+
+  await surveyTemplates.bulkWrite([...statsByTemplate].map(([id, stats]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: {
+        $set: Object.fromEntries([
+          ...Object.entries(stats).map(([key, value]) => [`stats.${key}`, value]),
+          ["stats.updatedAt", now],
+        ]),
+      },
+    },
+  })));
+
+  return statsByTemplate.size;
+};
+
+/**
+ * Stats for one template: platform-wide numbers, plus the caller's own
+ * tenant's numbers for tenant users
+ */
+const getTemplateStats = async (templateId, user, tenantId) => {
+  const template = await findVisibleTemplate(templateId, user, tenantId);
+  await refreshTemplateStats([template._id]);
+  const refreshed = await surveyTemplates.findById(template._id).select("name scope usageCount stats").lean();
+
+  const result = {
+    templateId: refreshed._id,
+    name: refreshed.name,
+    scope: refreshed.scope,
+    usageCount: refreshed.usageCount,
+    stats: refreshed.stats,
+  };
+
+  if (user.role !== "admin" && refreshed.scope !== "tenant") {
+    const own = await computeTemplateStats([template._id], { tenant: tenantId });
+    result.tenantStats = own.get(String(template._id));
+  }
+
+  return result;
+};
+
+module.exports = {
+  getCategoryName,
+  getVisibilityFilter,
+  getScopeFilter,
+  findVisibleTemplate,
+  canManageTemplate,
+  cloneSurvey,
+  saveSurveyAsTemplate,
+  createSurveyFromTemplate,
+  submitToMarketplace,
+  reviewSubmission,
+  computeTemplateStats,
+  refreshTemplateStats,
+  getTemplateStats,
+};
@@ -0,0 +1,408 @@
+// services/survey/translationService.js
+// ============================================================================
+// Survey Translations
+//
+// A survey is written in its default `language`; other languages live in
+// `survey.translations` (title, description, thank-you message) and
+// `question.translations` (question text, options in the same order), keyed
+// by language tag.
+//
+// Respondents get one language, negotiated from ?lang= and Accept-Language
+// against the languages the survey is translated into. Missing fields fall
+// back through survey.fallbackLanguages, then the default language.
+//
+// Translated option labels map back to the default-language option, so
+// answers, logic rules and analytics stay language-independent.
+// ============================================================================
+
+const Survey = require("../../models/Survey");
+const featureFlagManager = require("../subscription/featureFlagManager");
+const {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  matchLanguage,
+} = require("../../utils/locale");
+
+const FEATURE_CODE = "multi_language";
+
+// Mongoose Map (documents) or plain object (lean reads)
+const toEntries = (translations) => {
+  if (!translations) return [];
+  if (translations instanceof Map) return [...translations.entries()];
+  return Object.entries(translations);
+};
+
+const getTranslation = (translations, language) => {
+  if (!translations) return null;
+  return (translations instanceof Map ? translations.get(language) : translations[language]) || null;
+};
+
+const hasText = (value) => typeof value === "string" && value.trim() !== "";
+
+const getQuestionKey = (question) => String(question.id || question._id);
+
+const getAllQuestions = (survey) => [
+  ...(survey.questions || []),
+  ...(survey.sections || []).flatMap(s => s.questions || []),
+];
+
+/**
+ * Languages a respondent can choose: the default language plus every
+ * language with a translated title or question
+ * @returns {String[]} default language first
+ */
+const getAvailableLanguages = (survey) => {
+  const defaultLanguage = survey.language || DEFAULT_LANGUAGE;
+  const languages = new Set([defaultLanguage]);
+
+  toEntries(survey.translations).forEach(([language, t]) => {
+    if (hasText(t?.title)) languages.add(language);
+  });
+  getAllQuestions(survey).forEach(question => {
+    toEntries(question.translations).forEach(([language, t]) => {
+      if (hasText(t?.questionText)) languages.add(language);
+    });
+  });
+
+  return [...languages];
+};
+
+/**
+ * Survey list filter: written in the language or translated into it
+ * @returns {Object|null} Mongo filter, null for an unusable tag
+ */
+const getLanguageFilter = (language) => {
+  const tag = normalizeLanguage(language);
+  if (!tag) return null;
+  return { $or: [{ language: tag }, { [`translations.${tag}.title`]: { $nin: [null, ""] } }] };
+};
+
+/**
+ * Order in which languages are tried for each field
+ * @returns {String[]} e.g. ["fr-CA", "fr", "en"]
+ */
+const getFallbackChain = (survey, language) => {
+  const defaultLanguage = survey.language || DEFAULT_LANGUAGE;
+  return [...new Set([language, ...(survey.fallbackLanguages || []), defaultLanguage].filter(Boolean))];
+};
+
+/**
+ * Pick the respondent's language: ?lang= first, then Accept-Language,
+ * then the survey's default language
+ * @param {Object} survey
+ * @param {Object} request
+ * @param {String} [request.lang] - Explicit choice (query param / payload)
+ * @param {String} [request.acceptLanguage] - Accept-Language header
+ * @returns {String}
+ */
+const negotiateLanguage = (survey, { lang, acceptLanguage } = {}) => {
+  const available = getAvailableLanguages(survey);
+  const requested = [normalizeLanguage(lang), ...parseAcceptLanguage(acceptLanguage)].filter(Boolean);
+  return matchLanguage(requested, available) || survey.language || DEFAULT_LANGUAGE;
+};
+
+/**
+ * First non-empty value of a field along the fallback chain. The default
+ * language reads the survey's own field.
+ */
+const pickField = (chain, defaultLanguage, translations, field, ownValue) => {
+  for (const language of chain) {
+    const value = language === defaultLanguage ? ownValue : getTranslation(translations, language)?.[field];
+    if (hasText(value) || (Array.isArray(value) && value.length)) return value;
+  }
+  return ownValue;
+};
+
+const localizeQuestion = (question, chain, defaultLanguage) => {
+  const { translations, ...rest } = question;
+  const options = question.options || [];
+
+  // Translated options are only usable when they line up with the default ones
+  const translatedOptions = pickField(
+    chain.filter(language => {
+      const t = language === defaultLanguage ? null : getTranslation(translations, language);
+      return language === defaultLanguage || t?.options?.length === options.length;
+    }),
+    defaultLanguage,
+    translations,
+    "options",
+    options
+  );
+
+  return {
+    ...rest,
+    questionText: pickField(chain, defaultLanguage, translations, "questionText", question.questionText),
+    options: translatedOptions,
+    // Values to submit / compare in logic rules (default-language labels)
+    optionValues: options,
+  };
+};
+
+/**
+ * Survey (lean object) as shown to a respondent in one language
+ * @param {Object} survey - Lean survey with translations
+ * @param {String} language - From negotiateLanguage
+ * @returns {Object} survey without `translations`, plus `language` and `availableLanguages`
+ */
+const localizeSurvey = (survey, language) => {
+  const defaultLanguage = survey.language || DEFAULT_LANGUAGE;
+  const chain = getFallbackChain(survey, language);
+  const { translations, fallbackLanguages, ...rest } = survey;
+
+  const localized = {
+    ...rest,
+    title: pickField(chain, defaultLanguage, translations, "title", survey.title),
+    description: pickField(chain, defaultLanguage, translations, "description", survey.description),
+    questions: (survey.questions || []).map(q => localizeQuestion(q, chain, defaultLanguage)),
+    language,
+    defaultLanguage,
+    availableLanguages: getAvailableLanguages(survey),
+  };
+
+  if (survey.sections) {
+    localized.sections = survey.sections.map(section => ({
+      ...section,
+      questions: (section.questions || []).map(q => localizeQuestion(q, chain, defaultLanguage)),
+    }));
+  }
+  if (survey.thankYouPage) {
+    localized.thankYouPage = {
+      ...survey.thankYouPage,
+      message: pickField(chain, defaultLanguage, translations, "thankYouMessage", survey.thankYouPage.message),
+    };
+  }
+
+  return localized;
+};
+
+/**
+ * Language to record on a response: the submitted language when the survey
+ * offers it, else negotiated like the GET endpoints
+ */
+const resolveResponseLanguage = (survey, { language, acceptLanguage } = {}) =>
+  negotiateLanguage(survey, { lang: language, acceptLanguage });
+
+// ============================================================================
+// Option labels
+// ============================================================================
+
+/**
+ * Lowercased label (any language) → default-language option
+ * @returns {Map<String, String>}
+ */
+const getOptionLookup = (question) => {
+  const options = (question.options || []).filter(o => typeof o === "string");
+  const lookup = new Map(options.map(o => [o.trim().toLowerCase(), o]));
+
+  toEntries(question.translations).forEach(([, t]) => {
+    (t?.options || []).forEach((label, index) => {
+      if (typeof label !== "string") return;
+      const key = label.trim().toLowerCase();
+      // Without a matching default option the label is still accepted as-is
+      if (!lookup.has(key)) lookup.set(key, options[index] ?? label);
+    });
+  });
+
+  return lookup;
+};
+
+/**
+ * Replace translated option labels in an answer with the default-language ones
+ */
+const toCanonicalAnswer = (lookup, answer) => {
+  if (!lookup.size) return answer;
+  const canonical = (value) =>
+    typeof value === "string" ? lookup.get(value.trim().toLowerCase()) ?? value : value;
+  return Array.isArray(answer) ? answer.map(canonical) : canonical(answer);
+};
+
+/**
+ * Canonicalize a { questionId: answer } map (logic evaluation endpoints)
+ */
+const canonicalizeAnswerMap = (survey, answers = {}) => {
+  const questions = new Map();
+  getAllQuestions(survey).forEach(q => {
+    if (q.id) questions.set(String(q.id), q);
+    if (q._id) questions.set(String(q._id), q);
+  });
+
+  return Object.fromEntries(Object.entries(answers).map(([questionId, answer]) => {
+    const question = questions.get(String(questionId));
+    return [questionId, question ? toCanonicalAnswer(getOptionLookup(question), answer) : answer];
+  }));
+};
+
+// ============================================================================
+// Managing translations (survey builder)
+// ============================================================================
+
+const loadSurvey = async (surveyId, tenantId) => {
+  const survey = await Survey.findOne({ _id: surveyId, tenant: tenantId, deleted: false });
+  if (!survey) {
+    throw { status: 404, message: "Survey not found" };
+  }
+  return survey;
+};
+
+const parseLanguage = (language) => {
+  const tag = normalizeLanguage(language);
+  if (!tag) {
+    throw { status: 400, message: `"${language}" is not a valid language code` };
+  }
+  return tag;
+};
+
+/**
+ * Per-language completeness for the builder
+ * @returns {Promise<Object>} { defaultLanguage, fallbackLanguages, languages: [{ language, translated, total, complete }] }
+ */
+const getTranslationStatus = async (surveyId, tenantId) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+  const defaultLanguage = survey.language || DEFAULT_LANGUAGE;
+  const questions = getAllQuestions(survey);
+  const total = questions.length + 1; // + title
+
+  const languages = new Set(toEntries(survey.translations).map(([language]) => language));
+  questions.forEach(q => toEntries(q.translations).forEach(([language]) => languages.add(language)));
+  languages.delete(defaultLanguage);
+
+  return {
+    defaultLanguage,
+    fallbackLanguages: survey.fallbackLanguages || [],
+    languages: [...languages].sort().map(language => {
+      const translated = (hasText(getTranslation(survey.translations, language)?.title) ? 1 : 0) +
+        questions.filter(q => hasText(getTranslation(q.translations, language)?.questionText)).length;
+      return {
+        language,
+        translated,
+        total,
+        complete: translated === total,
+        updatedAt: getTranslation(survey.translations, language)?.updatedAt || null,
+      };
+    }),
+  };
+};
+
+/**
+ * Full translation of one language (for editing)
+ */
+const getLanguageTranslation = async (surveyId, tenantId, language) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+  const tag = parseLanguage(language);
+  const t = getTranslation(survey.translations, tag);
+
+  return {
+    language: tag,
+    title: t?.title || null,
+    description: t?.description || null,
+    thankYouMessage: t?.thankYouMessage || null,
+    questions: getAllQuestions(survey).map(q => ({
+      id: getQuestionKey(q),
+      source: { questionText: q.questionText, options: q.options || [] },
+      questionText: getTranslation(q.translations, tag)?.questionText || null,
+      options: getTranslation(q.translations, tag)?.options || [],
+    })),
+  };
+};
+
+const setQuestionTranslation = (question, language, { questionText, options }) => {
+  if (!question.translations) question.translations = new Map();
+  const current = getTranslation(question.translations, language) || {};
+  question.translations.set(language, {
+    questionText: questionText !== undefined ? questionText : current.questionText,
+    options: options !== undefined ? options : current.options,
+  });
+};
+
+/**
+ * Add or update one language. Only the fields sent are changed.
+ * Works on published surveys too: text changes don't alter the structure,
+ * and the published snapshot is kept in step so translated answers validate.
+ * @param {Object} data - { title, description, thankYouMessage, questions: [{ id, questionText, options }] }
+ */
+const saveLanguageTranslation = async (surveyId, tenantId, language, data) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+  const tag = parseLanguage(language);
+
+  if (tag === survey.language) {
+    throw { status: 400, message: "This is the survey's default language; edit the survey itself instead" };
+  }
+  if (!(await featureFlagManager.hasFeature(tenantId, FEATURE_CODE))) {
+    throw { status: 403, message: "Multi-language surveys are not available on your current plan" };
+  }
+
+  const byKey = new Map(getAllQuestions(survey).map(q => [getQuestionKey(q), q]));
+  const snapshotByKey = new Map((survey.publishedSnapshot?.questions || []).map(q => [getQuestionKey(q), q]));
+
+  for (const entry of data.questions || []) {
+    const question = byKey.get(String(entry.id));
+    if (!question) {
+      throw { status: 400, message: `Question ${entry.id} does not exist in this survey` };
+    }
+    if (entry.options !== undefined && entry.options.length !== (question.options || []).length) {
+      throw {
+        status: 400,
+        message: `Question ${entry.id} has ${(question.options || []).length} options but ${entry.options.length} translations were sent`,
+      };
+    }
+    setQuestionTranslation(question, tag, entry);
+
+    const snapshotQuestion = snapshotByKey.get(String(entry.id));
+    if (snapshotQuestion) setQuestionTranslation(snapshotQuestion, tag, entry);
+  }
+
+  if (!survey.translations) survey.translations = new Map();
+  const current = getTranslation(survey.translations, tag) || {};
+  survey.translations.set(tag, {
+    title: data.title !== undefined ? data.title : current.title,
+    description: data.description !== undefined ? data.description : current.description,
+    thankYouMessage: data.thankYouMessage !== undefined ? data.thankYouMessage : current.thankYouMessage,
+    updatedAt: new Date(),
+  });
+
+  await survey.save();
+  return getLanguageTranslation(survey._id, tenantId, tag);
+};
+
+/**
+ * Remove one language from the survey and its questions
+ * @returns {Promise<Boolean>} false when the language had no translation
+ */
+const removeLanguageTranslation = async (surveyId, tenantId, language) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+  const tag = parseLanguage(language);
+
+  let removed = false;
+  const remove = (translations) => {
+    if (translations?.has?.(tag)) {
+      translations.delete(tag);
+      removed = true;
+    }
+  };
+
+  remove(survey.translations);
+  getAllQuestions(survey).forEach(q => remove(q.translations));
+  (survey.publishedSnapshot?.questions || []).forEach(q => remove(q.translations));
+  survey.fallbackLanguages = (survey.fallbackLanguages || []).filter(l => l !== tag);
+
+  if (removed) await survey.save();
+  return removed;
+};
+
+module.exports = {
+  FEATURE_CODE,
+  getAvailableLanguages,
+  getLanguageFilter,
+  getFallbackChain,
+  negotiateLanguage,
+  localizeSurvey,
+  resolveResponseLanguage,
+  getOptionLookup,
+  toCanonicalAnswer,
+  canonicalizeAnswerMap,
+  getTranslationStatus,
+  getLanguageTranslation,
+  saveLanguageTranslation,
+  removeLanguageTranslation,
+};
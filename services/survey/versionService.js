@@ -0,0 +1,310 @@
+// services/survey/versionService.js
+// ============================================================================
+// Survey Version History
+//
+// Every publish writes an immutable SurveyVersion with the survey's content
+// (title, questions, sections, translations, ...) and bumps survey.version;
+// publishedSnapshot keeps the live version's questions and sections for answer validation.
+// - Publish / scheduled start / cron publish → new version
+// - Editing questions of a live survey → new version ("edit")
+// - Restore → the old content is copied back and published as a new version
+//   (drafts only get the content; their next publish records the version)
+// Responses are stamped with the version they answered
+// (SurveyResponse.surveyVersion) so analytics can filter / compare by it
+// (see trendService.getVersionComparison).
+// ============================================================================
+
+const mongoose = require("mongoose");
+const Survey = require("../../models/Survey");
+const SurveyVersion = require("../../models/SurveyVersion");
+const SurveyResponse = require("../../models/SurveyResponse");
+
+// Survey fields that make up a version
+const CONTENT_FIELDS = [
+  "title",
+  "description",
+  "language",
+  "fallbackLanguages",
+  "translations",
+  "questions",
+  "sections",
+  "thankYouPage",
+];
+
+// Question fields compared by the diff
+const QUESTION_FIELDS = [
+  "questionText",
+  "type",
+  "options",
+  "required",
+  "description",
+  "settings",
+  "logicRules",
+  "defaultNextQuestionId",
+  "translations",
+];
+
+const getQuestionKey = (question) => String(question.id || question._id);
+
+// Plain copy of the content (Maps flattened, no mongoose internals)
+const toContent = (survey) => {
+  const plain = typeof survey.toObject === "function"
+    ? survey.toObject({ flattenMaps: true, depopulate: true })
+    : survey;
+  return Object.fromEntries(CONTENT_FIELDS.map(field => [field, plain[field]]));
+};
+
+const loadSurvey = async (surveyId, tenantId) => {
+  const survey = await Survey.findOne({ _id: surveyId, tenant: tenantId, deleted: false });
+  if (!survey) {
+    throw { status: 404, message: "Survey not found" };
+  }
+  return survey;
+};
+
+const loadVersion = async (surveyId, version) => {
+  const record = await SurveyVersion.findOne({ survey: surveyId, version }).lean();
+  if (!record) {
+    throw { status: 404, message: `Version ${version} not found` };
+  }
+  return record;
+};
+
+/**
+ * Write a new version from the survey's current content and make it the
+ * live one (survey.version, publishedSnapshot). Does not save the survey.
+ * @param {Object} survey - Survey document
+ * @param {Object} [meta] - { userId, method, note, restoredFrom }
+ * @returns {Promise<Number>} the new version number
+ */
+const recordVersion = async (survey, { userId = null, method = "publish", note, restoredFrom = null } = {}) => {
+  const latest = await SurveyVersion.findOne({ survey: survey._id })
+    .sort({ version: -1 })
+    .select("version")
+    .lean();
+
+  // Surveys published before version history only have survey.version
+  const base = latest ? latest.version : (survey.publishedSnapshot?.lockedAt ? survey.version || 0 : 0);
+  const version = base + 1;
+
+  await SurveyVersion.create({
+    survey: survey._id,
+    tenant: survey.tenant,
+    version,
+    ...toContent(survey),
+    method,
+    note,
+    restoredFrom,
+    publishedBy: userId,
+  });
+
+  survey.version = version;
+  survey.publishedSnapshot = {
+    questions: survey.questions,
+    sections: survey.sections,
+    lockedAt: new Date(),
+  };
+
+  return version;
+};
+
+/**
+ * Version stamped on a new response: the live version, null for drafts
+ */
+const getResponseVersion = (survey) => (survey?.publishedSnapshot?.lockedAt ? survey.version : null);
+
+/**
+ * Version history with response counts
+ * @returns {Promise<{ currentVersion, versions: Array }>}
+ */
+const listVersions = async (surveyId, tenantId) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+
+  const [versions, counts] = await Promise.all([
+    SurveyVersion.find({ survey: survey._id })
+      .sort({ version: -1 })
+      .select("version title method note restoredFrom publishedBy publishedAt questions sections")
+      .populate("publishedBy", "name email")
+      .lean(),
+    SurveyResponse.aggregate([
+      { $match: { survey: survey._id } },
+      { $group: { _id: "$surveyVersion", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countByVersion = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+  return {
+    currentVersion: getResponseVersion(survey),
+    versions: versions.map(({ questions, sections, ...v }) => ({
+      ...v,
+      questionCount: (questions || []).length + (sections || []).reduce((n, s) => n + (s.questions || []).length, 0),
+      responseCount: countByVersion[v.version] || 0,
+    })),
+    // Responses submitted before version history
+    unversionedResponses: countByVersion.null || 0,
+  };
+};
+
+/**
+ * One version with its full content
+ */
+const getVersion = async (surveyId, tenantId, version) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+  return loadVersion(survey._id, version);
+};
+
+// ============================================================================
+// Diff
+// ============================================================================
+
+// Stable JSON for comparisons: no subdocument ids, sorted keys
+const normalize = (value) => {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value instanceof Map) return normalize(Object.fromEntries(value));
+  if (value && typeof value === "object" && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)) {
+    return Object.keys(value)
+      .filter(key => key !== "_id")
+      .sort()
+      .reduce((acc, key) => {
+        if (value[key] !== undefined) acc[key] = normalize(value[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a ?? null)) === JSON.stringify(normalize(b ?? null));
+
+const flattenQuestions = (content) => [
+  ...(content.questions || []).map(q => ({ question: q, section: null })),
+  ...(content.sections || []).flatMap(s => (s.questions || []).map(q => ({ question: q, section: s.id || null }))),
+];
+
+const summarizeQuestion = ({ question, section }) => ({
+  id: getQuestionKey(question),
+  questionText: question.questionText,
+  type: question.type,
+  section,
+});
+
+/**
+ * Compare two contents: survey-level fields and questions matched by id
+ */
+const diffContent = (from, to) => {
+  const fields = ["title", "description", "language", "fallbackLanguages", "translations", "thankYouPage"]
+    .filter(field => !isEqual(from[field], to[field]))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+  const before = flattenQuestions(from);
+  const after = flattenQuestions(to);
+  const beforeByKey = new Map(before.map(entry => [getQuestionKey(entry.question), entry]));
+  const afterKeys = new Set(after.map(entry => getQuestionKey(entry.question)));
+
+  const added = after.filter(entry => !beforeByKey.has(getQuestionKey(entry.question))).map(summarizeQuestion);
+  const removed = before.filter(entry => !afterKeys.has(getQuestionKey(entry.question))).map(summarizeQuestion);
+
+  const changed = after
+    .filter(entry => beforeByKey.has(getQuestionKey(entry.question)))
+    .map(entry => {
+      const previous = beforeByKey.get(getQuestionKey(entry.question));
+      const changes = QUESTION_FIELDS
+        .filter(field => !isEqual(previous.question[field], entry.question[field]))
+        .map(field => ({ field, from: previous.question[field] ?? null, to: entry.question[field] ?? null }));
+      if (previous.section !== entry.section) {
+        changes.push({ field: "section", from: previous.section, to: entry.section });
+      }
+      return { ...summarizeQuestion(entry), changes };
+    })
+    .filter(entry => entry.changes.length);
+
+  // Same questions in a different order
+  const commonBefore = before.map(e => getQuestionKey(e.question)).filter(key => afterKeys.has(key));
+  const commonAfter = after.map(e => getQuestionKey(e.question)).filter(key => beforeByKey.has(key));
+  const reordered = commonBefore.some((key, i) => key !== commonAfter[i]);
+
+  return {
+    fields,
+    questions: { added, removed, changed, reordered },
+    summary: {
+      fieldsChanged: fields.length,
+      questionsAdded: added.length,
+      questionsRemoved: removed.length,
+      questionsChanged: changed.length,
+      reordered,
+      identical: !fields.length && !added.length && !removed.length && !changed.length && !reordered,
+    },
+  };
+};
+
+/**
+ * Diff two versions. `to` defaults to the latest version; "current" compares
+ * against the survey's unpublished content.
+ * @param {Number} from
+ * @param {Number|String} [to]
+ */
+const diffVersions = async (surveyId, tenantId, from, to) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+  const fromVersion = await loadVersion(survey._id, from);
+
+  let toContentValue;
+  let toLabel;
+  if (to === "current") {
+    toContentValue = toContent(survey);
+    toLabel = "current";
+  } else {
+    const toVersion = to
+      ? await loadVersion(survey._id, to)
+      : await SurveyVersion.findOne({ survey: survey._id }).sort({ version: -1 }).lean();
+    toContentValue = toVersion;
+    toLabel = toVersion.version;
+  }
+
+  return {
+    from: fromVersion.version,
+    to: toLabel,
+    ...diffContent(fromVersion, toContentValue),
+  };
+};
+
+// ============================================================================
+// Restore
+// ============================================================================
+
+/**
+ * Copy a version's content back into the survey. Live surveys publish it as
+ * a new version right away; drafts just get the content.
+ * @returns {Promise<{ survey, version: Number|null }>}
+ */
+const restoreVersion = async (surveyId, tenantId, version, { userId, note } = {}) => {
+  const survey = await loadSurvey(surveyId, tenantId);
+  const target = await loadVersion(survey._id, version);
+
+  CONTENT_FIELDS.forEach(field => {
+    survey.set(field, target[field] === undefined ? undefined : target[field]);
+  });
+
+  let newVersion = null;
+  if (survey.status !== "draft") {
+    newVersion = await recordVersion(survey, {
+      userId,
+      method: "restore",
+      note: note || `Restored version ${version}`,
+      restoredFrom: version,
+    });
+  }
+
+  await survey.save();
+  return { survey, version: newVersion };
+};
+
+module.exports = {
+  CONTENT_FIELDS,
+  recordVersion,
+  getResponseVersion,
+  listVersions,
+  getVersion,
+  diffContent,
+  diffVersions,
+  restoreVersion,
+};
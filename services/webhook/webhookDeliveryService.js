@@ -0,0 +1,154 @@
+// services/webhook/webhookDeliveryService.js
+// ============================================================================
+// Webhook Delivery - sends one WebhookDelivery over HTTP and logs the attempt.
+// Runs inside the webhook-delivery worker (or inline when queues are off);
+// throwing makes BullMQ retry with exponential backoff.
+//
+// Only public addresses are reached (utils/outboundUrl.js): the URL is checked
+// and the host's resolved addresses are checked at connect time. Receiver
+// bodies are kept only for 2xx answers.
+//
+// Receivers verify:
+//   X-RatePro-Signature: sha256=HMAC_SHA256(secret, `${X-RatePro-Timestamp}.${rawBody}`)
+// ============================================================================
+
+const crypto = require("crypto");
+const axios = require("axios");
+const Webhook = require("../../models/Webhook");
+const WebhookDelivery = require("../../models/WebhookDelivery");
+const { decrypt } = require("../../utils/encryption");
+const Logger = require("../../utils/logger");
+const { assertOutboundUrl, publicLookup } = require("../../utils/outboundUrl");
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BODY = 1000;
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function buildBody(delivery) {
+    return JSON.stringify({
+        id: delivery.eventId,
+        event: delivery.event,
+        createdAt: delivery.createdAt,
+        tenantId: delivery.tenant,
+        data: delivery.payload
+    });
+}
+
+function truncate(value) {
+    if (value === undefined || value === null) return undefined;
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return text.length > MAX_RESPONSE_BODY ? `${text.slice(0, MAX_RESPONSE_BODY)}…` : text;
+}
+
+async function recordWebhookHealth(webhookId, succeeded) {
+    const update = succeeded
+        ? { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: "succeeded", consecutiveFailures: 0 } }
+        : { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: "failed" }, $inc: { consecutiveFailures: 1 } };
+    await Webhook.updateOne({ _id: webhookId }, update);
+}
+
+/**
+ * Mark a delivery as dead (retries exhausted)
+ */
+async function markDead(deliveryId, error) {
+    await WebhookDelivery.updateOne(
+        { _id: deliveryId, status: { $ne: "succeeded" } },
+        { $set: { status: "dead", deadAt: new Date() } }
+    );
+
+    const delivery = await WebhookDelivery.findById(deliveryId).select("webhook");
+    if (delivery) {
+        await Webhook.updateOne({ _id: delivery.webhook }, { $set: { lastDeliveryStatus: "dead" } });
+    }
+
+    Logger.warn("webhookDelivery", "Webhook delivery moved to dead letter", {
+        context: { deliveryId, error: error?.message }
+    });
+}
+
+/**
+ * Send a delivery once.
+ * @param {Object} data - Job data { deliveryId }
+ * @param {Object} [options]
+ * @param {boolean} [options.finalAttempt] - Mark the delivery dead if this attempt fails
+ * @throws {Error} when the receiver did not answer 2xx (so the job is retried)
+ */
+async function deliverWebhook({ deliveryId }, { finalAttempt = false } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status === "succeeded") return;
+
+    const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+    if (!webhook || !webhook.isActive) {
+        delivery.status = "dead";
+        delivery.deadAt = new Date();
+        delivery.attempts.push({
+            number: delivery.attemptCount + 1,
+            error: webhook ? "Webhook is disabled" : "Webhook was deleted"
+        });
+        await delivery.save();
+        return;
+    }
+
+    const body = buildBody(delivery);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempt = { number: delivery.attemptCount + 1, at: new Date() };
+    const startedAt = Date.now();
+
+    try {
+        assertOutboundUrl(webhook.url);
+
+        const res = await axios.post(webhook.url, body, {
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "RatePro-Webhooks/1.0",
+                "X-RatePro-Event": delivery.event,
+                "X-RatePro-Delivery": delivery._id.toString(),
+                "X-RatePro-Timestamp": timestamp,
+                "X-RatePro-Signature": `sha256=${sign(decrypt(webhook.secret), timestamp, body)}`
+            },
+            timeout: REQUEST_TIMEOUT_MS,
+            maxRedirects: 0,
+            proxy: false,
+            lookup: publicLookup,
+            validateStatus: () => true,
+            transformRequest: [(data) => data] // send the exact signed bytes
+        });
+
+        attempt.statusCode = res.status;
+        if (res.status < 200 || res.status >= 300) {
+            attempt.error = `Receiver responded with HTTP ${res.status}`;
+        } else {
+            attempt.responseBody = truncate(res.data);
+        }
+    } catch (err) {
+        attempt.error = err.code ? `${err.code}: ${err.message}` : err.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const succeeded = !attempt.error;
+    delivery.attempts.push(attempt);
+    delivery.attemptCount = attempt.number;
+    delivery.lastAttemptAt = attempt.at;
+    if (succeeded) {
+        delivery.status = "succeeded";
+        delivery.deliveredAt = new Date();
+    } else {
+        delivery.status = finalAttempt ? "dead" : "failed";
+        if (finalAttempt) delivery.deadAt = new Date();
+    }
+    await delivery.save();
+    await recordWebhookHealth(webhook._id, succeeded);
+
+    if (!succeeded) {
+        throw new Error(attempt.error);
+    }
+}
+
+module.exports = {
+    sign,
+    deliverWebhook,
+    markDead
+};
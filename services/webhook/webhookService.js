@@ -0,0 +1,229 @@
+// services/webhook/webhookService.js
+// ============================================================================
+// Webhook Service - tenant webhook subscriptions, event dispatch and replay
+// Dispatch creates one WebhookDelivery per subscribed webhook and queues it
+// on "webhook-delivery" (see webhookDeliveryService for the HTTP side).
+// ============================================================================
+
+const crypto = require("crypto");
+const Webhook = require("../../models/Webhook");
+const { WEBHOOK_EVENTS } = require("../../models/Webhook");
+const WebhookDelivery = require("../../models/WebhookDelivery");
+const { webhookQueue } = require("../../queues/webhook.queue");
+const featureFlagManager = require("../subscription/featureFlagManager");
+const { encrypt } = require("../../utils/encryption");
+const Logger = require("../../utils/logger");
+
+const FEATURE_CODE = "webhooks";
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString("hex")}`;
+
+async function enqueueDelivery(delivery) {
+    await webhookQueue.add("deliver", { deliveryId: delivery._id.toString() }, {
+        jobId: delivery._id.toString()
+    });
+}
+
+/**
+ * Fan an event out to the tenant's subscribed webhooks.
+ * Never throws - callers fire and forget.
+ *
+ * @param {string} tenantId
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload (sent as `data`)
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function dispatchEvent(tenantId, event, data) {
+    try {
+        if (!tenantId || !WEBHOOK_EVENTS.includes(event)) return 0;
+        if (!(await featureFlagManager.hasFeature(tenantId, FEATURE_CODE))) return 0;
+
+        const webhooks = await Webhook.find({ tenant: tenantId, isActive: true, events: event })
+            .select("_id")
+            .lean();
+        if (!webhooks.length) return 0;
+
+        const eventId = `evt_${crypto.randomUUID()}`;
+        const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+            tenant: tenantId,
+            webhook: webhook._id,
+            event,
+            eventId,
+            payload: data
+        })));
+
+        for (const delivery of deliveries) {
+            await enqueueDelivery(delivery);
+        }
+        return deliveries.length;
+    } catch (err) {
+        Logger.error("dispatchWebhookEvent", "Failed to dispatch webhook event", {
+            error: err,
+            context: { tenantId, event }
+        });
+        return 0;
+    }
+}
+
+// ============================================================================
+// Subscriptions
+// ============================================================================
+
+async function listWebhooks(tenantId) {
+    return Webhook.find({ tenant: tenantId })
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 });
+}
+
+async function getWebhook({ tenantId, webhookId }) {
+    const webhook = await Webhook.findOne({ _id: webhookId, tenant: tenantId });
+    if (!webhook) {
+        throw { statusCode: 404, message: "Webhook not found" };
+    }
+    return webhook;
+}
+
+/**
+ * Create a webhook. The signing secret is only returned here and on rotate.
+ * @returns {Promise<Object>} { webhook, secret }
+ */
+async function createWebhook({ tenantId, userId, data }) {
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+        tenant: tenantId,
+        name: data.name,
+        url: data.url,
+        events: [...new Set(data.events)],
+        isActive: data.isActive !== false,
+        secret: encrypt(secret),
+        createdBy: userId
+    });
+
+    // secret is select:false - don't echo the encrypted blob back
+    webhook.secret = undefined;
+    return { webhook, secret };
+}
+
+async function updateWebhook({ tenantId, webhookId, data }) {
+    const webhook = await getWebhook({ tenantId, webhookId });
+
+    if (data.name !== undefined) webhook.name = data.name;
+    if (data.url !== undefined) webhook.url = data.url;
+    if (data.events !== undefined) webhook.events = [...new Set(data.events)];
+    if (data.isActive !== undefined) {
+        if (data.isActive && !webhook.isActive) webhook.consecutiveFailures = 0;
+        webhook.isActive = data.isActive;
+    }
+
+    await webhook.save();
+    return webhook;
+}
+
+async function deleteWebhook({ tenantId, webhookId }) {
+    const webhook = await getWebhook({ tenantId, webhookId });
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+}
+
+/**
+ * Replace the signing secret (takes effect for the next attempt)
+ * @returns {Promise<Object>} { webhook, secret }
+ */
+async function rotateSecret({ tenantId, webhookId }) {
+    const webhook = await getWebhook({ tenantId, webhookId });
+    const secret = generateSecret();
+    webhook.secret = encrypt(secret);
+    await webhook.save();
+
+    webhook.secret = undefined;
+    return { webhook, secret };
+}
+
+// ============================================================================
+// Delivery log
+// ============================================================================
+
+async function listDeliveries({ tenantId, webhookId, status, event, page = 1, limit = 20 }) {
+    const filter = { tenant: tenantId };
+    if (webhookId) filter.webhook = webhookId;
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+            .select("-payload -attempts")
+            .populate("webhook", "name url")
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        WebhookDelivery.countDocuments(filter)
+    ]);
+
+    return {
+        deliveries,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+}
+
+async function getDelivery({ tenantId, deliveryId }) {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, tenant: tenantId })
+        .populate("webhook", "name url isActive");
+    if (!delivery) {
+        throw { statusCode: 404, message: "Delivery not found" };
+    }
+
+    // Receiver bodies are only shown for 2xx answers (older attempts may have stored others)
+    const result = delivery.toObject();
+    result.attempts = result.attempts.map(({ responseBody, ...attempt }) =>
+        (attempt.statusCode >= 200 && attempt.statusCode < 300 ? { ...attempt, responseBody } : attempt));
+    return result;
+}
+
+/**
+ * Send a past delivery again as a new delivery (same event id and payload,
+ * so receivers can de-duplicate). Works for dead-lettered deliveries too.
+ */
+async function replayDelivery({ tenantId, deliveryId, userId }) {
+    const original = await WebhookDelivery.findOne({ _id: deliveryId, tenant: tenantId });
+    if (!original) {
+        throw { statusCode: 404, message: "Delivery not found" };
+    }
+    if (original.status === "pending") {
+        throw { statusCode: 400, message: "Delivery is still in progress" };
+    }
+
+    const webhook = await Webhook.findOne({ _id: original.webhook, tenant: tenantId }).select("isActive");
+    if (!webhook) {
+        throw { statusCode: 404, message: "Webhook not found" };
+    }
+    if (!webhook.isActive) {
+        throw { statusCode: 400, message: "Webhook is disabled" };
+    }
+
+    const replay = await WebhookDelivery.create({
+        tenant: tenantId,
+        webhook: original.webhook,
+        event: original.event,
+        eventId: original.eventId,
+        payload: original.payload,
+        replayOf: original._id,
+        replayedBy: userId
+    });
+    await enqueueDelivery(replay);
+
+    return replay;
+}
+
+module.exports = {
+    FEATURE_CODE,
+    WEBHOOK_EVENTS,
+    dispatchEvent,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateSecret,
+    listDeliveries,
+    getDelivery,
+    replayDelivery
+};
@@ -0,0 +1,55 @@
+// test/timezone.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getZonedParts,
+  parseInTimezone,
+  formatInTimezone,
+  addPeriodInTimezone
+} = require("../utils/timezone");
+
+const TZ = "America/New_York";
+
+// Step a schedule forward from its start, each run from the previous one,
+// the way recurring waves are planned
+const runs = (start, frequency, count) => {
+  const anchor = getZonedParts(start, TZ);
+  const result = [start];
+  while (result.length < count) {
+    result.push(addPeriodInTimezone(result[result.length - 1], frequency, TZ, anchor));
+  }
+  return result.map(date => formatInTimezone(date, TZ));
+};
+
+test("daily runs in a DST gap move forward that day only", () => {
+  // 2026-03-08: clocks go 02:00 → 03:00
+  assert.deepEqual(runs(parseInTimezone("2026-03-06T02:30", TZ), "daily", 5), [
+    "2026-03-06T02:30:00",
+    "2026-03-07T02:30:00",
+    "2026-03-08T03:30:00",
+    "2026-03-09T02:30:00",
+    "2026-03-10T02:30:00"
+  ]);
+});
+
+test("weekly runs keep their wall-clock time across spring-forward and fall-back", () => {
+  assert.deepEqual(runs(parseInTimezone("2026-03-01T02:30", TZ), "weekly", 3), [
+    "2026-03-01T02:30:00",
+    "2026-03-08T03:30:00",
+    "2026-03-15T02:30:00"
+  ]);
+  assert.deepEqual(runs(parseInTimezone("2026-10-25T09:00", TZ), "weekly", 3), [
+    "2026-10-25T09:00:00",
+    "2026-11-01T09:00:00",
+    "2026-11-08T09:00:00"
+  ]);
+});
+
+test("monthly runs go back to the anchor day after a short month", () => {
+  assert.deepEqual(runs(parseInTimezone("2026-01-31T09:00", TZ), "monthly", 4), [
+    "2026-01-31T09:00:00",
+    "2026-02-28T09:00:00",
+    "2026-03-31T09:00:00",
+    "2026-04-30T09:00:00"
+  ]);
+});
@@ -0,0 +1,175 @@
+// utils/businessTime.js
+// Business-time arithmetic against an SLA calendar (models/SlaCalendar).
+// A calendar is normalized once with normalizeCalendar(); every helper also
+// accepts null, meaning "no calendar": plain wall-clock time, as before
+// calendars existed.
+//
+// Working windows are evaluated day by day in the calendar timezone, so DST
+// changes and holidays are respected. Working hours may end at "24:00" but
+// not cross midnight.
+
+const { DEFAULT_TIMEZONE, isValidTimezone, getZonedParts, zonedPartsToUtc } = require("./timezone");
+
+const HOUR_MS = 60 * 60 * 1000;
+// Search horizon: a calendar with (almost) no working time falls back to wall-clock
+const MAX_DAYS = 3 * 366;
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = String(hhmm).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Calendar document → lookup-friendly form
+ * @param {Object} calendar - SlaCalendar (lean or document)
+ * @returns {Object|null}
+ */
+const normalizeCalendar = (calendar) => {
+  if (!calendar) return null;
+  const startMinute = toMinutes(calendar.workingHours?.start || "09:00");
+  const endMinute = toMinutes(calendar.workingHours?.end || "17:00");
+  const holidays = calendar.holidays || [];
+
+  return {
+    _id: calendar._id,
+    name: calendar.name,
+    timezone: isValidTimezone(calendar.timezone) ? calendar.timezone : DEFAULT_TIMEZONE,
+    workingDays: new Set(calendar.workingDays || []),
+    startMinute,
+    endMinute,
+    hoursPerDay: Math.max(endMinute - startMinute, 0) / 60,
+    holidays: new Set(holidays.filter(h => !h.recurring).map(h => h.date)),
+    // Recurring holidays match every year by month-day
+    recurringHolidays: new Set(holidays.filter(h => h.recurring).map(h => String(h.date).slice(5))),
+  };
+};
+
+const localDay = (date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return { year, month, day };
+};
+
+const shiftDay = ({ year, month, day }, delta) => {
+  const d = new Date(Date.UTC(year, month - 1, day + delta));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+};
+
+const dayKey = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Whether a local date is a working day (weekday and not a holiday)
+ */
+const isWorkingDay = (cal, day) => {
+  const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+  if (!cal.workingDays.has(weekday)) return false;
+  const key = dayKey(day);
+  return !cal.holidays.has(key) && !cal.recurringHolidays.has(key.slice(5));
+};
+
+/**
+ * Working window of a local date as UTC instants, or null
+ * @returns {{ start: Number, end: Number }|null} epoch ms
+ */
+const getWindow = (cal, day) => {
+  if (cal.endMinute <= cal.startMinute || !isWorkingDay(cal, day)) return null;
+  const at = (minute) => zonedPartsToUtc({ ...day, hour: Math.floor(minute / 60), minute: minute % 60 }, cal.timezone).getTime();
+  return { start: at(cal.startMinute), end: at(cal.endMinute) };
+};
+
+/**
+ * Instant `hours` of business time after `start`
+ * @param {Date} start
+ * @param {Number} hours
+ * @param {Object|null} cal - normalizeCalendar() result
+ * @returns {Date}
+ */
+const addBusinessHours = (start, hours, cal) => {
+  const from = new Date(start).getTime();
+  let remaining = hours * HOUR_MS;
+  if (!cal) return new Date(from + remaining);
+
+  let day = localDay(new Date(from), cal.timezone);
+  for (let i = 0; i < MAX_DAYS; i++) {
+    const window = getWindow(cal, day);
+    if (window) {
+      const begin = Math.max(window.start, from);
+      if (begin < window.end) {
+        const available = window.end - begin;
+        if (remaining <= available) return new Date(begin + remaining);
+        remaining -= available;
+      }
+    }
+    day = shiftDay(day, 1);
+  }
+  return new Date(from + hours * HOUR_MS);
+};
+
+/**
+ * Instant `hours` of business time before `end` (inverse of addBusinessHours)
+ * @returns {Date}
+ */
+const subtractBusinessHours = (end, hours, cal) => {
+  const to = new Date(end).getTime();
+  let remaining = hours * HOUR_MS;
+  if (!cal) return new Date(to - remaining);
+
+  let day = localDay(new Date(to), cal.timezone);
+  for (let i = 0; i < MAX_DAYS; i++) {
+    const window = getWindow(cal, day);
+    if (window) {
+      const finish = Math.min(window.end, to);
+      if (finish > window.start) {
+        const available = finish - window.start;
+        if (remaining <= available) return new Date(finish - remaining);
+        remaining -= available;
+      }
+    }
+    day = shiftDay(day, -1);
+  }
+  return new Date(to - hours * HOUR_MS);
+};
+
+/**
+ * Working days from `start`: a working day counts as the calendar's
+ * working hours, so "1 day" after Thursday 18:00 is Sunday closing time on a
+ * Sunday–Thursday week. Without a calendar a day is 24 hours.
+ * @returns {Date}
+ */
+const addBusinessDays = (start, days, cal) => (cal && cal.hoursPerDay > 0
+  ? addBusinessHours(start, days * cal.hoursPerDay, cal)
+  : addBusinessHours(start, days * 24, null));
+
+/**
+ * Business time between two instants
+ * @returns {Number} milliseconds (0 when end <= start)
+ */
+const businessMsBetween = (start, end, cal) => {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  if (!(to > from)) return 0;
+  if (!cal) return to - from;
+
+  let total = 0;
+  let day = localDay(new Date(from), cal.timezone);
+  const lastKey = dayKey(localDay(new Date(to), cal.timezone));
+  for (let i = 0; i < MAX_DAYS; i++) {
+    const window = getWindow(cal, day);
+    if (window) {
+      total += Math.max(0, Math.min(window.end, to) - Math.max(window.start, from));
+    }
+    if (dayKey(day) === lastKey) return total;
+    day = shiftDay(day, 1);
+  }
+  return total;
+};
+
+module.exports = {
+  normalizeCalendar,
+  isWorkingDay,
+  addBusinessHours,
+  subtractBusinessHours,
+  addBusinessDays,
+  businessMsBetween,
+};
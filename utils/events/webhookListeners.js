@@ -0,0 +1,27 @@
+// utils/events/webhookListeners.js
+/**
+ * Forwards in-process events to tenant webhooks
+ * Import this in server.js to activate
+ */
+
+const responseEvents = require("./responseEvents");
+const { dispatchEvent } = require("../../services/webhook/webhookService");
+
+// Emitted by submitResponseService / anonymousResponseService after a submission
+responseEvents.on("response.submitted", ({ response, survey, tenantId }) => {
+  dispatchEvent(tenantId, "response.submitted", {
+    responseId: response._id,
+    surveyId: survey?._id || response.survey,
+    surveyTitle: survey?.title,
+    contactId: response.contact || null,
+    isAnonymous: response.isAnonymous,
+    score: response.score ?? null,
+    rating: response.rating ?? null,
+    review: response.review || null,
+    answers: (response.answers || []).map((a) => ({ questionId: a.questionId, answer: a.answer })),
+    wave: response.wave ?? null,
+    submittedAt: response.submittedAt || response.createdAt,
+  });
+});
+
+console.log("[webhookListeners] Event listeners registered");
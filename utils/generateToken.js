@@ -1,16 +1,18 @@
 // utils/generateToken.js
 const jwt = require("jsonwebtoken");
 
-const generateToken = (payload, type = "access") => {
+const generateToken = (payload, type = "access", expiresInOverride) => {
   const secret =
     type === "access"
       ? process.env.JWT_SECRET
       : process.env.REFRESH_TOKEN_SECRET;
 
+  // Refresh tokens follow their session's lifetime (see sessionService)
   const expiresIn =
-    type === "access"
+    expiresInOverride ||
+    (type === "access"
       ? process.env.JWT_EXPIRE || "15m"
-      : "30m";
+      : "30m");
 
   // console.log("Generating token with:", { payload, type, secret, expiresIn });
   return jwt.sign(payload, secret, { expiresIn });
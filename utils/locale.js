@@ -0,0 +1,97 @@
+// utils/locale.js
+// Language tag helpers for multi-language surveys (no extra dependency).
+// Tags are BCP 47 language[-region] codes ("en", "ar", "fr", "pt-BR"),
+// normalised to a lowercase language and an uppercase region.
+
+const DEFAULT_LANGUAGE = "en";
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2}|-[0-9]{3})?$/;
+
+// Older clients send language names instead of codes
+const LANGUAGE_ALIASES = {
+  english: "en",
+  arabic: "ar",
+  french: "fr",
+  spanish: "es",
+  german: "de",
+  urdu: "ur",
+  hindi: "hi",
+  turkish: "tr",
+  chinese: "zh",
+};
+
+/**
+ * Normalise a language tag: "EN" → "en", "pt_br" → "pt-BR", "English" → "en"
+ * @param {String} value
+ * @returns {String|null} null when it isn't a usable language tag
+ */
+const normalizeLanguage = (value) => {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+
+  const alias = LANGUAGE_ALIASES[trimmed.toLowerCase()];
+  if (alias) return alias;
+
+  const [language, region, ...rest] = trimmed.replace(/_/g, "-").split("-");
+  if (rest.length) return null;
+  const tag = region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+  return LANGUAGE_PATTERN.test(tag) ? tag : null;
+};
+
+const isValidLanguage = (value) => typeof value === "string" && LANGUAGE_PATTERN.test(value);
+
+// "pt-BR" → "pt"
+const getBaseLanguage = (tag) => (tag ? tag.split("-")[0] : null);
+
+/**
+ * Parse an Accept-Language header into tags ordered by preference (q-value)
+ * @param {String} header - e.g. "fr-CA,fr;q=0.9,en;q=0.5"
+ * @returns {String[]} e.g. ["fr-CA", "fr", "en"]
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== "string") return [];
+
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const qParam = params.find(p => p.trim().startsWith("q="));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag: normalizeLanguage(tag), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(entry => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+};
+
+/**
+ * Pick the best available language for the requested ones. Each request
+ * matches exactly, then by base language ("fr-CA" → "fr"), then any
+ * regional variant of it ("fr" → "fr-CA").
+ * @param {String[]} requested - In preference order
+ * @param {String[]} available
+ * @returns {String|null}
+ */
+const matchLanguage = (requested, available) => {
+  for (const tag of requested) {
+    if (available.includes(tag)) return tag;
+
+    const base = getBaseLanguage(tag);
+    if (available.includes(base)) return base;
+
+    const variant = available.find(a => getBaseLanguage(a) === base);
+    if (variant) return variant;
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_PATTERN,
+  normalizeLanguage,
+  isValidLanguage,
+  getBaseLanguage,
+  parseAcceptLanguage,
+  matchLanguage,
+};
@@ -1,33 +1,506 @@
 // utils/logicEngine.js
-function evaluateCondition(answer, operator, expectedValue) {
-    switch (operator) {
+// ============================================================================
+// Unified Survey Logic Engine
+//
+// One evaluator for both places branching is defined:
+// 1. Per-question `logicRules` (skip/branch: next question, section or end)
+// 2. Survey-level `LogicRule` documents (SHOW/HIDE/REDIRECT/PREFILL/
+//    DISABLE_NEXT/END_SURVEY display logic)
+//
+// Conditions are expression trees:
+//   leaf:  { questionId, operator, value }
+//   group: { logic: "AND" | "OR", items: [leaf | group, ...] }
+// Values can be piped from earlier answers: { $ref: "q1" } or "{{q1}}".
+//
+// Pure functions only (no DB access) so the same rules can be shipped to the
+// public renderer and re-checked on submit. See services/survey/logicService.js.
+// ============================================================================
+
+const MAX_GROUP_DEPTH = 5;
+
+// Both rule systems historically used different operator names
+const OPERATOR_ALIASES = {
+    equals: "equals", "==": "equals", eq: "equals",
+    notEquals: "notEquals", "!=": "notEquals", ne: "notEquals",
+    greaterThan: "greaterThan", ">": "greaterThan", gt: "greaterThan",
+    lessThan: "lessThan", "<": "lessThan", lt: "lessThan",
+    greaterThanOrEqual: "greaterThanOrEqual", ">=": "greaterThanOrEqual", gte: "greaterThanOrEqual",
+    lessThanOrEqual: "lessThanOrEqual", "<=": "lessThanOrEqual", lte: "lessThanOrEqual",
+    includes: "includes", contains: "includes",
+    notContains: "notContains", notIncludes: "notContains",
+    in: "in",
+    notIn: "notIn",
+    exists: "exists", isAnswered: "exists",
+    notExists: "notExists", isNotAnswered: "notExists",
+};
+
+const SUPPORTED_OPERATORS = Object.keys(OPERATOR_ALIASES);
+
+const PIPE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const SINGLE_PIPE_PATTERN = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+const isEmpty = (answer) =>
+    answer === undefined ||
+    answer === null ||
+    answer === "" ||
+    (Array.isArray(answer) && answer.length === 0);
+
+const normalizeOperator = (operator) => OPERATOR_ALIASES[operator] || null;
+
+/**
+ * Resolve piped values: { $ref: "q1" } or "{{q1}}" → the answer to q1
+ * @param {Object} aliases - Question _id / id → canonical answer key (model.aliases)
+ */
+function resolveValue(value, answers = {}, aliases = {}) {
+    if (value && typeof value === "object" && !Array.isArray(value) && value.$ref) {
+        return answers[aliases[value.$ref] || value.$ref];
+    }
+    if (typeof value === "string") {
+        const match = value.match(SINGLE_PIPE_PATTERN);
+        if (match) return answers[aliases[match[1]] || match[1]];
+    }
+    return value;
+}
+
+/**
+ * Replace {{questionId}} placeholders in text with earlier answers
+ */
+function pipeText(text, answers = {}) {
+    if (typeof text !== "string") return text;
+    return text.replace(PIPE_PATTERN, (_, questionId) => {
+        const answer = answers[questionId];
+        if (isEmpty(answer)) return "";
+        return Array.isArray(answer) ? answer.join(", ") : String(answer);
+    });
+}
+
+const looseEquals = (a, b) => {
+    if (a === b) return true;
+    if (a === null || a === undefined || b === null || b === undefined) return false;
+    if (typeof a === "boolean" || typeof b === "boolean") return String(a) === String(b);
+    const numA = Number(a);
+    const numB = Number(b);
+    if (a !== "" && b !== "" && !isNaN(numA) && !isNaN(numB)) return numA === numB;
+    return String(a).toLowerCase() === String(b).toLowerCase();
+};
+
+const includesValue = (answer, expected) => {
+    if (Array.isArray(answer)) return answer.some(a => looseEquals(a, expected));
+    if (isEmpty(answer)) return false;
+    return String(answer).toLowerCase().includes(String(expected).toLowerCase());
+};
+
+/**
+ * Evaluate a single operator against an answer
+ * @param {*} answer - Respondent's answer
+ * @param {String} operator - Any supported operator or alias
+ * @param {*} expected - Expected value (already resolved)
+ * @returns {Boolean}
+ */
+function evaluateCondition(answer, operator, expected) {
+    switch (normalizeOperator(operator)) {
+        case "exists":
+            return !isEmpty(answer);
+        case "notExists":
+            return isEmpty(answer);
         case "equals":
-            return answer === expectedValue;
+            return Array.isArray(answer)
+                ? answer.length === 1 && looseEquals(answer[0], expected)
+                : looseEquals(answer, expected);
         case "notEquals":
-            return answer !== expectedValue;
+            return !isEmpty(answer) && !evaluateCondition(answer, "equals", expected);
         case "greaterThan":
-            return Number(answer) > Number(expectedValue);
+            return !isEmpty(answer) && Number(answer) > Number(expected);
         case "lessThan":
-            return Number(answer) < Number(expectedValue);
+            return !isEmpty(answer) && Number(answer) < Number(expected);
+        case "greaterThanOrEqual":
+            return !isEmpty(answer) && Number(answer) >= Number(expected);
+        case "lessThanOrEqual":
+            return !isEmpty(answer) && Number(answer) <= Number(expected);
         case "includes":
-            return Array.isArray(answer) && answer.includes(expectedValue);
+            return includesValue(answer, expected);
+        case "notContains":
+            return !isEmpty(answer) && !includesValue(answer, expected);
+        case "in": {
+            const list = Array.isArray(expected) ? expected : [expected];
+            return Array.isArray(answer)
+                ? answer.some(a => list.some(v => looseEquals(a, v)))
+                : list.some(v => looseEquals(answer, v));
+        }
+        case "notIn":
+            return !isEmpty(answer) && !evaluateCondition(answer, "in", expected);
         default:
             return false;
     }
 }
 
+const isGroup = (expr) => expr && Array.isArray(expr.items);
+
+/**
+ * Evaluate a condition tree against all answers collected so far
+ * @param {Object} expr - Leaf or group expression
+ * @param {Object} answers - Map of questionId → answer
+ * @param {Object} options
+ * @param {String} options.defaultQuestionId - Used by leaves without questionId
+ *                                             (per-question rules)
+ * @param {Object} options.aliases - Question _id / id → canonical answer key
+ *                                   (model.aliases); rules may name either
+ * @returns {Boolean}
+ */
+function evaluateExpression(expr, answers = {}, { defaultQuestionId = null, aliases = {} } = {}, depth = 0) {
+    if (!expr || depth > MAX_GROUP_DEPTH) return false;
+
+    if (isGroup(expr)) {
+        if (!expr.items.length) return false;
+        const results = expr.items.map(item => evaluateExpression(item, answers, { defaultQuestionId, aliases }, depth + 1));
+        return String(expr.logic || "AND").toUpperCase() === "OR"
+            ? results.some(Boolean)
+            : results.every(Boolean);
+    }
+
+    const questionId = expr.questionId || defaultQuestionId;
+    if (!questionId) return false;
+
+    return evaluateCondition(
+        answers[aliases[questionId] || questionId],
+        expr.operator,
+        resolveValue(expr.value, answers, aliases)
+    );
+}
+
+/**
+ * Collect every questionId an expression depends on
+ */
+function getReferencedQuestionIds(expr, { defaultQuestionId = null } = {}, acc = new Set(), depth = 0) {
+    if (!expr || depth > MAX_GROUP_DEPTH) return acc;
+
+    if (isGroup(expr)) {
+        expr.items.forEach(item => getReferencedQuestionIds(item, { defaultQuestionId }, acc, depth + 1));
+        return acc;
+    }
+
+    const questionId = expr.questionId || defaultQuestionId;
+    if (questionId) acc.add(questionId);
+    if (expr.value && typeof expr.value === "object" && expr.value.$ref) acc.add(expr.value.$ref);
+    if (typeof expr.value === "string") {
+        const match = expr.value.match(SINGLE_PIPE_PATTERN);
+        if (match) acc.add(match[1]);
+    }
+    return acc;
+}
+
+/**
+ * Structural validation of an expression (used by validators and model hooks)
+ * @returns {Array<String>} error messages, empty when valid
+ */
+function validateExpression(expr, { requireQuestionId = true } = {}, depth = 0) {
+    const errors = [];
+    if (!expr || typeof expr !== "object") return ["Condition must be an object"];
+    if (depth > MAX_GROUP_DEPTH) return [`Conditions can be nested at most ${MAX_GROUP_DEPTH} levels deep`];
+
+    if (isGroup(expr)) {
+        if (expr.logic && !["AND", "OR"].includes(String(expr.logic).toUpperCase())) {
+            errors.push(`Invalid group logic "${expr.logic}" (use AND or OR)`);
+        }
+        if (!expr.items.length) errors.push("Condition group must have at least one item");
+        expr.items.forEach(item => errors.push(...validateExpression(item, { requireQuestionId }, depth + 1)));
+        return errors;
+    }
+
+    if (requireQuestionId && !expr.questionId) errors.push("Condition is missing questionId");
+    if (!normalizeOperator(expr.operator)) errors.push(`Unsupported operator "${expr.operator}"`);
+    return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Survey model: flatten questions/sections and normalise both rule systems
+// ---------------------------------------------------------------------------
+
+const questionKey = (q) => (q.id ? String(q.id) : q._id ? String(q._id) : null);
+
+/**
+ * Convert a per-question rule (legacy or compound) into engine form
+ */
+function normalizeQuestionRule(rule) {
+    const when = rule.conditions && (isGroup(rule.conditions) || rule.conditions.operator)
+        ? rule.conditions
+        : rule.condition
+            ? { questionId: rule.condition.questionId, operator: rule.condition.operator, value: rule.condition.value }
+            : null;
+
+    let target = null;
+    if (rule.endSurvey) target = { type: "end" };
+    else if (rule.nextSectionId) target = { type: "section", id: String(rule.nextSectionId) };
+    else if (rule.nextQuestionId) target = { type: "question", id: String(rule.nextQuestionId) };
+
+    return { when, target };
+}
+
+/**
+ * Build the logic model for a survey
+ * @param {Object} survey - Survey (doc or lean); uses questions + sections
+ * @param {Array} logicRules - Active LogicRule documents for the survey
+ * @returns {Object} Serializable model shared by server and renderer
+ */
+function buildLogicModel(survey, logicRules = []) {
+    const questions = [];
+    const sections = [];
+    const aliases = {};
+
+    const addQuestion = (q, sectionId) => {
+        const key = questionKey(q);
+        if (!key) return;
+        if (q._id) aliases[String(q._id)] = key;
+        if (q.id) aliases[String(q.id)] = key;
+
+        questions.push({
+            id: key,
+            sectionId: sectionId || null,
+            type: q.type,
+            required: !!q.required,
+            rules: (q.logicRules || []).map(normalizeQuestionRule).filter(r => r.when && r.target),
+            defaultNextQuestionId: q.defaultNextQuestionId || null,
+        });
+    };
+
+    (survey.questions || []).forEach(q => addQuestion(q, null));
+    (survey.sections || []).forEach(section => {
+        const sectionId = section.id ? String(section.id) : String(section._id);
+        const sectionQuestions = section.questions || [];
+        sections.push({
+            id: sectionId,
+            title: section.title,
+            questionIds: sectionQuestions.map(questionKey).filter(Boolean),
+        });
+        sectionQuestions.forEach(q => addQuestion(q, sectionId));
+    });
+
+    const order = questions.map(q => q.id);
+
+    const rules = (logicRules || [])
+        .filter(rule => rule.isActive !== false)
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+        .map(rule => {
+            const when = rule.conditions;
+            // A rule "fires" when the respondent leaves the last question it depends on
+            const referenced = [...getReferencedQuestionIds(when)]
+                .map(id => aliases[id] || id)
+                .filter(id => order.includes(id));
+            const triggerQuestionId = referenced.length
+                ? referenced.reduce((last, id) => (order.indexOf(id) > order.indexOf(last) ? id : last))
+                : null;
+
+            return {
+                id: rule._id ? String(rule._id) : undefined,
+                name: rule.name,
+                when,
+                triggerQuestionId,
+                actions: (rule.actions || []).map(a => ({
+                    type: a.type,
+                    targetId: a.targetId ? aliases[String(a.targetId)] || String(a.targetId) : null,
+                    value: a.value,
+                })),
+            };
+        });
+
+    return { questions, sections, order, aliases, rules };
+}
+
+/**
+ * Normalise submitted answers into a questionId → answer map.
+ * Accepts [{ questionId, answer }] or a plain object, and maps Mongo _ids to
+ * the canonical question id.
+ */
+function toAnswerMap(answers, model = null) {
+    const map = {};
+    const canonical = (id) => (model?.aliases?.[String(id)] || String(id));
+
+    if (Array.isArray(answers)) {
+        answers.forEach(a => {
+            if (a && a.questionId !== undefined) map[canonical(a.questionId)] = a.answer;
+        });
+    } else if (answers && typeof answers === "object") {
+        Object.entries(answers).forEach(([id, answer]) => { map[canonical(id)] = answer; });
+    }
+
+    return map;
+}
+
+/**
+ * Evaluate survey-level display rules (SHOW/HIDE/PREFILL/DISABLE_NEXT)
+ */
+function evaluateDisplayRules(model, answers) {
+    const showTargets = new Set();
+    const shown = new Set();
+    const hidden = new Set();
+    const prefill = {};
+    let disableNext = false;
+
+    model.rules.forEach(rule => {
+        const matched = evaluateExpression(rule.when, answers, { aliases: model.aliases });
+        rule.actions.forEach(action => {
+            if (action.type === "SHOW" && action.targetId) showTargets.add(action.targetId);
+            if (!matched) return;
+            switch (action.type) {
+                case "SHOW": shown.add(action.targetId); break;
+                case "HIDE": hidden.add(action.targetId); break;
+                case "PREFILL": prefill[action.targetId] = resolveValue(action.value, answers, model.aliases); break;
+                case "DISABLE_NEXT": disableNext = true; break;
+                default: break;
+            }
+        });
+    });
+
+    // Targets of SHOW rules are hidden until one of those rules matches
+    showTargets.forEach(id => { if (!shown.has(id)) hidden.add(id); });
+    shown.forEach(id => hidden.delete(id));
+
+    return { hidden, shown, prefill, disableNext };
+}
+
+/**
+ * Resolve a jump target to the id of the question to continue at
+ * @returns {String|null|"__END__"}
+ */
+function resolveTarget(model, target) {
+    if (!target) return null;
+    if (target.type === "end") return "__END__";
+    if (target.type === "section") {
+        const section = model.sections.find(s => s.id === target.id);
+        return section?.questionIds[0] || null;
+    }
+    const id = model.aliases[target.id] || target.id;
+    if (model.order.includes(id)) return id;
+    // A REDIRECT/jump may also name a section
+    const section = model.sections.find(s => s.id === target.id);
+    return section?.questionIds[0] || null;
+}
+
+/**
+ * Where to go after leaving a question, given all answers so far
+ * @returns {String|null} next question id, "__END__" or null (sequential)
+ */
+function resolveJump(model, question, answers) {
+    for (const rule of model.rules) {
+        if (rule.triggerQuestionId !== question.id) continue;
+        if (!evaluateExpression(rule.when, answers, { aliases: model.aliases })) continue;
+
+        if (rule.actions.some(a => a.type === "END_SURVEY")) return "__END__";
+        const redirect = rule.actions.find(a => a.type === "REDIRECT");
+        if (redirect) {
+            const target = resolveTarget(model, { type: "question", id: redirect.targetId });
+            if (target) return target;
+        }
+    }
+
+    for (const rule of question.rules) {
+        if (evaluateExpression(rule.when, answers, { defaultQuestionId: question.id, aliases: model.aliases })) {
+            return resolveTarget(model, rule.target);
+        }
+    }
+
+    if (question.defaultNextQuestionId) {
+        return resolveTarget(model, { type: "question", id: question.defaultNextQuestionId });
+    }
+
+    return null;
+}
+
+/**
+ * Walk the survey with the answers given so far.
+ * @param {Object} model - From buildLogicModel
+ * @param {Object|Array} rawAnswers - Answers map or [{ questionId, answer }]
+ * @returns {Object} {
+ *   path: question ids the respondent sees, in order,
+ *   nextQuestionId: first unanswered question on the path (null when done),
+ *   hidden, shown, prefill, disableNext, ended, complete,
+ *   missingRequired: required questions on the path without an answer
+ * }
+ */
+function evaluateSurvey(model, rawAnswers = {}) {
+    const answers = toAnswerMap(rawAnswers, model);
+    const display = evaluateDisplayRules(model, answers);
+    const byId = Object.fromEntries(model.questions.map(q => [q.id, q]));
+
+    const isHidden = (q) => display.hidden.has(q.id) || (q.sectionId && display.hidden.has(q.sectionId));
+
+    const path = [];
+    const visited = new Set();
+    let ended = false;
+    let cursor = model.order[0] || null;
+
+    while (cursor && !visited.has(cursor)) {
+        visited.add(cursor);
+        const question = byId[cursor];
+        if (!question) break;
+
+        const sequentialNext = model.order[model.order.indexOf(cursor) + 1] || null;
+
+        if (isHidden(question)) {
+            cursor = sequentialNext;
+            continue;
+        }
+
+        path.push(cursor);
+
+        // Unanswered questions don't branch; the walk continues sequentially
+        // so required questions further down are still known.
+        const jump = isEmpty(answers[cursor]) ? null : resolveJump(model, question, answers);
+        if (jump === "__END__") {
+            ended = true;
+            break;
+        }
+        cursor = jump || sequentialNext;
+    }
+
+    const unanswered = path.filter(id => isEmpty(answers[id]));
+    const missingRequired = unanswered.filter(id => byId[id]?.required);
+
+    return {
+        path,
+        nextQuestionId: unanswered[0] || null,
+        hidden: [...display.hidden],
+        shown: [...display.shown],
+        prefill: display.prefill,
+        disableNext: display.disableNext,
+        ended,
+        complete: missingRequired.length === 0,
+        missingRequired,
+    };
+}
+
+/**
+ * Legacy single-question helper: next question id for an answer, or null to
+ * continue sequentially. Kept for existing callers; supports compound rules.
+ */
 function getNextQuestion(currentAnswer, currentQuestion) {
     if (!currentQuestion.logicRules || currentQuestion.logicRules.length === 0) {
-        return null; // no branching → proceed normally
+        return currentQuestion.defaultNextQuestionId || null; // no branching → proceed normally
     }
 
-    for (let rule of currentQuestion.logicRules) {
-        const match = evaluateCondition(currentAnswer, rule.condition.operator, rule.condition.value);
-        if (match) {
-            return rule.nextQuestionId; // branching matched
+    const questionId = questionKey(currentQuestion) || "__current__";
+    const answers = { [questionId]: currentAnswer };
+
+    for (const rule of currentQuestion.logicRules) {
+        const { when, target } = normalizeQuestionRule(rule);
+        if (when && target?.type === "question" && evaluateExpression(when, answers, { defaultQuestionId: questionId })) {
+            return target.id; // branching matched
         }
     }
-    return null; // fallback
+    return currentQuestion.defaultNextQuestionId || null; // fallback
 }
 
-module.exports = { getNextQuestion };
+module.exports = {
+    SUPPORTED_OPERATORS,
+    normalizeOperator,
+    evaluateCondition,
+    evaluateExpression,
+    validateExpression,
+    getReferencedQuestionIds,
+    resolveValue,
+    pipeText,
+    buildLogicModel,
+    toAnswerMap,
+    evaluateSurvey,
+    getNextQuestion,
+};
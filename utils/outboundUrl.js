@@ -0,0 +1,123 @@
+// utils/outboundUrl.js
+// ============================================================================
+// Guard for server-side requests to tenant-supplied URLs (webhooks, SSO
+// discovery / JWKS / SAML metadata).
+//
+// Only public addresses may be reached: loopback, private, link-local (cloud
+// metadata 169.254.169.254), CGNAT, multicast and reserved ranges are refused.
+// Host names are checked when they are resolved (publicLookup, passed to axios
+// as `lookup`), so the address connected to is the address that was checked.
+// Production requires https.
+// ============================================================================
+
+const dns = require("dns");
+const net = require("net");
+
+const blocked = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, "ipv6"));
+
+const notAllowed = (message) => Object.assign(new Error(message), { code: "ERR_URL_NOT_ALLOWED" });
+
+/**
+ * Whether an IP address is publicly routable (IPv4-mapped IPv6 is checked as IPv4)
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Check a URL before requesting it: https in production (http allowed
+ * elsewhere), no credentials, and IP-literal hosts must be public.
+ * Host names are checked later by publicLookup.
+ * @param {string} value - URL
+ * @throws {Error} code "ERR_URL_NOT_ALLOWED"
+ */
+const assertOutboundUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw notAllowed("Invalid URL");
+  }
+
+  const protocols = process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+  if (!protocols.includes(url.protocol)) {
+    throw notAllowed(`URL must use ${protocols.map(p => p.slice(0, -1)).join(" or ")}`);
+  }
+  if (url.username || url.password) {
+    throw notAllowed("URL must not contain credentials");
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    throw notAllowed("URL must point to a public host");
+  }
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw notAllowed("URL must point to a public address");
+  }
+};
+
+/**
+ * dns.lookup replacement that fails when the host resolves to any
+ * non-public address
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const rejected = addresses.find(entry => !isPublicAddress(entry.address));
+    if (rejected) {
+      return callback(notAllowed(`${hostname} resolves to a non-public address (${rejected.address})`));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * axios config for a request to a tenant-supplied URL: checks the URL, then
+ * resolves host names through publicLookup. Redirects are not followed (the
+ * target could be any address).
+ * @param {string} url
+ * @param {Object} [config] - Extra axios config (timeout, responseType, ...)
+ * @throws {Error} code "ERR_URL_NOT_ALLOWED"
+ */
+const outboundRequestConfig = (url, config = {}) => {
+  assertOutboundUrl(url);
+  return { ...config, maxRedirects: 0, proxy: false, lookup: publicLookup };
+};
+
+module.exports = {
+  isPublicAddress,
+  assertOutboundUrl,
+  publicLookup,
+  outboundRequestConfig,
+};
@@ -1,37 +1,100 @@
 // utils/renderEmailTemplate.js
 const EmailTemplate = require('../models/EmailTemplate');
 
-const renderTemplate = async ({ templateType, templateData = {} }) => {
-  const template = await EmailTemplate.findOne({
-    type: templateType,
-    isActive: true,
-  }).lean();
+const SUPPORTED_LANGUAGES = ['en', 'ar'];
 
-  if (!template) {
-    throw new Error(`Email template not found: ${templateType}`);
+const CONDITIONAL_REGEX = /\$\{\s*if\s+([\w]+)\s*===\s*"(\w+)"\s*\?\s*`([\s\S]*?)`\s*:\s*`([\s\S]*?)`\s*\}/g;
+
+/**
+ * Variable names used in a template string: ${name} and ${ if name === "x" ? `..` : `..` }
+ */
+const extractTemplateVariables = (...texts) => {
+  const vars = new Set();
+  for (const text of texts) {
+    if (!text) continue;
+    for (const match of text.matchAll(/\$\{\s*(\w+)\s*\}/g)) vars.add(match[1]);
+    for (const match of text.matchAll(CONDITIONAL_REGEX)) vars.add(match[1]);
   }
+  return Array.from(vars);
+};
+
+/**
+ * Subject/body for a language; English (and missing translations) use the top-level copy
+ */
+const getLocalizedContent = (template, language = 'en') => {
+  const translation = language !== 'en' ? template?.translations?.[language] : null;
+  return translation?.body
+    ? { subject: translation.subject || template.subject, body: translation.body, language }
+    : { subject: template.subject, body: template.body, language: 'en' };
+};
 
-  let html = template.body;
+/**
+ * Substitute variables and conditional blocks in a string
+ */
+const fillTemplate = (text, templateData = {}) => {
+  if (!text) return text;
 
   // Conditional blocks
-  html = html.replace(
-    /\$\{\s*if\s+([\w]+)\s*===\s*"(\w+)"\s*\?\s*`([\s\S]*?)`\s*:\s*`([\s\S]*?)`\s*\}/g,
+  let result = text.replace(
+    CONDITIONAL_REGEX,
     (_, variable, expected, yes, no) =>
       templateData[variable] === expected ? yes : no
   );
 
   // Variable replacement
   for (const [key, value] of Object.entries(templateData)) {
-    html = html.replace(
+    result = result.replace(
       new RegExp(`\\$\\{\\s*${key}\\s*\\}`, 'g'),
       value ?? ''
     );
   }
 
+  return result;
+};
+
+/**
+ * Templates to send for a type, most specific first: the tenant's active
+ * override (when it has one), then the active system template.
+ */
+const resolveTemplates = async ({ templateType, tenantId = null }) => {
+  const [override, system] = await Promise.all([
+    tenantId
+      ? EmailTemplate.findOne({ type: templateType, tenant: tenantId, isActive: true }).lean()
+      : null,
+    EmailTemplate.findOne({ type: templateType, tenant: null, isActive: true }).lean(),
+  ]);
+  return [override, system].filter(Boolean);
+};
+
+/**
+ * Pick the content to render. Language wins over branding: an override without
+ * an Arabic variant falls back to the system Arabic copy before its own English.
+ */
+const selectContent = (templates, language = 'en') => {
+  const localized = language !== 'en' && templates.find(t => t.translations?.[language]?.body);
+  return getLocalizedContent(localized || templates[0], localized ? language : 'en');
+};
+
+const renderTemplate = async ({ templateType, templateData = {}, tenantId = null, language = 'en' }) => {
+  const templates = await resolveTemplates({ templateType, tenantId });
+
+  if (!templates.length) {
+    throw new Error(`Email template not found: ${templateType}`);
+  }
+
+  const content = selectContent(templates, language);
+
   return {
-    subject: template.subject,
-    html,
+    subject: fillTemplate(content.subject, templateData),
+    html: fillTemplate(content.body, templateData),
+    language: content.language,
   };
 };
 
-module.exports = renderTemplate;
\ No newline at end of file
+module.exports = renderTemplate;
+module.exports.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+module.exports.extractTemplateVariables = extractTemplateVariables;
+module.exports.getLocalizedContent = getLocalizedContent;
+module.exports.fillTemplate = fillTemplate;
+module.exports.resolveTemplates = resolveTemplates;
+module.exports.selectContent = selectContent;
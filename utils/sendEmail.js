@@ -15,6 +15,8 @@ const sendEmail = async ({
   text,
   templateType,
   templateData,
+  tenantId = null, // renders the tenant's template override when it has one
+  language = 'en',
 }) => {
   try {
     let finalHTML = html;
@@ -22,7 +24,7 @@ const sendEmail = async ({
 
     if (templateType) {
       try {
-        const templateResult = await renderTemplate({ templateType, templateData });
+        const templateResult = await renderTemplate({ templateType, templateData, tenantId, language });
         if (templateResult) {
           finalHTML = templateResult.html || finalHTML;
           finalSubject = templateResult.subject || finalSubject;
@@ -1,6 +1,9 @@
 // utils/sendNotification.js
 const Notification = require("../models/Notification");
 const User = require("../models/User");
+const { pushNotifications } = require("../services/notifications/notificationService");
+const { planDelivery, resolveEvent } = require("../services/notifications/notificationPreferenceService");
+const deliveryService = require("../services/notifications/notificationDeliveryService");
 
 /**
  * Notification type to category mapping
@@ -27,6 +30,7 @@ const TYPE_PRIORITY_MAP = {
   bulk_action_assigned: "medium",
   action_status_updated: "low",
   action_completed: "low",
+  survey_response: "low",
 };
 
 /**
@@ -38,7 +42,9 @@ const TYPE_PRIORITY_MAP = {
  * @param {String} options.title - Optional title (defaults to type-based title)
  * @param {Object} options.data - Additional data/metadata
  * @param {String} options.actionUrl - Optional deep link URL
- * @returns {Object} - { success, notification }
+ * @param {Boolean} options.skipPreferenceCheck - In-app only, ignoring the user's preferences
+ * @returns {Object} - { success, notification } (notification is null when the
+ *                     user only gets it by email / SMS)
  */
 exports.sendNotification = async (options) => {
   try {
@@ -50,44 +56,25 @@ exports.sendNotification = async (options) => {
     }
 
     // Get user to find tenant and preferences
-    const user = await User.findById(userId).select("tenant name email notificationPreferences").lean();
+    const user = await User.findById(userId).select(deliveryService.RECIPIENT_FIELDS).lean();
     if (!user) {
       console.warn(`sendNotification: User ${userId} not found, skipping`);
       return { success: false, error: "User not found" };
     }
 
-    // Check user notification preferences
-    if (!skipPreferenceCheck && user.notificationPreferences) {
-      const prefs = user.notificationPreferences;
-
-      // Check if in-app notifications are disabled
-      if (prefs.inApp === false) {
-        return { success: false, skipped: true, reason: "User disabled in-app notifications" };
-      }
-
-      // Check per-type preferences
-      const typeToPreference = {
-        action_assigned: "actionAssigned",
-        bulk_action_assigned: "actionAssigned",
-        action_escalated: "actionEscalated",
-        action_overdue: "actionOverdue",
-        action_completed: "actionCompleted",
-        action_status_updated: "actionAssigned",
-        survey_response: "surveyResponses",
-        feedback_received: "surveyResponses",
-        system: "systemAlerts"
-      };
-
-      const prefKey = typeToPreference[type];
-      if (prefKey && prefs[prefKey] === false) {
-        return { success: false, skipped: true, reason: `User disabled ${type} notifications` };
-      }
-    }
-
     // Determine notification category and priority
     const category = TYPE_CATEGORY_MAP[type] || "system";
     const priority = TYPE_PRIORITY_MAP[type] || "medium";
 
+    // Channels per user preferences (in-app / email / SMS, digest, quiet hours)
+    const plan = skipPreferenceCheck
+      ? { event: resolveEvent({ type }), inApp: true, email: null, sms: null, sendAfter: null }
+      : planDelivery(user, { type, priority });
+
+    if (!plan.inApp && !plan.email && !plan.sms) {
+      return { success: false, skipped: true, reason: `User disabled ${type} notifications` };
+    }
+
     // Generate title if not provided
     const notificationTitle = title || generateTitle(type);
 
@@ -95,12 +82,13 @@ exports.sendNotification = async (options) => {
     const notificationType = mapToValidType(type);
 
     // Create notification in database
-    const notification = await Notification.create({
+    const notification = plan.inApp ? await Notification.create({
       user: userId,
       tenant: user.tenant,
       title: notificationTitle,
       message,
       type: notificationType,
+      event: plan.event,
       priority,
       status: "unread",
       metadata: data,
@@ -108,28 +96,25 @@ exports.sendNotification = async (options) => {
       source: data.source || "action_engine",
       reference: data.actionId ? { type: "Action", id: data.actionId } :
         data.surveyId ? { type: "Survey", id: data.surveyId } : null
-    });
+    }) : null;
 
-    // Emit real-time notification via Socket.IO (if available)
-    try {
-      const { emitToUser } = require("./socket");
-      emitToUser(userId.toString(), "notification", {
-        id: notification._id,
-        title: notificationTitle,
-        message,
-        type: notificationType,
-        priority,
-        data,
-        createdAt: notification.createdAt
-      });
-    } catch (socketError) {
-      // Socket.IO not initialized or error - continue silently
-    }
+    // Real-time delivery (notification + unread count) via Socket.IO
+    if (notification) pushNotifications([notification]);
+
+    // Email / SMS: now, in the digest, or after quiet hours (non-blocking)
+    deliveryService.dispatch(user, {
+      notificationId: notification?._id || null,
+      tenantId: user.tenant,
+      title: notificationTitle,
+      message,
+      priority,
+      actionUrl: actionUrl || (data.actionId ? `/actions/${data.actionId}` : null)
+    }, plan);
 
     // Log for debugging (in development)
     if (process.env.NODE_ENV !== "production") {
       console.log(`📢 Notification created for user ${userId}:`, {
-        id: notification._id,
+        id: notification?._id || null,
         type: notificationType,
         title: notificationTitle,
         message: message.substring(0, 50) + "...",
@@ -197,47 +182,25 @@ exports.sendBulkNotifications = async (userIds, options) => {
 
 /**
  * Send email notification for critical action alerts
- * Uses SendGrid if configured, falls back to nodemailer
+ * Follows the user's preferences (email channel, digest, quiet hours)
  */
 async function sendEmailNotification(user, type, title, message, data = {}) {
   try {
-    // Check if user has email notifications enabled
-    if (user.notificationPreferences?.email === false) {
+    const priority = data.priority || TYPE_PRIORITY_MAP[type] || "medium";
+    const plan = planDelivery(user, { type, priority });
+    if (!plan.email) {
       return { success: false, skipped: true, reason: "User disabled email notifications" };
     }
 
-    // Only send emails for critical notification types
-    const emailableTypes = ["action_escalated", "action_overdue", "action_assigned", "bulk_action_assigned"];
-    if (!emailableTypes.includes(type)) {
-      return { success: false, skipped: true, reason: "Type not emailable" };
-    }
-
-    // Try to use sendEmail utility if available
-    try {
-      const sendEmail = require("./sendEmail");
-
-      await sendEmail({
-        to: user.email,
-        subject: title,
-        templateType: "action_notification",
-        templateData: {
-          userName: user.name,
-          notificationTitle: title,
-          notificationMessage: message,
-          actionUrl: data.actionUrl || process.env.ADMIN_URL_PROD + "/actions",
-          actionTitle: data.actionTitle || "View Action",
-          priority: data.priority || "medium",
-          companyName: "RatePro",
-          currentYear: new Date().getFullYear()
-        }
-      });
+    await deliveryService.dispatch(user, {
+      tenantId: user.tenant,
+      title,
+      message,
+      priority,
+      actionUrl: data.actionUrl || null
+    }, { ...plan, sms: null });
 
-      return { success: true };
-    } catch (emailError) {
-      // sendEmail not available or failed
-      console.log("Email notification skipped (sendEmail not configured):", emailError.message);
-      return { success: false, error: emailError.message };
-    }
+    return { success: true, mode: plan.email };
   } catch (error) {
     console.error("sendEmailNotification error:", error);
     return { success: false, error: error.message };
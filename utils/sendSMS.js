@@ -28,8 +28,9 @@ const getClient = async () => {
  * @param {Object} options
  * @param {string} options.to - Recipient phone number (E.164 format, e.g. +15555555555)
  * @param {string} options.body - Message text
+ * @param {string} [options.statusCallback] - Delivery status webhook URL
  */
-exports.sendSMS = async ({ to, body }) => {
+exports.sendSMS = async ({ to, body, statusCallback }) => {
   try {
     const client = await getClient();
 
@@ -46,11 +47,14 @@ exports.sendSMS = async ({ to, body }) => {
       body,
       to,
       from: senderNumber,
+      ...(statusCallback ? { statusCallback } : {}),
     });
 
     return { sid: message.sid, status: message.status };
   } catch (err) {
     console.error("SMS Send Error:", err);
-    throw new Error("SMS service failed. Please try again later.");
+    const error = new Error("SMS service failed. Please try again later.");
+    error.code = err.code; // Twilio error code, kept for delivery tracking
+    throw error;
   }
 };
@@ -8,7 +8,7 @@ const axios = require('axios');
 const Twilio = require('twilio');
 const configService = require('../services/configService');
 
-async function sendViaTwilio({ to, body, mediaUrls = [], twilioConfig }) {
+async function sendViaTwilio({ to, body, mediaUrls = [], twilioConfig, statusCallback }) {
   if (!twilioConfig || !twilioConfig.accountSid) throw new Error('Twilio not configured');
   const client = Twilio(twilioConfig.accountSid, twilioConfig.authToken);
 
@@ -18,18 +18,23 @@ async function sendViaTwilio({ to, body, mediaUrls = [], twilioConfig }) {
     ? twilioConfig.fromNumber
     : `whatsapp:${twilioConfig.fromNumber}`;
 
+  // Delivery status updates are POSTed here (see services/distribution/deliveryStatusService)
+  const callback = statusCallback ? { statusCallback } : {};
+
   if (mediaUrls && mediaUrls.length) {
     messages.push(await client.messages.create({
       from: fromFmt,
       to: toFmt,
       body,
       mediaUrl: mediaUrls,
+      ...callback,
     }));
   } else {
     messages.push(await client.messages.create({
       from: fromFmt,
       to: toFmt,
       body,
+      ...callback,
     }));
   }
   return messages;
@@ -67,8 +72,9 @@ async function sendViaMeta({ to, body, mediaUrls = [], metaConfig }) {
  * @param {string} options.body - Message body
  * @param {string[]} [options.mediaUrls] - Optional media URLs
  * @param {Object} [options.config] - Tenant-level config override (from WhatsAppSetting model)
+ * @param {string} [options.statusCallback] - Twilio delivery status webhook URL (Meta uses the app-level webhook)
  */
-module.exports = async function sendWhatsApp({ to, body, mediaUrls = [], config = null }) {
+module.exports = async function sendWhatsApp({ to, body, mediaUrls = [], config = null, statusCallback = null }) {
   const provider = (config && config.provider) || process.env.WHATSAPP_PROVIDER || 'twilio';
 
   if (provider === 'twilio') {
@@ -81,7 +87,7 @@ module.exports = async function sendWhatsApp({ to, body, mediaUrls = [], config
         defaultValue: undefined,
       }),
     };
-    return await sendViaTwilio({ to, body, mediaUrls, twilioConfig: twilioCfg });
+    return await sendViaTwilio({ to, body, mediaUrls, twilioConfig: twilioCfg, statusCallback });
 
   } else if (provider === 'meta') {
     const metaCfg = (config && config.meta) || {
@@ -1,26 +1,111 @@
 // utils/socket.js
 /**
  * Socket.IO Setup Module
- * 
- * Provides real-time notification delivery.
- * 
- * SETUP REQUIRED:
- * 1. npm install socket.io
- * 2. Import and call initializeSocket(server) in server.js
+ *
+ * Authenticated real-time channel for the admin app.
+ *
+ * - Handshake: JWT access token (socket auth `{ token }`, Authorization
+ *   header or the accessToken cookie), checked exactly like protect
+ *   (authMiddleware.authenticateAccessToken). API keys are not accepted.
+ * - Rooms are joined server-side only:
+ *     user:<userId>       notifications, unread count, own actions
+ *     tenant:<tenantId>   tenant-wide events (new responses, action changes)
+ *     session:<sid>       used to drop sockets when a session is revoked
+ * - The socket is disconnected when its access token expires; the client
+ *   refreshes the token and reconnects.
+ * - SOCKET_REDIS_ADAPTER=true routes emits through Redis (config/redis) so
+ *   every API node reaches its own sockets.
+ *
+ * Events (server → client):
+ *     notification, notifications:unread, response:new,
+ *     action:assigned, action:escalated, action:comment
+ *
+ * Emit helpers are no-ops until initializeSocket() runs (scripts, tests).
  */
 
+const redis = require("../config/redis");
+
 let io = null;
 
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Access token from the handshake: auth payload, Bearer header, cookie
+ */
+function getHandshakeToken(handshake) {
+    if (handshake.auth?.token) return handshake.auth.token;
+
+    const authorization = handshake.headers.authorization;
+    if (authorization?.startsWith("Bearer ")) return authorization.split(" ")[1];
+
+    const cookie = (handshake.headers.cookie || "")
+        .split(";")
+        .map(part => part.trim())
+        .find(part => part.startsWith("accessToken="));
+    return cookie ? decodeURIComponent(cookie.slice("accessToken=".length)) : null;
+}
+
+/**
+ * Handshake middleware: same checks as protect, then pins the identity on
+ * socket.data (never trusted from the client afterwards)
+ */
+async function authenticateSocket(socket, next) {
+    // Required lazily: authMiddleware → sessionService → socket
+    const { authenticateAccessToken } = require("../middlewares/authMiddleware");
+
+    const token = getHandshakeToken(socket.handshake);
+    if (!token) {
+        return next(new Error("No token provided"));
+    }
+
+    try {
+        const { user, sessionId, expiresAt } = await authenticateAccessToken(token);
+
+        socket.data.userId = user._id.toString();
+        socket.data.tenantId = user.tenant ? user.tenant._id.toString() : null;
+        socket.data.role = user.role;
+        socket.data.sessionId = sessionId ? sessionId.toString() : null;
+        socket.data.expiresAt = expiresAt;
+        next();
+    } catch (err) {
+        next(new Error(err.statusCode ? err.message : "Token failed or expired"));
+    }
+}
+
+/**
+ * Redis pub/sub adapter for multi-node deployments
+ */
+function attachRedisAdapter() {
+    if (process.env.SOCKET_REDIS_ADAPTER !== "true") return;
+    if (!redis) {
+        console.warn("⚠️ Socket.IO Redis adapter requested but Redis is disabled");
+        return;
+    }
+
+    const { createAdapter } = require("@socket.io/redis-adapter");
+    const pubClient = redis.duplicate();
+    const subClient = redis.duplicate();
+
+    pubClient.on("error", (err) => console.warn("⚠️ Socket.IO Redis pub error:", err.message));
+    subClient.on("error", (err) => console.warn("⚠️ Socket.IO Redis sub error:", err.message));
+
+    io.adapter(createAdapter(pubClient, subClient));
+    console.log("✅ Socket.IO Redis adapter enabled");
+}
+
 /**
  * Initialize Socket.IO with HTTP server
  * @param {Object} server - HTTP server instance
+ * @param {Object} [options]
+ * @param {string[]} [options.origins] - Allowed CORS origins (server.js allowedOrigins)
  */
-function initializeSocket(server) {
+function initializeSocket(server, { origins } = {}) {
     const { Server } = require("socket.io");
 
     io = new Server(server, {
         cors: {
-            origin: [
+            origin: origins || [
                 process.env.PUBLIC_URL_LOCAL || "http://localhost:5173",
                 process.env.ADMIN_URL_LOCAL || "http://localhost:5174",
                 process.env.PUBLIC_URL_PROD,
@@ -30,23 +115,26 @@ function initializeSocket(server) {
         }
     });
 
+    attachRedisAdapter();
+    io.use(authenticateSocket);
+
     io.on("connection", (socket) => {
-        console.log(`🔌 Socket connected: ${socket.id}`);
-
-        // Join user to their own room for targeted notifications
-        socket.on("join", (userId) => {
-            if (userId) {
-                socket.join(`user:${userId}`);
-                console.log(`👤 User ${userId} joined their room`);
-            }
-        });
+        const { userId, tenantId, sessionId, expiresAt } = socket.data;
 
-        // Join tenant room for broadcast notifications
-        socket.on("joinTenant", (tenantId) => {
-            if (tenantId) {
-                socket.join(`tenant:${tenantId}`);
-            }
-        });
+        socket.join(`user:${userId}`);
+        if (tenantId) socket.join(`tenant:${tenantId}`);
+        if (sessionId) socket.join(`session:${sessionId}`);
+
+        // Expired access token → drop the socket, client reconnects with a fresh one
+        if (expiresAt) {
+            const timer = setTimeout(() => {
+                socket.emit("auth:expired");
+                socket.disconnect(true);
+            }, Math.min(Math.max(expiresAt.getTime() - Date.now(), 0), MAX_TIMER_MS));
+            socket.on("disconnect", () => clearTimeout(timer));
+        }
+
+        console.log(`🔌 Socket connected: ${socket.id} (user ${userId})`);
 
         socket.on("disconnect", () => {
             console.log(`🔌 Socket disconnected: ${socket.id}`);
@@ -68,14 +156,28 @@ function getIO() {
 /**
  * Emit notification to specific user
  * @param {string} userId - User ID
- * @param {Object} notification - Notification data
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
  */
 function emitToUser(userId, event, data) {
-    if (io) {
+    if (io && userId) {
         io.to(`user:${userId}`).emit(event, data);
     }
 }
 
+/**
+ * Emit to several users at once (duplicates and empty ids are ignored)
+ * @param {Array<string|ObjectId>} userIds - User IDs
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ */
+function emitToUsers(userIds, event, data) {
+    const rooms = [...new Set(userIds.filter(Boolean).map(id => `user:${id}`))];
+    if (io && rooms.length) {
+        io.to(rooms).emit(event, data);
+    }
+}
+
 /**
  * Emit to all users in a tenant
  * @param {string} tenantId - Tenant ID
@@ -83,14 +185,28 @@ function emitToUser(userId, event, data) {
  * @param {Object} data - Event data
  */
 function emitToTenant(tenantId, event, data) {
-    if (io) {
+    if (io && tenantId) {
         io.to(`tenant:${tenantId}`).emit(event, data);
     }
 }
 
+/**
+ * Disconnect every socket opened with a session (on every node)
+ * @param {Array<string|ObjectId>} sessionIds - Revoked session IDs
+ */
+function disconnectSessions(sessionIds) {
+    const rooms = sessionIds.filter(Boolean).map(id => `session:${id}`);
+    if (io && rooms.length) {
+        io.in(rooms).emit("auth:revoked");
+        io.in(rooms).disconnectSockets(true);
+    }
+}
+
 module.exports = {
     initializeSocket,
     getIO,
     emitToUser,
-    emitToTenant
+    emitToUsers,
+    emitToTenant,
+    disconnectSessions
 };
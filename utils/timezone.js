@@ -0,0 +1,207 @@
+// utils/timezone.js
+// IANA timezone helpers built on Intl (no extra dependency).
+// Schedule dates are stored as UTC instants; these helpers convert between
+// an admin's wall-clock time in the survey timezone and those instants,
+// including across DST transitions.
+
+const DEFAULT_TIMEZONE = "Asia/Karachi";
+
+// "2026-03-29T09:00", "2026-03-29T09:00:00" or "2026-03-29" — no offset / "Z"
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+/**
+ * Check that a string is a valid IANA timezone (e.g. "Asia/Dubai")
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {{ year, month, day, hour, minute, second }} month is 1-based
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== "literal") parts[type] = Number(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+/**
+ * Offset (ms) of the timezone from UTC at a given instant
+ */
+const getOffsetMs = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert wall-clock parts in a timezone to a UTC instant.
+ * Non-existent local times (DST gap) resolve forward by the gap length
+ * (02:30 in a 02:00→03:00 gap becomes 03:30); ambiguous ones (DST overlap)
+ * resolve to the first occurrence.
+ *
+ * @param {{ year, month, day, hour?, minute?, second? }} parts - month is 1-based
+ * @param {String} timezone
+ * @returns {Date}
+ */
+const zonedPartsToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Offsets on either side of a possible transition around this wall-clock time
+  const offsetBefore = getOffsetMs(new Date(asUtc - DAY_MS), timezone);
+  const offsetAfter = getOffsetMs(new Date(asUtc + DAY_MS), timezone);
+
+  // Instants that really show the requested wall-clock time
+  const matches = [...new Set([asUtc - offsetBefore, asUtc - offsetAfter])]
+    .filter(candidate => getOffsetMs(new Date(candidate), timezone) === asUtc - candidate);
+
+  // Overlap: two matches, the earlier is the first occurrence.
+  // Gap: none; reading it with the pre-transition offset lands after the gap.
+  return new Date(matches.length ? Math.min(...matches) : asUtc - offsetBefore);
+};
+
+/**
+ * Parse a schedule date.
+ * - Local datetime strings without offset ("2026-03-29T09:00") are read as
+ *   wall-clock time in `timezone`.
+ * - ISO strings with "Z"/offset, timestamps and Date objects are absolute.
+ *
+ * @param {String|Number|Date} value
+ * @param {String} timezone
+ * @returns {Date|null} null when value is empty, Invalid Date when unparseable
+ */
+const parseInTimezone = (value, timezone = DEFAULT_TIMEZONE) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return new Date(value.getTime());
+
+  if (typeof value === "string") {
+    const match = value.trim().match(LOCAL_DATETIME_PATTERN);
+    if (match) {
+      const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+      return zonedPartsToUtc({
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour),
+        minute: Number(minute),
+        second: Number(second)
+      }, timezone);
+    }
+  }
+
+  return new Date(value);
+};
+
+/**
+ * Format an instant as local wall-clock time in a timezone
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {String|null} "YYYY-MM-DDTHH:mm:ss"
+ */
+const formatInTimezone = (date, timezone = DEFAULT_TIMEZONE) => {
+  if (!date) return null;
+  const d = date instanceof Date ? date : new Date(date);
+  if (isNaN(d.getTime())) return null;
+
+  const p = getZonedParts(d, timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+};
+
+/**
+ * Add a calendar period to an instant while keeping its wall-clock time in
+ * the timezone (09:00 stays 09:00 across DST changes). Pass the schedule's
+ * own wall-clock parts as `anchor`:
+ * - time of day: a run moved forward by a DST gap (02:30 → 03:30) goes back
+ *   to 02:30 afterwards instead of staying shifted;
+ * - day of month: monthly steps land on `anchor.day`, clamped to the end of
+ *   shorter months, so 31st → 28th → 31st doesn't drift to the 28th.
+ * Without an anchor, the parts of `date` are used.
+ *
+ * @param {Date} date
+ * @param {String} frequency - daily | weekly | monthly
+ * @param {String} timezone
+ * @param {{ day?, hour?, minute?, second? }} [anchor] - Wall-clock parts to run at
+ * @returns {Date|null}
+ */
+const addPeriodInTimezone = (date, frequency, timezone = DEFAULT_TIMEZONE, anchor = null) => {
+  const p = getZonedParts(new Date(date), timezone);
+  const time = {
+    hour: anchor?.hour ?? p.hour,
+    minute: anchor?.minute ?? p.minute,
+    second: anchor?.second ?? p.second
+  };
+
+  switch (frequency) {
+    case "daily":
+    case "weekly": {
+      // Date.UTC normalises day overflow into the next month/year
+      const step = frequency === "daily" ? 1 : 7;
+      const shifted = new Date(Date.UTC(p.year, p.month - 1, p.day + step));
+      return zonedPartsToUtc({
+        ...time,
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate()
+      }, timezone);
+    }
+    case "monthly": {
+      const year = p.month === 12 ? p.year + 1 : p.year;
+      const month = p.month === 12 ? 1 : p.month + 1;
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return zonedPartsToUtc({ ...time, year, month, day: Math.min(anchor?.day || p.day, lastDay) }, timezone);
+    }
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  LOCAL_DATETIME_PATTERN,
+  isValidTimezone,
+  getZonedParts,
+  zonedPartsToUtc,
+  parseInTimezone,
+  formatInTimezone,
+  addPeriodInTimezone
+};
@@ -0,0 +1,114 @@
+/**
+ * TOTP Utility (RFC 6238)
+ *
+ * Time-based one-time passwords compatible with Google Authenticator,
+ * Microsoft Authenticator, 1Password, etc. (SHA-1, 6 digits, 30s period).
+ *
+ * Usage:
+ *   const totp = require("./totp");
+ *   const secret = totp.generateSecret();                      // base32
+ *   const url = totp.buildOtpAuthUrl({ secret, label: email }); // for the QR code
+ *   const step = totp.verify(secret, "123456");                // matched time step or null
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const DEFAULT_ISSUER = "RatePro";
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 character in TOTP secret");
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random 160-bit secret (base32).
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/**
+ * Code for a given time step (HOTP, RFC 4226).
+ */
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+/**
+ * Verify a code, allowing `window` steps of clock drift either side.
+ * Steps at or before `afterStep` are rejected so a code can't be replayed.
+ * @returns {number|null} The matched time step, or null
+ */
+const verify = (secret, code, { window = 1, afterStep = null } = {}) => {
+    const token = String(code || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(token)) return null;
+
+    const now = currentStep();
+    for (let step = now - window; step <= now + window; step++) {
+        if (afterStep !== null && step <= afterStep) continue;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * otpauth:// URL understood by authenticator apps (encode it as a QR code).
+ */
+const buildOtpAuthUrl = ({ secret, label, issuer = DEFAULT_ISSUER }) => {
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS),
+    });
+    return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params}`;
+};
+
+module.exports = { generateSecret, generateCode, verify, buildOtpAuthUrl, currentStep };
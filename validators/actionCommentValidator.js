@@ -0,0 +1,38 @@
+// validators/actionCommentValidator.js
+const Joi = require("joi");
+const { TIMELINE_CATEGORIES } = require("../services/action/actionTimelineService");
+
+const objectId = Joi.string().hex().length(24);
+
+// Explicit @mentions; multipart forms may send one id or "id1,id2"
+const mentions = Joi.array().items(objectId).max(50).unique().single()
+  .messages({ "string.hex": "mentions must be user ids", "string.length": "mentions must be user ids" });
+
+// POST /api/actions/:id/comments, /api/action-plans/:id/comments,
+// /api/action-steps/:stepId/comments (multipart; files in "attachments")
+exports.createCommentSchema = Joi.object({
+  body: Joi.string().trim().max(5000).allow("").default(""),
+  parentId: objectId.optional()
+    .messages({ "string.hex": "parentId must be a comment id", "string.length": "parentId must be a comment id" }),
+  mentions: mentions.default([])
+});
+
+// PUT /api/actions/comments/:commentId
+exports.updateCommentSchema = Joi.object({
+  body: Joi.string().trim().max(5000).allow("").required(),
+  mentions: mentions.default([])
+});
+
+// GET /api/actions/:id/timeline
+exports.timelineQuerySchema = Joi.object({
+  // Comma separated categories, e.g. "status,comment"
+  types: Joi.string()
+    .custom((value, helpers) => {
+      const types = value.split(",").map(t => t.trim()).filter(Boolean);
+      const invalid = types.find(t => !TIMELINE_CATEGORIES.includes(t));
+      return invalid || !types.length ? helpers.error("any.invalid") : types;
+    })
+    .messages({ "any.invalid": `types must be a comma separated list of: ${TIMELINE_CATEGORIES.join(", ")}` }),
+  order: Joi.string().valid("asc", "desc").default("asc"),
+  limit: Joi.number().integer().min(1).max(500).default(200)
+});
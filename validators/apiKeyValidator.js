@@ -0,0 +1,17 @@
+// validators/apiKeyValidator.js
+const Joi = require("joi");
+
+// Scopes are Permission names, e.g. "survey:responses:view"
+exports.createApiKeySchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    scopes: Joi.array().items(Joi.string().pattern(/^[a-zA-Z-]+(:[a-zA-Z-]+)+$/)).min(1).required(),
+    rateLimit: Joi.object({
+        requestsPerMinute: Joi.number().integer().min(1).max(6000)
+    }).optional(),
+    expiresAt: Joi.date().greater("now").allow(null).optional()
+});
+
+exports.rotateApiKeySchema = Joi.object({
+    // Keep the old key working while clients switch over
+    gracePeriodHours: Joi.number().integer().min(0).max(168).default(0)
+});
@@ -0,0 +1,95 @@
+// validators/assignmentRuleValidator.js
+const Joi = require("joi");
+
+// Match models/AssignmentRule.js
+const CONDITION_FIELDS = ["category", "survey", "department", "location", "rating", "keyword", "score", "sentiment", "urgency", "priority"];
+const CONDITION_OPERATORS = ["==", "!=", "in", "contains", "<=", ">="];
+const ASSIGNMENT_MODES = ["single_owner", "round_robin", "least_load"];
+
+const objectId = Joi.string().hex().length(24);
+
+const condition = Joi.object({
+  field: Joi.string().valid(...CONDITION_FIELDS).required(),
+  operator: Joi.string().valid(...CONDITION_OPERATORS).required(),
+  value: Joi.when("operator", {
+    switch: [
+      { is: "in", then: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number())).min(1).required() },
+      { is: Joi.valid("<=", ">="), then: Joi.number().required() }
+    ],
+    otherwise: Joi.alternatives().try(Joi.string().trim().min(1), Joi.number(), Joi.boolean()).required()
+  })
+});
+
+// Replaced as a whole on update
+const assignment = Joi.object({
+  mode: Joi.string().valid(...ASSIGNMENT_MODES).default("single_owner"),
+  targetUser: Joi.when("mode", {
+    is: "single_owner",
+    then: objectId.required(),
+    otherwise: objectId.allow(null).optional()
+  }),
+  targetTeam: Joi.string().trim().max(100).allow("", null).optional(),
+  teamMembers: Joi.when("mode", {
+    is: "single_owner",
+    then: Joi.array().items(objectId).max(0).optional()
+      .messages({ "array.max": "teamMembers only apply to round_robin and least_load" }),
+    otherwise: Joi.array().items(objectId).min(1).max(100).unique().required()
+  })
+});
+
+const ruleFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow("", null),
+  priority: Joi.number().integer().min(-1000).max(1000),
+  conditions: Joi.array().items(condition).max(20),
+  logic: Joi.string().valid("AND", "OR"),
+  assignment,
+  priorityOverride: Joi.string().valid("high", "medium", "low").allow(null),
+  isActive: Joi.boolean()
+};
+
+// POST /api/actions/assignment-rules
+exports.createAssignmentRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  assignment: assignment.required(),
+  conditions: ruleFields.conditions.default([]),
+  logic: ruleFields.logic.default("AND"),
+  isActive: ruleFields.isActive.default(true)
+});
+
+// PUT /api/actions/assignment-rules/:ruleId
+exports.updateAssignmentRuleSchema = Joi.object(ruleFields)
+  .min(1)
+  .messages({ "object.min": "Nothing to update" });
+
+// PUT /api/actions/assignment-rules/reorder — highest priority first
+exports.reorderAssignmentRulesSchema = Joi.object({
+  ruleIds: Joi.array().items(objectId).min(1).unique().required()
+});
+
+// POST /api/actions/assignment-rules/dry-run — one sample source
+exports.dryRunAssignmentSchema = Joi.object({
+  action: Joi.object({
+    title: Joi.string().allow("", null),
+    description: Joi.string().allow("", null),
+    category: Joi.string().allow("", null),
+    priority: Joi.string().valid("high", "medium", "low", "long-term").allow(null),
+    survey: objectId.allow(null),
+    department: Joi.string().allow("", null),
+    location: Joi.string().allow("", null),
+    rating: Joi.number().allow(null),
+    score: Joi.number().allow(null),
+    keyword: Joi.string().allow("", null),
+    sentiment: Joi.string().allow("", null),
+    urgency: Joi.string().allow("", null),
+    metadata: Joi.object().unknown(true)
+  }),
+  actionId: objectId,
+  responseId: objectId
+})
+  .xor("action", "actionId", "responseId")
+  .messages({ "object.missing": "Provide a sample action, an actionId or a responseId" });
+
+exports.CONDITION_FIELDS = CONDITION_FIELDS;
+exports.ASSIGNMENT_MODES = ASSIGNMENT_MODES;
@@ -0,0 +1,68 @@
+// validators/incentiveValidator.js
+const Joi = require("joi");
+
+const TRIGGERS = [
+    "survey_completion", "nps_promoter", "high_rating",
+    "detailed_feedback", "first_response", "response_streak"
+];
+
+const objectId = Joi.string().hex().length(24);
+
+const conditionsSchema = Joi.object({
+    minNps: Joi.number().integer().min(0).max(10),
+    minRating: Joi.number().min(1).max(5),
+    minReviewLength: Joi.number().integer().min(1),
+    streakLength: Joi.number().integer().min(2),
+    surveys: Joi.array().items(objectId)
+});
+
+const rewardSchema = Joi.object({
+    points: Joi.number().integer().min(0),
+    voucher: Joi.object({
+        enabled: Joi.boolean(),
+        prefix: Joi.string().alphanum().max(10),
+        value: Joi.number().min(0).when("enabled", { is: true, then: Joi.required() }),
+        valueType: Joi.string().valid("fixed", "percent"),
+        currency: Joi.string().length(3).allow(null),
+        validDays: Joi.number().integer().min(1).max(3650)
+    })
+});
+
+// A rule must give something: points and/or a voucher
+const hasReward = (value, helpers) => {
+    const reward = value.reward;
+    if (reward && !(reward.points > 0) && !reward.voucher?.enabled) {
+        return helpers.message("reward must include points or an enabled voucher");
+    }
+    return value;
+};
+
+exports.createRuleSchema = Joi.object({
+    code: Joi.string().pattern(/^[a-z0-9_]+$/i).max(50).required(),
+    name: Joi.string().min(2).max(100).required(),
+    description: Joi.string().max(500).allow(null, ""),
+    trigger: Joi.string().valid(...TRIGGERS).required(),
+    conditions: conditionsSchema,
+    reward: rewardSchema.required(),
+    maxPerContact: Joi.number().integer().min(1).allow(null),
+    isActive: Joi.boolean()
+}).custom(hasReward);
+
+exports.updateRuleSchema = Joi.object({
+    code: Joi.string().pattern(/^[a-z0-9_]+$/i).max(50),
+    name: Joi.string().min(2).max(100),
+    description: Joi.string().max(500).allow(null, ""),
+    trigger: Joi.string().valid(...TRIGGERS),
+    conditions: conditionsSchema,
+    reward: rewardSchema,
+    maxPerContact: Joi.number().integer().min(1).allow(null),
+    isActive: Joi.boolean()
+}).min(1).custom(hasReward);
+
+exports.revokeRewardSchema = Joi.object({
+    reason: Joi.string().max(500).allow("")
+});
+
+exports.redeemVoucherSchema = Joi.object({
+    code: Joi.string().trim().required()
+});
@@ -0,0 +1,39 @@
+// validators/notificationPreferencesValidator.js
+const Joi = require("joi");
+const { isValidTimezone } = require("../utils/timezone");
+const { EVENT_TYPES } = require("../services/notifications/notificationPreferenceService");
+
+const localTime = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ "string.pattern.base": "{#label} must be a time like 22:00" });
+
+// Per-type channel override; null clears it (back to the type's default)
+const eventChannels = Joi.object({
+  inApp: Joi.boolean().allow(null),
+  email: Joi.boolean().allow(null),
+  sms: Joi.boolean().allow(null)
+});
+
+// PUT /api/settings/notifications (partial update)
+exports.notificationPreferencesSchema = Joi.object({
+  inApp: Joi.boolean(),
+  email: Joi.boolean(),
+  sms: Joi.boolean(),
+  ...Object.fromEntries(EVENT_TYPES.map(event => [event, Joi.boolean()])),
+  channels: Joi.object(Object.fromEntries(EVENT_TYPES.map(event => [event, eventChannels]))),
+  digest: Joi.object({
+    frequency: Joi.string().valid("none", "daily", "weekly"),
+    hour: Joi.number().integer().min(0).max(23),
+    weekday: Joi.number().integer().min(0).max(6)
+  }),
+  quietHours: Joi.object({
+    enabled: Joi.boolean(),
+    start: localTime,
+    end: localTime,
+    allowUrgent: Joi.boolean()
+  }),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error("any.invalid")))
+    .messages({ "any.invalid": "timezone must be a valid IANA timezone (e.g. Asia/Riyadh)" })
+    .allow(null)
+}).min(1).messages({ "object.min": "No valid notification preferences provided" });
@@ -4,6 +4,39 @@
  * Ensures survey is complete and ready for distribution
  */
 
+const { validateExpression, getReferencedQuestionIds } = require("../utils/logicEngine");
+
+/**
+ * DFS over explicit branch edges (question jumps, section jumps, default
+ * branch). Returns the id of a question on a cycle, or null.
+ */
+const findBranchCycle = (questions, sections) => {
+  const byId = Object.fromEntries(questions.filter(q => q.id).map(q => [q.id, q]));
+  const firstOfSection = Object.fromEntries(
+    sections.filter(s => s.id && s.questions?.length).map(s => [s.id, s.questions[0].id])
+  );
+  const visited = new Set();
+  const recStack = new Set();
+
+  const edges = (q) => [
+    ...(q.logicRules || []).map(r => r.nextQuestionId || firstOfSection[r.nextSectionId]),
+    q.defaultNextQuestionId
+  ].filter(Boolean);
+
+  const visit = (id) => {
+    if (recStack.has(id)) return true;
+    if (visited.has(id) || !byId[id]) return false;
+    visited.add(id);
+    recStack.add(id);
+    if (edges(byId[id]).some(visit)) return true;
+    recStack.delete(id);
+    return false;
+  };
+
+  const looping = Object.keys(byId).find(visit);
+  return looping ? (byId[looping].questionText || looping) : null;
+};
+
 exports.validateSurveyForPublish = (survey) => {
   const errors = [];
 
@@ -45,16 +78,38 @@ exports.validateSurveyForPublish = (survey) => {
 
   // 4. Logic rule consistency check
   const questionIds = new Set(allQuestions.map(q => q.id).filter(Boolean));
+  const sectionIds = new Set((survey.sections || []).map(s => s.id).filter(Boolean));
   allQuestions.forEach(q => {
     (q.logicRules || []).forEach(rule => {
+      const label = `Logic rule in "${q.questionText?.slice(0, 30)}..."`;
+
       if (rule.nextQuestionId && !questionIds.has(rule.nextQuestionId)) {
-        errors.push(
-          `Logic rule in "${q.questionText?.slice(0, 30)}..." references non-existent question ID: ${rule.nextQuestionId}`
-        );
+        errors.push(`${label} references non-existent question ID: ${rule.nextQuestionId}`);
+      }
+      if (rule.nextSectionId && !sectionIds.has(rule.nextSectionId)) {
+        errors.push(`${label} references non-existent section ID: ${rule.nextSectionId}`);
+      }
+
+      const expression = rule.conditions || rule.condition;
+      if (expression) {
+        validateExpression(expression, { requireQuestionId: false })
+          .forEach(message => errors.push(`${label}: ${message}`));
+
+        getReferencedQuestionIds(expression, { defaultQuestionId: q.id }).forEach(id => {
+          if (!questionIds.has(id)) {
+            errors.push(`${label} depends on non-existent question ID: ${id}`);
+          }
+        });
       }
     });
   });
 
+  // 4b. Branches must not loop back (walks the same graph as the logic engine)
+  const cycle = findBranchCycle(allQuestions, survey.sections || []);
+  if (cycle) {
+    errors.push(`Circular logic detected involving question "${cycle}"`);
+  }
+
   // 5. Choice questions must have options
   const choiceTypes = ["radio", "checkbox", "select", "multiple_choice", "imageChoice", "ranking"];
   allQuestions.forEach(q => {
@@ -0,0 +1,41 @@
+// validators/quotaValidator.js
+const Joi = require("joi");
+const { SUPPORTED_OPERATORS } = require("../utils/logicEngine");
+const { METADATA_FIELDS } = require("../services/survey/quotaService");
+
+const quotaField = {
+  source: Joi.string().valid("answer", "metadata").required(),
+  // question id for answers, metadata key otherwise
+  field: Joi.when("source", {
+    is: "metadata",
+    then: Joi.string().valid(...METADATA_FIELDS).required(),
+    otherwise: Joi.string().trim().max(100).required()
+  })
+};
+
+const quotaCell = Joi.object({
+  // Stable key stored on responses; generated when missing
+  id: Joi.string().trim().pattern(/^[\w-]+$/).max(50).optional(),
+  name: Joi.string().trim().min(1).max(100).required(),
+  limit: Joi.number().integer().min(1).required(),
+  conditions: Joi.array().items(Joi.object({
+    ...quotaField,
+    operator: Joi.string().valid(...SUPPORTED_OPERATORS).required(),
+    value: Joi.any()
+  })).max(10).default([]),
+  // "100 per department": the limit applies to each value of this field
+  groupBy: Joi.object(quotaField).allow(null).optional(),
+  action: Joi.string().valid("reject", "screen_out").allow(null).optional(),
+  message: Joi.string().trim().max(1000).allow("", null).optional(),
+  isActive: Joi.boolean().default(true)
+});
+
+// PUT /api/surveys/:surveyId/quotas
+exports.quotaConfigValidator = Joi.object({
+  enabled: Joi.boolean().required(),
+  maxResponses: Joi.number().integer().min(1).allow(null).optional(),
+  action: Joi.string().valid("reject", "screen_out").default("reject"),
+  message: Joi.string().trim().max(1000).allow("", null).optional(),
+  closeWhenFull: Joi.boolean().default(false),
+  cells: Joi.array().items(quotaCell).max(50).unique("id", { ignoreUndefined: true }).default([])
+});
@@ -0,0 +1,14 @@
+// validators/reminderValidator.js
+const Joi = require("joi");
+
+exports.reminderPolicyValidator = Joi.object({
+  enabled: Joi.boolean().required(),
+  // Days after the invite was sent, e.g. [3, 7]
+  afterDays: Joi.array()
+    .items(Joi.number().integer().min(1).max(365))
+    .unique()
+    .max(10)
+    .when("enabled", { is: true, then: Joi.array().min(1).required() }),
+  maxReminders: Joi.number().integer().min(1).max(10).optional(),
+  messageTemplate: Joi.string().trim().max(1000).allow("", null).optional()
+});
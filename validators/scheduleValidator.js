@@ -1,13 +1,23 @@
 // validators/survey/scheduleValidator.js
 const Joi = require("joi");
+const { isValidTimezone, LOCAL_DATETIME_PATTERN } = require("../utils/timezone");
+
+// Local datetime ("2026-03-29T09:00", read in `timezone`) or an absolute ISO date
+const scheduleDate = Joi.alternatives().try(
+  Joi.string().pattern(LOCAL_DATETIME_PATTERN),
+  Joi.date().iso()
+);
 
 exports.scheduleValidator = Joi.object({
-  startDate: Joi.date().required(),
-  endDate: Joi.date().optional(),
-  timezone: Joi.string().optional(),
+  startDate: scheduleDate.required(),
+  endDate: scheduleDate.optional().allow(null),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error("any.invalid")))
+    .messages({ "any.invalid": "timezone must be a valid IANA timezone (e.g. Asia/Riyadh)" })
+    .optional(),
   autoPublish: Joi.boolean().optional(),
   repeat: Joi.object({
     enabled: Joi.boolean().default(false),
     frequency: Joi.string().valid("none", "daily", "weekly", "monthly").default("none")
   }).optional()
-});
\ No newline at end of file
+});
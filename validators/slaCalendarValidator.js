@@ -0,0 +1,67 @@
+// validators/slaCalendarValidator.js
+const Joi = require("joi");
+const { isValidTimezone } = require("../utils/timezone");
+
+const TIME_PATTERN = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const workingHours = Joi.object({
+  start: Joi.string().pattern(TIME_PATTERN).required()
+    .messages({ "string.pattern.base": "workingHours.start must be a time like 09:00" }),
+  end: Joi.string().pattern(TIME_PATTERN).required()
+    .messages({ "string.pattern.base": "workingHours.end must be a time like 17:00 (24:00 for midnight)" })
+}).custom((value, helpers) => (toMinutes(value.end) > toMinutes(value.start) ? value : helpers.error("any.invalid")))
+  .messages({ "any.invalid": "workingHours.end must be after workingHours.start" });
+
+const isCalendarDate = (value) => {
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const holiday = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+    .custom((value, helpers) => (isCalendarDate(value) ? value : helpers.error("any.invalid")))
+    .messages({ "string.pattern.base": "holiday date must be YYYY-MM-DD", "any.invalid": "holiday date must be a real date (YYYY-MM-DD)" }),
+  name: Joi.string().trim().max(100).allow("", null).optional(),
+  // Same month-day every year
+  recurring: Joi.boolean().default(false)
+});
+
+const calendarFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow("", null),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error("any.invalid")))
+    .messages({ "any.invalid": "timezone must be a valid IANA timezone (e.g. Asia/Riyadh)" }),
+  // 0 = Sunday … 6 = Saturday
+  workingDays: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique(),
+  workingHours,
+  holidays: Joi.array().items(holiday).max(500).unique("date"),
+  departments: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  isDefault: Joi.boolean(),
+  isActive: Joi.boolean()
+};
+
+// POST /api/sla-calendars
+exports.createSlaCalendarSchema = Joi.object({
+  ...calendarFields,
+  name: calendarFields.name.required(),
+  timezone: calendarFields.timezone.required()
+});
+
+// PUT /api/sla-calendars/:id
+exports.updateSlaCalendarSchema = Joi.object(calendarFields)
+  .min(1)
+  .messages({ "object.min": "Nothing to update" });
+
+// POST /api/sla-calendars/:id/preview
+exports.previewSlaCalendarSchema = Joi.object({
+  start: Joi.date().iso().optional(),
+  hours: Joi.number().min(0).max(10000),
+  days: Joi.number().min(0).max(1000)
+}).xor("hours", "days");
@@ -0,0 +1,66 @@
+// validators/ssoValidator.js
+const Joi = require("joi");
+const { assertOutboundUrl } = require("../utils/outboundUrl");
+
+const objectId = Joi.string().hex().length(24);
+const domain = Joi.string().trim().lowercase()
+    .pattern(/^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/)
+    .messages({ "string.pattern.base": "{{#value}} is not a valid domain" });
+
+// URL the server fetches from (issuer discovery, SAML metadata): public http(s),
+// https only in production; resolved addresses are checked on fetch
+const outboundUrl = (label) => Joi.string().trim().uri({ scheme: ["https", "http"] })
+    .custom((value, helpers) => {
+        try {
+            assertOutboundUrl(value);
+            return value;
+        } catch (err) {
+            return helpers.message(`${label}: ${err.message}`);
+        }
+    });
+
+// OIDC client secret may be omitted on update to keep the stored one
+exports.ssoConfigSchema = Joi.object({
+    enabled: Joi.boolean().required(),
+    protocol: Joi.string().valid("oidc", "saml").required(),
+    domains: Joi.array().items(domain).min(1).max(20).required(),
+    enforced: Joi.boolean().default(false),
+    jit: Joi.object({
+        enabled: Joi.boolean().default(false),
+        defaultCustomRole: objectId.allow(null),
+        defaultDepartment: objectId.allow(null)
+    }).default({ enabled: false }),
+    oidc: Joi.when("protocol", {
+        is: "oidc",
+        then: Joi.object({
+            issuer: outboundUrl("issuer").required(),
+            clientId: Joi.string().trim().max(500).required(),
+            clientSecret: Joi.string().max(2000),
+            scopes: Joi.string().trim().pattern(/(^|\s)openid(\s|$)/).max(500)
+                .messages({ "string.pattern.base": "scopes must include openid" })
+        }).required(),
+        otherwise: Joi.forbidden()
+    }),
+    saml: Joi.when("protocol", {
+        is: "saml",
+        then: Joi.object({
+            metadataXml: Joi.string().max(200000),
+            metadataUrl: outboundUrl("metadataUrl"),
+            nameIdFormat: Joi.string().max(200).allow(null),
+            attributeMapping: Joi.object({
+                email: Joi.string().max(200),
+                name: Joi.string().max(200)
+            })
+        }).oxor("metadataXml", "metadataUrl").required(),
+        otherwise: Joi.forbidden()
+    })
+});
+
+// POST /api/settings/sso/domains/verify
+exports.ssoVerifyDomainSchema = Joi.object({
+    domain: domain.required()
+});
+
+exports.ssoDiscoverSchema = Joi.object({
+    email: Joi.string().email({ tlds: { allow: false } }).required()
+});
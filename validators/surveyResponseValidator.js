@@ -7,7 +7,8 @@ exports.submitResponseSchema = Joi.object({
       Joi.object({
         questionId: Joi.string().required(),
         answer: Joi.any().required(),
-        media: Joi.array().optional()
+        media: Joi.array().optional(),
+        timeSpentMs: Joi.number().integer().min(0).optional()
       })
     )
     .min(1)
@@ -17,7 +18,32 @@ exports.submitResponseSchema = Joi.object({
   rating: Joi.number().min(1).max(5).optional(),
   score: Joi.number().min(0).max(100).optional(),
   isAnonymous: Joi.boolean().default(false),
+  resumeToken: Joi.string().hex().length(48).optional(), // completes an autosaved partial
+  language: Joi.string().max(35).optional(), // language the respondent answered in
   startedAt: Joi.date().iso().optional().allow(null),
   submittedAt: Joi.date().iso().optional().allow(null),
   totalDurationMs: Joi.number().integer().min(0).optional().allow(null)
 });
+
+
+// Autosave payload: answers so far (may be empty) + where the respondent is
+exports.saveProgressSchema = Joi.object({
+  answers: Joi.array()
+    .items(
+      Joi.object({
+        questionId: Joi.string().required(),
+        answer: Joi.any().required(),
+        media: Joi.array().optional(),
+        timeSpentMs: Joi.number().integer().min(0).optional()
+      })
+    )
+    .default([]),
+  currentQuestionIndex: Joi.number().integer().min(0).optional(),
+  resumeToken: Joi.string().hex().length(48).optional(),
+  language: Joi.string().max(35).optional(),
+  startedAt: Joi.date().iso().optional().allow(null)
+});
+
+exports.sendResumeLinkSchema = Joi.object({
+  email: Joi.string().email().optional()
+});
@@ -0,0 +1,43 @@
+// validators/surveyTemplateValidator.js
+const Joi = require("joi");
+
+const TEMPLATE_CATEGORIES = [
+  "corporate", "education", "healthcare", "hospitality",
+  "sports", "banking", "retail", "government",
+  "construction", "automotive", "technology", "general"
+];
+
+const objectId = Joi.string().hex().length(24);
+
+// POST /api/surveys/:surveyId/clone
+exports.cloneSurveySchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).optional(),
+  department: objectId.allow(null).optional()
+});
+
+// POST /api/surveys/:surveyId/save-as-template
+exports.saveAsTemplateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(150).required(),
+  description: Joi.string().trim().max(2000).allow("").optional(),
+  category: Joi.string().valid(...TEMPLATE_CATEGORIES).default("general"),
+  estimatedTime: Joi.string().trim().max(50).optional(),
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(20).optional()
+});
+
+// POST /api/survey-templates/:id/create-survey
+exports.createFromTemplateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).optional(),
+  department: objectId.allow(null).optional()
+});
+
+// POST /api/survey-templates/:id/marketplace/submit
+exports.marketplaceSubmitSchema = Joi.object({
+  note: Joi.string().trim().max(1000).allow("").optional()
+});
+
+// PATCH /api/survey-templates/:id/marketplace/review
+exports.marketplaceReviewSchema = Joi.object({
+  action: Joi.string().valid("approve", "reject").required(),
+  note: Joi.string().trim().max(1000).allow("").optional(),
+  isPremium: Joi.boolean().optional()
+});
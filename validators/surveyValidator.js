@@ -1,5 +1,23 @@
 // /validators/surveyValidators.js
 const Joi = require("joi");
+const { SUPPORTED_OPERATORS, validateExpression } = require("../utils/logicEngine");
+
+// Per-question branch rule: a simple `condition` on this question's answer or
+// a compound `conditions` group across earlier answers, and one jump target.
+const logicRuleSchema = Joi.object({
+  condition: Joi.object({
+    questionId: Joi.string().optional(),
+    operator: Joi.string().valid(...SUPPORTED_OPERATORS).required(),
+    value: Joi.any()
+  }),
+  conditions: Joi.object().unknown(true).custom((value, helpers) => {
+    const [error] = validateExpression(value);
+    return error ? helpers.message(`logic conditions: ${error}`) : value;
+  }),
+  nextQuestionId: Joi.string(),
+  nextSectionId: Joi.string(),
+  endSurvey: Joi.boolean()
+}).or("condition", "conditions").or("nextQuestionId", "nextSectionId", "endSurvey");
 
 exports.validateSurveyCreate = (data) => {
   const schema = Joi.object({
@@ -10,6 +28,8 @@ exports.validateSurveyCreate = (data) => {
       Joi.string(),                              // Single string like "en", "ar", "English"
       Joi.array().items(Joi.string())            // Array like ["English", "Arabic"]
     ).default("en"),
+    // Languages tried, in order, when a text is missing in the requested one
+    fallbackLanguages: Joi.array().items(Joi.string().max(35)).max(20).default([]),
     themeColor: Joi.string().allow("", null),
 
     questions: Joi.array().items(Joi.object({
@@ -27,13 +47,7 @@ exports.validateSurveyCreate = (data) => {
       description: Joi.string().allow("", null),
       settings: Joi.object().unknown(true).default({}),
       // Enhanced logic rules validation
-      logicRules: Joi.array().items(Joi.object({
-        condition: Joi.object({
-          operator: Joi.string().valid('equals', 'notEquals', 'greaterThan', 'lessThan', 'includes').required(),
-          value: Joi.any().required()
-        }).required(),
-        nextQuestionId: Joi.string().required()
-      })).max(10).default([]),  // Soft limit: max 10 rules per question
+      logicRules: Joi.array().items(logicRuleSchema).max(10).default([]),  // Soft limit: max 10 rules per question
       defaultNextQuestionId: Joi.string().allow(null).default(null),
       translations: Joi.object().default({})
     }).unknown(true)).default([]), // Allow unknown fields in questions
@@ -94,7 +108,8 @@ exports.validateSurveyUpdate = (data) => {
     title: Joi.string().optional(),
     description: Joi.string().allow("", null).optional(),
     category: Joi.string().allow("", null).optional(),
-    language: Joi.string().valid("en", "ar").default("en"),
+    language: Joi.string().max(35).optional(), // any language code, checked by the model
+    fallbackLanguages: Joi.array().items(Joi.string().max(35)).max(20).optional(),
     themeColor: Joi.string().allow("", null).optional(),
     questions: Joi.array().items(Joi.object({
       id: Joi.alternatives().try(Joi.string(), Joi.number()).allow("", null),
@@ -102,13 +117,7 @@ exports.validateSurveyUpdate = (data) => {
       title: Joi.string().allow("", null),
       type: Joi.string().optional(),
       options: Joi.array().default([]),
-      logicRules: Joi.array().items(Joi.object({
-        condition: Joi.object({
-          operator: Joi.string().valid('equals', 'notEquals', 'greaterThan', 'lessThan', 'includes').required(),
-          value: Joi.any().required()
-        }).required(),
-        nextQuestionId: Joi.string().required()
-      })).max(10).default([]),
+      logicRules: Joi.array().items(logicRuleSchema).max(10).default([]),
       defaultNextQuestionId: Joi.string().allow(null).default(null)
     }).unknown(true)).optional(),
     settings: Joi.object().unknown(true).optional(),
@@ -127,4 +136,17 @@ exports.validateSurveyUpdate = (data) => {
   }).options({ stripUnknown: false, allowUnknown: true });
 
   return schema.validate(data);
-};
\ No newline at end of file
+};
+
+// One language of a survey: PUT /api/surveys/:surveyId/translations/:language
+// Fields left out keep their current translation.
+exports.surveyTranslationSchema = Joi.object({
+  title: Joi.string().trim().max(500).allow("", null),
+  description: Joi.string().max(5000).allow("", null),
+  thankYouMessage: Joi.string().max(5000).allow("", null),
+  questions: Joi.array().items(Joi.object({
+    id: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+    questionText: Joi.string().max(2000).allow("", null),
+    options: Joi.array().items(Joi.string().allow("").max(500))
+  })).max(500)
+}).min(1);
@@ -0,0 +1,18 @@
+// validators/surveyVersionValidator.js
+const Joi = require("joi");
+
+const versionNumber = Joi.number().integer().min(1);
+
+// GET /api/surveys/:surveyId/versions/diff?from=1&to=3 (to: version or "current", default latest)
+exports.versionDiffQuerySchema = Joi.object({
+  from: versionNumber.required(),
+  to: Joi.alternatives().try(versionNumber, Joi.string().valid("current")).optional()
+});
+
+exports.versionParamSchema = Joi.object({
+  version: versionNumber.required()
+}).unknown(true);
+
+exports.restoreVersionSchema = Joi.object({
+  note: Joi.string().trim().max(500).allow("", null).optional()
+});
@@ -0,0 +1,25 @@
+// validators/twoFactorValidator.js
+const Joi = require("joi");
+
+const code = Joi.string().pattern(/^\d{6}$/).messages({
+    "string.pattern.base": "Code must be 6 digits"
+});
+
+exports.enableTwoFactorSchema = Joi.object({
+    code: code.required()
+});
+
+// Password is required for local accounts (checked in the controller)
+exports.disableTwoFactorSchema = Joi.object({
+    password: Joi.string().optional(),
+    code,
+    recoveryCode: Joi.string().max(20)
+}).xor("code", "recoveryCode");
+
+exports.regenerateRecoveryCodesSchema = Joi.object({
+    code: code.required()
+});
+
+exports.twoFactorPolicySchema = Joi.object({
+    requiredRoles: Joi.array().items(Joi.string().valid("companyAdmin", "member")).unique().required()
+});
@@ -0,0 +1,30 @@
+// validators/webhookValidator.js
+const Joi = require("joi");
+const { WEBHOOK_EVENTS } = require("../models/Webhook");
+const { assertOutboundUrl } = require("../utils/outboundUrl");
+
+// Public http(s) URL (https only in production); resolved addresses are checked on delivery
+const url = Joi.string().trim().uri({ scheme: ["https", "http"] }).max(2048)
+    .custom((value, helpers) => {
+        try {
+            assertOutboundUrl(value);
+            return value;
+        } catch (err) {
+            return helpers.message(`url: ${err.message}`);
+        }
+    });
+const events = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1);
+
+exports.createWebhookSchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    url: url.required(),
+    events: events.required(),
+    isActive: Joi.boolean().optional()
+});
+
+exports.updateWebhookSchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    url,
+    events,
+    isActive: Joi.boolean()
+}).min(1);
@@ -0,0 +1,51 @@
+const { Worker } = require("bullmq");
+const redis = require("../config/redis");
+const { WEBHOOK_QUEUE } = require("../queues/webhook.queue");
+const { webhookDLQ } = require("../queues/webhook.dlq");
+const { deliverWebhook, markDead } = require("../services/webhook/webhookDeliveryService");
+const Logger = require("../utils/auditLog");
+
+// 🔒 DEV / QUEUE SAFETY CHECK
+if (process.env.ENABLE_QUEUES !== "true") {
+  console.log("⚠️ Webhook worker disabled (ENABLE_QUEUES=false)");
+  module.exports = null;
+  return;
+}
+
+console.log("🚀 Webhook Worker STARTED");
+
+const worker = new Worker(
+  WEBHOOK_QUEUE,
+  async (job) => {
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    await deliverWebhook(job.data, { finalAttempt });
+  },
+  {
+    connection: redis,
+    concurrency: 10,
+  }
+);
+
+// ❌ Retries exhausted → DLQ
+worker.on("failed", async (job, err) => {
+  if (!job || job.attemptsMade < (job.opts.attempts || 1)) return;
+
+  try {
+    await markDead(job.data.deliveryId, err);
+    await webhookDLQ.add("failed-webhook", {
+      originalJobId: job.id,
+      data: job.data,
+      error: err.message,
+      failedAt: new Date(),
+    });
+
+    Logger.error("webhookWorker", "Webhook delivery moved to DLQ", {
+      context: { jobId: job.id, deliveryId: job.data.deliveryId },
+      error: err,
+    });
+  } catch (dlqErr) {
+    Logger.error("webhookWorker", "Failed to push webhook delivery to DLQ", { error: dlqErr });
+  }
+});
+
+module.exports = worker;